@@ -32,6 +32,7 @@
 #   blocks_compressed.js: The compressed common blocks.
 #   blocks_horizontal_compressed.js: The compressed Scratch horizontal blocks.
 #   blocks_vertical_compressed.js: The compressed Scratch vertical blocks.
+#   javascript_compressed.js: The compressed JavaScript generator.
 #   msg/js/<LANG>.js for every language <LANG> defined in msg/js/<LANG>.json.
 
 import sys
@@ -229,6 +230,7 @@ class Gen_compressed(threading.Thread):
     self.gen_blocks("horizontal")
     self.gen_blocks("vertical")
     self.gen_blocks("common")
+    self.gen_generator("javascript")
 
   def gen_core(self, vertical):
     if vertical:
@@ -297,6 +299,29 @@ class Gen_compressed(threading.Thread):
     remove = "var Blockly={Blocks:{}};"
     self.do_compile(params, target_filename, filenames, remove)
 
+  def gen_generator(self, language):
+    target_filename = language + "_compressed.js"
+    filenames = glob.glob(os.path.join("generators", language, "*.js"))
+    filenames.sort()  # Deterministic build.
+    filenames.insert(0, os.path.join("generators", language + ".js"))
+
+    # Define the parameters for the POST request.
+    params = [
+      ("compilation_level", "SIMPLE"),
+    ]
+
+    # Read in all the source files.
+    # Add Blockly.Generator to be compatible with the compiler.
+    params.append(("js_file", os.path.join("build", "gen_generator.js")))
+    for filename in filenames:
+      # Append filenames as false arguments the step before compiling will
+      # either transform them into arguments for local or remote compilation
+      params.append(("js_file", filename))
+
+    # Remove Blockly.Generator to be compatible with Blockly.
+    remove = "var Blockly={Generator:{}};"
+    self.do_compile(params, target_filename, filenames, remove)
+
   def do_compile(self, params, target_filename, filenames, remove):
     if self.closure_env["closure_compiler"] == REMOTE_COMPILER:
       do_compile = self.do_compile_remote
@@ -0,0 +1,393 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview The abstract syntax tree walked by keyboard navigation.  A
+ * node wraps a workspace, a stack, a block, a field or a connection, and knows
+ * its siblings (next/prev), its first child (in) and its parent (out).
+ */
+'use strict';
+
+goog.provide('Blockly.ASTNode');
+
+goog.require('Blockly.constants');
+
+
+/**
+ * Class for a node in the navigation tree.
+ * @param {string} type The type of the node, one of Blockly.ASTNode.types.
+ * @param {!(Blockly.Workspace|Blockly.Block|Blockly.Field|Blockly.Connection)}
+ *     location The object the node points at.
+ * @param {goog.math.Coordinate=} opt_wsCoordinate For workspace nodes, the
+ *     position on the workspace the node points at.
+ * @constructor
+ */
+Blockly.ASTNode = function(type, location, opt_wsCoordinate) {
+  /**
+   * @type {string}
+   * @private
+   */
+  this.type_ = type;
+
+  /**
+   * @type {!(Blockly.Workspace|Blockly.Block|Blockly.Field|Blockly.Connection)}
+   * @private
+   */
+  this.location_ = location;
+
+  /**
+   * @type {goog.math.Coordinate}
+   * @private
+   */
+  this.wsCoordinate_ = opt_wsCoordinate || null;
+};
+
+/**
+ * Types of navigation nodes.
+ * @enum {string}
+ */
+Blockly.ASTNode.types = {
+  FIELD: 'field',
+  BLOCK: 'block',
+  INPUT: 'input',
+  OUTPUT: 'output',
+  NEXT: 'next',
+  PREVIOUS: 'previous',
+  STACK: 'stack',
+  WORKSPACE: 'workspace'
+};
+
+/**
+ * Create a node for a connection.  Statement inputs share their connection
+ * type with next connections, so they are told apart by the block's
+ * nextConnection.
+ * @param {Blockly.Connection} connection The connection.
+ * @return {Blockly.ASTNode} The node, or null if there is no connection.
+ */
+Blockly.ASTNode.createConnectionNode = function(connection) {
+  if (!connection) {
+    return null;
+  }
+  var types = Blockly.ASTNode.types;
+  var type;
+  if (connection.type == Blockly.OUTPUT_VALUE) {
+    type = types.OUTPUT;
+  } else if (connection.type == Blockly.PREVIOUS_STATEMENT) {
+    type = types.PREVIOUS;
+  } else if (connection.type == Blockly.NEXT_STATEMENT &&
+      connection == connection.getSourceBlock().nextConnection) {
+    type = types.NEXT;
+  } else {
+    type = types.INPUT;
+  }
+  return new Blockly.ASTNode(type, connection);
+};
+
+/**
+ * Create a node for a block.
+ * @param {Blockly.Block} block The block.
+ * @return {Blockly.ASTNode} The node, or null if there is no block.
+ */
+Blockly.ASTNode.createBlockNode = function(block) {
+  return block ? new Blockly.ASTNode(Blockly.ASTNode.types.BLOCK, block) : null;
+};
+
+/**
+ * Create a node for a field.
+ * @param {Blockly.Field} field The field.
+ * @return {Blockly.ASTNode} The node, or null if there is no field.
+ */
+Blockly.ASTNode.createFieldNode = function(field) {
+  return field ? new Blockly.ASTNode(Blockly.ASTNode.types.FIELD, field) : null;
+};
+
+/**
+ * Create a node for a whole stack of blocks.
+ * @param {Blockly.Block} topBlock The top block of the stack.
+ * @return {Blockly.ASTNode} The node, or null if there is no block.
+ */
+Blockly.ASTNode.createStackNode = function(topBlock) {
+  return topBlock ?
+      new Blockly.ASTNode(Blockly.ASTNode.types.STACK, topBlock) : null;
+};
+
+/**
+ * Create a node for a position on the workspace.
+ * @param {Blockly.Workspace} workspace The workspace.
+ * @param {goog.math.Coordinate} wsCoordinate The position on the workspace.
+ * @return {Blockly.ASTNode} The node, or null if there is no workspace.
+ */
+Blockly.ASTNode.createWorkspaceNode = function(workspace, wsCoordinate) {
+  return workspace ? new Blockly.ASTNode(Blockly.ASTNode.types.WORKSPACE,
+      workspace, wsCoordinate) : null;
+};
+
+/**
+ * Get the type of the node.
+ * @return {string} One of Blockly.ASTNode.types.
+ */
+Blockly.ASTNode.prototype.getType = function() {
+  return this.type_;
+};
+
+/**
+ * Get the object the node points at.
+ * @return {!(Blockly.Workspace|Blockly.Block|Blockly.Field|Blockly.Connection)}
+ *     The location.
+ */
+Blockly.ASTNode.prototype.getLocation = function() {
+  return this.location_;
+};
+
+/**
+ * Get the workspace position of a workspace node.
+ * @return {goog.math.Coordinate} The position, or null for other nodes.
+ */
+Blockly.ASTNode.prototype.getWsCoordinate = function() {
+  return this.wsCoordinate_;
+};
+
+/**
+ * Whether the node points at a connection.
+ * @return {boolean} True for input, output, next and previous nodes.
+ */
+Blockly.ASTNode.prototype.isConnection = function() {
+  var types = Blockly.ASTNode.types;
+  return this.type_ == types.INPUT || this.type_ == types.OUTPUT ||
+      this.type_ == types.NEXT || this.type_ == types.PREVIOUS;
+};
+
+/**
+ * Get the block the node belongs to.
+ * @return {Blockly.Block} The block, or null for workspace nodes.
+ */
+Blockly.ASTNode.prototype.getSourceBlock = function() {
+  var types = Blockly.ASTNode.types;
+  if (this.type_ == types.BLOCK || this.type_ == types.STACK) {
+    return /** @type {!Blockly.Block} */ (this.location_);
+  } else if (this.type_ == types.WORKSPACE) {
+    return null;
+  }
+  return this.location_.getSourceBlock();
+};
+
+/**
+ * Whether two nodes point at the same thing.
+ * @param {Blockly.ASTNode} other The node to compare with.
+ * @return {boolean} True if the nodes are equal.
+ */
+Blockly.ASTNode.prototype.equals = function(other) {
+  return !!other && other.type_ == this.type_ &&
+      other.location_ == this.location_;
+};
+
+/**
+ * Get the next sibling of this node.
+ * @return {Blockly.ASTNode} The next node, or null if there is none.
+ */
+Blockly.ASTNode.prototype.next = function() {
+  return this.sibling_(1);
+};
+
+/**
+ * Get the previous sibling of this node.
+ * @return {Blockly.ASTNode} The previous node, or null if there is none.
+ */
+Blockly.ASTNode.prototype.prev = function() {
+  return this.sibling_(-1);
+};
+
+/**
+ * Get the first child of this node.
+ * @return {Blockly.ASTNode} The child node, or null if there is none.
+ */
+Blockly.ASTNode.prototype.in = function() {
+  var types = Blockly.ASTNode.types;
+  switch (this.type_) {
+    case types.WORKSPACE:
+      var stacks = Blockly.ASTNode.getStacks(this.location_);
+      return Blockly.ASTNode.createStackNode(stacks[0]);
+    case types.STACK:
+      return Blockly.ASTNode.getLevel_(this.location_)[0];
+    case types.BLOCK:
+      return Blockly.ASTNode.getBlockChildren(this.location_)[0] || null;
+    case types.INPUT:
+      var target = this.location_.targetBlock();
+      if (!target) {
+        return null;
+      }
+      if (target.isShadow()) {
+        // Step straight into the fields of shadows such as number literals.
+        var children = Blockly.ASTNode.getBlockChildren(target);
+        if (children.length) {
+          return children[0];
+        }
+      }
+      return Blockly.ASTNode.createBlockNode(target);
+  }
+  return null;
+};
+
+/**
+ * Get the parent of this node.
+ * @return {Blockly.ASTNode} The parent node, or null if there is none.
+ */
+Blockly.ASTNode.prototype.out = function() {
+  var types = Blockly.ASTNode.types;
+  switch (this.type_) {
+    case types.WORKSPACE:
+      return null;
+    case types.STACK:
+      var block = this.location_;
+      return Blockly.ASTNode.createWorkspaceNode(block.workspace,
+          block.getRelativeToSurfaceXY());
+    case types.FIELD:
+    case types.INPUT:
+      var block = this.getSourceBlock();
+      var parentConnection = block.outputConnection &&
+          block.outputConnection.targetConnection;
+      if (block.isShadow() && parentConnection) {
+        // Shadow blocks are skipped on the way in, so skip them on the way
+        // out too.
+        return Blockly.ASTNode.createConnectionNode(parentConnection);
+      }
+      return Blockly.ASTNode.createBlockNode(block);
+  }
+  // Blocks and the connections between them leave their level through the
+  // input they are plugged into, or through the stack if they are on top.
+  var first = Blockly.ASTNode.getFirstInLevel_(this.getSourceBlock());
+  var parentConnection =
+      (first.outputConnection && first.outputConnection.targetConnection) ||
+      (first.previousConnection && first.previousConnection.targetConnection);
+  if (parentConnection) {
+    return Blockly.ASTNode.createConnectionNode(parentConnection);
+  }
+  return Blockly.ASTNode.createStackNode(first);
+};
+
+/**
+ * Get a sibling of this node.
+ * @param {number} delta 1 for the next sibling, -1 for the previous one.
+ * @return {Blockly.ASTNode} The sibling node, or null if there is none.
+ * @private
+ */
+Blockly.ASTNode.prototype.sibling_ = function(delta) {
+  var types = Blockly.ASTNode.types;
+  var siblings;
+  switch (this.type_) {
+    case types.WORKSPACE:
+      return null;
+    case types.STACK:
+      var stacks = Blockly.ASTNode.getStacks(this.location_.workspace);
+      var index = stacks.indexOf(this.location_);
+      return Blockly.ASTNode.createStackNode(stacks[index + delta]);
+    case types.FIELD:
+    case types.INPUT:
+      siblings = Blockly.ASTNode.getBlockChildren(this.getSourceBlock());
+      break;
+    default:
+      siblings = Blockly.ASTNode.getLevel_(this.getSourceBlock());
+  }
+  for (var i = 0; i < siblings.length; i++) {
+    if (siblings[i].equals(this)) {
+      return siblings[i + delta] || null;
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the visible stacks of a workspace, in reading order.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Blockly.Block>} The top blocks.
+ * @package
+ */
+Blockly.ASTNode.getStacks = function(workspace) {
+  return workspace.getTopBlocks(true).filter(function(block) {
+    return !block.hidden && !block.isInsertionMarker();
+  });
+};
+
+/**
+ * Get the nodes for the fields and inputs of a block, in display order.
+ * Labels and other fields that can never be edited are skipped.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Array.<!Blockly.ASTNode>} The child nodes.
+ * @package
+ */
+Blockly.ASTNode.getBlockChildren = function(block) {
+  var children = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (!input.isVisible()) {
+      continue;
+    }
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      if (field.EDITABLE && field.isVisible()) {
+        children.push(Blockly.ASTNode.createFieldNode(field));
+      }
+    }
+    if (input.connection) {
+      children.push(Blockly.ASTNode.createConnectionNode(input.connection));
+    }
+  }
+  return children;
+};
+
+/**
+ * Get the first block of the statement list a block belongs to.  Blocks that
+ * are not connected through their previous connection are on their own.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Blockly.Block} The first block of the list.
+ * @private
+ */
+Blockly.ASTNode.getFirstInLevel_ = function(block) {
+  while (block.previousConnection) {
+    var target = block.previousConnection.targetConnection;
+    if (!target || target != target.getSourceBlock().nextConnection) {
+      break;
+    }
+    block = target.getSourceBlock();
+  }
+  return block;
+};
+
+/**
+ * Get the nodes of the statement list a block belongs to: every block with
+ * its next connection, preceded by the free previous or output connection of
+ * a top block.
+ * @param {!Blockly.Block} block Any block in the list.
+ * @return {!Array.<!Blockly.ASTNode>} The nodes, in order.
+ * @private
+ */
+Blockly.ASTNode.getLevel_ = function(block) {
+  var first = Blockly.ASTNode.getFirstInLevel_(block);
+  var level = [];
+  if (!first.getParent()) {
+    level.push(Blockly.ASTNode.createConnectionNode(
+        first.outputConnection || first.previousConnection));
+  }
+  for (var current = first; current; current = current.getNextBlock()) {
+    level.push(Blockly.ASTNode.createBlockNode(current));
+    level.push(Blockly.ASTNode.createConnectionNode(current.nextConnection));
+  }
+  return level.filter(function(node) {
+    return !!node;
+  });
+};
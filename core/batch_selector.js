@@ -0,0 +1,751 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing the batch selection of a workspace: a
+ * set of stacks and frames that are moved, deleted, duplicated, copied,
+ * disabled or wrapped in a frame together.  Elements are added by
+ * shift-clicking them, or by dragging a selection rectangle over the
+ * workspace while holding shift.
+ */
+'use strict';
+
+goog.provide('Blockly.BatchSelector');
+
+goog.require('Blockly.BlockSvg');
+goog.require('Blockly.ContextMenu');
+goog.require('Blockly.Events');
+goog.require('Blockly.Events.BlockCreate');
+goog.require('Blockly.Events.Ui');
+goog.require('Blockly.Frame');
+goog.require('Blockly.FrameSnippet');
+goog.require('Blockly.Procedures');
+goog.require('Blockly.scratchBlocksUtils');
+goog.require('Blockly.utils');
+goog.require('Blockly.Xml');
+
+goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * Class for the batch selection of a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to select in.
+ * @constructor
+ */
+Blockly.BatchSelector = function(workspace) {
+  this.workspace_ = workspace;
+
+  /**
+   * The top blocks of the selected stacks, by ID.
+   * @type {!Object.<string, !Blockly.BlockSvg>}
+   * @private
+   */
+  this.blocks_ = {};
+
+  /**
+   * The selected frames, by ID.
+   * @type {!Object.<string, !Blockly.Frame>}
+   * @private
+   */
+  this.frames_ = {};
+};
+
+/**
+ * Space between the selection and the frame wrapped around it.
+ * @type {number}
+ * @private
+ */
+Blockly.BatchSelector.prototype.FRAME_PADDING_ = 20;
+
+/**
+ * The rectangle drawn while selecting an area.
+ * @type {Element}
+ * @private
+ */
+Blockly.BatchSelector.prototype.areaRect_ = null;
+
+/**
+ * Where the selection of an area started, in workspace coordinates.
+ * @type {goog.math.Coordinate}
+ * @private
+ */
+Blockly.BatchSelector.prototype.areaStartXY_ = null;
+
+/**
+ * The stack or frame that is being dragged on behalf of the selection.
+ * @type {Blockly.BlockSvg|Blockly.Frame}
+ * @private
+ */
+Blockly.BatchSelector.prototype.draggingElement_ = null;
+
+/**
+ * Dispose of this batch selection.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.BatchSelector.prototype.dispose = function() {
+  if (this.areaRect_) {
+    goog.dom.removeNode(this.areaRect_);
+    this.areaRect_ = null;
+  }
+  this.blocks_ = {};
+  this.frames_ = {};
+  this.draggingElement_ = null;
+  this.workspace_ = null;
+};
+
+/**
+ * Get the top blocks of the selected stacks.
+ * @return {!Array.<!Blockly.BlockSvg>} The selected stacks.
+ */
+Blockly.BatchSelector.prototype.getBlocks = function() {
+  this.prune_();
+  return Object.values(this.blocks_);
+};
+
+/**
+ * Get the selected frames.
+ * @return {!Array.<!Blockly.Frame>} The selected frames.
+ */
+Blockly.BatchSelector.prototype.getFrames = function() {
+  this.prune_();
+  return Object.values(this.frames_);
+};
+
+/**
+ * Get all selected stacks and frames.
+ * @return {!Array.<!Blockly.BlockSvg|!Blockly.Frame>} The selected elements.
+ */
+Blockly.BatchSelector.prototype.getElements = function() {
+  return this.getBlocks().concat(this.getFrames());
+};
+
+/**
+ * Whether nothing is selected.
+ * @return {boolean} True if the selection is empty.
+ */
+Blockly.BatchSelector.prototype.isEmpty = function() {
+  return !this.getElements().length;
+};
+
+/**
+ * Whether a stack or frame is selected.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame} element The top block of the
+ *     stack, or the frame.
+ * @return {boolean} True if the element is selected.
+ */
+Blockly.BatchSelector.prototype.isSelected = function(element) {
+  var elements = element instanceof Blockly.Frame ? this.frames_ : this.blocks_;
+  return elements[element.id] === element;
+};
+
+/**
+ * Replace the selection.  Blocks select their whole stack.  Locked frames
+ * cannot be selected.
+ * @param {!Array.<!Blockly.BlockSvg|!Blockly.Frame>} elements The blocks and
+ *     frames to select.
+ */
+Blockly.BatchSelector.prototype.setSelection = function(elements) {
+  var oldIds = this.getIds_();
+  this.getElements().forEach(function(element) {
+    this.setHighlighted_(element, false);
+  }, this);
+  this.blocks_ = {};
+  this.frames_ = {};
+  elements.forEach(function(element) {
+    if (element instanceof Blockly.Frame) {
+      if (element.workspace && !element.locked) {
+        this.frames_[element.id] = element;
+      }
+    } else if (element.workspace) {
+      var block = element.getRootBlock();
+      this.blocks_[block.id] = block;
+    }
+  }, this);
+  this.getElements().forEach(function(element) {
+    this.setHighlighted_(element, true);
+  }, this);
+
+  var newIds = this.getIds_();
+  if (oldIds.join(' ') != newIds.join(' ')) {
+    var event = new Blockly.Events.Ui(null, 'batchselected', oldIds, newIds);
+    event.workspaceId = this.workspace_.id;
+    Blockly.Events.fire(event);
+  }
+};
+
+/**
+ * Add a stack or frame to the selection.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame} element A block of the stack, or
+ *     the frame.
+ */
+Blockly.BatchSelector.prototype.add = function(element) {
+  this.setSelection(this.getElements().concat([element]));
+};
+
+/**
+ * Remove a stack or frame from the selection.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame} element A block of the stack, or
+ *     the frame.
+ */
+Blockly.BatchSelector.prototype.remove = function(element) {
+  if (!(element instanceof Blockly.Frame)) {
+    element = element.getRootBlock();
+  }
+  this.setSelection(this.getElements().filter(function(selected) {
+    return selected !== element;
+  }));
+};
+
+/**
+ * Add a stack or frame to the selection, or remove it if it is selected.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame} element A block of the stack, or
+ *     the frame.
+ */
+Blockly.BatchSelector.prototype.toggle = function(element) {
+  var target = element instanceof Blockly.Frame ? element : element.getRootBlock();
+  if (this.isSelected(target)) {
+    this.remove(target);
+  } else {
+    this.add(target);
+  }
+};
+
+/**
+ * Empty the selection.
+ */
+Blockly.BatchSelector.prototype.clear = function() {
+  if (!this.isEmpty()) {
+    this.setSelection([]);
+  }
+};
+
+/**
+ * Get the IDs of the selected stacks and frames.
+ * @return {!Array.<string>} The IDs.
+ * @private
+ */
+Blockly.BatchSelector.prototype.getIds_ = function() {
+  return Object.keys(this.blocks_).concat(Object.keys(this.frames_));
+};
+
+/**
+ * Show or hide the selection highlight of a stack or frame.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame} element The top block of the
+ *     stack, or the frame.
+ * @param {boolean} highlighted True to highlight the element.
+ * @private
+ */
+Blockly.BatchSelector.prototype.setHighlighted_ = function(element, highlighted) {
+  var svgRoot = element.getSvgRoot();
+  if (!svgRoot) {
+    return;
+  }
+  if (highlighted) {
+    Blockly.utils.addClass(svgRoot, 'blocklyBatchSelected');
+  } else {
+    Blockly.utils.removeClass(svgRoot, 'blocklyBatchSelected');
+  }
+};
+
+/**
+ * Drop deleted elements, and blocks that are no longer at the top of a
+ * stack, from the selection.
+ * @private
+ */
+Blockly.BatchSelector.prototype.prune_ = function() {
+  Object.keys(this.blocks_).forEach(function(id) {
+    var block = this.blocks_[id];
+    if (!block.workspace || block.getParent()) {
+      if (block.workspace) {
+        this.setHighlighted_(block, false);
+      }
+      delete this.blocks_[id];
+    }
+  }, this);
+  Object.keys(this.frames_).forEach(function(id) {
+    if (!this.frames_[id].workspace) {
+      delete this.frames_[id];
+    }
+  }, this);
+};
+
+/**
+ * Get the selection without the elements that belong to a selected frame,
+ * since those follow their frame.
+ * @return {{blocks: !Array.<!Blockly.BlockSvg>, frames: !Array.<!Blockly.Frame>}}
+ *     The stacks and frames to act on.
+ * @private
+ */
+Blockly.BatchSelector.prototype.getTopSelection_ = function() {
+  var selectedFrames = this.getFrames();
+  var frames = selectedFrames.filter(function(frame) {
+    return !selectedFrames.some(function(other) {
+      return other !== frame && frame.isDescendantOf(other);
+    });
+  });
+  var ownedBlocks = {};
+  frames.forEach(function(frame) {
+    [frame].concat(frame.getDescendantFrames()).forEach(function(ownFrame) {
+      Object.assign(ownedBlocks, ownFrame.blockDB_);
+    });
+  });
+  var blocks = this.getBlocks().filter(function(block) {
+    return !ownedBlocks[block.id];
+  });
+  return {blocks: blocks, frames: frames};
+};
+
+/**
+ * Get every block of the selection, including the blocks of the selected
+ * frames and the frames nested in them.
+ * @return {!Array.<!Blockly.BlockSvg>} The blocks, without shadows.
+ * @private
+ */
+Blockly.BatchSelector.prototype.getAllBlocks_ = function() {
+  var selection = this.getTopSelection_();
+  var topBlocks = selection.blocks;
+  selection.frames.forEach(function(frame) {
+    [frame].concat(frame.getDescendantFrames()).forEach(function(ownFrame) {
+      topBlocks = topBlocks.concat(Object.values(ownFrame.blockDB_));
+    });
+  });
+  var blocks = [];
+  topBlocks.forEach(function(block) {
+    blocks = blocks.concat(block.getDescendants(false, true));
+  });
+  return blocks;
+};
+
+/**
+ * Convert the position of a mouse event to workspace coordinates.
+ * @param {!Event|{clientX: number, clientY: number}} e Mouse event.
+ * @return {!goog.math.Coordinate} The position in workspace coordinates.
+ * @private
+ */
+Blockly.BatchSelector.prototype.getWorkspaceXY_ = function(e) {
+  var xy = Blockly.utils.getMouseVectorPosition(e, this.workspace_);
+  return new goog.math.Coordinate(xy.x, xy.y);
+};
+
+/**
+ * Start drawing a selection rectangle.
+ * @param {!Event|{clientX: number, clientY: number}} e Where the mouse was
+ *     pressed.
+ * @package
+ */
+Blockly.BatchSelector.prototype.startAreaSelect = function(e) {
+  this.areaStartXY_ = this.getWorkspaceXY_(e);
+  this.areaRect_ = Blockly.utils.createSvgElement('rect',
+      {'class': 'blocklyBatchSelectArea'}, this.workspace_.getBubbleCanvas());
+  this.updateAreaSelect(e);
+};
+
+/**
+ * Resize the selection rectangle to the mouse position.
+ * @param {!Event} e The most recent mouse move event.
+ * @package
+ */
+Blockly.BatchSelector.prototype.updateAreaSelect = function(e) {
+  var rect = this.getAreaRect_(e);
+  this.areaRect_.setAttribute('x', rect.left);
+  this.areaRect_.setAttribute('y', rect.top);
+  this.areaRect_.setAttribute('width', rect.right - rect.left);
+  this.areaRect_.setAttribute('height', rect.bottom - rect.top);
+};
+
+/**
+ * Remove the selection rectangle and add the stacks and frames it covers to
+ * the selection.
+ * @param {!Event} e The mouse up event.
+ * @package
+ */
+Blockly.BatchSelector.prototype.endAreaSelect = function(e) {
+  var rect = this.getAreaRect_(e);
+  goog.dom.removeNode(this.areaRect_);
+  this.areaRect_ = null;
+  this.areaStartXY_ = null;
+  this.selectInRect_(rect);
+};
+
+/**
+ * Get the area between the start of the selection and the mouse.
+ * @param {!Event} e The most recent mouse event.
+ * @return {{left: number, top: number, right: number, bottom: number}} The
+ *     area in workspace coordinates.
+ * @private
+ */
+Blockly.BatchSelector.prototype.getAreaRect_ = function(e) {
+  var xy = this.getWorkspaceXY_(e);
+  return {
+    left: Math.min(this.areaStartXY_.x, xy.x),
+    top: Math.min(this.areaStartXY_.y, xy.y),
+    right: Math.max(this.areaStartXY_.x, xy.x),
+    bottom: Math.max(this.areaStartXY_.y, xy.y)
+  };
+};
+
+/**
+ * Add the stacks that overlap an area, and the frames that lie inside it, to
+ * the selection.  Stacks and frames hidden in a collapsed frame are skipped.
+ * @param {{left: number, top: number, right: number, bottom: number}} rect The
+ *     area in workspace coordinates.
+ * @private
+ */
+Blockly.BatchSelector.prototype.selectInRect_ = function(rect) {
+  var elements = this.getElements();
+  this.workspace_.getTopBlocks(false).forEach(function(block) {
+    var frame = block.getTopFrame();
+    if (frame && (frame.isCollapsed || frame.isInCollapsedFrame())) {
+      return;
+    }
+    var bounds = block.getBoundingRectangle();
+    var left = Math.min(bounds.topLeft.x, bounds.bottomRight.x);
+    var right = Math.max(bounds.topLeft.x, bounds.bottomRight.x);
+    if (left <= rect.right && right >= rect.left &&
+        bounds.topLeft.y <= rect.bottom && bounds.bottomRight.y >= rect.top) {
+      elements.push(block);
+    }
+  });
+  this.workspace_.getTopFrames(false).forEach(function(frame) {
+    var bounds = frame.getBoundingFrameRect();
+    if (!frame.isInCollapsedFrame() &&
+        bounds.x >= rect.left && bounds.x + bounds.width <= rect.right &&
+        bounds.y >= rect.top && bounds.y + bounds.height <= rect.bottom) {
+      elements.push(frame);
+    }
+  });
+  this.setSelection(elements);
+};
+
+/**
+ * Prepare the drag of a stack or frame.  If it is selected along with other
+ * elements, the whole selection is dragged with it: the dragger moves the
+ * other elements with Blockly.utils.moveBatchedElements when the drag ends.
+ * Dragging anything else clears the selection.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame} element The dragged top block or
+ *     frame.
+ * @return {boolean} True if the whole selection is dragged.
+ * @package
+ */
+Blockly.BatchSelector.prototype.startDrag = function(element) {
+  if (!this.isSelected(element)) {
+    this.clear();
+    return false;
+  }
+  var selection = this.getTopSelection_();
+  if (selection.blocks.length + selection.frames.length < 2 ||
+      (selection.blocks.indexOf(element) == -1 &&
+      selection.frames.indexOf(element) == -1)) {
+    return false;
+  }
+  element.isBatchElement = true;
+  element.temporaryBatchElements = [selection.blocks, selection.frames];
+  // Only the dragged element follows the mouse, the others stay hidden until
+  // they are shown at their new position.
+  selection.blocks.forEach(function(block) {
+    for (var stackBlock = block; stackBlock; stackBlock = stackBlock.getNextBlock()) {
+      if (stackBlock.comment && stackBlock.comment.bubble_) {
+        stackBlock.comment.bubble_.bubbleGroup_.setAttribute('style', 'display: none');
+      }
+    }
+    if (block !== element) {
+      block.getSvgRoot().style.display = 'none';
+    }
+  });
+  selection.frames.forEach(function(frame) {
+    if (frame !== element) {
+      frame.getSvgRoot().style.display = 'none';
+    }
+  });
+  this.draggingElement_ = element;
+  return true;
+};
+
+/**
+ * Clean up after the drag of the selection.
+ * @package
+ */
+Blockly.BatchSelector.prototype.endDrag = function() {
+  if (this.draggingElement_) {
+    this.draggingElement_.isBatchElement = false;
+    this.draggingElement_.temporaryBatchElements = null;
+    this.draggingElement_ = null;
+  }
+  this.prune_();
+};
+
+/**
+ * Delete the selected stacks and frames.  Nothing is deleted if a selected
+ * procedure definition is still called by blocks that would remain.
+ */
+Blockly.BatchSelector.prototype.deleteSelected = function() {
+  var workspace = this.workspace_;
+  var selection = this.getTopSelection_();
+  var blocks = selection.blocks.filter(function(block) {
+    return block.isDeletable();
+  });
+  var frames = selection.frames.filter(function(frame) {
+    return frame.isDeletable();
+  });
+  var isDeleted = function(block) {
+    var root = block.getRootBlock();
+    var frame = root.getTopFrame();
+    return blocks.indexOf(root) != -1 || (!!frame && frames.some(function(deletedFrame) {
+      return frame === deletedFrame || frame.isDescendantOf(deletedFrame);
+    }));
+  };
+  var isUsed = blocks.some(function(block) {
+    if (block.type != Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE) {
+      return false;
+    }
+    var procCode = block.childBlocks_[0].getProcCode();
+    var callers = Blockly.Procedures.getCallers(procCode, workspace, block,
+        false /* allowRecursive */);
+    return callers.some(function(caller) {
+      return !isDeleted(caller);
+    });
+  });
+  if (isUsed) {
+    alert(Blockly.Msg.PROCEDURE_USED);
+    return;
+  }
+
+  Blockly.Events.setGroup(true);
+  this.clear();
+  blocks.forEach(function(block) {
+    setTimeout(function() {
+      workspace.fireDeletionListeners(block);
+    });
+    block.dispose(false, true);
+  });
+  frames.forEach(function(frame) {
+    frame.dispose();
+  });
+  Blockly.Events.setGroup(false);
+};
+
+/**
+ * Copy the selected stacks and frames onto the batch clipboard.
+ */
+Blockly.BatchSelector.prototype.copy = function() {
+  var selection = this.getTopSelection_();
+  var xmlList = [];
+  selection.blocks.forEach(function(block) {
+    // Don't allow copying immovable or undeletable blocks, like Blockly.copy_.
+    if (!block.isDeletable() || !block.isMovable()) {
+      return;
+    }
+    var xml = Blockly.Xml.blockToDom(block);
+    var xy = block.getRelativeToSurfaceXY();
+    xml.setAttribute('x', block.RTL ? -xy.x : xy.x);
+    xml.setAttribute('y', xy.y);
+    xmlList.push(xml);
+  });
+  selection.frames.forEach(function(frame) {
+    xmlList.push(Blockly.Xml.frameToDom(frame, true));
+  });
+  xmlList.forEach(Blockly.Xml.removeBookmarks);
+  Blockly.clipboardBatchXml_ = xmlList;
+};
+
+/**
+ * Paste the batch clipboard and select the pasted stacks and frames.
+ * Each paste is offset from the previous one.
+ */
+Blockly.BatchSelector.prototype.paste = function() {
+  var xmlList = Blockly.clipboardBatchXml_;
+  if (!xmlList || !xmlList.length) {
+    return;
+  }
+  var workspace = this.workspace_;
+  if (workspace.currentGesture_) {
+    workspace.currentGesture_.cancel();  // Dragging while pasting?  No.
+  }
+  // The same offset that WorkspaceSvg.pasteFrame_ applies to frames.
+  var dx = Blockly.SNAP_RADIUS;
+  var dy = Blockly.SNAP_RADIUS * 2;
+  var elements = [];
+  Blockly.Events.setGroup(true);
+  workspace.setResizesEnabled(false);
+  try {
+    xmlList.forEach(function(xml) {
+      xml = xml.cloneNode(true);
+      if (xml.tagName.toLowerCase() == 'custom-frame') {
+        elements.push(workspace.pasteFrame_(xml));
+      } else {
+        elements.push(Blockly.BatchSelector.pasteBlock_(xml, workspace, dx, dy));
+      }
+    });
+    workspace.resetFrameAndTopBlocksMap();
+  } finally {
+    workspace.setResizesEnabled(true);
+    Blockly.Events.setGroup(false);
+  }
+  this.setSelection(elements);
+
+  // Move the clipboard along, so that the next paste doesn't cover this one.
+  xmlList.forEach(function(xml) {
+    xml.setAttribute('x', Number(xml.getAttribute('x')) + dx);
+    xml.setAttribute('y', Number(xml.getAttribute('y')) + dy);
+    Blockly.FrameSnippet.offsetDom(xml, dx, dy);
+  });
+};
+
+/**
+ * Paste a stack at its copied position plus an offset.
+ * @param {!Element} xmlBlock XML of the top block, with its position.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ * @param {number} dx Horizontal offset in workspace units.
+ * @param {number} dy Vertical offset in workspace units.
+ * @return {!Blockly.BlockSvg} The pasted top block.
+ * @private
+ */
+Blockly.BatchSelector.pasteBlock_ = function(xmlBlock, workspace, dx, dy) {
+  Blockly.Events.disable();
+  try {
+    var block = Blockly.Xml.domToBlock(xmlBlock, workspace);
+    // Scratch-specific: Give shadow dom new IDs to prevent duplicating on paste
+    Blockly.scratchBlocksUtils.changeObscuredShadowIds(block);
+    var blockX = parseInt(xmlBlock.getAttribute('x'), 10);
+    var blockY = parseInt(xmlBlock.getAttribute('y'), 10);
+    if (workspace.RTL) {
+      blockX = -blockX;
+      dx = -dx;
+    }
+    block.moveBy(blockX + dx, blockY + dy);
+  } finally {
+    Blockly.Events.enable();
+  }
+  if (Blockly.Events.isEnabled()) {
+    Blockly.Events.fire(new Blockly.Events.BlockCreate(block));
+  }
+  return block;
+};
+
+/**
+ * Duplicate the selected stacks and frames, and select the copies.
+ */
+Blockly.BatchSelector.prototype.duplicate = function() {
+  // Save the clipboard.
+  var clipboard = Blockly.clipboardBatchXml_;
+  this.copy();
+  this.paste();
+  // Restore the clipboard.
+  Blockly.clipboardBatchXml_ = clipboard;
+};
+
+/**
+ * Whether every block of the selection is disabled.
+ * @return {boolean} True if all blocks are disabled.
+ */
+Blockly.BatchSelector.prototype.isDisabled = function() {
+  var blocks = this.getAllBlocks_();
+  return !!blocks.length && blocks.every(function(block) {
+    return block.disabled;
+  });
+};
+
+/**
+ * Disable or enable every block of the selection, including the blocks of
+ * the selected frames.
+ * @param {boolean} disabled True to disable the blocks.
+ */
+Blockly.BatchSelector.prototype.setDisabled = function(disabled) {
+  Blockly.Events.setGroup(true);
+  this.getAllBlocks_().forEach(function(block) {
+    block.setDisabled(disabled);
+  });
+  Blockly.Events.setGroup(false);
+};
+
+/**
+ * Create a frame around the selected stacks and frames.  The new frame
+ * becomes the selected object and the batch selection is cleared.
+ * @return {Blockly.Frame} The new frame, or null if nothing is selected.
+ */
+Blockly.BatchSelector.prototype.wrapInFrame = function() {
+  var selection = this.getTopSelection_();
+  if (!selection.blocks.length && !selection.frames.length) {
+    return null;
+  }
+  var left = Infinity;
+  var top = Infinity;
+  var right = -Infinity;
+  var bottom = -Infinity;
+  selection.blocks.forEach(function(block) {
+    var bounds = block.getBoundingRectangle();
+    left = Math.min(left, bounds.topLeft.x, bounds.bottomRight.x);
+    right = Math.max(right, bounds.topLeft.x, bounds.bottomRight.x);
+    top = Math.min(top, bounds.topLeft.y);
+    bottom = Math.max(bottom, bounds.bottomRight.y);
+  });
+  selection.frames.forEach(function(frame) {
+    var bounds = frame.getBoundingFrameRect();
+    left = Math.min(left, bounds.x);
+    right = Math.max(right, bounds.x + bounds.width);
+    // The title of a frame sits above its rectangle.
+    top = Math.min(top, bounds.y - frame.titleInputHeight_);
+    bottom = Math.max(bottom, bounds.y + bounds.height);
+  });
+
+  var padding = this.FRAME_PADDING_;
+  Blockly.Events.setGroup(true);
+  this.clear();
+  var frame = this.workspace_.createFrame({
+    id: Blockly.utils.genUid(),
+    title: Blockly.Msg.FRAME,
+    blocks: selection.blocks.map(function(block) {
+      return block.id;
+    }),
+    frames: selection.frames.map(function(frame) {
+      return frame.id;
+    }),
+    x: left - padding,
+    y: top - padding,
+    width: right - left + padding * 2,
+    height: bottom - top + padding * 2
+  });
+  // Nest the new frame in the frame around it, if any.
+  this.workspace_.resetFrameAndTopBlocksMap();
+  Blockly.Events.setGroup(false);
+  frame.select();
+  return frame;
+};
+
+/**
+ * Show the context menu for the selection.
+ * @param {!Event} e Mouse event.
+ * @package
+ */
+Blockly.BatchSelector.prototype.showContextMenu_ = function(e) {
+  if (this.workspace_.options.readOnly) {
+    return;
+  }
+  var menuOptions = [];
+  menuOptions.push(Blockly.ContextMenu.batchDuplicateOption(this));
+  menuOptions.push(Blockly.ContextMenu.batchCopyOption(this));
+  menuOptions.push(Blockly.ContextMenu.batchDisableOption(this));
+  if (this.workspace_.options.frames) {
+    menuOptions.push(Blockly.ContextMenu.batchWrapInFrameOption(this));
+  }
+  menuOptions.push(Blockly.ContextMenu.batchDeleteOption(this));
+  Blockly.ContextMenu.show(e, menuOptions, this.workspace_.RTL);
+};
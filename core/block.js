@@ -34,6 +34,7 @@ goog.require('Blockly.Connection');
 goog.require('Blockly.Events.BlockChange');
 goog.require('Blockly.Events.BlockCreate');
 goog.require('Blockly.Events.BlockDelete');
+goog.require('Blockly.Events.BlockHidden');
 goog.require('Blockly.Events.BlockMove');
 goog.require('Blockly.Extensions');
 goog.require('Blockly.FieldLabelSerializable');
@@ -1230,6 +1231,44 @@ Blockly.Block.prototype.setCollapsed = function(collapsed) {
   }
 };
 
+/**
+ * Whether this stack is hidden from the workspace.  Only top blocks are
+ * hidden.
+ * @type {boolean}
+ */
+Blockly.Block.prototype.hidden = false;
+
+/**
+ * Hide or show this block's stack.
+ * @param {boolean} hidden True to hide the stack.
+ */
+Blockly.Block.prototype.setHidden = function(hidden) {
+  hidden = !!hidden;
+  if (this.hidden != hidden) {
+    Blockly.Events.fire(new Blockly.Events.BlockHidden(this, hidden));
+    this.hidden = hidden;
+  }
+};
+
+/**
+ * Whether this block is bookmarked, so that the user can find it again.
+ * @type {boolean}
+ */
+Blockly.Block.prototype.bookmarked = false;
+
+/**
+ * Add this block to the bookmarks or remove it.
+ * @param {boolean} bookmarked True to bookmark the block.
+ */
+Blockly.Block.prototype.setBookmarked = function(bookmarked) {
+  bookmarked = !!bookmarked;
+  if (this.bookmarked != bookmarked) {
+    Blockly.Events.fire(new Blockly.Events.BlockChange(
+        this, 'bookmark', null, this.bookmarked, bookmarked));
+    this.bookmarked = bookmarked;
+  }
+};
+
 /**
  * Create a human-readable text representation of this block and any children.
  * @param {number=} opt_maxLength Truncate the string to this length.
@@ -131,6 +131,7 @@ Blockly.Events.Change.prototype.toJson = function() {
   if (this.name) {
     json['name'] = this.name;
   }
+  json['oldValue'] = this.oldValue;
   json['newValue'] = this.newValue;
   return json;
 };
@@ -143,6 +144,7 @@ Blockly.Events.Change.prototype.fromJson = function(json) {
   Blockly.Events.Change.superClass_.fromJson.call(this, json);
   this.element = json['element'];
   this.name = json['name'];
+  this.oldValue = json['oldValue'];
   this.newValue = json['newValue'];
 };
 
@@ -191,6 +193,9 @@ Blockly.Events.Change.prototype.run = function(forward) {
     case 'disabled':
       block.setDisabled(value);
       break;
+    case 'bookmark':
+      block.setBookmarked(value);
+      break;
     case 'inline':
       block.setInputsInline(value);
       break;
@@ -337,6 +342,9 @@ Blockly.Events.Delete.prototype.type = Blockly.Events.DELETE;
 Blockly.Events.Delete.prototype.toJson = function() {
   var json = Blockly.Events.Delete.superClass_.toJson.call(this);
   json['ids'] = this.ids;
+  if (this.oldXml) {
+    json['oldXml'] = Blockly.Xml.domToText(this.oldXml);
+  }
   return json;
 };
 
@@ -347,6 +355,10 @@ Blockly.Events.Delete.prototype.toJson = function() {
 Blockly.Events.Delete.prototype.fromJson = function(json) {
   Blockly.Events.Delete.superClass_.fromJson.call(this, json);
   this.ids = json['ids'];
+  if (json['oldXml']) {
+    this.oldXml =
+        Blockly.Xml.textToDom('<xml>' + json['oldXml'] + '</xml>').firstChild;
+  }
 };
 
 /**
@@ -410,6 +422,16 @@ Blockly.Events.Move.prototype.type = Blockly.Events.MOVE;
  */
 Blockly.Events.Move.prototype.toJson = function() {
   var json = Blockly.Events.Move.superClass_.toJson.call(this);
+  if (this.oldParentId) {
+    json['oldParentId'] = this.oldParentId;
+  }
+  if (this.oldInputName) {
+    json['oldInputName'] = this.oldInputName;
+  }
+  if (this.oldCoordinate) {
+    json['oldCoordinate'] = Math.round(this.oldCoordinate.x) + ',' +
+        Math.round(this.oldCoordinate.y);
+  }
   if (this.newParentId) {
     json['newParentId'] = this.newParentId;
   }
@@ -429,10 +451,17 @@ Blockly.Events.Move.prototype.toJson = function() {
  */
 Blockly.Events.Move.prototype.fromJson = function(json) {
   Blockly.Events.Move.superClass_.fromJson.call(this, json);
+  this.oldParentId = json['oldParentId'];
+  this.oldInputName = json['oldInputName'];
+  if (json['oldCoordinate']) {
+    var xy = json['oldCoordinate'].split(',');
+    this.oldCoordinate =
+        new goog.math.Coordinate(parseFloat(xy[0]), parseFloat(xy[1]));
+  }
   this.newParentId = json['newParentId'];
   this.newInputName = json['newInputName'];
   if (json['newCoordinate']) {
-    var xy = json['newCoordinate'].split(',');
+    xy = json['newCoordinate'].split(',');
     this.newCoordinate =
         new goog.math.Coordinate(parseFloat(xy[0]), parseFloat(xy[1]));
   }
@@ -540,7 +569,14 @@ Blockly.Events.Move.prototype.run = function(forward) {
   }
 };
 
-// powered by xigua start
+/**
+ * Class for a block hidden event.
+ * @param {Blockly.Block} block The top block of the hidden or shown stack.
+ *     Null for a blank event.
+ * @param {boolean} hidden True if the stack was hidden, false if shown.
+ * @extends {Blockly.Events.BlockBase}
+ * @constructor
+ */
 Blockly.Events.BlockHidden = function(block, hidden) {
   if (!block) {
     return;  // Blank event to be populated by fromJson.
@@ -551,17 +587,41 @@ Blockly.Events.BlockHidden = function(block, hidden) {
 };
 goog.inherits(Blockly.Events.BlockHidden, Blockly.Events.BlockBase);
 
+/**
+ * Type of this event.
+ * @type {string}
+ */
 Blockly.Events.BlockHidden.prototype.type = Blockly.Events.BLOCK_HIDDEN;
 
+/**
+ * Encode the event as JSON.
+ * @return {!Object} JSON representation.
+ */
 Blockly.Events.BlockHidden.prototype.toJson = function() {
   var json = Blockly.Events.BlockHidden.superClass_.toJson.call(this);
   json['hidden'] = Boolean(this.hidden);
   return json;
 };
 
-Blockly.Events.BlockHidden.prototype.run = function() {
-  var workspace = Blockly.Workspace.getById(this.workspaceId);
+/**
+ * Decode the JSON event.
+ * @param {!Object} json JSON representation.
+ */
+Blockly.Events.BlockHidden.prototype.fromJson = function(json) {
+  Blockly.Events.BlockHidden.superClass_.fromJson.call(this, json);
+  this.hidden = json['hidden'];
+};
+
+/**
+ * Run a block hidden event.
+ * @param {boolean} forward True if run forward, false if run backward (undo).
+ */
+Blockly.Events.BlockHidden.prototype.run = function(forward) {
+  var workspace = this.getEventWorkspace_();
   var block = workspace.getBlockById(this.blockId);
-  block.toggleHidden();
+  if (!block) {
+    console.warn("Can't hide non-existent block: " + this.blockId);
+    return;
+  }
+  block.setHidden(forward ? this.hidden : !this.hidden);
 };
-// powered by xigua end
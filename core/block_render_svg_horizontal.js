@@ -355,6 +355,9 @@ Blockly.BlockSvg.prototype.highlightForReplacement = function(add) {
  * @return {!{height: number, width: number}} Object with height and width properties.
  */
 Blockly.BlockSvg.prototype.getHeightWidth = function(opt_ignoreFields) {
+  if (this.deferredSize_) {
+    return {height: this.deferredSize_.height, width: this.deferredSize_.width};
+  }
   var height = this.height;
   var width = this.width;
   // Add the size of the field shadow block.
@@ -380,8 +383,15 @@ Blockly.BlockSvg.prototype.getHeightWidth = function(opt_ignoreFields) {
  *   If true, also render block's parent, grandparent, etc.  Defaults to true.
  */
 Blockly.BlockSvg.prototype.render = function(opt_bubble) {
+  var rootBlock = this.getRootBlock();
+  if (rootBlock.isDeferred()) {
+    // Build the whole stack instead.
+    rootBlock.renderDeferred();
+    return;
+  }
   Blockly.Field.startCache();
   this.rendered = true;
+  this.updateHiddenDisplay_();
 
   var oldMetrics = this.renderingMetrics_;
   var metrics = this.renderCompute_();
@@ -611,6 +611,9 @@ Blockly.BlockSvg.prototype.highlightShapeForInput = function(conn, add) {
  * @return {!{height: number, width: number}} Object with height and width properties.
  */
 Blockly.BlockSvg.prototype.getHeightWidth = function() {
+  if (this.deferredSize_) {
+    return {height: this.deferredSize_.height, width: this.deferredSize_.width};
+  }
   var height = this.height;
   var width = this.width;
   // Recursively add size of subsequent blocks.
@@ -631,15 +634,16 @@ Blockly.BlockSvg.prototype.getHeightWidth = function() {
  *   If true, also render block's parent, grandparent, etc.  Defaults to true.
  */
 Blockly.BlockSvg.prototype.render = function(opt_bubble) {
+  var rootBlock = this.getRootBlock();
+  if (rootBlock.isDeferred()) {
+    // Build the whole stack instead.
+    rootBlock.renderDeferred();
+    return;
+  }
   Blockly.Field.startCache();
   this.rendered = true;
 
-  // powered by xigua start
-  this.svgGroup_.style.display = this.hidden ? 'none' : '';
-  if (this.comment && this.comment.bubble_) {
-    this.comment.bubble_.bubbleGroup_.style.display = this.hidden ? 'none' : '';
-  }
-  // powered by xigua end
+  this.updateHiddenDisplay_();
 
   var cursorX = Blockly.BlockSvg.SEP_SPACE_X;
   if (this.RTL) {
@@ -29,10 +29,12 @@ goog.provide('Blockly.BlockSvg');
 goog.require('Blockly.Block');
 goog.require('Blockly.BlockAnimations');
 goog.require('Blockly.ContextMenu');
+goog.require('Blockly.ContextMenuRegistry');
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.Events.BlockMove');
 goog.require('Blockly.Events.CommentMove');
 goog.require('Blockly.Grid');
+goog.require('Blockly.Procedures');
 goog.require('Blockly.RenderedConnection');
 goog.require('Blockly.scratchBlocksUtils');
 goog.require('Blockly.Tooltip');
@@ -145,10 +147,6 @@ Blockly.BlockSvg.prototype.isGlowingStack_ = false;
  */
 Blockly.BlockSvg.INLINE = -1;
 
-// powered by xigua start
-Blockly.BlockSvg.prototype.hidden = false;
-// powered by xigua end
-
 /**
  * Create and initialize the SVG representation of the block.
  * May be called more than once.
@@ -168,6 +166,7 @@ Blockly.BlockSvg.prototype.initSvg = function() {
   }
   this.updateColour();
   this.updateMovable();
+  this.updateBookmarked_();
   if (!this.workspace.options.readOnly && !this.eventsInit_) {
     Blockly.bindEventWithChecks_(
         this.getSvgRoot(), 'mousedown', this, this.onMouseDown_);
@@ -326,15 +325,72 @@ Blockly.BlockSvg.prototype.setIntersects = function(intersects) {
     return;
   }
   this.intersects_ = intersects;
-  var root = this.getSvgRoot();
-  if (!root) {
+  if (!this.getSvgRoot()) {
     return;
   }
-  if (intersects) {
-    root.style.display = '';
-  } else {
-    root.style.display = 'none';
+  this.updateHiddenDisplay_();
+};
+
+/**
+ * Size of this top block's stack while it is deferred, or null if the stack
+ * is rendered.
+ * @type {?{width: number, height: number}}
+ * @private
+ */
+Blockly.BlockSvg.prototype.deferredSize_ = null;
+
+/**
+ * Whether this top block's stack was loaded without building its SVG.
+ * @return {boolean} True if the stack is deferred.
+ */
+Blockly.BlockSvg.prototype.isDeferred = function() {
+  return !!this.deferredSize_;
+};
+
+/**
+ * Leave this top block's stack unrendered until it comes into view.  It is
+ * drawn as a placeholder of the size it had when last rendered, or of an
+ * estimated size.
+ * @package
+ */
+Blockly.BlockSvg.prototype.deferRendering = function() {
+  var size = this.workspace.intersectionObserver.getPlaceholderSize(this);
+  this.deferredSize_ = size;
+  this.placeholder_ = Blockly.utils.createSvgElement('rect', {
+    'class': 'blocklyDeferredStack',
+    'x': this.RTL ? -size.width : 0,
+    'width': size.width,
+    'height': size.height,
+    'rx': Blockly.BlockSvg.CORNER_RADIUS,
+    'ry': Blockly.BlockSvg.CORNER_RADIUS
+  }, this.svgGroup_);
+  if (!this.getSvgRoot().parentNode) {
+    this.workspace.getCanvas().appendChild(this.getSvgRoot());
+  }
+  this.workspace.intersectionObserver.observe(this);
+};
+
+/**
+ * Build the SVG of this top block's stack if it was deferred.
+ */
+Blockly.BlockSvg.prototype.renderDeferred = function() {
+  if (!this.deferredSize_) {
+    return;
+  }
+  this.deferredSize_ = null;
+  goog.dom.removeNode(this.placeholder_);
+  this.placeholder_ = null;
+  var blocks = this.getDescendants(false);
+  for (var i = blocks.length - 1; i >= 0; i--) {
+    blocks[i].initSvg();
+  }
+  for (var i = blocks.length - 1; i >= 0; i--) {
+    blocks[i].render(false);
   }
+  this.setConnectionsHidden(false);
+  this.updateDisabled();
+  // Measure the stack now that it has its real size.
+  this.workspace.queueIntersectionCheck();
 };
 
 Blockly.BlockSvg.prototype.updateIntersectionObserver = function() {
@@ -516,6 +572,10 @@ Blockly.BlockSvg.prototype.requestMoveInFrame = function() {
     if (frame) {
       // If the frame of the block associated was changed, update the block group position.
       if (frame !== this.frame_ || !frame.getSvgRoot().contains(this.getSvgRoot())) {
+        if (this.frame_ && this.frame_ !== frame) {
+          // Moving between nested frames, leave the previous frame first.
+          this.requestMoveOutFrame();
+        }
         this.frame_ = frame;
         this.moveBlockToContainer('frame');
       }
@@ -552,6 +612,9 @@ Blockly.BlockSvg.prototype.requestMoveOutFrame = function() {
 Blockly.BlockSvg.prototype.translate = function(x, y) {
   this.getSvgRoot().setAttribute('transform',
       'translate(' + x + ',' + y + ')');
+  if (!this.parentBlock_ && this.workspace.intersectionObserver) {
+    this.workspace.intersectionObserver.markDirty(this);
+  }
 };
 
 /**
@@ -849,22 +912,15 @@ Blockly.BlockSvg.prototype.showContextMenu_ = function(e) {
   if (this.workspace.options.readOnly || !this.contextMenu) {
     return;
   }
-  // Save the current block in a variable for use in closures.
-  var block = this;
-  // powered by xigua start
-  var menuOptions = window.__XIGUA_SHORTCUT ? [Blockly.ContextMenu.hideBlocks(block)] : [];
-  // powered by xigua end
-  if (this.isDeletable() && this.isMovable() && !block.isInFlyout) {
-    menuOptions.push(
-        Blockly.ContextMenu.blockDuplicateOption(block, e));
-    if (this.isEditable() && this.workspace.options.comments) {
-      menuOptions.push(Blockly.ContextMenu.blockCommentOption(block));
-    }
-    menuOptions.push(Blockly.ContextMenu.blockDeleteOption(block));
-  } else if (this.parentBlock_ && this.isShadow_) {
+  if (this.parentBlock_ && this.isShadow_ &&
+      !(this.isDeletable() && this.isMovable() && !this.isInFlyout)) {
     this.parentBlock_.showContextMenu_(e);
     return;
   }
+  var ScopeType = Blockly.ContextMenuRegistry.ScopeType;
+  var menuOptions = Blockly.ContextMenuRegistry.getOptions(
+      this.isInFlyout ? ScopeType.FLYOUT_BLOCK : ScopeType.BLOCK,
+      {workspace: this.workspace, block: this, event: e});
 
   // Allow the block to add or modify menuOptions.
   if (this.customContextMenu) {
@@ -1049,11 +1105,51 @@ Blockly.BlockSvg.prototype.dispose = function(healStack, animate) {
   Blockly.Field.stopCache();
 };
 
+/**
+ * Set whether the block is disabled or not.
+ * @param {boolean} disabled True if disabled.
+ */
+Blockly.BlockSvg.prototype.setDisabled = function(disabled) {
+  Blockly.BlockSvg.superClass_.setDisabled.call(this, disabled);
+  this.updateDisabled();
+};
+
 /**
  * Enable or disable a block.
  */
 Blockly.BlockSvg.prototype.updateDisabled = function() {
-  // not supported
+  if (!this.svgGroup_) {
+    return;
+  }
+  if (this.disabled) {
+    Blockly.utils.addClass(this.svgGroup_, 'blocklyDisabled');
+  } else {
+    Blockly.utils.removeClass(this.svgGroup_, 'blocklyDisabled');
+  }
+};
+
+/**
+ * Add this block to the bookmarks or remove it.
+ * @param {boolean} bookmarked True to bookmark the block.
+ */
+Blockly.BlockSvg.prototype.setBookmarked = function(bookmarked) {
+  Blockly.BlockSvg.superClass_.setBookmarked.call(this, bookmarked);
+  this.updateBookmarked_();
+};
+
+/**
+ * Mark or unmark the block as bookmarked.
+ * @private
+ */
+Blockly.BlockSvg.prototype.updateBookmarked_ = function() {
+  if (!this.svgGroup_) {
+    return;
+  }
+  if (this.bookmarked) {
+    Blockly.utils.addClass(this.svgGroup_, 'blocklyBookmarked');
+  } else {
+    Blockly.utils.removeClass(this.svgGroup_, 'blocklyBookmarked');
+  }
 };
 
 /**
@@ -1517,12 +1613,48 @@ Blockly.BlockSvg.prototype.fireIconsMoveEvent = function(iconData) {
   }
 };
 
-// powered by xigua start
-Blockly.BlockSvg.prototype.toggleHidden = function(hidden) {
-  this.hidden = hidden !== undefined ? hidden : !this.hidden;
-  this.render();
+/**
+ * Hide or show this block's stack, along with the comments of its blocks.
+ * @param {boolean} hidden True to hide the stack.
+ */
+Blockly.BlockSvg.prototype.setHidden = function(hidden) {
+  hidden = !!hidden;
+  if (this.hidden == hidden) {
+    return;
+  }
+  if (hidden && Blockly.selected && Blockly.selected.getRootBlock &&
+      Blockly.selected.getRootBlock() == this) {
+    Blockly.selected.unselect();
+  }
+  Blockly.BlockSvg.superClass_.setHidden.call(this, hidden);
+  var blocks = this.getDescendants(false);
+  for (var i = 0; i < blocks.length; i++) {
+    blocks[i].updateHiddenDisplay_();
+  }
+};
 
-  var BlockHiddenEvent = new Blockly.Events.BlockHidden(this, this.hidden);
-  Blockly.Events.fire(BlockHiddenEvent);
+/**
+ * Hide or show this block's stack.
+ * @param {boolean=} opt_hidden True to hide the stack, false to show it.
+ *     Defaults to the opposite of its current state.
+ */
+Blockly.BlockSvg.prototype.toggleHidden = function(opt_hidden) {
+  this.setHidden(opt_hidden !== undefined ? opt_hidden : !this.hidden);
+};
+
+/**
+ * Show or hide this block's SVG and comment bubble depending on whether its
+ * stack is hidden.  A top block is also hidden while out of view.
+ * @private
+ */
+Blockly.BlockSvg.prototype.updateHiddenDisplay_ = function() {
+  var hidden = this.getRootBlock().hidden;
+  if (this.parentBlock_) {
+    this.svgGroup_.style.display = '';
+  } else {
+    this.svgGroup_.style.display = hidden || !this.intersects_ ? 'none' : '';
+  }
+  if (this.comment && this.comment.bubble_) {
+    this.comment.bubble_.bubbleGroup_.style.display = hidden ? 'none' : '';
+  }
 };
-// powered by xigua end
@@ -31,6 +31,8 @@
 goog.provide('Blockly');
 
 goog.require('Blockly.BlockSvg.render');
+goog.require('Blockly.Clipboard');
+goog.require('Blockly.Collaboration');
 goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.Events');
 goog.require('Blockly.FieldAngle');
@@ -52,14 +54,21 @@ goog.require('Blockly.FieldNumberDropdown');
 goog.require('Blockly.FieldMatrix');
 goog.require('Blockly.FieldVariable');
 goog.require('Blockly.FieldVerticalSeparator');
+goog.require('Blockly.FrameSnippet');
 goog.require('Blockly.Generator');
+goog.require('Blockly.Json');
+goog.require('Blockly.Linter');
 goog.require('Blockly.Msg');
+goog.require('Blockly.navigation');
 goog.require('Blockly.Procedures');
 goog.require('Blockly.ScratchMsgs');
+goog.require('Blockly.SearchPanel');
+goog.require('Blockly.ShortcutRegistry');
 goog.require('Blockly.Toolbox');
 goog.require('Blockly.Touch');
 goog.require('Blockly.WidgetDiv');
 goog.require('Blockly.WorkspaceSvg');
+goog.require('Blockly.Worksheet');
 goog.require('Blockly.constants');
 goog.require('Blockly.inject');
 goog.require('Blockly.utils');
@@ -109,6 +118,13 @@ Blockly.clipboardXml_ = null;
  */
 Blockly.clipboardSource_ = null;
 
+/**
+ * Contents of the local clipboard after copying a batch selection.
+ * @type {Array.<!Element>}
+ * @private
+ */
+Blockly.clipboardBatchXml_ = null;
+
 /**
  * Cached value for whether 3D is supported.
  * @type {!boolean}
@@ -187,124 +203,36 @@ Blockly.svgResize = function(workspace) {
 // TODO (https://github.com/google/blockly/issues/1998) handle cases where there are multiple workspaces
 // and non-main workspaces are able to accept input.
 Blockly.onKeyDown_ = function(e) {
-  const {options, isWorkspaceFocused} = Blockly.mainWorkspace;
-  if (options.readOnly || Blockly.utils.isTargetInput(e)
-      || (Blockly.mainWorkspace.rendered && !Blockly.mainWorkspace.isVisible())) {
+  const workspace = Blockly.mainWorkspace;
+  const ScopeType = Blockly.ShortcutRegistry.ScopeType;
+  if (workspace.options.readOnly
+      || (workspace.rendered && !workspace.isVisible())) {
     // No key actions on readonly workspaces.
-    // When focused on an HTML text input widget, don't trap any keys.
     // Ignore keypresses on rendered workspaces that have been explicitly
     // hidden.
     return;
   }
-  let deleteTarget = false;
-  if (e.keyCode == 27) {
-    // Pressing esc closes the context menu and any drop-down
-    Blockly.hideChaff();
-    Blockly.DropDownDiv.hide();
-    // Pressing esc cancel frame creation
-    Blockly.mainWorkspace.setWaitingCreateFrameEnabled(false);
-  } else if (!Blockly.locked && e.keyCode == 65 && ((e.metaKey && goog.userAgent.MAC) || (e.ctrlKey  && goog.userAgent.WINDOWS)) && options.frames && isWorkspaceFocused) {
-    // Don't attempt to create a frame during drags.
-    if (Blockly.mainWorkspace.isDragging() || Blockly.mainWorkspace.resizingFrame) {
-      return;
+  if (Blockly.utils.isTargetInput(e)) {
+    // When focused on an HTML text input widget, don't trap any keys, unless
+    // a shortcut was registered for field editors.
+    if (Blockly.WidgetDiv.DIV && Blockly.WidgetDiv.DIV.contains(e.target)) {
+      Blockly.ShortcutRegistry.onKeyDown(workspace, e, ScopeType.FIELD_EDITOR);
     }
-    // Prevent triggering select all.
-    e.preventDefault();
-    Blockly.mainWorkspace.setWaitingCreateFrameEnabled(true);
-  }  else if (e.keyCode == 8 || e.keyCode == 46) {
-    // Delete or backspace.
-    // Stop the browser from going back to the previous page.
-    // Do this first to prevent an error in the delete code from resulting in
-    // data loss.
+    return;
+  }
+  if (Blockly.navigation.onKeyPress(e, workspace)) {
     e.preventDefault();
-    // Don't allow delete while the batchSelector is running.
-    if (Blockly.batchSelectedElements &&
-          (Object.keys(Blockly.batchSelectedElements[0]).length > 0 ||
-          (Object.keys(Blockly.batchSelectedElements[1])).length > 0)) {
-      return;
-    }
-    // Don't delete while dragging.  Jeez.
-    if (Blockly.mainWorkspace.isDragging() || Blockly.mainWorkspace.resizingFrame) {
-      return;
-    }
-
-    if (Blockly.selected && Blockly.selected.isDeletable()) {
-      deleteTarget = true;
-    }
-  }else if (e.altKey || e.ctrlKey || e.metaKey) {
-    // Don't allow delete while the batchSelector is running.
-    if (Blockly.batchSelectedElements &&
-      (Object.keys(Blockly.batchSelectedElements[0]).length > 0 ||
-      (Object.keys(Blockly.batchSelectedElements[1])).length > 0)) {
-      return;
-    }
-    // Don't use meta keys during drags.
-    if (Blockly.mainWorkspace.isDragging() || Blockly.mainWorkspace.resizingFrame) {
-      return;
-    }
-    if (Blockly.selected &&
-        Blockly.selected.isDeletable() && Blockly.selected.isMovable()) {
-      // Don't allow copying immovable or undeletable blocks. The next step
-      // would be to paste, which would create additional undeletable/immovable
-      // blocks on the workspace.
-      if (e.keyCode == 67) {
-        // 'c' for copy.
-        Blockly.hideChaff();
-        Blockly.copy_(Blockly.selected);
-        Blockly.clipboardBatchElements = null;
-      } else if (e.keyCode == 88 && !Blockly.selected.workspace.isFlyout) {
-        // 'x' for cut, but not in a flyout.
-        // Don't even copy the selected item in the flyout.
-        Blockly.copy_(Blockly.selected);
-        deleteTarget = true;
-      }
-    }
-    if (e.keyCode == 86) {
-      // 'v' for paste.
-      if (Blockly.clipboardBatchElements && Blockly.clipboardBatchElements.length > 0) {
-        return;
-      }
-      if (Blockly.clipboardXml_) {
-        Blockly.Events.setGroup(true);
-        // Pasting always pastes to the main workspace, even if the copy started
-        // in a flyout workspace.
-        var workspace = Blockly.clipboardSource_;
-        if (workspace.isFlyout) {
-          workspace = workspace.targetWorkspace;
-        }
-        workspace.paste(Blockly.clipboardXml_);
-        Blockly.Events.setGroup(false);
-      }
-    } else if (e.keyCode == 90) {
-      // 'z' for undo 'Z' is for redo.
-      Blockly.hideChaff();
-      Blockly.mainWorkspace.undo(e.shiftKey);
-    }
+    return;
   }
-  // Common code for delete and cut.
-  // Don't delete in the flyout.
-  if (deleteTarget && !Blockly.selected.workspace.isFlyout) {
-    Blockly.Events.setGroup(true);
-    Blockly.hideChaff();
-    if (Blockly.selected instanceof Blockly.Frame) {
-      Blockly.selected.dispose();
-    } else {
-      if (Blockly.selected instanceof Blockly.BlockSvg) {
-        const block = Blockly.selected;
-        if (block.type === Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE) {
-          const procCode = block.childBlocks_[0].getProcCode();
-          const callers = Blockly.Procedures.getCallers(procCode, block.workspace, block, false /* allowRecursive */);
-          if (callers.length > 0) {
-            alert(Blockly.Msg.PROCEDURE_USED);
-            Blockly.Events.setGroup(false);
-            return;
-          }
-        }
-      }
-      Blockly.selected.dispose(/* heal */ true, true);
-    }
-    Blockly.Events.setGroup(false);
+  const selected = Blockly.selected;
+  if (selected && selected.workspace && selected.workspace.isFlyout &&
+      Blockly.ShortcutRegistry.onKeyDown(selected.workspace, e,
+          ScopeType.FLYOUT)) {
+    return;
   }
+  // Shortcuts of the workspace still apply while a block of the flyout is
+  // selected.
+  Blockly.ShortcutRegistry.onKeyDown(workspace, e, ScopeType.WORKSPACE);
 };
 
 /**
@@ -325,6 +253,7 @@ Blockly.copy_ = function(toCopy) {
     xml.setAttribute('x', toCopy.RTL ? -xy.x : xy.x);
     xml.setAttribute('y', xy.y);
   }
+  Blockly.Xml.removeBookmarks(xml);
   Blockly.clipboardXml_ = xml;
   Blockly.clipboardSource_ = toCopy.workspace;
 };
@@ -390,8 +319,11 @@ Blockly.hideChaffOnResize = function(opt_allowToolbox) {
 Blockly.hideChaffInternal_ = function(opt_allowToolbox) {
   Blockly.Tooltip.hide();
   Blockly.DropDownDiv.hideWithoutAnimation();
+  var workspace = Blockly.getMainWorkspace();
+  if (workspace.trashcan) {
+    workspace.trashcan.closeFlyout();
+  }
   if (!opt_allowToolbox) {
-    var workspace = Blockly.getMainWorkspace();
     if (workspace.toolbox_ &&
         workspace.toolbox_.flyout_ &&
         workspace.toolbox_.flyout_.autoClose) {
@@ -0,0 +1,216 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Panel listing the bookmarked blocks and frames of the main
+ * workspace, so that the user can jump back to them.
+ */
+'use strict';
+
+/**
+ * @name Blockly.BookmarksPanel
+ * @namespace
+ */
+goog.provide('Blockly.BookmarksPanel');
+
+goog.require('Blockly.Frame');
+
+goog.require('goog.dom');
+
+
+/**
+ * Whether the panel is currently shown.
+ * @type {boolean}
+ */
+Blockly.BookmarksPanel.isOpen = false;
+
+/**
+ * Maximum length of the text describing a bookmark.
+ * @const {number}
+ */
+Blockly.BookmarksPanel.NAME_LENGTH = 40;
+
+/**
+ * The workspace whose bookmarks are listed while the panel is open.
+ * @type {Blockly.WorkspaceSvg}
+ * @private
+ */
+Blockly.BookmarksPanel.workspace_ = null;
+
+/**
+ * The bookmarked frames and blocks listed in the panel.
+ * @type {!Array.<!Blockly.Frame|!Blockly.BlockSvg>}
+ * @private
+ */
+Blockly.BookmarksPanel.bookmarks_ = [];
+
+/**
+ * Create the panel's DOM.  Only needs to be called once.
+ */
+Blockly.BookmarksPanel.createDom = function() {
+  if (this.panelRoot_) {
+    return;  // Already created.
+  }
+  this.panelRoot_ = goog.dom.createDom('div',
+      'blocklyBookmarksPanel blocklyBookmarksPanelHidden');
+  var title = goog.dom.createDom('div', 'blocklyBookmarksTitle',
+      Blockly.Msg.BOOKMARKS_TITLE);
+  this.list_ = goog.dom.createDom('div', 'blocklyBookmarksList');
+
+  var buttonRow = goog.dom.createDom('div', 'blocklyBookmarksButtons');
+  buttonRow.appendChild(this.createButton_(Blockly.Msg.BOOKMARKS_CLOSE,
+      this.hide));
+
+  this.panelRoot_.appendChild(title);
+  this.panelRoot_.appendChild(this.list_);
+  this.panelRoot_.appendChild(buttonRow);
+  Blockly.bindEvent_(this.list_, 'click', this, this.onListClick_);
+
+  document.body.appendChild(this.panelRoot_);
+};
+
+/**
+ * Create one of the panel's buttons.
+ * @param {string} text Text of the button.
+ * @param {Function} func Function to call when the button is clicked, or null
+ *     if the list handles the click.
+ * @return {!Element} The button.
+ * @private
+ */
+Blockly.BookmarksPanel.createButton_ = function(text, func) {
+  var button = goog.dom.createDom('button', 'blocklyBookmarksButton', text);
+  button.setAttribute('type', 'button');
+  if (func) {
+    Blockly.bindEvent_(button, 'click', this, func);
+  }
+  return button;
+};
+
+/**
+ * Show the panel over a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace whose bookmarks to
+ *     list.
+ */
+Blockly.BookmarksPanel.show = function(workspace) {
+  this.workspace_ = workspace;
+  this.isOpen = true;
+  this.render_();
+  this.position_(workspace);
+  Blockly.utils.removeClass(this.panelRoot_, 'blocklyBookmarksPanelHidden');
+};
+
+/**
+ * Hide the panel.
+ */
+Blockly.BookmarksPanel.hide = function() {
+  if (!this.isOpen) {
+    return;
+  }
+  this.isOpen = false;
+  Blockly.utils.addClass(this.panelRoot_, 'blocklyBookmarksPanelHidden');
+  this.workspace_ = null;
+  this.bookmarks_ = [];
+};
+
+/**
+ * List the bookmarks, each with a button to go to it and one to remove it.
+ * @private
+ */
+Blockly.BookmarksPanel.render_ = function() {
+  var list = this.list_;
+  goog.dom.removeChildren(list);
+  this.bookmarks_ = this.workspace_.getBookmarks();
+  for (var i = 0, bookmark; bookmark = this.bookmarks_[i]; i++) {
+    var name = goog.dom.createDom('span', 'blocklyBookmarksName',
+        Blockly.BookmarksPanel.getName_(bookmark));
+    var goButton = this.createButton_(Blockly.Msg.BOOKMARKS_GO, null);
+    goButton.setAttribute('data-index', i);
+    goButton.setAttribute('data-action', 'go');
+    var removeButton = this.createButton_(Blockly.Msg.BOOKMARKS_REMOVE, null);
+    removeButton.setAttribute('data-index', i);
+    removeButton.setAttribute('data-action', 'remove');
+    list.appendChild(goog.dom.createDom('div', 'blocklyBookmarksRow', name,
+        goButton, removeButton));
+  }
+  if (!this.bookmarks_.length) {
+    list.appendChild(goog.dom.createDom('div', 'blocklyBookmarksEmpty',
+        Blockly.Msg.BOOKMARKS_NOTHING));
+  }
+};
+
+/**
+ * Get the text describing a bookmark.
+ * @param {!Blockly.Frame|!Blockly.BlockSvg} bookmark The frame or block.
+ * @return {string} The text.
+ * @private
+ */
+Blockly.BookmarksPanel.getName_ = function(bookmark) {
+  var maxLength = Blockly.BookmarksPanel.NAME_LENGTH;
+  if (bookmark instanceof Blockly.Frame) {
+    var title = bookmark.title || '';
+    return title.length > maxLength ?
+        title.substring(0, maxLength - 3) + '...' : title;
+  }
+  return bookmark.toString(maxLength);
+};
+
+/**
+ * Go to a bookmark, or remove it, when one of its buttons is clicked.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.BookmarksPanel.onListClick_ = function(e) {
+  var index = e.target.getAttribute('data-index');
+  if (index === null) {
+    return;
+  }
+  var bookmark = this.bookmarks_[index];
+  if (!bookmark.workspace) {  // The bookmark has been deleted.
+    this.render_();
+    return;
+  }
+  if (e.target.getAttribute('data-action') == 'remove') {
+    bookmark.setBookmarked(false);
+    this.render_();
+    return;
+  }
+  var workspace = this.workspace_;
+  this.hide();
+  if (bookmark instanceof Blockly.Frame) {
+    workspace.centerOnFrame(bookmark.id);
+  } else {
+    workspace.centerOnBlock(bookmark.id);
+  }
+  bookmark.select();
+};
+
+/**
+ * Position the panel in the middle of the workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace being listed.
+ * @private
+ */
+Blockly.BookmarksPanel.position_ = function(workspace) {
+  var bounds = workspace.getParentSvg().getBoundingClientRect();
+  var size = this.panelRoot_.getBoundingClientRect();
+  var left = bounds.left + (bounds.width - size.width) / 2;
+  var top = bounds.top + (bounds.height - size.height) / 2;
+  this.panelRoot_.style.left = Math.max(left, 0) + 'px';
+  this.panelRoot_.style.top = Math.max(top, 0) + 'px';
+};
@@ -0,0 +1,250 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Panel listing the unused items of the main workspace, so that
+ * the user can pick which ones to delete.
+ */
+'use strict';
+
+/**
+ * @name Blockly.CleanupPanel
+ * @namespace
+ */
+goog.provide('Blockly.CleanupPanel');
+
+goog.require('Blockly.WorkspaceCleanup');
+
+goog.require('goog.dom');
+
+
+/**
+ * Whether the panel is currently shown.
+ * @type {boolean}
+ */
+Blockly.CleanupPanel.isOpen = false;
+
+/**
+ * The workspace being tidied while the panel is open.
+ * @type {Blockly.WorkspaceSvg}
+ * @private
+ */
+Blockly.CleanupPanel.workspace_ = null;
+
+/**
+ * The unused items listed in the panel.
+ * @type {!Array.<!Blockly.WorkspaceCleanup.Item>}
+ * @private
+ */
+Blockly.CleanupPanel.items_ = [];
+
+/**
+ * Create the panel's DOM.  Only needs to be called once.
+ */
+Blockly.CleanupPanel.createDom = function() {
+  if (this.panelRoot_) {
+    return;  // Already created.
+  }
+  this.panelRoot_ = goog.dom.createDom('div',
+      'blocklyCleanupPanel blocklyCleanupPanelHidden');
+
+  var title = goog.dom.createDom('div', 'blocklyCleanupTitle',
+      Blockly.Msg.CLEANUP_TITLE);
+  this.includeGlobalInput_ = this.createCheckbox_(
+      Blockly.Msg.CLEANUP_INCLUDE_GLOBAL, this.panelRoot_);
+  this.includeCloudInput_ = this.createCheckbox_(
+      Blockly.Msg.CLEANUP_INCLUDE_CLOUD, this.panelRoot_);
+  this.list_ = goog.dom.createDom('div', 'blocklyCleanupList');
+
+  var buttonRow = goog.dom.createDom('div', 'blocklyCleanupButtons');
+  this.deleteButton_ = this.createButton_(Blockly.Msg.CLEANUP_DELETE,
+      this.deleteSelected_);
+  buttonRow.appendChild(this.createButton_(Blockly.Msg.CLEANUP_CANCEL,
+      this.hide));
+  buttonRow.appendChild(this.deleteButton_);
+
+  this.panelRoot_.insertBefore(title, this.panelRoot_.firstChild);
+  this.panelRoot_.appendChild(this.list_);
+  this.panelRoot_.appendChild(buttonRow);
+
+  Blockly.bindEvent_(this.includeGlobalInput_, 'change', this, this.render_);
+  Blockly.bindEvent_(this.includeCloudInput_, 'change', this, this.render_);
+  Blockly.bindEvent_(this.list_, 'change', this, this.updateDeleteButton_);
+  Blockly.bindEvent_(this.list_, 'click', this, this.onListClick_);
+
+  document.body.appendChild(this.panelRoot_);
+};
+
+/**
+ * Create a labelled checkbox.
+ * @param {string} text Text of the label.
+ * @param {!Element} parent Element to add the label to.
+ * @return {!Element} The checkbox.
+ * @private
+ */
+Blockly.CleanupPanel.createCheckbox_ = function(text, parent) {
+  var input = goog.dom.createDom('input');
+  input.setAttribute('type', 'checkbox');
+  var label = goog.dom.createDom('label', 'blocklyCleanupOption', input, text);
+  parent.appendChild(label);
+  return input;
+};
+
+/**
+ * Create one of the panel's buttons.
+ * @param {string} text Text of the button.
+ * @param {!Function} func Function to call when the button is clicked.
+ * @return {!Element} The button.
+ * @private
+ */
+Blockly.CleanupPanel.createButton_ = function(text, func) {
+  var button = goog.dom.createDom('button', 'blocklyCleanupButton', text);
+  button.setAttribute('type', 'button');
+  Blockly.bindEvent_(button, 'click', this, func);
+  return button;
+};
+
+/**
+ * Show the panel over a workspace, with everything unused selected.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to tidy.
+ */
+Blockly.CleanupPanel.show = function(workspace) {
+  this.workspace_ = workspace;
+  this.isOpen = true;
+  this.render_();
+  this.position_(workspace);
+  Blockly.utils.removeClass(this.panelRoot_, 'blocklyCleanupPanelHidden');
+};
+
+/**
+ * Hide the panel without deleting anything.
+ */
+Blockly.CleanupPanel.hide = function() {
+  if (!this.isOpen) {
+    return;
+  }
+  this.isOpen = false;
+  Blockly.utils.addClass(this.panelRoot_, 'blocklyCleanupPanelHidden');
+  this.workspace_ = null;
+  this.items_ = [];
+};
+
+/**
+ * List the unused items by kind, each with a checkbox.
+ * @private
+ */
+Blockly.CleanupPanel.render_ = function() {
+  var list = this.list_;
+  goog.dom.removeChildren(list);
+  this.items_ = Blockly.WorkspaceCleanup.findUnused(this.workspace_, {
+    'includeGlobal': this.includeGlobalInput_.checked,
+    'includeCloud': this.includeCloudInput_.checked
+  });
+  var headings = {
+    'variable': Blockly.Msg.CLEANUP_VARIABLES,
+    'list': Blockly.Msg.CLEANUP_LISTS,
+    'broadcast': Blockly.Msg.CLEANUP_BROADCASTS,
+    'procedure': Blockly.Msg.CLEANUP_PROCEDURES
+  };
+  var kind = null;
+  for (var i = 0, item; item = this.items_[i]; i++) {
+    if (item.kind != kind) {
+      kind = item.kind;
+      list.appendChild(goog.dom.createDom('div', 'blocklyCleanupHeading',
+          headings[kind]));
+    }
+    var input = goog.dom.createDom('input');
+    input.setAttribute('type', 'checkbox');
+    input.setAttribute('data-index', i);
+    input.checked = true;
+    var name = goog.dom.createDom('span', 'blocklyCleanupName', item.name);
+    name.setAttribute('data-index', i);
+    list.appendChild(goog.dom.createDom('label', 'blocklyCleanupOption', input,
+        name));
+  }
+  if (!this.items_.length) {
+    list.appendChild(goog.dom.createDom('div', 'blocklyCleanupEmpty',
+        Blockly.Msg.CLEANUP_NOTHING));
+  }
+  this.updateDeleteButton_();
+};
+
+/**
+ * Get the items whose checkbox is ticked.
+ * @return {!Array.<!Blockly.WorkspaceCleanup.Item>} The selected items.
+ * @private
+ */
+Blockly.CleanupPanel.getSelected_ = function() {
+  var items = this.items_;
+  var inputs = this.list_.querySelectorAll('input');
+  return Array.prototype.filter.call(inputs, function(input) {
+    return input.checked;
+  }).map(function(input) {
+    return items[input.getAttribute('data-index')];
+  });
+};
+
+/**
+ * Only allow deleting when something is selected.
+ * @private
+ */
+Blockly.CleanupPanel.updateDeleteButton_ = function() {
+  this.deleteButton_.disabled = !this.getSelected_().length;
+};
+
+/**
+ * Show the definition of a custom block when its name is clicked.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.CleanupPanel.onListClick_ = function(e) {
+  if (!Blockly.utils.hasClass(e.target, 'blocklyCleanupName')) {
+    return;
+  }
+  var item = this.items_[e.target.getAttribute('data-index')];
+  if (item.kind == 'procedure') {
+    // Don't tick or untick the checkbox.
+    e.preventDefault();
+    this.workspace_.centerOnBlock(item.id);
+  }
+};
+
+/**
+ * Delete the selected items and hide the panel.
+ * @private
+ */
+Blockly.CleanupPanel.deleteSelected_ = function() {
+  Blockly.WorkspaceCleanup.deleteUnused(this.workspace_, this.getSelected_());
+  this.hide();
+};
+
+/**
+ * Position the panel in the middle of the workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace being tidied.
+ * @private
+ */
+Blockly.CleanupPanel.position_ = function(workspace) {
+  var bounds = workspace.getParentSvg().getBoundingClientRect();
+  var size = this.panelRoot_.getBoundingClientRect();
+  var left = bounds.left + (bounds.width - size.width) / 2;
+  var top = bounds.top + (bounds.height - size.height) / 2;
+  this.panelRoot_.style.left = Math.max(left, 0) + 'px';
+  this.panelRoot_.style.top = Math.max(top, 0) + 'px';
+};
@@ -0,0 +1,448 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Clipboard shared between workspaces, pages and browser tabs.
+ * Copying a block, frame or workspace comment writes a clipboard document to
+ * the system clipboard: the XML of the copied item together with the
+ * variables and procedure definitions it depends on, and a plain text
+ * rendering.  A PNG image of copied blocks can be added with
+ * Blockly.Clipboard.copyImage.  Pasting a clipboard document into another
+ * workspace creates or merges those variables and procedures first.
+ * The system clipboard is written and read through the page's copy, cut and
+ * paste events, which need no permission.
+ */
+'use strict';
+
+/**
+ * @name Blockly.Clipboard
+ * @namespace
+ **/
+goog.provide('Blockly.Clipboard');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Frame');
+goog.require('Blockly.FrameSnippet');
+goog.require('Blockly.SvgExport');
+goog.require('Blockly.utils');
+goog.require('Blockly.Xml');
+
+goog.require('goog.dom');
+
+
+/**
+ * MIME type of clipboard documents.
+ * @const {string}
+ */
+Blockly.Clipboard.MIME_TYPE = 'application/x-blockly+xml';
+
+/**
+ * Name of the system clipboard format holding clipboard documents.  Browsers
+ * only accept custom formats with the "web " prefix.
+ * @const {string}
+ * @private
+ */
+Blockly.Clipboard.WEB_MIME_TYPE_ = 'web ' + Blockly.Clipboard.MIME_TYPE;
+
+/**
+ * Attribute of the root of a clipboard document.  Its value identifies the
+ * copy, so that a document read back from the system clipboard can be
+ * recognized as the last copy made on this page.
+ * @const {string}
+ */
+Blockly.Clipboard.STAMP_ATTRIBUTE = 'blockly-clipboard';
+
+/**
+ * Whether copying blocks also puts a PNG image of them on the system
+ * clipboard.  Rendering the image embeds the fonts and images the blocks use,
+ * so it is left out unless asked for.
+ * @type {boolean}
+ */
+Blockly.Clipboard.copyImage = false;
+
+/**
+ * Clipboard document of the last copy made on this page.
+ * @type {Element}
+ * @private
+ */
+Blockly.Clipboard.xml_ = null;
+
+/**
+ * What the copy being made writes to the system clipboard, once the page's
+ * copy or cut event comes.  Null when no copy is waiting for it.
+ * @type {?{xml: string, text: string}}
+ * @private
+ */
+Blockly.Clipboard.pendingCopy_ = null;
+
+/**
+ * The workspace waiting for the page's paste event, or null.
+ * @type {Blockly.WorkspaceSvg}
+ * @private
+ */
+Blockly.Clipboard.pendingPaste_ = null;
+
+/**
+ * Whether the system clipboard may have been written outside this page since
+ * its last copy.  The page can't know without reading the system clipboard,
+ * so this is assumed whenever the page loses the focus.
+ * @type {boolean}
+ * @private
+ */
+Blockly.Clipboard.mayBeForeign_ = true;
+
+/**
+ * Copy a block, frame or workspace comment onto the local clipboard and the
+ * system clipboard.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg}
+ *     toCopy The item to copy.
+ */
+Blockly.Clipboard.copy = function(toCopy) {
+  Blockly.copy_(toCopy);
+  var xml = Blockly.Clipboard.toXml(toCopy);
+  var xmlText = Blockly.Xml.domToText(xml);
+  Blockly.Clipboard.xml_ = xml;
+  Blockly.Clipboard.mayBeForeign_ = false;
+  if (Blockly.Clipboard.copyImage && !toCopy.isComment &&
+      !(toCopy instanceof Blockly.Frame)) {
+    Blockly.Clipboard.writeImage_(xmlText, Blockly.SvgExport.toPng(toCopy,
+        {'scale': window.devicePixelRatio || 1}));
+    return;
+  }
+  var pending = {xml: xmlText, text: Blockly.Clipboard.toText(toCopy)};
+  Blockly.Clipboard.pendingCopy_ = pending;
+  // The copy event follows the key press right away.  Browsers that only
+  // fire it when text is selected get the document as plain text instead.
+  setTimeout(function() {
+    if (Blockly.Clipboard.pendingCopy_ == pending) {
+      Blockly.Clipboard.pendingCopy_ = null;
+      Blockly.Clipboard.writeText_(xmlText);
+    }
+  });
+};
+
+/**
+ * Paste the local clipboard into a workspace, as one undo step.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ */
+Blockly.Clipboard.paste = function(workspace) {
+  Blockly.Events.setGroup(true);
+  try {
+    Blockly.Clipboard.pasteLocal_(workspace);
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+};
+
+/**
+ * Paste into a workspace in answer to the paste shortcut.  The local
+ * clipboard is pasted right away, unless the system clipboard may hold a
+ * clipboard document from another page.  Then the page's paste event, which
+ * follows the key press, decides what to paste.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ * @package
+ */
+Blockly.Clipboard.pasteShortcut = function(workspace) {
+  if (!Blockly.Clipboard.mayBeForeign_) {
+    Blockly.Clipboard.paste(workspace);
+    return;
+  }
+  Blockly.Clipboard.pendingPaste_ = workspace;
+  // Remapped shortcuts and some browsers don't fire a paste event.
+  setTimeout(function() {
+    if (Blockly.Clipboard.pendingPaste_ == workspace) {
+      Blockly.Clipboard.pendingPaste_ = null;
+      if (workspace.rendered) {
+        Blockly.Clipboard.paste(workspace);
+      }
+    }
+  });
+};
+
+/**
+ * Write the copy being made to the system clipboard, when the page's copy or
+ * cut event comes.
+ * @param {!Event} e Copy or cut event.
+ * @package
+ */
+Blockly.Clipboard.onCopy = function(e) {
+  var pending = Blockly.Clipboard.pendingCopy_;
+  if (!pending || !e.clipboardData) {
+    return;
+  }
+  Blockly.Clipboard.pendingCopy_ = null;
+  e.clipboardData.setData(Blockly.Clipboard.MIME_TYPE, pending.xml);
+  e.clipboardData.setData('text/plain', pending.text);
+  e.preventDefault();
+};
+
+/**
+ * Paste what the page's paste event holds, if the paste shortcut is waiting
+ * for it: a clipboard document from another page, or else the local
+ * clipboard.
+ * @param {!Event} e Paste event.
+ * @package
+ */
+Blockly.Clipboard.onPaste = function(e) {
+  var workspace = Blockly.Clipboard.pendingPaste_;
+  if (!workspace) {
+    return;
+  }
+  Blockly.Clipboard.pendingPaste_ = null;
+  e.preventDefault();
+  if (!workspace.rendered) {
+    return;
+  }
+  var data = e.clipboardData;
+  var xml = data && Blockly.Clipboard.textToXml_(
+      data.getData(Blockly.Clipboard.MIME_TYPE) || data.getData('text/plain'));
+  var localXml = Blockly.Clipboard.xml_;
+  if (xml && (!localXml || xml.getAttribute(Blockly.Clipboard.STAMP_ATTRIBUTE) !=
+      localXml.getAttribute(Blockly.Clipboard.STAMP_ATTRIBUTE))) {
+    Blockly.Events.setGroup(true);
+    try {
+      workspace.paste(xml);
+    } finally {
+      Blockly.Events.setGroup(false);
+    }
+  } else {
+    Blockly.Clipboard.paste(workspace);
+  }
+  // Pasting again pastes the same, until the page loses the focus.
+  Blockly.Clipboard.mayBeForeign_ = false;
+};
+
+/**
+ * Note that the system clipboard may be written elsewhere while the page
+ * doesn't have the focus.
+ * @package
+ */
+Blockly.Clipboard.onBlur = function() {
+  Blockly.Clipboard.mayBeForeign_ = true;
+};
+
+/**
+ * Paste the local clipboard.  Items copied from the same workspace are pasted
+ * as they are; items copied from another workspace bring their variables and
+ * procedures along.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ * @private
+ */
+Blockly.Clipboard.pasteLocal_ = function(workspace) {
+  if (!Blockly.clipboardXml_) {
+    return;
+  }
+  var source = Blockly.clipboardSource_;
+  // Pasting always pastes to the main workspace, even if the copy started
+  // in a flyout workspace.
+  if (source.isFlyout) {
+    source = source.targetWorkspace;
+  }
+  if (source == workspace || !Blockly.Clipboard.xml_) {
+    workspace.paste(Blockly.clipboardXml_);
+  } else {
+    workspace.paste(Blockly.Clipboard.xml_);
+  }
+};
+
+/**
+ * Encode a block, frame or workspace comment as a clipboard document.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg}
+ *     toCopy The item to encode.
+ * @return {!Element} The clipboard document.
+ */
+Blockly.Clipboard.toXml = function(toCopy) {
+  var blocks = [];
+  var content = goog.dom.createDom('clipboard');
+  if (toCopy.isComment) {
+    content.appendChild(toCopy.toXmlWithXY());
+  } else if (toCopy instanceof Blockly.Frame) {
+    content.appendChild(Blockly.Xml.frameToDom(toCopy, true));
+    [toCopy].concat(toCopy.getDescendantFrames()).forEach(function(frame) {
+      Object.values(frame.blockDB_).forEach(function(block) {
+        blocks = blocks.concat(block.getDescendants(false));
+      });
+    });
+  } else {
+    var xmlBlock = Blockly.Xml.blockToDom(toCopy);
+    var xy = toCopy.getRelativeToSurfaceXY();
+    xmlBlock.setAttribute('x', toCopy.RTL ? -xy.x : xy.x);
+    xmlBlock.setAttribute('y', xy.y);
+    content.appendChild(xmlBlock);
+    blocks = toCopy.getDescendants(false);
+  }
+  Blockly.Xml.removeBookmarks(content);
+
+  var dependencies = Blockly.FrameSnippet.getDependencies(blocks, toCopy.workspace);
+  var xml = goog.dom.createDom('xml');
+  xml.setAttribute(Blockly.Clipboard.STAMP_ATTRIBUTE, Blockly.utils.genUid());
+  xml.appendChild(Blockly.Xml.variablesToDom(dependencies.variables));
+  dependencies.definitions.forEach(function(definition) {
+    xml.appendChild(Blockly.Xml.blockToDomWithXY(definition));
+  });
+  if (dependencies.globalProcedures.length) {
+    var procedures = goog.dom.createDom('procedures');
+    dependencies.globalProcedures.forEach(function(mutation) {
+      procedures.appendChild(mutation.cloneNode(true));
+    });
+    xml.appendChild(procedures);
+  }
+  xml.appendChild(content);
+  return xml;
+};
+
+/**
+ * Whether an XML element is a clipboard document.
+ * @param {!Element} xml XML element.
+ * @return {boolean} True if the element was made by Blockly.Clipboard.toXml.
+ */
+Blockly.Clipboard.isClipboardXml = function(xml) {
+  return xml.nodeName.toLowerCase() == 'xml' &&
+      xml.hasAttribute(Blockly.Clipboard.STAMP_ATTRIBUTE);
+};
+
+/**
+ * Create the variables and procedures of a clipboard document in a
+ * workspace, merging them with those of the same name.
+ * @param {!Element} xml Clipboard document.  Modified in place.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to paste into.
+ * @return {Element} The XML of the copied block, frame or comment, pointing
+ *     at the variables and procedures of the workspace.
+ * @package
+ */
+Blockly.Clipboard.importXml = function(xml, workspace) {
+  Blockly.FrameSnippet.importDependencies(xml, workspace);
+  var content = xml.getElementsByTagName('clipboard')[0];
+  return content ? content.firstElementChild : null;
+};
+
+/**
+ * Render a block, frame or workspace comment as plain text.  Each block is on
+ * its own line, and the blocks inside a C-block are indented.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg}
+ *     toCopy The item to render.
+ * @return {string} The text.
+ */
+Blockly.Clipboard.toText = function(toCopy) {
+  if (toCopy.isComment) {
+    return toCopy.getText();
+  }
+  var lines = [];
+  if (toCopy instanceof Blockly.Frame) {
+    lines.push(toCopy.title);
+    toCopy.workspace.getTopBlocks(true).forEach(function(block) {
+      if (toCopy.blockDB_[block.id]) {
+        Blockly.Clipboard.stackToLines_(block, '  ', lines);
+      }
+    });
+  } else {
+    Blockly.Clipboard.stackToLines_(toCopy, '', lines);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Render a stack of blocks as lines of text.
+ * @param {!Blockly.Block} block The first block of the stack.
+ * @param {string} indent Indentation of the stack.
+ * @param {!Array.<string>} lines List of lines to add to.
+ * @private
+ */
+Blockly.Clipboard.stackToLines_ = function(block, indent, lines) {
+  for (; block; block = block.getNextBlock()) {
+    lines.push(indent + Blockly.utils.getBlockText(block));
+    for (var i = 0, input; input = block.inputList[i]; i++) {
+      var target = input.type == Blockly.NEXT_STATEMENT &&
+          input.connection.targetBlock();
+      if (target) {
+        Blockly.Clipboard.stackToLines_(target, indent + '  ', lines);
+      }
+    }
+  }
+};
+
+/**
+ * Write a clipboard document to the system clipboard as plain text.
+ * @param {string} xmlText The clipboard document.
+ * @private
+ */
+Blockly.Clipboard.writeText_ = function(xmlText) {
+  var clipboard = navigator.clipboard;
+  if (!clipboard || !clipboard.writeText) {
+    // Not a secure context.  Only the local clipboard is available.
+    return;
+  }
+  clipboard.writeText(xmlText).catch(function(e) {
+    console.warn('Could not write to the system clipboard.', e);
+  });
+};
+
+/**
+ * Write a clipboard document to the system clipboard along with a PNG image
+ * of the copied blocks.  The document is written as plain text, since the
+ * paste event can't read custom formats written this way.
+ * @param {string} xmlText The clipboard document.
+ * @param {!Promise.<!Blob>} image Promise of a PNG image of the blocks.
+ * @private
+ */
+Blockly.Clipboard.writeImage_ = function(xmlText, image) {
+  var clipboard = navigator.clipboard;
+  var ClipboardItem = window.ClipboardItem;
+  if (!clipboard || !clipboard.write || !ClipboardItem) {
+    Blockly.Clipboard.writeText_(xmlText);
+    return;
+  }
+  var text = new Blob([xmlText], {type: 'text/plain'});
+  clipboard.write([new ClipboardItem({'text/plain': text, 'image/png': image})])
+      .catch(function() {
+        // The image may fail to render; the blocks are what matters.
+        Blockly.Clipboard.writeText_(xmlText);
+      });
+};
+
+/**
+ * Decode a clipboard document.
+ * @param {?string} text Text read from the system clipboard.
+ * @return {Element} The clipboard document, or null if the text is not one.
+ * @private
+ */
+Blockly.Clipboard.textToXml_ = function(text) {
+  if (!text || text.indexOf(Blockly.Clipboard.STAMP_ATTRIBUTE) == -1) {
+    return null;
+  }
+  try {
+    var xml = Blockly.Xml.textToDom(text);
+  } catch (e) {
+    return null;
+  }
+  return Blockly.Clipboard.isClipboardXml(xml) ? xml : null;
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['Clipboard']) {
+  goog.global['Blockly']['Clipboard'] = {};
+}
+goog.global['Blockly']['Clipboard']['copy'] = Blockly.Clipboard.copy;
+goog.global['Blockly']['Clipboard']['paste'] = Blockly.Clipboard.paste;
+goog.global['Blockly']['Clipboard']['toXml'] = Blockly.Clipboard.toXml;
+goog.global['Blockly']['Clipboard']['toText'] = Blockly.Clipboard.toText;
@@ -0,0 +1,618 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Live collaboration on a workspace.  Local changes are sent to
+ * the other clients of a session through a pluggable transport, remote
+ * changes are applied without being sent back, and the cursors and selections
+ * of the other users are drawn on the workspace.
+ */
+'use strict';
+
+goog.provide('Blockly.Collaboration');
+goog.provide('Blockly.Collaboration.MemoryHub');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.utils');
+goog.require('goog.dom');
+
+
+/**
+ * Class for the local end of a collaboration session on a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to share.
+ * @param {!Blockly.Collaboration.Transport} transport The transport to the
+ *     other clients of the session.
+ * @param {Object=} opt_options Dictionary of options: 'clientId', 'name' and
+ *     'colour' of the local user.
+ * @constructor
+ */
+Blockly.Collaboration = function(workspace, transport, opt_options) {
+  var options = opt_options || {};
+  this.workspace_ = workspace;
+  this.transport_ = transport;
+
+  /**
+   * Unique id of this client in the session.
+   * @type {string}
+   */
+  this.clientId = options['clientId'] || Blockly.utils.genUid();
+
+  /**
+   * Name of the local user, shown next to their cursor on other clients.
+   * @type {string}
+   */
+  this.name = options['name'] || '';
+
+  /**
+   * Colour of the cursor and selection of the local user on other clients.
+   * @type {string}
+   */
+  this.colour = options['colour'] ||
+      Blockly.Collaboration.getColour_(this.clientId);
+
+  /**
+   * Stamps of the last change applied to each property of a block, frame,
+   * comment or variable, keyed by Blockly.Collaboration.getKey_.
+   * @type {!Object.<string, !Blockly.Collaboration.Stamp_>}
+   * @private
+   */
+  this.stamps_ = Object.create(null);
+
+  /**
+   * The other users of the session, keyed by client id.
+   * @type {!Object.<string, !Object>}
+   * @private
+   */
+  this.users_ = Object.create(null);
+};
+
+/**
+ * A transport carries the messages of a session between its clients.  It
+ * delivers every message given to `send` to the other clients, and hands the
+ * messages of the other clients to the function given to `setReceiver`.
+ * Messages are plain objects that survive a round trip through JSON.
+ * @typedef {{
+ *   send: function(!Object),
+ *   setReceiver: function(?function(!Object))
+ * }}
+ */
+Blockly.Collaboration.Transport;
+
+/**
+ * Lamport time of a change, with the id of the client that made it to break
+ * ties between concurrent changes.
+ * @typedef {{clock: number, clientId: string}}
+ * @private
+ */
+Blockly.Collaboration.Stamp_;
+
+/**
+ * Types of the events that are sent to the other clients.  Drags and UI
+ * events only concern the local view: the moves they end in are sent, and
+ * selections are shared as presence.
+ * @type {!Array.<string>}
+ */
+Blockly.Collaboration.SYNCED_EVENTS = [
+  Blockly.Events.CREATE,
+  Blockly.Events.DELETE,
+  Blockly.Events.CHANGE,
+  Blockly.Events.MOVE,
+  Blockly.Events.VAR_CREATE,
+  Blockly.Events.VAR_DELETE,
+  Blockly.Events.VAR_RENAME,
+  Blockly.Events.COMMENT_CREATE,
+  Blockly.Events.COMMENT_CHANGE,
+  Blockly.Events.COMMENT_MOVE,
+  Blockly.Events.COMMENT_DELETE,
+  Blockly.Events.FRAME_CREATE,
+  Blockly.Events.FRAME_DELETE,
+  Blockly.Events.FRAME_RETITLE,
+  Blockly.Events.FRAME_CHANGE
+];
+
+/**
+ * Colours given to users that did not choose one.
+ * @type {!Array.<string>}
+ */
+Blockly.Collaboration.COLOURS = [
+  '#FF6680', '#4C97FF', '#59C059', '#FFAB19',
+  '#9966FF', '#0FBD8C', '#FF8C1A', '#5CB1D6'
+];
+
+/**
+ * Minimum time between two updates of the local cursor, in ms.
+ * @type {number}
+ */
+Blockly.Collaboration.CURSOR_INTERVAL = 50;
+
+/**
+ * Outline of a remote cursor, with its tip at the origin.
+ * @type {string}
+ * @private
+ */
+Blockly.Collaboration.CURSOR_PATH_ =
+    'M 0,0 L 0,16 L 4,12 L 7,19 L 10,18 L 7,11 L 12,11 Z';
+
+/**
+ * Space between a selected block or frame and its remote selection outline.
+ * @type {number}
+ * @private
+ */
+Blockly.Collaboration.SELECTION_PADDING_ = 4;
+
+/**
+ * Lamport clock of this client: the latest time it has made or seen.
+ * @type {number}
+ * @private
+ */
+Blockly.Collaboration.prototype.clock_ = 0;
+
+/**
+ * Whether the session is connected.
+ * @type {boolean}
+ * @private
+ */
+Blockly.Collaboration.prototype.connected_ = false;
+
+/**
+ * Position of the local cursor in workspace coordinates, or null when the
+ * cursor is not over the workspace.
+ * @type {?{x: number, y: number}}
+ * @private
+ */
+Blockly.Collaboration.prototype.cursor_ = null;
+
+/**
+ * Id of the block, frame or comment selected by the local user.
+ * @type {?string}
+ * @private
+ */
+Blockly.Collaboration.prototype.selected_ = null;
+
+/**
+ * Id of the pending send of the local cursor.
+ * @type {number}
+ * @private
+ */
+Blockly.Collaboration.prototype.cursorPid_ = 0;
+
+/**
+ * The SVG group holding the cursors and selections of the other users.
+ * @type {Element}
+ * @private
+ */
+Blockly.Collaboration.prototype.svgGroup_ = null;
+
+/**
+ * Join the session: start sending local changes and applying remote ones.
+ */
+Blockly.Collaboration.prototype.connect = function() {
+  if (this.connected_) {
+    return;
+  }
+  this.connected_ = true;
+  this.changeWrapper_ = this.workspace_.addChangeListener(
+      this.onChange_.bind(this));
+  this.transport_.setReceiver(this.receive.bind(this));
+  if (this.workspace_.rendered) {
+    this.svgGroup_ = Blockly.utils.createSvgElement('g',
+        {'class': 'blocklyRemoteUsers'}, this.workspace_.getBubbleCanvas());
+    var svg = this.workspace_.getParentSvg();
+    this.mouseMoveWrapper_ = Blockly.bindEvent_(svg, 'mousemove', this,
+        this.onMouseMove_);
+    this.mouseLeaveWrapper_ = Blockly.bindEvent_(svg, 'mouseleave', this,
+        this.onMouseLeave_);
+  }
+  if (Blockly.selected && Blockly.selected.workspace == this.workspace_) {
+    this.selected_ = Blockly.selected.id;
+  }
+  this.sendPresence_();
+};
+
+/**
+ * Leave the session and remove the other users from the workspace.
+ */
+Blockly.Collaboration.prototype.dispose = function() {
+  if (!this.connected_) {
+    return;
+  }
+  this.transport_.send({
+    'type': 'leave',
+    'clientId': this.clientId
+  });
+  this.transport_.setReceiver(null);
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  this.changeWrapper_ = null;
+  if (this.mouseMoveWrapper_) {
+    Blockly.unbindEvent_(this.mouseMoveWrapper_);
+    Blockly.unbindEvent_(this.mouseLeaveWrapper_);
+    this.mouseMoveWrapper_ = null;
+    this.mouseLeaveWrapper_ = null;
+  }
+  clearTimeout(this.cursorPid_);
+  this.cursorPid_ = 0;
+  goog.dom.removeNode(this.svgGroup_);
+  this.svgGroup_ = null;
+  this.users_ = Object.create(null);
+  this.connected_ = false;
+};
+
+/**
+ * Get the other users of the session.
+ * @return {!Array.<!Object>} For each user, their 'clientId', 'name',
+ *     'colour', 'cursor' in workspace coordinates or null, and the id of the
+ *     block, frame or comment they have 'selected' or null.
+ */
+Blockly.Collaboration.prototype.getUsers = function() {
+  var users = [];
+  for (var clientId in this.users_) {
+    users.push(Object.assign({}, this.users_[clientId]));
+  }
+  return users;
+};
+
+/**
+ * Handle a message from another client.  Transports call this through the
+ * receiver they are given.
+ * @param {!Object} message The message.
+ */
+Blockly.Collaboration.prototype.receive = function(message) {
+  var clientId = message['clientId'];
+  if (!this.connected_ || clientId == this.clientId) {
+    return;
+  }
+  switch (message['type']) {
+    case 'event':
+      this.clock_ = Math.max(this.clock_, message['clock']);
+      this.applyEvent_(message['event'],
+          {clock: message['clock'], clientId: clientId});
+      break;
+    case 'presence':
+      var isNew = !this.users_[clientId];
+      this.users_[clientId] = {
+        'clientId': clientId,
+        'name': message['name'],
+        'colour': message['colour'],
+        'cursor': message['cursor'],
+        'selected': message['selected']
+      };
+      if (isNew) {
+        // Introduce ourselves to the user that just joined.
+        this.sendPresence_();
+      }
+      break;
+    case 'leave':
+      delete this.users_[clientId];
+      break;
+    default:
+      console.warn('Unknown collaboration message: ' + message['type']);
+      return;
+  }
+  this.render_();
+};
+
+/**
+ * Send a local change to the other clients.
+ * @param {!Blockly.Events.Abstract} event The change.
+ * @private
+ */
+Blockly.Collaboration.prototype.onChange_ = function(event) {
+  if (event.type == Blockly.Events.UI) {
+    if (event.element == 'selected') {
+      this.selected_ = event.newValue || null;
+      this.sendPresence_();
+    }
+  } else if (!event.isRemote &&
+      Blockly.Collaboration.SYNCED_EVENTS.indexOf(event.type) != -1) {
+    var json = event.toJson();
+    this.clock_++;
+    var key = Blockly.Collaboration.getKey_(json);
+    if (key) {
+      this.stamps_[key] = {clock: this.clock_, clientId: this.clientId};
+    }
+    this.transport_.send({
+      'type': 'event',
+      'clientId': this.clientId,
+      'clock': this.clock_,
+      'event': json
+    });
+  }
+  // Selections follow the blocks and frames they outline.
+  this.render_();
+};
+
+/**
+ * Apply a change made by another client, unless it was overtaken by a newer
+ * change to the same property.  The events it fires are marked as remote, so
+ * that other listeners see them but they are neither sent back nor added to
+ * the local undo stack.
+ * @param {!Object} json JSON representation of the event.
+ * @param {!Blockly.Collaboration.Stamp_} stamp When and by whom the change
+ *     was made.
+ * @private
+ */
+Blockly.Collaboration.prototype.applyEvent_ = function(json, stamp) {
+  var key = Blockly.Collaboration.getKey_(json);
+  if (key) {
+    var lastStamp = this.stamps_[key];
+    if (lastStamp && !Blockly.Collaboration.isNewer_(stamp, lastStamp)) {
+      return;
+    }
+    this.stamps_[key] = stamp;
+  }
+  if (json['type'] == Blockly.Events.MOVE && this.isDragging_(json['blockId'])) {
+    // The drop will send a move that is newer than this one on every client.
+    return;
+  }
+  var event = Blockly.Events.fromJson(json, this.workspace_);
+  Blockly.Events.recordUndo = false;
+  Blockly.Events.isRemote = true;
+  try {
+    event.run(true);
+  } finally {
+    Blockly.Events.recordUndo = true;
+    Blockly.Events.isRemote = false;
+  }
+};
+
+/**
+ * Whether the local user is dragging the stack of a block.
+ * @param {string} blockId Id of the block.
+ * @return {boolean} True if the block is being dragged here.
+ * @private
+ */
+Blockly.Collaboration.prototype.isDragging_ = function(blockId) {
+  var block = this.workspace_.getBlockById(blockId);
+  return !!block && !!this.workspace_.isDragging &&
+      this.workspace_.isDragging() && Blockly.selected == block.getRootBlock();
+};
+
+/**
+ * Send the cursor, selection, name and colour of the local user.
+ * @private
+ */
+Blockly.Collaboration.prototype.sendPresence_ = function() {
+  this.transport_.send({
+    'type': 'presence',
+    'clientId': this.clientId,
+    'name': this.name,
+    'colour': this.colour,
+    'cursor': this.cursor_,
+    'selected': this.selected_
+  });
+};
+
+/**
+ * Track the local cursor, sending it at most every CURSOR_INTERVAL ms.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.Collaboration.prototype.onMouseMove_ = function(e) {
+  var workspace = this.workspace_;
+  var point = Blockly.utils.mouseToSvg(e, workspace.getParentSvg(),
+      workspace.getInverseScreenCTM());
+  this.cursor_ = {
+    'x': Math.round((point.x - workspace.scrollX) / workspace.scale),
+    'y': Math.round((point.y - workspace.scrollY) / workspace.scale)
+  };
+  if (!this.cursorPid_) {
+    var collaboration = this;
+    this.cursorPid_ = setTimeout(function() {
+      collaboration.cursorPid_ = 0;
+      collaboration.sendPresence_();
+    }, Blockly.Collaboration.CURSOR_INTERVAL);
+  }
+};
+
+/**
+ * Hide the local cursor from the other users.
+ * @private
+ */
+Blockly.Collaboration.prototype.onMouseLeave_ = function() {
+  clearTimeout(this.cursorPid_);
+  this.cursorPid_ = 0;
+  this.cursor_ = null;
+  this.sendPresence_();
+};
+
+/**
+ * Draw the cursors and selections of the other users.
+ * @private
+ */
+Blockly.Collaboration.prototype.render_ = function() {
+  if (!this.svgGroup_) {
+    return;
+  }
+  goog.dom.removeChildren(this.svgGroup_);
+  for (var clientId in this.users_) {
+    var user = this.users_[clientId];
+    var target = user['selected'] && this.getTarget_(user['selected']);
+    if (target) {
+      this.renderSelection_(target, user['colour']);
+    }
+    if (user['cursor']) {
+      this.renderCursor_(user);
+    }
+  }
+};
+
+/**
+ * Find a block, frame or workspace comment of the workspace by id.
+ * @param {string} id The id.
+ * @return {Blockly.BlockSvg|Blockly.Frame|Blockly.WorkspaceCommentSvg} The
+ *     object with that id, or null.
+ * @private
+ */
+Blockly.Collaboration.prototype.getTarget_ = function(id) {
+  return this.workspace_.getBlockById(id) ||
+      this.workspace_.getFrameById(id) ||
+      this.workspace_.getCommentById(id);
+};
+
+/**
+ * Outline a block, frame or comment selected by another user.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg}
+ *     target The selected object.
+ * @param {string} colour Colour of the user.
+ * @private
+ */
+Blockly.Collaboration.prototype.renderSelection_ = function(target, colour) {
+  var padding = Blockly.Collaboration.SELECTION_PADDING_;
+  var rect = target.getBoundingRectangle();
+  Blockly.utils.createSvgElement('rect', {
+    'class': 'blocklyRemoteSelection',
+    'x': rect.topLeft.x - padding,
+    'y': rect.topLeft.y - padding,
+    'width': rect.bottomRight.x - rect.topLeft.x + 2 * padding,
+    'height': rect.bottomRight.y - rect.topLeft.y + 2 * padding,
+    'rx': padding,
+    'ry': padding,
+    'stroke': colour
+  }, this.svgGroup_);
+};
+
+/**
+ * Draw the cursor of another user, with their name.
+ * @param {!Object} user The user.
+ * @private
+ */
+Blockly.Collaboration.prototype.renderCursor_ = function(user) {
+  var group = Blockly.utils.createSvgElement('g', {
+    'class': 'blocklyRemoteCursor',
+    'transform': 'translate(' + user['cursor']['x'] + ',' +
+        user['cursor']['y'] + ')'
+  }, this.svgGroup_);
+  Blockly.utils.createSvgElement('path', {
+    'd': Blockly.Collaboration.CURSOR_PATH_,
+    'fill': user['colour'],
+    'stroke': '#fff'
+  }, group);
+  if (user['name']) {
+    var label = Blockly.utils.createSvgElement('text', {
+      'class': 'blocklyRemoteCursorLabel',
+      'x': 12,
+      'y': 28,
+      'fill': user['colour']
+    }, group);
+    label.textContent = user['name'];
+  }
+};
+
+/**
+ * Get the property of a block, frame, comment or variable that an event sets,
+ * so that concurrent changes to it can be ordered.
+ * @param {!Object} json JSON representation of the event.
+ * @return {?string} The key of the property, or null for events that create
+ *     or delete an object.
+ * @private
+ */
+Blockly.Collaboration.getKey_ = function(json) {
+  switch (json['type']) {
+    case Blockly.Events.CHANGE:
+      return json['blockId'] + ':' + json['element'] + ':' + (json['name'] || '');
+    case Blockly.Events.MOVE:
+      return json['blockId'] + ':move';
+    case Blockly.Events.COMMENT_CHANGE:
+      return json['commentId'] + ':content';
+    case Blockly.Events.COMMENT_MOVE:
+      return json['commentId'] + ':move';
+    case Blockly.Events.VAR_RENAME:
+      return json['varId'] + ':name';
+    case Blockly.Events.FRAME_RETITLE:
+      return json['id'] + ':title';
+    case Blockly.Events.FRAME_CHANGE:
+      return json['id'] + ':' + json['element'];
+  }
+  return null;
+};
+
+/**
+ * Whether a change comes after another.  Changes are ordered by Lamport time,
+ * then by client id, so that every client keeps the same one of two
+ * concurrent changes.
+ * @param {!Blockly.Collaboration.Stamp_} stamp The stamp of a change.
+ * @param {!Blockly.Collaboration.Stamp_} other The stamp of the other change.
+ * @return {boolean} True if the first change is the newer.
+ * @private
+ */
+Blockly.Collaboration.isNewer_ = function(stamp, other) {
+  if (stamp.clock != other.clock) {
+    return stamp.clock > other.clock;
+  }
+  return stamp.clientId > other.clientId;
+};
+
+/**
+ * Pick a colour for a client.
+ * @param {string} clientId Id of the client.
+ * @return {string} The colour.
+ * @private
+ */
+Blockly.Collaboration.getColour_ = function(clientId) {
+  var hash = 0;
+  for (var i = 0; i < clientId.length; i++) {
+    hash = (hash * 31 + clientId.charCodeAt(i)) % 1000003;
+  }
+  var colours = Blockly.Collaboration.COLOURS;
+  return colours[hash % colours.length];
+};
+
+/**
+ * An in-memory stand-in for a server, connecting the workspaces of one page.
+ * Messages are delivered synchronously, after a round trip through JSON.
+ * @constructor
+ */
+Blockly.Collaboration.MemoryHub = function() {
+  /**
+   * The transports of the clients, in the order they were created.
+   * @type {!Array.<!Blockly.Collaboration.Transport>}
+   * @private
+   */
+  this.transports_ = [];
+};
+
+/**
+ * Create a transport connected to the hub.
+ * @return {!Blockly.Collaboration.Transport} The transport.
+ */
+Blockly.Collaboration.MemoryHub.prototype.createTransport = function() {
+  var hub = this;
+  var receiver = null;
+  var transport = {
+    send: function(message) {
+      var text = JSON.stringify(message);
+      hub.transports_.slice().forEach(function(other) {
+        if (other != transport) {
+          other.deliver_(JSON.parse(text));
+        }
+      });
+    },
+    setReceiver: function(func) {
+      receiver = func;
+    },
+    deliver_: function(message) {
+      if (receiver) {
+        receiver(message);
+      }
+    }
+  };
+  this.transports_.push(transport);
+  return transport;
+};
@@ -89,9 +89,12 @@ Blockly.Colours = {
   "toolboxText": "#575E75",
   "toolbox": "#FFFFFF",
   "flyout": "#F9F9F9",
+  // The flyout lets the toolbox show through by default.
+  "flyoutOpacity": 0,
   "scrollbar": "#CECDCE",
   "scrollbarHover": '#CECDCE',
   "textField": "#FFFFFF",
+  "fieldText": "#242731",
   "insertionMarker": "#000000",
   "insertionMarkerOpacity": 0.2,
   "dragShadowOpacity": 0.3,
@@ -110,7 +113,12 @@ Blockly.Colours = {
   "numPadActiveBackground": "#435F91",
   "numPadText": "white", // Do not use hex here, it cannot be inlined with data-uri SVG
   "valueReportBackground": "#FFFFFF",
-  "valueReportBorder": "#AAAAAA"
+  "valueReportBorder": "#AAAAAA",
+  // Default colour of frames, as the "R, G, B" values of an rgb() colour.
+  "frame": "45, 140, 255",
+  "frameBorder": "#2D8CFF",
+  "comment": "#FEF49C",
+  "commentBorder": "#BCA903"
 };
 
 /**
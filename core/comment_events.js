@@ -109,6 +109,39 @@ Blockly.Events.CommentBase.prototype.fromJson = function(json) {
   this.blockId = json['blockId'];
 };
 
+/**
+ * Encode the contents of a created or deleted comment as JSON.
+ * @param {!(Blockly.Events.CommentCreate|Blockly.Events.CommentDelete)} event
+ *     The event holding the contents.
+ * @param {!Object} json JSON representation to add the contents to.
+ * @private
+ */
+Blockly.Events.CommentBase.contentsToJson_ = function(event, json) {
+  json['xml'] = Blockly.Xml.domToText(event.xml);
+  json['text'] = event.text;
+  json['x'] = event.xy.x;
+  json['y'] = event.xy.y;
+  json['width'] = event.width;
+  json['height'] = event.height;
+  json['minimized'] = event.minimized;
+};
+
+/**
+ * Decode the contents of a created or deleted comment.
+ * @param {!(Blockly.Events.CommentCreate|Blockly.Events.CommentDelete)} event
+ *     The event to populate.
+ * @param {!Object} json JSON representation.
+ * @private
+ */
+Blockly.Events.CommentBase.contentsFromJson_ = function(event, json) {
+  event.xml = Blockly.Xml.textToDom('<xml>' + json['xml'] + '</xml>').firstChild;
+  event.text = json['text'];
+  event.xy = new goog.math.Coordinate(json['x'], json['y']);
+  event.width = json['width'];
+  event.height = json['height'];
+  event.minimized = json['minimized'];
+};
+
 /**
  * Helper function for finding the comment this event pertains to.
  * @return {?(Blockly.WorkspaceComment | Blockly.ScratchBlockComment)}
@@ -157,6 +190,7 @@ Blockly.Events.CommentChange.prototype.type = Blockly.Events.COMMENT_CHANGE;
  */
 Blockly.Events.CommentChange.prototype.toJson = function() {
   var json = Blockly.Events.CommentChange.superClass_.toJson.call(this);
+  json['oldContents'] = this.oldContents_;
   json['newContents'] = this.newContents_;
   return json;
 };
@@ -167,7 +201,8 @@ Blockly.Events.CommentChange.prototype.toJson = function() {
  */
 Blockly.Events.CommentChange.prototype.fromJson = function(json) {
   Blockly.Events.CommentChange.superClass_.fromJson.call(this, json);
-  this.newContents_ = json['newValue'];
+  this.oldContents_ = json['oldContents'];
+  this.newContents_ = json['newContents'];
 };
 
 /**
@@ -266,7 +301,7 @@ Blockly.Events.CommentCreate.prototype.type = Blockly.Events.COMMENT_CREATE;
  */
 Blockly.Events.CommentCreate.prototype.toJson = function() {
   var json = Blockly.Events.CommentCreate.superClass_.toJson.call(this);
-  json['xml'] = Blockly.Xml.domToText(this.xml);
+  Blockly.Events.CommentBase.contentsToJson_(this, json);
   return json;
 };
 
@@ -276,7 +311,7 @@ Blockly.Events.CommentCreate.prototype.toJson = function() {
  */
 Blockly.Events.CommentCreate.prototype.fromJson = function(json) {
   Blockly.Events.CommentCreate.superClass_.fromJson.call(this, json);
-  this.xml = Blockly.Xml.textToDom('<xml>' + json['xml'] + '</xml>').firstChild;
+  Blockly.Events.CommentBase.contentsFromJson_(this, json);
 };
 
 /**
@@ -344,6 +379,7 @@ Blockly.Events.CommentDelete.prototype.type = Blockly.Events.COMMENT_DELETE;
  */
 Blockly.Events.CommentDelete.prototype.toJson = function() {
   var json = Blockly.Events.CommentDelete.superClass_.toJson.call(this);
+  Blockly.Events.CommentBase.contentsToJson_(this, json);
   return json;
 };
 
@@ -353,6 +389,7 @@ Blockly.Events.CommentDelete.prototype.toJson = function() {
  */
 Blockly.Events.CommentDelete.prototype.fromJson = function(json) {
   Blockly.Events.CommentDelete.superClass_.fromJson.call(this, json);
+  Blockly.Events.CommentBase.contentsFromJson_(this, json);
 };
 
 /**
@@ -465,6 +502,10 @@ Blockly.Events.CommentMove.prototype.setOldCoordinate = function(xy) {
  */
 Blockly.Events.CommentMove.prototype.toJson = function() {
   var json = Blockly.Events.CommentMove.superClass_.toJson.call(this);
+  if (this.oldCoordinate_) {
+    json['oldCoordinate'] = Math.round(this.oldCoordinate_.x) + ',' +
+        Math.round(this.oldCoordinate_.y);
+  }
   if (this.newCoordinate_) {
     json['newCoordinate'] = Math.round(this.newCoordinate_.x) + ',' +
         Math.round(this.newCoordinate_.y);
@@ -479,8 +520,13 @@ Blockly.Events.CommentMove.prototype.toJson = function() {
 Blockly.Events.CommentMove.prototype.fromJson = function(json) {
   Blockly.Events.CommentMove.superClass_.fromJson.call(this, json);
 
+  if (json['oldCoordinate']) {
+    var xy = json['oldCoordinate'].split(',');
+    this.oldCoordinate_ =
+        new goog.math.Coordinate(parseFloat(xy[0]), parseFloat(xy[1]));
+  }
   if (json['newCoordinate']) {
-    var xy = json['newCoordinate'].split(',');
+    xy = json['newCoordinate'].split(',');
     this.newCoordinate_ =
         new goog.math.Coordinate(parseFloat(xy[0]), parseFloat(xy[1]));
   }
@@ -0,0 +1,513 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Registry of the items of the context menus.  Each item is
+ * registered once with the kinds of thing it applies to and decides, every
+ * time a menu is opened, whether it is shown and enabled.  The built-in items
+ * are registered here too, so that they can be replaced or removed.
+ */
+'use strict';
+
+/**
+ * @name Blockly.ContextMenuRegistry
+ * @namespace
+ */
+goog.provide('Blockly.ContextMenuRegistry');
+
+goog.require('Blockly.ContextMenu');
+goog.require('Blockly.Procedures');
+
+
+/**
+ * What a context menu was opened on.
+ * @enum {string}
+ */
+Blockly.ContextMenuRegistry.ScopeType = {
+  BLOCK: 'block',
+  FLYOUT_BLOCK: 'flyoutBlock',
+  FRAME: 'frame',
+  WORKSPACE: 'workspace',
+  COMMENT: 'comment'
+};
+
+/**
+ * Whether an item is shown, and whether it can be clicked.
+ * @enum {string}
+ */
+Blockly.ContextMenuRegistry.State = {
+  ENABLED: 'enabled',
+  DISABLED: 'disabled',
+  HIDDEN: 'hidden'
+};
+
+/**
+ * What a context menu was opened on: the workspace, the right-click event,
+ * and the block, frame or comment if any.  For a comment on a block, the
+ * block is set as well.
+ * @typedef {{
+ *   workspace: !Blockly.WorkspaceSvg,
+ *   event: !Event,
+ *   block: (Blockly.BlockSvg|undefined),
+ *   frame: (Blockly.Frame|undefined),
+ *   comment: (Object|undefined)
+ * }}
+ */
+Blockly.ContextMenuRegistry.Scope;
+
+/**
+ * An item of the context menus.  Items without an id or a scope type can only
+ * be used in a submenu.
+ * @typedef {{
+ *   id: (string|undefined),
+ *   scopeType: (string|!Array.<string>|undefined),
+ *   weight: (number|undefined),
+ *   preconditionFn: (function(!Blockly.ContextMenuRegistry.Scope): string|
+ *       undefined),
+ *   displayText: (string|!Element|
+ *       function(!Blockly.ContextMenuRegistry.Scope): (string|!Element)),
+ *   callback: (function(!Blockly.ContextMenuRegistry.Scope, !Event)|
+ *       undefined),
+ *   separator: (boolean|undefined),
+ *   submenu: (!Array.<!Blockly.ContextMenuRegistry.Item>|undefined)
+ * }}
+ */
+Blockly.ContextMenuRegistry.Item;
+
+/**
+ * Registered items, keyed by id.
+ * @type {!Object.<string, !Blockly.ContextMenuRegistry.Item>}
+ * @private
+ */
+Blockly.ContextMenuRegistry.items_ = Object.create(null);
+
+/**
+ * Order in which the items were registered, used to order items of the same
+ * weight.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.ContextMenuRegistry.order_ = [];
+
+/**
+ * Number of menus built so far, which tells items made from old style
+ * options whether their option is still the one of the current menu.
+ * @type {number}
+ * @private
+ */
+Blockly.ContextMenuRegistry.menuCount_ = 0;
+
+/**
+ * Register an item of the context menus.
+ * @param {!Blockly.ContextMenuRegistry.Item} item The item.  Items are shown
+ *     by increasing weight, and items without a precondition are enabled.
+ * @param {boolean=} opt_replace True to replace the item with the same id,
+ *     keeping its place among items of the same weight.
+ * @throws {Error} if an item with the same id is already registered and is
+ *     not being replaced.
+ */
+Blockly.ContextMenuRegistry.register = function(item, opt_replace) {
+  var id = item.id;
+  if (!id || !item.scopeType) {
+    throw Error('Context menu items need an id and a scope type.');
+  }
+  if (Blockly.ContextMenuRegistry.items_[id]) {
+    if (!opt_replace) {
+      throw Error('Context menu item "' + id + '" is already registered.');
+    }
+  } else {
+    Blockly.ContextMenuRegistry.order_.push(id);
+  }
+  Blockly.ContextMenuRegistry.items_[id] = item;
+};
+
+/**
+ * Unregister an item of the context menus.
+ * @param {string} id Id of the item.
+ */
+Blockly.ContextMenuRegistry.unregister = function(id) {
+  if (!Blockly.ContextMenuRegistry.items_[id]) {
+    return;
+  }
+  delete Blockly.ContextMenuRegistry.items_[id];
+  var order = Blockly.ContextMenuRegistry.order_;
+  order.splice(order.indexOf(id), 1);
+};
+
+/**
+ * Get a registered item.
+ * @param {string} id Id of the item.
+ * @return {?Blockly.ContextMenuRegistry.Item} The item, or null if there is
+ *     none with that id.
+ */
+Blockly.ContextMenuRegistry.getItem = function(id) {
+  return Blockly.ContextMenuRegistry.items_[id] || null;
+};
+
+/**
+ * Build the options of a context menu from the items that apply to it.
+ * @param {string} scopeType What the menu was opened on.
+ * @param {!Blockly.ContextMenuRegistry.Scope} scope The scope.
+ * @return {!Array.<!Object>} The menu options, ready for
+ *     Blockly.ContextMenu.show.
+ */
+Blockly.ContextMenuRegistry.getOptions = function(scopeType, scope) {
+  Blockly.ContextMenuRegistry.menuCount_++;
+  var items = Blockly.ContextMenuRegistry.order_.map(function(id) {
+    return Blockly.ContextMenuRegistry.items_[id];
+  }).filter(function(item) {
+    return [].concat(item.scopeType).indexOf(scopeType) != -1;
+  });
+  return Blockly.ContextMenuRegistry.buildOptions_(items, scope);
+};
+
+/**
+ * Build menu options from items, leaving out the hidden ones and submenus
+ * with nothing in them.
+ * @param {!Array.<!Blockly.ContextMenuRegistry.Item>} items The items, in
+ *     registration order.
+ * @param {!Blockly.ContextMenuRegistry.Scope} scope The scope.
+ * @return {!Array.<!Object>} The menu options.
+ * @private
+ */
+Blockly.ContextMenuRegistry.buildOptions_ = function(items, scope) {
+  var State = Blockly.ContextMenuRegistry.State;
+  // Array.prototype.sort isn't stable in every browser.
+  var sorted = items.map(function(item, index) {
+    return {item: item, index: index};
+  }).sort(function(a, b) {
+    return ((a.item.weight || 0) - (b.item.weight || 0)) || a.index - b.index;
+  });
+  var options = [];
+  for (var i = 0; i < sorted.length; i++) {
+    var item = sorted[i].item;
+    var state = item.preconditionFn ? item.preconditionFn(scope) :
+        State.ENABLED;
+    if (state == State.HIDDEN) {
+      continue;
+    }
+    var option = {
+      text: typeof item.displayText == 'function' ?
+          item.displayText(scope) : item.displayText,
+      enabled: state == State.ENABLED,
+      separator: !!item.separator
+    };
+    if (item.submenu) {
+      option.submenu =
+          Blockly.ContextMenuRegistry.buildOptions_(item.submenu, scope);
+      if (!option.submenu.length) {
+        continue;
+      }
+    } else {
+      option.callback = Blockly.ContextMenuRegistry.makeCallback_(item, scope);
+    }
+    options.push(option);
+  }
+  return options;
+};
+
+/**
+ * Make the callback of a menu option, which calls the item's callback with
+ * the scope.
+ * @param {!Blockly.ContextMenuRegistry.Item} item The item.
+ * @param {!Blockly.ContextMenuRegistry.Scope} scope The scope.
+ * @return {!Function} The callback.
+ * @private
+ */
+Blockly.ContextMenuRegistry.makeCallback_ = function(item, scope) {
+  return function(e) {
+    if (item.callback) {
+      item.callback(scope, e);
+    }
+  };
+};
+
+/**
+ * Make an item out of a function that makes a menu option the old way, such
+ * as Blockly.ContextMenu.blockDuplicateOption.  The option is made once per
+ * menu, and gives the item its state, its text and its callback.
+ * @param {string} id Id of the item.
+ * @param {string|!Array.<string>} scopeType What the item applies to.
+ * @param {number} weight Weight of the item.
+ * @param {function(!Blockly.ContextMenuRegistry.Scope): !Object} makeOption
+ *     Function that makes the option, with text, enabled and a callback.
+ * @param {function(!Blockly.ContextMenuRegistry.Scope): boolean=} opt_isShown
+ *     Function that tells whether the option is shown.  Options are always
+ *     shown otherwise.
+ * @return {!Blockly.ContextMenuRegistry.Item} The item.
+ */
+Blockly.ContextMenuRegistry.itemFromOption = function(id, scopeType, weight,
+    makeOption, opt_isShown) {
+  var State = Blockly.ContextMenuRegistry.State;
+  var cache = {menuCount: -1, scope: null, option: null};
+  var getOption = function(scope) {
+    var menuCount = Blockly.ContextMenuRegistry.menuCount_;
+    if (cache.menuCount != menuCount || cache.scope != scope) {
+      cache = {menuCount: menuCount, scope: scope, option: makeOption(scope)};
+    }
+    return cache.option;
+  };
+  return {
+    id: id,
+    scopeType: scopeType,
+    weight: weight,
+    preconditionFn: function(scope) {
+      if (opt_isShown && !opt_isShown(scope)) {
+        return State.HIDDEN;
+      }
+      return getOption(scope).enabled ? State.ENABLED : State.DISABLED;
+    },
+    displayText: function(scope) {
+      return getOption(scope).text;
+    },
+    callback: function(scope) {
+      getOption(scope).callback();
+    }
+  };
+};
+
+/**
+ * Whether the stacks of a block may be moved and deleted from the menu.
+ * @param {!Blockly.ContextMenuRegistry.Scope} scope The scope.
+ * @return {boolean} True if the block can be deleted and moved.
+ * @private
+ */
+Blockly.ContextMenuRegistry.isBlockEditable_ = function(scope) {
+  return scope.block.isDeletable() && scope.block.isMovable();
+};
+
+/**
+ * Whether the frame of the menu can be changed.
+ * @param {!Blockly.ContextMenuRegistry.Scope} scope The scope.
+ * @return {boolean} True if the frame is editable.
+ * @private
+ */
+Blockly.ContextMenuRegistry.isFrameEditable_ = function(scope) {
+  return scope.frame.isEditable();
+};
+
+/**
+ * Whether the workspace has stacks that can be collapsed and stacks that can
+ * be expanded.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace.
+ * @return {{hasCollapsed: boolean, hasExpanded: boolean}} What the blocks
+ *     are like.
+ * @private
+ */
+Blockly.ContextMenuRegistry.getCollapseState_ = function(ws) {
+  var state = {hasCollapsed: false, hasExpanded: false};
+  var topBlocks = ws.getTopBlocks(true);
+  for (var i = 0; i < topBlocks.length; i++) {
+    var block = topBlocks[i];
+    while (block) {
+      if (block.isCollapsed()) {
+        state.hasCollapsed = true;
+      } else {
+        state.hasExpanded = true;
+      }
+      block = block.getNextBlock();
+    }
+  }
+  return state;
+};
+
+/**
+ * Register the built-in items.
+ * @private
+ */
+Blockly.ContextMenuRegistry.registerBuiltins_ = function() {
+  var register = Blockly.ContextMenuRegistry.register;
+  var fromOption = Blockly.ContextMenuRegistry.itemFromOption;
+  var ScopeType = Blockly.ContextMenuRegistry.ScopeType;
+  var isBlockEditable = Blockly.ContextMenuRegistry.isBlockEditable_;
+  var isFrameEditable = Blockly.ContextMenuRegistry.isFrameEditable_;
+
+  // Blocks.
+  register(fromOption('blockHideStack', ScopeType.BLOCK, 10, function(scope) {
+    return Blockly.ContextMenu.hideBlocks(scope.block);
+  }, function(scope) {
+    return scope.workspace.options.hiddenStacks;
+  }));
+  register(fromOption('blockDuplicate', ScopeType.BLOCK, 20, function(scope) {
+    return Blockly.ContextMenu.blockDuplicateOption(scope.block, scope.event);
+  }, isBlockEditable));
+  register(fromOption('blockComment', ScopeType.BLOCK, 30, function(scope) {
+    return Blockly.ContextMenu.blockCommentOption(scope.block);
+  }, function(scope) {
+    return isBlockEditable(scope) && scope.block.isEditable() &&
+        scope.workspace.options.comments;
+  }));
+  register(fromOption('blockBookmark', ScopeType.BLOCK, 35, function(scope) {
+    return Blockly.ContextMenu.bookmarkOption(scope.block);
+  }));
+  register(fromOption('blockDelete', ScopeType.BLOCK, 40, function(scope) {
+    return Blockly.ContextMenu.blockDeleteOption(scope.block);
+  }, isBlockEditable));
+  register(fromOption('blockExtractProcedure', ScopeType.BLOCK, 50,
+      function(scope) {
+        return Blockly.Procedures.makeExtractOption(scope.block);
+      }, function(scope) {
+        return isBlockEditable(scope) && !!scope.block.previousConnection;
+      }));
+
+  // Frames.
+  register(fromOption('frameDuplicate', ScopeType.FRAME, 10, function(scope) {
+    return Blockly.ContextMenu.frameDuplicateOption(scope.frame, scope.event);
+  }, isFrameEditable));
+  register(fromOption('frameCleanUp', ScopeType.FRAME, 20, function(scope) {
+    var frame = scope.frame;
+    return Blockly.ContextMenu.frameCleanupOption(frame,
+        !frame.isCollapsed && frame.getBlockIds().length > 0);
+  }, isFrameEditable));
+  register(fromOption('frameSetColor', ScopeType.FRAME, 30, function(scope) {
+    return Blockly.ContextMenu.frameSetColorOption(scope.frame);
+  }, isFrameEditable));
+  register(fromOption('frameBookmark', ScopeType.FRAME, 35, function(scope) {
+    return Blockly.ContextMenu.bookmarkOption(scope.frame);
+  }));
+  register(fromOption('frameHideContents', ScopeType.FRAME, 40,
+      function(scope) {
+        return Blockly.ContextMenu.frameHideContentsOption(scope.frame);
+      }, function(scope) {
+        return isFrameEditable(scope) && scope.workspace.options.hiddenStacks;
+      }));
+  register(fromOption('frameDelete', ScopeType.FRAME, 50, function(scope) {
+    return Blockly.ContextMenu.frameDeleteOption(scope.frame);
+  }, isFrameEditable));
+
+  // Workspaces.
+  var hasHiddenStacks = function(scope) {
+    return scope.workspace.options.hiddenStacks;
+  };
+  register(fromOption('wsShowHiddenStacks', ScopeType.WORKSPACE, 10,
+      function(scope) {
+        return Blockly.ContextMenu.showBlocks(scope.workspace);
+      }, hasHiddenStacks));
+  register(fromOption('wsHiddenStacks', ScopeType.WORKSPACE, 20,
+      function(scope) {
+        return Blockly.ContextMenu.wsHiddenStacksOption(scope.workspace);
+      }, hasHiddenStacks));
+  var hasScrollbar = function(scope) {
+    return !!scope.workspace.scrollbar;
+  };
+  register(fromOption('wsBookmarks', ScopeType.WORKSPACE, 22,
+      function(scope) {
+        return Blockly.ContextMenu.wsBookmarksOption(scope.workspace);
+      }, hasScrollbar));
+  register(fromOption('wsNavigateBack', ScopeType.WORKSPACE, 24,
+      function(scope) {
+        return Blockly.ContextMenu.wsNavigateBackOption(scope.workspace);
+      }, hasScrollbar));
+  register(fromOption('wsNavigateForward', ScopeType.WORKSPACE, 26,
+      function(scope) {
+        return Blockly.ContextMenu.wsNavigateForwardOption(scope.workspace);
+      }, hasScrollbar));
+  register(fromOption('wsUndo', ScopeType.WORKSPACE, 30, function(scope) {
+    return Blockly.ContextMenu.wsUndoOption(scope.workspace);
+  }));
+  register(fromOption('wsRedo', ScopeType.WORKSPACE, 40, function(scope) {
+    return Blockly.ContextMenu.wsRedoOption(scope.workspace);
+  }));
+  register(fromOption('wsHistory', ScopeType.WORKSPACE, 45, function(scope) {
+    return Blockly.ContextMenu.wsHistoryOption(scope.workspace);
+  }, hasScrollbar));
+  register(fromOption('wsCreateFrame', ScopeType.WORKSPACE, 50,
+      function(scope) {
+        return Blockly.ContextMenu.wsCreateFrameOption(scope.workspace);
+      }, function(scope) {
+        return scope.workspace.options.frames;
+      }));
+  register(fromOption('wsCleanUp', ScopeType.WORKSPACE, 60, function(scope) {
+    var ws = scope.workspace;
+    return Blockly.ContextMenu.wsCleanupOption(ws,
+        ws.getTopBlocks(false).length + ws.getTopFrames(false).length);
+  }, hasScrollbar));
+  register(fromOption('wsRemoveUnused', ScopeType.WORKSPACE, 70,
+      function(scope) {
+        return Blockly.ContextMenu.wsRemoveUnusedOption(scope.workspace);
+      }, hasScrollbar));
+  var canCollapse = function(scope) {
+    return scope.workspace.options.collapse;
+  };
+  register(fromOption('wsCollapse', ScopeType.WORKSPACE, 80, function(scope) {
+    var ws = scope.workspace;
+    return Blockly.ContextMenu.wsCollapseOption(
+        Blockly.ContextMenuRegistry.getCollapseState_(ws).hasExpanded,
+        ws.getTopBlocks(true));
+  }, canCollapse));
+  register(fromOption('wsExpand', ScopeType.WORKSPACE, 90, function(scope) {
+    var ws = scope.workspace;
+    return Blockly.ContextMenu.wsExpandOption(
+        Blockly.ContextMenuRegistry.getCollapseState_(ws).hasCollapsed,
+        ws.getTopBlocks(true));
+  }, canCollapse));
+  register(fromOption('wsAddComment', ScopeType.WORKSPACE, 100,
+      function(scope) {
+        return Blockly.ContextMenu.workspaceCommentOption(scope.workspace,
+            scope.event);
+      }, function(scope) {
+        return scope.workspace.options.comments;
+      }));
+  var deleteItem = fromOption('wsDeleteAll', ScopeType.WORKSPACE, 110,
+      function(scope) {
+        return Blockly.ContextMenu.wsDeleteOption(scope.workspace);
+      });
+  deleteItem.separator = true;
+  register(deleteItem);
+
+  // Comments.  Comments on blocks can only be deleted.
+  register(fromOption('commentDuplicate', ScopeType.COMMENT, 10,
+      function(scope) {
+        return Blockly.ContextMenu.commentDuplicateOption(scope.comment);
+      }, function(scope) {
+        return !scope.block && scope.comment.isDeletable() &&
+            scope.comment.isMovable();
+      }));
+  register(fromOption('commentDelete', ScopeType.COMMENT, 20, function(scope) {
+    return Blockly.ContextMenu.commentDeleteOption(scope.comment);
+  }, function(scope) {
+    return !!scope.block ||
+        (scope.comment.isDeletable() && scope.comment.isMovable());
+  }));
+};
+
+Blockly.ContextMenuRegistry.registerBuiltins_();
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['ContextMenuRegistry']) {
+  goog.global['Blockly']['ContextMenuRegistry'] = {};
+}
+goog.global['Blockly']['ContextMenuRegistry']['ScopeType'] =
+    Blockly.ContextMenuRegistry.ScopeType;
+goog.global['Blockly']['ContextMenuRegistry']['State'] =
+    Blockly.ContextMenuRegistry.State;
+goog.global['Blockly']['ContextMenuRegistry']['register'] =
+    Blockly.ContextMenuRegistry.register;
+goog.global['Blockly']['ContextMenuRegistry']['unregister'] =
+    Blockly.ContextMenuRegistry.unregister;
+goog.global['Blockly']['ContextMenuRegistry']['getItem'] =
+    Blockly.ContextMenuRegistry.getItem;
+goog.global['Blockly']['ContextMenuRegistry']['getOptions'] =
+    Blockly.ContextMenuRegistry.getOptions;
+goog.global['Blockly']['ContextMenuRegistry']['itemFromOption'] =
+    Blockly.ContextMenuRegistry.itemFromOption;
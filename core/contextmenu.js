@@ -33,6 +33,7 @@ goog.provide('Blockly.ContextMenu');
 goog.require('Blockly.Events.BlockCreate');
 goog.require('Blockly.scratchBlocksUtils');
 goog.require('Blockly.Procedures');
+goog.require('Blockly.ShortcutRegistry');
 goog.require('Blockly.utils');
 goog.require('Blockly.utils.uiMenu');
 
@@ -41,6 +42,7 @@ goog.require('goog.events');
 goog.require('goog.style');
 goog.require('goog.ui.Menu');
 goog.require('goog.ui.MenuItem');
+goog.require('goog.ui.SubMenu');
 goog.require('goog.userAgent');
 
 
@@ -101,29 +103,49 @@ Blockly.ContextMenu.populate_ = function(options, rtl) {
     {text: 'Make It So',
      enabled: true,
      callback: Blockly.MakeItSo}
+    An option with a 'submenu' array of options instead of a callback opens
+    a nested menu.
   */
   var menu = new goog.ui.Menu();
   menu.setRightToLeft(rtl);
   for (var i = 0, option; option = options[i]; i++) {
-    var menuItem = new goog.ui.MenuItem(option.text);
-    menuItem.setRightToLeft(rtl);
-    menu.addChild(menuItem, true);
-    menuItem.setEnabled(option.enabled);
-    if (option.separator) {
-      menuItem.addClassName('goog-menu-separator');
-    }
-    if (option.enabled) {
-      goog.events.listen(
-          menuItem, option.eventType || goog.ui.Component.EventType.ACTION, option.callback);
-      menuItem.handleContextMenu = function(/* e */) {
-        // Right-clicking on menu option should count as a click.
-        goog.events.dispatchEvent(this, goog.ui.Component.EventType.ACTION);
-      };
-    }
+    menu.addChild(Blockly.ContextMenu.createMenuItem_(option, rtl), true);
   }
   return menu;
 };
 
+/**
+ * Create the menu item for an option, along with the items of its submenu.
+ * @param {!Object} option The menu option.
+ * @param {boolean} rtl True if RTL, false if LTR.
+ * @return {!goog.ui.MenuItem} The menu item.
+ * @private
+ */
+Blockly.ContextMenu.createMenuItem_ = function(option, rtl) {
+  if (option.submenu) {
+    var menuItem = new goog.ui.SubMenu(option.text);
+    for (var i = 0, subOption; subOption = option.submenu[i]; i++) {
+      menuItem.addItem(Blockly.ContextMenu.createMenuItem_(subOption, rtl));
+    }
+  } else {
+    var menuItem = new goog.ui.MenuItem(option.text);
+  }
+  menuItem.setRightToLeft(rtl);
+  menuItem.setEnabled(option.enabled);
+  if (option.separator) {
+    menuItem.addClassName('goog-menu-separator');
+  }
+  if (option.enabled && !option.submenu) {
+    goog.events.listen(
+        menuItem, option.eventType || goog.ui.Component.EventType.ACTION, option.callback);
+    menuItem.handleContextMenu = function(/* e */) {
+      // Right-clicking on menu option should count as a click.
+      goog.events.dispatchEvent(this, goog.ui.Component.EventType.ACTION);
+    };
+  }
+  return menuItem;
+};
+
 /**
  * Add the menu to the page and position it correctly.
  * @param {!goog.ui.Menu} menu The menu to add and position.
@@ -349,7 +371,8 @@ Blockly.ContextMenu.wsUndoOption = function(ws) {
  */
 Blockly.ContextMenu.wsCreateFrameOption = function(ws) {
   return {
-    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.CREATE_FRAME, goog.userAgent.WINDOWS ? 'Ctrl A' : '⌘ A'),
+    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.CREATE_FRAME,
+        Blockly.ShortcutRegistry.getKeyLabel('createFrame')),
     enabled: true,
     callback: function() {
       ws.setWaitingCreateFrameEnabled(true);
@@ -432,6 +455,88 @@ Blockly.ContextMenu.frameCleanupOption = function(frame, enabled) {
   return deleteOption;
 };
 
+/**
+ * Make a context menu option for duplicating the batch selection.
+ * @param {!Blockly.BatchSelector} batchSelector The selection where the
+ *     right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.batchDuplicateOption = function(batchSelector) {
+  return {
+    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.DUPLICATE),
+    enabled: true,
+    callback: batchSelector.duplicate.bind(batchSelector)
+  };
+};
+
+/**
+ * Make a context menu option for copying the batch selection.
+ * @param {!Blockly.BatchSelector} batchSelector The selection where the
+ *     right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.batchCopyOption = function(batchSelector) {
+  return {
+    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.COPY, goog.userAgent.WINDOWS ? 'Ctrl C' : '⌘ C'),
+    enabled: true,
+    callback: function() {
+      batchSelector.copy();
+      Blockly.clipboardBatchElements = null;
+    }
+  };
+};
+
+/**
+ * Make a context menu option for disabling or enabling the blocks of the
+ * batch selection.
+ * @param {!Blockly.BatchSelector} batchSelector The selection where the
+ *     right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.batchDisableOption = function(batchSelector) {
+  var disabled = batchSelector.isDisabled();
+  return {
+    text: Blockly.utils.createMenuOptionNode(disabled ? Blockly.Msg.ENABLE_SELECTION :
+        Blockly.Msg.DISABLE_SELECTION),
+    enabled: true,
+    callback: batchSelector.setDisabled.bind(batchSelector, !disabled)
+  };
+};
+
+/**
+ * Make a context menu option for wrapping the batch selection in a new frame.
+ * @param {!Blockly.BatchSelector} batchSelector The selection where the
+ *     right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.batchWrapInFrameOption = function(batchSelector) {
+  return {
+    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.WRAP_IN_FRAME),
+    enabled: true,
+    callback: batchSelector.wrapInFrame.bind(batchSelector)
+  };
+};
+
+/**
+ * Make a context menu option for deleting the batch selection.
+ * @param {!Blockly.BatchSelector} batchSelector The selection where the
+ *     right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.batchDeleteOption = function(batchSelector) {
+  return {
+    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.DELETE, '⌫', 'var(--theme-error-color)'),
+    enabled: true,
+    separator: true,
+    callback: batchSelector.deleteSelected.bind(batchSelector)
+  };
+};
+
 /**
  * Make a context menu option for redoing the most recent action on the
  * workspace.
@@ -465,6 +570,24 @@ Blockly.ContextMenu.wsCleanupOption = function(ws, numTopBlocks) {
   };
 };
 
+/**
+ * Make a context menu option for listing the variables, lists, broadcast
+ * messages and custom blocks that nothing uses, so they can be deleted.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace where the right-click
+ *     originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.wsRemoveUnusedOption = function(ws) {
+  return {
+    text: Blockly.Msg.CLEAN_UP_UNUSED,
+    enabled: true,
+    callback: function() {
+      Blockly.CleanupPanel.show(ws);
+    }
+  };
+};
+
 /**
  * Helper function for toggling delete state on blocks on the workspace, to be
  * called from a right-click menu.
@@ -526,6 +649,64 @@ Blockly.ContextMenu.wsExpandOption = function(hasCollapsedBlocks, topBlocks) {
   };
 };
 
+/**
+ * Make a context menu option for deleting all the deletable blocks of the
+ * workspace, one after the other.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace where the right-click
+ *     originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.wsDeleteOption = function(ws) {
+  var eventGroup = Blockly.utils.genUid();
+  // Count the number of blocks that are deletable.
+  var deleteList = Blockly.WorkspaceSvg.buildDeleteList_(ws.getTopBlocks(true));
+  // Scratch-specific: don't count shadow blocks in delete count
+  var deleteCount = 0;
+  for (var i = 0; i < deleteList.length; i++) {
+    if (!deleteList[i].isShadow() && (!deleteList[i].isInLockedFrame())) {
+      deleteCount++;
+    }
+  }
+
+  function deleteNext() {
+    Blockly.Events.setGroup(eventGroup);
+    var block = deleteList.shift();
+    if (block) {
+      if (block.workspace && !block.isInLockedFrame()) {
+        block.dispose(false, true);
+        requestAnimationFrame(deleteNext);
+      } else {
+        deleteNext();
+      }
+    }
+    Blockly.Events.setGroup(false);
+  }
+
+  return {
+    text: Blockly.utils.createMenuOptionNode(deleteCount == 1 ? Blockly.Msg.DELETE_BLOCK :
+        Blockly.Msg.DELETE_X_BLOCKS.replace('%1', String(deleteCount)), '⌫', 'var(--theme-error-color)'),
+    enabled: deleteCount > 0,
+    separator: true,
+    callback: function() {
+      if (ws.currentGesture_) {
+        ws.currentGesture_.cancel();
+      }
+      if (deleteCount < 2 ) {
+        deleteNext();
+      } else {
+        Blockly.confirm(
+            Blockly.Msg.DELETE_ALL_BLOCKS.replace('%1', String(deleteCount)),
+            function(ok) {
+              if (ok) {
+                deleteNext();
+              }
+            });
+      }
+    }
+  };
+};
+
 /**
  * Make a context menu option for deleting the current workspace comment.
  * @param {!Blockly.WorkspaceCommentSvg} comment The workspace comment where the
@@ -637,6 +818,7 @@ Blockly.ContextMenu.workspaceCommentOption = function(ws, e) {
  * @param {!Function} callback The callback function called before menu is displayed if conditions are met.
  * @param {!Object} config The configuration options for the insertion condition.
  * @return {!string} The id of the item.
+ * @deprecated Use Blockly.ContextMenuRegistry.register instead.
  */
 Blockly.ContextMenu.addDynamicMenuItem = function(callback, config) {
   const id = Blockly.utils.genUid();
@@ -705,37 +887,177 @@ Blockly.ContextMenu.appendDynamicMenuItem = function(e, options) {
   });
 };
 
+/**
+ * Make a context menu option for hiding the stack of a block.
+ * @param {!Blockly.BlockSvg} block The block where the right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
 Blockly.ContextMenu.hideBlocks = function(block) {
   return {
-    text: '隐藏该段代码',
+    text: Blockly.Msg.HIDE_STACK,
     enabled: true,
     callback: function() {
-      var rootBlock = block.getRootBlock();
-      rootBlock.toggleHidden();
+      block.getRootBlock().setHidden(true);
     }
   };
 };
 
+/**
+ * Make a context menu option for showing all the hidden stacks of a
+ * workspace.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace where the right-click
+ *     originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
 Blockly.ContextMenu.showBlocks = function(ws) {
-  var hiddenBlocks = Object.keys(ws.blockDB_).filter(function(blockId) {
-    return ws.blockDB_[blockId].hidden;
-  }).map(function(blockId) {
-    return ws.blockDB_[blockId];
-  });
-
+  var hiddenBlocks = ws.getHiddenStacks();
   return {
-    text: '显示隐藏的' + hiddenBlocks.length + '组代码块',
+    text: Blockly.Msg.SHOW_HIDDEN_STACKS.replace('%1',
+        String(hiddenBlocks.length)),
     enabled: Boolean(hiddenBlocks.length),
     callback: function() {
       Blockly.Events.setGroup(true);
       hiddenBlocks.forEach(function(block) {
-        block.toggleHidden();
+        block.setHidden(false);
       });
       Blockly.Events.setGroup(false);
     }
   };
 };
 
+/**
+ * Make a context menu option for listing the hidden stacks of a workspace, so
+ * they can be shown one by one.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace where the right-click
+ *     originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.wsHiddenStacksOption = function(ws) {
+  return {
+    text: Blockly.Msg.HIDDEN_STACKS,
+    enabled: ws.getHiddenStacks().length > 0,
+    callback: function() {
+      Blockly.HiddenStacksPanel.show(ws);
+    }
+  };
+};
+
+/**
+ * Make a context menu option for hiding or showing the stacks in a frame.
+ * @param {!Blockly.Frame} frame The frame where the right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.frameHideContentsOption = function(frame) {
+  return {
+    text: frame.contentsHidden ? Blockly.Msg.FRAME_SHOW_CONTENTS :
+        Blockly.Msg.FRAME_HIDE_CONTENTS,
+    enabled: !frame.locked,
+    callback: function() {
+      frame.setContentsHidden(!frame.contentsHidden);
+    }
+  };
+};
+
+/**
+ * Make a context menu option for adding a block or a frame to the bookmarks,
+ * or removing it.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame} target The block or frame where
+ *     the right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.bookmarkOption = function(target) {
+  return {
+    text: target.bookmarked ? Blockly.Msg.BOOKMARK_REMOVE :
+        Blockly.Msg.BOOKMARK_ADD,
+    enabled: true,
+    callback: function() {
+      target.setBookmarked(!target.bookmarked);
+    }
+  };
+};
+
+/**
+ * Make a context menu option for listing the bookmarks of a workspace, so
+ * the user can jump to them.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace where the right-click
+ *     originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.wsBookmarksOption = function(ws) {
+  return {
+    text: Blockly.Msg.BOOKMARKS,
+    enabled: ws.getBookmarks().length > 0,
+    callback: function() {
+      Blockly.BookmarksPanel.show(ws);
+    }
+  };
+};
+
+/**
+ * Make a context menu option for opening the panel of the undo history of a
+ * workspace.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace where the right-click
+ *     originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.wsHistoryOption = function(ws) {
+  return {
+    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.HISTORY_SHOW,
+        Blockly.ShortcutRegistry.getKeyLabel('history')),
+    enabled: true,
+    callback: function() {
+      Blockly.HistoryPanel.show(ws);
+    }
+  };
+};
+
+/**
+ * Make a context menu option for going back to where the workspace was
+ * before its last jump.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace where the right-click
+ *     originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.wsNavigateBackOption = function(ws) {
+  var history = ws.navigationHistory;
+  return {
+    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.NAVIGATE_BACK,
+        Blockly.ShortcutRegistry.getKeyLabel('navigateBack')),
+    enabled: !!history && history.canGoBack(),
+    callback: function() {
+      history.back();
+    }
+  };
+};
+
+/**
+ * Make a context menu option for returning to where the workspace was before
+ * going back.
+ * @param {!Blockly.WorkspaceSvg} ws The workspace where the right-click
+ *     originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.wsNavigateForwardOption = function(ws) {
+  var history = ws.navigationHistory;
+  return {
+    text: Blockly.utils.createMenuOptionNode(Blockly.Msg.NAVIGATE_FORWARD,
+        Blockly.ShortcutRegistry.getKeyLabel('navigateForward')),
+    enabled: !!history && history.canGoForward(),
+    callback: function() {
+      history.forward();
+    }
+  };
+};
+
 // End helper functions for creating context menu options.
 
 if (!goog.global['Blockly']) {
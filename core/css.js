@@ -65,6 +65,14 @@ Blockly.Css.styleSheet_ = null;
  */
 Blockly.Css.mediaPath_ = '';
 
+/**
+ * Whether Blockly's own CSS was injected, rather than provided by the
+ * document.
+ * @type {boolean}
+ * @private
+ */
+Blockly.Css.hasCss_ = false;
+
 /**
  * Inject the CSS into the DOM.  This is preferable over using a regular CSS
  * file since:
@@ -80,38 +88,63 @@ Blockly.Css.inject = function(hasCss, pathToMedia) {
   if (Blockly.Css.styleSheet_) {
     return;
   }
-  // Placeholder for cursor rule.  Must be first rule (index 0).
-  var text = '.blocklyDraggable {}\n';
-  if (hasCss) {
-    text += Blockly.Css.CONTENT.join('\n');
-    if (Blockly.FieldDate) {
-      text += Blockly.FieldDate.CSS.join('\n');
-    }
-  }
+  Blockly.Css.hasCss_ = hasCss;
   // Strip off any trailing slash (either Unix or Windows).
   Blockly.Css.mediaPath_ = pathToMedia.replace(/[\\\/]$/, '');
-  text = text.replace(/<<<PATH>>>/g, Blockly.Css.mediaPath_);
-  // Dynamically replace colours in the CSS text, in case they have
-  // been set at run-time injection.
-  for (var colourProperty in Blockly.Colours) {
-    if (Blockly.Colours.hasOwnProperty(colourProperty)) {
-      // Replace all
-      text = text.replace(
-        new RegExp('\\$colour\\_' + colourProperty, 'g'),
-        Blockly.Colours[colourProperty]
-      );
-    }
-  }
 
   // Inject CSS tag at start of head.
   var cssNode = document.createElement('style');
   document.head.insertBefore(cssNode, document.head.firstChild);
 
-  var cssTextNode = document.createTextNode(text);
+  var cssTextNode = document.createTextNode(Blockly.Css.getText_());
   cssNode.appendChild(cssTextNode);
   Blockly.Css.styleSheet_ = cssNode.sheet;
 };
 
+/**
+ * Rebuild the injected CSS with the current values of Blockly.Colours, for
+ * instance after switching to another theme.
+ */
+Blockly.Css.refresh = function() {
+  if (!Blockly.Css.styleSheet_) {
+    return;
+  }
+  var cssNode = Blockly.Css.styleSheet_.ownerNode;
+  cssNode.textContent = Blockly.Css.getText_();
+  // Replacing the text of the style tag replaces its style sheet.
+  Blockly.Css.styleSheet_ = cssNode.sheet;
+};
+
+/**
+ * Build the text of the CSS to inject.
+ * @return {string} The CSS.
+ * @private
+ */
+Blockly.Css.getText_ = function() {
+  // Placeholder for cursor rule.  Must be first rule (index 0).
+  var text = '.blocklyDraggable {}\n';
+  if (Blockly.Css.hasCss_) {
+    text += Blockly.Css.CONTENT.join('\n');
+    if (Blockly.FieldDate) {
+      text += Blockly.FieldDate.CSS.join('\n');
+    }
+  }
+  text = text.replace(/<<<PATH>>>/g, Blockly.Css.mediaPath_);
+  // Dynamically replace colours in the CSS text, in case they have
+  // been set at run-time injection.  $colour_name is replaced with
+  // Blockly.Colours.name, and $colour_name.shade with a colour of a category.
+  return text.replace(/\$colour_(\w+)(?:\.(\w+))?/g,
+      function(match, name, shade) {
+        var colour = Blockly.Colours.hasOwnProperty(name) ?
+            Blockly.Colours[name] : undefined;
+        if (shade && goog.isObject(colour)) {
+          colour = colour[shade];
+        }
+        return (goog.isString(colour) || goog.isNumber(colour)) ?
+            String(colour) : match;
+      });
+};
+
 /**
  * Set the cursor to be displayed when over something draggable.
  * See See https://github.com/google/blockly/issues/981 for context.
@@ -253,7 +286,7 @@ Blockly.Css.CONTENT = [
     'display: none;',
     'border: 1px solid;',
     'border-radius: 4px;',
-    'box-shadow: 0px 0px 8px 1px ' + Blockly.Colours.dropDownShadow + ';',
+    'box-shadow: 0px 0px 8px 1px $colour_dropDownShadow;',
     'padding: 4px;',
     '-webkit-user-select: none;',
     'min-height: 15px',
@@ -303,11 +336,11 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.blocklyDropDownButtonHover {',
-    'box-shadow: 0px 0px 0px 4px ' + Blockly.Colours.fieldShadow + ';',
+    'box-shadow: 0px 0px 0px 4px $colour_fieldShadow;',
   '}',
 
   '.blocklyDropDownButton:active {',
-    'box-shadow: 0px 0px 0px 6px ' + Blockly.Colours.fieldShadow + ';',
+    'box-shadow: 0px 0px 0px 6px $colour_fieldShadow;',
   '}',
 
   '.blocklyDropDownButton > img {',
@@ -696,7 +729,7 @@ Blockly.Css.CONTENT = [
 
 
   '.blocklyCommentTextarea {',
-    'background-color: #fef49c;',
+    'background-color: $colour_comment;',
     'border: 0;',
     'outline: 0;',
     'margin: 0;',
@@ -733,12 +766,12 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.scratchCommentBody {',
-    'background-color: #fef49c !important;',
+    'background-color: $colour_comment !important;',
     'border-radius: 4px;',
   '}',
 
   '.scratchCommentRect {',
-    'fill: #fef49c;',
+    'fill: $colour_comment;',
   '}',
 
   '.scratchCommentTarget {',
@@ -746,7 +779,7 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.scratchWorkspaceCommentBorder {',
-    'stroke: #bcA903;',
+    'stroke: $colour_commentBorder;',
     'stroke-width: 1px;',
   '}',
 
@@ -766,7 +799,7 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.scratchCommentTextarea {',
-    'background-color: #fef49c;',
+    'background-color: $colour_comment;',
     'border: 0;',
     'outline: 0;',
     'padding: 0;',
@@ -799,7 +832,7 @@ Blockly.Css.CONTENT = [
     'box-sizing: border-box;',
     'width: 100%;',
     'text-align: center;',
-    'color: #242731;',
+    'color: $colour_fieldText;',
     'font-weight: 500;',
   '}',
 
@@ -814,7 +847,8 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.blocklyFlyoutBackground {',
-    'fill-opacity: 0;',
+    'fill: $colour_flyout;',
+    'fill-opacity: $colour_flyoutOpacity;',
   '}',
 
   '.blocklyMainWorkspaceScrollbar {',
@@ -861,6 +895,45 @@ Blockly.Css.CONTENT = [
       'transform: translateY(-8px);',
   '}',
 
+  '.blocklyMinimap {',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyMinimapBackground {',
+    'fill: var(--theme-color-300, #fff);',
+    'fill-opacity: 0.9;',
+    'stroke: var(--theme-color-200, #ddd);',
+  '}',
+
+  '.blocklyMinimapFrame {',
+    'stroke-width: 1px;',
+  '}',
+
+  '.blocklyMinimapComment {',
+    'fill: #fef49c;',
+  '}',
+
+  '.blocklyMinimapViewport {',
+    'fill: var(--theme-brand-color, #2D8CFF);',
+    'fill-opacity: 0.15;',
+    'stroke: var(--theme-brand-color, #2D8CFF);',
+    'stroke-width: 1px;',
+  '}',
+
+  '.blocklyRemoteUsers {',
+    'pointer-events: none;',
+  '}',
+
+  '.blocklyRemoteSelection {',
+    'fill: none;',
+    'stroke-width: 2px;',
+  '}',
+
+  '.blocklyRemoteCursorLabel {',
+    'font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    'font-size: 12px;',
+  '}',
+
   /* Darken flyout scrollbars due to being on a grey background. */
   /* By contrast, workspace scrollbars are on a white background. */
   '.blocklyFlyout .blocklyScrollbarHandle {',
@@ -877,9 +950,9 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.blocklyAngleCircle {',
-    'stroke: ' + Blockly.Colours.motion.tertiary + ';',
+    'stroke: $colour_motion.tertiary;',
     'stroke-width: 1;',
-    'fill: ' + Blockly.Colours.motion.secondary + ';',
+    'fill: $colour_motion.secondary;',
   '}',
 
   '.blocklyAngleCenterPoint {',
@@ -961,7 +1034,7 @@ Blockly.Css.CONTENT = [
   '.blocklyToolboxDiv {',
     'color: $colour_toolboxText;',
     'position: absolute;',
-    'background: var(--theme-color-300);',
+    'background: var(--theme-color-300, $colour_toolbox);',
     'border: 1px solid var(--theme-color-200);',
     'border-radius: 8px;',
     'display: flex;',
@@ -1206,6 +1279,483 @@ Blockly.Css.CONTENT = [
     'height: 34px;',
   '}',
 
+  '.blocklyScreenReaderOnly {',
+    'position: absolute;',
+    'width: 1px;',
+    'height: 1px;',
+    'overflow: hidden;',
+    'clip: rect(0 0 0 0);',
+    'white-space: nowrap;',
+  '}',
+
+  '.blocklyCursor, .blocklyMarker {',
+    'fill: none;',
+    'stroke-width: 3px;',
+    'pointer-events: none;',
+  '}',
+
+  '.blocklyCursor {',
+    'stroke: var(--theme-brand-color, #2D8CFF);',
+  '}',
+
+  '.blocklyMarker {',
+    'stroke: #ff8c1a;',
+    'stroke-dasharray: 6 3;',
+  '}',
+
+  '.blocklySearchPanel {',
+    'position: fixed;',
+    'z-index: 999999;',
+    'padding: 6px 8px;',
+    'background: var(--theme-color-300, #fff);',
+    'border: 1px solid var(--theme-color-200, #ddd);',
+    'box-shadow: 0px 4px 15px 2px rgba(0, 0, 0, 0.2);',
+    'border-radius: 8px;',
+    'box-sizing: border-box;',
+    'font-size: 12px;',
+    'color: var(--theme-text-primary, #575e75);',
+  '}',
+
+  '.blocklySearchPanelHidden {',
+    'visibility: hidden;',
+  '}',
+
+  '.blocklySearchRow {',
+    'display: flex;',
+    'align-items: center;',
+  '}',
+
+  '.blocklySearchRow + .blocklySearchRow {',
+    'margin-top: 4px;',
+  '}',
+
+  '.blocklySearchInput {',
+    'width: 160px;',
+    'height: 24px;',
+    'padding: 0 6px;',
+    'margin-right: 4px;',
+    'border: 1px solid var(--theme-color-200, #ddd);',
+    'border-radius: 4px;',
+    'background: transparent;',
+    'color: inherit;',
+    'box-sizing: border-box;',
+  '}',
+
+  '.blocklySearchCount {',
+    'min-width: 64px;',
+    'margin-right: 4px;',
+    'white-space: nowrap;',
+  '}',
+
+  '.blocklySearchButton {',
+    'height: 24px;',
+    'min-width: 24px;',
+    'padding: 0 6px;',
+    'border: none;',
+    'border-radius: 4px;',
+    'background: transparent;',
+    'color: inherit;',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklySearchButton:hover, .blocklySearchButtonActive {',
+    'background: var(--theme-color-200, #eee);',
+  '}',
+
+  '.blocklySearchMatch>.blocklyPath, .blocklySearchMatch .blocklyFrameRectangle,',
+  '.blocklySearchMatch .scratchCommentRect {',
+    'stroke: #fc3;',
+    'stroke-width: 2px;',
+  '}',
+
+  '.blocklySearchCurrent>.blocklyPath, .blocklySearchCurrent .blocklyFrameRectangle,',
+  '.blocklySearchCurrent .scratchCommentRect {',
+    'stroke: #ff8c1a;',
+    'stroke-width: 4px;',
+  '}',
+
+  '.blocklyHistoryPanel {',
+    'position: fixed;',
+    'z-index: 999999;',
+    'width: 240px;',
+    'padding: 6px 8px;',
+    'background: var(--theme-color-300, #fff);',
+    'border: 1px solid var(--theme-color-200, #ddd);',
+    'box-shadow: 0px 4px 15px 2px rgba(0, 0, 0, 0.2);',
+    'border-radius: 8px;',
+    'box-sizing: border-box;',
+    'font-size: 12px;',
+    'color: var(--theme-text-primary, #575e75);',
+  '}',
+
+  '.blocklyHistoryPanelHidden {',
+    'visibility: hidden;',
+  '}',
+
+  '.blocklyHistoryHeader {',
+    'display: flex;',
+    'align-items: center;',
+    'margin-bottom: 4px;',
+  '}',
+
+  '.blocklyHistoryTitle {',
+    'flex: 1;',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyHistoryButton {',
+    'height: 24px;',
+    'min-width: 24px;',
+    'padding: 0 6px;',
+    'border: none;',
+    'border-radius: 4px;',
+    'background: transparent;',
+    'color: inherit;',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyHistoryButton:hover, .blocklyHistoryRow:hover {',
+    'background: var(--theme-color-200, #eee);',
+  '}',
+
+  '.blocklyHistoryList {',
+    'max-height: 320px;',
+    'overflow-y: auto;',
+  '}',
+
+  '.blocklyHistoryRow {',
+    'padding: 4px 6px;',
+    'border-radius: 4px;',
+    'cursor: pointer;',
+    'overflow: hidden;',
+    'text-overflow: ellipsis;',
+    'white-space: nowrap;',
+  '}',
+
+  '.blocklyHistoryRowUndone {',
+    'opacity: 0.5;',
+  '}',
+
+  '.blocklyHistoryRowCurrent {',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyHistoryCheckpoint {',
+    'color: #ff8c1a;',
+  '}',
+
+  '.blocklyHistoryCheckpoint:before {',
+    'content: "\\2691  ";',
+  '}',
+
+  '.blocklyCleanupPanel {',
+    'position: fixed;',
+    'z-index: 999999;',
+    'width: 280px;',
+    'padding: 8px 12px;',
+    'background: var(--theme-color-300, #fff);',
+    'border: 1px solid var(--theme-color-200, #ddd);',
+    'box-shadow: 0px 4px 15px 2px rgba(0, 0, 0, 0.2);',
+    'border-radius: 8px;',
+    'box-sizing: border-box;',
+    'font-size: 12px;',
+    'color: var(--theme-text-primary, #575e75);',
+  '}',
+
+  '.blocklyCleanupPanelHidden {',
+    'visibility: hidden;',
+  '}',
+
+  '.blocklyCleanupTitle {',
+    'margin-bottom: 6px;',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyCleanupOption {',
+    'display: block;',
+    'padding: 2px 0;',
+    'overflow: hidden;',
+    'text-overflow: ellipsis;',
+    'white-space: nowrap;',
+  '}',
+
+  '.blocklyCleanupList {',
+    'max-height: 320px;',
+    'margin: 6px 0;',
+    'overflow-y: auto;',
+  '}',
+
+  '.blocklyCleanupHeading {',
+    'margin-top: 6px;',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyCleanupEmpty {',
+    'padding: 6px 0;',
+    'opacity: 0.7;',
+  '}',
+
+  '.blocklyCleanupButtons {',
+    'display: flex;',
+    'justify-content: flex-end;',
+  '}',
+
+  '.blocklyCleanupButton {',
+    'height: 24px;',
+    'margin-left: 6px;',
+    'padding: 0 8px;',
+    'border: none;',
+    'border-radius: 4px;',
+    'background: var(--theme-color-200, #eee);',
+    'color: inherit;',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyCleanupButton:disabled {',
+    'opacity: 0.5;',
+    'cursor: default;',
+  '}',
+
+  '.blocklyHiddenStacksPanel {',
+    'position: fixed;',
+    'z-index: 999999;',
+    'width: 280px;',
+    'padding: 8px 12px;',
+    'background: var(--theme-color-300, #fff);',
+    'border: 1px solid var(--theme-color-200, #ddd);',
+    'box-shadow: 0px 4px 15px 2px rgba(0, 0, 0, 0.2);',
+    'border-radius: 8px;',
+    'box-sizing: border-box;',
+    'font-size: 12px;',
+    'color: var(--theme-text-primary, #575e75);',
+  '}',
+
+  '.blocklyHiddenStacksPanelHidden {',
+    'visibility: hidden;',
+  '}',
+
+  '.blocklyHiddenStacksTitle {',
+    'margin-bottom: 6px;',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyHiddenStacksList {',
+    'max-height: 320px;',
+    'margin: 6px 0;',
+    'overflow-y: auto;',
+  '}',
+
+  '.blocklyHiddenStacksRow {',
+    'display: flex;',
+    'align-items: center;',
+    'padding: 2px 0;',
+  '}',
+
+  '.blocklyHiddenStacksName {',
+    'flex: 1;',
+    'overflow: hidden;',
+    'text-overflow: ellipsis;',
+    'white-space: nowrap;',
+  '}',
+
+  '.blocklyHiddenStacksEmpty {',
+    'padding: 6px 0;',
+    'opacity: 0.7;',
+  '}',
+
+  '.blocklyHiddenStacksButtons {',
+    'display: flex;',
+    'justify-content: flex-end;',
+  '}',
+
+  '.blocklyHiddenStacksButton {',
+    'height: 24px;',
+    'margin-left: 6px;',
+    'padding: 0 8px;',
+    'border: none;',
+    'border-radius: 4px;',
+    'background: var(--theme-color-200, #eee);',
+    'color: inherit;',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyFrameContentsHidden .blocklyFrameRectangle {',
+    'stroke-dasharray: 8 4;',
+  '}',
+
+  '.blocklyBookmarksPanel {',
+    'position: fixed;',
+    'z-index: 999999;',
+    'width: 320px;',
+    'padding: 8px 12px;',
+    'background: var(--theme-color-300, #fff);',
+    'border: 1px solid var(--theme-color-200, #ddd);',
+    'box-shadow: 0px 4px 15px 2px rgba(0, 0, 0, 0.2);',
+    'border-radius: 8px;',
+    'box-sizing: border-box;',
+    'font-size: 12px;',
+    'color: var(--theme-text-primary, #575e75);',
+  '}',
+
+  '.blocklyBookmarksPanelHidden {',
+    'visibility: hidden;',
+  '}',
+
+  '.blocklyBookmarksTitle {',
+    'margin-bottom: 6px;',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyBookmarksList {',
+    'max-height: 320px;',
+    'margin: 6px 0;',
+    'overflow-y: auto;',
+  '}',
+
+  '.blocklyBookmarksRow {',
+    'display: flex;',
+    'align-items: center;',
+    'padding: 2px 0;',
+  '}',
+
+  '.blocklyBookmarksName {',
+    'flex: 1;',
+    'overflow: hidden;',
+    'text-overflow: ellipsis;',
+    'white-space: nowrap;',
+  '}',
+
+  '.blocklyBookmarksEmpty {',
+    'padding: 6px 0;',
+    'opacity: 0.7;',
+  '}',
+
+  '.blocklyBookmarksButtons {',
+    'display: flex;',
+    'justify-content: flex-end;',
+  '}',
+
+  '.blocklyBookmarksButton {',
+    'height: 24px;',
+    'margin-left: 6px;',
+    'padding: 0 8px;',
+    'border: none;',
+    'border-radius: 4px;',
+    'background: var(--theme-color-200, #eee);',
+    'color: inherit;',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyBookmarked>.blocklyPath, .blocklyBookmarked .blocklyFrameRectangle {',
+    'stroke: #ffab19;',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyDiffAdded>.blocklyPath, .blocklyDiffAdded .blocklyFrameRectangle,',
+  '.blocklyDiffAdded .scratchCommentRect {',
+    'stroke: #0fbd8c;',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyDiffRemoved>.blocklyPath, .blocklyDiffRemoved .blocklyFrameRectangle,',
+  '.blocklyDiffRemoved .scratchCommentRect {',
+    'stroke: #ff6680;',
+    'stroke-width: 3px;',
+    'stroke-dasharray: 6 3;',
+  '}',
+
+  '.blocklyDiffChanged>.blocklyPath, .blocklyDiffChanged .blocklyFrameRectangle,',
+  '.blocklyDiffChanged .scratchCommentRect {',
+    'stroke: #ffab19;',
+    'stroke-width: 3px;',
+  '}',
+
+  '.blocklyDeferredStack {',
+    'fill: var(--theme-color-200, #e9eef2);',
+    'opacity: 0.6;',
+  '}',
+
+  '.blocklyBatchSelected .blocklyPath, .blocklyBatchSelected .blocklyFrameRectangle {',
+    'stroke: var(--theme-brand-color, #2D8CFF);',
+    'stroke-width: 2px;',
+  '}',
+
+  '.blocklyBatchSelectArea {',
+    'fill: var(--theme-brand-color, #2D8CFF);',
+    'fill-opacity: .1;',
+    'stroke: var(--theme-brand-color, #2D8CFF);',
+    'stroke-dasharray: 4 2;',
+    'stroke-width: 1px;',
+    'pointer-events: none;',
+  '}',
+
+  '.blocklyTrashcanFlyout {',
+    'position: fixed;',
+    'z-index: 999999;',
+    'width: 240px;',
+    'background: var(--theme-color-300, #fff);',
+    'border: 1px solid var(--theme-color-200, #ddd);',
+    'box-shadow: 0px 4px 15px 2px rgba(0, 0, 0, 0.2);',
+    'border-radius: 8px;',
+    'box-sizing: border-box;',
+    'font-size: 12px;',
+    'color: var(--theme-text-primary, #575e75);',
+  '}',
+
+  '.blocklyTrashcanFlyoutHidden {',
+    'visibility: hidden;',
+  '}',
+
+  '.blocklyTrashcanFlyoutHeader {',
+    'display: flex;',
+    'align-items: center;',
+    'padding: 6px 8px;',
+    'border-bottom: 1px solid var(--theme-color-200, #ddd);',
+  '}',
+
+  '.blocklyTrashcanFlyoutTitle {',
+    'flex: 1;',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyTrashcanFlyoutButton {',
+    'height: 24px;',
+    'min-width: 24px;',
+    'padding: 0 6px;',
+    'border: none;',
+    'border-radius: 4px;',
+    'background: transparent;',
+    'color: inherit;',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyTrashcanFlyoutButton:hover, .blocklyTrashcanFlyoutItem:hover {',
+    'background: var(--theme-color-200, #eee);',
+  '}',
+
+  '.blocklyTrashcanFlyoutList {',
+    'max-height: 320px;',
+    'overflow-y: auto;',
+    'padding: 4px;',
+  '}',
+
+  '.blocklyTrashcanFlyoutItem, .blocklyTrashcanFlyoutEmpty {',
+    'padding: 6px 8px;',
+    'border-radius: 4px;',
+    'overflow: hidden;',
+    'white-space: nowrap;',
+    'text-overflow: ellipsis;',
+  '}',
+
+  '.blocklyTrashcanFlyoutItem {',
+    'cursor: grab;',
+    'user-select: none;',
+  '}',
+
+  '.blocklyTrashcanFlyoutEmpty {',
+    'opacity: .6;',
+  '}',
+
   '.waitingCreateFrame {',
     'cursor: crosshair;',
   '}',
@@ -1693,8 +2243,8 @@ Blockly.Css.CONTENT = [
   '}',
 
   '.checked > .blocklyFlyoutCheckbox {',
-    'fill: ' + Blockly.Colours.motion.primary + ';',
-    'stroke: ' + Blockly.Colours.motion.tertiary + ';',
+    'fill: $colour_motion.primary;',
+    'stroke: $colour_motion.tertiary;',
   '}',
 
   '.disabled .blocklyTouchTargetBackground {',
@@ -0,0 +1,276 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview A cursor pointing at a node of the navigation tree, drawn
+ * on rendered workspaces.
+ */
+'use strict';
+
+goog.provide('Blockly.Cursor');
+
+goog.require('Blockly.ASTNode');
+goog.require('Blockly.utils');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+
+
+/**
+ * Class for a cursor.
+ * @param {string=} opt_className CSS class of the drawn cursor.  Defaults to
+ *     'blocklyCursor'.
+ * @constructor
+ */
+Blockly.Cursor = function(opt_className) {
+  /**
+   * The node the cursor points at.
+   * @type {Blockly.ASTNode}
+   * @private
+   */
+  this.curNode_ = null;
+
+  /**
+   * @type {string}
+   * @private
+   */
+  this.className_ = opt_className || 'blocklyCursor';
+
+  /**
+   * The SVG element drawn for the current node.
+   * @type {Element}
+   * @private
+   */
+  this.svgRect_ = null;
+
+  /**
+   * Functions called when the cursor moves.
+   * @type {!Array.<!Function>}
+   * @private
+   */
+  this.listeners_ = [];
+};
+
+/**
+ * Thickness of the marker drawn for statement connections.
+ * @type {number}
+ * @const
+ */
+Blockly.Cursor.CONNECTION_HEIGHT = 4;
+
+/**
+ * Width of the marker drawn for statement connections.
+ * @type {number}
+ * @const
+ */
+Blockly.Cursor.CONNECTION_WIDTH = 40;
+
+/**
+ * Size of the marker drawn for value connections.
+ * @type {number}
+ * @const
+ */
+Blockly.Cursor.VALUE_MARKER_SIZE = 8;
+
+/**
+ * Space between the outline drawn for blocks and fields and their edges.
+ * @type {number}
+ * @const
+ */
+Blockly.Cursor.PADDING = 3;
+
+/**
+ * Get the node the cursor points at.
+ * @return {Blockly.ASTNode} The node, or null.
+ */
+Blockly.Cursor.prototype.getCurNode = function() {
+  return this.curNode_;
+};
+
+/**
+ * Point the cursor at a node and redraw it.
+ * @param {Blockly.ASTNode} node The new node, or null to hide the cursor.
+ */
+Blockly.Cursor.prototype.setLocation = function(node) {
+  this.curNode_ = node;
+  this.draw_();
+  for (var i = 0, func; func = this.listeners_[i]; i++) {
+    func(node);
+  }
+};
+
+/**
+ * Call a function whenever the cursor moves.
+ * @param {function(Blockly.ASTNode)} func Function to call with the new node.
+ * @return {!Function} Function that can be passed to removeChangeListener.
+ */
+Blockly.Cursor.prototype.addChangeListener = function(func) {
+  this.listeners_.push(func);
+  return func;
+};
+
+/**
+ * Stop calling a function when the cursor moves.
+ * @param {Function} func Function to stop calling.
+ */
+Blockly.Cursor.prototype.removeChangeListener = function(func) {
+  goog.array.remove(this.listeners_, func);
+};
+
+/**
+ * Move to the next sibling of the current node, if there is one.
+ * @return {Blockly.ASTNode} The new current node.
+ */
+Blockly.Cursor.prototype.next = function() {
+  return this.move_(this.curNode_ && this.curNode_.next());
+};
+
+/**
+ * Move to the previous sibling of the current node, if there is one.
+ * @return {Blockly.ASTNode} The new current node.
+ */
+Blockly.Cursor.prototype.prev = function() {
+  return this.move_(this.curNode_ && this.curNode_.prev());
+};
+
+/**
+ * Move to the first child of the current node, if there is one.
+ * @return {Blockly.ASTNode} The new current node.
+ */
+Blockly.Cursor.prototype.in = function() {
+  return this.move_(this.curNode_ && this.curNode_.in());
+};
+
+/**
+ * Move to the parent of the current node, if there is one.
+ * @return {Blockly.ASTNode} The new current node.
+ */
+Blockly.Cursor.prototype.out = function() {
+  return this.move_(this.curNode_ && this.curNode_.out());
+};
+
+/**
+ * Hide the cursor and forget the current node.
+ */
+Blockly.Cursor.prototype.dispose = function() {
+  this.setLocation(null);
+};
+
+/**
+ * Move to a node if there is one, otherwise stay put.
+ * @param {Blockly.ASTNode} node The node to move to.
+ * @return {Blockly.ASTNode} The new current node.
+ * @private
+ */
+Blockly.Cursor.prototype.move_ = function(node) {
+  if (node) {
+    this.setLocation(node);
+  }
+  return this.curNode_;
+};
+
+/**
+ * Draw the cursor around the current node.  Nothing is drawn for workspace
+ * nodes or on headless workspaces.
+ * @private
+ */
+Blockly.Cursor.prototype.draw_ = function() {
+  goog.dom.removeNode(this.svgRect_);
+  this.svgRect_ = null;
+  var node = this.curNode_;
+  var block = node && node.getSourceBlock();
+  if (!block || !block.rendered) {
+    return;
+  }
+  var rect = this.getRect_(node, block);
+  var parent = node.getType() == Blockly.ASTNode.types.FIELD ?
+      node.getLocation().getSvgRoot() : block.getSvgRoot();
+  if (!rect || !parent) {
+    return;
+  }
+  this.svgRect_ = Blockly.utils.createSvgElement('rect', {
+    'class': this.className_,
+    'x': rect.x,
+    'y': rect.y,
+    'width': rect.width,
+    'height': rect.height,
+    'rx': Blockly.Cursor.PADDING,
+    'ry': Blockly.Cursor.PADDING
+  }, parent);
+};
+
+/**
+ * Compute the rectangle to draw for a node, relative to the SVG element it is
+ * drawn in.
+ * @param {!Blockly.ASTNode} node The node.
+ * @param {!Blockly.BlockSvg} block The block the node belongs to.
+ * @return {?{x: number, y: number, width: number, height: number}} The
+ *     rectangle.
+ * @private
+ */
+Blockly.Cursor.prototype.getRect_ = function(node, block) {
+  var types = Blockly.ASTNode.types;
+  var padding = Blockly.Cursor.PADDING;
+  var width, height;
+  switch (node.getType()) {
+    case types.FIELD:
+      var bBox = node.getLocation().getSvgRoot().getBBox();
+      return {
+        x: bBox.x - padding,
+        y: bBox.y - padding,
+        width: bBox.width + 2 * padding,
+        height: bBox.height + 2 * padding
+      };
+    case types.BLOCK:
+    case types.STACK:
+      if (node.getType() == types.STACK) {
+        var heightWidth = block.getHeightWidth();
+        width = heightWidth.width;
+        height = heightWidth.height;
+      } else {
+        width = block.width;
+        height = block.height;
+      }
+      return {
+        x: (block.RTL ? -width : 0) - padding,
+        y: -padding,
+        width: width + 2 * padding,
+        height: height + 2 * padding
+      };
+  }
+  // Connections are drawn at their offset from the block.
+  var connection = node.getLocation();
+  var xy = block.getRelativeToSurfaceXY();
+  var x = connection.x_ - xy.x;
+  var y = connection.y_ - xy.y;
+  if (connection.type == Blockly.INPUT_VALUE ||
+      connection.type == Blockly.OUTPUT_VALUE) {
+    var size = Blockly.Cursor.VALUE_MARKER_SIZE;
+    return {x: x - size / 2, y: y, width: size, height: size * 3};
+  }
+  width = Blockly.Cursor.CONNECTION_WIDTH;
+  height = Blockly.Cursor.CONNECTION_HEIGHT;
+  return {
+    x: block.RTL ? x - width : x,
+    y: y - height / 2,
+    width: width,
+    height: height
+  };
+};
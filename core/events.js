@@ -47,6 +47,13 @@ Blockly.Events.group_ = '';
  */
 Blockly.Events.recordUndo = true;
 
+/**
+ * Sets whether events are changes made by another client of a collaboration
+ * session.
+ * @type {boolean}
+ */
+Blockly.Events.isRemote = false;
+
 /**
  * Allow change events to be created and fired.
  * @type {number}
@@ -440,6 +447,27 @@ Blockly.Events.fromJson = function(json, workspace) {
     case Blockly.Events.END_DRAG:
       event = new Blockly.Events.EndBlockDrag(null, false);
       break;
+    case Blockly.Events.BLOCK_HIDDEN:
+      event = new Blockly.Events.BlockHidden(null);
+      break;
+    case Blockly.Events.FRAME_CREATE:
+      event = new Blockly.Events.FrameCreate(null);
+      break;
+    case Blockly.Events.FRAME_DELETE:
+      event = new Blockly.Events.FrameDelete(null);
+      break;
+    case Blockly.Events.FRAME_RETITLE:
+      event = new Blockly.Events.FrameRetitle(null);
+      break;
+    case Blockly.Events.FRAME_CHANGE:
+      event = new Blockly.Events.FrameChange(null);
+      break;
+    case Blockly.Events.FRAME_DRAG_OUTSIDE:
+      event = new Blockly.Events.DragFrameOutside(null);
+      break;
+    case Blockly.Events.FRAME_END_DRAG:
+      event = new Blockly.Events.EndFrameDrag(null, false);
+      break;
     default:
       throw 'Unknown event type.';
   }
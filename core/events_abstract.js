@@ -55,6 +55,13 @@ Blockly.Events.Abstract = function() {
    * @type {boolean}
    */
   this.recordUndo = Blockly.Events.recordUndo;
+
+  /**
+   * Whether the event is a change made by another client of a collaboration
+   * session.
+   * @type {boolean}
+   */
+  this.isRemote = Blockly.Events.isRemote;
 };
 
 /**
@@ -293,6 +293,9 @@ Blockly.Flyout.prototype.createDom = function(tagName) {
   // hide/show code will set up proper visibility and size later.
   this.svgGroup_ = Blockly.utils.createSvgElement(tagName,
       {'class': 'blocklyFlyout', 'style': 'display: none'}, null);
+  // The blocks are read out as the options of a listbox.
+  this.svgGroup_.setAttribute('role', 'listbox');
+  this.svgGroup_.setAttribute('aria-label', Blockly.Msg.ARIA_FLYOUT);
   this.svgBackground_ = Blockly.utils.createSvgElement('path',
       {'class': 'blocklyFlyoutBackground'}, this.svgGroup_);
   this.svgGroup_.appendChild(this.workspace_.createDom());
@@ -581,6 +584,16 @@ Blockly.Flyout.prototype.show = function(xmlList) {
 
   this.layout_(contents, gaps);
 
+  for (var i = 0, item; item = contents[i]; i++) {
+    if (item.type == 'block') {
+      var root = item.block.getSvgRoot();
+      root.setAttribute('id', this.getBlockAriaId_(item.block));
+      root.setAttribute('role', 'option');
+      root.setAttribute('aria-label',
+          Blockly.utils.getBlockText(item.block));
+    }
+  }
+
   // IE 11 is an incompetent browser that fails to fire mouseout events.
   // When the mouse is over the background, deselect all blocks.
   var deselectAll = function() {
@@ -605,6 +618,39 @@ Blockly.Flyout.prototype.show = function(xmlList) {
   this.recordCategoryScrollPositions_();
 };
 
+/**
+ * Get the id used to point assistive technology at a block in the flyout.
+ * @param {!Blockly.BlockSvg} block A top block in the flyout.
+ * @return {string} The id of the block's SVG root.
+ * @private
+ */
+Blockly.Flyout.prototype.getBlockAriaId_ = function(block) {
+  return 'blocklyFlyout-' + this.workspace_.id + '-' + block.id;
+};
+
+/**
+ * Mark a block as the active option of the flyout for assistive technology.
+ * @param {Blockly.BlockSvg} block A top block in the flyout, or null to clear
+ *     the active option.
+ * @package
+ */
+Blockly.Flyout.prototype.setActiveBlock = function(block) {
+  if (!this.svgGroup_) {
+    return;
+  }
+  var previous = this.svgGroup_.querySelector('[aria-selected="true"]');
+  if (previous) {
+    previous.removeAttribute('aria-selected');
+  }
+  if (block) {
+    block.getSvgRoot().setAttribute('aria-selected', 'true');
+    this.svgGroup_.setAttribute('aria-activedescendant',
+        this.getBlockAriaId_(block));
+  } else {
+    this.svgGroup_.removeAttribute('aria-activedescendant');
+  }
+};
+
 /**
  * Empty out the recycled blocks, properly destroying everything.
  * @private
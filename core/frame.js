@@ -28,6 +28,9 @@ goog.require('Blockly.Events.FrameRetitle');
 goog.require('Blockly.Events.FrameChange');
 goog.require('Blockly.Workspace');
 goog.require('Blockly.ColorSelector');
+goog.require('Blockly.ContextMenuRegistry');
+goog.require('Blockly.Colours');
+goog.require('Blockly.Theme');
 goog.require('goog.dom');
 
 /**
@@ -47,6 +50,8 @@ goog.require('goog.dom');
  *     create a new ID.  If the ID conflicts with an in-use ID, a new one will
  *     be generated.
  * @property {Array<string>} blocks - All blocks contained in the frame.
+ * @property {Array<string>} frames - All frames nested in the frame.
+ * @property {?string} parent - The frame this frame is nested in.
  * @property {number} x - the X coordinate of the workspace's origin.
  * @property {number} y - the Y coordinate of the workspace's origin.
  * @property {number} width - the width of the frame's rect.
@@ -102,13 +107,26 @@ Blockly.Frame = function(workspace, opt_options) {
   /**
    * The frame's color
    */
-  this.color = this.options.color || '45, 140, 255';
+  this.color = this.options.color ||
+      Blockly.Theme.getDefaultFrameColour(workspace);
 
   /**
    * Whether the frame is locked
    */
   this.locked = this.options.locked || false;
 
+  /**
+   * Whether the stacks in the frame are hidden, and new content refused.
+   * @type {boolean}
+   */
+  this.contentsHidden = this.options.contentsHidden || false;
+
+  /**
+   * Whether the frame is bookmarked, so that the user can find it again.
+   * @type {boolean}
+   */
+  this.bookmarked = this.options.bookmarked || false;
+
   /**
    * The event that most recently updated this gesture.
    * @type {Event}
@@ -142,6 +160,19 @@ Blockly.Frame = function(workspace, opt_options) {
    */
   this.blockDB_ = {};
 
+  /**
+   * The frames nested directly inside this frame.
+   * @private
+   */
+  this.frameDB_ = {};
+
+  /**
+   * The frame this frame is nested in, if any.
+   * @type {Blockly.Frame}
+   * @private
+   */
+  this.parentFrame_ = null;
+
   /**
    * @type {boolean}
    * @private
@@ -166,10 +197,13 @@ Blockly.Frame = function(workspace, opt_options) {
   this.createDom_();
   this.appendBlocksToBlocksCanvas();
   this.createCollapsedContent_();
+  this.updateContentsHidden(this.contentsHidden);
+  this.updateBookmarked(this.bookmarked);
 
   this.setIsEmpty(!this.options.blocks.length);
 
   workspace.addTopFrame(this);
+  this.appendFramesToFrame_();
 
   if (this.options.id) {
     this.rendered = true;
@@ -220,11 +254,13 @@ Blockly.Frame.prototype.resizeButtonHeight_ = 8;
 Blockly.Frame.prototype.titleInputHeight_ = 24;
 
 /**
- * The frame border color.
- * @type {string}
+ * Get the frame border color.
+ * @return {string} The border color.
  * @private
  */
-Blockly.Frame.prototype.borderColor_ = 'var(--theme-brand-color, #2D8CFF)';
+Blockly.Frame.prototype.getBorderColor_ = function() {
+  return `var(--theme-brand-color, ${Blockly.Colours.frameBorder})`;
+};
 
 /**
  * Append blocks belonging to the node to the blocklyFrameBlockCanvas node below.
@@ -249,6 +285,24 @@ Blockly.Frame.prototype.appendBlocksToBlocksCanvas = function() {
   }
 };
 
+/**
+ * Nest the frames listed in the options inside this frame, and this frame
+ * inside its parent frame.
+ * @private
+ */
+Blockly.Frame.prototype.appendFramesToFrame_ = function() {
+  (this.options.frames || []).forEach((frameId) => {
+    var frame = this.workspace.getFrameById(frameId);
+    if (frame && frame !== this && !this.isDescendantOf(frame)) {
+      frame.setParentFrame(this);
+    }
+  });
+  var parentFrame = this.options.parent && this.workspace.getFrameById(this.options.parent);
+  if (parentFrame && parentFrame !== this && !parentFrame.isDescendantOf(this)) {
+    this.setParentFrame(parentFrame);
+  }
+};
+
 /**
  * Check whether the identifiers need to be adjusted after resize。
  * @private
@@ -307,7 +361,7 @@ Blockly.Frame.prototype.createDom_ = function() {
       {
         'class': 'blocklyFrameRectangle',
         'stroke': 'transparent',
-        'fill': `rgba(${this.color},0.12)`,
+        'fill': `rgba(${Blockly.Theme.getFrameColour(this)},0.12)`,
         'x': 0 ,
         'y': 0,
         'height': this.rect_.height,
@@ -405,7 +459,8 @@ Blockly.Frame.prototype.createCollapsedContent_ = function() {
 Blockly.Frame.prototype.updateCollapsedContent_ = function() {
   // Scratch-specific: don't count shadow blocks in blocks count
   const blockCount = this.getBlocksCount();
-  this.collapseContent_.style.backgroundColor = `rgb(${this.color})`;
+  this.collapseContent_.style.backgroundColor =
+      `rgb(${Blockly.Theme.getFrameColour(this)})`;
   this.collapseContent_.innerHTML = Blockly.Msg.COLLAPSED_X_BLOCKS.replace('%1', String(blockCount));
 };
 
@@ -575,7 +630,7 @@ Blockly.Frame.prototype.createResizeGroup_ = function() {
   // top left corner
   this.resizeButtons.tl = Blockly.utils.createSvgElement('rect', {
     'class': 'blocklyResizeButtonNW',
-    'stroke': this.borderColor_,
+    'stroke': this.getBorderColor_(),
     'fill': '#FFFFFF',
     'x': '0',
     'y': '0',
@@ -586,7 +641,7 @@ Blockly.Frame.prototype.createResizeGroup_ = function() {
   // top right corner
   this.resizeButtons.tr = Blockly.utils.createSvgElement('rect', {
     'class': 'blocklyResizeButtonNE',
-    'stroke': this.borderColor_,
+    'stroke': this.getBorderColor_(),
     'fill': '#FFFFFF',
     'x': this.getWidth(),
     'y': '0',
@@ -597,7 +652,7 @@ Blockly.Frame.prototype.createResizeGroup_ = function() {
   // bottom right corner
   this.resizeButtons.br = Blockly.utils.createSvgElement('rect', {
     'class': 'blocklyResizeButtonSE',
-    'stroke': this.borderColor_,
+    'stroke': this.getBorderColor_(),
     'fill': '#FFFFFF',
     'x': this.getWidth(),
     'y': this.getHeight(),
@@ -608,7 +663,7 @@ Blockly.Frame.prototype.createResizeGroup_ = function() {
   // bottom left corner
   this.resizeButtons.bl = Blockly.utils.createSvgElement('rect', {
     'class': 'blocklyResizeButtonSW',
-    'stroke': this.borderColor_,
+    'stroke': this.getBorderColor_(),
     'fill': '#FFFFFF',
     'x': '0',
     'y': this.getHeight(),
@@ -808,6 +863,16 @@ Blockly.Frame.prototype.fireFrameBlocksChange = function() {
   }
 };
 
+/**
+ * Fire an event when the frame changes nested frames.
+ */
+Blockly.Frame.prototype.fireFrameFramesChange = function() {
+  var eventsEnabled = Blockly.Events.isEnabled();
+  if (eventsEnabled) {
+    this.fireFrameChange('frames', {frames: this.oldFrameIdList_}, {frames: this.getFrameIds()});
+  }
+};
+
 /**
  * Returns the coordinates of a bounding box describing the dimensions of this
  * frame and any frames stacked below it.
@@ -918,6 +983,82 @@ Blockly.Frame.prototype.getBlockIds = function() {
   return Object.keys(this.blockDB_);
 };
 
+/**
+ * Returns the id list of the frames nested directly inside this frame.
+ * @returns {Array<string>} The frame id list.
+ */
+Blockly.Frame.prototype.getFrameIds = function() {
+  return Object.keys(this.frameDB_);
+};
+
+/**
+ * Returns the frames nested directly inside this frame.
+ * @returns {!Array<!Blockly.Frame>} The child frames.
+ */
+Blockly.Frame.prototype.getChildFrames = function() {
+  return Object.values(this.frameDB_);
+};
+
+/**
+ * Returns all the frames nested inside this frame, parents before children.
+ * @returns {!Array<!Blockly.Frame>} The descendant frames.
+ */
+Blockly.Frame.prototype.getDescendantFrames = function() {
+  let frames = [];
+  this.getChildFrames().forEach((frame) => {
+    frames.push(frame);
+    frames = frames.concat(frame.getDescendantFrames());
+  });
+  return frames;
+};
+
+/**
+ * Get the frame this frame is nested in.
+ * @returns {Blockly.Frame} The parent frame, or null.
+ */
+Blockly.Frame.prototype.getParentFrame = function() {
+  return this.parentFrame_;
+};
+
+/**
+ * Get how many frames this frame is nested in.
+ * @returns {number} 0 for a frame that is not nested.
+ */
+Blockly.Frame.prototype.getDepth = function() {
+  let depth = 0;
+  for (let frame = this.parentFrame_; frame; frame = frame.parentFrame_) {
+    depth++;
+  }
+  return depth;
+};
+
+/**
+ * Whether this frame is nested, at any level, inside the given frame.
+ * @param {!Blockly.Frame} frame The possible ancestor.
+ * @returns {boolean} True if this frame is inside the given frame.
+ */
+Blockly.Frame.prototype.isDescendantOf = function(frame) {
+  for (let parent = this.parentFrame_; parent; parent = parent.parentFrame_) {
+    if (parent === frame) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Whether this frame is hidden because a frame it is nested in is collapsed.
+ * @returns {boolean} True if one of the parent frames is collapsed.
+ */
+Blockly.Frame.prototype.isInCollapsedFrame = function() {
+  for (let parent = this.parentFrame_; parent; parent = parent.parentFrame_) {
+    if (parent.isCollapsed) {
+      return true;
+    }
+  }
+  return false;
+};
+
 Blockly.Frame.prototype.getBlocksCount = function() {
   let blocksCount = 0;
   const blocks = Object.values(this.blockDB_);
@@ -979,6 +1120,12 @@ Blockly.Frame.prototype.setMovable = function(movable) {
 Blockly.Frame.prototype.moveToDragSurface_ = function(e) {
   var xy = this.getFrameGroupRelativeXY();
   this.clearTransformAttributes_();
+  // Nested frames travel inside this frame while it is on the drag surface.
+  this.getDescendantFrames().forEach((frame) => {
+    var frameXY = frame.getFrameGroupRelativeXY();
+    frame.translate(frameXY.x - xy.x, frameXY.y - xy.y);
+    this.frameGroup_.appendChild(frame.getSvgRoot());
+  });
   Blockly.ColorSelector.hide();
   this.workspace.blockDragSurface_.translateSurface(xy.x, xy.y);
   // Execute the move on the top-level SVG component
@@ -1008,6 +1155,16 @@ Blockly.Frame.prototype.moveOffDragSurface_ = function(newXY, wouldDeleteFrame)
   this.workspace.blockDragSurface_.dragGroup_.setAttribute('filter',
       'url(#' + this.workspace.blockDragSurface_.dragShadowFilterId_ + ')');
   this.workspace.blockDragSurface_.clearAndHide(this.workspace.getCanvas());
+  // Put the nested frames back on the canvas, above this frame.
+  this.getDescendantFrames().forEach((frame) => {
+    var frameXY = goog.math.Coordinate.sum(newXY, frame.getFrameGroupRelativeXY());
+    var oldXY = frame.computeFrameRelativeXY();
+    frame.translate(frameXY.x, frameXY.y);
+    this.frameGroup_.parentNode.appendChild(frame.getSvgRoot());
+    if (!wouldDeleteFrame) {
+      frame.shiftRect_(frameXY.x - oldXY.x, frameXY.y - oldXY.y);
+    }
+  });
 };
 
 /**
@@ -1040,16 +1197,27 @@ Blockly.Frame.prototype.moveBy = function(dx, dy) {
   this.oldBoundingFrameRect_ = this.getBoundingFrameRect();
   var xy = this.getFrameGroupRelativeXY();
 
-  this.rect_.left += dx;
-  this.rect_.top += dy;
-  this.rect_.right += dx;
-  this.rect_.bottom += dy;
+  this.shiftRect_(dx, dy);
   this.recordBlocksRelativeToSurfaceXY();
   this.translate(xy.x + dx, xy.y + dy);
   this.fireFrameRectChange();
+  this.getChildFrames().forEach(frame => frame.moveBy(dx, dy));
   this.workspace.resizeContents();
 };
 
+/**
+ * Move the frame's rect by a relative offset, without moving its SVG.
+ * @param {number} dx Horizontal offset in workspace units.
+ * @param {number} dy Vertical offset in workspace units.
+ * @private
+ */
+Blockly.Frame.prototype.shiftRect_ = function(dx, dy) {
+  this.rect_.left += dx;
+  this.rect_.top += dy;
+  this.rect_.right += dx;
+  this.rect_.bottom += dy;
+};
+
 /**
  * Add a block to the object of blockDB_.
  * @param {Blockly.Block} block Block to add.
@@ -1080,12 +1248,41 @@ Blockly.Frame.prototype.removeBlock = function(block) {
   this.setIsEmpty(!Object.keys(this.blockDB_).length);
 };
 
+/**
+ * Add a frame to the object of frameDB_.
+ * @param {!Blockly.Frame} frame Frame to add.
+ */
+Blockly.Frame.prototype.addFrame = function(frame) {
+  if (!this.frameDB_[frame.id]) {
+    this.oldFrameIdList_ = this.getFrameIds();
+    this.frameDB_[frame.id] = frame;
+    if (this.rendered && frame.rendered) {
+      this.fireFrameFramesChange();
+    }
+  }
+};
+
+/**
+ * Remove a frame from the object of frameDB_.
+ * @param {!Blockly.Frame} frame Frame to remove.
+ */
+Blockly.Frame.prototype.removeFrame = function(frame) {
+  if (this.frameDB_[frame.id]) {
+    this.oldFrameIdList_ = this.getFrameIds();
+    delete this.frameDB_[frame.id];
+    if (this.rendered && frame.rendered) {
+      this.fireFrameFramesChange();
+    }
+  }
+};
+
 /**
  * Triggered when starting to drag the Frame.
  */
 Blockly.Frame.prototype.onStartDrag = function() {
   this.setDragging(true);
   this.recordBlocksRelativeToSurfaceXY();
+  this.getChildFrames().forEach(frame => frame.onStartDrag());
 };
 
 /**
@@ -1094,6 +1291,7 @@ Blockly.Frame.prototype.onStartDrag = function() {
 Blockly.Frame.prototype.onStopDrag = function() {
   this.fireFrameRectChange();
   this.setDragging(false);
+  this.getChildFrames().forEach(frame => frame.onStopDrag());
 };
 
 /**
@@ -1190,8 +1388,11 @@ Blockly.Frame.prototype.onMouseDown_ = function(e) {
 
   if (this.workspace.waitingCreateFrame) {
     e.stopPropagation();
-  } else if (Blockly.selected == this || this.selected || e.button === 2) {
+  } else if (Blockly.selected == this || this.selected || e.button === 2 || e.shiftKey ||
+      (this.workspace.batchSelector && this.workspace.batchSelector.isSelected(this))) {
     // Avoiding canceling right-click events on blocks in the frame.
+    // Shift-clicks add the frame to the batch selection, and dragging a frame
+    // of the batch selection drags the whole selection.
     var hasGesture = this.workspace && this.workspace.hasGesture();
     if (!hasGesture) {
       var gesture = this.workspace && this.workspace.getGesture(e);
@@ -1362,12 +1563,12 @@ Blockly.Frame.prototype.requestMoveInBlock = function(block) {
   const {x,y} = block.getRelativeToSurfaceXY();
   var {left, right, top, bottom} = this.rect_;
   let removeAble = false;
-  if (block.frame_ && block.frame_ !== this) {
+  if (block.frame_ && block.frame_ !== this && !this.isNestedWith_(block.frame_)) {
     removeAble = false;
   } else if (x > left && x < right && y > top && y < bottom) {
     // Already within the current frame,
     // or the frame is not locked, and within the boundaries of the frame.
-    removeAble = block.frame_ === this || (!this.locked && !this.isCollapsed);
+    removeAble = block.frame_ === this || this.isAcceptingContent_();
   }
   if(removeAble) {
     this.addBlock(block);
@@ -1375,6 +1576,106 @@ Blockly.Frame.prototype.requestMoveInBlock = function(block) {
   return removeAble;
 };
 
+/**
+ * If a frame is within the range of this frame, it can be nested in it.
+ * @param {!Blockly.Frame} frame The frame to nest.
+ * @return {boolean} true if the frame was successfully nested.
+ */
+Blockly.Frame.prototype.requestMoveInChildFrame = function(frame) {
+  if (frame === this || this.isDescendantOf(frame)) {
+    return false;
+  }
+  const {left: x, top: y} = frame.rect_;
+  var {left, right, top, bottom} = this.rect_;
+  const parentFrame = frame.parentFrame_;
+  let removeAble = false;
+  if (parentFrame && parentFrame !== this && !this.isNestedWith_(parentFrame)) {
+    removeAble = false;
+  } else if (x > left && x < right && y > top && y < bottom) {
+    removeAble = parentFrame === this || this.isAcceptingContent_();
+  }
+  if (removeAble) {
+    frame.setParentFrame(this);
+  }
+  return removeAble;
+};
+
+/**
+ * Nest this frame in the innermost frame that contains it, or take it out of
+ * its parent frame if it is no longer inside it.
+ * @return {boolean} Whether the frame is nested in a frame.
+ */
+Blockly.Frame.prototype.requestMoveInFrame = function() {
+  var parentFrame = this.workspace.requestAddFrameToFrame(this);
+  if (!parentFrame) {
+    this.setParentFrame(null);
+  }
+  return Boolean(parentFrame);
+};
+
+/**
+ * Whether content owned by the given frame may move into this frame. Content
+ * only moves between a frame and the frames nested in it, and never leaves a
+ * locked frame.
+ * @param {!Blockly.Frame} frame The frame owning the content.
+ * @return {boolean} True if the two frames are nested in one another.
+ * @private
+ */
+Blockly.Frame.prototype.isNestedWith_ = function(frame) {
+  return !frame.locked && (this.isDescendantOf(frame) || frame.isDescendantOf(this));
+};
+
+/**
+ * Whether new blocks and frames can be dropped into this frame.
+ * @return {boolean} True if the frame is unlocked and visible.
+ * @private
+ */
+Blockly.Frame.prototype.isAcceptingContent_ = function() {
+  return !this.locked && !this.isCollapsed && !this.contentsHidden &&
+      !this.isInCollapsedFrame();
+};
+
+/**
+ * Nest this frame inside another frame, or take it out of its parent frame.
+ * @param {Blockly.Frame} parentFrame The new parent frame, or null.
+ */
+Blockly.Frame.prototype.setParentFrame = function(parentFrame) {
+  if (this.parentFrame_ === parentFrame) {
+    return;
+  }
+  if (this.parentFrame_) {
+    this.parentFrame_.removeFrame(this);
+  }
+  this.parentFrame_ = parentFrame;
+  if (parentFrame) {
+    parentFrame.addFrame(this);
+    // Nested frames are drawn above the frames that contain them.
+    this.workspace.setFrameToFront(this);
+  }
+  this.setHiddenByParent_(!!parentFrame && (parentFrame.isCollapsed || parentFrame.isInCollapsedFrame()));
+};
+
+/**
+ * Show or hide this frame and its content when a parent frame is collapsed
+ * or expanded.
+ * @param {boolean} hidden Whether a parent frame is collapsed.
+ * @private
+ */
+Blockly.Frame.prototype.setHiddenByParent_ = function(hidden) {
+  this.frameGroup_.style.display = hidden ? 'none' : '';
+  const hideContent = hidden || this.isCollapsed;
+  Object.values(this.blockDB_).forEach((block) => {
+    block.getConnections_().forEach(c => (hideContent || this.locked) ? c.hideAll() : c.unhideAll());
+  });
+  for (const key in this.workspace.commentDB_) {
+    const comment = this.workspace.commentDB_[key];
+    if (comment.block_ && comment.block_.isInFrame() === this) {
+      comment.setDisplay(hideContent ? 'none' : 'block');
+    }
+  }
+  this.getChildFrames().forEach(frame => frame.setHiddenByParent_(hideContent));
+};
+
 /**
  * Recursively adds or removes the dragging class to this node.
  * @param {boolean} adding True if adding, false if removing.
@@ -1470,11 +1771,26 @@ Blockly.Frame.prototype.setColor = function(color) {
   if (this.color !== color) {
     this.fireFrameChange('color', {color: this.color}, {color: color});
     this.color = color;
-    this.svgRect_.setAttribute('fill', `rgba(${color},0.12)`);
-    this.collapseContent_.style.backgroundColor = `rgb(${this.color})`;
+    this.updateColour();
   }
 };
 
+/**
+ * Render the frame with its color and the border color of the current theme.
+ */
+Blockly.Frame.prototype.updateColour = function() {
+  this.svgRect_.setAttribute('fill',
+      `rgba(${Blockly.Theme.getFrameColour(this)},0.12)`);
+  this.collapseContent_.style.backgroundColor =
+      `rgb(${Blockly.Theme.getFrameColour(this)})`;
+  const borderColor = this.getBorderColor_();
+  ['tl', 'tr', 'br', 'bl'].forEach((key) => {
+    if (this.resizeButtons[key]) {
+      this.resizeButtons[key].setAttribute('stroke', borderColor);
+    }
+  });
+};
+
 /**
  * Toggle lock state.
  */
@@ -1539,6 +1855,8 @@ Blockly.Frame.prototype.triggerChangeCollapsed = function(isCollapsed) {
       }
     }
   }
+  const hideChildFrames = this.isCollapsed || this.isInCollapsedFrame();
+  this.getChildFrames().forEach(frame => frame.setHiddenByParent_(hideChildFrames));
 
   if (typeof isCollapsed === 'boolean') {
     Blockly.Events.setGroup(false);
@@ -1550,7 +1868,8 @@ Blockly.Frame.prototype.triggerChangeCollapsed = function(isCollapsed) {
   const topFrames = this.workspace.getTopFrames(true);
   const items = topBlocks.concat(topFrames);
   for (let i = 0, item; item = items[i]; i++) {
-    if (item === this || item.frame_) continue;
+    // Blocks and frames nested in a frame move along with it.
+    if (item === this || item.frame_ || item.parentFrame_) continue;
     const itemXY =  item.getFrameGroupRelativeXY ? item.getFrameGroupRelativeXY() : item.getRelativeToSurfaceXY();
     const itemWH = item.getHeightWidth();
     const landscape = !(itemXY.x + itemWH.width < frameXY.x) && !(frameXY.x + frameWH.width < itemXY.x);
@@ -1568,6 +1887,74 @@ Blockly.Frame.prototype.triggerChangeCollapsed = function(isCollapsed) {
   this.workspace.queueIntersectionCheck();
 };
 
+/**
+ * Hide or show the stacks in this frame and in the frames nested in it, as
+ * one undo step.  While its contents are hidden, the frame doesn't take in
+ * new blocks or frames.
+ * @param {boolean} hidden True to hide the stacks.
+ */
+Blockly.Frame.prototype.setContentsHidden = function(hidden) {
+  hidden = !!hidden;
+  if (hidden === this.contentsHidden) {
+    return;
+  }
+  Blockly.Events.setGroup(true);
+  try {
+    this.fireFrameChange('contentsHidden', {contentsHidden: this.contentsHidden},
+        {contentsHidden: hidden});
+    this.updateContentsHidden(hidden);
+    [this].concat(this.getDescendantFrames()).forEach((frame) => {
+      Object.values(frame.blockDB_).forEach((block) => block.setHidden(hidden));
+    });
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  this.workspace.resizeContents();
+};
+
+/**
+ * Record whether the stacks in this frame are hidden, without hiding or
+ * showing them.
+ * @param {boolean} hidden True if the stacks are hidden.
+ * @package
+ */
+Blockly.Frame.prototype.updateContentsHidden = function(hidden) {
+  this.contentsHidden = hidden;
+  if (hidden) {
+    this.frameGroup_.classList.add('blocklyFrameContentsHidden');
+  } else {
+    this.frameGroup_.classList.remove('blocklyFrameContentsHidden');
+  }
+};
+
+/**
+ * Add this frame to the bookmarks or remove it.
+ * @param {boolean} bookmarked True to bookmark the frame.
+ */
+Blockly.Frame.prototype.setBookmarked = function(bookmarked) {
+  bookmarked = !!bookmarked;
+  if (bookmarked === this.bookmarked) {
+    return;
+  }
+  this.fireFrameChange('bookmarked', {bookmarked: this.bookmarked},
+      {bookmarked: bookmarked});
+  this.updateBookmarked(bookmarked);
+};
+
+/**
+ * Record whether this frame is bookmarked, without firing an event.
+ * @param {boolean} bookmarked True if the frame is bookmarked.
+ * @package
+ */
+Blockly.Frame.prototype.updateBookmarked = function(bookmarked) {
+  this.bookmarked = bookmarked;
+  if (bookmarked) {
+    this.frameGroup_.classList.add('blocklyBookmarked');
+  } else {
+    this.frameGroup_.classList.remove('blocklyBookmarked');
+  }
+};
+
 /**
  * Show the context menu for this frame.
  * @param {!Event} e Mouse event.
@@ -1577,16 +1964,9 @@ Blockly.Frame.prototype.showContextMenu_ = function(e) {
   if (this.workspace.options.readOnly) {
     return;
   }
-  // Save the current frame in a variable for use in closures.
-  var frame = this;
-  var menuOptions = [];
-  if (this.isEditable()) {
-    const enableCleanup = !this.isCollapsed && Object.keys(this.blockDB_).length > 0;
-    menuOptions.push(Blockly.ContextMenu.frameDuplicateOption(frame, e));
-    menuOptions.push(Blockly.ContextMenu.frameCleanupOption(frame, enableCleanup));
-    menuOptions.push(Blockly.ContextMenu.frameSetColorOption(frame, e));
-    menuOptions.push(Blockly.ContextMenu.frameDeleteOption(frame, e));
-  }
+  const menuOptions = Blockly.ContextMenuRegistry.getOptions(
+      Blockly.ContextMenuRegistry.ScopeType.FRAME,
+      {workspace: this.workspace, frame: this, event: e});
   Blockly.ContextMenu.show(e, menuOptions, this.RTL);
   Blockly.ContextMenu.currentFrame = this;
 };
@@ -1600,6 +1980,9 @@ Blockly.Frame.prototype.showContextMenu_ = function(e) {
 Blockly.Frame.prototype.translate = function(x, y) {
   this.getSvgRoot().setAttribute('transform',
       'translate(' + x + ',' + y + ')');
+  if (this.workspace.intersectionObserver) {
+    this.workspace.intersectionObserver.markFrameDirty(this);
+  }
 };
 
 Blockly.Frame.prototype.updateFrameRectSize = function() {
@@ -1630,6 +2013,9 @@ Blockly.Frame.prototype.updateTitleBoxSize = function() {
  * Update the owned blocks
  */
 Blockly.Frame.prototype.updateOwnedBlocks = function() {
+  // Nested frames must be known before the blocks pick their innermost frame.
+  this.updateOwnedFrames();
+
   // Removes all not top blocks
   const oldBlocks = Object.values(this.blockDB_);
   oldBlocks.forEach(function(block) {
@@ -1646,6 +2032,17 @@ Blockly.Frame.prototype.updateOwnedBlocks = function() {
   }
 };
 
+/**
+ * Update the nesting of all frames on the workspace.
+ */
+Blockly.Frame.prototype.updateOwnedFrames = function() {
+  // Larger frames are placed first, so that the frames inside them can be
+  // nested in the innermost frame.
+  const frames = this.workspace.getTopFrames(false).sort((a, b) =>
+    b.getWidth() * b.getHeight() - a.getWidth() * a.getHeight());
+  frames.forEach(frame => frame.requestMoveInFrame());
+};
+
 /**
  * Update the most recent frame group size and position
  * @param {number} diffX The new size change in the x direction
@@ -1756,6 +2153,7 @@ Blockly.Frame.prototype.dispose = function(retainBlocks) {
   this.oldBlockIdList_ = this.getBlockIds();
   const ws = this.workspace;
   const oldBlocks = Object.assign({}, this.blockDB_);
+  const oldFrames = this.getChildFrames();
 
   // Stop rerendering.
   this.rendered = false;
@@ -1763,6 +2161,8 @@ Blockly.Frame.prototype.dispose = function(retainBlocks) {
   // Before deleting a block, it is necessary to fire the "delete Frame" event.
   // This will allow the block to fall back onto the frame when undoing the deletion of the frame.
   Blockly.Events.fire(new Blockly.Events.FrameDelete(this));
+  // The deletion event records the parent frame, so leaving it needs no event.
+  this.setParentFrame(null);
 
   this.fireFrameBlocksCoordinatesChange();
 
@@ -1781,11 +2181,20 @@ Blockly.Frame.prototype.dispose = function(retainBlocks) {
     }
   }
 
+  oldFrames.forEach((frame) => {
+    if (retainBlocks) {
+      frame.setParentFrame(null);
+    } else {
+      frame.dispose();
+    }
+  });
+
   goog.dom.removeNode(this.frameGroup_);
   this.frameGroup_ = null;
   this.rect_ = null;
   this.svgRect_ = null;
   this.blockDB_ = {};
+  this.frameDB_ = {};
   this.workspace = null;
 
   // Remove from the list of top frames and the frame database.
@@ -80,8 +80,11 @@ Blockly.FrameDragger = function(frame, workspace) {
    * @type {Array.<Array.<!Object>>}
    * @private
    */
-  this.blocksDragIconData_ = Object.values(this.draggingFrame_.blockDB_).map(function(block) {
-    return Blockly.FrameDragger.initBlockIconData_(block);
+  this.blocksDragIconData_ = [];
+  [frame].concat(frame.getDescendantFrames()).forEach((draggingFrame) => {
+    Object.values(draggingFrame.blockDB_).forEach((block) => {
+      this.blocksDragIconData_.push(Blockly.FrameDragger.initBlockIconData_(block));
+    });
   });
 };
 
@@ -64,7 +64,7 @@ Blockly.Events.FrameBase.prototype.toJson = function() {
  * @param {!Object} json JSON representation.
  */
 Blockly.Events.FrameBase.prototype.fromJson = function(json) {
-  Blockly.Events.FrameBase.superClass_.toJson.call(this);
+  Blockly.Events.FrameBase.superClass_.fromJson.call(this, json);
   this.frameId = json['id'];
 };
 
@@ -84,7 +84,11 @@ Blockly.Events.FrameCreate = function(frame) {
   this.color = frame.color;
   this.locked = frame.locked;
   this.collapsed = frame.isCollapsed;
+  this.contentsHidden = frame.contentsHidden;
+  this.bookmarked = frame.bookmarked;
   this.blocks = Object.keys(frame.blockDB_);
+  this.frames = Object.keys(frame.frameDB_);
+  this.parent = frame.parentFrame_ ? frame.parentFrame_.id : null;
   this.x = frame.rect_.left;
   this.y = frame.rect_.top;
   this.width = frame.rect_.width;
@@ -108,7 +112,11 @@ Blockly.Events.FrameCreate.prototype.toJson = function() {
   json['color'] = this.color;
   json['locked'] = this.locked;
   json['collapsed'] = this.collapsed;
+  json['contentsHidden'] = this.contentsHidden;
+  json['bookmarked'] = this.bookmarked;
   json['blocks'] = this.blocks;
+  json['frames'] = this.frames;
+  json['parent'] = this.parent;
   json['x'] = this.x;
   json['y'] = this.y;
   json['width'] = this.width;
@@ -126,7 +134,11 @@ Blockly.Events.FrameCreate.prototype.fromJson = function(json) {
   this.color = json['color'];
   this.locked = json['locked'];
   this.collapsed = json['collapsed'];
+  this.contentsHidden = !!json['contentsHidden'];
+  this.bookmarked = !!json['bookmarked'];
   this.blocks = json['blocks'];
+  this.frames = json['frames'] || [];
+  this.parent = json['parent'] || null;
   this.x = json['x'];
   this.y = json['y'];
   this.width = json['width'];
@@ -146,7 +158,11 @@ Blockly.Events.FrameCreate.prototype.run = function(forward) {
       color: this.color,
       locked: this.locked,
       collapsed: this.collapsed,
+      contentsHidden: this.contentsHidden,
+      bookmarked: this.bookmarked,
       blocks: this.blocks,
+      frames: this.frames,
+      parent: this.parent,
       x: this.x,
       y: this.y,
       width: this.width,
@@ -173,7 +189,11 @@ Blockly.Events.FrameDelete = function(frame) {
   this.color = frame.color;
   this.locked = frame.locked;
   this.collapsed = frame.isCollapsed;
+  this.contentsHidden = frame.contentsHidden;
+  this.bookmarked = frame.bookmarked;
   this.blocks = Object.keys(frame.blockDB_);
+  this.frames = Object.keys(frame.frameDB_);
+  this.parent = frame.parentFrame_ ? frame.parentFrame_.id : null;
   this.x = frame.rect_.left;
   this.y = frame.rect_.top;
   this.width = frame.rect_.width;
@@ -197,7 +217,11 @@ Blockly.Events.FrameDelete.prototype.toJson = function() {
   json['color'] = this.color;
   json['locked'] = this.locked;
   json['collapsed'] = this.collapsed;
+  json['contentsHidden'] = this.contentsHidden;
+  json['bookmarked'] = this.bookmarked;
   json['blocks'] = this.blocks;
+  json['frames'] = this.frames;
+  json['parent'] = this.parent;
   json['x'] = this.x;
   json['y'] = this.y;
   json['width'] = this.width;
@@ -215,7 +239,11 @@ Blockly.Events.FrameDelete.prototype.fromJson = function(json) {
   this.color = json['color'];
   this.locked = json['locked'];
   this.collapsed = json['collapsed'];
+  this.contentsHidden = !!json['contentsHidden'];
+  this.bookmarked = !!json['bookmarked'];
   this.blocks = json['blocks'];
+  this.frames = json['frames'] || [];
+  this.parent = json['parent'] || null;
   this.x = json['x'];
   this.y = json['y'];
   this.width = json['width'];
@@ -237,7 +265,11 @@ Blockly.Events.FrameDelete.prototype.run = function(forward) {
       color: this.color,
       locked: this.locked,
       isCollapsed: this.collapsed,
+      contentsHidden: this.contentsHidden,
+      bookmarked: this.bookmarked,
       blocks: this.blocks,
+      frames: this.frames,
+      parent: this.parent,
       x: this.x,
       y: this.y,
       width: this.width,
@@ -344,7 +376,7 @@ Blockly.Events.DragFrameOutside.prototype.toJson = function() {
  * @param {!Object} json JSON representation.
  */
 Blockly.Events.DragFrameOutside.prototype.fromJson = function(json) {
-  Blockly.Events.DragBlockOutside.superClass_.fromJson.call(this, json);
+  Blockly.Events.DragFrameOutside.superClass_.fromJson.call(this, json);
   this.isOutside = json['isOutside'];
 };
 
@@ -397,7 +429,7 @@ Blockly.Events.EndFrameDrag.prototype.toJson = function() {
     json['isOutside'] = this.isOutside;
   }
   if (this.xml) {
-    json['xml'] = this.xml;
+    json['xml'] = Blockly.Xml.domToText(this.xml);
   }
   return json;
 };
@@ -409,14 +441,16 @@ Blockly.Events.EndFrameDrag.prototype.toJson = function() {
 Blockly.Events.EndFrameDrag.prototype.fromJson = function(json) {
   Blockly.Events.EndFrameDrag.superClass_.fromJson.call(this, json);
   this.isOutside = json['isOutside'];
-  this.xml = json['xml'];
+  if (json['xml']) {
+    this.xml = Blockly.Xml.textToDom('<xml>' + json['xml'] + '</xml>').firstChild;
+  }
 };
 
 /**
  * Class for a frame change event.
  * @param {Blockly.Frame} frame
  *     The frame that is being changed. Null for a blank event.
- * @param {string} element One of 'rect', 'blocks', 'color', etc.
+ * @param {string} element One of 'rect', 'blocks', 'frames', 'color', etc.
  * @param {*} oldValue Previous value of element.
  * @param {*} newValue New value of element.
  * @extends {Blockly.Events.FrameBase}
@@ -446,6 +480,7 @@ Blockly.Events.FrameChange.prototype.type = Blockly.Events.FRAME_CHANGE;
 Blockly.Events.FrameChange.prototype.toJson = function() {
   var json = Blockly.Events.FrameChange.superClass_.toJson.call(this);
   json['element'] = this.element;
+  json['oldValue'] = this.oldValue;
   json['newValue'] = this.newValue;
   return json;
 };
@@ -457,6 +492,7 @@ Blockly.Events.FrameChange.prototype.toJson = function() {
 Blockly.Events.FrameChange.prototype.fromJson = function(json) {
   Blockly.Events.FrameChange.superClass_.fromJson.call(this, json);
   this.element = json['element'];
+  this.oldValue = json['oldValue'];
   this.newValue = json['newValue'];
 };
 
@@ -510,6 +546,22 @@ Blockly.Events.FrameChange.prototype.run = function(forward) {
         }
       });
       break;
+    case 'frames':
+      var f1 = forward ? this.newValue.frames : this.oldValue.frames;
+      var f2 = forward ? this.oldValue.frames : this.newValue.frames;
+      f2.filter(function(v){ return f1.indexOf(v) == -1;}).forEach(frameId => {
+        const childFrame = workspace.getFrameById(frameId);
+        if (childFrame && childFrame.getParentFrame() === frame) {
+          childFrame.setParentFrame(null);
+        }
+      });
+      f1.filter(function(v){ return f2.indexOf(v) == -1;}).forEach(frameId => {
+        const childFrame = workspace.getFrameById(frameId);
+        if (childFrame && childFrame !== frame && !frame.isDescendantOf(childFrame)) {
+          childFrame.setParentFrame(frame);
+        }
+      });
+      break;
     case 'rect':
       frame.setBoundingClientRect(value);
       break;
@@ -522,6 +574,13 @@ Blockly.Events.FrameChange.prototype.run = function(forward) {
     case 'locked':
       frame.triggerChangeLock();
       break;
+    case 'contentsHidden':
+      // The stacks are shown or hidden by their own events.
+      frame.updateContentsHidden(value.contentsHidden);
+      break;
+    case 'bookmarked':
+      frame.updateBookmarked(value.bookmarked);
+      break;
     default:
       console.warn('Unknown change type: ' + this.element);
   }
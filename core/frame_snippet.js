@@ -0,0 +1,486 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2013 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Frame snippets.  A snippet is a self-contained JSON document
+ * holding a frame (with its nested frames and blocks) together with the
+ * variables and procedure definitions its blocks depend on, so that it can be
+ * saved to a file and imported into another workspace.
+ */
+'use strict';
+
+/**
+ * @name Blockly.FrameSnippet
+ * @namespace
+ **/
+goog.provide('Blockly.FrameSnippet');
+
+goog.require('Blockly.Block');
+goog.require('Blockly.Events');
+goog.require('Blockly.Json');
+goog.require('Blockly.Procedures');
+goog.require('Blockly.scratchBlocksUtils');
+goog.require('Blockly.utils');
+goog.require('Blockly.Xml');
+
+goog.require('goog.dom');
+
+
+/**
+ * Version of the snippet format written by frameToSnippet.
+ * @const {number}
+ */
+Blockly.FrameSnippet.VERSION = 1;
+
+/**
+ * How to resolve a variable or procedure in the snippet that has the same
+ * name as one in the target workspace.
+ * @enum {string}
+ */
+Blockly.FrameSnippet.ConflictMode = {
+  // Use the existing variable or procedure definition of the workspace.
+  MERGE: 'merge',
+  // Import a copy under a new, unused name.
+  RENAME: 'rename'
+};
+
+/**
+ * Encode a frame as a snippet.  The snippet contains the frame and its nested
+ * frames with all their blocks, every variable referenced by those blocks, and
+ * the definitions of the procedures they call that live outside the frame.
+ * @param {!Blockly.Frame} frame The frame to export.
+ * @return {!Object} Snippet JSON object.
+ */
+Blockly.FrameSnippet.frameToSnippet = function(frame) {
+  var blocks = [];
+  [frame].concat(frame.getDescendantFrames()).forEach(function(childFrame) {
+    Object.values(childFrame.blockDB_).forEach(function(block) {
+      blocks = blocks.concat(block.getDescendants(false));
+    });
+  });
+  var dependencies = Blockly.FrameSnippet.getDependencies(blocks, frame.workspace);
+
+  var xml = goog.dom.createDom('xml');
+  xml.appendChild(Blockly.Xml.variablesToDom(dependencies.variables));
+  dependencies.definitions.forEach(function(definition) {
+    xml.appendChild(Blockly.Xml.blockToDomWithXY(definition));
+  });
+  var frameset = goog.dom.createDom('custom-frameset');
+  frameset.appendChild(Blockly.Xml.frameToDom(frame, true));
+  xml.appendChild(frameset);
+
+  var json = Blockly.Json.domToJson(xml);
+  json['procedures'] = Blockly.Json.proceduresToJson(dependencies.globalProcedures);
+  json['snippet'] = Blockly.FrameSnippet.VERSION;
+  return json;
+};
+
+/**
+ * Find what a set of blocks needs from its workspace to be recreated in
+ * another one: the variables they reference, and the definitions of the
+ * procedures they call that are not among the blocks.
+ * @param {!Array.<!Blockly.Block>} blocks The blocks, with all their
+ *     descendants.
+ * @param {!Blockly.Workspace} workspace The workspace of the blocks.
+ * @return {{variables: !Array.<!Blockly.VariableModel>,
+ *     definitions: !Array.<!Blockly.Block>,
+ *     globalProcedures: !Array.<!Element>}} The variables, the procedure
+ *     definition blocks and the mutations of the global procedures.
+ * @package
+ */
+Blockly.FrameSnippet.getDependencies = function(blocks, workspace) {
+  // Procedures defined among the blocks travel with the blocks themselves.
+  var seenProcCodes = {};
+  blocks.forEach(function(block) {
+    if (block.type == Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE) {
+      seenProcCodes[Blockly.FrameSnippet.getDefinitionProcCode_(block)] = true;
+    }
+  });
+  // The list grows while it is walked, so that the blocks of each exported
+  // definition are searched for further calls and variables too.
+  var definitions = [];
+  var globalProcedures = [];
+  for (var i = 0; i < blocks.length; i++) {
+    var block = blocks[i];
+    if (block.type != Blockly.PROCEDURES_CALL_BLOCK_TYPE &&
+        block.type != Blockly.PROCEDURES_CALL_WITH_RETURN_BLOCK_TYPE) {
+      continue;
+    }
+    var procCode = block.getProcCode();
+    if (seenProcCodes[procCode]) {
+      continue;
+    }
+    seenProcCodes[procCode] = true;
+    var definition = Blockly.Procedures.getDefineBlock(procCode, workspace);
+    if (definition) {
+      definitions.push(definition);
+      blocks = blocks.concat(definition.getDescendants(false));
+    } else {
+      var mutation = workspace.getGlobalProcedureMutationByProccode(procCode);
+      if (mutation) {
+        globalProcedures.push(mutation);
+      }
+    }
+  }
+
+  var variables = [];
+  var seenVariableIds = {};
+  blocks.forEach(function(block) {
+    block.getVarModels().forEach(function(variable) {
+      if (!seenVariableIds[variable.getId()]) {
+        seenVariableIds[variable.getId()] = true;
+        variables.push(variable);
+      }
+    });
+  });
+
+  return {
+    variables: variables,
+    definitions: definitions,
+    globalProcedures: globalProcedures
+  };
+};
+
+/**
+ * Create the frame of a snippet, with its nested frames, blocks, variables
+ * and procedure definitions, in a workspace.
+ * @param {!Object} snippet Snippet JSON object, as made by frameToSnippet.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to import into.
+ * @param {Object=} opt_options Import options:
+ *     variables: Blockly.FrameSnippet.ConflictMode for variables whose name
+ *       is already used, defaults to MERGE.  Broadcast messages always merge.
+ *     procedures: Blockly.FrameSnippet.ConflictMode for procedures defined
+ *       outside the frame whose proccode is already defined, defaults to
+ *       MERGE.  Procedures defined inside the frame are always renamed.
+ *     x, y: Workspace coordinates of the top-left corner of the frame.
+ *       Defaults to the position stored in the snippet.
+ * @return {!Blockly.Frame} The root frame created.
+ */
+Blockly.FrameSnippet.snippetToFrame = function(snippet, workspace, opt_options) {
+  if (!snippet || typeof snippet['snippet'] != 'number') {
+    throw Error('Not a frame snippet.');
+  }
+  if (snippet['snippet'] > Blockly.FrameSnippet.VERSION) {
+    throw Error('Unsupported frame snippet version: ' + snippet['snippet']);
+  }
+  return Blockly.FrameSnippet.importFrameXml(
+      Blockly.Json.jsonToDom(snippet), workspace, opt_options);
+};
+
+/**
+ * Create the frame of an XML document, with its nested frames, blocks,
+ * variables and procedure definitions, in a workspace.  The stacks of each
+ * frame are the 'block' children of its 'custom-frame' element.
+ * @param {!Element} xml XML document, as in a snippet.  Modified in place.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to import into.
+ * @param {Object=} opt_options Import options, as for snippetToFrame.
+ * @return {!Blockly.Frame} The root frame created.
+ * @package
+ */
+Blockly.FrameSnippet.importFrameXml = function(xml, workspace, opt_options) {
+  var options = opt_options || {};
+  var xmlFrame = xml.getElementsByTagName('custom-frame')[0];
+  if (!xmlFrame) {
+    throw Error('Frame snippet has no frame.');
+  }
+  if (typeof options.x == 'number' && typeof options.y == 'number') {
+    Blockly.FrameSnippet.offsetDom(xml,
+        options.x - Number(xmlFrame.getAttribute('x')),
+        options.y - Number(xmlFrame.getAttribute('y')));
+  }
+
+  var existingGroup = Blockly.Events.getGroup();
+  if (!existingGroup) {
+    Blockly.Events.setGroup(true);
+  }
+  workspace.setResizesEnabled(false);
+  try {
+    Blockly.FrameSnippet.importDependencies(xml, workspace, options);
+    Blockly.FrameSnippet.createFrameStacks(xmlFrame, workspace);
+    var frame = Blockly.Xml.domToFrame(xmlFrame, workspace);
+  } finally {
+    if (!existingGroup) {
+      Blockly.Events.setGroup(false);
+    }
+    workspace.setResizesEnabled(true);
+  }
+  return frame;
+};
+
+/**
+ * Create what the blocks of an XML document need in a workspace, as found by
+ * getDependencies: its variables, the procedure definitions that are direct
+ * children of the document, and its global procedures.  Variable fields and
+ * procedure mutations anywhere in the document are updated to match what was
+ * created or merged.
+ * @param {!Element} xml XML document.  Modified in place.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to import into.
+ * @param {Object=} opt_options Conflict modes, as for snippetToFrame.
+ * @package
+ */
+Blockly.FrameSnippet.importDependencies = function(xml, workspace, opt_options) {
+  var options = opt_options || {};
+  Blockly.FrameSnippet.importVariables_(xml, workspace,
+      options.variables || Blockly.FrameSnippet.ConflictMode.MERGE);
+  Blockly.FrameSnippet.importProcedures_(xml, workspace,
+      options.procedures || Blockly.FrameSnippet.ConflictMode.MERGE);
+  for (var i = 0, xmlChild; xmlChild = xml.children[i]; i++) {
+    if (xmlChild.nodeName.toLowerCase() == 'block') {
+      Blockly.FrameSnippet.createStack_(xmlChild, workspace);
+    }
+  }
+};
+
+/**
+ * Find the proccode of a procedure definition block or its XML.
+ * @param {!Blockly.Block|!Element} definition Definition block or XML.
+ * @return {?string} The proccode, or null if there is no prototype.
+ * @private
+ */
+Blockly.FrameSnippet.getDefinitionProcCode_ = function(definition) {
+  if (definition instanceof Blockly.Block) {
+    var input = definition.getInput('custom_block');
+    var prototype = input && input.connection.targetBlock();
+    return prototype ? prototype.getProcCode() : null;
+  }
+  for (var i = 0, xmlInput; xmlInput = definition.children[i]; i++) {
+    if (xmlInput.getAttribute('name') != 'custom_block') {
+      continue;
+    }
+    var mutations = xmlInput.getElementsByTagName('mutation');
+    return mutations.length ? mutations[0].getAttribute('proccode') : null;
+  }
+  return null;
+};
+
+/**
+ * Find a name that is not in use, by numbering the given name.
+ * "score" becomes "score2", "score2" becomes "score3".
+ * @param {string} name The name in conflict.
+ * @param {function(string):boolean} isUsed Whether a name is in use.
+ * @return {string} Unused name.
+ * @private
+ */
+Blockly.FrameSnippet.getUnusedName_ = function(name, isUsed) {
+  var base = name.replace(/\d+$/, '');
+  for (var i = 2; ; i++) {
+    if (!isUsed(base + i)) {
+      return base + i;
+    }
+  }
+};
+
+/**
+ * Find a proccode that is not in use, by numbering the label before the first
+ * argument.  "jump %s" becomes "jump2 %s".
+ * @param {string} procCode The proccode in conflict.
+ * @param {function(string):boolean} isUsed Whether a proccode is in use.
+ * @return {string} Unused proccode.
+ * @private
+ */
+Blockly.FrameSnippet.getUnusedProcCode_ = function(procCode, isUsed) {
+  var index = procCode.search(/ %[nsb]/);
+  if (index == -1) {
+    index = procCode.length;
+  }
+  for (var i = 2; ; i++) {
+    var candidate = procCode.slice(0, index) + i + procCode.slice(index);
+    if (!isUsed(candidate)) {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * Create the variables of a snippet in the workspace, and point the variable
+ * fields of the snippet at the resulting workspace variables.
+ * @param {!Element} xml Snippet XML.
+ * @param {!Blockly.Workspace} workspace The workspace to import into.
+ * @param {string} mode Blockly.FrameSnippet.ConflictMode for variables.
+ * @private
+ */
+Blockly.FrameSnippet.importVariables_ = function(xml, workspace, mode) {
+  var variableMap = {};
+  var xmlVariables = xml.getElementsByTagName('variable');
+  for (var i = 0, xmlVariable; xmlVariable = xmlVariables[i]; i++) {
+    var id = xmlVariable.getAttribute('id');
+    var type = xmlVariable.getAttribute('type') || '';
+    var name = xmlVariable.textContent;
+    var existing = workspace.getVariable(name, type);
+    if (existing && (mode != Blockly.FrameSnippet.ConflictMode.RENAME ||
+        type == Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE)) {
+      variableMap[id] = existing;
+      continue;
+    }
+    if (existing) {
+      name = Blockly.FrameSnippet.getUnusedName_(name, function(candidate) {
+        return !!workspace.getVariable(candidate, type);
+      });
+    }
+    variableMap[id] = workspace.createVariable(name, type,
+        workspace.getVariableById(id) ? Blockly.utils.genUid() : id,
+        xmlVariable.getAttribute('islocal') == 'true',
+        xmlVariable.getAttribute('iscloud') == 'true');
+  }
+
+  var xmlFields = xml.getElementsByTagName('field');
+  for (var i = 0, xmlField; xmlField = xmlFields[i]; i++) {
+    var variable = variableMap[xmlField.getAttribute('id')];
+    if (variable && xmlField.hasAttribute('variabletype')) {
+      xmlField.setAttribute('id', variable.getId());
+      xmlField.textContent = variable.name;
+    }
+  }
+};
+
+/**
+ * Resolve the procedures of a snippet against those of the workspace: drop
+ * definitions that merge into an existing one, rename the proccodes that are
+ * still in conflict and create the missing global procedures.
+ * @param {!Element} xml Snippet XML.
+ * @param {!Blockly.Workspace} workspace The workspace to import into.
+ * @param {string} mode Blockly.FrameSnippet.ConflictMode for procedures
+ *     defined outside the frame.
+ * @private
+ */
+Blockly.FrameSnippet.importProcedures_ = function(xml, workspace, mode) {
+  var takenProcCodes = {};
+  var isUsed = function(procCode) {
+    return !!takenProcCodes[procCode] ||
+        !!Blockly.Procedures.getDefineBlock(procCode, workspace) ||
+        !!workspace.getGlobalProcedureMutationByProccode(procCode);
+  };
+  var renamed = {};
+  var xmlBlocks = Array.prototype.slice.call(xml.getElementsByTagName('block'));
+  xmlBlocks.forEach(function(xmlBlock) {
+    if (xmlBlock.getAttribute('type') != Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE) {
+      return;
+    }
+    var procCode = Blockly.FrameSnippet.getDefinitionProcCode_(xmlBlock);
+    if (!procCode) {
+      return;
+    }
+    if (!isUsed(procCode)) {
+      takenProcCodes[procCode] = true;
+      return;
+    }
+    if (xmlBlock.parentNode == xml && mode != Blockly.FrameSnippet.ConflictMode.RENAME) {
+      goog.dom.removeNode(xmlBlock);
+      return;
+    }
+    renamed[procCode] = Blockly.FrameSnippet.getUnusedProcCode_(procCode, isUsed);
+    takenProcCodes[renamed[procCode]] = true;
+  });
+
+  var xmlMutations = xml.getElementsByTagName('mutation');
+  for (var i = 0, xmlMutation; xmlMutation = xmlMutations[i]; i++) {
+    var procCode = xmlMutation.getAttribute('proccode');
+    if (procCode && renamed.hasOwnProperty(procCode)) {
+      xmlMutation.setAttribute('proccode', renamed[procCode]);
+    }
+  }
+
+  var xmlProcedures = xml.getElementsByTagName('procedures')[0];
+  if (xmlProcedures) {
+    for (var i = 0, xmlMutation; xmlMutation = xmlProcedures.children[i]; i++) {
+      if (!workspace.getGlobalProcedureMutationByProccode(
+          xmlMutation.getAttribute('proccode'))) {
+        workspace.createGlobalProcedure(xmlMutation.cloneNode(true));
+      }
+    }
+  }
+};
+
+/**
+ * Move the frames and stacks in a snippet or another XML element, not
+ * counting the element itself.
+ * @param {!Element} xml Snippet XML.
+ * @param {number} dx Horizontal offset in workspace units.
+ * @param {number} dy Vertical offset in workspace units.
+ * @package
+ */
+Blockly.FrameSnippet.offsetDom = function(xml, dx, dy) {
+  var offset = function(element) {
+    element.setAttribute('x', Number(element.getAttribute('x')) + dx);
+    element.setAttribute('y', Number(element.getAttribute('y')) + dy);
+  };
+  var xmlFrames = xml.getElementsByTagName('custom-frame');
+  for (var i = 0, xmlFrame; xmlFrame = xmlFrames[i]; i++) {
+    offset(xmlFrame);
+  }
+  var xmlBlocks = xml.getElementsByTagName('block');
+  for (var i = 0, xmlBlock; xmlBlock = xmlBlocks[i]; i++) {
+    if (xmlBlock.hasAttribute('x')) {
+      offset(xmlBlock);
+    }
+  }
+};
+
+/**
+ * Create a stack of a snippet at its stored position, under a new ID.
+ * @param {!Element} xmlBlock XML of the top block.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to import into.
+ * @return {!Blockly.BlockSvg} The top block created.
+ * @private
+ */
+Blockly.FrameSnippet.createStack_ = function(xmlBlock, workspace) {
+  xmlBlock.setAttribute('id', Blockly.utils.genUid());
+  var block = Blockly.Xml.domToBlock(xmlBlock, workspace);
+  Blockly.scratchBlocksUtils.changeObscuredShadowIds(block);
+  var x = parseInt(xmlBlock.getAttribute('x'), 10);
+  var y = parseInt(xmlBlock.getAttribute('y'), 10);
+  if (!isNaN(x) && !isNaN(y)) {
+    block.moveBy(x, y);
+  }
+  return block;
+};
+
+/**
+ * Create the stacks of a frame and its nested frames, from a snippet or a
+ * copy, and give the frames new IDs that list the created blocks.
+ * @param {!Element} xmlFrame XML of the frame.  Modified in place.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to create them in.
+ * @package
+ */
+Blockly.FrameSnippet.createFrameStacks = function(xmlFrame, workspace) {
+  var blockIds = [];
+  for (var i = 0, xmlChild; xmlChild = xmlFrame.children[i]; i++) {
+    var tagName = xmlChild.nodeName.toLowerCase();
+    if (tagName == 'block') {
+      blockIds.push(Blockly.FrameSnippet.createStack_(xmlChild, workspace).id);
+    } else if (tagName == 'custom-frame') {
+      Blockly.FrameSnippet.createFrameStacks(xmlChild, workspace);
+    }
+  }
+  xmlFrame.setAttribute('blocks', blockIds.join(' '));
+  xmlFrame.setAttribute('id', Blockly.utils.genUid());
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['FrameSnippet']) {
+  goog.global['Blockly']['FrameSnippet'] = {};
+}
+goog.global['Blockly']['FrameSnippet']['frameToSnippet'] =
+    Blockly.FrameSnippet.frameToSnippet;
+goog.global['Blockly']['FrameSnippet']['snippetToFrame'] =
+    Blockly.FrameSnippet.snippetToFrame;
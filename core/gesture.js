@@ -171,6 +171,22 @@ Blockly.Gesture = function(e, creatorWorkspace) {
    */
   this.isDraggingFrame_ = false;
 
+  /**
+   * Whether an area of the workspace is being selected with a selection
+   * rectangle.
+   * @type {boolean}
+   * @private
+   */
+  this.isSelectingArea_ = false;
+
+  /**
+   * Whether the dragged block or frame carries the rest of the batch
+   * selection along.
+   * @type {boolean}
+   * @private
+   */
+  this.isDraggingBatch_ = false;
+
   /**
    * Whether the bubble is currently being dragged.
    * @type {boolean}
@@ -477,6 +493,30 @@ Blockly.Gesture.prototype.updateIsDraggingWorkspace_ = function() {
   this.workspaceDragger_.startDrag();
 };
 
+/**
+ * Update this gesture to record whether an area of the workspace is being
+ * selected.  Dragging with shift held selects the stacks and frames inside
+ * the dragged rectangle, unless the drag started on a block.
+ * This function should be called on a mouse/touch move event the first time the
+ * drag radius is exceeded.  It should be called no more than once per gesture.
+ * @return {boolean} true if an area is being selected.
+ * @private
+ */
+Blockly.Gesture.prototype.updateIsSelectingArea_ = function() {
+  var batchSelector = this.startWorkspace_ && this.startWorkspace_.batchSelector;
+  if (this.flyout_ || !batchSelector || !this.mostRecentEvent_.shiftKey ||
+      Blockly.locked) {
+    return false;
+  }
+  this.isSelectingArea_ = true;
+  batchSelector.startAreaSelect({
+    clientX: this.mouseDownXY_.x,
+    clientY: this.mouseDownXY_.y
+  });
+  batchSelector.updateAreaSelect(this.mostRecentEvent_);
+  return true;
+};
+
 /**
  * Update this gesture to record whether anything is being dragged.
  * This function should be called on a mouse/touch move event the first time the
@@ -498,6 +538,10 @@ Blockly.Gesture.prototype.updateIsDragging_ = function() {
   if (this.updateIsDraggingBlock_()) {
     return;
   }
+  // Then check if an area is being selected.
+  if (this.updateIsSelectingArea_()) {
+    return;
+  }
   // Then check if it was a frame drag.
   if (this.updateIsDraggingFrame_()) {
     return;
@@ -511,6 +555,10 @@ Blockly.Gesture.prototype.updateIsDragging_ = function() {
  * @private
  */
 Blockly.Gesture.prototype.startDraggingFrame_ = function() {
+  if (this.startWorkspace_.batchSelector) {
+    this.isDraggingBatch_ =
+        this.startWorkspace_.batchSelector.startDrag(this.startFrame_);
+  }
   this.frameDragger_ = new Blockly.FrameDragger(this.startFrame_,
       this.startWorkspace_);
   this.frameDragger_.startFrameDrag(this.mostRecentEvent_, this.currentDragDeltaXY_);
@@ -525,6 +573,10 @@ Blockly.Gesture.prototype.startDraggingFrame_ = function() {
 Blockly.Gesture.prototype.startDraggingBlock_ = function() {
   if (this.shouldDuplicateOnDrag_) {
     this.duplicateOnDrag_();
+  } else if (!this.flyout_ && this.startWorkspace_.batchSelector) {
+    // Must be known before the dragger is created.
+    this.isDraggingBatch_ =
+        this.startWorkspace_.batchSelector.startDrag(this.targetBlock_);
   }
   this.blockDragger_ = new Blockly.BlockDragger(this.targetBlock_,
       this.startWorkspace_);
@@ -625,6 +677,8 @@ Blockly.Gesture.prototype.handleMove = function(e) {
     this.creatingFrame_.resizeButtonMouseMove_('br', e);
   } else if (this.isDraggingWorkspace_) {
     this.workspaceDragger_.drag(this.currentDragDeltaXY_);
+  } else if (this.isSelectingArea_) {
+    this.startWorkspace_.batchSelector.updateAreaSelect(e);
   } else if (this.isDraggingBlock_) {
     if(this.blockDragger_.draggingBlock_.workspace) {
       if (this.blockDragger_.dragBlock(this.mostRecentEvent_, this.currentDragDeltaXY_)) {
@@ -677,10 +731,16 @@ Blockly.Gesture.prototype.handleUp = function(e) {
     this.bubbleDragger_.endBubbleDrag(e, this.currentDragDeltaXY_);
   } else if (this.isDraggingBlock_) {
     this.blockDragger_.endBlockDrag(e, this.currentDragDeltaXY_);
+    this.endBatchDrag_();
   } else if (this.isDraggingFrame_) {
     this.frameDragger_.endFrameDrag(e, this.currentDragDeltaXY_);
+    this.endBatchDrag_();
   } else if (this.isDraggingWorkspace_) {
     this.workspaceDragger_.endDrag(this.currentDragDeltaXY_);
+  } else if (this.isSelectingArea_) {
+    this.startWorkspace_.batchSelector.endAreaSelect(e);
+  } else if (this.isBatchSelectClick_(e)) {
+    this.doBatchSelectClick_();
   } else if (this.isFrameClick_()) {
     // Bubbles are in front of all fields and blocks.
     this.doFrameClick_();
@@ -726,7 +786,10 @@ Blockly.Gesture.prototype.cancel = function() {
         this.currentDragDeltaXY_);
   }  else if (this.isDraggingWorkspace_) {
     this.workspaceDragger_.endDrag(this.currentDragDeltaXY_);
+  } else if (this.isSelectingArea_) {
+    this.startWorkspace_.batchSelector.endAreaSelect(this.mostRecentEvent_);
   }
+  this.endBatchDrag_();
   this.dispose();
 };
 
@@ -738,7 +801,15 @@ Blockly.Gesture.prototype.cancel = function() {
 Blockly.Gesture.prototype.handleRightClick = function(e) {
   if (Blockly.locked) return;
 
-  if (this.startFrame_) {
+  var batchSelector = this.flyout_ ? null :
+      this.startWorkspace_ && this.startWorkspace_.batchSelector;
+  var element = this.startFrame_ ||
+      (this.targetBlock_ && this.targetBlock_.getRootBlock());
+  if (batchSelector && element && batchSelector.isSelected(element) &&
+      batchSelector.getElements().length > 1) {
+    Blockly.hideChaff();
+    batchSelector.showContextMenu_(e);
+  } else if (this.startFrame_) {
     this.startFrame_.showContextMenu_(e);
   } else if (this.targetBlock_) {
     this.bringBlockToFront_();
@@ -838,6 +909,9 @@ Blockly.Gesture.prototype.handleBubbleStart = function(e, bubble) {
  * @private
  */
 Blockly.Gesture.prototype.doFrameClick_ = function() {
+  if (this.startWorkspace_.batchSelector) {
+    this.startWorkspace_.batchSelector.clear();
+  }
   this.startFrame_.setFocus && this.startFrame_.setFocus();
   this.startFrame_.select && this.startFrame_.select();
 };
@@ -877,6 +951,9 @@ Blockly.Gesture.prototype.doBlockClick_ = function() {
       newBlock.scheduleSnapAndBump();
     }
   } else {
+    if (this.startWorkspace_.batchSelector) {
+      this.startWorkspace_.batchSelector.clear();
+    }
     // A field is being edited if either the WidgetDiv or DropDownDiv is currently open.
     // If a field is being edited, don't fire any click events.
     var fieldEditing = Blockly.WidgetDiv.isVisible() || Blockly.DropDownDiv.isVisible();
@@ -902,6 +979,29 @@ Blockly.Gesture.prototype.doWorkspaceClick_ = function() {
   if (Blockly.selected) {
     Blockly.selected.unselect();
   }
+  if (this.startWorkspace_.batchSelector) {
+    this.startWorkspace_.batchSelector.clear();
+  }
+};
+
+/**
+ * Execute a shift-click on a block or frame: add its stack or the frame to
+ * the batch selection, or remove it.
+ * @private
+ */
+Blockly.Gesture.prototype.doBatchSelectClick_ = function() {
+  this.startWorkspace_.batchSelector.toggle(this.targetBlock_ || this.startFrame_);
+};
+
+/**
+ * Finish the drag of the batch selection, if the dragged element carried it.
+ * @private
+ */
+Blockly.Gesture.prototype.endBatchDrag_ = function() {
+  if (this.isDraggingBatch_) {
+    this.isDraggingBatch_ = false;
+    this.startWorkspace_.batchSelector.endDrag();
+  }
 };
 
 /* End functions defining what actions to take to execute clicks on each type
@@ -1037,6 +1137,20 @@ Blockly.Gesture.prototype.isFrameClick_ = function() {
   return hasStartFame && !this.hasExceededDragRadius_;
 };
 
+/**
+ * Whether this gesture is a shift-click on a block or frame of a workspace
+ * that supports batch selection.  This should only be called when ending a
+ * gesture (mouse up, touch end).
+ * @param {!Event} e A mouse up or touch end event.
+ * @return {boolean} whether this gesture was a batch selection click.
+ * @private
+ */
+Blockly.Gesture.prototype.isBatchSelectClick_ = function(e) {
+  var hasTarget = !!(this.targetBlock_ || this.startFrame_);
+  return hasTarget && e.shiftKey && !this.hasExceededDragRadius_ &&
+      !this.flyout_ && !!this.startWorkspace_.batchSelector;
+};
+
 /**
  * Whether this gesture is a click on a bubble.  This should only be called when
  * ending a gesture (mouse up, touch end).
@@ -1157,6 +1271,23 @@ Blockly.Gesture.prototype.forceStartFrameDrag = function(fakeEvent, frame) {
   this.startDraggingFrame_();
 };
 
+/**
+ * Force a drag to start without clicking and dragging the bubble itself.  Used
+ * to attach workspace comments taken out of the trash can to the mouse
+ * pointer.
+ * @param {!Object} fakeEvent An object with the properties needed to start a
+ *     drag, including clientX and clientY.
+ * @param {!Blockly.WorkspaceCommentSvg} bubble The bubble to start dragging.
+ * @package
+ */
+Blockly.Gesture.prototype.forceStartBubbleDrag = function(fakeEvent, bubble) {
+  this.handleBubbleStart(fakeEvent, bubble);
+  this.handleWsStart(fakeEvent, bubble.workspace);
+  this.isDraggingBubble_ = true;
+  this.hasExceededDragRadius_ = true;
+  this.startDraggingBubble_();
+};
+
 /**
  * Duplicate the target block and start dragging the duplicated block.
  * This should be done once we are sure that it is a block drag, and no earlier.
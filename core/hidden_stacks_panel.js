@@ -0,0 +1,205 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Panel listing the hidden stacks of the main workspace, so
+ * that the user can show them one by one.
+ */
+'use strict';
+
+/**
+ * @name Blockly.HiddenStacksPanel
+ * @namespace
+ */
+goog.provide('Blockly.HiddenStacksPanel');
+
+goog.require('Blockly.Events');
+
+goog.require('goog.dom');
+
+
+/**
+ * Whether the panel is currently shown.
+ * @type {boolean}
+ */
+Blockly.HiddenStacksPanel.isOpen = false;
+
+/**
+ * Maximum length of the text describing a stack.
+ * @const {number}
+ */
+Blockly.HiddenStacksPanel.NAME_LENGTH = 40;
+
+/**
+ * The workspace whose hidden stacks are listed while the panel is open.
+ * @type {Blockly.WorkspaceSvg}
+ * @private
+ */
+Blockly.HiddenStacksPanel.workspace_ = null;
+
+/**
+ * The hidden stacks listed in the panel, by their top block.
+ * @type {!Array.<!Blockly.BlockSvg>}
+ * @private
+ */
+Blockly.HiddenStacksPanel.blocks_ = [];
+
+/**
+ * Create the panel's DOM.  Only needs to be called once.
+ */
+Blockly.HiddenStacksPanel.createDom = function() {
+  if (this.panelRoot_) {
+    return;  // Already created.
+  }
+  this.panelRoot_ = goog.dom.createDom('div',
+      'blocklyHiddenStacksPanel blocklyHiddenStacksPanelHidden');
+  var title = goog.dom.createDom('div', 'blocklyHiddenStacksTitle',
+      Blockly.Msg.HIDDEN_STACKS_TITLE);
+  this.list_ = goog.dom.createDom('div', 'blocklyHiddenStacksList');
+
+  var buttonRow = goog.dom.createDom('div', 'blocklyHiddenStacksButtons');
+  this.showAllButton_ = this.createButton_(Blockly.Msg.HIDDEN_STACKS_SHOW_ALL,
+      this.showAll_);
+  buttonRow.appendChild(this.createButton_(Blockly.Msg.HIDDEN_STACKS_CLOSE,
+      this.hide));
+  buttonRow.appendChild(this.showAllButton_);
+
+  this.panelRoot_.appendChild(title);
+  this.panelRoot_.appendChild(this.list_);
+  this.panelRoot_.appendChild(buttonRow);
+  Blockly.bindEvent_(this.list_, 'click', this, this.onListClick_);
+
+  document.body.appendChild(this.panelRoot_);
+};
+
+/**
+ * Create one of the panel's buttons.
+ * @param {string} text Text of the button.
+ * @param {Function} func Function to call when the button is clicked, or null
+ *     if the list handles the click.
+ * @return {!Element} The button.
+ * @private
+ */
+Blockly.HiddenStacksPanel.createButton_ = function(text, func) {
+  var button = goog.dom.createDom('button', 'blocklyHiddenStacksButton', text);
+  button.setAttribute('type', 'button');
+  if (func) {
+    Blockly.bindEvent_(button, 'click', this, func);
+  }
+  return button;
+};
+
+/**
+ * Show the panel over a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace whose hidden stacks
+ *     to list.
+ */
+Blockly.HiddenStacksPanel.show = function(workspace) {
+  this.workspace_ = workspace;
+  this.isOpen = true;
+  this.render_();
+  this.position_(workspace);
+  Blockly.utils.removeClass(this.panelRoot_, 'blocklyHiddenStacksPanelHidden');
+};
+
+/**
+ * Hide the panel.
+ */
+Blockly.HiddenStacksPanel.hide = function() {
+  if (!this.isOpen) {
+    return;
+  }
+  this.isOpen = false;
+  Blockly.utils.addClass(this.panelRoot_, 'blocklyHiddenStacksPanelHidden');
+  this.workspace_ = null;
+  this.blocks_ = [];
+};
+
+/**
+ * List the hidden stacks, each with a button to show it.
+ * @private
+ */
+Blockly.HiddenStacksPanel.render_ = function() {
+  var list = this.list_;
+  goog.dom.removeChildren(list);
+  this.blocks_ = this.workspace_.getHiddenStacks(true);
+  for (var i = 0, block; block = this.blocks_[i]; i++) {
+    var name = goog.dom.createDom('span', 'blocklyHiddenStacksName',
+        block.toString(Blockly.HiddenStacksPanel.NAME_LENGTH));
+    var button = this.createButton_(Blockly.Msg.HIDDEN_STACKS_SHOW, null);
+    button.setAttribute('data-index', i);
+    list.appendChild(goog.dom.createDom('div', 'blocklyHiddenStacksRow', name,
+        button));
+  }
+  if (!this.blocks_.length) {
+    list.appendChild(goog.dom.createDom('div', 'blocklyHiddenStacksEmpty',
+        Blockly.Msg.HIDDEN_STACKS_NOTHING));
+  }
+  this.showAllButton_.disabled = !this.blocks_.length;
+};
+
+/**
+ * Show a stack and scroll to it when its button is clicked.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.HiddenStacksPanel.onListClick_ = function(e) {
+  var index = e.target.getAttribute('data-index');
+  if (index === null) {
+    return;
+  }
+  var block = this.blocks_[index];
+  if (block.workspace) {  // Check that the block hasn't been deleted.
+    block.setHidden(false);
+    this.workspace_.centerOnBlock(block.id);
+  }
+  this.render_();
+};
+
+/**
+ * Show every hidden stack as one undo step, and hide the panel.
+ * @private
+ */
+Blockly.HiddenStacksPanel.showAll_ = function() {
+  var blocks = this.workspace_.getHiddenStacks(false);
+  Blockly.Events.setGroup(true);
+  try {
+    blocks.forEach(function(block) {
+      block.setHidden(false);
+    });
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  this.hide();
+};
+
+/**
+ * Position the panel in the middle of the workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace being listed.
+ * @private
+ */
+Blockly.HiddenStacksPanel.position_ = function(workspace) {
+  var bounds = workspace.getParentSvg().getBoundingClientRect();
+  var size = this.panelRoot_.getBoundingClientRect();
+  var left = bounds.left + (bounds.width - size.width) / 2;
+  var top = bounds.top + (bounds.height - size.height) / 2;
+  this.panelRoot_.style.left = Math.max(left, 0) + 'px';
+  this.panelRoot_.style.top = Math.max(top, 0) + 'px';
+};
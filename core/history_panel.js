@@ -0,0 +1,272 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Panel listing the undo history of the main workspace and its
+ * checkpoints.  Clicking a step or a checkpoint undoes or redoes up to it.
+ */
+'use strict';
+
+/**
+ * @name Blockly.HistoryPanel
+ * @namespace
+ */
+goog.provide('Blockly.HistoryPanel');
+
+goog.require('Blockly.UndoHistory');
+
+goog.require('goog.dom');
+
+
+/**
+ * Whether the panel is currently shown.
+ * @type {boolean}
+ */
+Blockly.HistoryPanel.isOpen = false;
+
+/**
+ * The workspace whose history is shown while the panel is open.
+ * @type {Blockly.WorkspaceSvg}
+ * @private
+ */
+Blockly.HistoryPanel.workspace_ = null;
+
+/**
+ * The listener that keeps the panel up to date while it is open.
+ * @type {Function}
+ * @private
+ */
+Blockly.HistoryPanel.changeListener_ = null;
+
+/**
+ * The steps of the history shown in the panel.
+ * @type {!Array.<!Blockly.UndoHistory.Entry>}
+ * @private
+ */
+Blockly.HistoryPanel.entries_ = [];
+
+/**
+ * Delay in ms between a change of the workspace and the update of the panel,
+ * so that a burst of changes updates it once.
+ * @const {number}
+ */
+Blockly.HistoryPanel.RENDER_DELAY = 100;
+
+/**
+ * Timeout of the pending update of the panel, or 0 if there is none.
+ * @type {number}
+ * @private
+ */
+Blockly.HistoryPanel.renderPid_ = 0;
+
+/**
+ * Create the panel's DOM.  Only needs to be called once.
+ */
+Blockly.HistoryPanel.createDom = function() {
+  if (this.panelRoot_) {
+    return;  // Already created.
+  }
+  this.panelRoot_ = goog.dom.createDom('div',
+      'blocklyHistoryPanel blocklyHistoryPanelHidden');
+
+  var header = goog.dom.createDom('div', 'blocklyHistoryHeader');
+  header.appendChild(goog.dom.createDom('span', 'blocklyHistoryTitle',
+      Blockly.Msg.HISTORY_TITLE));
+  header.appendChild(this.createButton_('+', Blockly.Msg.HISTORY_ADD_CHECKPOINT,
+      this.addCheckpoint_));
+  header.appendChild(this.createButton_('×', Blockly.Msg.HISTORY_CLOSE,
+      this.hide));
+  this.list_ = goog.dom.createDom('div', 'blocklyHistoryList');
+
+  this.panelRoot_.appendChild(header);
+  this.panelRoot_.appendChild(this.list_);
+
+  Blockly.bindEvent_(this.list_, 'click', this, this.onListClick_);
+
+  document.body.appendChild(this.panelRoot_);
+};
+
+/**
+ * Create one of the panel's buttons.
+ * @param {string} text Text of the button.
+ * @param {string} title Tooltip of the button.
+ * @param {!Function} func Function to call when the button is clicked.
+ * @return {!Element} The button.
+ * @private
+ */
+Blockly.HistoryPanel.createButton_ = function(text, title, func) {
+  var button = goog.dom.createDom('button', 'blocklyHistoryButton', text);
+  button.setAttribute('type', 'button');
+  button.setAttribute('title', title);
+  Blockly.bindEvent_(button, 'click', this, func);
+  return button;
+};
+
+/**
+ * Show the panel over a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace whose history to
+ *     show.
+ */
+Blockly.HistoryPanel.show = function(workspace) {
+  if (this.workspace_ != workspace) {
+    this.hide();
+    this.workspace_ = workspace;
+    this.changeListener_ = workspace.addChangeListener(
+        this.onWorkspaceChange_.bind(this));
+  }
+  this.isOpen = true;
+  this.render_();
+  this.position_(workspace);
+  Blockly.utils.removeClass(this.panelRoot_, 'blocklyHistoryPanelHidden');
+};
+
+/**
+ * Hide the panel.
+ */
+Blockly.HistoryPanel.hide = function() {
+  if (!this.isOpen) {
+    return;
+  }
+  this.isOpen = false;
+  clearTimeout(this.renderPid_);
+  this.renderPid_ = 0;
+  Blockly.utils.addClass(this.panelRoot_, 'blocklyHistoryPanelHidden');
+  this.workspace_.removeChangeListener(this.changeListener_);
+  this.changeListener_ = null;
+  this.workspace_ = null;
+  this.entries_ = [];
+};
+
+/**
+ * Update the panel when the history of the workspace may have changed.
+ * @param {!Blockly.Events.Abstract} e Change event.
+ * @private
+ */
+Blockly.HistoryPanel.onWorkspaceChange_ = function(e) {
+  if (e.type == Blockly.Events.UI || this.renderPid_) {
+    return;
+  }
+  this.renderPid_ = setTimeout(function() {
+    Blockly.HistoryPanel.renderPid_ = 0;
+    Blockly.HistoryPanel.render_();
+  }, Blockly.HistoryPanel.RENDER_DELAY);
+};
+
+/**
+ * List the steps of the history and the checkpoints between them.  Steps that
+ * have been undone are shown after the current one, dimmed.
+ * @private
+ */
+Blockly.HistoryPanel.render_ = function() {
+  var workspace = this.workspace_;
+  var current = workspace.undoStack_[workspace.undoStack_.length - 1] || null;
+  var checkpoints = workspace.getCheckpoints();
+  var list = this.list_;
+  var addCheckpoints = function(event) {
+    checkpoints.forEach(function(checkpoint) {
+      if (checkpoint.event == event) {
+        var row = goog.dom.createDom('div',
+            'blocklyHistoryRow blocklyHistoryCheckpoint', checkpoint.name);
+        row.setAttribute('data-checkpoint', checkpoint.id);
+        list.appendChild(row);
+      }
+    });
+  };
+
+  goog.dom.removeChildren(list);
+  this.entries_ = Blockly.UndoHistory.getEntries(workspace);
+  var start = goog.dom.createDom('div', 'blocklyHistoryRow',
+      Blockly.Msg.HISTORY_START);
+  start.setAttribute('data-index', -1);
+  if (!current) {
+    Blockly.utils.addClass(start, 'blocklyHistoryRowCurrent');
+  }
+  list.appendChild(start);
+  addCheckpoints(null);
+  for (var i = 0, entry; entry = this.entries_[i]; i++) {
+    var row = goog.dom.createDom('div', 'blocklyHistoryRow',
+        Blockly.UndoHistory.describe(entry.events, workspace));
+    row.setAttribute('data-index', i);
+    if (!entry.done) {
+      Blockly.utils.addClass(row, 'blocklyHistoryRowUndone');
+    }
+    if (entry.event == current) {
+      Blockly.utils.addClass(row, 'blocklyHistoryRowCurrent');
+    }
+    list.appendChild(row);
+    addCheckpoints(entry.event);
+  }
+};
+
+/**
+ * Undo or redo up to the step or checkpoint that was clicked.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.HistoryPanel.onListClick_ = function(e) {
+  var row = e.target;
+  var workspace = this.workspace_;
+  if (!workspace || !Blockly.utils.hasClass(row, 'blocklyHistoryRow')) {
+    return;
+  }
+  var checkpointId = row.getAttribute('data-checkpoint');
+  if (checkpointId) {
+    workspace.jumpToCheckpoint(checkpointId);
+  } else {
+    var entry = this.entries_[row.getAttribute('data-index')];
+    workspace.undoTo(entry ? entry.event : null);
+  }
+  this.render_();
+};
+
+/**
+ * Ask for a name and add a checkpoint at the current point of the history.
+ * @private
+ */
+Blockly.HistoryPanel.addCheckpoint_ = function() {
+  var workspace = this.workspace_;
+  Blockly.prompt(Blockly.Msg.HISTORY_CHECKPOINT_NAME, '', function(name) {
+    name = name && name.trim();
+    if (name && workspace == Blockly.HistoryPanel.workspace_) {
+      workspace.createCheckpoint(name);
+      Blockly.HistoryPanel.render_();
+    }
+  });
+};
+
+/**
+ * Position the panel at the top left of the workspace (top right in RTL), out
+ * of the way of the search panel.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace whose history is
+ *     shown.
+ * @private
+ */
+Blockly.HistoryPanel.position_ = function(workspace) {
+  var MARGIN = 8;
+  var bounds = workspace.getParentSvg().getBoundingClientRect();
+  var metrics = workspace.getMetrics();
+  var width = this.panelRoot_.getBoundingClientRect().width;
+  // Keep clear of the toolbox and flyout.
+  var left = workspace.RTL ?
+      bounds.left + metrics.absoluteLeft + metrics.viewWidth - width - MARGIN :
+      bounds.left + metrics.absoluteLeft + MARGIN;
+  this.panelRoot_.style.left = Math.max(left, 0) + 'px';
+  this.panelRoot_.style.top = (bounds.top + MARGIN) + 'px';
+};
@@ -26,13 +26,22 @@
 
 goog.provide('Blockly.inject');
 
+goog.require('Blockly.BatchSelector');
 goog.require('Blockly.BlockDragSurfaceSvg');
+goog.require('Blockly.BookmarksPanel');
+goog.require('Blockly.CleanupPanel');
+goog.require('Blockly.Clipboard');
 goog.require('Blockly.Css');
 goog.require('Blockly.constants');
 goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.ColorSelector');
 goog.require('Blockly.Grid');
+goog.require('Blockly.HiddenStacksPanel');
+goog.require('Blockly.HistoryPanel');
+goog.require('Blockly.navigation');
 goog.require('Blockly.Options');
+goog.require('Blockly.ScreenReader');
+goog.require('Blockly.SearchPanel');
 goog.require('Blockly.WorkspaceSvg');
 goog.require('Blockly.WorkspaceDragSurfaceSvg');
 goog.require('goog.dom');
@@ -78,6 +87,15 @@ Blockly.inject = function(container, opt_options, config = {}) {
   Blockly.mainWorkspace = workspace;
 
   Blockly.svgResize(workspace);
+  if (!options.readOnly) {
+    workspace.batchSelector = new Blockly.BatchSelector(workspace);
+  }
+  if (options.screenReader) {
+    workspace.screenReader = new Blockly.ScreenReader(workspace);
+  }
+  if (options.keyboardNav) {
+    Blockly.navigation.enable(workspace);
+  }
   return workspace;
 };
 
@@ -447,6 +465,11 @@ Blockly.createMainWorkspace_ = function(svg, options, blockDragSurface, workspac
   // The SVG is now fully assembled.
   Blockly.svgResize(mainWorkspace);
   Blockly.ColorSelector.createDom();
+  Blockly.SearchPanel.createDom();
+  Blockly.HistoryPanel.createDom();
+  Blockly.CleanupPanel.createDom();
+  Blockly.HiddenStacksPanel.createDom();
+  Blockly.BookmarksPanel.createDom();
   Blockly.WidgetDiv.createDom();
   Blockly.DropDownDiv.createDom();
   Blockly.Tooltip.createDom();
@@ -529,6 +552,11 @@ Blockly.init_ = function(mainWorkspace) {
 Blockly.inject.bindDocumentEvents_ = function() {
   if (!Blockly.documentEventsBound_) {
     Blockly.bindEventWithChecks_(document, 'keydown', null, Blockly.onKeyDown_);
+    // The system clipboard is written and read through these events.
+    Blockly.bindEvent_(document, 'copy', null, Blockly.Clipboard.onCopy);
+    Blockly.bindEvent_(document, 'cut', null, Blockly.Clipboard.onCopy);
+    Blockly.bindEvent_(document, 'paste', null, Blockly.Clipboard.onPaste);
+    Blockly.bindEvent_(window, 'blur', null, Blockly.Clipboard.onBlur);
     // longStop needs to run to stop the context menu from showing up.  It
     // should run regardless of what other touch event handlers have run.
     Blockly.bindEvent_(document, 'touchend', null, Blockly.longStop_);
@@ -2,31 +2,168 @@
 
 goog.provide('Blockly.IntersectionObserver');
 
+goog.require('goog.object');
+
+
+/**
+ * Class for showing only the top blocks of a workspace that are in view.
+ * Stacks loaded without their SVG are rendered when they come into view.
+ * Observed blocks are kept in a grid so that a check only looks at the blocks
+ * near the view.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to observe.
+ * @constructor
+ */
 Blockly.IntersectionObserver = function(workspace) {
   this.workspace = workspace;
-  this.observing = [];
+
+  /**
+   * Observed blocks by id, with their bounds in workspace units and the keys
+   * of the grid cells they are in.
+   * @type {!Object.<string, {block: !Blockly.BlockSvg, bounds: Object,
+   *     cells: !Array.<string>}>}
+   * @private
+   */
+  this.entries_ = Object.create(null);
+
+  /**
+   * Grid cells by key, each a set of ids of the blocks in the cell.
+   * @type {!Object.<string, !Object.<string, boolean>>}
+   * @private
+   */
+  this.cells_ = Object.create(null);
+
+  /**
+   * Ids of observed blocks that moved or changed size since the last check.
+   * @type {!Object.<string, boolean>}
+   * @private
+   */
+  this.dirty_ = Object.create(null);
+
+  /**
+   * Observed blocks that are shown, by id.
+   * @type {!Object.<string, !Blockly.BlockSvg>}
+   * @private
+   */
+  this.shown_ = Object.create(null);
+
+  /**
+   * Size of each stack when it was last measured, by id of its top block.
+   * Kept when the workspace is cleared, so that stacks loaded again get
+   * placeholders of the right size.
+   * @type {!Object.<string, {width: number, height: number}>}
+   * @private
+   */
+  this.sizeCache_ = Object.create(null);
+
   this.intersectionCheckQueued = false;
+  this.renderQueued_ = false;
   this.checkForIntersections = this.checkForIntersections.bind(this);
 };
 
+/**
+ * Size of the square cells of the grid, in workspace units.
+ * @const {number}
+ */
+Blockly.IntersectionObserver.CELL_SIZE = 512;
+
+/**
+ * Maximum number of deferred stacks rendered in one check.  The others are
+ * rendered in the following animation frames, so that scrolling to a crowded
+ * part of the workspace doesn't freeze it.
+ * @const {number}
+ */
+Blockly.IntersectionObserver.RENDER_BATCH_SIZE = 20;
+
+/**
+ * Estimated size of a block, for the placeholders of stacks that were never
+ * rendered.
+ * @const {{width: number, height: number}}
+ */
+Blockly.IntersectionObserver.ESTIMATED_BLOCK_SIZE = {width: 240, height: 48};
+
+/**
+ * Start showing or hiding a top block depending on whether it is in view, or
+ * measure it again after it moved or changed size.
+ * @param {!Blockly.BlockSvg} block The block.
+ */
 Blockly.IntersectionObserver.prototype.observe = function(block) {
-  var index = this.observing.indexOf(block);
-  if (index === -1) {
-    this.observing.push(block);
+  if (!this.entries_[block.id]) {
+    this.entries_[block.id] = {block: block, bounds: null, cells: []};
+    if (block.intersects_) {
+      this.shown_[block.id] = block;
+    }
   }
+  this.dirty_[block.id] = true;
 };
 
+/**
+ * Stop showing or hiding a block.
+ * @param {!Blockly.BlockSvg} block The block.
+ */
 Blockly.IntersectionObserver.prototype.unobserve = function(block) {
-  var index = this.observing.indexOf(block);
-  if (index !== -1) {
-    this.observing = this.observing.filter(function(i) {
-      return i !== block;
-    });
+  var entry = this.entries_[block.id];
+  if (!entry || entry.block != block) {
+    return;
   }
+  this.removeFromCells_(block.id);
+  delete this.entries_[block.id];
+  delete this.dirty_[block.id];
+  delete this.shown_[block.id];
+};
+
+/**
+ * Note that a block may have moved, so that it is measured again on the next
+ * check.
+ * @param {!Blockly.BlockSvg} block The block.
+ * @package
+ */
+Blockly.IntersectionObserver.prototype.markDirty = function(block) {
+  if (this.entries_[block.id]) {
+    this.dirty_[block.id] = true;
+  }
+};
+
+/**
+ * Note that the blocks of a frame and of the frames in it may have moved.
+ * @param {!Blockly.Frame} frame The frame.
+ * @package
+ */
+Blockly.IntersectionObserver.prototype.markFrameDirty = function(frame) {
+  var frames = [frame].concat(frame.getDescendantFrames());
+  for (var i = 0; i < frames.length; i++) {
+    var ids = frames[i].getBlockIds();
+    for (var j = 0; j < ids.length; j++) {
+      if (this.entries_[ids[j]]) {
+        this.dirty_[ids[j]] = true;
+      }
+    }
+  }
+};
+
+/**
+ * Get the size of the placeholder of a stack loaded without its SVG: the size
+ * it had when it was last rendered, or an estimate.
+ * @param {!Blockly.BlockSvg} block The top block of the stack.
+ * @return {{width: number, height: number}} The size, in workspace units.
+ * @package
+ */
+Blockly.IntersectionObserver.prototype.getPlaceholderSize = function(block) {
+  var size = this.sizeCache_[block.id];
+  if (size) {
+    return {width: size.width, height: size.height};
+  }
+  var count = block.getDescendants(false).filter(function(descendant) {
+    return !descendant.isShadow();
+  }).length;
+  var estimate = Blockly.IntersectionObserver.ESTIMATED_BLOCK_SIZE;
+  return {width: estimate.width, height: count * estimate.height};
 };
 
 Blockly.IntersectionObserver.prototype.dispose = function() {
-  this.observing = [];
+  this.entries_ = Object.create(null);
+  this.cells_ = Object.create(null);
+  this.dirty_ = Object.create(null);
+  this.shown_ = Object.create(null);
   this.workspace = null;
 };
 
@@ -54,7 +191,6 @@ Blockly.IntersectionObserver.prototype.checkForIntersections = function() {
 
   var workspace = this.workspace;
   var workspaceScale = workspace.scale;
-  var RTL = workspace.RTL;
   var workspaceHeight = workspace.getParentSvg().height.baseVal.value;
   var workspaceWidth = workspace.getParentSvg().width.baseVal.value;
   if (workspace.isDragSurfaceActive_) {
@@ -64,39 +200,156 @@ Blockly.IntersectionObserver.prototype.checkForIntersections = function() {
   }
 
   // Allow blocks to go slightly offscreen so that effects such as glow do not get cut off.
-  var margin = 12 * workspaceScale;
-
-  for (var i = 0; i < this.observing.length; i++) {
-    var block = this.observing[i];
-    var blockPos = block.getRelativeToSurfaceXY();
-    var blockSize = null;
-    if (RTL) {
-      blockSize = block.getHeightWidth();
-      blockPos.x -= blockSize.width;
-      blockSize.width *= workspaceScale;
-      blockSize.height *= workspaceScale;
+  var margin = 12;
+  var view = {
+    left: -canvasPos.x / workspaceScale - margin,
+    top: -canvasPos.y / workspaceScale - margin,
+    right: (workspaceWidth - canvasPos.x) / workspaceScale + margin,
+    bottom: (workspaceHeight - canvasPos.y) / workspaceScale + margin
+  };
+
+  // A block being dragged is moved without being translated.
+  if (Blockly.selected && this.entries_[Blockly.selected.id]) {
+    this.dirty_[Blockly.selected.id] = true;
+  }
+  this.updateDirty_();
+
+  var visible = Object.create(null);
+  var range = this.getCellRange_(view);
+  for (var x = range.left; x <= range.right; x++) {
+    for (var y = range.top; y <= range.bottom; y++) {
+      var cell = this.cells_[x + ',' + y];
+      for (var id in cell) {
+        var entry = this.entries_[id];
+        if (!visible[id] && Blockly.IntersectionObserver.intersects_(
+            entry.bounds, view)) {
+          visible[id] = entry.block;
+        }
+      }
+    }
+  }
+
+  for (var id in this.shown_) {
+    if (!visible[id]) {
+      this.shown_[id].setIntersects(false);
+      delete this.shown_[id];
     }
-    blockPos.x *= workspaceScale;
-    blockPos.y *= workspaceScale;
-
-    var visible = true;
-    if (canvasPos.y + blockPos.y - margin > workspaceHeight) {
-      visible = false;
-    } else if (canvasPos.x + blockPos.x - margin > workspaceWidth) {
-      visible = false;
-    } else {
-      if (!blockSize) {
-        blockSize = block.getHeightWidth();
-        blockSize.width *= workspaceScale;
-        blockSize.height *= workspaceScale;
+  }
+  var rendered = 0;
+  for (var id in visible) {
+    var block = visible[id];
+    if (block.isDeferred()) {
+      if (rendered < Blockly.IntersectionObserver.RENDER_BATCH_SIZE) {
+        block.renderDeferred();
+        rendered++;
+      } else {
+        this.queueRender_();
       }
-      if (canvasPos.x + blockPos.x + blockSize.width + margin < 0) {
-        visible = false;
-      } else if (canvasPos.y + blockPos.y + blockSize.height + margin < 0) {
-        visible = false;
+    }
+    block.setIntersects(true);
+    this.shown_[id] = block;
+  }
+};
+
+/**
+ * Check again on the next animation frame, to render more deferred stacks.
+ * @private
+ */
+Blockly.IntersectionObserver.prototype.queueRender_ = function() {
+  if (this.renderQueued_) {
+    return;
+  }
+  this.renderQueued_ = true;
+  var observer = this;
+  requestAnimationFrame(function() {
+    observer.renderQueued_ = false;
+    observer.queueIntersectionCheck();
+  });
+};
+
+/**
+ * Measure the blocks that may have moved or changed size, and move them to
+ * the cells they are now in.
+ * @private
+ */
+Blockly.IntersectionObserver.prototype.updateDirty_ = function() {
+  var RTL = this.workspace.RTL;
+  for (var id in this.dirty_) {
+    var entry = this.entries_[id];
+    if (!entry) {
+      continue;
+    }
+    var block = entry.block;
+    var xy = block.getRelativeToSurfaceXY();
+    var size = block.getHeightWidth();
+    if (!block.isDeferred()) {
+      this.sizeCache_[id] = {width: size.width, height: size.height};
+    }
+    var left = RTL ? xy.x - size.width : xy.x;
+    this.removeFromCells_(id);
+    entry.bounds = {
+      left: left,
+      top: xy.y,
+      right: left + size.width,
+      bottom: xy.y + size.height
+    };
+    var range = this.getCellRange_(entry.bounds);
+    for (var x = range.left; x <= range.right; x++) {
+      for (var y = range.top; y <= range.bottom; y++) {
+        var key = x + ',' + y;
+        if (!this.cells_[key]) {
+          this.cells_[key] = Object.create(null);
+        }
+        this.cells_[key][id] = true;
+        entry.cells.push(key);
       }
     }
+  }
+  this.dirty_ = Object.create(null);
+};
 
-    block.setIntersects(visible);
+/**
+ * Remove a block from the cells it is in.
+ * @param {string} id The id of the block.
+ * @private
+ */
+Blockly.IntersectionObserver.prototype.removeFromCells_ = function(id) {
+  var entry = this.entries_[id];
+  for (var i = 0; i < entry.cells.length; i++) {
+    var cell = this.cells_[entry.cells[i]];
+    delete cell[id];
+    if (goog.object.isEmpty(cell)) {
+      delete this.cells_[entry.cells[i]];
+    }
   }
+  entry.cells = [];
+};
+
+/**
+ * Get the range of cells covering a rectangle.
+ * @param {!Object} bounds The rectangle's left, top, right and bottom, in
+ *     workspace units.
+ * @return {!Object} The left, top, right and bottom cell coordinates.
+ * @private
+ */
+Blockly.IntersectionObserver.prototype.getCellRange_ = function(bounds) {
+  var size = Blockly.IntersectionObserver.CELL_SIZE;
+  return {
+    left: Math.floor(bounds.left / size),
+    top: Math.floor(bounds.top / size),
+    right: Math.floor(bounds.right / size),
+    bottom: Math.floor(bounds.bottom / size)
+  };
+};
+
+/**
+ * Whether two rectangles overlap.
+ * @param {!Object} a A rectangle's left, top, right and bottom.
+ * @param {!Object} b Another rectangle's left, top, right and bottom.
+ * @return {boolean} True if they overlap.
+ * @private
+ */
+Blockly.IntersectionObserver.intersects_ = function(a, b) {
+  return a.left <= b.right && a.right >= b.left && a.top <= b.bottom &&
+      a.bottom >= b.top;
 };
@@ -0,0 +1,692 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2013 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview JSON reader and writer.  The JSON format mirrors the XML
+ * format produced by Blockly.Xml one-to-one, so that any workspace can be
+ * converted between the two without losing information.
+ */
+'use strict';
+
+/**
+ * @name Blockly.Json
+ * @namespace
+ **/
+goog.provide('Blockly.Json');
+
+goog.require('Blockly.Xml');
+
+goog.require('goog.dom');
+
+
+/**
+ * Encode a workspace as JSON.
+ * @param {!Blockly.Workspace} workspace The workspace containing blocks.
+ * @param {boolean=} opt_noId True if the encoder should skip the block IDs.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.workspaceToJson = function(workspace, opt_noId) {
+  var json = Blockly.Json.domToJson(
+      Blockly.Xml.workspaceToDom(workspace, opt_noId));
+  json['procedures'] = Blockly.Json.proceduresToJson(
+      workspace.getAllGlobalProcedureMutations());
+  return json;
+};
+
+/**
+ * Encode a list of procedure mutations (as stored in a Blockly.ProcedureMap)
+ * as JSON.
+ * @param {!Array.<!Element>} mutations List of mutation elements.
+ * @return {!Array.<!Object>} List of JSON objects.
+ */
+Blockly.Json.proceduresToJson = function(mutations) {
+  return mutations.map(function(mutation) {
+    return Blockly.Json.elementToJson_(mutation);
+  });
+};
+
+/**
+ * Encode a block subtree as JSON.
+ * @param {!Blockly.Block} block The root block to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ID.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.blockToJson = function(block, opt_noId) {
+  return Blockly.Json.blockDomToJson(Blockly.Xml.blockToDom(block, opt_noId));
+};
+
+/**
+ * Encode a block subtree as JSON with XY coordinates.
+ * @param {!Blockly.Block} block The root block to encode.
+ * @param {boolean=} opt_noId True if the encoder should skip the block ID.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.blockToJsonWithXY = function(block, opt_noId) {
+  return Blockly.Json.blockDomToJson(
+      Blockly.Xml.blockToDomWithXY(block, opt_noId));
+};
+
+/**
+ * Encode a frame as JSON.
+ * @param {!Blockly.Frame} frame A frame.
+ * @param {boolean} createBlocksJson Whether to create JSON for the blocks that
+ *     the frame contains.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.frameToJson = function(frame, createBlocksJson) {
+  return Blockly.Json.frameDomToJson(
+      Blockly.Xml.frameToDom(frame, createBlocksJson));
+};
+
+/**
+ * Convert a workspace XML DOM into JSON.
+ * @param {!Element} xml XML DOM, as produced by Blockly.Xml.workspaceToDom.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.domToJson = function(xml) {
+  var json = {
+    'variables': [],
+    'procedures': [],
+    'comments': [],
+    'blocks': [],
+    'frames': []
+  };
+  for (var i = 0, xmlChild; xmlChild = xml.children[i]; i++) {
+    switch (xmlChild.nodeName.toLowerCase()) {
+      case 'variables':
+        for (var j = 0, variable; variable = xmlChild.children[j]; j++) {
+          json['variables'].push(Blockly.Json.variableDomToJson_(variable));
+        }
+        break;
+      case 'procedures':
+        for (var j = 0, mutation; mutation = xmlChild.children[j]; j++) {
+          json['procedures'].push(Blockly.Json.elementToJson_(mutation));
+        }
+        break;
+      case 'comment':
+        json['comments'].push(Blockly.Json.commentDomToJson(xmlChild));
+        break;
+      case 'block':
+      case 'shadow':
+        json['blocks'].push(Blockly.Json.blockDomToJson(xmlChild));
+        break;
+      case 'custom-frameset':
+        for (var j = 0, frame; frame = xmlChild.children[j]; j++) {
+          json['frames'].push(Blockly.Json.frameDomToJson(frame));
+        }
+        break;
+      default:
+        console.warn('Ignoring unknown tag: ' + xmlChild.nodeName);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON workspace into an XML DOM that Blockly.Xml.domToWorkspace
+ * can load.
+ * @param {!Object} json JSON object, as produced by
+ *     Blockly.Json.workspaceToJson.
+ * @return {!Element} XML DOM.
+ */
+Blockly.Json.jsonToDom = function(json) {
+  var xml = goog.dom.createDom('xml');
+  var variables = goog.dom.createDom('variables');
+  (json['variables'] || []).forEach(function(variable) {
+    variables.appendChild(Blockly.Json.jsonToVariableDom_(variable));
+  });
+  xml.appendChild(variables);
+
+  var procedures = json['procedures'] || [];
+  if (procedures.length) {
+    var proceduresElement = goog.dom.createDom('procedures');
+    procedures.forEach(function(mutation) {
+      proceduresElement.appendChild(
+          Blockly.Json.jsonToElement_(mutation, 'mutation'));
+    });
+    xml.appendChild(proceduresElement);
+  }
+
+  (json['comments'] || []).forEach(function(comment) {
+    xml.appendChild(Blockly.Json.jsonToCommentDom(comment));
+  });
+  (json['blocks'] || []).forEach(function(block) {
+    xml.appendChild(Blockly.Json.jsonToBlockDom(block));
+  });
+  // Frames must come after blocks, see Blockly.Xml.workspaceToDom.
+  var framesWrapper = goog.dom.createDom('custom-frameset');
+  (json['frames'] || []).forEach(function(frame) {
+    framesWrapper.appendChild(Blockly.Json.jsonToFrameDom(frame));
+  });
+  xml.appendChild(framesWrapper);
+  return xml;
+};
+
+/**
+ * Convert a block XML element (and its descendants) into JSON.
+ * @param {!Element} xmlBlock XML block or shadow element.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.blockDomToJson = function(xmlBlock) {
+  var json = {'type': xmlBlock.getAttribute('type')};
+  if (xmlBlock.nodeName.toLowerCase() == 'shadow') {
+    json['shadow'] = true;
+  }
+  if (xmlBlock.hasAttribute('id')) {
+    json['id'] = xmlBlock.getAttribute('id');
+  }
+  Blockly.Json.BLOCK_ATTRIBUTES_.forEach(function(name) {
+    if (xmlBlock.hasAttribute(name)) {
+      json[name] = Blockly.Json.parseAttribute_(xmlBlock.getAttribute(name));
+    }
+  });
+
+  for (var i = 0, xmlChild; xmlChild = xmlBlock.children[i]; i++) {
+    var name = xmlChild.getAttribute('name');
+    switch (xmlChild.nodeName.toLowerCase()) {
+      case 'mutation':
+        json['mutation'] = Blockly.Json.elementToJson_(xmlChild);
+        break;
+      case 'field':
+        json['fields'] = json['fields'] || {};
+        json['fields'][name] = Blockly.Json.fieldDomToJson_(xmlChild);
+        break;
+      case 'comment':
+        json['comment'] = Blockly.Json.blockCommentDomToJson_(xmlChild);
+        break;
+      case 'data':
+        json['data'] = xmlChild.textContent;
+        break;
+      case 'value':
+      case 'statement':
+        json['inputs'] = json['inputs'] || {};
+        json['inputs'][name] = Blockly.Json.connectionDomToJson_(xmlChild);
+        json['inputs'][name]['kind'] = xmlChild.nodeName.toLowerCase();
+        break;
+      case 'next':
+        json['next'] = Blockly.Json.connectionDomToJson_(xmlChild);
+        break;
+      default:
+        console.warn('Ignoring unknown tag: ' + xmlChild.nodeName);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON block into an XML element.
+ * @param {!Object} json JSON object, as produced by Blockly.Json.blockToJson.
+ * @return {!Element} XML block or shadow element.
+ */
+Blockly.Json.jsonToBlockDom = function(json) {
+  var element = goog.dom.createDom(json['shadow'] ? 'shadow' : 'block');
+  if (json['hidden'] !== undefined) {
+    element.setAttribute('hidden', json['hidden']);
+  }
+  element.setAttribute('type', json['type']);
+  if (json['id'] !== undefined) {
+    element.setAttribute('id', json['id']);
+  }
+  if (json['mutation']) {
+    element.appendChild(
+        Blockly.Json.jsonToElement_(json['mutation'], 'mutation'));
+  }
+  var fields = json['fields'] || {};
+  Object.keys(fields).forEach(function(name) {
+    element.appendChild(Blockly.Json.jsonToFieldDom_(name, fields[name]));
+  });
+  if (json['comment']) {
+    element.appendChild(Blockly.Json.jsonToBlockCommentDom_(json['comment']));
+  }
+  if (json['data'] !== undefined) {
+    element.appendChild(goog.dom.createDom('data', null, json['data']));
+  }
+  var inputs = json['inputs'] || {};
+  Object.keys(inputs).forEach(function(name) {
+    var container = Blockly.Json.jsonToConnectionDom_(
+        inputs[name]['kind'] || 'value', inputs[name]);
+    container.setAttribute('name', name);
+    element.appendChild(container);
+  });
+  Blockly.Json.BLOCK_ATTRIBUTES_.forEach(function(name) {
+    if (name != 'hidden' && json[name] !== undefined) {
+      element.setAttribute(name, json[name]);
+    }
+  });
+  if (json['next']) {
+    element.appendChild(Blockly.Json.jsonToConnectionDom_('next', json['next']));
+  }
+  return element;
+};
+
+/**
+ * Convert a frame XML element into JSON.
+ * @param {!Element} xmlFrame XML custom-frame element.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.frameDomToJson = function(xmlFrame) {
+  var blocks = xmlFrame.getAttribute('blocks');
+  var json = {
+    'id': xmlFrame.getAttribute('id'),
+    'title': xmlFrame.getAttribute('title'),
+    'color': xmlFrame.getAttribute('color'),
+    'locked': xmlFrame.getAttribute('locked') == 'true',
+    'collapsed': xmlFrame.getAttribute('collapsed') == 'true',
+    'blocks': blocks ? blocks.split(' ') : [],
+    'x': Number(xmlFrame.getAttribute('x')),
+    'y': Number(xmlFrame.getAttribute('y')),
+    'width': Number(xmlFrame.getAttribute('width')),
+    'height': Number(xmlFrame.getAttribute('height'))
+  };
+  if (xmlFrame.getAttribute('contentshidden') == 'true') {
+    json['contentsHidden'] = true;
+  }
+  if (xmlFrame.getAttribute('bookmarked') == 'true') {
+    json['bookmarked'] = true;
+  }
+  for (var i = 0, xmlChild; xmlChild = xmlFrame.children[i]; i++) {
+    if (xmlChild.nodeName.toLowerCase() == 'custom-frame') {
+      json['frames'] = json['frames'] || [];
+      json['frames'].push(Blockly.Json.frameDomToJson(xmlChild));
+    } else {
+      json['stacks'] = json['stacks'] || [];
+      json['stacks'].push(Blockly.Json.blockDomToJson(xmlChild));
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON frame into an XML element.
+ * @param {!Object} json JSON object, as produced by Blockly.Json.frameToJson.
+ * @return {!Element} XML custom-frame element.
+ */
+Blockly.Json.jsonToFrameDom = function(json) {
+  var element = goog.dom.createDom('custom-frame');
+  element.setAttribute('title', json['title']);
+  element.setAttribute('id', json['id']);
+  element.setAttribute('color', json['color']);
+  element.setAttribute('locked', !!json['locked']);
+  element.setAttribute('collapsed', !!json['collapsed']);
+  if (json['contentsHidden']) {
+    element.setAttribute('contentshidden', true);
+  }
+  if (json['bookmarked']) {
+    element.setAttribute('bookmarked', true);
+  }
+  element.setAttribute('blocks', (json['blocks'] || []).join(' '));
+  element.setAttribute('x', json['x']);
+  element.setAttribute('y', json['y']);
+  element.setAttribute('width', json['width']);
+  element.setAttribute('height', json['height']);
+  (json['stacks'] || []).forEach(function(block) {
+    element.appendChild(Blockly.Json.jsonToBlockDom(block));
+  });
+  (json['frames'] || []).forEach(function(frame) {
+    element.appendChild(Blockly.Json.jsonToFrameDom(frame));
+  });
+  return element;
+};
+
+/**
+ * Convert a workspace comment XML element into JSON.
+ * @param {!Element} xmlComment XML comment element.
+ * @return {!Object} JSON object.
+ */
+Blockly.Json.commentDomToJson = function(xmlComment) {
+  var json = {'text': xmlComment.textContent};
+  if (xmlComment.hasAttribute('id')) {
+    json['id'] = xmlComment.getAttribute('id');
+  }
+  if (xmlComment.hasAttribute('minimized')) {
+    json['minimized'] = xmlComment.getAttribute('minimized') == 'true';
+  }
+  Blockly.Json.copyNumberAttributes_(xmlComment, json);
+  return json;
+};
+
+/**
+ * Convert a JSON workspace comment into an XML element.
+ * @param {!Object} json JSON object, as produced by
+ *     Blockly.Json.commentDomToJson.
+ * @return {!Element} XML comment element.
+ */
+Blockly.Json.jsonToCommentDom = function(json) {
+  var element = goog.dom.createDom('comment', null, json['text']);
+  if (json['id'] !== undefined) {
+    element.setAttribute('id', json['id']);
+  }
+  if (json['minimized'] !== undefined) {
+    element.setAttribute('minimized', json['minimized']);
+  }
+  Blockly.Json.setNumberAttributes_(json, element);
+  return element;
+};
+
+/**
+ * Decode a JSON workspace and create blocks, frames and comments on the
+ * workspace.
+ * @param {!Object} json JSON object.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {Array.<string>} An array containing new block IDs.
+ */
+Blockly.Json.jsonToWorkspace = function(json, workspace) {
+  return Blockly.Xml.domToWorkspace(Blockly.Json.jsonToDom(json), workspace);
+};
+
+/**
+ * Clear the given workspace then decode a JSON workspace and create blocks on
+ * the workspace.
+ * @param {!Object} json JSON object.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {Array.<string>} An array containing new block ids.
+ */
+Blockly.Json.clearWorkspaceAndLoadFromJson = function(json, workspace) {
+  return Blockly.Xml.clearWorkspaceAndLoadFromXml(
+      Blockly.Json.jsonToDom(json), workspace);
+};
+
+/**
+ * Decode a JSON block and create a block (and possibly sub blocks) on the
+ * workspace.
+ * @param {!Object} json JSON block object.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Blockly.Block} The root block created.
+ */
+Blockly.Json.jsonToBlock = function(json, workspace) {
+  return Blockly.Xml.domToBlock(Blockly.Json.jsonToBlockDom(json), workspace);
+};
+
+/**
+ * Decode a JSON frame and create the frame on the workspace.
+ * @param {!Object} json JSON frame object.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Blockly.Frame} The frame created.
+ */
+Blockly.Json.jsonToFrame = function(json, workspace) {
+  return Blockly.Xml.domToFrame(Blockly.Json.jsonToFrameDom(json), workspace);
+};
+
+/**
+ * Names of the optional attributes on a block element, in the order in which
+ * Blockly.Xml.blockToDom writes them.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Json.BLOCK_ATTRIBUTES_ = ['hidden', 'x', 'y', 'inline', 'collapsed',
+  'disabled', 'deletable', 'movable', 'editable', 'bookmarked'];
+
+/**
+ * Names of the numeric attributes shared by block and workspace comments.
+ * @type {!Array.<string>}
+ * @private
+ */
+Blockly.Json.NUMBER_ATTRIBUTES_ = ['x', 'y', 'w', 'h'];
+
+/**
+ * Convert an attribute string into a boolean or number where it represents
+ * one, so that it reads naturally in JSON.  Anything else is kept as is.
+ * @param {string} value Attribute value.
+ * @return {string|number|boolean} Parsed value.
+ * @private
+ */
+Blockly.Json.parseAttribute_ = function(value) {
+  if (value == 'true' || value == 'false') {
+    return value == 'true';
+  }
+  if (value !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+};
+
+/**
+ * Copy the numeric comment attributes of an element onto a JSON object.
+ * @param {!Element} element XML element.
+ * @param {!Object} json JSON object to write to.
+ * @private
+ */
+Blockly.Json.copyNumberAttributes_ = function(element, json) {
+  Blockly.Json.NUMBER_ATTRIBUTES_.forEach(function(name) {
+    if (element.hasAttribute(name)) {
+      json[name] = Blockly.Json.parseAttribute_(element.getAttribute(name));
+    }
+  });
+};
+
+/**
+ * Copy the numeric comment values of a JSON object onto an element.
+ * @param {!Object} json JSON object.
+ * @param {!Element} element XML element to write to.
+ * @private
+ */
+Blockly.Json.setNumberAttributes_ = function(json, element) {
+  Blockly.Json.NUMBER_ATTRIBUTES_.forEach(function(name) {
+    if (json[name] !== undefined) {
+      element.setAttribute(name, json[name]);
+    }
+  });
+};
+
+/**
+ * Convert a variable XML element into JSON.
+ * @param {!Element} xmlVariable XML variable element.
+ * @return {!Object} JSON object.
+ * @private
+ */
+Blockly.Json.variableDomToJson_ = function(xmlVariable) {
+  // HTML documents lower-case attribute names, XML documents do not.
+  var isCloud = xmlVariable.getAttribute('iscloud') ||
+      xmlVariable.getAttribute('isCloud');
+  return {
+    'name': xmlVariable.textContent,
+    'type': xmlVariable.getAttribute('type'),
+    'id': xmlVariable.getAttribute('id'),
+    'isLocal': xmlVariable.getAttribute('islocal') == 'true',
+    'isCloud': isCloud == 'true'
+  };
+};
+
+/**
+ * Convert a JSON variable into an XML element.
+ * @param {!Object} json JSON variable object.
+ * @return {!Element} XML variable element.
+ * @private
+ */
+Blockly.Json.jsonToVariableDom_ = function(json) {
+  var element = goog.dom.createDom('variable', null, json['name']);
+  element.setAttribute('type', json['type']);
+  element.setAttribute('id', json['id']);
+  element.setAttribute('islocal', !!json['isLocal']);
+  element.setAttribute('isCloud', !!json['isCloud']);
+  return element;
+};
+
+/**
+ * Convert a field XML element into JSON.  Plain fields become their text
+ * value, variable fields become an object describing the variable.
+ * @param {!Element} xmlField XML field element.
+ * @return {string|!Object} JSON value.
+ * @private
+ */
+Blockly.Json.fieldDomToJson_ = function(xmlField) {
+  if (!xmlField.hasAttribute('variabletype') && !xmlField.hasAttribute('id')) {
+    return xmlField.textContent;
+  }
+  return {
+    'name': xmlField.textContent,
+    'id': xmlField.getAttribute('id'),
+    'variableType': xmlField.getAttribute('variabletype')
+  };
+};
+
+/**
+ * Convert a JSON field value into an XML element.
+ * @param {string} name Name of the field.
+ * @param {string|!Object} json JSON value.
+ * @return {!Element} XML field element.
+ * @private
+ */
+Blockly.Json.jsonToFieldDom_ = function(name, json) {
+  var element;
+  if (json !== null && typeof json == 'object') {
+    element = goog.dom.createDom('field', null, json['name']);
+    element.setAttribute('name', name);
+    if (json['id'] !== null && json['id'] !== undefined) {
+      element.setAttribute('id', json['id']);
+    }
+    if (json['variableType'] !== null && json['variableType'] !== undefined) {
+      element.setAttribute('variabletype', json['variableType']);
+    }
+  } else {
+    element = goog.dom.createDom('field', null, String(json));
+    element.setAttribute('name', name);
+  }
+  return element;
+};
+
+/**
+ * Convert a block comment XML element into JSON.
+ * @param {!Element} xmlComment XML comment element inside a block.
+ * @return {!Object} JSON object.
+ * @private
+ */
+Blockly.Json.blockCommentDomToJson_ = function(xmlComment) {
+  var json = Blockly.Json.commentDomToJson(xmlComment);
+  if (xmlComment.hasAttribute('pinned')) {
+    json['pinned'] = xmlComment.getAttribute('pinned') == 'true';
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON block comment into an XML element.
+ * @param {!Object} json JSON comment object.
+ * @return {!Element} XML comment element.
+ * @private
+ */
+Blockly.Json.jsonToBlockCommentDom_ = function(json) {
+  var element = Blockly.Json.jsonToCommentDom(json);
+  if (json['pinned'] !== undefined) {
+    element.setAttribute('pinned', json['pinned']);
+  }
+  return element;
+};
+
+/**
+ * Convert a value, statement or next container into JSON.
+ * @param {!Element} xmlContainer XML container element.
+ * @return {!Object} JSON object with optional shadow and block entries.
+ * @private
+ */
+Blockly.Json.connectionDomToJson_ = function(xmlContainer) {
+  var json = {};
+  for (var i = 0, xmlChild; xmlChild = xmlContainer.children[i]; i++) {
+    var tagName = xmlChild.nodeName.toLowerCase();
+    if (tagName == 'shadow' || tagName == 'block') {
+      json[tagName] = Blockly.Json.blockDomToJson(xmlChild);
+    }
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON connection into a container XML element.
+ * @param {string} tagName One of 'value', 'statement' or 'next'.
+ * @param {!Object} json JSON object with optional shadow and block entries.
+ * @return {!Element} XML container element.
+ * @private
+ */
+Blockly.Json.jsonToConnectionDom_ = function(tagName, json) {
+  var container = goog.dom.createDom(tagName);
+  if (json['shadow']) {
+    container.appendChild(Blockly.Json.jsonToBlockDom(json['shadow']));
+  }
+  if (json['block']) {
+    container.appendChild(Blockly.Json.jsonToBlockDom(json['block']));
+  }
+  return container;
+};
+
+/**
+ * Convert an arbitrary XML element, such as a mutation, into JSON.  Attribute
+ * values are kept as strings since their meaning is up to the block.
+ * @param {!Element} element XML element.
+ * @return {!Object} JSON object.
+ * @private
+ */
+Blockly.Json.elementToJson_ = function(element) {
+  var json = {'tagName': element.nodeName.toLowerCase()};
+  if (element.attributes.length) {
+    json['attributes'] = {};
+    for (var i = 0, attribute; attribute = element.attributes[i]; i++) {
+      json['attributes'][attribute.name] = attribute.value;
+    }
+  }
+  if (element.children.length) {
+    json['children'] = [];
+    for (var i = 0, child; child = element.children[i]; i++) {
+      json['children'].push(Blockly.Json.elementToJson_(child));
+    }
+  } else if (element.textContent) {
+    json['text'] = element.textContent;
+  }
+  return json;
+};
+
+/**
+ * Convert a JSON object produced by Blockly.Json.elementToJson_ back into an
+ * XML element.
+ * @param {!Object} json JSON object.
+ * @param {string} defaultTagName Tag name to use if the JSON omits one.
+ * @return {!Element} XML element.
+ * @private
+ */
+Blockly.Json.jsonToElement_ = function(json, defaultTagName) {
+  var element = goog.dom.createDom(json['tagName'] || defaultTagName);
+  var attributes = json['attributes'] || {};
+  Object.keys(attributes).forEach(function(name) {
+    element.setAttribute(name, attributes[name]);
+  });
+  (json['children'] || []).forEach(function(child) {
+    element.appendChild(Blockly.Json.jsonToElement_(child, defaultTagName));
+  });
+  if (json['text'] !== undefined) {
+    element.textContent = json['text'];
+  }
+  return element;
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['Json']) {
+  goog.global['Blockly']['Json'] = {};
+}
+goog.global['Blockly']['Json']['workspaceToJson'] = Blockly.Json.workspaceToJson;
+goog.global['Blockly']['Json']['blockToJson'] = Blockly.Json.blockToJson;
+goog.global['Blockly']['Json']['frameToJson'] = Blockly.Json.frameToJson;
+goog.global['Blockly']['Json']['domToJson'] = Blockly.Json.domToJson;
+goog.global['Blockly']['Json']['jsonToDom'] = Blockly.Json.jsonToDom;
+goog.global['Blockly']['Json']['jsonToWorkspace'] = Blockly.Json.jsonToWorkspace;
+goog.global['Blockly']['Json']['jsonToBlock'] = Blockly.Json.jsonToBlock;
+goog.global['Blockly']['Json']['clearWorkspaceAndLoadFromJson'] =
+    Blockly.Json.clearWorkspaceAndLoadFromJson;
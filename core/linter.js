@@ -0,0 +1,430 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Lint engine for the scripts of a workspace.  Rules are
+ * registered once and can be turned off per project; the issues they find are
+ * shown as block warnings and summarised for the rest of the editor.
+ */
+'use strict';
+
+goog.provide('Blockly.Linter');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.constants');
+
+
+/**
+ * Class for a linter of the scripts of a workspace.  It lints the workspace
+ * again whenever the workspace changes.
+ * @param {!Blockly.Workspace} workspace The workspace to lint.
+ * @param {Object=} opt_options Dictionary of options: 'rules', a map from rule
+ *     ids to whether they are on (rules are on unless turned off), and
+ *     'onChange', a function called with the issues after every lint.
+ * @constructor
+ */
+Blockly.Linter = function(workspace, opt_options) {
+  var options = opt_options || {};
+  this.workspace_ = workspace;
+
+  /**
+   * Which rules are turned on or off, keyed by rule id.
+   * @type {!Object.<string, boolean>}
+   * @private
+   */
+  this.config_ = Object.assign({}, options['rules']);
+
+  /**
+   * Function called with the issues after every lint.
+   * @type {?function(!Array.<!Blockly.Linter.Issue>)}
+   * @private
+   */
+  this.onChange_ = options['onChange'] || null;
+
+  /**
+   * Issues found by the last lint.
+   * @type {!Array.<!Blockly.Linter.Issue>}
+   * @private
+   */
+  this.issues_ = [];
+
+  /**
+   * Warning texts shown on blocks, keyed by block id.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.warnings_ = Object.create(null);
+
+  /**
+   * PID of the pending lint, if any.
+   * @type {number}
+   * @private
+   */
+  this.pid_ = 0;
+
+  this.changeListener_ = workspace.addChangeListener(
+      this.onWorkspaceChange_.bind(this));
+  this.run();
+};
+
+/**
+ * An issue found by a rule.  Issues are about a block or about a variable.
+ * @typedef {{
+ *   rule: string,
+ *   message: string,
+ *   blockId: (string|undefined),
+ *   variableId: (string|undefined)
+ * }}
+ */
+Blockly.Linter.Issue;
+
+/**
+ * Time to wait after a change before linting, in ms, so that a burst of
+ * changes is linted once.
+ * @type {number}
+ */
+Blockly.Linter.DELAY = 100;
+
+/**
+ * Id of the block warnings shown by the linter, so that they do not replace
+ * other warnings of the block.
+ * @type {string}
+ */
+Blockly.Linter.WARNING_ID = 'lint';
+
+/**
+ * Registered rules, keyed by id.  A rule is a function that takes a
+ * workspace and returns the issues it finds, without their rule.
+ * @type {!Object.<string, function(!Blockly.Workspace):
+ *     !Array.<!Object>>}
+ * @private
+ */
+Blockly.Linter.rules_ = Object.create(null);
+
+/**
+ * Register a lint rule.
+ * @param {string} id Id of the rule, used to turn it off.
+ * @param {function(!Blockly.Workspace): !Array.<!Object>} check Function
+ *     that returns the issues of a workspace, each with a message and the id
+ *     of a block or a variable.
+ * @throws {Error} if a rule with the same id is already registered.
+ */
+Blockly.Linter.registerRule = function(id, check) {
+  if (Blockly.Linter.rules_[id]) {
+    throw Error('Lint rule "' + id + '" is already registered.');
+  }
+  Blockly.Linter.rules_[id] = check;
+};
+
+/**
+ * Unregister a lint rule.
+ * @param {string} id Id of the rule.
+ */
+Blockly.Linter.unregisterRule = function(id) {
+  delete Blockly.Linter.rules_[id];
+};
+
+/**
+ * Get the ids of the registered rules.
+ * @return {!Array.<string>} Ids of the rules.
+ */
+Blockly.Linter.getRuleIds = function() {
+  return Object.keys(Blockly.Linter.rules_);
+};
+
+/**
+ * Stop linting the workspace and remove the warnings of the linter.
+ */
+Blockly.Linter.prototype.dispose = function() {
+  clearTimeout(this.pid_);
+  this.workspace_.removeChangeListener(this.changeListener_);
+  this.issues_ = [];
+  this.showWarnings_();
+  this.workspace_ = null;
+};
+
+/**
+ * Whether a rule is turned on for this project.
+ * @param {string} id Id of the rule.
+ * @return {boolean} True if the rule is on.
+ */
+Blockly.Linter.prototype.isRuleEnabled = function(id) {
+  return this.config_[id] !== false;
+};
+
+/**
+ * Turn a rule on or off for this project, and lint again.
+ * @param {string} id Id of the rule.
+ * @param {boolean} enabled True to turn the rule on.
+ */
+Blockly.Linter.prototype.setRuleEnabled = function(id, enabled) {
+  this.config_[id] = enabled;
+  this.run();
+};
+
+/**
+ * Get the rule settings of this project, to save with it.
+ * @return {!Object.<string, boolean>} Whether each registered rule is on,
+ *     keyed by rule id.
+ */
+Blockly.Linter.prototype.getConfig = function() {
+  var config = {};
+  Blockly.Linter.getRuleIds().forEach(function(id) {
+    config[id] = this.isRuleEnabled(id);
+  }, this);
+  return config;
+};
+
+/**
+ * Replace the rule settings of this project, and lint again.
+ * @param {!Object.<string, boolean>} config Whether rules are on, keyed by
+ *     rule id.  Rules left out are on.
+ */
+Blockly.Linter.prototype.setConfig = function(config) {
+  this.config_ = Object.assign({}, config);
+  this.run();
+};
+
+/**
+ * Get the issues found by the last lint.
+ * @return {!Array.<!Blockly.Linter.Issue>} The issues.
+ */
+Blockly.Linter.prototype.getIssues = function() {
+  return this.issues_.slice();
+};
+
+/**
+ * Count the issues found by the last lint.
+ * @return {{total: number, rules: !Object.<string, number>}} The number of
+ *     issues, in all and for each rule that found some.
+ */
+Blockly.Linter.prototype.getSummary = function() {
+  var rules = {};
+  this.issues_.forEach(function(issue) {
+    rules[issue.rule] = (rules[issue.rule] || 0) + 1;
+  });
+  return {
+    total: this.issues_.length,
+    rules: rules
+  };
+};
+
+/**
+ * Lint the workspace soon after it changes.
+ * @param {!Blockly.Events.Abstract} e Change event.
+ * @private
+ */
+Blockly.Linter.prototype.onWorkspaceChange_ = function(e) {
+  if (e.type == Blockly.Events.UI) {
+    return;
+  }
+  clearTimeout(this.pid_);
+  this.pid_ = setTimeout(this.run.bind(this), Blockly.Linter.DELAY);
+};
+
+/**
+ * Lint the workspace now.
+ * @return {!Array.<!Blockly.Linter.Issue>} The issues found.
+ */
+Blockly.Linter.prototype.run = function() {
+  clearTimeout(this.pid_);
+  if (!this.workspace_) {
+    return [];  // Disposed.
+  }
+  var issues = [];
+  Blockly.Linter.getRuleIds().forEach(function(id) {
+    if (!this.isRuleEnabled(id)) {
+      return;
+    }
+    Blockly.Linter.rules_[id](this.workspace_).forEach(function(issue) {
+      issue.rule = id;
+      issues.push(issue);
+    });
+  }, this);
+  this.issues_ = issues;
+  this.showWarnings_();
+  if (this.onChange_) {
+    this.onChange_(this.getIssues());
+  }
+  return this.getIssues();
+};
+
+/**
+ * Show the issues about blocks as warnings on the blocks, and remove the
+ * warnings of issues that are gone.
+ * @private
+ */
+Blockly.Linter.prototype.showWarnings_ = function() {
+  var workspace = this.workspace_;
+  if (!workspace.rendered) {
+    return;
+  }
+  var warnings = Object.create(null);
+  this.issues_.forEach(function(issue) {
+    if (issue.blockId) {
+      warnings[issue.blockId] = warnings[issue.blockId] ?
+          warnings[issue.blockId] + '\n' + issue.message : issue.message;
+    }
+  });
+  var id;
+  var block;
+  for (id in this.warnings_) {
+    block = workspace.getBlockById(id);
+    if (block && !warnings[id]) {
+      block.setWarningText(null, Blockly.Linter.WARNING_ID);
+    }
+  }
+  for (id in warnings) {
+    block = workspace.getBlockById(id);
+    if (block && warnings[id] != this.warnings_[id]) {
+      block.setWarningText(warnings[id], Blockly.Linter.WARNING_ID);
+    }
+  }
+  this.warnings_ = warnings;
+};
+
+/**
+ * Get the blocks of a workspace that are not shadows.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Blockly.Block>} The blocks.
+ * @private
+ */
+Blockly.Linter.getBlocks_ = function(workspace) {
+  return workspace.getAllBlocks().filter(function(block) {
+    return !block.isShadow();
+  });
+};
+
+/**
+ * Get the broadcast message chosen in a broadcast block or hat.
+ * @param {!Blockly.Block} block The block.
+ * @return {?string} The id of the message, or null if it is computed.
+ * @private
+ */
+Blockly.Linter.getBroadcastId_ = function(block) {
+  var menu = block.getInput('BROADCAST_INPUT') ?
+      block.getInputTargetBlock('BROADCAST_INPUT') : block;
+  var field = menu && menu.getField('BROADCAST_OPTION');
+  return field ? field.getValue() : null;
+};
+
+// Reporters that are not plugged into anything are never run.
+Blockly.Linter.registerRule('orphan-reporter', function(workspace) {
+  return workspace.getTopBlocks(false).filter(function(block) {
+    return block.outputConnection && !block.isShadow();
+  }).map(function(block) {
+    return {message: Blockly.Msg.LINT_ORPHAN_REPORTER, blockId: block.id};
+  });
+});
+
+// Stacks only run when a hat starts them.
+Blockly.Linter.registerRule('hatless-stack', function(workspace) {
+  return workspace.getTopBlocks(false).filter(function(block) {
+    return block.previousConnection && !block.isShadow();
+  }).map(function(block) {
+    return {message: Blockly.Msg.LINT_HATLESS_STACK, blockId: block.id};
+  });
+});
+
+// Variables and lists for all sprites may be used by other sprites, so only
+// those of this sprite are checked.
+Blockly.Linter.registerRule('unused-variable', function(workspace) {
+  var variables = workspace.getVariablesOfType('').concat(
+      workspace.getVariablesOfType(Blockly.LIST_VARIABLE_TYPE));
+  return variables.filter(function(variable) {
+    return variable.isLocal &&
+        !workspace.getVariableUsesById(variable.getId()).length;
+  }).map(function(variable) {
+    var message = variable.type == Blockly.LIST_VARIABLE_TYPE ?
+        Blockly.Msg.LINT_UNUSED_LIST : Blockly.Msg.LINT_UNUSED_VARIABLE;
+    return {
+      message: message.replace('%1', variable.name),
+      variableId: variable.getId()
+    };
+  });
+});
+
+Blockly.Linter.registerRule('missing-procedure', function(workspace) {
+  var defined = Object.create(null);
+  // Prototypes are shadows in their definitions.
+  workspace.getAllBlocks().forEach(function(block) {
+    if (block.type == Blockly.PROCEDURES_PROTOTYPE_BLOCK_TYPE) {
+      defined[block.getProcCode()] = true;
+    }
+  });
+  return Blockly.Linter.getBlocks_(workspace).filter(function(block) {
+    if (block.type != Blockly.PROCEDURES_CALL_BLOCK_TYPE &&
+        block.type != Blockly.PROCEDURES_CALL_WITH_RETURN_BLOCK_TYPE) {
+      return false;
+    }
+    var procCode = block.getProcCode();
+    return !defined[procCode] && !workspace.globalProcedureMap_
+        .getProcedureMutationByProccode(procCode);
+  }).map(function(block) {
+    return {
+      message: Blockly.Msg.LINT_MISSING_PROCEDURE
+          .replace('%1', block.getProcCode()),
+      blockId: block.id
+    };
+  });
+});
+
+Blockly.Linter.registerRule('empty-if', function(workspace) {
+  return Blockly.Linter.getBlocks_(workspace).filter(function(block) {
+    if (block.type == 'control_if') {
+      return !block.getInputTargetBlock('SUBSTACK');
+    }
+    if (block.type == 'control_if_else') {
+      return !block.getInputTargetBlock('SUBSTACK') &&
+          !block.getInputTargetBlock('SUBSTACK2');
+    }
+    return false;
+  }).map(function(block) {
+    return {message: Blockly.Msg.LINT_EMPTY_IF, blockId: block.id};
+  });
+});
+
+// Only the hats of this workspace are checked: projects that broadcast to
+// other sprites can turn this rule off.
+Blockly.Linter.registerRule('unreceived-broadcast', function(workspace) {
+  var blocks = Blockly.Linter.getBlocks_(workspace);
+  var received = Object.create(null);
+  blocks.forEach(function(block) {
+    if (block.type == 'event_whenbroadcastreceived') {
+      received[Blockly.Linter.getBroadcastId_(block)] = true;
+    }
+  });
+  return blocks.filter(function(block) {
+    if (block.type != 'event_broadcast' &&
+        block.type != 'event_broadcastandwait') {
+      return false;
+    }
+    var id = Blockly.Linter.getBroadcastId_(block);
+    return id && !received[id];
+  }).map(function(block) {
+    var variable = workspace.getVariableById(
+        Blockly.Linter.getBroadcastId_(block));
+    return {
+      message: Blockly.Msg.LINT_UNRECEIVED_BROADCAST
+          .replace('%1', variable ? variable.name : ''),
+      blockId: block.id
+    };
+  });
+});
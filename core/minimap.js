@@ -0,0 +1,441 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Object representing a minimap: a scaled overview of the
+ * stacks, frames and comments of a workspace with the visible area drawn on
+ * top.  Clicking or dragging in the minimap scrolls the workspace.
+ */
+'use strict';
+
+goog.provide('Blockly.Minimap');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Touch');
+goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * Class for a minimap.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to sit in.
+ * @constructor
+ */
+Blockly.Minimap = function(workspace) {
+  this.workspace_ = workspace;
+  this.width_ = workspace.options.minimapOptions.width;
+  this.height_ = workspace.options.minimapOptions.height;
+};
+
+/**
+ * Distance between the minimap and the bottom edge of the workspace.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.MARGIN_BOTTOM_ = 12;
+
+/**
+ * Distance between the minimap and the side edge of the workspace.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.MARGIN_SIDE_ = 12;
+
+/**
+ * Space around the overview inside the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.PADDING_ = 6;
+
+/**
+ * The SVG group containing the minimap.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.svgGroup_ = null;
+
+/**
+ * The group holding the scaled workspace contents.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.contentGroup_ = null;
+
+/**
+ * The rectangle showing the visible area of the workspace.
+ * @type {Element}
+ * @private
+ */
+Blockly.Minimap.prototype.viewport_ = null;
+
+/**
+ * The transform from workspace coordinates to minimap coordinates used by
+ * the last render.
+ * @type {?{scale: number, x: number, y: number}}
+ * @private
+ */
+Blockly.Minimap.prototype.transform_ = null;
+
+/**
+ * Id of the pending animation frame for a render.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.renderPid_ = 0;
+
+/**
+ * Left coordinate of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.left_ = 0;
+
+/**
+ * Top coordinate of the minimap.
+ * @type {number}
+ * @private
+ */
+Blockly.Minimap.prototype.top_ = 0;
+
+/**
+ * Create the minimap.
+ * @return {!Element} The minimap SVG group.
+ */
+Blockly.Minimap.prototype.createDom = function() {
+  /* This markup will be generated:
+    <g class="blocklyMinimap">
+      <rect class="blocklyMinimapBackground"/>
+      <g></g>
+      <rect class="blocklyMinimapViewport"/>
+    </g>
+  */
+  this.svgGroup_ =
+      Blockly.utils.createSvgElement('g', {'class': 'blocklyMinimap'}, null);
+  this.background_ = Blockly.utils.createSvgElement('rect',
+      {
+        'class': 'blocklyMinimapBackground',
+        'width': this.width_,
+        'height': this.height_,
+        'rx': 4,
+        'ry': 4
+      },
+      this.svgGroup_);
+  this.contentGroup_ = Blockly.utils.createSvgElement('g', {}, this.svgGroup_);
+  this.viewport_ = Blockly.utils.createSvgElement('rect',
+      {'class': 'blocklyMinimapViewport'}, this.svgGroup_);
+
+  this.mouseDownWrapper_ = Blockly.bindEventWithChecks_(this.svgGroup_,
+      'mousedown', this, this.onMouseDown_);
+  this.changeWrapper_ = this.workspace_.addChangeListener(
+      this.onChange_.bind(this));
+  return this.svgGroup_;
+};
+
+/**
+ * Initialize the minimap.
+ * @param {number} bottom Distance from workspace bottom to bottom of minimap.
+ * @return {number} Distance from workspace bottom to the top of minimap.
+ */
+Blockly.Minimap.prototype.init = function(bottom) {
+  this.bottom_ = this.MARGIN_BOTTOM_ + bottom;
+  return this.bottom_ + this.height_;
+};
+
+/**
+ * Dispose of this minimap.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.Minimap.prototype.dispose = function() {
+  this.cancelRender_();
+  this.unbindDragEvents_();
+  if (this.mouseDownWrapper_) {
+    Blockly.unbindEvent_(this.mouseDownWrapper_);
+    this.mouseDownWrapper_ = null;
+  }
+  if (this.changeWrapper_) {
+    this.workspace_.removeChangeListener(this.changeWrapper_);
+    this.changeWrapper_ = null;
+  }
+  if (this.svgGroup_) {
+    goog.dom.removeNode(this.svgGroup_);
+    this.svgGroup_ = null;
+  }
+  this.contentGroup_ = null;
+  this.viewport_ = null;
+  this.workspace_ = null;
+};
+
+/**
+ * Move the minimap to the bottom corner, on the same side as the zoom
+ * controls.
+ */
+Blockly.Minimap.prototype.position = function() {
+  var metrics = this.workspace_.getMetrics();
+  if (!metrics) {
+    // There are no metrics available (workspace is probably not visible).
+    return;
+  }
+  if (this.workspace_.RTL) {
+    this.left_ = this.MARGIN_SIDE_ + Blockly.Scrollbar.scrollbarThickness;
+    if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_LEFT) {
+      this.left_ += metrics.flyoutWidth;
+      if (this.workspace_.toolbox_) {
+        this.left_ += metrics.absoluteLeft;
+      }
+    }
+  } else {
+    this.left_ = metrics.viewWidth + metrics.absoluteLeft -
+        this.width_ - this.MARGIN_SIDE_ - Blockly.Scrollbar.scrollbarThickness;
+    if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_RIGHT) {
+      this.left_ -= metrics.flyoutWidth;
+    }
+  }
+  this.top_ = metrics.viewHeight + metrics.absoluteTop -
+      this.height_ - this.bottom_;
+  if (metrics.toolboxPosition == Blockly.TOOLBOX_AT_BOTTOM) {
+    this.top_ -= metrics.flyoutHeight;
+  }
+  this.svgGroup_.setAttribute('transform',
+      'translate(' + this.left_ + ',' + this.top_ + ')');
+  this.render();
+};
+
+/**
+ * Render the minimap on the next animation frame.  Several calls in a row
+ * only render once.
+ */
+Blockly.Minimap.prototype.queueRender = function() {
+  if (this.renderPid_) {
+    return;
+  }
+  var minimap = this;
+  this.renderPid_ = requestAnimationFrame(function() {
+    minimap.renderPid_ = 0;
+    minimap.render();
+  });
+};
+
+/**
+ * Cancel a queued render.
+ * @private
+ */
+Blockly.Minimap.prototype.cancelRender_ = function() {
+  if (this.renderPid_) {
+    cancelAnimationFrame(this.renderPid_);
+    this.renderPid_ = 0;
+  }
+};
+
+/**
+ * Redraw the overview and the visible area.
+ */
+Blockly.Minimap.prototype.render = function() {
+  this.cancelRender_();
+  var workspace = this.workspace_;
+  var metrics = workspace && workspace.getMetrics();
+  if (!metrics) {
+    return;
+  }
+  var scale = workspace.scale;
+  var view = {
+    x: metrics.viewLeft / scale,
+    y: metrics.viewTop / scale,
+    width: metrics.viewWidth / scale,
+    height: metrics.viewHeight / scale
+  };
+  // Fit both the contents and the visible area, so that the viewport
+  // rectangle never leaves the minimap.
+  var content = workspace.getBlocksBoundingBox();
+  var left = view.x;
+  var top = view.y;
+  var right = view.x + view.width;
+  var bottom = view.y + view.height;
+  if (content.width || content.height) {
+    left = Math.min(left, content.x);
+    top = Math.min(top, content.y);
+    right = Math.max(right, content.x + content.width);
+    bottom = Math.max(bottom, content.y + content.height);
+  }
+  var padding = this.PADDING_;
+  var mapScale = Math.min((this.width_ - 2 * padding) / (right - left),
+      (this.height_ - 2 * padding) / (bottom - top));
+  // Center the overview in the minimap.
+  this.transform_ = {
+    scale: mapScale,
+    x: (this.width_ - (right - left) * mapScale) / 2 - left * mapScale,
+    y: (this.height_ - (bottom - top) * mapScale) / 2 - top * mapScale
+  };
+
+  goog.dom.removeChildren(this.contentGroup_);
+  this.renderElements_();
+  this.setRect_(this.viewport_, view.x, view.y, view.width, view.height);
+};
+
+/**
+ * Draw the frames, comments and stacks of the workspace.
+ * @private
+ */
+Blockly.Minimap.prototype.renderElements_ = function() {
+  var workspace = this.workspace_;
+  var frames = workspace.getTopFrames(false);
+  for (var i = 0, frame; frame = frames[i]; i++) {
+    if (frame.isInCollapsedFrame()) {
+      continue;
+    }
+    this.drawElement_(frame, {
+      'class': 'blocklyMinimapFrame',
+      'fill': 'rgba(' + frame.color + ', 0.2)',
+      'stroke': 'rgb(' + frame.color + ')'
+    });
+  }
+  var comments = workspace.getTopComments(false);
+  for (var i = 0, comment; comment = comments[i]; i++) {
+    if (comment.block_ && comment.block_.hidden) {
+      continue;
+    }
+    this.drawElement_(comment, {'class': 'blocklyMinimapComment'});
+  }
+  var blocks = workspace.getTopBlocks(false);
+  for (var i = 0, block; block = blocks[i]; i++) {
+    var frame = block.getSelfFrame();
+    if (block.hidden || block.isInsertionMarker() ||
+        (frame && (frame.isCollapsed || frame.isInCollapsedFrame()))) {
+      continue;
+    }
+    this.drawElement_(block, {
+      'class': 'blocklyMinimapBlock',
+      'fill': block.getColour()
+    });
+  }
+};
+
+/**
+ * Draw the bounding rectangle of a workspace element.
+ * @param {!(Blockly.BlockSvg|Blockly.Frame|Blockly.WorkspaceCommentSvg)}
+ *     element The element to draw.
+ * @param {!Object} attributes Attributes of the new rectangle.
+ * @private
+ */
+Blockly.Minimap.prototype.drawElement_ = function(element, attributes) {
+  var box = element.getBoundingRectangle();
+  var rect = Blockly.utils.createSvgElement('rect', attributes,
+      this.contentGroup_);
+  this.setRect_(rect, box.topLeft.x, box.topLeft.y,
+      box.bottomRight.x - box.topLeft.x, box.bottomRight.y - box.topLeft.y);
+};
+
+/**
+ * Place a rectangle over an area of the workspace.
+ * @param {!Element} rect The rectangle.
+ * @param {number} x Left edge of the area, in workspace units.
+ * @param {number} y Top edge of the area, in workspace units.
+ * @param {number} width Width of the area, in workspace units.
+ * @param {number} height Height of the area, in workspace units.
+ * @private
+ */
+Blockly.Minimap.prototype.setRect_ = function(rect, x, y, width, height) {
+  var transform = this.transform_;
+  rect.setAttribute('x', x * transform.scale + transform.x);
+  rect.setAttribute('y', y * transform.scale + transform.y);
+  // Keep tiny stacks visible.
+  rect.setAttribute('width', Math.max(width * transform.scale, 1));
+  rect.setAttribute('height', Math.max(height * transform.scale, 1));
+};
+
+/**
+ * Convert a mouse position to workspace coordinates.
+ * @param {!Event} e Mouse event.
+ * @return {!goog.math.Coordinate} The workspace coordinates under the mouse.
+ * @private
+ */
+Blockly.Minimap.prototype.mouseToWorkspace_ = function(e) {
+  var bBox = this.background_.getBoundingClientRect();
+  var transform = this.transform_;
+  return new goog.math.Coordinate(
+      (e.clientX - bBox.left - transform.x) / transform.scale,
+      (e.clientY - bBox.top - transform.y) / transform.scale);
+};
+
+/**
+ * Scroll the workspace so that the point under the mouse is in the middle.
+ * @param {!Event} e Mouse event.
+ * @private
+ */
+Blockly.Minimap.prototype.scrollToMouse_ = function(e) {
+  if (!this.transform_ || !this.workspace_.scrollbar) {
+    return;
+  }
+  var xy = this.mouseToWorkspace_(e);
+  this.workspace_.scrollCenterTo(xy.x, xy.y);
+};
+
+/**
+ * Start scrolling the workspace when the minimap is pressed.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.Minimap.prototype.onMouseDown_ = function(e) {
+  this.workspace_.markFocused();
+  Blockly.hideChaff();
+  this.scrollToMouse_(e);
+  this.unbindDragEvents_();
+  this.mouseMoveWrapper_ = Blockly.bindEventWithChecks_(document, 'mousemove',
+      this, this.scrollToMouse_);
+  this.mouseUpWrapper_ = Blockly.bindEventWithChecks_(document, 'mouseup',
+      this, this.onMouseUp_);
+  e.stopPropagation();  // Don't start a workspace scroll.
+  e.preventDefault();  // Stop double-clicking from selecting text.
+};
+
+/**
+ * Stop scrolling the workspace when the mouse is released.
+ * @private
+ */
+Blockly.Minimap.prototype.onMouseUp_ = function() {
+  this.unbindDragEvents_();
+  Blockly.Touch.clearTouchIdentifier();  // Don't block future drags.
+};
+
+/**
+ * Stop listening to the mouse moving over the document.
+ * @private
+ */
+Blockly.Minimap.prototype.unbindDragEvents_ = function() {
+  if (this.mouseMoveWrapper_) {
+    Blockly.unbindEvent_(this.mouseMoveWrapper_);
+    this.mouseMoveWrapper_ = null;
+  }
+  if (this.mouseUpWrapper_) {
+    Blockly.unbindEvent_(this.mouseUpWrapper_);
+    this.mouseUpWrapper_ = null;
+  }
+};
+
+/**
+ * Redraw when the contents of the workspace change.
+ * @param {!Blockly.Events.Abstract} e Change event.
+ * @private
+ */
+Blockly.Minimap.prototype.onChange_ = function(e) {
+  if (e.type != Blockly.Events.UI) {
+    this.queueRender();
+  }
+};
@@ -0,0 +1,633 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Keyboard navigation and editing of the main workspace.
+ *
+ * In the workspace, the arrow keys move the cursor through the navigation
+ * tree (up/down between siblings, right into a node and left out of it),
+ * enter edits the field under the cursor or marks/connects blocks and
+ * connections, X disconnects the block under the cursor and T moves the
+ * cursor into the flyout.  In the flyout, up/down move between blocks,
+ * left/right jump between categories, enter inserts the block at the marked
+ * connection (or in the middle of the workspace) and escape goes back.
+ */
+'use strict';
+
+/**
+ * @name Blockly.navigation
+ * @namespace
+ */
+goog.provide('Blockly.navigation');
+
+goog.require('Blockly.ASTNode');
+goog.require('Blockly.Cursor');
+goog.require('Blockly.DropDownDiv');
+goog.require('Blockly.Events');
+goog.require('Blockly.WidgetDiv');
+
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * The cursor is in the main workspace.
+ * @type {number}
+ * @const
+ */
+Blockly.navigation.STATE_WS = 1;
+
+/**
+ * The cursor is in the flyout.
+ * @type {number}
+ * @const
+ */
+Blockly.navigation.STATE_FLYOUT = 2;
+
+/**
+ * Whether keyboard navigation is turned on.
+ * @type {boolean}
+ * @private
+ */
+Blockly.navigation.enabled_ = false;
+
+/**
+ * The current navigation state.
+ * @type {number}
+ * @private
+ */
+Blockly.navigation.state_ = Blockly.navigation.STATE_WS;
+
+/**
+ * The workspace being navigated.
+ * @type {Blockly.WorkspaceSvg}
+ * @private
+ */
+Blockly.navigation.workspace_ = null;
+
+/**
+ * The cursor moved by the arrow keys.
+ * @type {!Blockly.Cursor}
+ * @private
+ */
+Blockly.navigation.cursor_ = new Blockly.Cursor();
+
+/**
+ * The block or connection marked as the source or target of a connection.
+ * @type {!Blockly.Cursor}
+ * @private
+ */
+Blockly.navigation.marker_ = new Blockly.Cursor('blocklyMarker');
+
+/**
+ * The cursor moved through the flyout's blocks.
+ * @type {!Blockly.Cursor}
+ * @private
+ */
+Blockly.navigation.flyoutCursor_ = new Blockly.Cursor();
+
+/**
+ * Turn keyboard navigation on for a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to navigate.
+ */
+Blockly.navigation.enable = function(workspace) {
+  var navigation = Blockly.navigation;
+  navigation.enabled_ = true;
+  navigation.workspace_ = workspace;
+  navigation.state_ = navigation.STATE_WS;
+  var stacks = Blockly.ASTNode.getStacks(workspace);
+  navigation.setCursor_(stacks.length ?
+      Blockly.ASTNode.createStackNode(stacks[0]) :
+      navigation.getWorkspaceNode_());
+};
+
+/**
+ * Turn keyboard navigation off and hide the cursors.
+ */
+Blockly.navigation.disable = function() {
+  var navigation = Blockly.navigation;
+  navigation.enabled_ = false;
+  navigation.cursor_.dispose();
+  navigation.marker_.dispose();
+  navigation.flyoutCursor_.dispose();
+  navigation.workspace_ = null;
+};
+
+/**
+ * Whether keyboard navigation is turned on.
+ * @return {boolean} True if it is on.
+ */
+Blockly.navigation.isEnabled = function() {
+  return Blockly.navigation.enabled_;
+};
+
+/**
+ * Get the workspace cursor.
+ * @return {!Blockly.Cursor} The cursor.
+ */
+Blockly.navigation.getCursor = function() {
+  return Blockly.navigation.cursor_;
+};
+
+/**
+ * Get the cursor moved through the flyout's blocks.
+ * @return {!Blockly.Cursor} The cursor.
+ */
+Blockly.navigation.getFlyoutCursor = function() {
+  return Blockly.navigation.flyoutCursor_;
+};
+
+/**
+ * Get the marker used to connect blocks.
+ * @return {!Blockly.Cursor} The marker.
+ */
+Blockly.navigation.getMarker = function() {
+  return Blockly.navigation.marker_;
+};
+
+/**
+ * Handle a key down on the document.  Ctrl/cmd+shift+K turns navigation on
+ * and off; other keys are only handled while it is on.
+ * @param {!Event} e Key down event.
+ * @param {!Blockly.WorkspaceSvg} workspace The main workspace.
+ * @return {boolean} True if the key was handled.
+ */
+Blockly.navigation.onKeyPress = function(e, workspace) {
+  var navigation = Blockly.navigation;
+  if (e.keyCode == 75 && e.shiftKey && (e.ctrlKey || e.metaKey)) {
+    if (navigation.enabled_) {
+      navigation.disable();
+    } else {
+      navigation.enable(workspace);
+    }
+    return true;
+  }
+  if (!navigation.enabled_ || e.ctrlKey || e.metaKey || e.altKey ||
+      workspace.isDragging() || Blockly.DropDownDiv.isVisible() ||
+      Blockly.WidgetDiv.isVisible()) {
+    return false;
+  }
+  if (navigation.workspace_ != workspace) {
+    navigation.enable(workspace);
+  }
+  if (navigation.state_ == navigation.STATE_FLYOUT) {
+    return navigation.onFlyoutKeyPress_(e);
+  }
+  return navigation.onWorkspaceKeyPress_(e);
+};
+
+/**
+ * Handle a key down while the cursor is in the workspace.
+ * @param {!Event} e Key down event.
+ * @return {boolean} True if the key was handled.
+ * @private
+ */
+Blockly.navigation.onWorkspaceKeyPress_ = function(e) {
+  var navigation = Blockly.navigation;
+  var cursor = navigation.cursor_;
+  var node = cursor.getCurNode();
+  var block = node && node.getSourceBlock();
+  if (!node || (block && !block.workspace)) {
+    // Start over if the block under the cursor was deleted.
+    navigation.setCursor_(navigation.getWorkspaceNode_());
+  }
+  var rtl = navigation.workspace_.RTL;
+  switch (e.keyCode) {
+    case 38:  // Up.
+      navigation.setCursor_(cursor.getCurNode().prev());
+      return true;
+    case 40:  // Down.
+      navigation.setCursor_(cursor.getCurNode().next());
+      return true;
+    case 37:  // Left.
+      navigation.setCursor_(rtl ? cursor.getCurNode().in() :
+          cursor.getCurNode().out());
+      return true;
+    case 39:  // Right.
+      navigation.setCursor_(rtl ? cursor.getCurNode().out() :
+          cursor.getCurNode().in());
+      return true;
+    case 13:  // Enter.
+    case 32:  // Space.
+      navigation.handleEnter_();
+      return true;
+    case 88:  // X.
+      navigation.disconnect_();
+      return true;
+    case 84:  // T.
+      navigation.focusFlyout();
+      return true;
+    case 27:  // Escape.
+      navigation.marker_.setLocation(null);
+      // Let escape also close menus.
+      return false;
+  }
+  return false;
+};
+
+/**
+ * Handle a key down while the cursor is in the flyout.
+ * @param {!Event} e Key down event.
+ * @return {boolean} True if the key was handled.
+ * @private
+ */
+Blockly.navigation.onFlyoutKeyPress_ = function(e) {
+  var navigation = Blockly.navigation;
+  switch (e.keyCode) {
+    case 38:  // Up.
+      navigation.flyoutStep_(-1);
+      return true;
+    case 40:  // Down.
+      navigation.flyoutStep_(1);
+      return true;
+    case 37:  // Left.
+      navigation.flyoutCategoryStep_(-1);
+      return true;
+    case 39:  // Right.
+      navigation.flyoutCategoryStep_(1);
+      return true;
+    case 13:  // Enter.
+    case 32:  // Space.
+      navigation.insertFromFlyout();
+      return true;
+    case 27:  // Escape.
+    case 84:  // T.
+      navigation.focusWorkspace();
+      return true;
+  }
+  return false;
+};
+
+/**
+ * Move the cursor back to the workspace.
+ */
+Blockly.navigation.focusWorkspace = function() {
+  var navigation = Blockly.navigation;
+  navigation.flyoutCursor_.setLocation(null);
+  navigation.state_ = navigation.STATE_WS;
+  navigation.setCursor_(navigation.cursor_.getCurNode());
+};
+
+/**
+ * Move the cursor to the first block shown in the flyout.
+ */
+Blockly.navigation.focusFlyout = function() {
+  var navigation = Blockly.navigation;
+  var flyout = navigation.workspace_ && navigation.workspace_.getFlyout();
+  if (!flyout || !flyout.isVisible()) {
+    return;
+  }
+  var blocks = navigation.getFlyoutBlocks_();
+  if (!blocks.length) {
+    return;
+  }
+  var scrollPos = flyout.getScrollPos();
+  var first = blocks[0];
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (navigation.getFlyoutPosition_(block) >= scrollPos) {
+      first = block;
+      break;
+    }
+  }
+  navigation.state_ = navigation.STATE_FLYOUT;
+  navigation.setFlyoutBlock_(first);
+};
+
+/**
+ * Create a copy of the flyout block under the cursor in the workspace.  The
+ * copy is connected to the marked connection if possible, otherwise it is
+ * placed in the middle of the visible workspace.  The cursor moves to the
+ * new block.
+ * @return {Blockly.BlockSvg} The new block.
+ */
+Blockly.navigation.insertFromFlyout = function() {
+  var navigation = Blockly.navigation;
+  var node = navigation.flyoutCursor_.getCurNode();
+  var flyout = navigation.workspace_.getFlyout();
+  if (!node || !flyout || node.getLocation().disabled) {
+    return null;
+  }
+  // Creating the block starts an event group, which is closed once the new
+  // block is in place.
+  var newBlock = flyout.createBlock(node.getLocation());
+  var marked = navigation.marker_.getCurNode();
+  if (!marked || !marked.isConnection() ||
+      !navigation.connect_(newBlock, marked.getLocation())) {
+    var metrics = navigation.workspace_.getMetrics();
+    var scale = navigation.workspace_.scale;
+    var xy = newBlock.getRelativeToSurfaceXY();
+    newBlock.moveBy(
+        (metrics.viewLeft + metrics.viewWidth / 2) / scale - xy.x,
+        (metrics.viewTop + metrics.viewHeight / 2) / scale - xy.y);
+  }
+  // Creating the block also turned off resizing until the end of the drag.
+  navigation.workspace_.setResizesEnabled(true);
+  Blockly.Events.setGroup(false);
+  navigation.marker_.setLocation(null);
+  navigation.focusWorkspace();
+  navigation.setCursor_(Blockly.ASTNode.createBlockNode(newBlock));
+  return newBlock;
+};
+
+/**
+ * Act on the node under the cursor: open field editors, mark blocks and
+ * connections, and connect the marked block or connection with the one
+ * under the cursor.
+ * @private
+ */
+Blockly.navigation.handleEnter_ = function() {
+  var navigation = Blockly.navigation;
+  var types = Blockly.ASTNode.types;
+  var node = navigation.cursor_.getCurNode();
+  var marked = navigation.marker_.getCurNode();
+  if (!node) {
+    return;
+  }
+  if (node.getType() == types.FIELD) {
+    var field = node.getLocation();
+    if (field.isCurrentlyEditable()) {
+      field.showEditor_();
+    }
+    return;
+  }
+  if (node.getType() != types.BLOCK && !node.isConnection()) {
+    return;
+  }
+  if (!marked || marked.equals(node)) {
+    navigation.marker_.setLocation(node);
+    return;
+  }
+  // One side moves and the other stays.  Blocks and free connections on top
+  // of a stack are the ones that can move.
+  var moving = navigation.getMovingBlock_(marked);
+  var target = node;
+  if (!moving || !target.isConnection()) {
+    moving = navigation.getMovingBlock_(node);
+    target = marked;
+  }
+  if (moving && target.isConnection()) {
+    Blockly.Events.setGroup(true);
+    var connected = navigation.connect_(moving, target.getLocation());
+    Blockly.Events.setGroup(false);
+    if (connected) {
+      navigation.marker_.setLocation(null);
+      navigation.setCursor_(Blockly.ASTNode.createBlockNode(moving));
+      return;
+    }
+  }
+  // Not connectable, so start over from the node under the cursor.
+  navigation.marker_.setLocation(node);
+};
+
+/**
+ * Get the block that moves when a node is connected somewhere else.
+ * @param {!Blockly.ASTNode} node A block node, or a connection node.
+ * @return {Blockly.BlockSvg} The block, or null if the node cannot move.
+ * @private
+ */
+Blockly.navigation.getMovingBlock_ = function(node) {
+  var types = Blockly.ASTNode.types;
+  var block = node.getSourceBlock();
+  if (node.getType() != types.BLOCK && node.getType() != types.OUTPUT &&
+      node.getType() != types.PREVIOUS) {
+    return null;
+  }
+  return block.isShadow() || !block.isMovable() ? null : block;
+};
+
+/**
+ * Connect a block to a connection of another block, unplugging it from its
+ * current parent first.  Blocks below the moving block move with it.
+ * @param {!Blockly.BlockSvg} block The block to move.
+ * @param {!Blockly.RenderedConnection} target The connection to connect to.
+ * @return {boolean} True if the block was connected.
+ * @private
+ */
+Blockly.navigation.connect_ = function(block, target) {
+  // Don't let blocks connect to themselves or ones they nest.
+  var parent = target.getSourceBlock();
+  while (parent) {
+    if (parent == block) {
+      return false;
+    }
+    parent = parent.getParent();
+  }
+  var connection = null;
+  switch (target.type) {
+    case Blockly.INPUT_VALUE:
+      connection = block.outputConnection;
+      break;
+    case Blockly.NEXT_STATEMENT:
+      connection = block.previousConnection;
+      break;
+    case Blockly.PREVIOUS_STATEMENT:
+      connection = block.lastConnectionInStack();
+      break;
+  }
+  if (!connection || !connection.isConnectionAllowed(target)) {
+    return false;
+  }
+  if (block.getParent()) {
+    block.unplug(false);
+  }
+  // Line the connections up, as if the block had been dragged there.
+  block.moveBy(target.x_ - connection.x_, target.y_ - connection.y_);
+  connection.connect(target);
+  return true;
+};
+
+/**
+ * Disconnect the block under the cursor (or the block plugged into the
+ * connection under the cursor) from its parent and move it aside.
+ * @private
+ */
+Blockly.navigation.disconnect_ = function() {
+  var navigation = Blockly.navigation;
+  var types = Blockly.ASTNode.types;
+  var node = navigation.cursor_.getCurNode();
+  if (!node) {
+    return;
+  }
+  var inferior = null;
+  if (node.getType() == types.BLOCK) {
+    var block = node.getLocation();
+    inferior = block.outputConnection || block.previousConnection;
+  } else if (node.getType() == types.INPUT || node.getType() == types.NEXT) {
+    inferior = node.getLocation().targetConnection;
+  }
+  var superior = inferior && inferior.targetConnection;
+  if (!superior) {
+    return;
+  }
+  var child = inferior.getSourceBlock();
+  if (child.isShadow() || !child.isMovable()) {
+    return;
+  }
+  Blockly.Events.setGroup(true);
+  inferior.disconnect();
+  inferior.bumpAwayFrom_(superior);
+  Blockly.Events.setGroup(false);
+  navigation.setCursor_(Blockly.ASTNode.createBlockNode(child));
+};
+
+/**
+ * Move the workspace cursor, select the block under it and scroll it into
+ * view.
+ * @param {Blockly.ASTNode} node The new node.  Null leaves the cursor where
+ *     it is.
+ * @private
+ */
+Blockly.navigation.setCursor_ = function(node) {
+  var navigation = Blockly.navigation;
+  if (!node) {
+    return;
+  }
+  navigation.cursor_.setLocation(node);
+  var block = node.getSourceBlock();
+  if (!block || !block.rendered) {
+    return;
+  }
+  if (node.getType() == Blockly.ASTNode.types.BLOCK) {
+    block.select();
+  }
+  navigation.scrollIntoView_(block);
+};
+
+/**
+ * Center the workspace on a block unless it is already in view.
+ * @param {!Blockly.BlockSvg} block The block.
+ * @private
+ */
+Blockly.navigation.scrollIntoView_ = function(block) {
+  var workspace = Blockly.navigation.workspace_;
+  if (!workspace.scrollbar) {
+    return;
+  }
+  var metrics = workspace.getMetrics();
+  var scale = workspace.scale;
+  var xy = block.getRelativeToSurfaceXY();
+  var left = xy.x * scale;
+  var top = xy.y * scale;
+  var right = left + (workspace.RTL ? -block.width : block.width) * scale;
+  var bottom = top + block.height * scale;
+  if (Math.min(left, right) < metrics.viewLeft ||
+      Math.max(left, right) > metrics.viewLeft + metrics.viewWidth ||
+      top < metrics.viewTop || bottom > metrics.viewTop + metrics.viewHeight) {
+    workspace.centerOnBlock(block.id, true);
+  }
+};
+
+/**
+ * Get a workspace node at the top left of the visible workspace.
+ * @return {!Blockly.ASTNode} The node.
+ * @private
+ */
+Blockly.navigation.getWorkspaceNode_ = function() {
+  var workspace = Blockly.navigation.workspace_;
+  var metrics = workspace.rendered && workspace.getMetrics();
+  var coordinate = metrics ?
+      new goog.math.Coordinate(metrics.viewLeft / workspace.scale,
+          metrics.viewTop / workspace.scale) :
+      new goog.math.Coordinate(0, 0);
+  return Blockly.ASTNode.createWorkspaceNode(workspace, coordinate);
+};
+
+/**
+ * Get the blocks shown in the flyout, in order.
+ * @return {!Array.<!Blockly.BlockSvg>} The blocks.
+ * @private
+ */
+Blockly.navigation.getFlyoutBlocks_ = function() {
+  var flyout = Blockly.navigation.workspace_.getFlyout();
+  return flyout.getWorkspace().getTopBlocks(true);
+};
+
+/**
+ * Get the position of a flyout block along the flyout's scroll direction.
+ * @param {!Blockly.BlockSvg} block A block in the flyout.
+ * @return {number} The position, in flyout workspace units.
+ * @private
+ */
+Blockly.navigation.getFlyoutPosition_ = function(block) {
+  var xy = block.getRelativeToSurfaceXY();
+  var flyout = Blockly.navigation.workspace_.getFlyout();
+  return flyout.horizontalLayout_ ? xy.x : xy.y;
+};
+
+/**
+ * Point the flyout cursor at a block and scroll the flyout to it.
+ * @param {!Blockly.BlockSvg} block A block in the flyout.
+ * @private
+ */
+Blockly.navigation.setFlyoutBlock_ = function(block) {
+  var navigation = Blockly.navigation;
+  var flyout = navigation.workspace_.getFlyout();
+  navigation.flyoutCursor_.setLocation(Blockly.ASTNode.createBlockNode(block));
+  flyout.scrollTo(Math.max(
+      navigation.getFlyoutPosition_(block) - flyout.MARGIN, 0));
+};
+
+/**
+ * Move the flyout cursor to the next or previous block.
+ * @param {number} delta 1 to move forward, -1 to move backward.
+ * @private
+ */
+Blockly.navigation.flyoutStep_ = function(delta) {
+  var navigation = Blockly.navigation;
+  var node = navigation.flyoutCursor_.getCurNode();
+  var blocks = navigation.getFlyoutBlocks_();
+  var index = node ? blocks.indexOf(node.getLocation()) : -1;
+  var block = blocks[index + delta];
+  if (block) {
+    navigation.setFlyoutBlock_(block);
+  }
+};
+
+/**
+ * Move the flyout cursor to the first block of the next or previous category.
+ * @param {number} delta 1 to move forward, -1 to move backward.
+ * @private
+ */
+Blockly.navigation.flyoutCategoryStep_ = function(delta) {
+  var navigation = Blockly.navigation;
+  var flyout = navigation.workspace_.getFlyout();
+  var categories = flyout.categoryScrollPositions || [];
+  var node = navigation.flyoutCursor_.getCurNode();
+  if (!node || !categories.length) {
+    return;
+  }
+  var position = navigation.getFlyoutPosition_(node.getLocation());
+  var current = 0;
+  for (var i = 0; i < categories.length; i++) {
+    if (position >= categories[i].position) {
+      current = i;
+    }
+  }
+  var category = categories[current + delta];
+  if (!category) {
+    return;
+  }
+  var blocks = navigation.getFlyoutBlocks_();
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (navigation.getFlyoutPosition_(block) >= category.position) {
+      navigation.setFlyoutBlock_(block);
+      return;
+    }
+  }
+};
@@ -0,0 +1,184 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Back and forward history of the places a workspace jumped
+ * to, so that the user can return to where they were.
+ */
+'use strict';
+
+goog.provide('Blockly.NavigationHistory');
+
+
+/**
+ * Class for the back and forward history of a workspace's view.  The view is
+ * recorded just before each jump - to a block, a frame, a comment or a
+ * definition - like a browser records pages.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @constructor
+ */
+Blockly.NavigationHistory = function(workspace) {
+  this.workspace_ = workspace;
+
+  /**
+   * Places to go back to, the most recent last.
+   * @type {!Array.<!Blockly.NavigationHistory.Location>}
+   * @private
+   */
+  this.back_ = [];
+
+  /**
+   * Places to go forward to, the most recent last.
+   * @type {!Array.<!Blockly.NavigationHistory.Location>}
+   * @private
+   */
+  this.forward_ = [];
+};
+
+/**
+ * A view of the workspace: the point in the middle of it, in workspace
+ * units, and the scale.
+ * @typedef {{x: number, y: number, scale: number}}
+ */
+Blockly.NavigationHistory.Location;
+
+/**
+ * Maximum number of places to go back to.
+ * @const {number}
+ */
+Blockly.NavigationHistory.MAX_LENGTH = 50;
+
+/**
+ * Record the current view, before jumping somewhere else.  Going forward is
+ * no longer possible.
+ */
+Blockly.NavigationHistory.prototype.record = function() {
+  if (!this.workspace_ || !this.workspace_.scrollbar) {
+    return;
+  }
+  var location = this.getLocation_();
+  var last = this.back_[this.back_.length - 1];
+  if (!last || !Blockly.NavigationHistory.isSameLocation_(last, location)) {
+    this.back_.push(location);
+    if (this.back_.length > Blockly.NavigationHistory.MAX_LENGTH) {
+      this.back_.shift();
+    }
+  }
+  this.forward_.length = 0;
+};
+
+/**
+ * Whether there is a place to go back to.
+ * @return {boolean} True if there is.
+ */
+Blockly.NavigationHistory.prototype.canGoBack = function() {
+  return this.back_.length > 0;
+};
+
+/**
+ * Whether there is a place to go forward to.
+ * @return {boolean} True if there is.
+ */
+Blockly.NavigationHistory.prototype.canGoForward = function() {
+  return this.forward_.length > 0;
+};
+
+/**
+ * Return to the view before the last jump.
+ * @return {boolean} True if there was a place to go back to.
+ */
+Blockly.NavigationHistory.prototype.back = function() {
+  return this.move_(this.back_, this.forward_);
+};
+
+/**
+ * Return to the view that was left by going back.
+ * @return {boolean} True if there was a place to go forward to.
+ */
+Blockly.NavigationHistory.prototype.forward = function() {
+  return this.move_(this.forward_, this.back_);
+};
+
+/**
+ * Forget every place.
+ */
+Blockly.NavigationHistory.prototype.clear = function() {
+  this.back_.length = 0;
+  this.forward_.length = 0;
+};
+
+/**
+ * Dispose of this history.
+ */
+Blockly.NavigationHistory.prototype.dispose = function() {
+  this.clear();
+  this.workspace_ = null;
+};
+
+/**
+ * Go to the last place of a list, and add the current view to the other.
+ * @param {!Array.<!Blockly.NavigationHistory.Location>} from The places to
+ *     take the place from.
+ * @param {!Array.<!Blockly.NavigationHistory.Location>} to The places to
+ *     add the current view to.
+ * @return {boolean} True if there was a place to go to.
+ * @private
+ */
+Blockly.NavigationHistory.prototype.move_ = function(from, to) {
+  if (!from.length || !this.workspace_.scrollbar) {
+    return false;
+  }
+  to.push(this.getLocation_());
+  var location = from.pop();
+  var workspace = this.workspace_;
+  Blockly.hideChaff();
+  if (workspace.scale != location.scale) {
+    workspace.setScale(location.scale);
+  }
+  workspace.scrollCenterTo(location.x, location.y);
+  return true;
+};
+
+/**
+ * Get the current view of the workspace.
+ * @return {!Blockly.NavigationHistory.Location} The view.
+ * @private
+ */
+Blockly.NavigationHistory.prototype.getLocation_ = function() {
+  var workspace = this.workspace_;
+  var metrics = workspace.getMetrics();
+  return {
+    x: (metrics.viewLeft + metrics.viewWidth / 2) / workspace.scale,
+    y: (metrics.viewTop + metrics.viewHeight / 2) / workspace.scale,
+    scale: workspace.scale
+  };
+};
+
+/**
+ * Whether two views are the same, give or take a pixel.
+ * @param {!Blockly.NavigationHistory.Location} a A view.
+ * @param {!Blockly.NavigationHistory.Location} b Another view.
+ * @return {boolean} True if they are the same.
+ * @private
+ */
+Blockly.NavigationHistory.isSameLocation_ = function(a, b) {
+  return a.scale == b.scale && Math.abs(a.x - b.x) < 1 &&
+      Math.abs(a.y - b.y) < 1;
+};
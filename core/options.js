@@ -26,6 +26,7 @@
 
 goog.provide('Blockly.Options');
 goog.require('Blockly.Colours');
+goog.require('Blockly.Theme');
 
 
 /**
@@ -41,6 +42,7 @@ Blockly.Options = function(options) {
     var languageTree = null;
     var hasCategories = false;
     var hasTrashcan = false;
+    var maxTrashcanContents = 0;
     var hasCollapse = false;
     var hasFrames = false;
     var hasComments = false;
@@ -59,6 +61,10 @@ Blockly.Options = function(options) {
     if (hasTrashcan === undefined) {
       hasTrashcan = false;
     }
+    var maxTrashcanContents = options['maxTrashcanContents'];
+    if (maxTrashcanContents === undefined) {
+      maxTrashcanContents = 32;
+    }
     var hasCollapse = options['collapse'];
     if (hasCollapse === undefined) {
       hasCollapse = hasCategories;
@@ -121,7 +127,16 @@ Blockly.Options = function(options) {
     var oneBasedIndex = !!options['oneBasedIndex'];
   }
 
-  Blockly.Colours.overrideColours(options['colours']);
+  var theme = null;
+  if (options['theme']) {
+    theme = Blockly.Theme.get(options['theme']);
+    if (!theme) {
+      throw Error('Unknown theme: ' + options['theme']);
+    }
+    Blockly.Theme.applyColours(theme, options['colours']);
+  } else {
+    Blockly.Colours.overrideColours(options['colours']);
+  }
 
   this.RTL = rtl;
   this.oneBasedIndex = oneBasedIndex;
@@ -134,6 +149,9 @@ Blockly.Options = function(options) {
   this.hasCategories = hasCategories;
   this.hasScrollbars = hasScrollbars;
   this.hasTrashcan = hasTrashcan;
+  this.maxTrashcanContents = maxTrashcanContents;
+  this.theme = theme;
+  this.colours = options['colours'] || null;
   this.hasSounds = hasSounds;
   this.hasCss = hasCss;
   this.horizontalLayout = horizontalLayout;
@@ -142,6 +160,16 @@ Blockly.Options = function(options) {
   this.zoomOptions = Blockly.Options.parseZoomOptions_(options);
   this.toolboxPosition = toolboxPosition;
   this.nonStickyFlyout = !!options.nonStickyFlyout;
+  this.screenReader = !!options['screenReader'];
+  // The screen reader follows the keyboard navigation cursor.
+  this.keyboardNav = !!options['keyboardNav'] || this.screenReader;
+  this.minimapOptions = Blockly.Options.parseMinimapOptions_(options);
+  // Stacks out of view are loaded without their SVG.
+  this.lazyRendering = !!options['lazyRendering'];
+  // Stacks can be hidden from the context menu.  Older embedders turn this on
+  // with a global flag.
+  this.hiddenStacks = options['hiddenStacks'] === undefined ?
+      !!goog.global['__XIGUA_SHORTCUT'] : !!options['hiddenStacks'];
 };
 
 /**
@@ -205,6 +233,33 @@ Blockly.Options.parseZoomOptions_ = function(options) {
   return zoomOptions;
 };
 
+/**
+ * Parse the user-specified minimap options.  The minimap is off unless the
+ * 'minimap' option is true or an object with its width and height.
+ * @param {!Object} options Dictionary of options.
+ * @return {Object} A dictionary of normalized options, or null if there is
+ *     no minimap.
+ * @private
+ */
+Blockly.Options.parseMinimapOptions_ = function(options) {
+  var minimap = options['minimap'];
+  if (!minimap) {
+    return null;
+  }
+  var minimapOptions = {};
+  if (minimap['width'] === undefined) {
+    minimapOptions.width = 200;
+  } else {
+    minimapOptions.width = parseFloat(minimap['width']);
+  }
+  if (minimap['height'] === undefined) {
+    minimapOptions.height = 150;
+  } else {
+    minimapOptions.height = parseFloat(minimap['height']);
+  }
+  return minimapOptions;
+};
+
 /**
  * Parse the user-specified grid options, using reasonable defaults where
  * behaviour is unspecified. See grid documentation:
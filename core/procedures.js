@@ -587,14 +587,20 @@ Blockly.Procedures.makeEditOption = function(block) {
 
 /**
  * Callback to show the procedure definition corresponding to a custom command
- * block.
- * TODO(#1136): Implement.
+ * block.  The jump is recorded in the workspace's navigation history, so that
+ * the user can go back to the call.
  * @param {!Blockly.Block} block The block that was right-clicked.
  * @private
  */
 Blockly.Procedures.showProcedureDefCallback_ = function(block) {
-  alert('TODO(#1136): implement showing procedure definition (procCode was "' +
-      block.procCode_ + '")');
+  var workspace = block.workspace;
+  var defineBlock = Blockly.Procedures.getDefineBlock(block.getProcCode(),
+      workspace);
+  if (!defineBlock) {
+    return;
+  }
+  workspace.centerOnBlock(defineBlock.id);
+  defineBlock.select();
 };
 
 /**
@@ -606,7 +612,8 @@ Blockly.Procedures.showProcedureDefCallback_ = function(block) {
  */
 Blockly.Procedures.makeShowDefinitionOption = function(block) {
   var option = {
-    enabled: true,
+    enabled: !!Blockly.Procedures.getDefineBlock(block.getProcCode(),
+        block.workspace),
     text: Blockly.Msg.SHOW_PROCEDURE_DEFINITION,
     callback: function() {
       Blockly.Procedures.showProcedureDefCallback_(block);
@@ -644,3 +651,304 @@ Blockly.Procedures.deleteProcedureDefCallback = function(procCode,
 
   return true;
 };
+
+/**
+ * Shadow block types holding literals that become arguments when blocks are
+ * extracted into a custom block, and the name of the field with the value.
+ * @const {!Object.<string, string>}
+ * @private
+ */
+Blockly.Procedures.EXTRACT_LITERAL_TYPES_ = {
+  'math_number': 'NUM',
+  'math_integer': 'NUM',
+  'math_whole_number': 'NUM',
+  'math_positive_number': 'NUM',
+  'math_angle': 'NUM',
+  'text': 'TEXT'
+};
+
+/**
+ * Horizontal gap between a stack and the definition of a custom block
+ * extracted from it, in workspace units.
+ * @type {number}
+ */
+Blockly.Procedures.EXTRACT_GAP = 48;
+
+/**
+ * Get the blocks of a stack segment, from a block down to another block in
+ * the same stack, or to the end of the stack.
+ * @param {!Blockly.Block} block The first block of the segment.
+ * @param {Blockly.Block=} opt_lastBlock The last block of the segment.
+ * @return {!Array.<!Blockly.Block>} The blocks, in stack order, or an empty
+ *     array if the last block is not below the first one.
+ * @private
+ */
+Blockly.Procedures.getExtractSegment_ = function(block, opt_lastBlock) {
+  var segment = [];
+  for (var current = block; current; current = current.getNextBlock()) {
+    segment.push(current);
+    if (current == opt_lastBlock) {
+      return segment;
+    }
+  }
+  return opt_lastBlock ? [] : segment;
+};
+
+/**
+ * Get all blocks in a stack segment, including nested ones, but not the
+ * blocks below it.
+ * @param {!Array.<!Blockly.Block>} segment The blocks of the segment.
+ * @return {!Array.<!Blockly.Block>} The blocks, in depth-first order.
+ * @private
+ */
+Blockly.Procedures.getExtractDescendants_ = function(segment) {
+  var descendants = [];
+  segment.forEach(function(block) {
+    descendants.push(block);
+    block.getChildren().forEach(function(child) {
+      if (child != block.getNextBlock()) {
+        descendants.push.apply(descendants, child.getDescendants(false));
+      }
+    });
+  });
+  return descendants;
+};
+
+/**
+ * Whether a stack segment can be extracted into a custom block.
+ * @param {!Blockly.Block} block The first block of the segment.
+ * @param {Blockly.Block=} opt_lastBlock The last block of the segment.
+ *     Defaults to the last block of the stack.
+ * @return {boolean} True if the segment can be extracted.
+ */
+Blockly.Procedures.canExtract = function(block, opt_lastBlock) {
+  if (block.isShadow() || block.isInFlyout || !block.previousConnection) {
+    return false;
+  }
+  var segment = Blockly.Procedures.getExtractSegment_(block, opt_lastBlock);
+  if (!segment.length) {
+    return false;
+  }
+  // A return would leave the custom block it belongs to.
+  return Blockly.Procedures.getExtractDescendants_(segment).every(
+      function(descendant) {
+        return descendant.type != 'procedures_return' &&
+            (descendant.isShadow() || descendant.isDeletable());
+      });
+};
+
+/**
+ * Work out the arguments of a custom block made from a stack segment.  Reads
+ * of variables that the segment does not set, arguments of the custom block
+ * the segment is in, and literals all become arguments.  Each variable and
+ * argument becomes one argument, and each literal one of its own.
+ * @param {!Array.<!Blockly.Block>} segment The blocks of the segment.
+ * @return {!Array.<{type: string, name: string, blocks: !Array.<!Blockly.Block>,
+ *     value: ?string}>} The arguments: type 's' or 'b', unique display name,
+ *     the blocks to replace by argument reporters, and the value of literals.
+ * @private
+ */
+Blockly.Procedures.getExtractArguments_ = function(segment) {
+  var descendants = Blockly.Procedures.getExtractDescendants_(segment);
+  var setVariables = {};
+  descendants.forEach(function(block) {
+    if (block.type == 'data_setvariableto' ||
+        block.type == 'data_changevariableby') {
+      setVariables[block.getFieldValue('VARIABLE')] = true;
+    }
+  });
+
+  var args = [];
+  var argsByKey = {};
+  var names = {};
+  var addArgument = function(key, type, name, block, value) {
+    if (!argsByKey[key]) {
+      var uniqueName = name;
+      for (var i = 2; names[uniqueName]; i++) {
+        uniqueName = name + ' ' + i;
+      }
+      names[uniqueName] = true;
+      argsByKey[key] = {type: type, name: uniqueName, blocks: [], value: value};
+      args.push(argsByKey[key]);
+    }
+    argsByKey[key].blocks.push(block);
+  };
+  descendants.forEach(function(block) {
+    var parent = block.getParent();
+    if (block.type == 'data_variable' && !block.isShadow()) {
+      var id = block.getFieldValue('VARIABLE');
+      if (!setVariables[id]) {
+        addArgument('variable:' + id, 's', block.getField('VARIABLE').getText(),
+            block, null);
+      }
+    } else if ((block.type == 'argument_reporter_string_number' ||
+        block.type == 'argument_reporter_boolean') && !block.isShadow()) {
+      var name = block.getFieldValue('VALUE');
+      addArgument('argument:' + name,
+          block.type == 'argument_reporter_boolean' ? 'b' : 's', name, block,
+          null);
+    } else if (block.isShadow() && parent &&
+        Blockly.Procedures.EXTRACT_LITERAL_TYPES_[block.type]) {
+      var value = String(block.getFieldValue(
+          Blockly.Procedures.EXTRACT_LITERAL_TYPES_[block.type]));
+      if (value) {
+        // Equal literals may mean different things, so each is its own
+        // argument.
+        addArgument('literal:' + block.id, 's',
+            parent.getInputWithBlock(block).name.toLowerCase(), block, value);
+      }
+    }
+  });
+  return args;
+};
+
+/**
+ * Extract a stack segment into a new custom block.  The segment becomes the
+ * body of a new definition, next to the stack, and is replaced by a call to
+ * it.  Everything happens in one event group, so it is undone in one step.
+ * @param {!Blockly.Block} block The first block of the segment.
+ * @param {string} name Name of the new custom block.
+ * @param {Blockly.Block=} opt_lastBlock The last block of the segment.
+ *     Defaults to the last block of the stack.
+ * @return {Blockly.Block} The new call block, or null if a custom block with
+ *     the same name and arguments already exists.
+ */
+Blockly.Procedures.extractToProcedure = function(block, name, opt_lastBlock) {
+  if (!Blockly.Procedures.canExtract(block, opt_lastBlock)) {
+    throw Error('These blocks cannot be extracted into a custom block.');
+  }
+  var workspace = block.workspace;
+  var segment = Blockly.Procedures.getExtractSegment_(block, opt_lastBlock);
+  var args = Blockly.Procedures.getExtractArguments_(segment);
+  var procCode = [name].concat(args.map(function(arg) {
+    return '%' + arg.type;
+  })).join(' ');
+  if (Blockly.Procedures.isNameUsed(procCode, workspace, null)) {
+    return null;
+  }
+  var argumentIds = args.map(function() {
+    return Blockly.utils.genUid();
+  });
+  // Like custom blocks made by the user, the new one is local to the sprite:
+  // its prototype block defines it, and only global procedures go in the
+  // workspace's procedure map.
+  var mutation = Blockly.Procedures.newProcedureMutation();
+  mutation.setAttribute('proccode', procCode);
+  mutation.setAttribute('argumentids', JSON.stringify(argumentIds));
+  mutation.setAttribute('argumentnames', JSON.stringify(args.map(
+      function(arg) {
+        return arg.name;
+      })));
+  mutation.setAttribute('argumentdefaults', JSON.stringify(args.map(
+      function(arg) {
+        return arg.type == 'b' ? 'false' : '';
+      })));
+
+  var lastBlock = segment[segment.length - 1];
+  var parentConnection = block.previousConnection.targetConnection;
+  var nextBlock = lastBlock.getNextBlock();
+  var root = block.getRootBlock();
+  var rootXY = root.getRelativeToSurfaceXY();
+  var blockXY = block.getRelativeToSurfaceXY();
+  var rootWidth = root.getHeightWidth ? root.getHeightWidth().width : 0;
+
+  Blockly.Events.setGroup(true);
+  try {
+    if (nextBlock) {
+      nextBlock.unplug(false);
+    }
+    block.unplug(false);
+
+    var definitionDom = Blockly.Xml.textToDom('<xml>' +
+        '<block type="procedures_definition">' +
+        '<statement name="custom_block">' +
+        '<shadow type="procedures_prototype">' +
+        Blockly.Xml.domToText(mutation) +
+        '</shadow>' +
+        '</statement>' +
+        '</block>' +
+        '</xml>').firstChild;
+    var definition = Blockly.Xml.domToBlock(definitionDom, workspace);
+    definition.moveBy(rootXY.x + rootWidth + Blockly.Procedures.EXTRACT_GAP,
+        rootXY.y);
+
+    // Read the arguments instead of the variables and literals.
+    args.forEach(function(arg) {
+      arg.blocks.forEach(function(source) {
+        var connection = source.outputConnection.targetConnection;
+        if (!source.isShadow()) {
+          if (arg.source) {
+            source.dispose(false);
+          } else {
+            // Passed to the call below.
+            source.unplug(false);
+            arg.source = source;
+          }
+        }
+        var reporter = workspace.newBlock(arg.type == 'b' ?
+            'argument_reporter_boolean' : 'argument_reporter_string_number');
+        reporter.setFieldValue(arg.name, 'VALUE');
+        if (workspace.rendered) {
+          reporter.initSvg();
+          reporter.render(false);
+        }
+        reporter.outputConnection.connect(connection);
+      });
+    });
+    definition.nextConnection.connect(block.previousConnection);
+
+    var callMutation = mutation.cloneNode(true);
+    callMutation.setAttribute('generateshadows', true);
+    var callDom = goog.dom.createDom('block');
+    callDom.setAttribute('type', Blockly.PROCEDURES_CALL_BLOCK_TYPE);
+    callDom.appendChild(callMutation);
+    var call = Blockly.Xml.domToBlock(callDom, workspace);
+    args.forEach(function(arg, i) {
+      var connection = call.getInput(argumentIds[i]).connection;
+      if (arg.source) {
+        arg.source.outputConnection.connect(connection);
+      } else {
+        connection.targetBlock().setFieldValue(arg.value, 'TEXT');
+      }
+    });
+    if (parentConnection) {
+      parentConnection.connect(call.previousConnection);
+    } else {
+      call.moveBy(blockXY.x, blockXY.y);
+    }
+    if (nextBlock) {
+      call.nextConnection.connect(nextBlock.previousConnection);
+    }
+    if (workspace.rendered) {
+      definition.scheduleSnapAndBump();
+    }
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  workspace.refreshToolboxSelection_();
+  return call;
+};
+
+/**
+ * Make a context menu option for extracting a block and the blocks below it
+ * into a new custom block.
+ * @param {!Blockly.BlockSvg} block The block where the right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.Procedures.makeExtractOption = function(block) {
+  return {
+    enabled: Blockly.Procedures.canExtract(block),
+    text: Blockly.Msg.EXTRACT_PROCEDURE,
+    callback: function() {
+      Blockly.prompt(Blockly.Msg.EXTRACT_PROCEDURE_NAME,
+          Blockly.Msg.PROCEDURE_DEFAULT_NAME, function(name) {
+            name = name && name.trim();
+            if (name && !Blockly.Procedures.extractToProcedure(block, name)) {
+              Blockly.alert(
+                  Blockly.Msg.PROCEDURE_ALREADY_EXISTS.replace('%1', name));
+            }
+          });
+    }
+  };
+};
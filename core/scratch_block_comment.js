@@ -27,6 +27,7 @@
 goog.provide('Blockly.ScratchBlockComment');
 
 goog.require('Blockly.Comment');
+goog.require('Blockly.ContextMenuRegistry');
 goog.require('Blockly.Events.BlockChange');
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.Icon');
@@ -630,8 +631,9 @@ Blockly.ScratchBlockComment.prototype.isMinimized = function() {
  * @private
  */
 Blockly.ScratchBlockComment.prototype.showContextMenu_ = function(e) {
-  var menuOptions = [];
-  menuOptions.push(Blockly.ContextMenu.commentDeleteOption(this, Blockly.Msg.DELETE));
+  var menuOptions = Blockly.ContextMenuRegistry.getOptions(
+      Blockly.ContextMenuRegistry.ScopeType.COMMENT,
+      {workspace: this.workspace, block: this.block_, comment: this, event: e});
   Blockly.ContextMenu.show(e, menuOptions, this.block_.RTL);
 };
 
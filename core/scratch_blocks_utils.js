@@ -183,6 +183,7 @@ Blockly.scratchBlocksUtils.duplicateAndDragCallback = function(oldBlock, event,
 
       // Create the new block by cloning the block in the flyout (via XML).
       var xml = Blockly.Xml.blockToDom(oldBlock, false, endBlockId);
+      Blockly.Xml.removeBookmarks(xml);
       // The target workspace would normally resize during domToBlock, which
       // will lead to weird jumps.
       // Resizing will be enabled when the drag ends.
@@ -304,6 +305,7 @@ Blockly.scratchBlocksUtils.duplicateFrame = function(oldFrame, isMouseEvent) {
 
   // Create the new frame by cloning the frame in the flyout (via XML).
   var xml = Blockly.Xml.frameToDom(oldFrame, true);
+  Blockly.Xml.removeBookmarks(xml);
   // The target workspace would normally resize during domToBlock, which
   // will lead to weird jumps.
   // Resizing will be enabled when the drag ends.
@@ -313,27 +315,11 @@ Blockly.scratchBlocksUtils.duplicateFrame = function(oldFrame, isMouseEvent) {
   // positioned and has had its shadow IDs fixed (Scratch-specific).
   Blockly.Events.disable();
   try {
-    var blocks = [];
-    for (var j = 0, xmlBlock; xmlBlock = xml.children[j]; j++) {
-      var id = Blockly.utils.genUid();
-      // Reset the blocks ID
-      xmlBlock.setAttribute('id', id);
-      blocks.push(id);
-    
-      const newBlock = Blockly.Xml.domToBlock(xmlBlock, oldFrame.workspace);
-      // Scratch-specific: Give shadow dom new IDs to prevent duplicating on paste
-      Blockly.scratchBlocksUtils.changeObscuredShadowIds(newBlock);
-
-      // The position of the old block in workspace coordinates.
-      var blockX = parseInt(xmlBlock.getAttribute('x'), 10);
-      var blockY = parseInt(xmlBlock.getAttribute('y'), 10);
-      // Place the new block as the same position as the old block.
-      newBlock.moveBy(blockX, blockY);
-    }
-    xml.setAttribute('blocks', blocks.join(' '));
+    Blockly.FrameSnippet.createFrameStacks(xml, ws);
     // Using domToFrame instead of domToWorkspace means that the new frame
     // will be placed at position (0, 0) in main workspace units.
     var newFrame = Blockly.Xml.domToFrame(xml, ws);
+    var newFrames = [newFrame].concat(newFrame.getDescendantFrames());
 
     var svgRootNew = newFrame.getSvgRoot();
     if (!svgRootNew) {
@@ -351,11 +337,15 @@ Blockly.scratchBlocksUtils.duplicateFrame = function(oldFrame, isMouseEvent) {
 
   if (Blockly.Events.isEnabled()) {
     Blockly.Events.setGroup(true);
-    for (const key in newFrame.blockDB_) {
-      const newBlock = newFrame.blockDB_[key];
-      Blockly.Events.fire(new Blockly.Events.BlockCreate(newBlock));
-    }
-    Blockly.Events.fire(new Blockly.Events.FrameCreate(newFrame));
+    newFrames.forEach((frame) => {
+      for (const key in frame.blockDB_) {
+        const newBlock = frame.blockDB_[key];
+        Blockly.Events.fire(new Blockly.Events.BlockCreate(newBlock));
+      }
+    });
+    newFrames.forEach((frame) => {
+      Blockly.Events.fire(new Blockly.Events.FrameCreate(frame));
+    });
     Blockly.Events.setGroup(false);
   }
 
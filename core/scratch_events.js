@@ -126,7 +126,7 @@ Blockly.Events.EndBlockDrag.prototype.toJson = function() {
     json['isOutside'] = this.isOutside;
   }
   if (this.xml) {
-    json['xml'] = this.xml;
+    json['xml'] = Blockly.Xml.domToText(this.xml);
   }
   return json;
 };
@@ -138,5 +138,7 @@ Blockly.Events.EndBlockDrag.prototype.toJson = function() {
 Blockly.Events.EndBlockDrag.prototype.fromJson = function(json) {
   Blockly.Events.EndBlockDrag.superClass_.fromJson.call(this, json);
   this.isOutside = json['isOutside'];
-  this.xml = json['xml'];
+  if (json['xml']) {
+    this.xml = Blockly.Xml.textToDom('<xml>' + json['xml'] + '</xml>').firstChild;
+  }
 };
@@ -0,0 +1,436 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Screen reader support for a workspace.  The SVG is opaque to
+ * assistive technology, so its stacks, blocks, fields and inputs are mirrored
+ * into a visually hidden ARIA tree.  The keyboard navigation cursor drives
+ * the tree's active item, and a live region reads out where the cursor is.
+ */
+'use strict';
+
+goog.provide('Blockly.ScreenReader');
+
+goog.require('Blockly.ASTNode');
+goog.require('Blockly.Events');
+goog.require('Blockly.navigation');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+
+
+/**
+ * Class for the screen reader layer of a workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to describe.
+ * @constructor
+ */
+Blockly.ScreenReader = function(workspace) {
+  /**
+   * @type {!Blockly.WorkspaceSvg}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Prefix of the ids of the tree items, unique to this workspace.
+   * @type {string}
+   * @private
+   */
+  this.idPrefix_ = 'blocklyAria-' + workspace.id + '-';
+
+  /**
+   * Process id of the pending refresh of the tree.
+   * @type {number}
+   * @private
+   */
+  this.refreshPid_ = 0;
+
+  /**
+   * Event listeners to unbind on dispose.
+   * @type {!Array.<!Array>}
+   * @private
+   */
+  this.eventWrappers_ = [];
+
+  this.createDom_();
+  this.refresh();
+
+  this.changeWrapper_ = workspace.addChangeListener(this.onChange_.bind(this));
+  this.cursorWrapper_ = Blockly.navigation.getCursor().addChangeListener(
+      this.onCursorMove_.bind(this));
+  this.markerWrapper_ = Blockly.navigation.getMarker().addChangeListener(
+      this.onMarkerMove_.bind(this));
+  this.flyoutCursorWrapper_ =
+      Blockly.navigation.getFlyoutCursor().addChangeListener(
+          this.onFlyoutCursorMove_.bind(this));
+};
+
+/**
+ * CSS class of the elements that are only visible to assistive technology.
+ * @type {string}
+ * @const
+ */
+Blockly.ScreenReader.HIDDEN_CLASS = 'blocklyScreenReaderOnly';
+
+/**
+ * Delay in ms between a change of the workspace and the rebuild of the tree,
+ * so that loading a project or dragging a stack rebuilds it once.
+ * @type {number}
+ * @const
+ */
+Blockly.ScreenReader.REFRESH_DELAY = 100;
+
+/**
+ * Create the hidden tree and the live region.
+ * @private
+ */
+Blockly.ScreenReader.prototype.createDom_ = function() {
+  var parent = this.workspace_.getInjectionDiv();
+  /**
+   * The ARIA tree mirroring the workspace.
+   * @type {!Element}
+   */
+  this.tree = goog.dom.createDom('div', Blockly.ScreenReader.HIDDEN_CLASS);
+  this.tree.setAttribute('role', 'tree');
+  this.tree.setAttribute('tabindex', '0');
+  this.tree.setAttribute('aria-label', Blockly.Msg.ARIA_WORKSPACE);
+  parent.appendChild(this.tree);
+
+  /**
+   * The region that announces the node under the cursor.
+   * @type {!Element}
+   */
+  this.liveRegion = goog.dom.createDom('div',
+      Blockly.ScreenReader.HIDDEN_CLASS);
+  this.liveRegion.setAttribute('role', 'status');
+  this.liveRegion.setAttribute('aria-live', 'polite');
+  parent.appendChild(this.liveRegion);
+
+  this.eventWrappers_.push(
+      Blockly.bindEvent_(this.tree, 'focus', this, this.onFocus_));
+};
+
+/**
+ * Dispose of the tree and stop listening to the workspace and the cursors.
+ */
+Blockly.ScreenReader.prototype.dispose = function() {
+  clearTimeout(this.refreshPid_);
+  for (var i = 0; i < this.eventWrappers_.length; i++) {
+    Blockly.unbindEvent_(this.eventWrappers_[i]);
+  }
+  this.eventWrappers_.length = 0;
+  this.workspace_.removeChangeListener(this.changeWrapper_);
+  Blockly.navigation.getCursor().removeChangeListener(this.cursorWrapper_);
+  Blockly.navigation.getMarker().removeChangeListener(this.markerWrapper_);
+  Blockly.navigation.getFlyoutCursor().removeChangeListener(
+      this.flyoutCursorWrapper_);
+  goog.dom.removeNode(this.tree);
+  goog.dom.removeNode(this.liveRegion);
+  this.tree = null;
+  this.liveRegion = null;
+};
+
+/**
+ * Read a message out through the live region.
+ * @param {string} text The message.
+ */
+Blockly.ScreenReader.prototype.announce = function(text) {
+  // Clear first so that the same message is read out again.
+  this.liveRegion.textContent = '';
+  this.liveRegion.textContent = text;
+};
+
+/**
+ * Rebuild the tree from the workspace.
+ */
+Blockly.ScreenReader.prototype.refresh = function() {
+  clearTimeout(this.refreshPid_);
+  this.refreshPid_ = 0;
+  goog.dom.removeChildren(this.tree);
+  var stacks = Blockly.ASTNode.getStacks(this.workspace_);
+  for (var i = 0; i < stacks.length; i++) {
+    var item = this.createItem_(this.tree, this.getStackId_(stacks[i]), 1,
+        this.getStackText_(stacks[i], stacks));
+    item.setAttribute('aria-setsize', stacks.length);
+    item.setAttribute('aria-posinset', i + 1);
+    this.createBlockItems_(item, stacks[i], 2);
+  }
+  this.setActiveItem_(Blockly.navigation.getCursor().getCurNode());
+};
+
+/**
+ * Describe a navigation node the way it is read out.
+ * @param {Blockly.ASTNode} node The node.
+ * @return {string} The description.
+ */
+Blockly.ScreenReader.prototype.getNodeText = function(node) {
+  if (!node) {
+    return '';
+  }
+  var types = Blockly.ASTNode.types;
+  var location = node.getLocation();
+  var block = node.getSourceBlock();
+  var blockText = block ? Blockly.utils.getBlockText(block) : '';
+  switch (node.getType()) {
+    case types.WORKSPACE:
+      return Blockly.Msg.ARIA_WORKSPACE_NODE.replace('%1',
+          Blockly.ASTNode.getStacks(location).length);
+    case types.STACK:
+      return this.getStackText_(location);
+    case types.BLOCK:
+      return blockText;
+    case types.FIELD:
+      return Blockly.Msg.ARIA_FIELD.replace('%1', location.getText());
+    case types.INPUT:
+      var target = location.targetBlock();
+      var targetText = target ? Blockly.utils.getBlockText(target) :
+          Blockly.Msg.ARIA_EMPTY;
+      var message = location.type == Blockly.NEXT_STATEMENT ?
+          Blockly.Msg.ARIA_STATEMENT_INPUT : Blockly.Msg.ARIA_VALUE_INPUT;
+      return message.replace('%1', blockText).replace('%2', targetText);
+    case types.NEXT:
+      return Blockly.Msg.ARIA_NEXT.replace('%1', blockText);
+    case types.PREVIOUS:
+      return Blockly.Msg.ARIA_PREVIOUS.replace('%1', blockText);
+    case types.OUTPUT:
+      return Blockly.Msg.ARIA_OUTPUT.replace('%1', blockText);
+  }
+  return '';
+};
+
+/**
+ * Describe a stack by its position and its top block.
+ * @param {!Blockly.Block} topBlock The top block of the stack.
+ * @param {!Array.<!Blockly.Block>=} opt_stacks The stacks of the workspace,
+ *     if they are already known.
+ * @return {string} The description.
+ * @private
+ */
+Blockly.ScreenReader.prototype.getStackText_ = function(topBlock, opt_stacks) {
+  var stacks = opt_stacks || Blockly.ASTNode.getStacks(this.workspace_);
+  return Blockly.Msg.ARIA_STACK
+      .replace('%1', stacks.indexOf(topBlock) + 1)
+      .replace('%2', stacks.length)
+      .replace('%3', Blockly.utils.getBlockText(topBlock));
+};
+
+/**
+ * Add a tree item.
+ * @param {!Element} parent The tree, or the item to add a child to.
+ * @param {string} id The id of the item.
+ * @param {number} level The depth of the item, starting at 1.
+ * @param {string} text What the item reads as.
+ * @return {!Element} The item.
+ * @private
+ */
+Blockly.ScreenReader.prototype.createItem_ = function(parent, id, level,
+    text) {
+  if (parent != this.tree) {
+    // Children of an item live in a group inside it.
+    var group = parent.lastChild;
+    if (!group || group.getAttribute('role') != 'group') {
+      group = goog.dom.createDom('div');
+      group.setAttribute('role', 'group');
+      parent.appendChild(group);
+      parent.setAttribute('aria-expanded', 'true');
+    }
+    parent = group;
+  }
+  var item = goog.dom.createDom('div', {'id': id});
+  item.setAttribute('role', 'treeitem');
+  item.setAttribute('aria-level', level);
+  item.setAttribute('aria-label', text);
+  parent.appendChild(item);
+  return item;
+};
+
+/**
+ * Add items for a block, the blocks below it, and their fields and inputs.
+ * @param {!Element} parent The item to add the items to.
+ * @param {!Blockly.Block} block The first block.
+ * @param {number} level The depth of the block items.
+ * @private
+ */
+Blockly.ScreenReader.prototype.createBlockItems_ = function(parent, block,
+    level) {
+  for (; block; block = block.getNextBlock()) {
+    var blockItem = this.createItem_(parent, this.getBlockId_(block), level,
+        Blockly.utils.getBlockText(block));
+    if (block.disabled) {
+      blockItem.setAttribute('aria-disabled', 'true');
+    }
+    var children = Blockly.ASTNode.getBlockChildren(block);
+    for (var i = 0, child; child = children[i]; i++) {
+      var childItem = this.createItem_(blockItem, this.getNodeId_(child),
+          level + 1, this.getNodeText(child));
+      if (child.getType() != Blockly.ASTNode.types.INPUT) {
+        continue;
+      }
+      var target = child.getLocation().targetBlock();
+      if (target) {
+        this.createBlockItems_(childItem, target, level + 2);
+      }
+    }
+  }
+};
+
+/**
+ * Get the id of the tree item for a stack.
+ * @param {!Blockly.Block} topBlock The top block of the stack.
+ * @return {string} The id.
+ * @private
+ */
+Blockly.ScreenReader.prototype.getStackId_ = function(topBlock) {
+  return this.idPrefix_ + 'stack-' + topBlock.id;
+};
+
+/**
+ * Get the id of the tree item for a block.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} The id.
+ * @private
+ */
+Blockly.ScreenReader.prototype.getBlockId_ = function(block) {
+  return this.idPrefix_ + block.id;
+};
+
+/**
+ * Get the id of the tree item that stands for a navigation node.  Next,
+ * previous and output connections have no item of their own and stand for
+ * their block.
+ * @param {Blockly.ASTNode} node The node.
+ * @return {?string} The id, or null for workspace nodes.
+ * @private
+ */
+Blockly.ScreenReader.prototype.getNodeId_ = function(node) {
+  var block = node && node.getSourceBlock();
+  if (!block) {
+    return null;
+  }
+  var types = Blockly.ASTNode.types;
+  var location = node.getLocation();
+  switch (node.getType()) {
+    case types.STACK:
+      return this.getStackId_(block);
+    case types.FIELD:
+    case types.INPUT:
+      for (var i = 0, input; input = block.inputList[i]; i++) {
+        if (input.connection == location) {
+          return this.getBlockId_(block) + '-input-' + i;
+        }
+        var j = input.fieldRow.indexOf(location);
+        if (j != -1) {
+          return this.getBlockId_(block) + '-field-' + i + '-' + j;
+        }
+      }
+      return null;
+  }
+  return this.getBlockId_(block);
+};
+
+/**
+ * Point the tree's active descendant at the item for a node.
+ * @param {Blockly.ASTNode} node The node under the cursor.
+ * @private
+ */
+Blockly.ScreenReader.prototype.setActiveItem_ = function(node) {
+  var previous = this.tree.querySelector('[aria-selected="true"]');
+  if (previous) {
+    previous.removeAttribute('aria-selected');
+  }
+  var id = this.getNodeId_(node);
+  var item = id && document.getElementById(id);
+  if (item && goog.dom.contains(this.tree, item)) {
+    item.setAttribute('aria-selected', 'true');
+    this.tree.setAttribute('aria-activedescendant', id);
+  } else {
+    this.tree.removeAttribute('aria-activedescendant');
+  }
+};
+
+/**
+ * Rebuild the tree once the current batch of changes is over.
+ * @param {!Blockly.Events.Abstract} e Change event.
+ * @private
+ */
+Blockly.ScreenReader.prototype.onChange_ = function(e) {
+  if (e.type == Blockly.Events.UI || this.refreshPid_) {
+    return;
+  }
+  this.refreshPid_ = setTimeout(this.refresh.bind(this),
+      Blockly.ScreenReader.REFRESH_DELAY);
+};
+
+/**
+ * Turn keyboard navigation on when the tree gets the focus, and say where the
+ * cursor is.
+ * @private
+ */
+Blockly.ScreenReader.prototype.onFocus_ = function() {
+  if (!Blockly.navigation.isEnabled()) {
+    Blockly.navigation.enable(this.workspace_);
+  } else {
+    this.onCursorMove_(Blockly.navigation.getCursor().getCurNode());
+  }
+};
+
+/**
+ * Follow the workspace cursor.
+ * @param {Blockly.ASTNode} node The node under the cursor.
+ * @private
+ */
+Blockly.ScreenReader.prototype.onCursorMove_ = function(node) {
+  if (!node || (node.getSourceBlock() &&
+      node.getSourceBlock().workspace != this.workspace_)) {
+    return;
+  }
+  this.setActiveItem_(node);
+  this.announce(this.getNodeText(node));
+};
+
+/**
+ * Say which node was marked to be connected.
+ * @param {Blockly.ASTNode} node The marked node, or null.
+ * @private
+ */
+Blockly.ScreenReader.prototype.onMarkerMove_ = function(node) {
+  if (node) {
+    this.announce(Blockly.Msg.ARIA_MARKED.replace('%1',
+        this.getNodeText(node)));
+  }
+};
+
+/**
+ * Follow the flyout cursor.
+ * @param {Blockly.ASTNode} node The node under the flyout cursor.
+ * @private
+ */
+Blockly.ScreenReader.prototype.onFlyoutCursorMove_ = function(node) {
+  var flyout = this.workspace_.getFlyout();
+  if (!flyout) {
+    return;
+  }
+  var block = node && node.getSourceBlock();
+  flyout.setActiveBlock(block);
+  if (block) {
+    this.announce(Blockly.Msg.ARIA_FLYOUT_BLOCK.replace('%1',
+        Blockly.utils.getBlockText(block)));
+  }
+};
@@ -0,0 +1,298 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Find/replace panel shown on top of the main workspace.
+ */
+'use strict';
+
+/**
+ * @name Blockly.SearchPanel
+ * @namespace
+ */
+goog.provide('Blockly.SearchPanel');
+
+goog.require('Blockly.WorkspaceSearch');
+
+goog.require('goog.dom');
+
+
+/**
+ * Whether the panel is currently shown.
+ * @type {boolean}
+ */
+Blockly.SearchPanel.isOpen = false;
+
+/**
+ * The search backing the panel while it is open.
+ * @type {Blockly.WorkspaceSearch}
+ * @private
+ */
+Blockly.SearchPanel.search_ = null;
+
+/**
+ * The workspace being searched while the panel is open.
+ * @type {Blockly.WorkspaceSvg}
+ * @private
+ */
+Blockly.SearchPanel.workspace_ = null;
+
+/**
+ * Whether searches are case sensitive.
+ * @type {boolean}
+ * @private
+ */
+Blockly.SearchPanel.matchCase_ = false;
+
+/**
+ * Create the panel's DOM.  Only needs to be called once.
+ */
+Blockly.SearchPanel.createDom = function() {
+  if (this.panelRoot_) {
+    return;  // Already created.
+  }
+  this.panelRoot_ = goog.dom.createDom('div',
+      'blocklySearchPanel blocklySearchPanelHidden');
+
+  var findRow = goog.dom.createDom('div', 'blocklySearchRow');
+  this.queryInput_ = goog.dom.createDom('input', 'blocklySearchInput');
+  this.queryInput_.setAttribute('placeholder', Blockly.Msg.SEARCH_PLACEHOLDER);
+  this.countLabel_ = goog.dom.createDom('span', 'blocklySearchCount');
+  this.matchCaseButton_ = this.createButton_('Aa',
+      Blockly.Msg.SEARCH_MATCH_CASE, this.toggleMatchCase_);
+  findRow.appendChild(this.queryInput_);
+  findRow.appendChild(this.countLabel_);
+  findRow.appendChild(this.matchCaseButton_);
+  findRow.appendChild(this.createButton_('↑', Blockly.Msg.SEARCH_PREVIOUS,
+      this.previous));
+  findRow.appendChild(this.createButton_('↓', Blockly.Msg.SEARCH_NEXT,
+      this.next));
+  findRow.appendChild(this.createButton_('×', Blockly.Msg.SEARCH_CLOSE,
+      this.hide));
+
+  var replaceRow = goog.dom.createDom('div', 'blocklySearchRow');
+  this.replaceInput_ = goog.dom.createDom('input', 'blocklySearchInput');
+  this.replaceInput_.setAttribute('placeholder',
+      Blockly.Msg.SEARCH_REPLACE_PLACEHOLDER);
+  replaceRow.appendChild(this.replaceInput_);
+  replaceRow.appendChild(this.createButton_(Blockly.Msg.SEARCH_REPLACE, null,
+      this.replace));
+  replaceRow.appendChild(this.createButton_(Blockly.Msg.SEARCH_REPLACE_ALL,
+      null, this.replaceAll));
+
+  this.panelRoot_.appendChild(findRow);
+  this.panelRoot_.appendChild(replaceRow);
+
+  Blockly.bindEvent_(this.queryInput_, 'input', this, this.onQueryChange_);
+  Blockly.bindEvent_(this.queryInput_, 'keydown', this, this.onQueryKeyDown_);
+  Blockly.bindEvent_(this.replaceInput_, 'keydown', this,
+      this.onReplaceKeyDown_);
+
+  document.body.appendChild(this.panelRoot_);
+};
+
+/**
+ * Create one of the panel's buttons.
+ * @param {string} text Text of the button.
+ * @param {?string} title Tooltip of the button, if different from its text.
+ * @param {!Function} func Function to call when the button is clicked.
+ * @return {!Element} The button.
+ * @private
+ */
+Blockly.SearchPanel.createButton_ = function(text, title, func) {
+  var button = goog.dom.createDom('button', 'blocklySearchButton', text);
+  button.setAttribute('type', 'button');
+  if (title) {
+    button.setAttribute('title', title);
+  }
+  Blockly.bindEvent_(button, 'click', this, func);
+  return button;
+};
+
+/**
+ * Show the panel over a workspace and focus the search input.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to search.
+ */
+Blockly.SearchPanel.show = function(workspace) {
+  if (this.workspace_ != workspace) {
+    this.hide();
+    this.workspace_ = workspace;
+    this.search_ = new Blockly.WorkspaceSearch(workspace);
+  }
+  this.isOpen = true;
+  this.position_(workspace);
+  Blockly.utils.removeClass(this.panelRoot_, 'blocklySearchPanelHidden');
+  this.queryInput_.focus();
+  this.queryInput_.select();
+  this.onQueryChange_();
+};
+
+/**
+ * Hide the panel and remove the search highlights.
+ */
+Blockly.SearchPanel.hide = function() {
+  if (!this.isOpen) {
+    return;
+  }
+  this.isOpen = false;
+  Blockly.utils.addClass(this.panelRoot_, 'blocklySearchPanelHidden');
+  this.search_.dispose();
+  this.search_ = null;
+  this.workspace_ = null;
+};
+
+/**
+ * Move to the next match.
+ */
+Blockly.SearchPanel.next = function() {
+  if (this.search_) {
+    this.search_.next();
+    this.updateCount_();
+  }
+};
+
+/**
+ * Move to the previous match.
+ */
+Blockly.SearchPanel.previous = function() {
+  if (this.search_) {
+    this.search_.previous();
+    this.updateCount_();
+  }
+};
+
+/**
+ * Replace the current match, or move to the first match if there is none.
+ */
+Blockly.SearchPanel.replace = function() {
+  if (!this.search_) {
+    return;
+  }
+  if (this.search_.getCurrentMatch()) {
+    this.search_.replace(this.replaceInput_.value);
+  } else {
+    this.search_.next();
+  }
+  this.updateCount_();
+};
+
+/**
+ * Replace every match.
+ */
+Blockly.SearchPanel.replaceAll = function() {
+  if (this.search_) {
+    this.search_.replaceAll(this.replaceInput_.value);
+    this.updateCount_();
+  }
+};
+
+/**
+ * Toggle case sensitive searching.
+ * @private
+ */
+Blockly.SearchPanel.toggleMatchCase_ = function() {
+  this.matchCase_ = !this.matchCase_;
+  if (this.matchCase_) {
+    Blockly.utils.addClass(this.matchCaseButton_, 'blocklySearchButtonActive');
+  } else {
+    Blockly.utils.removeClass(this.matchCaseButton_,
+        'blocklySearchButtonActive');
+  }
+  this.onQueryChange_();
+};
+
+/**
+ * Search again after the query changed, and jump to the first match.
+ * @private
+ */
+Blockly.SearchPanel.onQueryChange_ = function() {
+  if (!this.search_) {
+    return;
+  }
+  this.search_.search(this.queryInput_.value, this.matchCase_);
+  this.search_.next();
+  this.updateCount_();
+};
+
+/**
+ * Handle a key down in the search input.  Enter moves to the next match
+ * (previous with shift) and escape closes the panel.
+ * @param {!Event} e Key down event.
+ * @private
+ */
+Blockly.SearchPanel.onQueryKeyDown_ = function(e) {
+  if (e.keyCode == 13) {
+    e.preventDefault();
+    if (e.shiftKey) {
+      this.previous();
+    } else {
+      this.next();
+    }
+  } else if (e.keyCode == 27) {
+    this.hide();
+  }
+};
+
+/**
+ * Handle a key down in the replace input.  Enter replaces the current match
+ * and escape closes the panel.
+ * @param {!Event} e Key down event.
+ * @private
+ */
+Blockly.SearchPanel.onReplaceKeyDown_ = function(e) {
+  if (e.keyCode == 13) {
+    e.preventDefault();
+    this.replace();
+  } else if (e.keyCode == 27) {
+    this.hide();
+  }
+};
+
+/**
+ * Show the position of the current match.
+ * @private
+ */
+Blockly.SearchPanel.updateCount_ = function() {
+  var total = this.search_ ? this.search_.getMatches().length : 0;
+  var text = '';
+  if (total) {
+    text = Blockly.Msg.SEARCH_RESULT_COUNT
+        .replace('%1', this.search_.getCurrentIndex() + 1)
+        .replace('%2', total);
+  } else if (this.queryInput_.value) {
+    text = Blockly.Msg.SEARCH_NO_RESULTS;
+  }
+  this.countLabel_.textContent = text;
+};
+
+/**
+ * Position the panel at the top right of the workspace (top left in RTL).
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace being searched.
+ * @private
+ */
+Blockly.SearchPanel.position_ = function(workspace) {
+  var MARGIN = 8;
+  var bounds = workspace.getParentSvg().getBoundingClientRect();
+  var width = this.panelRoot_.getBoundingClientRect().width;
+  var left = workspace.RTL ? bounds.left + MARGIN :
+      bounds.right - width - MARGIN;
+  this.panelRoot_.style.left = Math.max(left, 0) + 'px';
+  this.panelRoot_.style.top = (bounds.top + MARGIN) + 'px';
+};
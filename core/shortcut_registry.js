@@ -0,0 +1,776 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Registry of the keyboard shortcuts.  Shortcuts are registered
+ * by name and mapped to key combinations such as 'Mod+Shift+Z', where 'Mod' is
+ * the command key on Mac and the control key everywhere else.  The built-in
+ * shortcuts are registered here too, so that they can be remapped or removed.
+ */
+'use strict';
+
+/**
+ * @name Blockly.ShortcutRegistry
+ * @namespace
+ */
+goog.provide('Blockly.ShortcutRegistry');
+
+goog.require('Blockly.utils');
+
+goog.require('goog.userAgent');
+
+
+/**
+ * Where the keyboard focus is when a key is pressed.
+ * @enum {string}
+ */
+Blockly.ShortcutRegistry.ScopeType = {
+  WORKSPACE: 'workspace',
+  FLYOUT: 'flyout',
+  FIELD_EDITOR: 'fieldEditor'
+};
+
+/**
+ * Modifiers of key combinations, in the order they are written.  'Mod' is
+ * the command key on Mac and the control key everywhere else.
+ * @enum {string}
+ */
+Blockly.ShortcutRegistry.Modifier = {
+  MOD: 'Mod',
+  CONTROL: 'Control',
+  META: 'Meta',
+  ALT: 'Alt',
+  SHIFT: 'Shift'
+};
+
+/**
+ * A keyboard shortcut.  The callback returns true if it handled the key, in
+ * which case no other shortcut is tried.
+ * @typedef {{
+ *   name: string,
+ *   keys: (!Array.<string>|undefined),
+ *   scopes: (!Array.<string>|undefined),
+ *   preconditionFn: (function(!Blockly.WorkspaceSvg, !Event): boolean|
+ *       undefined),
+ *   callback: function(!Blockly.WorkspaceSvg, !Event): boolean
+ * }}
+ */
+Blockly.ShortcutRegistry.Shortcut;
+
+/**
+ * Names of keys that are not letters, digits or function keys, by key code.
+ * @const {!Object.<number, string>}
+ * @private
+ */
+Blockly.ShortcutRegistry.KEY_NAMES_ = {
+  8: 'Backspace',
+  9: 'Tab',
+  13: 'Enter',
+  27: 'Escape',
+  32: 'Space',
+  37: 'Left',
+  38: 'Up',
+  39: 'Right',
+  40: 'Down',
+  46: 'Delete',
+  61: 'Equal',
+  107: 'Plus',
+  109: 'Minus',
+  173: 'Minus',
+  187: 'Equal',
+  189: 'Minus'
+};
+
+/**
+ * How modifiers and keys are shown in menus, on Mac and elsewhere.
+ * @const {!Object.<string, !Array.<string>>}
+ * @private
+ */
+Blockly.ShortcutRegistry.LABELS_ = {
+  'Mod': ['⌘', 'Ctrl'],
+  'Control': ['⌃', 'Ctrl'],
+  'Meta': ['⌘', 'Meta'],
+  'Alt': ['⌥', 'Alt'],
+  'Shift': ['⇧', 'Shift'],
+  'Left': ['←', '←'],
+  'Right': ['→', '→'],
+  'Equal': ['=', '='],
+  'Minus': ['-', '-'],
+  'Plus': ['+', '+']
+};
+
+/**
+ * Registered shortcuts, keyed by name.
+ * @type {!Object.<string, !Blockly.ShortcutRegistry.Shortcut>}
+ * @private
+ */
+Blockly.ShortcutRegistry.shortcuts_ = Object.create(null);
+
+/**
+ * Names of the shortcuts mapped to each key combination, in the order they
+ * are tried.
+ * @type {!Object.<string, !Array.<string>>}
+ * @private
+ */
+Blockly.ShortcutRegistry.keyMap_ = Object.create(null);
+
+/**
+ * Register a keyboard shortcut, mapped to its keys.
+ * @param {!Blockly.ShortcutRegistry.Shortcut} shortcut The shortcut.  It
+ *     applies to the workspace unless it has scopes.
+ * @param {boolean=} opt_replace True to replace the shortcut with the same
+ *     name, and its keys.
+ * @throws {Error} if a shortcut with the same name is already registered and
+ *     is not being replaced.
+ */
+Blockly.ShortcutRegistry.register = function(shortcut, opt_replace) {
+  var name = shortcut.name;
+  if (Blockly.ShortcutRegistry.shortcuts_[name]) {
+    if (!opt_replace) {
+      throw Error('Shortcut "' + name + '" is already registered.');
+    }
+    Blockly.ShortcutRegistry.unregister(name);
+  }
+  Blockly.ShortcutRegistry.shortcuts_[name] = shortcut;
+  (shortcut.keys || []).forEach(function(keys) {
+    Blockly.ShortcutRegistry.addKeyMapping(keys, name);
+  });
+};
+
+/**
+ * Unregister a keyboard shortcut and remove its keys.
+ * @param {string} name Name of the shortcut.
+ */
+Blockly.ShortcutRegistry.unregister = function(name) {
+  Blockly.ShortcutRegistry.getKeys(name).forEach(function(keys) {
+    Blockly.ShortcutRegistry.removeKeyMapping(keys, name);
+  });
+  delete Blockly.ShortcutRegistry.shortcuts_[name];
+};
+
+/**
+ * Get a registered shortcut.
+ * @param {string} name Name of the shortcut.
+ * @return {?Blockly.ShortcutRegistry.Shortcut} The shortcut, or null if there
+ *     is none with that name.
+ */
+Blockly.ShortcutRegistry.getShortcut = function(name) {
+  return Blockly.ShortcutRegistry.shortcuts_[name] || null;
+};
+
+/**
+ * Map a key combination to a shortcut, as well as to the shortcuts it is
+ * already mapped to.  The shortcut is tried after those.
+ * @param {string} keys Key combination, such as 'Mod+D'.
+ * @param {string} name Name of the shortcut.
+ * @throws {Error} if there is no shortcut with that name.
+ */
+Blockly.ShortcutRegistry.addKeyMapping = function(keys, name) {
+  if (!Blockly.ShortcutRegistry.shortcuts_[name]) {
+    throw Error('Shortcut "' + name + '" is not registered.');
+  }
+  keys = Blockly.ShortcutRegistry.normalizeKeys(keys);
+  var names = Blockly.ShortcutRegistry.keyMap_[keys] ||
+      (Blockly.ShortcutRegistry.keyMap_[keys] = []);
+  if (names.indexOf(name) == -1) {
+    names.push(name);
+  }
+};
+
+/**
+ * Stop a key combination from triggering a shortcut.
+ * @param {string} keys Key combination, such as 'Mod+D'.
+ * @param {string} name Name of the shortcut.
+ */
+Blockly.ShortcutRegistry.removeKeyMapping = function(keys, name) {
+  keys = Blockly.ShortcutRegistry.normalizeKeys(keys);
+  var names = Blockly.ShortcutRegistry.keyMap_[keys];
+  if (!names || names.indexOf(name) == -1) {
+    return;
+  }
+  names.splice(names.indexOf(name), 1);
+  if (!names.length) {
+    delete Blockly.ShortcutRegistry.keyMap_[keys];
+  }
+};
+
+/**
+ * Replace the keys of a shortcut.
+ * @param {string} name Name of the shortcut.
+ * @param {!Array.<string>} keys The new key combinations.
+ */
+Blockly.ShortcutRegistry.setKeyMappings = function(name, keys) {
+  Blockly.ShortcutRegistry.getKeys(name).forEach(function(oldKeys) {
+    Blockly.ShortcutRegistry.removeKeyMapping(oldKeys, name);
+  });
+  keys.forEach(function(newKeys) {
+    Blockly.ShortcutRegistry.addKeyMapping(newKeys, name);
+  });
+};
+
+/**
+ * Get the key combinations of a shortcut.
+ * @param {string} name Name of the shortcut.
+ * @return {!Array.<string>} The normalized key combinations.
+ */
+Blockly.ShortcutRegistry.getKeys = function(name) {
+  var keyMap = Blockly.ShortcutRegistry.keyMap_;
+  return Object.keys(keyMap).filter(function(keys) {
+    return keyMap[keys].indexOf(name) != -1;
+  });
+};
+
+/**
+ * Get the names of the shortcuts a key combination is mapped to.
+ * @param {string} keys Key combination, such as 'Mod+D'.
+ * @return {!Array.<string>} Names of the shortcuts, in the order they are
+ *     tried.
+ */
+Blockly.ShortcutRegistry.getShortcutNames = function(keys) {
+  keys = Blockly.ShortcutRegistry.normalizeKeys(keys);
+  return (Blockly.ShortcutRegistry.keyMap_[keys] || []).slice();
+};
+
+/**
+ * Get how the first key combination of a shortcut is shown in menus, such as
+ * '⌘ A' on Mac or 'Ctrl A' elsewhere.
+ * @param {string} name Name of the shortcut.
+ * @return {string} The label, or '' if the shortcut has no keys.
+ */
+Blockly.ShortcutRegistry.getKeyLabel = function(name) {
+  var keys = Blockly.ShortcutRegistry.getKeys(name)[0];
+  if (!keys) {
+    return '';
+  }
+  var platform = goog.userAgent.MAC ? 0 : 1;
+  return keys.split('+').map(function(part) {
+    var label = Blockly.ShortcutRegistry.LABELS_[part];
+    return label ? label[platform] : part;
+  }).join(' ');
+};
+
+/**
+ * Names the modifiers can be written with, in lower case.
+ * @const {!Object.<string, string>}
+ * @private
+ */
+Blockly.ShortcutRegistry.MODIFIER_ALIASES_ = {
+  'mod': 'Mod',
+  'control': 'Control',
+  'ctrl': 'Control',
+  'meta': 'Meta',
+  'cmd': 'Meta',
+  'command': 'Meta',
+  'alt': 'Alt',
+  'option': 'Alt',
+  'shift': 'Shift'
+};
+
+/**
+ * Write a key combination the way it is stored: modifiers first, in a fixed
+ * order, then the key.  'Meta' on Mac and 'Control' elsewhere become 'Mod'.
+ * @param {string} keys Key combination, such as 'shift+ctrl+z'.
+ * @return {string} The normalized key combination, such as 'Mod+Shift+Z'.
+ * @throws {Error} if a modifier is unknown.
+ */
+Blockly.ShortcutRegistry.normalizeKeys = function(keys) {
+  var parts = keys.split('+').map(function(part) {
+    return part.trim();
+  });
+  var key = parts.pop();
+  var modifiers = parts.map(function(part) {
+    var modifier = Blockly.ShortcutRegistry.MODIFIER_ALIASES_[
+        part.toLowerCase()];
+    if (!modifier) {
+      throw Error('Unknown modifier "' + part + '" in "' + keys + '".');
+    }
+    if (modifier == (goog.userAgent.MAC ? 'Meta' : 'Control')) {
+      modifier = 'Mod';
+    }
+    return modifier;
+  });
+  key = key.length == 1 ? key.toUpperCase() :
+      key.charAt(0).toUpperCase() + key.slice(1).toLowerCase();
+  return Blockly.ShortcutRegistry.joinKeys_(modifiers, key);
+};
+
+/**
+ * Get the key combination of a key event.
+ * @param {!Event} e Key down event.
+ * @return {?string} The normalized key combination, or null if the key has
+ *     no name, such as a modifier on its own.
+ */
+Blockly.ShortcutRegistry.serializeKeyEvent = function(e) {
+  var code = e.keyCode;
+  var key = Blockly.ShortcutRegistry.KEY_NAMES_[code];
+  if ((code >= 48 && code <= 57) || (code >= 65 && code <= 90)) {
+    key = String.fromCharCode(code);
+  } else if (code >= 112 && code <= 123) {
+    key = 'F' + (code - 111);
+  }
+  if (!key) {
+    return null;
+  }
+  var modifiers = [];
+  if (goog.userAgent.MAC ? e.metaKey : e.ctrlKey) {
+    modifiers.push('Mod');
+  }
+  if (goog.userAgent.MAC ? e.ctrlKey : e.metaKey) {
+    modifiers.push(goog.userAgent.MAC ? 'Control' : 'Meta');
+  }
+  if (e.altKey) {
+    modifiers.push('Alt');
+  }
+  if (e.shiftKey) {
+    modifiers.push('Shift');
+  }
+  return Blockly.ShortcutRegistry.joinKeys_(modifiers, key);
+};
+
+/**
+ * Join modifiers and a key, with the modifiers in a fixed order.
+ * @param {!Array.<string>} modifiers The modifiers.
+ * @param {string} key The key.
+ * @return {string} The key combination.
+ * @private
+ */
+Blockly.ShortcutRegistry.joinKeys_ = function(modifiers, key) {
+  var order = Object.keys(Blockly.ShortcutRegistry.Modifier).map(function(k) {
+    return Blockly.ShortcutRegistry.Modifier[k];
+  });
+  return order.filter(function(modifier) {
+    return modifiers.indexOf(modifier) != -1;
+  }).concat(key).join('+');
+};
+
+/**
+ * Run the shortcuts mapped to the keys of a key event.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace the keys are for.
+ * @param {!Event} e Key down event.
+ * @param {string} scopeType Where the keyboard focus is.
+ * @return {boolean} True if a shortcut handled the keys.
+ */
+Blockly.ShortcutRegistry.onKeyDown = function(workspace, e, scopeType) {
+  var keys = Blockly.ShortcutRegistry.serializeKeyEvent(e);
+  if (!keys) {
+    return false;
+  }
+  var names = Blockly.ShortcutRegistry.getShortcutNames(keys);
+  for (var i = 0; i < names.length; i++) {
+    var shortcut = Blockly.ShortcutRegistry.shortcuts_[names[i]];
+    var scopes = shortcut.scopes ||
+        [Blockly.ShortcutRegistry.ScopeType.WORKSPACE];
+    if (scopes.indexOf(scopeType) == -1) {
+      continue;
+    }
+    if (shortcut.preconditionFn && !shortcut.preconditionFn(workspace, e)) {
+      continue;
+    }
+    if (shortcut.callback(workspace, e)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Whether the modifier shortcuts (copy, paste, undo and so on) must wait:
+ * while a batch of elements is selected or something is being dragged.
+ * @return {boolean} True if they must wait.
+ * @private
+ */
+Blockly.ShortcutRegistry.isBusy_ = function() {
+  var ws = Blockly.mainWorkspace;
+  if (Blockly.batchSelectedElements &&
+      (Object.keys(Blockly.batchSelectedElements[0]).length > 0 ||
+      Object.keys(Blockly.batchSelectedElements[1]).length > 0)) {
+    return true;
+  }
+  return ws.isDragging() || !!ws.resizingFrame;
+};
+
+/**
+ * Whether the selected block, frame or comment may be copied.  Copying
+ * immovable or undeletable things is not allowed, since pasting would make
+ * more of them.
+ * @return {boolean} True if it may be copied.
+ * @private
+ */
+Blockly.ShortcutRegistry.canCopySelected_ = function() {
+  return !!Blockly.selected && Blockly.selected.isDeletable() &&
+      Blockly.selected.isMovable();
+};
+
+/**
+ * Delete the selected block, frame or comment, unless it is in a flyout or
+ * is the definition of a custom block that is still used.
+ * @private
+ */
+Blockly.ShortcutRegistry.deleteSelected_ = function() {
+  var selected = Blockly.selected;
+  if (selected.workspace.isFlyout) {
+    return;
+  }
+  if (selected instanceof Blockly.BlockSvg &&
+      selected.type === Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE) {
+    var procCode = selected.childBlocks_[0].getProcCode();
+    var callers = Blockly.Procedures.getCallers(procCode, selected.workspace,
+        selected, false /* allowRecursive */);
+    if (callers.length > 0) {
+      alert(Blockly.Msg.PROCEDURE_USED);
+      return;
+    }
+  }
+  Blockly.Events.setGroup(true);
+  Blockly.hideChaff();
+  if (selected instanceof Blockly.Frame) {
+    selected.dispose();
+  } else {
+    selected.dispose(/* heal */ true, true);
+  }
+  Blockly.Events.setGroup(false);
+};
+
+/**
+ * Register the built-in shortcuts.
+ * @private
+ */
+Blockly.ShortcutRegistry.registerDefaults_ = function() {
+  // The clipboard and undo shortcuts also take the control key on Mac, as
+  // they always have.  Elsewhere 'Control' is the same as 'Mod'.
+  var register = Blockly.ShortcutRegistry.register;
+  var ScopeType = Blockly.ShortcutRegistry.ScopeType;
+  var allScopes = [ScopeType.WORKSPACE, ScopeType.FLYOUT];
+  var isBusy = Blockly.ShortcutRegistry.isBusy_;
+  var isFocused = function(workspace) {
+    return workspace.isWorkspaceFocused;
+  };
+
+  register({
+    name: 'escape',
+    keys: ['Escape'],
+    scopes: allScopes,
+    callback: function() {
+      // Close the context menu and any drop-down, and stop creating a frame.
+      var ws = Blockly.mainWorkspace;
+      Blockly.hideChaff();
+      Blockly.DropDownDiv.hide();
+      ws.setWaitingCreateFrameEnabled(false);
+      if (ws.batchSelector) {
+        ws.batchSelector.clear();
+      }
+      return true;
+    }
+  });
+
+  register({
+    name: 'delete',
+    keys: ['Backspace', 'Delete'],
+    scopes: allScopes,
+    callback: function(workspace, e) {
+      // Stop the browser from going back to the previous page.  Do this first
+      // so that an error in the delete code can't result in data loss.
+      e.preventDefault();
+      if (isBusy()) {
+        return true;
+      }
+      var batchSelector = Blockly.mainWorkspace.batchSelector;
+      if (!Blockly.locked && batchSelector && !batchSelector.isEmpty()) {
+        Blockly.hideChaff();
+        batchSelector.deleteSelected();
+      } else if (Blockly.selected && Blockly.selected.isDeletable()) {
+        Blockly.ShortcutRegistry.deleteSelected_();
+      }
+      return true;
+    }
+  });
+
+  register({
+    name: 'copy',
+    keys: ['Mod+C', 'Control+C'],
+    scopes: allScopes,
+    preconditionFn: function() {
+      return !isBusy();
+    },
+    callback: function() {
+      var batchSelector = Blockly.mainWorkspace.batchSelector;
+      if (batchSelector && !batchSelector.isEmpty()) {
+        Blockly.hideChaff();
+        batchSelector.copy();
+        Blockly.clipboardBatchElements = null;
+      } else if (Blockly.ShortcutRegistry.canCopySelected_()) {
+        Blockly.hideChaff();
+        Blockly.Clipboard.copy(Blockly.selected);
+        Blockly.clipboardBatchElements = null;
+        Blockly.clipboardBatchXml_ = null;
+      }
+      return true;
+    }
+  });
+
+  register({
+    name: 'cut',
+    keys: ['Mod+X', 'Control+X'],
+    scopes: allScopes,
+    preconditionFn: function() {
+      return !isBusy();
+    },
+    callback: function() {
+      var batchSelector = Blockly.mainWorkspace.batchSelector;
+      if (batchSelector && !batchSelector.isEmpty()) {
+        Blockly.hideChaff();
+        batchSelector.copy();
+        Blockly.clipboardBatchElements = null;
+        if (!Blockly.locked) {
+          batchSelector.deleteSelected();
+        }
+      } else if (Blockly.ShortcutRegistry.canCopySelected_() &&
+          !Blockly.selected.workspace.isFlyout) {
+        Blockly.Clipboard.copy(Blockly.selected);
+        Blockly.clipboardBatchXml_ = null;
+        Blockly.ShortcutRegistry.deleteSelected_();
+      }
+      return true;
+    }
+  });
+
+  register({
+    name: 'paste',
+    keys: ['Mod+V', 'Control+V'],
+    scopes: allScopes,
+    preconditionFn: function() {
+      return !isBusy();
+    },
+    callback: function() {
+      var ws = Blockly.mainWorkspace;
+      if (Blockly.clipboardBatchElements &&
+          Blockly.clipboardBatchElements.length > 0) {
+        return true;
+      }
+      if (Blockly.clipboardBatchXml_ && ws.batchSelector) {
+        ws.batchSelector.paste();
+      } else {
+        // The system clipboard may hold blocks copied in another tab.
+        Blockly.Clipboard.pasteShortcut(ws);
+      }
+      return true;
+    }
+  });
+
+  register({
+    name: 'undo',
+    keys: ['Mod+Z', 'Control+Z'],
+    scopes: allScopes,
+    preconditionFn: function() {
+      return !isBusy();
+    },
+    callback: function() {
+      Blockly.hideChaff();
+      Blockly.mainWorkspace.undo(false);
+      return true;
+    }
+  });
+
+  register({
+    name: 'redo',
+    keys: ['Mod+Shift+Z', 'Control+Shift+Z'],
+    scopes: allScopes,
+    preconditionFn: function() {
+      return !isBusy();
+    },
+    callback: function() {
+      Blockly.hideChaff();
+      Blockly.mainWorkspace.undo(true);
+      return true;
+    }
+  });
+
+  register({
+    name: 'duplicate',
+    keys: ['Mod+D'],
+    preconditionFn: function() {
+      return !isBusy() && !Blockly.locked &&
+          Blockly.ShortcutRegistry.canCopySelected_();
+    },
+    callback: function(workspace, e) {
+      // Stop the browser from bookmarking the page.
+      e.preventDefault();
+      Blockly.hideChaff();
+      Blockly.Events.setGroup(true);
+      Blockly.duplicate_(Blockly.selected);
+      Blockly.Events.setGroup(false);
+      return true;
+    }
+  });
+
+  register({
+    name: 'collapse',
+    keys: ['Alt+C'],
+    preconditionFn: function(workspace) {
+      return workspace.options.collapse && !isBusy() &&
+          Blockly.selected instanceof Blockly.BlockSvg &&
+          Blockly.selected.isEditable();
+    },
+    callback: function() {
+      var block = Blockly.selected;
+      Blockly.hideChaff();
+      block.setCollapsed(!block.isCollapsed());
+      return true;
+    }
+  });
+
+  register({
+    name: 'createFrame',
+    keys: ['Mod+A'],
+    preconditionFn: function(workspace) {
+      // The browser selects everything instead while dragging.
+      return !Blockly.locked && workspace.options.frames &&
+          isFocused(workspace) && !workspace.isDragging() &&
+          !workspace.resizingFrame;
+    },
+    callback: function(workspace, e) {
+      // Prevent triggering select all.
+      e.preventDefault();
+      workspace.setWaitingCreateFrameEnabled(true);
+      return true;
+    }
+  });
+
+  register({
+    name: 'zoomIn',
+    keys: ['Mod+Equal', 'Mod+Shift+Equal', 'Mod+Plus'],
+    preconditionFn: isFocused,
+    callback: function(workspace, e) {
+      // Zoom the workspace rather than the page.
+      e.preventDefault();
+      workspace.zoomCenter(1);
+      return true;
+    }
+  });
+
+  register({
+    name: 'zoomOut',
+    keys: ['Mod+Minus'],
+    preconditionFn: isFocused,
+    callback: function(workspace, e) {
+      e.preventDefault();
+      workspace.zoomCenter(-1);
+      return true;
+    }
+  });
+
+  register({
+    name: 'cleanUp',
+    keys: ['Alt+Shift+F'],
+    preconditionFn: function(workspace) {
+      return isFocused(workspace) && !!workspace.scrollbar && !isBusy();
+    },
+    callback: function(workspace, e) {
+      e.preventDefault();
+      Blockly.hideChaff();
+      workspace.cleanUp();
+      return true;
+    }
+  });
+
+  register({
+    name: 'search',
+    keys: ['Mod+F'],
+    preconditionFn: isFocused,
+    callback: function(workspace, e) {
+      // Open the find/replace panel instead of the browser's find bar.
+      e.preventDefault();
+      Blockly.hideChaff();
+      Blockly.SearchPanel.show(workspace);
+      return true;
+    }
+  });
+
+  register({
+    name: 'history',
+    keys: ['Mod+Shift+H'],
+    preconditionFn: function(workspace) {
+      return isFocused(workspace) && !!workspace.scrollbar;
+    },
+    callback: function(workspace, e) {
+      e.preventDefault();
+      Blockly.hideChaff();
+      Blockly.HistoryPanel.show(workspace);
+      return true;
+    }
+  });
+
+  register({
+    name: 'navigateBack',
+    keys: ['Alt+Left'],
+    preconditionFn: function(workspace) {
+      return isFocused(workspace) && !!workspace.navigationHistory &&
+          workspace.navigationHistory.canGoBack();
+    },
+    callback: function(workspace, e) {
+      // Go back in the workspace rather than in the browser.
+      e.preventDefault();
+      return workspace.navigationHistory.back();
+    }
+  });
+
+  register({
+    name: 'navigateForward',
+    keys: ['Alt+Right'],
+    preconditionFn: function(workspace) {
+      return isFocused(workspace) && !!workspace.navigationHistory &&
+          workspace.navigationHistory.canGoForward();
+    },
+    callback: function(workspace, e) {
+      e.preventDefault();
+      return workspace.navigationHistory.forward();
+    }
+  });
+};
+
+Blockly.ShortcutRegistry.registerDefaults_();
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['ShortcutRegistry']) {
+  goog.global['Blockly']['ShortcutRegistry'] = {};
+}
+goog.global['Blockly']['ShortcutRegistry']['ScopeType'] =
+    Blockly.ShortcutRegistry.ScopeType;
+goog.global['Blockly']['ShortcutRegistry']['register'] =
+    Blockly.ShortcutRegistry.register;
+goog.global['Blockly']['ShortcutRegistry']['unregister'] =
+    Blockly.ShortcutRegistry.unregister;
+goog.global['Blockly']['ShortcutRegistry']['getShortcut'] =
+    Blockly.ShortcutRegistry.getShortcut;
+goog.global['Blockly']['ShortcutRegistry']['addKeyMapping'] =
+    Blockly.ShortcutRegistry.addKeyMapping;
+goog.global['Blockly']['ShortcutRegistry']['removeKeyMapping'] =
+    Blockly.ShortcutRegistry.removeKeyMapping;
+goog.global['Blockly']['ShortcutRegistry']['setKeyMappings'] =
+    Blockly.ShortcutRegistry.setKeyMappings;
+goog.global['Blockly']['ShortcutRegistry']['getKeys'] =
+    Blockly.ShortcutRegistry.getKeys;
+goog.global['Blockly']['ShortcutRegistry']['getShortcutNames'] =
+    Blockly.ShortcutRegistry.getShortcutNames;
+goog.global['Blockly']['ShortcutRegistry']['getKeyLabel'] =
+    Blockly.ShortcutRegistry.getKeyLabel;
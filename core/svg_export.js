@@ -0,0 +1,441 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Export of a stack, a frame, a workspace comment or a whole
+ * workspace as a standalone SVG document or a PNG image.  The document
+ * carries Blockly's styles, and the fonts and images it uses are embedded,
+ * so that it renders the same outside of the page.
+ */
+'use strict';
+
+/**
+ * @name Blockly.SvgExport
+ * @namespace
+ **/
+goog.provide('Blockly.SvgExport');
+
+goog.require('Blockly.Css');
+goog.require('Blockly.Frame');
+goog.require('Blockly.utils');
+
+
+/**
+ * Class of the root of exported documents.
+ * @const {string}
+ */
+Blockly.SvgExport.CLASS_NAME = 'blocklyExport';
+
+/**
+ * Render an item of a workspace, or a whole workspace with its frames and
+ * comments, as an SVG document.  The document carries Blockly's styles but
+ * still refers to fonts and images by their URL; use Blockly.SvgExport.toSvg
+ * for a document that renders outside of the page.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg|
+ *     !Blockly.WorkspaceSvg} target The stack starting at a block, the frame,
+ *     the workspace comment or the workspace to render.
+ * @param {Object=} opt_options Dictionary of options: 'margin' around the
+ *     content in workspace units (default 0), 'scale' of the document in
+ *     pixels per workspace unit (default 1) and 'background' colour (default
+ *     none).
+ * @return {!Element} The SVG document.
+ */
+Blockly.SvgExport.createSvg = function(target, opt_options) {
+  var options = opt_options || {};
+  var margin = options['margin'] || 0;
+  var scale = options['scale'] || 1;
+  var workspace = target.getCanvas ? target : target.workspace;
+  var revealed = Blockly.SvgExport.revealBlocks_(target);
+  try {
+    var roots = target.getCanvas ?
+        [workspace.getCanvas(), workspace.getBubbleCanvas()] :
+        [target.getSvgRoot()];
+    var bBox = Blockly.SvgExport.getBBox_(roots);
+    var clones = roots.map(Blockly.SvgExport.cloneElement_);
+  } finally {
+    revealed.forEach(function(block) {
+      block.setIntersects(false);
+    });
+  }
+  var left = bBox.x - margin;
+  var top = bBox.y - margin;
+  var width = bBox.width + 2 * margin;
+  var height = bBox.height + 2 * margin;
+  var svg = Blockly.utils.createSvgElement('svg', {
+    'xmlns': Blockly.SVG_NS,
+    'version': '1.1',
+    'class': 'blocklySvg ' + Blockly.SvgExport.CLASS_NAME,
+    'width': Math.ceil(width * scale),
+    'height': Math.ceil(height * scale),
+    'viewBox': [left, top, width, height].join(' ')
+  }, null);
+  var style = Blockly.utils.createSvgElement('style', {}, svg);
+  style.textContent = Blockly.SvgExport.getStyleText_(workspace);
+  if (options['background']) {
+    Blockly.utils.createSvgElement('rect', {
+      'x': left,
+      'y': top,
+      'width': width,
+      'height': height,
+      'fill': options['background']
+    }, svg);
+  }
+  clones.forEach(function(clone) {
+    svg.appendChild(clone);
+  });
+  return svg;
+};
+
+/**
+ * Render a target as a standalone SVG document, with its fonts and images
+ * embedded.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg|
+ *     !Blockly.WorkspaceSvg} target What to render.
+ * @param {Object=} opt_options Options, as for Blockly.SvgExport.createSvg.
+ * @return {!Promise.<!Element>} Promise of the SVG document.
+ */
+Blockly.SvgExport.toSvg = function(target, opt_options) {
+  var svg = Blockly.SvgExport.createSvg(target, opt_options);
+  return Blockly.SvgExport.embedResources_(svg).then(function() {
+    return svg;
+  });
+};
+
+/**
+ * Render a target as the text of a standalone SVG document, with its fonts
+ * and images embedded.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg|
+ *     !Blockly.WorkspaceSvg} target What to render.
+ * @param {Object=} opt_options Options, as for Blockly.SvgExport.createSvg.
+ * @return {!Promise.<string>} Promise of the text of the SVG document.
+ */
+Blockly.SvgExport.toSvgText = function(target, opt_options) {
+  return Blockly.SvgExport.toSvg(target, opt_options).then(function(svg) {
+    return new XMLSerializer().serializeToString(svg);
+  });
+};
+
+/**
+ * Render a target as a PNG image.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg|
+ *     !Blockly.WorkspaceSvg} target What to render.
+ * @param {Object=} opt_options Options, as for Blockly.SvgExport.createSvg.
+ *     The 'scale' is in image pixels per workspace unit.
+ * @return {!Promise.<!Blob>} Promise of the image.
+ */
+Blockly.SvgExport.toPng = function(target, opt_options) {
+  return Blockly.SvgExport.toSvg(target, opt_options).then(function(svg) {
+    var width = Number(svg.getAttribute('width'));
+    var height = Number(svg.getAttribute('height'));
+    var url = 'data:image/svg+xml;charset=utf-8,' +
+        encodeURIComponent(new XMLSerializer().serializeToString(svg));
+    return new Promise(function(resolve, reject) {
+      var image = new Image();
+      image.onload = function() {
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        canvas.toBlob(function(blob) {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(Error('Could not render the image.'));
+          }
+        }, 'image/png');
+      };
+      image.onerror = function() {
+        reject(Error('Could not render the image.'));
+      };
+      image.src = url;
+    });
+  });
+};
+
+/**
+ * Show the blocks of a target that are hidden or not rendered yet for being
+ * out of view, so that they can be measured and rendered.  Only the stacks
+ * being exported are rendered, so that exporting one stack doesn't build the
+ * whole workspace.
+ * @param {!Blockly.BlockSvg|!Blockly.Frame|!Blockly.WorkspaceCommentSvg|
+ *     !Blockly.WorkspaceSvg} target What is being exported.
+ * @return {!Array.<!Blockly.BlockSvg>} The blocks that were hidden.
+ * @private
+ */
+Blockly.SvgExport.revealBlocks_ = function(target) {
+  var topBlocks = [];
+  if (target.getCanvas) {
+    topBlocks = target.getTopBlocks(false);
+  } else if (target instanceof Blockly.Frame) {
+    [target].concat(target.getDescendantFrames()).forEach(function(frame) {
+      topBlocks = topBlocks.concat(Object.values(frame.blockDB_));
+    });
+  } else if (!target.isComment) {
+    topBlocks = [target.getRootBlock()];
+  }
+  var blocks = [];
+  topBlocks.forEach(function(block) {
+    block.renderDeferred();
+    blocks = blocks.concat(block.getDescendants(false));
+  });
+  var revealed = blocks.filter(function(block) {
+    return block.intersects_ === false;
+  });
+  revealed.forEach(function(block) {
+    block.setIntersects(true);
+  });
+  return revealed;
+};
+
+/**
+ * Get the box around the content of elements, in their own coordinates.
+ * @param {!Array.<!Element>} roots The elements.
+ * @return {!{x: number, y: number, width: number, height: number}} The box.
+ * @private
+ */
+Blockly.SvgExport.getBBox_ = function(roots) {
+  var box = null;
+  for (var i = 0; i < roots.length; i++) {
+    var rootBox = roots[i].getBBox();
+    if (!rootBox.width && !rootBox.height) {
+      continue;
+    }
+    if (!box) {
+      box = {
+        left: rootBox.x,
+        top: rootBox.y,
+        right: rootBox.x + rootBox.width,
+        bottom: rootBox.y + rootBox.height
+      };
+    } else {
+      box.left = Math.min(box.left, rootBox.x);
+      box.top = Math.min(box.top, rootBox.y);
+      box.right = Math.max(box.right, rootBox.x + rootBox.width);
+      box.bottom = Math.max(box.bottom, rootBox.y + rootBox.height);
+    }
+  }
+  if (!box) {
+    return {x: 0, y: 0, width: 0, height: 0};
+  }
+  return {
+    x: box.left,
+    y: box.top,
+    width: box.right - box.left,
+    height: box.bottom - box.top
+  };
+};
+
+/**
+ * Copy an element of the workspace for a document, at the origin and without
+ * the parts that only make sense on the page: selection, glow filters and
+ * the scale of the workspace.  The text of inputs and text areas, which is
+ * not part of their markup, is copied along.
+ * @param {!Element} root The element.
+ * @return {!Element} The copy.
+ * @private
+ */
+Blockly.SvgExport.cloneElement_ = function(root) {
+  var clone = root.cloneNode(true);
+  clone.removeAttribute('transform');
+  clone.style.removeProperty('--scale');
+  clone.style.removeProperty('display');
+  var filtered = clone.querySelectorAll('[filter]');
+  for (var i = 0; i < filtered.length; i++) {
+    filtered[i].removeAttribute('filter');
+  }
+  var selected = clone.querySelectorAll('.blocklySelected');
+  for (var i = 0; i < selected.length; i++) {
+    Blockly.utils.removeClass(selected[i], 'blocklySelected');
+  }
+  var inputs = root.querySelectorAll('input, textarea');
+  var clonedInputs = clone.querySelectorAll('input, textarea');
+  for (var i = 0; i < inputs.length; i++) {
+    if (inputs[i].tagName.toLowerCase() == 'textarea') {
+      clonedInputs[i].textContent = inputs[i].value;
+    } else {
+      clonedInputs[i].setAttribute('value', inputs[i].value);
+    }
+  }
+  return clone;
+};
+
+/**
+ * Get the styles of a document: Blockly's CSS, with the values that the CSS
+ * variables it uses have on the workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace being rendered.
+ * @return {string} The CSS.
+ * @private
+ */
+Blockly.SvgExport.getStyleText_ = function(workspace) {
+  var text = '';
+  if (Blockly.Css.styleSheet_) {
+    text = Array.prototype.map.call(Blockly.Css.styleSheet_.cssRules,
+        function(rule) {
+          return rule.cssText;
+        }).join('\n');
+  }
+  // The variables are set by the page, on an ancestor of the workspace.
+  var computedStyle = window.getComputedStyle(workspace.getParentSvg());
+  var declarations = [];
+  var names = text.match(/--[\w-]+/g) || [];
+  names.forEach(function(name) {
+    var value = computedStyle.getPropertyValue(name).trim();
+    var declaration = name + ': ' + value + ';';
+    if (value && name != '--scale' && declarations.indexOf(declaration) == -1) {
+      declarations.push(declaration);
+    }
+  });
+  return '.blocklySvg.' + Blockly.SvgExport.CLASS_NAME + ' {' +
+      'position: static; background-color: transparent; --scale: 1; ' +
+      declarations.join(' ') + '}\n' + text;
+};
+
+/**
+ * Embed the fonts and images that a document uses, so that it can be
+ * rendered outside of the page.  Fonts are those of the page's @font-face
+ * rules whose family is used by the document's styles.
+ * @param {!Element} svg The SVG document.
+ * @return {!Promise} Promise fulfilled once the resources are embedded.
+ * @private
+ */
+Blockly.SvgExport.embedResources_ = function(svg) {
+  var style = svg.getElementsByTagName('style')[0];
+  var fontFaces = Blockly.SvgExport.getFontFaces_(style.textContent);
+  var fontsEmbedded = Promise.all(fontFaces.map(function(fontFace) {
+    var urls = fontFace.text.match(/url\((['"]?)[^'")]+\1\)/g) || [];
+    return Promise.all(urls.map(function(url) {
+      var href = url.replace(/^url\((['"]?)/, '').replace(/['"]?\)$/, '');
+      var absoluteUrl = new URL(href, fontFace.baseUrl).href;
+      return Blockly.SvgExport.toDataUrl_(absoluteUrl).then(function(dataUrl) {
+        fontFace.text = fontFace.text.replace(url, 'url("' + dataUrl + '")');
+      });
+    }));
+  })).then(function() {
+    style.textContent = fontFaces.map(function(fontFace) {
+      return fontFace.text;
+    }).join('\n') + '\n' + style.textContent;
+  });
+
+  var images = svg.getElementsByTagName('image');
+  var imagesEmbedded = Promise.all(Array.prototype.map.call(images,
+      function(image) {
+        var href = image.getAttributeNS('http://www.w3.org/1999/xlink', 'href') ||
+            image.getAttribute('href');
+        if (!href || href.indexOf('data:') == 0) {
+          return null;
+        }
+        return Blockly.SvgExport.toDataUrl_(new URL(href, document.baseURI).href)
+            .then(function(dataUrl) {
+              image.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href',
+                  dataUrl);
+              image.removeAttribute('href');
+            });
+      }));
+  return Promise.all([fontsEmbedded, imagesEmbedded]);
+};
+
+/**
+ * Find the @font-face rules of the page for the font families used in CSS.
+ * Style sheets of other origins can't be read and are skipped.
+ * @param {string} css The CSS.
+ * @return {!Array.<!{text: string, baseUrl: string}>} The text of the rules,
+ *     with the URL that their relative URLs are relative to.
+ * @private
+ */
+Blockly.SvgExport.getFontFaces_ = function(css) {
+  var families = [];
+  var declarations = css.match(/font-family:[^;}]+/g) || [];
+  declarations.forEach(function(declaration) {
+    declaration.replace(/^font-family:/, '').split(',').forEach(function(family) {
+      families.push(Blockly.SvgExport.normalizeFamily_(family));
+    });
+  });
+  var fontFaces = [];
+  for (var i = 0; i < document.styleSheets.length; i++) {
+    var sheet = document.styleSheets[i];
+    try {
+      var rules = sheet.cssRules;
+    } catch (e) {
+      continue;
+    }
+    for (var j = 0; j < rules.length; j++) {
+      var rule = rules[j];
+      if (rule.type == CSSRule.FONT_FACE_RULE && families.indexOf(
+          Blockly.SvgExport.normalizeFamily_(
+              rule.style.getPropertyValue('font-family'))) != -1) {
+        fontFaces.push({
+          text: rule.cssText,
+          baseUrl: sheet.href || document.baseURI
+        });
+      }
+    }
+  }
+  return fontFaces;
+};
+
+/**
+ * Normalize the name of a font family, for comparison.
+ * @param {string} family The name, maybe quoted.
+ * @return {string} The name, unquoted and in lowercase.
+ * @private
+ */
+Blockly.SvgExport.normalizeFamily_ = function(family) {
+  return family.trim().replace(/^['"]|['"]$/g, '').toLowerCase();
+};
+
+/**
+ * Fetch a resource as a data URL.  A resource that can't be fetched keeps its
+ * URL.
+ * @param {string} url The URL of the resource.
+ * @return {!Promise.<string>} Promise of the data URL.
+ * @private
+ */
+Blockly.SvgExport.toDataUrl_ = function(url) {
+  return fetch(url).then(function(response) {
+    if (!response.ok) {
+      throw Error(response.statusText);
+    }
+    return response.blob();
+  }).then(function(blob) {
+    return new Promise(function(resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function() {
+        resolve(reader.result);
+      };
+      reader.onerror = reject;
+      reader.readAsDataURL(blob);
+    });
+  }).catch(function(e) {
+    console.warn('Could not embed ' + url, e);
+    return url;
+  });
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['SvgExport']) {
+  goog.global['Blockly']['SvgExport'] = {};
+}
+goog.global['Blockly']['SvgExport']['createSvg'] = Blockly.SvgExport.createSvg;
+goog.global['Blockly']['SvgExport']['toSvg'] = Blockly.SvgExport.toSvg;
+goog.global['Blockly']['SvgExport']['toSvgText'] = Blockly.SvgExport.toSvgText;
+goog.global['Blockly']['SvgExport']['toPng'] = Blockly.SvgExport.toPng;
@@ -0,0 +1,336 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Themes: named palettes for Blockly.Colours, which can be
+ * switched on a workspace that is already rendered.
+ */
+'use strict';
+
+goog.provide('Blockly.Theme');
+
+goog.require('Blockly.Colours');
+
+goog.require('goog.object');
+
+
+/**
+ * Class for a theme.
+ * @param {string} name Name of the theme.
+ * @param {!Object} colours Dictionary of colour properties and values, in the
+ *     shape of Blockly.Colours.  Category colours, backgrounds, field and text
+ *     colours and frame and comment colours that are left out keep the values
+ *     of the classic theme.
+ * @constructor
+ */
+Blockly.Theme = function(name, colours) {
+  /**
+   * @type {string}
+   */
+  this.name = name;
+
+  /**
+   * @type {!Object}
+   * @private
+   */
+  this.colours_ = colours;
+};
+
+/**
+ * Colours of the classic theme: the values of Blockly.Colours before any
+ * override.
+ * @type {!Object}
+ * @private
+ */
+Blockly.Theme.CLASSIC_COLOURS_ = (function() {
+  var colours = {};
+  for (var property in Blockly.Colours) {
+    var value = Blockly.Colours[property];
+    if (goog.isFunction(value)) {
+      continue;
+    }
+    colours[property] = goog.isObject(value) ? goog.object.clone(value) : value;
+  }
+  return colours;
+})();
+
+/**
+ * Registered themes, by name.
+ * @type {!Object.<string, !Blockly.Theme>}
+ * @private
+ */
+Blockly.Theme.themes_ = Object.create(null);
+
+/**
+ * Get all the colours of this theme, completed with the classic ones.
+ * @return {!Object} Dictionary of colour properties and values.
+ */
+Blockly.Theme.prototype.getColours = function() {
+  var colours = {};
+  for (var property in Blockly.Theme.CLASSIC_COLOURS_) {
+    var value = Blockly.Theme.CLASSIC_COLOURS_[property];
+    var override = this.colours_[property];
+    if (goog.isObject(value)) {
+      colours[property] = goog.object.clone(value);
+      if (goog.isObject(override)) {
+        goog.object.extend(colours[property], override);
+      }
+    } else {
+      colours[property] = override !== undefined ? override : value;
+    }
+  }
+  return colours;
+};
+
+/**
+ * Register a theme, so that it can be given by name to the 'theme' option and
+ * to Blockly.WorkspaceSvg.prototype.setTheme.  Replaces any theme of the same
+ * name.
+ * @param {!Blockly.Theme} theme The theme to register.
+ */
+Blockly.Theme.register = function(theme) {
+  Blockly.Theme.themes_[theme.name] = theme;
+};
+
+/**
+ * Find a theme.
+ * @param {string|!Blockly.Theme} theme Name of a registered theme, or a theme.
+ * @return {Blockly.Theme} The theme, or null if there is no theme of that name.
+ */
+Blockly.Theme.get = function(theme) {
+  if (theme instanceof Blockly.Theme) {
+    return theme;
+  }
+  return Blockly.Theme.themes_[theme] || null;
+};
+
+/**
+ * Write the colours of a theme into Blockly.Colours.  Category colours are
+ * changed in place, since block definitions keep a reference to them.
+ * @param {!Blockly.Theme} theme The theme to apply.
+ * @param {Object=} opt_overrides Colours given to the 'colours' option, which
+ *     take precedence over the ones of the theme.
+ * @return {!Object.<string, string>} Map from the previous colours of blocks
+ *     to the colours of the theme, with lowercase keys.
+ * @package
+ */
+Blockly.Theme.applyColours = function(theme, opt_overrides) {
+  var colours = theme.getColours();
+  for (var property in opt_overrides) {
+    var override = opt_overrides[property];
+    if (!(property in colours)) {
+      continue;
+    }
+    if (goog.isObject(override)) {
+      for (var shade in override) {
+        if (shade in colours[property]) {
+          colours[property][shade] = override[shade];
+        }
+      }
+    } else {
+      colours[property] = override;
+    }
+  }
+  var colourMap = Object.create(null);
+  var mapColour = function(oldColour, newColour) {
+    var key = String(oldColour).toLowerCase();
+    if (!(key in colourMap)) {
+      colourMap[key] = newColour;
+    }
+  };
+  for (var property in colours) {
+    var value = colours[property];
+    var current = Blockly.Colours[property];
+    if (goog.isObject(value)) {
+      for (var shade in value) {
+        mapColour(current[shade], value[shade]);
+        current[shade] = value[shade];
+      }
+    } else {
+      if (property == 'textField') {
+        mapColour(current, value);
+      }
+      Blockly.Colours[property] = value;
+    }
+  }
+  return colourMap;
+};
+
+/**
+ * Get the colour that frames of a workspace get when they aren't given one.
+ * It is the classic colour of frames, unless the 'colours' option changes it.
+ * @param {!Blockly.Workspace} workspace The workspace of the frames.
+ * @return {string} The colour, as comma separated red, green and blue.
+ */
+Blockly.Theme.getDefaultFrameColour = function(workspace) {
+  var overrides = workspace.options.colours;
+  return overrides && overrides['frame'] ||
+      Blockly.Theme.CLASSIC_COLOURS_['frame'];
+};
+
+/**
+ * Get the colour to draw a frame with.  Frames of the default colour take the
+ * colour of the current theme, without changing the colour that is saved.
+ * @param {!Blockly.Frame} frame The frame.
+ * @return {string} The colour, as comma separated red, green and blue.
+ */
+Blockly.Theme.getFrameColour = function(frame) {
+  if (frame.color == Blockly.Theme.getDefaultFrameColour(frame.workspace)) {
+    return Blockly.Colours.frame;
+  }
+  return frame.color;
+};
+
+/**
+ * Recolour the blocks and frames of a workspace that use colours of the
+ * previous theme.
+ * @param {!Blockly.Workspace} workspace The workspace to recolour.
+ * @param {!Object.<string, string>} colourMap Map from the previous colours to
+ *     the new ones, as returned by Blockly.Theme.applyColours.
+ * @package
+ */
+Blockly.Theme.recolourWorkspace = function(workspace, colourMap) {
+  var lookup = function(colour) {
+    return colour && colourMap[colour.toLowerCase()] || colour;
+  };
+  // Parents come before their children, whose shadows take the stroke colour
+  // of their parent.
+  var blocks = workspace.getAllBlocks();
+  for (var i = 0, block; block = blocks[i]; i++) {
+    if (block.isInsertionMarker()) {
+      continue;
+    }
+    block.setColour(lookup(block.getColour()),
+        lookup(block.getColourSecondary()), lookup(block.getColourTertiary()));
+    if (block.getShadowColour()) {
+      block.setShadowColour(lookup(block.getShadowColour()));
+    }
+  }
+  var frames = workspace.getAllFrames();
+  for (var i = 0, frame; frame = frames[i]; i++) {
+    frame.updateColour();
+  }
+};
+
+/**
+ * The classic theme, the colours of Scratch.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.CLASSIC = new Blockly.Theme('classic', {});
+
+/**
+ * A dark theme, which keeps the category colours.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.DARK = new Blockly.Theme('dark', {
+  "text": "#E6E6E6",
+  "workspace": "#1E1E24",
+  "toolboxHover": "#4C97FF",
+  "toolboxSelected": "#3A3A44",
+  "toolboxText": "#E6E6E6",
+  "toolbox": "#26262E",
+  "flyout": "#2B2B33",
+  "scrollbar": "#4A4A55",
+  "scrollbarHover": "#5C5C68",
+  "textField": "#3A3A44",
+  "fieldText": "#E6E6E6",
+  "insertionMarker": "#FFFFFF",
+  "valueReportBackground": "#2B2B33",
+  "valueReportBorder": "#5C5C68",
+  "frameBorder": "#4C97FF",
+  "comment": "#5C5533",
+  "commentBorder": "#8A7E3A"
+});
+
+/**
+ * A high contrast theme: lighter blocks with black text.
+ * @type {!Blockly.Theme}
+ */
+Blockly.Theme.HIGH_CONTRAST = new Blockly.Theme('highcontrast', {
+  "motion": {
+    "primary": "#80B5FF",
+    "secondary": "#B3D2FF",
+    "tertiary": "#3373CC"
+  },
+  "looks": {
+    "primary": "#CCB3FF",
+    "secondary": "#DDCCFF",
+    "tertiary": "#774DCB"
+  },
+  "sounds": {
+    "primary": "#E19DE1",
+    "secondary": "#FFB3FF",
+    "tertiary": "#BD42BD"
+  },
+  "control": {
+    "primary": "#FFBE4C",
+    "secondary": "#FFDA99",
+    "tertiary": "#CF8B17"
+  },
+  "event": {
+    "primary": "#FFD966",
+    "secondary": "#FFECB3",
+    "tertiary": "#CC9900"
+  },
+  "sensing": {
+    "primary": "#85C4E0",
+    "secondary": "#AED8EA",
+    "tertiary": "#2E8EB8"
+  },
+  "pen": {
+    "primary": "#13ECAF",
+    "secondary": "#75F0CD",
+    "tertiary": "#0B8E69"
+  },
+  "operators": {
+    "primary": "#7ECE7E",
+    "secondary": "#B5E3B5",
+    "tertiary": "#389438"
+  },
+  "data": {
+    "primary": "#FFA54C",
+    "secondary": "#FFCC99",
+    "tertiary": "#DB6E00"
+  },
+  "data_lists": {
+    "primary": "#FF9966",
+    "secondary": "#FFCAB0",
+    "tertiary": "#E64D00"
+  },
+  "more": {
+    "primary": "#FF99AA",
+    "secondary": "#FFCCD5",
+    "tertiary": "#FF3355"
+  },
+  "text": "#000000",
+  "workspace": "#FFFFFF",
+  "toolboxText": "#000000",
+  "toolbox": "#FFFFFF",
+  "flyout": "#FFFFFF",
+  "scrollbar": "#767676",
+  "scrollbarHover": "#000000",
+  "fieldText": "#000000",
+  "frameBorder": "#0050C8",
+  "commentBorder": "#000000"
+});
+
+Blockly.Theme.register(Blockly.Theme.CLASSIC);
+Blockly.Theme.register(Blockly.Theme.DARK);
+Blockly.Theme.register(Blockly.Theme.HIGH_CONTRAST);
@@ -28,6 +28,7 @@ goog.provide('Blockly.Toolbox');
 
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.HorizontalFlyout');
+goog.require('Blockly.navigation');
 goog.require('Blockly.Touch');
 goog.require('Blockly.VerticalFlyout');
 goog.require('goog.dom');
@@ -782,10 +783,55 @@ Blockly.Toolbox.CategoryMenu.prototype.getHeight = function() {
 Blockly.Toolbox.CategoryMenu.prototype.createDom = function() {
   this.table = goog.dom.createDom('div', this.parent_.horizontalLayout_ ?
     'scratchCategoryMenuHorizontal' : 'scratchCategoryMenu');
+  this.table.setAttribute('role', 'listbox');
+  this.table.setAttribute('tabindex', '0');
+  this.table.setAttribute('aria-label', Blockly.Msg.ARIA_CATEGORIES);
+  this.table.setAttribute('aria-orientation',
+      this.parent_.horizontalLayout_ ? 'horizontal' : 'vertical');
+  this.keyDownWrapper_ = Blockly.bindEvent_(this.table, 'keydown', this,
+      this.onKeyDown_);
   var parentNode = this.parentHtml_;
   parentNode.insertBefore(this.table, parentNode.children[0]);
 };
 
+/**
+ * Handle a key down on the category menu.  The arrow keys select the
+ * previous or next category and enter moves keyboard navigation into the
+ * flyout.
+ * @param {!Event} e Key down event.
+ * @private
+ */
+Blockly.Toolbox.CategoryMenu.prototype.onKeyDown_ = function(e) {
+  var toolbox = this.parent_;
+  var index = this.categories_.indexOf(toolbox.getSelectedItem());
+  var horizontal = toolbox.horizontalLayout_;
+  var backKey = horizontal ? (toolbox.RTL ? 39 : 37) : 38;
+  var forwardKey = horizontal ? (toolbox.RTL ? 37 : 39) : 40;
+  var category = null;
+  if (e.keyCode == backKey) {
+    category = this.categories_[index - 1];
+  } else if (e.keyCode == forwardKey) {
+    category = this.categories_[index + 1];
+  } else if (e.keyCode == 36) {  // Home.
+    category = this.categories_[0];
+  } else if (e.keyCode == 35) {  // End.
+    category = this.categories_[this.categories_.length - 1];
+  } else if (e.keyCode == 13 || e.keyCode == 32) {  // Enter or space.
+    if (!Blockly.navigation.isEnabled()) {
+      Blockly.navigation.enable(toolbox.workspace_);
+    }
+    Blockly.navigation.focusFlyout();
+  } else {
+    return;
+  }
+  if (category) {
+    toolbox.setSelectedItem(category);
+  }
+  // Don't let the workspace's own key handling see the key.
+  e.stopPropagation();
+  e.preventDefault();
+};
+
 /**
  * Fill the toolbox with categories and blocks by creating a new
  * {Blockly.Toolbox.Category} for every category tag in the toolbox xml.
@@ -841,6 +887,10 @@ Blockly.Toolbox.CategoryMenu.prototype.dispose = function() {
     category.dispose();
   }
   this.categories_ = [];
+  if (this.keyDownWrapper_) {
+    Blockly.unbindEvent_(this.keyDownWrapper_);
+    this.keyDownWrapper_ = null;
+  }
   if (this.table) {
     goog.dom.removeNode(this.table);
     this.table = null;
@@ -959,6 +1009,9 @@ Blockly.Toolbox.Category.prototype.createDom = function() {
   var toolbox = this.parent_.parent_;
   this.item_ = goog.dom.createDom('div',
       {'class': this.getMenuItemClassName_()});
+  this.item_.setAttribute('id', this.getAriaId_());
+  this.item_.setAttribute('role', 'option');
+  this.item_.setAttribute('aria-selected', 'false');
   this.label_ = goog.dom.createDom('div',
       {'class': 'scratchCategoryMenuItemLabel'},
       Blockly.utils.replaceMessageReferences(this.name_));
@@ -987,6 +1040,25 @@ Blockly.Toolbox.Category.prototype.createDom = function() {
  */
 Blockly.Toolbox.Category.prototype.setSelected = function(selected) {
   this.item_.className = this.getMenuItemClassName_(selected);
+  this.item_.setAttribute('aria-selected', selected ? 'true' : 'false');
+  if (selected && this.parent_ && this.parent_.table) {
+    this.parent_.table.setAttribute('aria-activedescendant', this.getAriaId_());
+  }
+};
+
+/**
+ * Get the id of this category's menu item, used to point assistive technology
+ * at the selected category.
+ * @return {string} The id.
+ * @private
+ */
+Blockly.Toolbox.Category.prototype.getAriaId_ = function() {
+  if (!this.ariaId_) {
+    // Categories don't need an id, but their menu item does.
+    this.ariaId_ = 'blocklyCategory-' + this.parent_.parent_.workspace_.id +
+        '-' + (this.id_ || Blockly.utils.genUid());
+  }
+  return this.ariaId_;
 };
 
 /**
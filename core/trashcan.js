@@ -26,17 +26,50 @@
 
 goog.provide('Blockly.Trashcan');
 
+goog.require('Blockly.Events');
+goog.require('Blockly.Events.Ui');
+goog.require('Blockly.FrameSnippet');
+goog.require('Blockly.TrashcanFlyout');
+goog.require('Blockly.WorkspaceCommentSvg');
+goog.require('Blockly.Xml');
+
 goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
 goog.require('goog.math.Rect');
 
 
 /**
- * Class for a trash can.
+ * Class for a trash can.  The trash can keeps the most recently deleted
+ * stacks, frames and workspace comments, newest first, so that they can be
+ * dragged back out of its flyout.  Each item is the text of an XML document
+ * in the workspace format, holding a single 'block', 'custom-frameset' or
+ * 'comment' element.
  * @param {!Blockly.Workspace} workspace The workspace to sit in.
  * @constructor
  */
 Blockly.Trashcan = function(workspace) {
   this.workspace_ = workspace;
+
+  /**
+   * The deleted items, newest first.
+   * @type {!Array.<string>}
+   * @private
+   */
+  this.contents_ = [];
+
+  /**
+   * Frames of the current batch of events whose blocks and nested frames are
+   * still being deleted, by frame ID.
+   * @type {!Object.<string, {element: !Element, blockIds: !Array.<string>,
+   *     item: {xml: !Element, text: string}}>}
+   * @private
+   */
+  this.pendingFrames_ = Object.create(null);
+
+  if (this.getMaxContents_() > 0) {
+    this.onChangeWrapper_ = this.onChange_.bind(this);
+    workspace.addChangeListener(this.onChangeWrapper_);
+  }
 };
 
 /**
@@ -143,6 +176,36 @@ Blockly.Trashcan.prototype.left_ = 0;
  */
 Blockly.Trashcan.prototype.top_ = 0;
 
+/**
+ * The flyout listing the contents of the trash can, or null if the trash can
+ * keeps no contents.
+ * @type {Blockly.TrashcanFlyout}
+ * @private
+ */
+Blockly.Trashcan.prototype.flyout_ = null;
+
+/**
+ * Listener for changes on the workspace, or null if the trash can keeps no
+ * contents.
+ * @type {Function}
+ * @private
+ */
+Blockly.Trashcan.prototype.onChangeWrapper_ = null;
+
+/**
+ * Task ID of forgetting the frames in pendingFrames_.
+ * @type {number}
+ * @private
+ */
+Blockly.Trashcan.prototype.pendingTask_ = 0;
+
+/**
+ * Event group whose deletions are not kept, such as a workspace being cleared.
+ * @type {?string}
+ * @private
+ */
+Blockly.Trashcan.prototype.ignoredGroup_ = null;
+
 /**
  * Create the trash can elements.
  * @return {!Element} The trash can's SVG group.
@@ -207,6 +270,10 @@ Blockly.Trashcan.prototype.createDom = function() {
 
   Blockly.bindEventWithChecks_(this.svgGroup_, 'mouseup', this, this.click);
   this.animateLid_();
+  if (this.onChangeWrapper_) {
+    this.flyout_ = new Blockly.TrashcanFlyout(this, this.workspace_);
+    this.flyout_.createDom();
+  }
   return this.svgGroup_;
 };
 
@@ -226,6 +293,14 @@ Blockly.Trashcan.prototype.init = function(bottom) {
  * Unlink from all DOM elements to prevent memory leaks.
  */
 Blockly.Trashcan.prototype.dispose = function() {
+  if (this.onChangeWrapper_) {
+    this.workspace_.removeChangeListener(this.onChangeWrapper_);
+    this.onChangeWrapper_ = null;
+  }
+  if (this.flyout_) {
+    this.flyout_.dispose();
+    this.flyout_ = null;
+  }
   if (this.svgGroup_) {
     goog.dom.removeNode(this.svgGroup_);
     this.svgGroup_ = null;
@@ -233,6 +308,7 @@ Blockly.Trashcan.prototype.dispose = function() {
   this.svgLid_ = null;
   this.workspace_ = null;
   clearTimeout(this.lidTask_);
+  clearTimeout(this.pendingTask_);
 };
 
 /**
@@ -339,5 +415,271 @@ Blockly.Trashcan.prototype.click = function() {
   if (Math.sqrt(dx * dx + dy * dy) > Blockly.DRAG_RADIUS) {
     return;
   }
-  console.log('TODO: Inspect trash.');
+  if (this.flyout_) {
+    this.flyout_.show();
+  }
+};
+
+/**
+ * Close the flyout of the trash can, if it is open.
+ */
+Blockly.Trashcan.prototype.closeFlyout = function() {
+  if (this.flyout_) {
+    this.flyout_.hide();
+  }
+};
+
+/**
+ * Get the maximum number of items kept in the trash can.
+ * @return {number} The maximum, 0 if the trash can keeps nothing.
+ * @private
+ */
+Blockly.Trashcan.prototype.getMaxContents_ = function() {
+  return this.workspace_.options.maxTrashcanContents || 0;
+};
+
+/**
+ * Get the deleted items, newest first.  Save these to keep the trash across
+ * sessions, and load them back with setContents.
+ * @return {!Array.<string>} The XML text of each item.
+ */
+Blockly.Trashcan.prototype.getContents = function() {
+  return this.contents_.slice();
+};
+
+/**
+ * Replace the deleted items, for instance with those saved by a previous
+ * session.  Items beyond the maximum are dropped.
+ * @param {!Array.<string>} contents The XML text of each item, newest first.
+ */
+Blockly.Trashcan.prototype.setContents = function(contents) {
+  this.contents_ = contents.slice(0, this.getMaxContents_());
+  this.pendingFrames_ = Object.create(null);
+  this.refresh_();
+};
+
+/**
+ * Remove every item from the trash can.
+ */
+Blockly.Trashcan.prototype.emptyContents = function() {
+  if (!this.contents_.length) {
+    return;
+  }
+  this.contents_ = [];
+  this.pendingFrames_ = Object.create(null);
+  this.fireChange_();
+};
+
+/**
+ * Keep the deletions of an event group out of the trash can.
+ * @param {string} group The event group.
+ * @package
+ */
+Blockly.Trashcan.prototype.ignoreGroup = function(group) {
+  this.ignoredGroup_ = group;
+};
+
+/**
+ * Put an item back on the workspace and take it out of the trash can.
+ * @param {number} index Index of the item in getContents().
+ * @param {goog.math.Coordinate=} opt_xy Workspace coordinates of the top-left
+ *     corner of the item.  Defaults to where it was deleted.
+ * @return {Blockly.BlockSvg|Blockly.Frame|Blockly.WorkspaceCommentSvg} The
+ *     restored stack, frame or comment, or null if there is no such item.
+ */
+Blockly.Trashcan.prototype.restore = function(index, opt_xy) {
+  var text = this.contents_[index];
+  if (!text) {
+    return null;
+  }
+  var workspace = this.workspace_;
+  var xml = Blockly.Xml.textToDom(text);
+  var element = xml.firstElementChild;
+  var existingGroup = Blockly.Events.getGroup();
+  if (!existingGroup) {
+    Blockly.Events.setGroup(true);
+  }
+  try {
+    var restored = null;
+    switch (element.nodeName.toLowerCase()) {
+      case 'custom-frameset':
+        restored = Blockly.FrameSnippet.importFrameXml(xml, workspace,
+            opt_xy ? {x: opt_xy.x, y: opt_xy.y} : null);
+        break;
+      case 'comment':
+        if (opt_xy) {
+          element.setAttribute('x',
+              workspace.RTL ? workspace.getWidth() - opt_xy.x : opt_xy.x);
+          element.setAttribute('y', opt_xy.y);
+        }
+        restored = Blockly.WorkspaceCommentSvg.fromXml(element, workspace);
+        break;
+      case 'block':
+        restored = Blockly.Xml.domToBlock(element, workspace);
+        var xy = opt_xy || new goog.math.Coordinate(
+            Number(element.getAttribute('x')), Number(element.getAttribute('y')));
+        if (!opt_xy && workspace.RTL) {
+          xy.x = workspace.getWidth() - xy.x;
+        }
+        restored.moveBy(xy.x, xy.y);
+        break;
+    }
+  } finally {
+    if (!existingGroup) {
+      Blockly.Events.setGroup(false);
+    }
+  }
+  this.contents_.splice(index, 1);
+  this.fireChange_();
+  return restored;
+};
+
+/**
+ * Keep the stacks, frames and workspace comments deleted from the workspace.
+ * @param {!Blockly.Events.Abstract} event Change event.
+ * @private
+ */
+Blockly.Trashcan.prototype.onChange_ = function(event) {
+  if (event.type != Blockly.Events.DELETE &&
+      event.type != Blockly.Events.FRAME_DELETE &&
+      event.type != Blockly.Events.COMMENT_DELETE) {
+    return;
+  }
+  if (event.group && event.group == this.ignoredGroup_) {
+    return;
+  }
+  if (event.type == Blockly.Events.DELETE) {
+    this.onBlockDelete_(event);
+  } else if (event.type == Blockly.Events.FRAME_DELETE) {
+    this.onFrameDelete_(event);
+  } else if (event.type == Blockly.Events.COMMENT_DELETE && !event.blockId) {
+    var xml = goog.dom.createDom('xml');
+    xml.appendChild(event.xml.cloneNode(true));
+    this.addItem_(xml);
+  }
+};
+
+/**
+ * Keep a deleted stack, on its own or in the deleted frame it was part of.
+ * @param {!Blockly.Events.Delete} event Block deletion event.
+ * @private
+ */
+Blockly.Trashcan.prototype.onBlockDelete_ = function(event) {
+  // A top-level shadow only exists while a block is being moved by an undo.
+  if (event.oldXml.nodeName.toLowerCase() != 'block') {
+    return;
+  }
+  var xmlBlock = event.oldXml.cloneNode(true);
+  for (var id in this.pendingFrames_) {
+    var pending = this.pendingFrames_[id];
+    if (pending.blockIds.indexOf(event.blockId) != -1) {
+      pending.element.appendChild(xmlBlock);
+      this.updateItem_(pending.item);
+      return;
+    }
+  }
+  var xml = goog.dom.createDom('xml');
+  xml.appendChild(xmlBlock);
+  this.addItem_(xml);
+};
+
+/**
+ * Keep a deleted frame.  Its blocks and nested frames are deleted after it,
+ * and join it as they are.
+ * @param {!Blockly.Events.FrameDelete} event Frame deletion event.
+ * @private
+ */
+Blockly.Trashcan.prototype.onFrameDelete_ = function(event) {
+  var element = goog.dom.createDom('custom-frame');
+  element.setAttribute('title', event.title);
+  element.setAttribute('id', event.frameId);
+  element.setAttribute('color', event.color);
+  element.setAttribute('locked', event.locked);
+  element.setAttribute('collapsed', event.collapsed);
+  element.setAttribute('x', event.x);
+  element.setAttribute('y', event.y);
+  element.setAttribute('width', event.width);
+  element.setAttribute('height', event.height);
+
+  var item;
+  var parent = event.parent && this.pendingFrames_[event.parent];
+  if (parent) {
+    parent.element.appendChild(element);
+    item = parent.item;
+    this.updateItem_(item);
+  } else {
+    var xml = goog.dom.createDom('xml');
+    xml.appendChild(goog.dom.createDom('custom-frameset', null, element));
+    item = this.addItem_(xml);
+  }
+  this.pendingFrames_[event.frameId] = {
+    element: element,
+    blockIds: event.blocks,
+    item: item
+  };
+  if (!this.pendingTask_) {
+    // A frame deletes its blocks and nested frames in the same batch of
+    // events.  Blocks deleted later were kept when the frame was deleted.
+    this.pendingTask_ = setTimeout(function() {
+      this.pendingTask_ = 0;
+      this.pendingFrames_ = Object.create(null);
+    }.bind(this));
+  }
+};
+
+/**
+ * Add an item to the trash can, as the newest one.  An identical item, like
+ * one deleted again by a redo, is moved instead.
+ * @param {!Element} xml XML document of the item.
+ * @return {{xml: !Element, text: string}} The item.
+ * @private
+ */
+Blockly.Trashcan.prototype.addItem_ = function(xml) {
+  var item = {xml: xml, text: Blockly.Xml.domToText(xml)};
+  var index = this.contents_.indexOf(item.text);
+  if (index != -1) {
+    this.contents_.splice(index, 1);
+  }
+  this.contents_.unshift(item.text);
+  this.contents_.length = Math.min(this.contents_.length,
+      this.getMaxContents_());
+  this.fireChange_();
+  return item;
+};
+
+/**
+ * Store the new XML of an item that was added to.
+ * @param {{xml: !Element, text: string}} item The item.
+ * @private
+ */
+Blockly.Trashcan.prototype.updateItem_ = function(item) {
+  var index = this.contents_.indexOf(item.text);
+  item.text = Blockly.Xml.domToText(item.xml);
+  if (index != -1) {
+    this.contents_[index] = item.text;
+    this.fireChange_();
+  }
+};
+
+/**
+ * Update the flyout after the contents changed.
+ * @private
+ */
+Blockly.Trashcan.prototype.refresh_ = function() {
+  if (this.flyout_ && this.flyout_.isVisible()) {
+    this.flyout_.show();
+  }
+};
+
+/**
+ * Update the flyout and tell listeners that the contents changed, so that
+ * they can be saved.
+ * @private
+ */
+Blockly.Trashcan.prototype.fireChange_ = function() {
+  this.refresh_();
+  var event = new Blockly.Events.Ui(null, 'trashcan', null,
+      this.contents_.length);
+  event.workspaceId = this.workspace_.id;
+  Blockly.Events.fire(event);
 };
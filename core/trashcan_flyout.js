@@ -0,0 +1,319 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Flyout listing the contents of a trash can.  Items are
+ * dragged out of it back onto the workspace, or clicked to be put back where
+ * they were deleted.
+ */
+'use strict';
+
+goog.provide('Blockly.TrashcanFlyout');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Workspace');
+goog.require('Blockly.Xml');
+
+goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * Class for the flyout of a trash can.
+ * @param {!Blockly.Trashcan} trashcan The trash can whose contents to list.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace of the trash can.
+ * @constructor
+ */
+Blockly.TrashcanFlyout = function(trashcan, workspace) {
+  this.trashcan_ = trashcan;
+  this.workspace_ = workspace;
+};
+
+/**
+ * Space between the flyout and the trash can.
+ * @type {number}
+ * @const
+ */
+Blockly.TrashcanFlyout.prototype.MARGIN = 8;
+
+/**
+ * The flyout's root element.
+ * @type {Element}
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.root_ = null;
+
+/**
+ * The element holding the items.
+ * @type {Element}
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.list_ = null;
+
+/**
+ * Whether the flyout is shown.
+ * @type {boolean}
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.isVisible_ = false;
+
+/**
+ * Index of the item being pressed, while the mouse is down on it.
+ * @type {?number}
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.pressedIndex_ = null;
+
+/**
+ * Where the mouse was pressed on an item, in client coordinates.
+ * @type {goog.math.Coordinate}
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.pressedXY_ = null;
+
+/**
+ * Opaque data for the mouse move and up listeners while an item is pressed.
+ * @type {!Array.<!Array>}
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.pressWrappers_ = null;
+
+/**
+ * Create the flyout's DOM.  Only needs to be called once.
+ */
+Blockly.TrashcanFlyout.prototype.createDom = function() {
+  this.root_ = goog.dom.createDom('div',
+      'blocklyTrashcanFlyout blocklyTrashcanFlyoutHidden');
+  var header = goog.dom.createDom('div', 'blocklyTrashcanFlyoutHeader',
+      goog.dom.createDom('span', 'blocklyTrashcanFlyoutTitle',
+          Blockly.Msg.TRASHCAN_TITLE));
+  header.appendChild(this.createButton_(Blockly.Msg.TRASHCAN_EMPTY,
+      function() {
+        this.trashcan_.emptyContents();
+      }));
+  header.appendChild(this.createButton_('×', this.hide));
+  this.list_ = goog.dom.createDom('div', 'blocklyTrashcanFlyoutList');
+  this.list_.setAttribute('role', 'listbox');
+  this.list_.setAttribute('aria-label', Blockly.Msg.TRASHCAN_TITLE);
+  this.root_.appendChild(header);
+  this.root_.appendChild(this.list_);
+  document.body.appendChild(this.root_);
+};
+
+/**
+ * Create one of the header's buttons.
+ * @param {string} text Text of the button.
+ * @param {!Function} func Function to call when the button is clicked.
+ * @return {!Element} The button.
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.createButton_ = function(text, func) {
+  var button = goog.dom.createDom('button', 'blocklyTrashcanFlyoutButton',
+      text);
+  button.setAttribute('type', 'button');
+  Blockly.bindEvent_(button, 'click', this, func);
+  return button;
+};
+
+/**
+ * Dispose of this flyout.
+ * Unlink from all DOM elements to prevent memory leaks.
+ */
+Blockly.TrashcanFlyout.prototype.dispose = function() {
+  this.endPress_();
+  goog.dom.removeNode(this.root_);
+  this.root_ = null;
+  this.list_ = null;
+  this.trashcan_ = null;
+  this.workspace_ = null;
+};
+
+/**
+ * Is the flyout visible?
+ * @return {boolean} True if visible.
+ */
+Blockly.TrashcanFlyout.prototype.isVisible = function() {
+  return this.isVisible_;
+};
+
+/**
+ * Show the flyout next to the trash can, listing its current contents.
+ */
+Blockly.TrashcanFlyout.prototype.show = function() {
+  goog.dom.removeChildren(this.list_);
+  var contents = this.trashcan_.getContents();
+  if (!contents.length) {
+    this.list_.appendChild(goog.dom.createDom('div',
+        'blocklyTrashcanFlyoutEmpty', Blockly.Msg.TRASHCAN_NO_CONTENTS));
+  }
+  for (var i = 0; i < contents.length; i++) {
+    var item = goog.dom.createDom('div', 'blocklyTrashcanFlyoutItem',
+        this.getLabel_(Blockly.Xml.textToDom(contents[i])));
+    item.setAttribute('role', 'option');
+    Blockly.bindEvent_(item, 'mousedown', this,
+        this.onItemMouseDown_.bind(this, i));
+    this.list_.appendChild(item);
+  }
+  this.isVisible_ = true;
+  Blockly.utils.removeClass(this.root_, 'blocklyTrashcanFlyoutHidden');
+  this.position_();
+};
+
+/**
+ * Hide the flyout.
+ */
+Blockly.TrashcanFlyout.prototype.hide = function() {
+  if (!this.isVisible_) {
+    return;
+  }
+  this.isVisible_ = false;
+  Blockly.utils.addClass(this.root_, 'blocklyTrashcanFlyoutHidden');
+};
+
+/**
+ * Move the flyout above the trash can, aligned with its outer edge.
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.position_ = function() {
+  var trashRect = this.trashcan_.getClientRect();
+  var width = this.root_.getBoundingClientRect().width;
+  var left = this.workspace_.RTL ? trashRect.left :
+      trashRect.left + trashRect.width - width;
+  this.root_.style.left = Math.max(left, 0) + 'px';
+  this.root_.style.bottom =
+      (window.innerHeight - trashRect.top + this.MARGIN) + 'px';
+};
+
+/**
+ * Describe an item of the trash can in a line of text.
+ * @param {!Element} xml XML document of the item.
+ * @return {string} The first line of a stack, the title of a frame or the
+ *     text of a comment.
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.getLabel_ = function(xml) {
+  var element = xml.firstElementChild;
+  switch (element.nodeName.toLowerCase()) {
+    case 'custom-frameset':
+      return element.firstElementChild.getAttribute('title');
+    case 'comment':
+      return element.textContent;
+  }
+  // Build the stack headlessly to read the text of its fields.
+  var workspace = new Blockly.Workspace();
+  Blockly.Events.disable();
+  try {
+    var block = Blockly.Xml.domToBlock(element, workspace);
+    var count = block.getDescendants(false).length;
+    var label = Blockly.utils.getBlockText(block);
+    return count > 1 ? label + ' (' + count + ')' : label;
+  } catch (e) {
+    // The block type is not defined, for instance that of an extension.
+    return element.getAttribute('type');
+  } finally {
+    workspace.dispose();
+    Blockly.Events.enable();
+  }
+};
+
+/**
+ * Start pressing an item.  Moving the mouse past the drag radius drags the
+ * item out, releasing it puts the item back where it was deleted.
+ * @param {number} index Index of the item in the trash can.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.onItemMouseDown_ = function(index, e) {
+  if (Blockly.utils.isRightButton(e)) {
+    return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+  this.endPress_();
+  this.pressedIndex_ = index;
+  this.pressedXY_ = new goog.math.Coordinate(e.clientX, e.clientY);
+  this.pressWrappers_ = [
+    Blockly.bindEvent_(document, 'mousemove', this, this.onItemMouseMove_),
+    Blockly.bindEvent_(document, 'mouseup', this, this.onItemMouseUp_)
+  ];
+};
+
+/**
+ * Drag the pressed item out once the mouse moved far enough: put it back on
+ * the workspace under the mouse and hand it to a gesture.
+ * @param {!Event} e Mouse move event.
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.onItemMouseMove_ = function(e) {
+  var xy = new goog.math.Coordinate(e.clientX, e.clientY);
+  if (goog.math.Coordinate.distance(xy, this.pressedXY_) <= Blockly.DRAG_RADIUS) {
+    return;
+  }
+  var index = this.pressedIndex_;
+  this.endPress_();
+  var workspace = this.workspace_;
+  var restored = this.trashcan_.restore(index,
+      Blockly.utils.getMouseVectorPosition(e, workspace));
+  if (!restored) {
+    return;
+  }
+  var fakeEvent = {
+    clientX: e.clientX,
+    clientY: e.clientY,
+    type: 'mousedown',
+    preventDefault: function() {
+      e.preventDefault();
+    },
+    stopPropagation: function() {
+      e.stopPropagation();
+    },
+    target: e.target
+  };
+  if (restored instanceof Blockly.Frame) {
+    workspace.startDragFrameWithFakeEvent(fakeEvent, restored);
+  } else if (restored.isComment) {
+    workspace.startDragBubbleWithFakeEvent(fakeEvent, restored);
+  } else {
+    workspace.startDragWithFakeEvent(fakeEvent, restored);
+  }
+};
+
+/**
+ * Put the pressed item back where it was deleted.
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.onItemMouseUp_ = function() {
+  var index = this.pressedIndex_;
+  this.endPress_();
+  this.trashcan_.restore(index);
+};
+
+/**
+ * Stop tracking the pressed item.
+ * @private
+ */
+Blockly.TrashcanFlyout.prototype.endPress_ = function() {
+  if (this.pressWrappers_) {
+    this.pressWrappers_.forEach(Blockly.unbindEvent_);
+    this.pressWrappers_ = null;
+  }
+  this.pressedIndex_ = null;
+  this.pressedXY_ = null;
+};
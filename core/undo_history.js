@@ -0,0 +1,371 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Undo history of a workspace: saving it with the project,
+ * splitting it into the steps that undo and redo go through, and describing
+ * those steps to the user.
+ */
+'use strict';
+
+/**
+ * @name Blockly.UndoHistory
+ * @namespace
+ **/
+goog.provide('Blockly.UndoHistory');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.utils');
+
+
+/**
+ * A step of the undo history: the events that are undone or redone together.
+ * The event is the last one done once the step is done.
+ * @typedef {{events: !Array.<!Blockly.Events.Abstract>,
+ *     event: !Blockly.Events.Abstract, done: boolean}}
+ */
+Blockly.UndoHistory.Entry;
+
+/**
+ * Encode the undo history of a workspace as JSON, so that it can be saved with
+ * the project.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Object} JSON representation of the undo and redo stacks and of the
+ *     checkpoints.
+ */
+Blockly.UndoHistory.toJson = function(workspace) {
+  var toJson = function(event) {
+    return event.toJson();
+  };
+  var checkpoints = workspace.getCheckpoints().map(function(checkpoint) {
+    var json = {
+      'id': checkpoint.id,
+      'name': checkpoint.name,
+      'stack': null,
+      'index': -1
+    };
+    if (checkpoint.event) {
+      var index = workspace.undoStack_.indexOf(checkpoint.event);
+      json['stack'] = index == -1 ? 'redo' : 'undo';
+      json['index'] = index == -1 ?
+          workspace.redoStack_.indexOf(checkpoint.event) : index;
+    }
+    return json;
+  });
+  return {
+    'undo': workspace.undoStack_.map(toJson),
+    'redo': workspace.redoStack_.map(toJson),
+    'checkpoints': checkpoints
+  };
+};
+
+/**
+ * Replace the undo history of a workspace with one saved by toJson.  The
+ * workspace should hold the project as it was when the history was saved.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {!Object} json JSON representation of the history.
+ */
+Blockly.UndoHistory.fromJson = function(workspace, json) {
+  var fromJson = function(eventJson) {
+    return Blockly.Events.fromJson(eventJson, workspace);
+  };
+  var undoStack = (json['undo'] || []).map(fromJson);
+  var redoStack = (json['redo'] || []).map(fromJson);
+  workspace.clearUndo();
+  Array.prototype.push.apply(workspace.undoStack_, undoStack);
+  Array.prototype.push.apply(workspace.redoStack_, redoStack);
+  (json['checkpoints'] || []).forEach(function(checkpointJson) {
+    var stack = checkpointJson['stack'] == 'redo' ? redoStack : undoStack;
+    var event = checkpointJson['stack'] ? stack[checkpointJson['index']] : null;
+    if (event === undefined) {
+      return;  // The history was cut short.
+    }
+    workspace.checkpoints_.push({
+      id: checkpointJson['id'] || Blockly.utils.genUid(),
+      name: checkpointJson['name'],
+      event: event
+    });
+  });
+};
+
+/**
+ * Split the undo history of a workspace into steps, the way undo and redo go
+ * through it.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Blockly.UndoHistory.Entry>} The steps, oldest first.
+ */
+Blockly.UndoHistory.getEntries = function(workspace) {
+  var undoLength = workspace.undoStack_.length;
+  // The redo stack has the next step to redo on top.
+  var events = workspace.undoStack_.concat(
+      workspace.redoStack_.slice().reverse());
+  var entries = [];
+  var entry = null;
+  for (var i = 0; i < events.length; i++) {
+    var event = events[i];
+    if (!entry || !event.group || event.group != entry.events[0].group) {
+      entry = {events: [], event: event, done: i < undoLength};
+      entries.push(entry);
+    }
+    entry.events.push(event);
+    entry.event = event;
+  }
+  return entries;
+};
+
+/**
+ * Describe what a step of the undo history did, e.g. "moved 3 blocks into
+ * frame 'Init'".
+ * @param {!Array.<!Blockly.Events.Abstract>} events The events of the step.
+ * @param {!Blockly.Workspace} workspace The workspace of the events.
+ * @return {string} Human-readable description.
+ */
+Blockly.UndoHistory.describe = function(events, workspace) {
+  var created = {};
+  var deleted = {};
+  var moved = {};
+  var changed = {};
+  var frameBlocks = {};
+  var comments = {
+    created: {},
+    deleted: {},
+    moved: {},
+    changed: {}
+  };
+  var frameParts = [];
+  var variableParts = [];
+  var createdFrames = {};
+  var describedFrames = {};
+
+  var describeFrame = function(message, frameId) {
+    if (createdFrames[frameId] || describedFrames[frameId + message]) {
+      return;
+    }
+    describedFrames[frameId + message] = true;
+    frameParts.push(message.replace('%1',
+        Blockly.UndoHistory.getFrameTitle_(frameId, events, workspace)));
+  };
+
+  for (var i = 0, event; event = events[i]; i++) {
+    switch (event.type) {
+      case Blockly.Events.CREATE:
+        event.ids.forEach(function(id) {
+          created[id] = true;
+        });
+        break;
+      case Blockly.Events.DELETE:
+        event.ids.forEach(function(id) {
+          deleted[id] = true;
+        });
+        break;
+      case Blockly.Events.MOVE:
+        if (!event.isNull()) {
+          moved[event.blockId] = true;
+        }
+        break;
+      case Blockly.Events.CHANGE:
+        if (!event.isNull()) {
+          changed[event.blockId] = true;
+        }
+        break;
+      case Blockly.Events.COMMENT_CREATE:
+        comments.created[event.commentId] = true;
+        break;
+      case Blockly.Events.COMMENT_DELETE:
+        comments.deleted[event.commentId] = true;
+        break;
+      case Blockly.Events.COMMENT_MOVE:
+        comments.moved[event.commentId] = true;
+        break;
+      case Blockly.Events.COMMENT_CHANGE:
+        comments.changed[event.commentId] = true;
+        break;
+      case Blockly.Events.FRAME_CREATE:
+        createdFrames[event.frameId] = true;
+        frameParts.push(Blockly.Msg.HISTORY_CREATE_FRAME
+            .replace('%1', event.title));
+        break;
+      case Blockly.Events.FRAME_DELETE:
+        frameParts.push(Blockly.Msg.HISTORY_DELETE_FRAME
+            .replace('%1', event.title));
+        break;
+      case Blockly.Events.FRAME_RETITLE:
+        frameParts.push(Blockly.Msg.HISTORY_RENAME_FRAME
+            .replace('%1', event.oldTitle).replace('%2', event.newTitle));
+        break;
+      case Blockly.Events.FRAME_CHANGE:
+        if (event.element == 'blocks') {
+          frameBlocks[event.frameId] = {
+            added: Blockly.UndoHistory.subtract_(event.newValue.blocks,
+                event.oldValue.blocks),
+            removed: Blockly.UndoHistory.subtract_(event.oldValue.blocks,
+                event.newValue.blocks)
+          };
+        } else if (event.element == 'rect') {
+          var resized = event.oldValue.width != event.newValue.width ||
+              event.oldValue.height != event.newValue.height;
+          describeFrame(resized ? Blockly.Msg.HISTORY_RESIZE_FRAME :
+              Blockly.Msg.HISTORY_MOVE_FRAME, event.frameId);
+        } else if (event.element != 'frames') {
+          describeFrame(Blockly.Msg.HISTORY_CHANGE_FRAME, event.frameId);
+        }
+        break;
+      case Blockly.Events.VAR_CREATE:
+        variableParts.push(Blockly.Msg.HISTORY_CREATE_VARIABLE
+            .replace('%1', event.varName));
+        break;
+      case Blockly.Events.VAR_DELETE:
+        variableParts.push(Blockly.Msg.HISTORY_DELETE_VARIABLE
+            .replace('%1', event.varName));
+        break;
+      case Blockly.Events.VAR_RENAME:
+        variableParts.push(Blockly.Msg.HISTORY_RENAME_VARIABLE
+            .replace('%1', event.oldName).replace('%2', event.newName));
+        break;
+    }
+  }
+
+  var parts = [];
+  var addPart = function(message, ids, oneMessage, manyMessage) {
+    var count = Object.keys(ids).length;
+    if (count) {
+      parts.push(message.replace('%1', count == 1 ? oneMessage :
+          manyMessage.replace('%1', count)));
+    }
+  };
+  var addBlocksPart = function(message, ids) {
+    addPart(message, ids, Blockly.Msg.HISTORY_ONE_BLOCK,
+        Blockly.Msg.HISTORY_BLOCKS);
+  };
+
+  // Blocks that were added or removed in this step have not moved.
+  Object.keys(created).concat(Object.keys(deleted)).forEach(function(id) {
+    delete moved[id];
+    delete changed[id];
+  });
+  var intoFrames = [];
+  var outOfFrames = [];
+  Object.keys(frameBlocks).forEach(function(frameId) {
+    var into = {};
+    var outOf = {};
+    frameBlocks[frameId].added.forEach(function(id) {
+      if (moved[id]) {
+        into[id] = true;
+      }
+    });
+    frameBlocks[frameId].removed.forEach(function(id) {
+      if (moved[id]) {
+        outOf[id] = true;
+      }
+    });
+    intoFrames.push({frameId: frameId, ids: into});
+    outOfFrames.push({frameId: frameId, ids: outOf});
+  });
+  var describeFrameMoves = function(message, frameMoves) {
+    frameMoves.forEach(function(frameMove) {
+      Object.keys(frameMove.ids).forEach(function(id) {
+        delete moved[id];
+      });
+      var title = Blockly.UndoHistory.getFrameTitle_(frameMove.frameId, events,
+          workspace);
+      addBlocksPart(message.replace('%2', title), frameMove.ids);
+    });
+  };
+
+  addBlocksPart(Blockly.Msg.HISTORY_ADD, created);
+  addBlocksPart(Blockly.Msg.HISTORY_DELETE, deleted);
+  describeFrameMoves(Blockly.Msg.HISTORY_MOVE_INTO_FRAME, intoFrames);
+  describeFrameMoves(Blockly.Msg.HISTORY_MOVE_OUT_OF_FRAME, outOfFrames);
+  addBlocksPart(Blockly.Msg.HISTORY_MOVE, moved);
+  addBlocksPart(Blockly.Msg.HISTORY_CHANGE, changed);
+
+  Object.keys(comments.created).forEach(function(id) {
+    delete comments.moved[id];
+    delete comments.changed[id];
+  });
+  [
+    [Blockly.Msg.HISTORY_ADD, comments.created],
+    [Blockly.Msg.HISTORY_DELETE, comments.deleted],
+    [Blockly.Msg.HISTORY_MOVE, comments.moved],
+    [Blockly.Msg.HISTORY_CHANGE, comments.changed]
+  ].forEach(function(commentPart) {
+    addPart(commentPart[0], commentPart[1], Blockly.Msg.HISTORY_ONE_COMMENT,
+        Blockly.Msg.HISTORY_COMMENTS);
+  });
+
+  parts = parts.concat(frameParts, variableParts);
+  return parts.length ? parts.join(', ') : Blockly.Msg.HISTORY_OTHER;
+};
+
+/**
+ * Get the title of a frame, even if it has since been deleted.
+ * @param {string} frameId ID of the frame.
+ * @param {!Array.<!Blockly.Events.Abstract>} events Events that may have
+ *     created, deleted or renamed the frame.
+ * @param {!Blockly.Workspace} workspace The workspace of the frame.
+ * @return {string} The title of the frame.
+ * @private
+ */
+Blockly.UndoHistory.getFrameTitle_ = function(frameId, events, workspace) {
+  var frame = workspace.getFrameById(frameId);
+  if (frame) {
+    return frame.title;
+  }
+  for (var i = events.length - 1, event; event = events[i]; i--) {
+    if (event.frameId == frameId) {
+      if (event.type == Blockly.Events.FRAME_RETITLE) {
+        return event.newTitle;
+      }
+      if (event.type == Blockly.Events.FRAME_CREATE ||
+          event.type == Blockly.Events.FRAME_DELETE) {
+        return event.title;
+      }
+    }
+  }
+  return '';
+};
+
+/**
+ * Get the items of a list that are not in another list.
+ * @param {!Array.<string>} list The list.
+ * @param {!Array.<string>} other The items to leave out.
+ * @return {!Array.<string>} The remaining items.
+ * @private
+ */
+Blockly.UndoHistory.subtract_ = function(list, other) {
+  return list.filter(function(item) {
+    return other.indexOf(item) == -1;
+  });
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['UndoHistory']) {
+  goog.global['Blockly']['UndoHistory'] = {};
+}
+goog.global['Blockly']['UndoHistory']['toJson'] = Blockly.UndoHistory.toJson;
+goog.global['Blockly']['UndoHistory']['fromJson'] =
+    Blockly.UndoHistory.fromJson;
+goog.global['Blockly']['UndoHistory']['getEntries'] =
+    Blockly.UndoHistory.getEntries;
+goog.global['Blockly']['UndoHistory']['describe'] =
+    Blockly.UndoHistory.describe;
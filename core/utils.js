@@ -1216,6 +1216,34 @@ Blockly.utils.getBlockSvgImage = function(
   return result;
 };
 
+/**
+ * Get the text of a block as it reads on screen: the text of its fields and
+ * of the blocks plugged into its value inputs, in order.  Blocks nested in
+ * statement inputs are not included.
+ * @param {!Blockly.Block} block The block.
+ * @return {string} The text.
+ */
+Blockly.utils.getBlockText = function(block) {
+  var words = [];
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    for (var j = 0, field; field = input.fieldRow[j]; j++) {
+      var text = field.getText();
+      if (text) {
+        words.push(text);
+      }
+    }
+    var target = input.connection && input.type == Blockly.INPUT_VALUE &&
+        input.connection.targetBlock();
+    if (target) {
+      var targetText = Blockly.utils.getBlockText(target);
+      if (targetText) {
+        words.push(targetText);
+      }
+    }
+  }
+  return words.join(' ');
+};
+
 Blockly.utils.getBlockDesc = function(block, doms) {
   let desc = "";
   const process = ({ inputList }) => {
@@ -1246,7 +1274,7 @@ Blockly.utils.moveBatchedElements = function(delta, batchedElements) {
     moveBl.getSvgRoot().style.display = 'block';
     let setCommentStyleBlock = moveBl;
     do {
-      if (setCommentStyleBlock.comment) {
+      if (setCommentStyleBlock.comment && setCommentStyleBlock.comment.bubble_) {
         setCommentStyleBlock.comment.bubble_.bubbleGroup_.setAttribute(
             "style",
             "display: block"
@@ -1271,7 +1299,12 @@ Blockly.utils.moveBatchedElements = function(delta, batchedElements) {
   });
   batchedElements[1].forEach(frame => {
     frame.getSvgRoot().style.display = "block";
-    frame.moveBy(delta.x, delta.y);
+    // Nested frames are moved along with their batched parent frame.
+    const parentMoved = batchedElements[1].some(
+        parentFrame => parentFrame !== frame && frame.isDescendantOf(parentFrame));
+    if (!parentMoved) {
+      frame.moveBy(delta.x, delta.y);
+    }
   });
 };
 
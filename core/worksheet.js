@@ -0,0 +1,495 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Printable worksheets: the stacks and frames of a workspace
+ * laid out on pages, in the order that cleaning up the workspace would give
+ * them.  Frames start on a new page rather than being split, when they fit on
+ * one, and their titles are headings.  Block comments become footnotes of the
+ * page that shows their block.
+ */
+'use strict';
+
+/**
+ * @name Blockly.Worksheet
+ * @namespace
+ **/
+goog.provide('Blockly.Worksheet');
+
+goog.require('Blockly.SvgExport');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+
+
+/**
+ * Sizes of paper, in CSS pixels.  They are rounded down so that a page never
+ * spills onto the next sheet.
+ * @const {!Object.<string, !{width: number, height: number, css: string}>}
+ */
+Blockly.Worksheet.PAGE_SIZES = {
+  'a4': {width: 793, height: 1122, css: 'A4'},
+  'letter': {width: 816, height: 1055, css: 'letter'}
+};
+
+/**
+ * Height of a heading, in CSS pixels.
+ * @const {number}
+ */
+Blockly.Worksheet.HEADING_HEIGHT = 32;
+
+/**
+ * Space below a stack, in CSS pixels.
+ * @const {number}
+ */
+Blockly.Worksheet.STACK_SPACING = 16;
+
+/**
+ * Height of a line of footnotes, in CSS pixels.
+ * @const {number}
+ */
+Blockly.Worksheet.FOOTNOTE_LINE_HEIGHT = 16;
+
+/**
+ * Average width of a character of footnotes, in CSS pixels.  Used to guess
+ * how many lines a footnote takes.
+ * @const {number}
+ */
+Blockly.Worksheet.FOOTNOTE_CHAR_WIDTH = 7;
+
+/**
+ * Lay out the stacks and frames of a workspace on pages.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to print.
+ * @param {Object=} opt_options Dictionary of options: 'pageSize', 'a4'
+ *     (default) or 'letter', or the width and height of pages in CSS pixels;
+ *     'margin' of pages in CSS pixels (default 48); 'scale' of blocks
+ *     (default 0.75) and 'title' of the first page.
+ * @return {!Array.<!Object>} The pages.  Each has a list of 'items', which
+ *     are headings {type: 'heading', text, level}, stacks {type: 'stack',
+ *     block, svg, footnotes} and the text of collapsed frames {type:
+ *     'collapsed', text}, and a list of 'footnotes' {number, text}.
+ */
+Blockly.Worksheet.layout = function(workspace, opt_options) {
+  var options = Blockly.Worksheet.parseOptions_(opt_options);
+  var contentWidth = options.pageSize.width - 2 * options.margin;
+  // The page number takes a line at the bottom.
+  var contentHeight = options.pageSize.height - 2 * options.margin -
+      Blockly.Worksheet.FOOTNOTE_LINE_HEIGHT;
+  var pages = [];
+  var page = null;
+  var remaining = 0;
+  var footnoteCount = 0;
+
+  var newPage = function() {
+    page = {items: [], footnotes: []};
+    pages.push(page);
+    remaining = contentHeight;
+    footnoteCount = 0;
+  };
+  var addHeading = function(text, level) {
+    page.items.push({type: 'heading', text: text, level: level});
+    remaining -= Blockly.Worksheet.HEADING_HEIGHT;
+  };
+  var measureStack = function(block) {
+    var svg = Blockly.SvgExport.createSvg(block, {'scale': options.scale});
+    var width = Number(svg.getAttribute('width'));
+    var height = Number(svg.getAttribute('height'));
+    // Stacks larger than a page are shrunk to fit.
+    var fit = Math.min(1, contentWidth / width,
+        (contentHeight - Blockly.Worksheet.HEADING_HEIGHT) / height);
+    svg.setAttribute('width', Math.floor(width * fit));
+    svg.setAttribute('height', Math.floor(height * fit));
+    var notes = Blockly.Worksheet.getComments_(block).map(function(text) {
+      var lines = Math.ceil(text.length * Blockly.Worksheet.FOOTNOTE_CHAR_WIDTH /
+          contentWidth) || 1;
+      return {text: text, height: lines * Blockly.Worksheet.FOOTNOTE_LINE_HEIGHT};
+    });
+    var notesHeight = notes.reduce(function(sum, note) {
+      return sum + note.height;
+    }, 0);
+    return {
+      block: block,
+      svg: svg,
+      notes: notes,
+      height: Math.floor(height * fit) + Blockly.Worksheet.STACK_SPACING +
+          notesHeight
+    };
+  };
+  var addStack = function(stack, heading, level) {
+    if (stack.height > remaining && page.items.length) {
+      newPage();
+      if (heading) {
+        addHeading(Blockly.Msg.WORKSHEET_CONTINUED.replace('%1', heading),
+            level);
+      }
+    }
+    var footnotes = stack.notes.map(function(note) {
+      var footnote = {number: ++footnoteCount, text: note.text};
+      page.footnotes.push(footnote);
+      return footnote.number;
+    });
+    page.items.push({
+      type: 'stack',
+      block: stack.block,
+      svg: stack.svg,
+      footnotes: footnotes
+    });
+    remaining -= stack.height;
+  };
+  var addSection = function(section) {
+    var stacks = section.blocks.map(measureStack);
+    var height = Blockly.Worksheet.getSectionHeight_(section, stacks);
+    var firstHeight = stacks.length ? stacks[0].height : 0;
+    // Keep frames together, unless they don't fit on a page anyway.  Always
+    // keep a heading with the stack that follows it.
+    if (page.items.length && section.heading !== null &&
+        (height > remaining && height <= contentHeight ||
+        Blockly.Worksheet.HEADING_HEIGHT + firstHeight > remaining)) {
+      newPage();
+    }
+    if (section.heading !== null) {
+      addHeading(section.heading, section.level);
+    }
+    if (section.collapsed) {
+      page.items.push({type: 'collapsed', text: section.collapsed});
+      remaining -= Blockly.Worksheet.HEADING_HEIGHT;
+    }
+    stacks.forEach(function(stack) {
+      addStack(stack, section.heading, section.level);
+    });
+    section.children.forEach(addSection);
+  };
+
+  newPage();
+  if (options.title) {
+    addHeading(options.title, 1);
+  }
+  Blockly.Worksheet.getSections_(workspace).forEach(addSection);
+  return pages;
+};
+
+/**
+ * Render the stacks and frames of a workspace as a printable HTML document.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to print.
+ * @param {Object=} opt_options Options, as for Blockly.Worksheet.layout.
+ * @return {string} The HTML document.
+ */
+Blockly.Worksheet.toHtml = function(workspace, opt_options) {
+  var options = Blockly.Worksheet.parseOptions_(opt_options);
+  var pages = Blockly.Worksheet.layout(workspace, opt_options);
+  var doc = document.implementation.createHTMLDocument(options.title || '');
+  var style = doc.createElement('style');
+  style.textContent = Blockly.Worksheet.getCss_(options);
+  doc.head.appendChild(style);
+  var blocklyStyle = null;
+
+  for (var i = 0; i < pages.length; i++) {
+    var section = doc.createElement('section');
+    section.className = 'blocklyWorksheetPage';
+    var content = doc.createElement('div');
+    content.className = 'blocklyWorksheetContent';
+    section.appendChild(content);
+    for (var j = 0, item; item = pages[i].items[j]; j++) {
+      if (item.type == 'heading') {
+        var heading = doc.createElement('h' + Math.min(item.level, 6));
+        heading.textContent = item.text;
+        content.appendChild(heading);
+      } else if (item.type == 'collapsed') {
+        var paragraph = doc.createElement('p');
+        paragraph.textContent = item.text;
+        content.appendChild(paragraph);
+      } else {
+        // Every stack carries Blockly's styles, which are only needed once.
+        var svgStyle = item.svg.getElementsByTagName('style')[0];
+        blocklyStyle = blocklyStyle || svgStyle.cloneNode(true);
+        svgStyle.parentNode.removeChild(svgStyle);
+        var figure = doc.createElement('figure');
+        figure.appendChild(doc.importNode(item.svg, true));
+        if (item.footnotes.length) {
+          var marker = doc.createElement('sup');
+          marker.textContent = item.footnotes.join(', ');
+          figure.appendChild(marker);
+        }
+        content.appendChild(figure);
+      }
+    }
+    var footer = doc.createElement('footer');
+    if (pages[i].footnotes.length) {
+      var list = doc.createElement('ol');
+      pages[i].footnotes.forEach(function(footnote) {
+        var note = doc.createElement('li');
+        note.value = footnote.number;
+        note.textContent = footnote.text;
+        list.appendChild(note);
+      });
+      footer.appendChild(list);
+    }
+    var pageNumber = doc.createElement('div');
+    pageNumber.className = 'blocklyWorksheetPageNumber';
+    pageNumber.textContent = Blockly.Msg.WORKSHEET_PAGE
+        .replace('%1', i + 1).replace('%2', pages.length);
+    footer.appendChild(pageNumber);
+    section.appendChild(footer);
+    doc.body.appendChild(section);
+  }
+  if (blocklyStyle) {
+    doc.head.appendChild(doc.importNode(blocklyStyle, true));
+  }
+  return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+};
+
+/**
+ * Print the stacks and frames of a workspace, through a frame that is removed
+ * once printing is done.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace to print.
+ * @param {Object=} opt_options Options, as for Blockly.Worksheet.layout.
+ */
+Blockly.Worksheet.print = function(workspace, opt_options) {
+  var iframe = document.createElement('iframe');
+  iframe.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+  iframe.setAttribute('aria-hidden', 'true');
+  iframe.onload = function() {
+    var frameWindow = iframe.contentWindow;
+    frameWindow.onafterprint = function() {
+      setTimeout(function() {
+        goog.dom.removeNode(iframe);
+      });
+    };
+    frameWindow.focus();
+    frameWindow.print();
+  };
+  iframe.srcdoc = Blockly.Worksheet.toHtml(workspace, opt_options);
+  document.body.appendChild(iframe);
+};
+
+/**
+ * Complete the options of a worksheet with default values.
+ * @param {Object=} opt_options Options, as for Blockly.Worksheet.layout.
+ * @return {!{pageSize: !Object, margin: number, scale: number,
+ *     title: string}} The options.
+ * @private
+ */
+Blockly.Worksheet.parseOptions_ = function(opt_options) {
+  var options = opt_options || {};
+  var pageSize = options['pageSize'] || 'a4';
+  if (goog.isString(pageSize)) {
+    var name = pageSize;
+    pageSize = Blockly.Worksheet.PAGE_SIZES[name.toLowerCase()];
+    if (!pageSize) {
+      throw Error('Unknown page size: ' + name);
+    }
+  }
+  return {
+    pageSize: pageSize,
+    margin: options['margin'] === undefined ? 48 : options['margin'],
+    scale: options['scale'] || 0.75,
+    title: options['title'] || ''
+  };
+};
+
+/**
+ * Sort the stacks and frames of a workspace into sections, in reading order:
+ * the loose stacks of a column, then the frames of that column.  Each frame
+ * is a section with its title as heading and its nested frames as children.
+ * @param {!Blockly.WorkspaceSvg} workspace The workspace.
+ * @return {!Array.<!Object>} The sections.
+ * @private
+ */
+Blockly.Worksheet.getSections_ = function(workspace) {
+  var frameSection = function(frame, level) {
+    var section = {
+      heading: frame.title,
+      level: level,
+      blocks: [],
+      collapsed: null,
+      children: []
+    };
+    if (frame.isCollapsed) {
+      section.collapsed = Blockly.Msg.COLLAPSED_X_BLOCKS.replace('%1',
+          String(frame.getBlocksCount()));
+      return section;
+    }
+    frame.getOrderedBlockColumns().cols.forEach(function(column) {
+      section.blocks = section.blocks.concat(column.blocks);
+    });
+    section.children = frame.getChildFrames().sort(function(a, b) {
+      return a.getFrameGroupRelativeXY().y - b.getFrameGroupRelativeXY().y;
+    }).map(function(child) {
+      return frameSection(child, level + 1);
+    });
+    return section;
+  };
+  var sections = [];
+  workspace.getOrderedTopBlockColumns().cols.forEach(function(column) {
+    if (column.blocks.length) {
+      sections.push({
+        heading: null,
+        level: 2,
+        blocks: column.blocks,
+        collapsed: null,
+        children: []
+      });
+    }
+    column.frames.forEach(function(frame) {
+      sections.push(frameSection(frame, 2));
+    });
+  });
+  return sections;
+};
+
+/**
+ * Get the height of a section with its nested sections, as if it were on a
+ * single page.
+ * @param {!Object} section The section.
+ * @param {!Array.<!Object>} stacks The measured stacks of the section.
+ * @return {number} The height, in CSS pixels.
+ * @private
+ */
+Blockly.Worksheet.getSectionHeight_ = function(section, stacks) {
+  var height = section.heading === null ? 0 : Blockly.Worksheet.HEADING_HEIGHT;
+  if (section.collapsed) {
+    height += Blockly.Worksheet.HEADING_HEIGHT;
+  }
+  stacks.forEach(function(stack) {
+    height += stack.height;
+  });
+  section.children.forEach(function(child) {
+    // Nested frames are measured roughly from their size on the workspace.
+    height += Blockly.Worksheet.HEADING_HEIGHT;
+    height += Blockly.Worksheet.getFrameHeight_(child);
+  });
+  return height;
+};
+
+/**
+ * Guess the printed height of the stacks of a nested section.
+ * @param {!Object} section The section.
+ * @return {number} The height, in CSS pixels.
+ * @private
+ */
+Blockly.Worksheet.getFrameHeight_ = function(section) {
+  var height = 0;
+  section.blocks.forEach(function(block) {
+    height += block.getHeightWidth().height + Blockly.Worksheet.STACK_SPACING;
+  });
+  section.children.forEach(function(child) {
+    height += Blockly.Worksheet.HEADING_HEIGHT +
+        Blockly.Worksheet.getFrameHeight_(child);
+  });
+  return height;
+};
+
+/**
+ * Get the comments of the blocks of a stack, as footnotes.
+ * @param {!Blockly.BlockSvg} block The first block of the stack.
+ * @return {!Array.<string>} The text of each footnote: the text of the block
+ *     followed by its comment.
+ * @private
+ */
+Blockly.Worksheet.getComments_ = function(block) {
+  var notes = [];
+  block.getDescendants(false).forEach(function(descendant) {
+    var comment = descendant.getCommentText();
+    if (comment) {
+      notes.push(Blockly.utils.getBlockText(descendant) + ': ' + comment);
+    }
+  });
+  return notes;
+};
+
+/**
+ * Get the CSS of a worksheet.
+ * @param {!Object} options The options of the worksheet.
+ * @return {string} The CSS.
+ * @private
+ */
+Blockly.Worksheet.getCss_ = function(options) {
+  var size = options.pageSize;
+  return [
+    '@page {',
+    '  size: ' + (size.css || size.width + 'px ' + size.height + 'px') + ';',
+    '  margin: 0;',
+    '}',
+    'body {',
+    '  margin: 0;',
+    '  font-family: "Helvetica Neue", Helvetica, sans-serif;',
+    '  color: #000;',
+    '}',
+    '.blocklyWorksheetPage {',
+    '  box-sizing: border-box;',
+    '  display: flex;',
+    '  flex-direction: column;',
+    '  overflow: hidden;',
+    '  width: ' + size.width + 'px;',
+    '  height: ' + size.height + 'px;',
+    '  padding: ' + options.margin + 'px;',
+    '  break-after: page;',
+    '  page-break-after: always;',
+    '}',
+    '.blocklyWorksheetContent {',
+    '  flex: 1;',
+    '}',
+    '.blocklyWorksheetPage h1, .blocklyWorksheetPage h2,',
+    '.blocklyWorksheetPage h3, .blocklyWorksheetPage h4,',
+    '.blocklyWorksheetPage h5, .blocklyWorksheetPage h6,',
+    '.blocklyWorksheetPage p {',
+    '  box-sizing: border-box;',
+    '  height: ' + Blockly.Worksheet.HEADING_HEIGHT + 'px;',
+    '  margin: 0;',
+    '  font-size: 16pt;',
+    '  overflow: hidden;',
+    '  white-space: nowrap;',
+    '  text-overflow: ellipsis;',
+    '}',
+    '.blocklyWorksheetPage h1 {',
+    '  font-size: 20pt;',
+    '}',
+    '.blocklyWorksheetPage p {',
+    '  font-size: 11pt;',
+    '  font-style: italic;',
+    '}',
+    '.blocklyWorksheetPage figure {',
+    '  display: flex;',
+    '  align-items: flex-start;',
+    '  margin: 0 0 ' + Blockly.Worksheet.STACK_SPACING + 'px;',
+    '}',
+    '.blocklyWorksheetPage ol {',
+    '  margin: 0;',
+    '  padding-left: 2em;',
+    '  font-size: 9pt;',
+    '  line-height: ' + Blockly.Worksheet.FOOTNOTE_LINE_HEIGHT + 'px;',
+    '}',
+    '.blocklyWorksheetPageNumber {',
+    '  text-align: center;',
+    '  font-size: 9pt;',
+    '}'
+  ].join('\n');
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['Worksheet']) {
+  goog.global['Blockly']['Worksheet'] = {};
+}
+goog.global['Blockly']['Worksheet']['layout'] = Blockly.Worksheet.layout;
+goog.global['Blockly']['Worksheet']['toHtml'] = Blockly.Worksheet.toHtml;
+goog.global['Blockly']['Worksheet']['print'] = Blockly.Worksheet.print;
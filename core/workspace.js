@@ -112,6 +112,13 @@ Blockly.Workspace = function(opt_options) {
    */
   this.redoStack_ = [];
 
+  /**
+   * Named checkpoints in the undo history, oldest first.
+   * @type {!Array.<!Blockly.Workspace.Checkpoint>}
+   * @private
+   */
+  this.checkpoints_ = [];
+
   /**
    * @type {!Object}
    * @private
@@ -142,6 +149,13 @@ Blockly.Workspace = function(opt_options) {
   this.potentialVariableMap_ = null;
 };
 
+/**
+ * A named point in the undo history.  The event is the last one done at that
+ * point, null if it is the start of the history.
+ * @typedef {{id: string, name: string, event: Blockly.Events.Abstract}}
+ */
+Blockly.Workspace.Checkpoint;
+
 /**
  * Returns `true` if the workspace is visible and `false` if it's headless.
  * @type {boolean}
@@ -197,11 +211,36 @@ Blockly.Workspace.SCAN_ANGLE = 3;
  * @returns {!Blockly.Frame} If the addition is successful, the Frame to which it belongs is returned
  */
 Blockly.Workspace.prototype.requestAddBlockToFrame = function(block) {
-  return Object.values(this.frameDB_).reverse().find(function(frame) {
+  return this.getFramesInnermostFirst_().find(function(frame) {
     return frame.requestMoveInBlock(block);
   });
 };
 
+/**
+ * Nest a frame in some other frame.
+ * @param {!Blockly.Frame} frame Frame to nest.
+ * @returns {Blockly.Frame} If the nesting is successful, the Frame to which it
+ *     belongs is returned
+ */
+Blockly.Workspace.prototype.requestAddFrameToFrame = function(frame) {
+  return this.getFramesInnermostFirst_().find(function(parentFrame) {
+    return parentFrame.requestMoveInChildFrame(frame);
+  });
+};
+
+/**
+ * Return the frames in the order in which they should claim blocks and frames:
+ * nested frames before the frames containing them, and the most recently
+ * added frames first.
+ * @return {!Array.<!Blockly.Frame>} The ordered frames.
+ * @private
+ */
+Blockly.Workspace.prototype.getFramesInnermostFirst_ = function() {
+  return Object.values(this.frameDB_).reverse().sort(function(a, b) {
+    return b.getDepth() - a.getDepth();
+  });
+};
+
 /**
  * Add a frame to the list of top frames.
  * @param {!Blockly.Frame} frame Frame to add.
@@ -274,6 +313,11 @@ Blockly.Workspace.prototype.setFrameToFront = function(frame) {
     this.topFrames_.splice(index, 1, frame);
     var frameGroup = frame.getSvgRoot();
     frameGroup.parentNode.appendChild(frameGroup);
+    // Nested frames stay above the frames that contain them.
+    frame.getDescendantFrames().forEach(function(childFrame) {
+      var childGroup = childFrame.getSvgRoot();
+      childGroup.parentNode.appendChild(childGroup);
+    });
   }
 };
 
@@ -318,6 +362,17 @@ Blockly.Workspace.prototype.getTopBlocks = function(ordered) {
   return blocks;
 };
 
+/**
+ * Find the top blocks of the stacks that are hidden.
+ * @param {boolean} ordered Sort the list if true.
+ * @return {!Array.<!Blockly.Block>} The hidden top blocks.
+ */
+Blockly.Workspace.prototype.getHiddenStacks = function(ordered) {
+  return this.getTopBlocks(ordered).filter(function(block) {
+    return block.hidden;
+  });
+};
+
 /**
  * Add a comment to the list of top comments.
  * @param {!Blockly.WorkspaceComment} comment comment to add.
@@ -580,6 +635,8 @@ Blockly.Workspace.prototype.getAllVariables = function() {
  *     create a new ID.  If the ID conflicts with an in-use ID, a new one will
  *     be generated.
  * @property {Array<string>} blocks - All blocks contained in the frame.
+ * @property {Array<string>} frames - All frames nested in the frame.
+ * @property {?string} parent - The frame the frame is nested in.
  * @property {number} x - the X coordinate of the workspace's origin.
  * @property {number} y - the Y coordinate of the workspace's origin.
  * @property {number} width - the width of the frame's rect.
@@ -628,6 +685,19 @@ Blockly.Workspace.prototype.getAllFrames = function() {
   return Object.values(this.frameDB_);
 };
 
+/**
+ * Find the bookmarked frames and blocks: the frames first, then the blocks
+ * from top to bottom.
+ * @return {!Array.<!Blockly.Frame|!Blockly.Block>} The bookmarks.
+ */
+Blockly.Workspace.prototype.getBookmarks = function() {
+  var isBookmarked = function(item) {
+    return item.bookmarked;
+  };
+  return this.getAllFrames().filter(isBookmarked).concat(
+      this.getAllBlocks(true).filter(isBookmarked));
+};
+
 /** CCW Global Procedures **/
 
 Blockly.Workspace.prototype.createGlobalProcedure = function(mutation) {
@@ -706,12 +776,101 @@ Blockly.Workspace.prototype.undo = function(redo) {
   }
 };
 
+/**
+ * Undo or redo until an event is the last one done.
+ * @param {Blockly.Events.Abstract} event The event to stop at, or null to undo
+ *     everything.
+ */
+Blockly.Workspace.prototype.undoTo = function(event) {
+  if (event && this.redoStack_.indexOf(event) != -1) {
+    while (this.redoStack_.length &&
+        this.undoStack_[this.undoStack_.length - 1] != event) {
+      this.undo(true);
+    }
+  } else if (!event || this.undoStack_.indexOf(event) != -1) {
+    while (this.undoStack_.length &&
+        this.undoStack_[this.undoStack_.length - 1] != event) {
+      this.undo(false);
+    }
+  }
+};
+
+/**
+ * Create a named checkpoint at the current point of the undo history.
+ * @param {string} name Name of the checkpoint.
+ * @return {!Blockly.Workspace.Checkpoint} The new checkpoint.
+ */
+Blockly.Workspace.prototype.createCheckpoint = function(name) {
+  var checkpoint = {
+    id: Blockly.utils.genUid(),
+    name: name,
+    event: this.undoStack_[this.undoStack_.length - 1] || null
+  };
+  this.checkpoints_.push(checkpoint);
+  return checkpoint;
+};
+
+/**
+ * Get the checkpoints of this workspace.  Checkpoints whose event has left the
+ * undo history are dropped.
+ * @return {!Array.<!Blockly.Workspace.Checkpoint>} Checkpoints, oldest first.
+ */
+Blockly.Workspace.prototype.getCheckpoints = function() {
+  var undoStack = this.undoStack_;
+  var redoStack = this.redoStack_;
+  this.checkpoints_ = this.checkpoints_.filter(function(checkpoint) {
+    return !checkpoint.event || undoStack.indexOf(checkpoint.event) != -1 ||
+        redoStack.indexOf(checkpoint.event) != -1;
+  });
+  return this.checkpoints_.slice();
+};
+
+/**
+ * Find a checkpoint by ID.
+ * @param {string} id ID of the checkpoint.
+ * @return {Blockly.Workspace.Checkpoint} The checkpoint, or null if it does
+ *     not exist.
+ */
+Blockly.Workspace.prototype.getCheckpointById = function(id) {
+  var checkpoints = this.getCheckpoints();
+  for (var i = 0; i < checkpoints.length; i++) {
+    if (checkpoints[i].id == id) {
+      return checkpoints[i];
+    }
+  }
+  return null;
+};
+
+/**
+ * Delete a checkpoint.  The undo history is left as is.
+ * @param {string} id ID of the checkpoint.
+ */
+Blockly.Workspace.prototype.deleteCheckpoint = function(id) {
+  var checkpoint = this.getCheckpointById(id);
+  if (checkpoint) {
+    goog.array.remove(this.checkpoints_, checkpoint);
+  }
+};
+
+/**
+ * Undo or redo until the workspace is back at a checkpoint.
+ * @param {string} id ID of the checkpoint.
+ */
+Blockly.Workspace.prototype.jumpToCheckpoint = function(id) {
+  var checkpoint = this.getCheckpointById(id);
+  if (!checkpoint) {
+    throw Error('Checkpoint "' + id + '" does not exist.');
+  }
+  this.undoTo(checkpoint.event);
+};
+
 /**
  * Clear the undo/redo stacks.
  */
 Blockly.Workspace.prototype.clearUndo = function() {
   this.undoStack_.length = 0;
   this.redoStack_.length = 0;
+  this.checkpoints_.length = 0;
   // Stop any events already in the firing queue from being undoable.
   Blockly.Events.clearPendingUndo();
 };
@@ -759,7 +918,7 @@ Blockly.Workspace.prototype.fireChangeListener = function(event) {
     this.undoStack_.push(event);
     this.redoStack_.length = 0;
     if (this.undoStack_.length > this.MAX_UNDO) {
-      this.undoStack_.unshift();
+      this.undoStack_.shift();
     }
   }
   // Copy listeners in case a listener attaches/detaches itself.
@@ -0,0 +1,203 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Tidying a project: finding the variables, lists, broadcast
+ * messages and custom blocks that nothing uses, and deleting them.
+ */
+'use strict';
+
+/**
+ * @name Blockly.WorkspaceCleanup
+ * @namespace
+ **/
+goog.provide('Blockly.WorkspaceCleanup');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.Procedures');
+goog.require('Blockly.constants');
+goog.require('Blockly.scratchBlocksUtils');
+
+
+/**
+ * Something that nothing in the workspace uses.  The id is the id of the
+ * variable, or of the definition block of a custom block.
+ * @typedef {{
+ *   kind: string,
+ *   id: string,
+ *   name: string,
+ *   isLocal: boolean,
+ *   isCloud: boolean
+ * }}
+ */
+Blockly.WorkspaceCleanup.Item;
+
+/**
+ * Kinds of unused items, in the order they are listed.
+ * @const {!Array.<string>}
+ */
+Blockly.WorkspaceCleanup.KINDS = ['variable', 'list', 'broadcast', 'procedure'];
+
+/**
+ * Variable types of the kinds of items that are variables.
+ * @const {!Object.<string, string>}
+ * @private
+ */
+Blockly.WorkspaceCleanup.VARIABLE_TYPES_ = {
+  'variable': '',
+  'list': Blockly.LIST_VARIABLE_TYPE,
+  'broadcast': Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE
+};
+
+/**
+ * Find what nothing in a workspace uses.  Items shared with other sprites -
+ * variables and lists for all sprites, broadcast messages and global custom
+ * blocks - may be used elsewhere, so they are left out unless asked for.
+ * Cloud variables are left out unless asked for as well.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {Object=} opt_options Dictionary of options: 'includeGlobal' to
+ *     include items shared with other sprites, 'includeCloud' to include
+ *     cloud variables.
+ * @return {!Array.<!Blockly.WorkspaceCleanup.Item>} The unused items, by kind
+ *     and then by name.
+ */
+Blockly.WorkspaceCleanup.findUnused = function(workspace, opt_options) {
+  var options = opt_options || {};
+  var items = [];
+  Blockly.WorkspaceCleanup.KINDS.forEach(function(kind) {
+    var found = kind == 'procedure' ?
+        Blockly.WorkspaceCleanup.findUnusedProcedures_(workspace) :
+        Blockly.WorkspaceCleanup.findUnusedVariables_(workspace, kind);
+    found = found.filter(function(item) {
+      return (item.isLocal || options['includeGlobal']) &&
+          (!item.isCloud || options['includeCloud']);
+    });
+    found.sort(function(a, b) {
+      return Blockly.scratchBlocksUtils.compareStrings(a.name, b.name);
+    });
+    items = items.concat(found);
+  });
+  return items;
+};
+
+/**
+ * Find the variables of a kind that no block uses.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {string} kind 'variable', 'list' or 'broadcast'.
+ * @return {!Array.<!Blockly.WorkspaceCleanup.Item>} The unused variables.
+ * @private
+ */
+Blockly.WorkspaceCleanup.findUnusedVariables_ = function(workspace, kind) {
+  var type = Blockly.WorkspaceCleanup.VARIABLE_TYPES_[kind];
+  return workspace.getVariablesOfType(type).filter(function(variable) {
+    return !workspace.getVariableUsesById(variable.getId()).length;
+  }).map(function(variable) {
+    return {
+      kind: kind,
+      id: variable.getId(),
+      name: variable.name,
+      // Broadcast messages are shared by all sprites.
+      isLocal: kind != 'broadcast' && variable.isLocal,
+      isCloud: variable.isCloud
+    };
+  });
+};
+
+/**
+ * Find the custom blocks that are defined but never called.  Calls from the
+ * definition itself do not count.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Blockly.WorkspaceCleanup.Item>} The unused custom blocks.
+ * @private
+ */
+Blockly.WorkspaceCleanup.findUnusedProcedures_ = function(workspace) {
+  var items = [];
+  workspace.getTopBlocks(false).forEach(function(block) {
+    if (block.type != Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE) {
+      return;
+    }
+    var prototypeBlock = block.getInputTargetBlock('custom_block');
+    if (!prototypeBlock || !prototypeBlock.getProcCode) {
+      return;
+    }
+    var procCode = prototypeBlock.getProcCode();
+    if (Blockly.Procedures.getCallers(procCode, workspace, block, false)
+        .length) {
+      return;
+    }
+    items.push({
+      kind: 'procedure',
+      id: block.id,
+      name: procCode,
+      isLocal: !(prototypeBlock.getIsGlobal && prototypeBlock.getIsGlobal()),
+      isCloud: false
+    });
+  });
+  return items;
+};
+
+/**
+ * Delete unused items as one undo step.  Items that have been used since they
+ * were found are kept.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {!Array.<!Blockly.WorkspaceCleanup.Item>} items The items to delete,
+ *     as found by findUnused.
+ * @return {number} The number of items deleted.
+ */
+Blockly.WorkspaceCleanup.deleteUnused = function(workspace, items) {
+  var unused = Blockly.WorkspaceCleanup.findUnused(workspace,
+      {'includeGlobal': true, 'includeCloud': true});
+  unused = unused.map(function(item) {
+    return item.kind + ':' + item.id;
+  });
+  var count = 0;
+  Blockly.Events.setGroup(true);
+  try {
+    items.forEach(function(item) {
+      if (unused.indexOf(item.kind + ':' + item.id) == -1) {
+        return;
+      }
+      if (item.kind == 'procedure') {
+        workspace.getBlockById(item.id).dispose(false);
+      } else {
+        workspace.deleteVariableById(item.id);
+      }
+      count++;
+    });
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  if (count) {
+    workspace.refreshToolboxSelection_();
+  }
+  return count;
+};
+
+// Export symbols that would otherwise be renamed by Closure compiler.
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['WorkspaceCleanup']) {
+  goog.global['Blockly']['WorkspaceCleanup'] = {};
+}
+goog.global['Blockly']['WorkspaceCleanup']['findUnused'] =
+    Blockly.WorkspaceCleanup.findUnused;
+goog.global['Blockly']['WorkspaceCleanup']['deleteUnused'] =
+    Blockly.WorkspaceCleanup.deleteUnused;
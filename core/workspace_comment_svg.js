@@ -26,6 +26,7 @@
 
 goog.provide('Blockly.WorkspaceCommentSvg');
 
+goog.require('Blockly.ContextMenuRegistry');
 goog.require('Blockly.Events.CommentCreate');
 goog.require('Blockly.Events.CommentDelete');
 goog.require('Blockly.Events.CommentMove');
@@ -170,15 +171,9 @@ Blockly.WorkspaceCommentSvg.prototype.showContextMenu_ = function(e) {
   if (this.workspace.options.readOnly) {
     return;
   }
-  // Save the current workspace comment in a variable for use in closures.
-  var comment = this;
-  var menuOptions = [];
-
-  if (this.isDeletable() && this.isMovable()) {
-    menuOptions.push(Blockly.ContextMenu.commentDuplicateOption(comment));
-    menuOptions.push(Blockly.ContextMenu.commentDeleteOption(comment));
-  }
-
+  var menuOptions = Blockly.ContextMenuRegistry.getOptions(
+      Blockly.ContextMenuRegistry.ScopeType.COMMENT,
+      {workspace: this.workspace, comment: this, event: e});
   Blockly.ContextMenu.show(e, menuOptions, this.RTL);
 };
 
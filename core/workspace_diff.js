@@ -0,0 +1,711 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Semantic diff and three-way merge of workspace XML.  Blocks,
+ * frames, comments and variables are matched by id and compared property by
+ * property, instead of line by line.
+ */
+'use strict';
+
+/**
+ * @name Blockly.WorkspaceDiff
+ * @namespace
+ */
+goog.provide('Blockly.WorkspaceDiff');
+
+goog.require('Blockly.Xml');
+goog.require('goog.dom');
+
+
+/**
+ * Class names of the blocks, frames and comments of a visual diff, by status.
+ * @const {!Object.<string, string>}
+ */
+Blockly.WorkspaceDiff.CLASS_NAMES = {
+  'added': 'blocklyDiffAdded',
+  'removed': 'blocklyDiffRemoved',
+  'changed': 'blocklyDiffChanged'
+};
+
+/**
+ * Attribute that marks a merged block, frame, comment or variable with the
+ * space separated list of its conflicting properties.
+ * @const {string}
+ */
+Blockly.WorkspaceDiff.CONFLICT_ATTRIBUTE = 'conflict';
+
+/**
+ * The kinds of objects compared, as named in diffs.
+ * @const {!Array.<string>}
+ * @private
+ */
+Blockly.WorkspaceDiff.KINDS_ = ['blocks', 'frames', 'comments', 'variables'];
+
+/**
+ * Compare two versions of a workspace.  Changes are listed by property:
+ * {element: 'field', name, oldValue, newValue} for the value of a field,
+ * {element: 'attribute', name, ...} for an attribute such as 'collapsed',
+ * {element: 'position', ...} for a block that was moved or connected
+ * elsewhere, {element: 'blocks', ...} for the blocks in a frame, and
+ * likewise for 'mutation', 'comment', 'text' and 'parent'.
+ * @param {!Element} oldXml XML DOM of the old version, from
+ *     Blockly.Xml.workspaceToDom.
+ * @param {!Element} newXml XML DOM of the new version.
+ * @return {!Object} For each of 'blocks', 'frames', 'comments' and
+ *     'variables', the ids that were 'added' and 'removed', and the list of
+ *     objects that 'changed' {id, changes}.
+ */
+Blockly.WorkspaceDiff.diff = function(oldXml, newXml) {
+  var oldIndex = Blockly.WorkspaceDiff.index_(oldXml);
+  var newIndex = Blockly.WorkspaceDiff.index_(newXml);
+  var diff = {};
+  Blockly.WorkspaceDiff.KINDS_.forEach(function(kind) {
+    var oldItems = oldIndex[kind];
+    var newItems = newIndex[kind];
+    var result = {added: [], removed: [], changed: []};
+    for (var id in newItems) {
+      if (!oldItems[id]) {
+        result.added.push(id);
+        continue;
+      }
+      var changes = Blockly.WorkspaceDiff.diffProps_(oldItems[id].props,
+          newItems[id].props);
+      if (changes.length) {
+        result.changed.push({id: id, changes: changes});
+      }
+    }
+    for (var id in oldItems) {
+      if (!newItems[id]) {
+        result.removed.push(id);
+      }
+    }
+    diff[kind] = result;
+  });
+  return diff;
+};
+
+/**
+ * Whether a diff found no change.
+ * @param {!Object} diff A diff from Blockly.WorkspaceDiff.diff.
+ * @return {boolean} True if both versions are the same.
+ */
+Blockly.WorkspaceDiff.isEmpty = function(diff) {
+  return Blockly.WorkspaceDiff.KINDS_.every(function(kind) {
+    var result = diff[kind];
+    return !result.added.length && !result.removed.length &&
+        !result.changed.length;
+  });
+};
+
+/**
+ * Get the status of the blocks, frames and comments of a diff.
+ * @param {!Object} diff A diff from Blockly.WorkspaceDiff.diff.
+ * @return {!Object.<string, string>} 'added', 'removed' or 'changed', by id.
+ */
+Blockly.WorkspaceDiff.getStatuses = function(diff) {
+  var statuses = Object.create(null);
+  ['blocks', 'frames', 'comments'].forEach(function(kind) {
+    var result = diff[kind];
+    result.added.forEach(function(id) {
+      statuses[id] = 'added';
+    });
+    result.removed.forEach(function(id) {
+      statuses[id] = 'removed';
+    });
+    result.changed.forEach(function(change) {
+      statuses[change.id] = 'changed';
+    });
+  });
+  return statuses;
+};
+
+/**
+ * Merge the changes of two versions of a workspace made from a common base.
+ * A change made on one side only is kept.  When both sides changed the same
+ * property differently, or one side deleted what the other changed, our
+ * version wins and the conflict is marked with the conflict attribute.
+ * Blocks that both sides connected to the same input are kept apart, as are
+ * blocks whose parent was deleted.
+ * @param {!Element} baseXml XML DOM of the common base, from
+ *     Blockly.Xml.workspaceToDom.
+ * @param {!Element} oursXml XML DOM of our version.
+ * @param {!Element} theirsXml XML DOM of their version.
+ * @return {{xml: !Element, conflicts: !Array.<!Object>}} The merged XML DOM,
+ *     and the conflicts {kind, id, element, name, base, ours, theirs} that
+ *     were resolved in our favour.
+ */
+Blockly.WorkspaceDiff.merge = function(baseXml, oursXml, theirsXml) {
+  var base = Blockly.WorkspaceDiff.index_(baseXml);
+  var ours = Blockly.WorkspaceDiff.index_(oursXml);
+  var theirs = Blockly.WorkspaceDiff.index_(theirsXml);
+  var conflicts = [];
+  var merged = {};
+  Blockly.WorkspaceDiff.KINDS_.forEach(function(kind) {
+    merged[kind] = Blockly.WorkspaceDiff.mergeItems_(kind, base[kind],
+        ours[kind], theirs[kind], conflicts);
+  });
+  Blockly.WorkspaceDiff.repairBlocks_(merged.blocks, ours.blocks, conflicts);
+  Blockly.WorkspaceDiff.repairFrames_(merged.frames, merged.blocks);
+  return {
+    xml: Blockly.WorkspaceDiff.indexToDom_(merged),
+    conflicts: conflicts
+  };
+};
+
+/**
+ * Index the blocks, frames, comments and variables of a workspace DOM by id.
+ * Each object is recorded with its tag name and its properties, which are
+ * compared as JSON.  Child elements of blocks are kept as XML text.
+ * @param {!Element} xml XML DOM from Blockly.Xml.workspaceToDom.
+ * @return {!Object.<string, !Object.<string, !Object>>} The records of each
+ *     kind of object, by id.
+ * @private
+ */
+Blockly.WorkspaceDiff.index_ = function(xml) {
+  var index = {};
+  Blockly.WorkspaceDiff.KINDS_.forEach(function(kind) {
+    index[kind] = Object.create(null);
+  });
+  for (var i = 0, child; child = xml.children[i]; i++) {
+    switch (child.nodeName.toLowerCase()) {
+      case 'variables':
+        for (var j = 0, variable; variable = child.children[j]; j++) {
+          Blockly.WorkspaceDiff.indexLeaf_(variable, index.variables);
+        }
+        break;
+      case 'comment':
+        Blockly.WorkspaceDiff.indexLeaf_(child, index.comments);
+        break;
+      case 'block':
+        var xy = {
+          'x': parseInt(child.getAttribute('x'), 10) || 0,
+          'y': parseInt(child.getAttribute('y'), 10) || 0
+        };
+        Blockly.WorkspaceDiff.indexBlock_(child, xy, xy, index.blocks);
+        break;
+      case 'custom-frameset':
+        for (var j = 0, frame; frame = child.children[j]; j++) {
+          Blockly.WorkspaceDiff.indexFrame_(frame, null, index.frames);
+        }
+        break;
+    }
+  }
+  return index;
+};
+
+/**
+ * Index a block and its children.
+ * @param {!Element} element The block or shadow element.
+ * @param {!Object} position Where the block is: its 'parent' and 'input'
+ *     ('next', or 'value' or 'statement' and the name of the input, such as
+ *     'value:TEXT'), or the 'x' and 'y' of a top block.
+ * @param {!Object} xy Position of the top block of the stack, where the block
+ *     goes if it is cut from its parent by a merge.
+ * @param {!Object.<string, !Object>} blocks The records of blocks, by id.
+ * @private
+ */
+Blockly.WorkspaceDiff.indexBlock_ = function(element, position, xy, blocks) {
+  var id = element.getAttribute('id');
+  var noId = !id;
+  if (noId) {
+    // Shadows restored from a connection may have no id.
+    id = position['parent'] + '/' + position['input'];
+  }
+  var props = Blockly.WorkspaceDiff.getAttributes_(element, ['id', 'x', 'y']);
+  props['position'] = position;
+  for (var i = 0, child; child = element.children[i]; i++) {
+    var name = child.nodeName.toLowerCase();
+    if (name == 'value' || name == 'statement' || name == 'next') {
+      var input = name == 'next' ? name : name + ':' + child.getAttribute('name');
+      for (var j = 0, grandchild; grandchild = child.children[j]; j++) {
+        Blockly.WorkspaceDiff.indexBlock_(grandchild,
+            {'parent': id, 'input': input}, xy, blocks);
+      }
+    } else {
+      var key = child.hasAttribute('name') ?
+          name + ':' + child.getAttribute('name') : name;
+      props[key] = Blockly.Xml.domToText(child);
+    }
+  }
+  blocks[id] = {
+    tag: element.nodeName.toLowerCase(),
+    props: props,
+    noId: noId,
+    xy: xy
+  };
+};
+
+/**
+ * Index a frame and the frames nested in it.
+ * @param {!Element} element The frame element.
+ * @param {?string} parentId Id of the frame it is nested in.
+ * @param {!Object.<string, !Object>} frames The records of frames, by id.
+ * @private
+ */
+Blockly.WorkspaceDiff.indexFrame_ = function(element, parentId, frames) {
+  var id = element.getAttribute('id');
+  var props = Blockly.WorkspaceDiff.getAttributes_(element, ['id', 'blocks']);
+  props['blocks'] = (element.getAttribute('blocks') || '').split(' ')
+      .filter(Boolean);
+  props['parent'] = parentId;
+  frames[id] = {tag: element.nodeName.toLowerCase(), props: props};
+  for (var i = 0, child; child = element.children[i]; i++) {
+    Blockly.WorkspaceDiff.indexFrame_(child, id, frames);
+  }
+};
+
+/**
+ * Index a workspace comment or a variable, which hold text.
+ * @param {!Element} element The comment or variable element.
+ * @param {!Object.<string, !Object>} items The records of the same kind of
+ *     objects, by id.
+ * @private
+ */
+Blockly.WorkspaceDiff.indexLeaf_ = function(element, items) {
+  var props = Blockly.WorkspaceDiff.getAttributes_(element, ['id']);
+  props['text'] = element.textContent;
+  items[element.getAttribute('id')] = {
+    tag: element.nodeName.toLowerCase(),
+    props: props
+  };
+};
+
+/**
+ * Get the attributes of an element as properties.
+ * @param {!Element} element The element.
+ * @param {!Array.<string>} skip Names of the attributes to leave out.
+ * @return {!Object} The value of each attribute, as 'attribute:name'.
+ * @private
+ */
+Blockly.WorkspaceDiff.getAttributes_ = function(element, skip) {
+  var props = {};
+  for (var i = 0, attribute; attribute = element.attributes[i]; i++) {
+    if (skip.indexOf(attribute.name) == -1) {
+      props['attribute:' + attribute.name] = attribute.value;
+    }
+  }
+  return props;
+};
+
+/**
+ * List the properties that differ between two records.
+ * @param {!Object} oldProps Properties of the old record.
+ * @param {!Object} newProps Properties of the new record.
+ * @return {!Array.<!Object>} The changes {element, name, oldValue, newValue}.
+ * @private
+ */
+Blockly.WorkspaceDiff.diffProps_ = function(oldProps, newProps) {
+  var changes = [];
+  Blockly.WorkspaceDiff.getKeys_([oldProps, newProps]).forEach(function(key) {
+    if (!Blockly.WorkspaceDiff.equals_(oldProps[key], newProps[key])) {
+      var change = Blockly.WorkspaceDiff.describeKey_(key);
+      change.oldValue = Blockly.WorkspaceDiff.describeValue_(change.element,
+          oldProps[key]);
+      change.newValue = Blockly.WorkspaceDiff.describeValue_(change.element,
+          newProps[key]);
+      changes.push(change);
+    }
+  });
+  return changes;
+};
+
+/**
+ * Split the key of a property into the element it stands for and its name.
+ * @param {string} key The key, such as 'field:TEXT' or 'mutation'.
+ * @return {!Object} The 'element', and the 'name' if there is one.
+ * @private
+ */
+Blockly.WorkspaceDiff.describeKey_ = function(key) {
+  var colon = key.indexOf(':');
+  if (colon == -1) {
+    return {element: key};
+  }
+  return {element: key.substring(0, colon), name: key.substring(colon + 1)};
+};
+
+/**
+ * Make the value of a property readable: fields and block comments are
+ * described by their text rather than their XML.
+ * @param {string} element The element the property stands for.
+ * @param {*} value The value of the property.
+ * @return {*} The readable value, or null if there is none.
+ * @private
+ */
+Blockly.WorkspaceDiff.describeValue_ = function(element, value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (element == 'field' || element == 'comment') {
+    return Blockly.WorkspaceDiff.textToElement_(value).textContent;
+  }
+  return value;
+};
+
+/**
+ * Merge one kind of objects.
+ * @param {string} kind The kind of objects, such as 'blocks'.
+ * @param {!Object.<string, !Object>} base The records of the base, by id.
+ * @param {!Object.<string, !Object>} ours The records of our version.
+ * @param {!Object.<string, !Object>} theirs The records of their version.
+ * @param {!Array.<!Object>} conflicts The list to add conflicts to.
+ * @return {!Object.<string, !Object>} The merged records, by id.
+ * @private
+ */
+Blockly.WorkspaceDiff.mergeItems_ = function(kind, base, ours, theirs,
+    conflicts) {
+  var items = Object.create(null);
+  Blockly.WorkspaceDiff.getKeys_([ours, theirs]).forEach(function(id) {
+    var baseItem = base[id];
+    var ourItem = ours[id];
+    var theirItem = theirs[id];
+    var item = Object.assign({}, ourItem || theirItem, {conflicts: []});
+    if (!ourItem || !theirItem) {
+      var kept = ourItem || theirItem;
+      if (baseItem) {
+        if (Blockly.WorkspaceDiff.equals_(baseItem.props, kept.props)) {
+          // Deleted on one side, untouched on the other.
+          return;
+        }
+        // Deleted on one side, changed on the other: keep the changes.
+        item.conflicts.push('deleted');
+        conflicts.push({kind: kind, id: id, element: 'deleted',
+          base: null, ours: !!ourItem, theirs: !!theirItem});
+      }
+      items[id] = item;
+      return;
+    }
+    var baseProps = baseItem ? baseItem.props : {};
+    var props = {};
+    Blockly.WorkspaceDiff.getKeys_([ourItem.props, theirItem.props,
+      baseProps]).forEach(function(key) {
+      var baseValue = baseProps[key];
+      var ourValue = ourItem.props[key];
+      var theirValue = theirItem.props[key];
+      var value = ourValue;
+      if (Blockly.WorkspaceDiff.equals_(ourValue, baseValue)) {
+        value = theirValue;
+      } else if (key == 'blocks') {
+        value = Blockly.WorkspaceDiff.mergeLists_(baseValue || [], ourValue,
+            theirValue);
+      } else if (!Blockly.WorkspaceDiff.equals_(theirValue, baseValue) &&
+          !Blockly.WorkspaceDiff.equals_(theirValue, ourValue)) {
+        var conflict = Object.assign({kind: kind, id: id},
+            Blockly.WorkspaceDiff.describeKey_(key));
+        conflict.base = Blockly.WorkspaceDiff.describeValue_(conflict.element,
+            baseValue);
+        conflict.ours = Blockly.WorkspaceDiff.describeValue_(conflict.element,
+            ourValue);
+        conflict.theirs = Blockly.WorkspaceDiff.describeValue_(
+            conflict.element, theirValue);
+        conflicts.push(conflict);
+        item.conflicts.push(key);
+      }
+      if (value !== undefined) {
+        props[key] = value;
+      }
+    });
+    item.props = props;
+    items[id] = item;
+  });
+  return items;
+};
+
+/**
+ * Merge two edits of a list of ids.
+ * @param {!Array.<string>} base The base list.
+ * @param {!Array.<string>} ours Our list.
+ * @param {!Array.<string>} theirs Their list.
+ * @return {!Array.<string>} The ids of our list that they did not remove,
+ *     followed by the ids they added.
+ * @private
+ */
+Blockly.WorkspaceDiff.mergeLists_ = function(base, ours, theirs) {
+  var merged = ours.filter(function(id) {
+    return theirs.indexOf(id) != -1 || base.indexOf(id) == -1;
+  });
+  return merged.concat(theirs.filter(function(id) {
+    return base.indexOf(id) == -1 && ours.indexOf(id) == -1;
+  }));
+};
+
+/**
+ * Make the merged blocks a valid set of stacks.  Blocks whose parent is gone,
+ * that share an input with a block of our version, or that would end up
+ * inside themselves are moved to the top of the workspace, where their stack
+ * was.  Their conflict gives that position as ours, and the position they
+ * were meant to have as theirs.
+ * @param {!Object.<string, !Object>} blocks The merged blocks, by id.
+ * @param {!Object.<string, !Object>} ours The blocks of our version, by id.
+ * @param {!Array.<!Object>} conflicts The list to add conflicts to.
+ * @private
+ */
+Blockly.WorkspaceDiff.repairBlocks_ = function(blocks, ours, conflicts) {
+  var detach = function(id) {
+    var block = blocks[id];
+    var position = {'x': block.xy['x'], 'y': block.xy['y']};
+    conflicts.push({kind: 'blocks', id: id, element: 'position',
+      base: null, ours: position, theirs: block.props['position']});
+    block.props['position'] = position;
+    block.conflicts.push('position');
+  };
+  var slots = Object.create(null);
+  for (var id in blocks) {
+    var position = blocks[id].props['position'];
+    var parentId = position['parent'];
+    if (parentId === undefined) {
+      continue;
+    }
+    if (!blocks[parentId]) {
+      detach(id);
+      continue;
+    }
+    var slot = parentId + ' ' + position['input'] + ' ' + blocks[id].tag;
+    var other = slots[slot];
+    if (other) {
+      // Keep the block that is there in our version.
+      var ourPosition = ours[id] && ours[id].props['position'];
+      var keep = Blockly.WorkspaceDiff.equals_(ourPosition, position) ? id : other;
+      detach(keep == id ? other : id);
+      slots[slot] = keep;
+    } else {
+      slots[slot] = id;
+    }
+  }
+  for (var id in blocks) {
+    var seen = [];
+    var parentId = blocks[id].props['position']['parent'];
+    while (parentId !== undefined && seen.indexOf(parentId) == -1) {
+      if (parentId == id) {
+        // Each side put the block in a stack of the other.
+        detach(id);
+        break;
+      }
+      seen.push(parentId);
+      parentId = blocks[parentId].props['position']['parent'];
+    }
+  }
+};
+
+/**
+ * Make the merged frames consistent with the merged blocks: frames only hold
+ * top blocks that still exist, each in a single frame, and are nested in
+ * frames that still exist.
+ * @param {!Object.<string, !Object>} frames The merged frames, by id.
+ * @param {!Object.<string, !Object>} blocks The merged blocks, by id.
+ * @private
+ */
+Blockly.WorkspaceDiff.repairFrames_ = function(frames, blocks) {
+  var framed = Object.create(null);
+  for (var id in frames) {
+    var props = frames[id].props;
+    props['blocks'] = props['blocks'].filter(function(blockId) {
+      var block = blocks[blockId];
+      if (!block || block.props['position']['parent'] !== undefined ||
+          framed[blockId]) {
+        return false;
+      }
+      framed[blockId] = true;
+      return true;
+    });
+    var parentId = props['parent'];
+    if (parentId && !frames[parentId]) {
+      props['parent'] = null;
+    }
+    var seen = [];
+    while (parentId && frames[parentId] && seen.indexOf(parentId) == -1) {
+      if (parentId == id) {
+        // Each side nested the frame in the other.
+        props['parent'] = null;
+        break;
+      }
+      seen.push(parentId);
+      parentId = frames[parentId].props['parent'];
+    }
+  }
+};
+
+/**
+ * Build a workspace DOM from an index.
+ * @param {!Object.<string, !Object.<string, !Object>>} index The records of
+ *     each kind of object, by id.
+ * @return {!Element} XML DOM of the workspace.
+ * @private
+ */
+Blockly.WorkspaceDiff.indexToDom_ = function(index) {
+  var xml = goog.dom.createDom('xml');
+  var variables = goog.dom.createDom('variables');
+  for (var id in index.variables) {
+    variables.appendChild(
+        Blockly.WorkspaceDiff.recordToDom_(id, index.variables[id]));
+  }
+  xml.appendChild(variables);
+  for (var id in index.comments) {
+    xml.appendChild(Blockly.WorkspaceDiff.recordToDom_(id, index.comments[id]));
+  }
+
+  var children = Object.create(null);
+  for (var id in index.blocks) {
+    var parentId = index.blocks[id].props['position']['parent'];
+    if (parentId !== undefined) {
+      (children[parentId] = children[parentId] || []).push(id);
+    }
+  }
+  var blockToDom = function(id) {
+    var element = Blockly.WorkspaceDiff.recordToDom_(id, index.blocks[id]);
+    var containers = Object.create(null);
+    // Shadows go before the blocks that cover them.
+    (children[id] || []).sort(function(a, b) {
+      return (index.blocks[b].tag == 'shadow') - (index.blocks[a].tag == 'shadow');
+    }).forEach(function(childId) {
+      var input = index.blocks[childId].props['position']['input'];
+      var container = containers[input];
+      if (!container) {
+        var parts = Blockly.WorkspaceDiff.describeKey_(input);
+        container = goog.dom.createDom(parts.element);
+        if (parts.name !== undefined) {
+          container.setAttribute('name', parts.name);
+        }
+        containers[input] = container;
+        element.appendChild(container);
+      }
+      container.appendChild(blockToDom(childId));
+    });
+    return element;
+  };
+  for (var id in index.blocks) {
+    if (index.blocks[id].props['position']['parent'] === undefined) {
+      xml.appendChild(blockToDom(id));
+    }
+  }
+
+  var frameset = goog.dom.createDom('custom-frameset');
+  var frameToDom = function(id) {
+    var element = Blockly.WorkspaceDiff.recordToDom_(id, index.frames[id]);
+    element.setAttribute('blocks', index.frames[id].props['blocks'].join(' '));
+    for (var childId in index.frames) {
+      if (index.frames[childId].props['parent'] == id) {
+        element.appendChild(frameToDom(childId));
+      }
+    }
+    return element;
+  };
+  for (var id in index.frames) {
+    if (!index.frames[id].props['parent']) {
+      frameset.appendChild(frameToDom(id));
+    }
+  }
+  xml.appendChild(frameset);
+  return xml;
+};
+
+/**
+ * Build the element of a record, without the blocks or frames nested in it.
+ * @param {string} id Id of the object.
+ * @param {!Object} record The record.
+ * @return {!Element} The element.
+ * @private
+ */
+Blockly.WorkspaceDiff.recordToDom_ = function(id, record) {
+  var element = goog.dom.createDom(record.tag);
+  if (!record.noId) {
+    element.setAttribute('id', id);
+  }
+  for (var key in record.props) {
+    var value = record.props[key];
+    var parts = Blockly.WorkspaceDiff.describeKey_(key);
+    switch (parts.element) {
+      case 'attribute':
+        element.setAttribute(parts.name, value);
+        break;
+      case 'text':
+        element.textContent = value;
+        break;
+      case 'position':
+        if (value['parent'] === undefined) {
+          element.setAttribute('x', value['x']);
+          element.setAttribute('y', value['y']);
+        }
+        break;
+      case 'blocks':
+      case 'parent':
+        // Written by the caller.
+        break;
+      default:
+        element.appendChild(Blockly.WorkspaceDiff.textToElement_(value));
+    }
+  }
+  if (record.conflicts && record.conflicts.length) {
+    element.setAttribute(Blockly.WorkspaceDiff.CONFLICT_ATTRIBUTE,
+        record.conflicts.join(' '));
+  }
+  return element;
+};
+
+/**
+ * Parse the XML text of a single element.
+ * @param {string} text The XML text.
+ * @return {!Element} The element.
+ * @private
+ */
+Blockly.WorkspaceDiff.textToElement_ = function(text) {
+  return Blockly.Xml.textToDom('<xml>' + text + '</xml>').firstChild;
+};
+
+/**
+ * Get the keys of several dictionaries, in order of first appearance.
+ * @param {!Array.<!Object>} dicts The dictionaries.
+ * @return {!Array.<string>} The keys.
+ * @private
+ */
+Blockly.WorkspaceDiff.getKeys_ = function(dicts) {
+  var keys = [];
+  dicts.forEach(function(dict) {
+    for (var key in dict) {
+      if (keys.indexOf(key) == -1) {
+        keys.push(key);
+      }
+    }
+  });
+  return keys;
+};
+
+/**
+ * Whether two property values are the same.
+ * @param {*} a A value.
+ * @param {*} b Another value.
+ * @return {boolean} True if they are equal as JSON.
+ * @private
+ */
+Blockly.WorkspaceDiff.equals_ = function(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+if (!goog.global['Blockly']) {
+  goog.global['Blockly'] = {};
+}
+if (!goog.global['Blockly']['WorkspaceDiff']) {
+  goog.global['Blockly']['WorkspaceDiff'] = {};
+}
+goog.global['Blockly']['WorkspaceDiff']['diff'] = Blockly.WorkspaceDiff.diff;
+goog.global['Blockly']['WorkspaceDiff']['isEmpty'] = Blockly.WorkspaceDiff.isEmpty;
+goog.global['Blockly']['WorkspaceDiff']['getStatuses'] =
+    Blockly.WorkspaceDiff.getStatuses;
+goog.global['Blockly']['WorkspaceDiff']['merge'] = Blockly.WorkspaceDiff.merge;
@@ -0,0 +1,477 @@
+/**
+ * @license
+ * Visual Blocks Editor
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Search and find/replace over the blocks, frames and comments
+ * of a workspace.
+ */
+'use strict';
+
+goog.provide('Blockly.WorkspaceSearch');
+
+goog.require('Blockly.Events');
+goog.require('Blockly.FieldTextInput');
+goog.require('Blockly.FieldVariable');
+goog.require('Blockly.FieldVariableGetter');
+goog.require('Blockly.utils');
+
+
+/**
+ * A match found by a workspace search.
+ * @typedef {{
+ *   type: string,
+ *   text: string,
+ *   blockId: (string|undefined),
+ *   fieldName: (string|undefined),
+ *   frameId: (string|undefined),
+ *   commentId: (string|undefined)
+ * }}
+ */
+Blockly.WorkspaceSearch.Match;
+
+/**
+ * Class for searching a workspace.  Matches are highlighted when the workspace
+ * is rendered, and can be cycled through with next() and previous().
+ * @param {!Blockly.Workspace} workspace The workspace to search.
+ * @constructor
+ */
+Blockly.WorkspaceSearch = function(workspace) {
+  /**
+   * @type {!Blockly.Workspace}
+   * @private
+   */
+  this.workspace_ = workspace;
+
+  /**
+   * Matches of the last search, in workspace order.
+   * @type {!Array.<!Blockly.WorkspaceSearch.Match>}
+   * @private
+   */
+  this.matches_ = [];
+
+  /**
+   * Index of the current match, or -1 if there is none.
+   * @type {number}
+   * @private
+   */
+  this.currentIndex_ = -1;
+
+  /**
+   * The text of the last search.
+   * @type {string}
+   * @private
+   */
+  this.query_ = '';
+
+  /**
+   * Whether the last search was case sensitive.
+   * @type {boolean}
+   * @private
+   */
+  this.matchCase_ = false;
+
+  /**
+   * SVG elements currently carrying a search highlight.
+   * @type {!Array.<!Element>}
+   * @private
+   */
+  this.highlighted_ = [];
+};
+
+/**
+ * Kinds of search matches.
+ * @enum {string}
+ */
+Blockly.WorkspaceSearch.MatchType = {
+  OPCODE: 'opcode',
+  FIELD: 'field',
+  COMMENT: 'comment',
+  FRAME: 'frame'
+};
+
+/**
+ * CSS class added to every matching element.
+ * @type {string}
+ * @const
+ */
+Blockly.WorkspaceSearch.MATCH_CLASS = 'blocklySearchMatch';
+
+/**
+ * CSS class added to the current matching element.
+ * @type {string}
+ * @const
+ */
+Blockly.WorkspaceSearch.CURRENT_CLASS = 'blocklySearchCurrent';
+
+/**
+ * Search the workspace.  Block opcodes, field values (including variable and
+ * broadcast names), block and workspace comments and frame titles are
+ * searched.  Blocks in hidden stacks are skipped.
+ * @param {string} query Text to search for.
+ * @param {boolean=} opt_matchCase True for a case sensitive search.
+ * @return {!Array.<!Blockly.WorkspaceSearch.Match>} The matches found.
+ */
+Blockly.WorkspaceSearch.prototype.search = function(query, opt_matchCase) {
+  this.query_ = query;
+  this.matchCase_ = !!opt_matchCase;
+  this.matches_ = query ? this.findMatches_() : [];
+  this.currentIndex_ = -1;
+  this.updateHighlights_();
+  return this.matches_;
+};
+
+/**
+ * Get the matches of the last search.
+ * @return {!Array.<!Blockly.WorkspaceSearch.Match>} The matches.
+ */
+Blockly.WorkspaceSearch.prototype.getMatches = function() {
+  return this.matches_;
+};
+
+/**
+ * Get the current match.
+ * @return {?Blockly.WorkspaceSearch.Match} The current match, or null if
+ *     next() or previous() have not been called since the last search.
+ */
+Blockly.WorkspaceSearch.prototype.getCurrentMatch = function() {
+  return this.matches_[this.currentIndex_] || null;
+};
+
+/**
+ * Get the index of the current match.
+ * @return {number} The index, or -1 if there is no current match.
+ */
+Blockly.WorkspaceSearch.prototype.getCurrentIndex = function() {
+  return this.currentIndex_;
+};
+
+/**
+ * Move to the next match, wrapping around at the end, and scroll to it.
+ * @return {?Blockly.WorkspaceSearch.Match} The new current match.
+ */
+Blockly.WorkspaceSearch.prototype.next = function() {
+  return this.step_(1);
+};
+
+/**
+ * Move to the previous match, wrapping around at the start, and scroll to it.
+ * @return {?Blockly.WorkspaceSearch.Match} The new current match.
+ */
+Blockly.WorkspaceSearch.prototype.previous = function() {
+  return this.step_(-1);
+};
+
+/**
+ * Replace the search text in the current match.  Only field matches can be
+ * replaced.
+ * @param {string} replacement Text to replace the search text with.
+ * @return {boolean} True if the field was changed.
+ */
+Blockly.WorkspaceSearch.prototype.replace = function(replacement) {
+  var match = this.getCurrentMatch();
+  if (!match || match.type != Blockly.WorkspaceSearch.MatchType.FIELD) {
+    return false;
+  }
+  var index = this.currentIndex_;
+  Blockly.Events.setGroup(true);
+  var changed = this.replaceInField_(match, replacement);
+  Blockly.Events.setGroup(false);
+  this.refresh_(index);
+  return changed;
+};
+
+/**
+ * Replace the search text in every field match.  All changes are made in one
+ * event group, so they are undone together.
+ * @param {string} replacement Text to replace the search text with.
+ * @return {number} Number of fields changed.
+ */
+Blockly.WorkspaceSearch.prototype.replaceAll = function(replacement) {
+  var count = 0;
+  Blockly.Events.setGroup(true);
+  for (var i = 0, match; match = this.matches_[i]; i++) {
+    if (match.type == Blockly.WorkspaceSearch.MatchType.FIELD &&
+        this.replaceInField_(match, replacement)) {
+      count++;
+    }
+  }
+  Blockly.Events.setGroup(false);
+  this.refresh_(-1);
+  return count;
+};
+
+/**
+ * Forget the last search and remove all highlights.
+ */
+Blockly.WorkspaceSearch.prototype.clear = function() {
+  this.query_ = '';
+  this.matches_ = [];
+  this.currentIndex_ = -1;
+  this.updateHighlights_();
+};
+
+/**
+ * Dispose of this search.
+ */
+Blockly.WorkspaceSearch.prototype.dispose = function() {
+  this.clear();
+  this.workspace_ = null;
+};
+
+/**
+ * Collect the matches for the current query.
+ * @return {!Array.<!Blockly.WorkspaceSearch.Match>} The matches.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.findMatches_ = function() {
+  var MatchType = Blockly.WorkspaceSearch.MatchType;
+  var matches = [];
+  var blocks = this.workspace_.getTopBlocks(true);
+  for (var i = 0, topBlock; topBlock = blocks[i]; i++) {
+    if (topBlock.hidden) {
+      continue;
+    }
+    var descendants = topBlock.getDescendants(false);
+    for (var j = 0, block; block = descendants[j]; j++) {
+      if (block.isInsertionMarker()) {
+        continue;
+      }
+      if (!block.isShadow() && this.isMatch_(block.type)) {
+        matches.push({type: MatchType.OPCODE, text: block.type,
+          blockId: block.id});
+      }
+      for (var k = 0, input; input = block.inputList[k]; k++) {
+        for (var l = 0, field; field = input.fieldRow[l]; l++) {
+          var text = field.name ? field.getText() : '';
+          if (this.isMatch_(text)) {
+            matches.push({type: MatchType.FIELD, text: text, blockId: block.id,
+              fieldName: field.name});
+          }
+        }
+      }
+      var commentText = block.getCommentText();
+      if (this.isMatch_(commentText)) {
+        matches.push({type: MatchType.COMMENT, text: commentText,
+          blockId: block.id});
+      }
+    }
+  }
+  var comments = this.workspace_.getTopComments(true);
+  for (var i = 0, comment; comment = comments[i]; i++) {
+    // Block comments were already found through their blocks.
+    if (!comment.block_ && this.isMatch_(comment.getText())) {
+      matches.push({type: MatchType.COMMENT, text: comment.getText(),
+        commentId: comment.id});
+    }
+  }
+  var frames = this.workspace_.getTopFrames(true);
+  for (var i = 0, frame; frame = frames[i]; i++) {
+    if (this.isMatch_(frame.title)) {
+      matches.push({type: MatchType.FRAME, text: frame.title,
+        frameId: frame.id});
+    }
+  }
+  return matches;
+};
+
+/**
+ * Check whether some text contains the current query.
+ * @param {string} text Text to check.
+ * @return {boolean} True if the text matches.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.isMatch_ = function(text) {
+  if (!text) {
+    return false;
+  }
+  text = String(text);
+  if (this.matchCase_) {
+    return text.indexOf(this.query_) != -1;
+  }
+  return text.toLowerCase().indexOf(this.query_.toLowerCase()) != -1;
+};
+
+/**
+ * Replace every occurrence of the query in some text.
+ * @param {string} text Text to replace in.
+ * @param {string} replacement Text to replace the query with.
+ * @return {string} The new text.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.replaceText_ = function(text, replacement) {
+  var haystack = this.matchCase_ ? text : text.toLowerCase();
+  var needle = this.matchCase_ ? this.query_ : this.query_.toLowerCase();
+  var result = '';
+  var start = 0;
+  var index;
+  while ((index = haystack.indexOf(needle, start)) != -1) {
+    result += text.substring(start, index) + replacement;
+    start = index + needle.length;
+  }
+  return result + text.substring(start);
+};
+
+/**
+ * Replace the query in a field match.  Text fields get the new text, subject
+ * to their validators.  Variable fields (including broadcast menus) are
+ * pointed at the variable of the same type with the new name, which is
+ * created if needed.  Other fields are left alone.
+ * @param {!Blockly.WorkspaceSearch.Match} match The field match.
+ * @param {string} replacement Text to replace the query with.
+ * @return {boolean} True if the field was changed.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.replaceInField_ = function(match,
+    replacement) {
+  var block = this.workspace_.getBlockById(match.blockId);
+  var field = block && block.getField(match.fieldName);
+  if (!field || !block.isEditable()) {
+    return false;
+  }
+  var newText = this.replaceText_(field.getText(), replacement);
+  if (newText == field.getText()) {
+    return false;
+  }
+  if (field instanceof Blockly.FieldVariable ||
+      field instanceof Blockly.FieldVariableGetter) {
+    if (!newText) {
+      return false;
+    }
+    var oldVariable = field.getVariable();
+    var variable = this.workspace_.getVariable(newText, oldVariable.type);
+    if (!variable) {
+      variable = this.workspace_.createVariable(newText, oldVariable.type,
+          null, oldVariable.isLocal, oldVariable.isCloud);
+    }
+    field.setValue(variable.getId());
+    return true;
+  }
+  if (field instanceof Blockly.FieldTextInput) {
+    newText = field.callValidator(newText);
+    if (newText === null) {
+      return false;
+    }
+    field.setValue(newText);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Redo the last search after the workspace was changed by a replacement.
+ * @param {number} index Index to make current again, or -1 for none.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.refresh_ = function(index) {
+  this.matches_ = this.findMatches_();
+  this.currentIndex_ = -1;
+  if (index != -1 && this.matches_.length) {
+    // The replaced match is usually gone, so step onto whatever took its place.
+    this.currentIndex_ = Math.min(index, this.matches_.length) - 1;
+    this.step_(1);
+  } else {
+    this.updateHighlights_();
+  }
+};
+
+/**
+ * Move through the matches and scroll to the new current match.
+ * @param {number} delta 1 to move forward, -1 to move backward.
+ * @return {?Blockly.WorkspaceSearch.Match} The new current match.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.step_ = function(delta) {
+  var length = this.matches_.length;
+  if (!length) {
+    return null;
+  }
+  if (this.currentIndex_ == -1) {
+    this.currentIndex_ = delta > 0 ? 0 : length - 1;
+  } else {
+    this.currentIndex_ = (this.currentIndex_ + delta + length) % length;
+  }
+  var match = this.matches_[this.currentIndex_];
+  this.updateHighlights_();
+  this.scrollTo_(match);
+  return match;
+};
+
+/**
+ * Scroll a rendered workspace so the match is in the center of the view.
+ * @param {!Blockly.WorkspaceSearch.Match} match The match to scroll to.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.scrollTo_ = function(match) {
+  var workspace = this.workspace_;
+  if (!workspace.rendered || !workspace.scrollbar) {
+    return;
+  }
+  if (match.blockId) {
+    workspace.centerOnBlock(match.blockId);
+  } else if (match.frameId) {
+    workspace.centerOnFrame(match.frameId);
+  } else if (match.commentId) {
+    workspace.centerOnComment(match.commentId);
+  }
+};
+
+/**
+ * Get the SVG element to highlight for a match.
+ * @param {!Blockly.WorkspaceSearch.Match} match The match.
+ * @return {Element} The SVG root of the matching element, if rendered.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.getSvgRoot_ = function(match) {
+  var element = null;
+  if (match.blockId) {
+    element = this.workspace_.getBlockById(match.blockId);
+  } else if (match.frameId) {
+    element = this.workspace_.getFrameById(match.frameId);
+  } else if (match.commentId) {
+    element = this.workspace_.getCommentById(match.commentId);
+  }
+  return element && element.getSvgRoot ? element.getSvgRoot() : null;
+};
+
+/**
+ * Highlight all matches and the current match on a rendered workspace.
+ * @private
+ */
+Blockly.WorkspaceSearch.prototype.updateHighlights_ = function() {
+  for (var i = 0, root; root = this.highlighted_[i]; i++) {
+    Blockly.utils.removeClass(root, Blockly.WorkspaceSearch.MATCH_CLASS);
+    Blockly.utils.removeClass(root, Blockly.WorkspaceSearch.CURRENT_CLASS);
+  }
+  this.highlighted_.length = 0;
+  if (!this.workspace_ || !this.workspace_.rendered) {
+    return;
+  }
+  for (var i = 0, match; match = this.matches_[i]; i++) {
+    var root = this.getSvgRoot_(match);
+    if (!root) {
+      continue;
+    }
+    Blockly.utils.addClass(root, Blockly.WorkspaceSearch.MATCH_CLASS);
+    if (i == this.currentIndex_) {
+      Blockly.utils.addClass(root, Blockly.WorkspaceSearch.CURRENT_CLASS);
+    }
+    this.highlighted_.push(root);
+  }
+};
@@ -30,17 +30,23 @@ goog.provide('Blockly.WorkspaceSvg');
 //goog.require('Blockly.BlockSvg');
 goog.require('Blockly.Colours');
 goog.require('Blockly.ConnectionDB');
+goog.require('Blockly.ContextMenuRegistry');
 goog.require('Blockly.constants');
+goog.require('Blockly.Css');
 goog.require('Blockly.DataCategory');
 goog.require('Blockly.DropDownDiv');
 goog.require('Blockly.ColorSelector');
 goog.require('Blockly.Events.BlockCreate');
 goog.require('Blockly.Events.FrameCreate');
+goog.require('Blockly.Events.Ui');
 goog.require('Blockly.Gesture');
 goog.require('Blockly.Grid');
+goog.require('Blockly.Minimap');
+goog.require('Blockly.NavigationHistory');
 goog.require('Blockly.Options');
 goog.require('Blockly.scratchBlocksUtils');
 goog.require('Blockly.ScrollbarPair');
+goog.require('Blockly.Theme');
 goog.require('Blockly.Touch');
 goog.require('Blockly.Trashcan');
 //goog.require('Blockly.VerticalFlyout');
@@ -49,12 +55,14 @@ goog.require('Blockly.WorkspaceAudio');
 goog.require('Blockly.WorkspaceComment');
 goog.require('Blockly.WorkspaceCommentSvg');
 goog.require('Blockly.WorkspaceCommentSvg.render');
+goog.require('Blockly.WorkspaceDiff');
 goog.require('Blockly.WorkspaceDragSurfaceSvg');
 goog.require('Blockly.Xml');
 goog.require('Blockly.ZoomControls');
 goog.require('Blockly.IntersectionObserver');
 goog.require('Blockly.Frame');
 goog.require('Blockly.FrameDragger');
+goog.require('Blockly.FrameSnippet');
 
 goog.require('goog.array');
 goog.require('goog.dom');
@@ -109,6 +117,13 @@ Blockly.WorkspaceSvg = function(options, opt_blockDragSurface, opt_wsDragSurface
    */
   this.highlightedBlocks_ = [];
 
+  /**
+   * SVG roots of the blocks, frames and comments coloured by showDiff.
+   * @type {!Array.<!Element>}
+   * @private
+   */
+  this.diffRoots_ = [];
+
   /**
    * Object in charge of loading, storing, and playing audio for a workspace.
    * @type {Blockly.WorkspaceAudio}
@@ -291,6 +306,19 @@ Blockly.WorkspaceSvg.prototype.isDragSurfaceActive_ = false;
  */
 Blockly.WorkspaceSvg.prototype.injectionDiv_ = null;
 
+/**
+ * The screen reader layer, if the workspace was injected with the
+ * screenReader option.
+ * @type {Blockly.ScreenReader}
+ */
+Blockly.WorkspaceSvg.prototype.screenReader = null;
+
+/**
+ * The stacks and frames selected together, for editable main workspaces.
+ * @type {Blockly.BatchSelector}
+ */
+Blockly.WorkspaceSvg.prototype.batchSelector = null;
+
 /**
  * Last known position of the page scroll.
  * This is used to determine whether we have recalculated screen coordinate
@@ -491,7 +519,10 @@ Blockly.WorkspaceSvg.prototype.createDom = function(opt_backgroundClass) {
     bottom = this.addTrashcan_(bottom);
   }
   if (this.options.zoomOptions && this.options.zoomOptions.controls) {
-    this.addZoomControls_(bottom);
+    bottom = this.addZoomControls_(bottom);
+  }
+  if (this.options.minimapOptions) {
+    this.addMinimap_(bottom);
   }
 
   if (!this.isFlyout) {
@@ -512,6 +543,12 @@ Blockly.WorkspaceSvg.prototype.createDom = function(opt_backgroundClass) {
 
   this.intersectionObserver = new Blockly.IntersectionObserver(this);
 
+  /**
+   * The places this workspace jumped from, to go back and forward between.
+   * @type {!Blockly.NavigationHistory}
+   */
+  this.navigationHistory = new Blockly.NavigationHistory(this);
+
   // Determine if there needs to be a category tree, or a simple list of
   // blocks.  This cannot be changed later, since the UI is very different.
   if (this.options.hasCategories) {
@@ -542,6 +579,18 @@ Blockly.WorkspaceSvg.prototype.dispose = function() {
     this.intersectionObserver.dispose();
     this.intersectionObserver = null;
   }
+  if (this.navigationHistory) {
+    this.navigationHistory.dispose();
+    this.navigationHistory = null;
+  }
+  if (this.screenReader) {
+    this.screenReader.dispose();
+    this.screenReader = null;
+  }
+  if (this.batchSelector) {
+    this.batchSelector.dispose();
+    this.batchSelector = null;
+  }
   Blockly.WorkspaceSvg.superClass_.dispose.call(this);
   if (this.svgGroup_) {
     goog.dom.removeNode(this.svgGroup_);
@@ -569,6 +618,10 @@ Blockly.WorkspaceSvg.prototype.dispose = function() {
     this.zoomControls_.dispose();
     this.zoomControls_ = null;
   }
+  if (this.minimap_) {
+    this.minimap_.dispose();
+    this.minimap_ = null;
+  }
 
   if (this.audioManager_) {
     this.audioManager_.dispose();
@@ -637,6 +690,20 @@ Blockly.WorkspaceSvg.prototype.addZoomControls_ = function(bottom) {
   return this.zoomControls_.init(bottom);
 };
 
+/**
+ * Add a minimap.
+ * @param {number} bottom Distance from workspace bottom to bottom of minimap.
+ * @return {number} Distance from workspace bottom to the top of minimap.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.addMinimap_ = function(bottom) {
+  /** @type {Blockly.Minimap} */
+  this.minimap_ = new Blockly.Minimap(this);
+  var svgMinimap = this.minimap_.createDom();
+  this.svgGroup_.appendChild(svgMinimap);
+  return this.minimap_.init(bottom);
+};
+
 /**
  * Add a flyout element in an element with the given tag name.
  * @param {string} tagName What type of tag the flyout belongs in.
@@ -747,6 +814,9 @@ Blockly.WorkspaceSvg.prototype.resize = function() {
   if (this.zoomControls_) {
     this.zoomControls_.position();
   }
+  if (this.minimap_) {
+    this.minimap_.position();
+  }
   if (this.scrollbar) {
     this.scrollbar.resize();
   }
@@ -819,6 +889,9 @@ Blockly.WorkspaceSvg.prototype.translate = function(x, y) {
     this.svgBlockCanvas_.setAttribute('transform', translation);
     this.svgBubbleCanvas_.setAttribute('transform', translation);
   }
+  if (this.minimap_) {
+    this.minimap_.queueRender();
+  }
   // Now update the block drag surface if we're using one.
   if (this.blockDragSurface_) {
     this.blockDragSurface_.translateAndScaleGroup(x, y, this.scale);
@@ -941,8 +1014,11 @@ Blockly.WorkspaceSvg.prototype.setVisible = function(isVisible) {
  * Render all blocks in workspace.
  */
 Blockly.WorkspaceSvg.prototype.render = function() {
-  // Generate list of all blocks.
-  var blocks = this.getAllBlocks();
+  // Generate list of all blocks.  Deferred stacks are rendered when they come
+  // into view.
+  var blocks = this.getAllBlocks().filter(function(block) {
+    return !block.getRootBlock().isDeferred();
+  });
   // Render each block.
   for (var i = blocks.length - 1; i >= 0; i--) {
     blocks[i].render(false);
@@ -1056,7 +1132,8 @@ Blockly.WorkspaceSvg.prototype.reportValue = function(id, value) {
 
 /**
  * Paste the provided block onto the workspace.
- * @param {!Element} xmlBlock XML block element.
+ * @param {!Element} xmlBlock XML block element, or a clipboard document made
+ *     by Blockly.Clipboard.toXml in any workspace.
  */
 Blockly.WorkspaceSvg.prototype.paste = function(xmlBlock) {
   if (!this.rendered) {
@@ -1065,6 +1142,13 @@ Blockly.WorkspaceSvg.prototype.paste = function(xmlBlock) {
   if (this.currentGesture_) {
     this.currentGesture_.cancel();  // Dragging while pasting?  No.
   }
+  if (Blockly.Clipboard.isClipboardXml(xmlBlock)) {
+    // Bring the variables and procedures of the copied item along.
+    xmlBlock = Blockly.Clipboard.importXml(xmlBlock.cloneNode(true), this);
+    if (!xmlBlock) {
+      return;
+    }
+  }
   if (xmlBlock.tagName.toLowerCase() == 'comment') {
     this.pasteWorkspaceComment_(xmlBlock);
   } else if (xmlBlock.tagName.toLowerCase() == 'custom-frame') {
@@ -1138,31 +1222,17 @@ Blockly.WorkspaceSvg.prototype.pasteBlock_ = function(xmlBlock) {
 };
 
 /**
- * Paste the provided block onto the workspace.
- * @param {!Element} xmlFrame XML block element.
+ * Paste the provided frame onto the workspace, along with the frames nested
+ * in it and their blocks.
+ * @param {!Element} xmlFrame XML frame element.
+ * @return {!Blockly.Frame} The pasted frame.
  */
 Blockly.WorkspaceSvg.prototype.pasteFrame_ = function(xmlFrame) {
   Blockly.Events.disable();
   try {
-    var blocks = [];
-    for (var j = 0, xmlBlock; xmlBlock = xmlFrame.children[j]; j++) {
-      var id = Blockly.utils.genUid();
-      // Reset the blocks ID
-      xmlBlock.setAttribute('id', id);
-      blocks.push(id);
-    
-      const newBlock = Blockly.Xml.domToBlock(xmlBlock, this);
-      // Scratch-specific: Give shadow dom new IDs to prevent duplicating on paste
-      Blockly.scratchBlocksUtils.changeObscuredShadowIds(newBlock);
-
-      // The position of the old block in workspace coordinates.
-      var blockX = parseInt(xmlBlock.getAttribute('x'), 10);
-      var blockY = parseInt(xmlBlock.getAttribute('y'), 10);
-      // Place the new block as the same position as the old block.
-      newBlock.moveBy(blockX, blockY);
-    }
-    xmlFrame.setAttribute('blocks', blocks.join(' '));
+    Blockly.FrameSnippet.createFrameStacks(xmlFrame, this);
     var frame = Blockly.Xml.domToFrame(xmlFrame, this);
+    var frames = [frame].concat(frame.getDescendantFrames());
     var frameX = parseInt(xmlFrame.getAttribute('x'), 10);
     var frameY = parseInt(xmlFrame.getAttribute('y'), 10);
     if (!isNaN(frameX) && !isNaN(frameY)) {
@@ -1172,22 +1242,29 @@ Blockly.WorkspaceSvg.prototype.pasteFrame_ = function(xmlFrame) {
       // When the Frame needs to be moved, but the Blockly.Events are disabled,
       // the Blocks in the Frame need to be moved.
       const dx = {x: Blockly.SNAP_RADIUS, y: Blockly.SNAP_RADIUS * 2};
-      for (const blockId in frame.blockDB_) {
-        frame.blockDB_[blockId].moveBy(dx.x, dx.y);
-      }
+      frames.forEach((f) => {
+        for (const blockId in f.blockDB_) {
+          f.blockDB_[blockId].moveBy(dx.x, dx.y);
+        }
+      });
+      // Moving a frame moves the frames nested in it.
       frame.moveBy(dx.x, dx.y);
     }
   } finally {
     Blockly.Events.enable();
   }
   if (Blockly.Events.isEnabled()) {
-    for (const key in frame.blockDB_) {
-      const newBlock = frame.blockDB_[key];
-      Blockly.Events.fire(new Blockly.Events.BlockCreate(newBlock));
-    }
-    Blockly.Events.fire(new Blockly.Events.FrameCreate(frame));
+    frames.forEach((f) => {
+      for (const key in f.blockDB_) {
+        Blockly.Events.fire(new Blockly.Events.BlockCreate(f.blockDB_[key]));
+      }
+    });
+    frames.forEach((f) => {
+      Blockly.Events.fire(new Blockly.Events.FrameCreate(f));
+    });
   }
   frame.select();
+  return frame;
 };
 
 /**
@@ -1523,9 +1600,10 @@ Blockly.WorkspaceSvg.prototype.onMouseWheel_ = function(e) {
  *   containing the blocks on the workspace.
  */
 Blockly.WorkspaceSvg.prototype.getBlocksBoundingBox = function() {
-  var topBlocks = this.getTopBlocks(false).filter(i => !i.getSelfFrame() || !i.getSelfFrame().isCollapsed);
+  var topBlocks = this.getTopBlocks(false).filter(i => !i.getSelfFrame() ||
+      !(i.getSelfFrame().isCollapsed || i.getSelfFrame().isInCollapsedFrame()));
   var topComments = this.getTopComments(false);
-  var topFrames = this.getTopFrames(false);
+  var topFrames = this.getTopFrames(false).filter(frame => !frame.isInCollapsedFrame());
   var topElements = topBlocks.concat(topComments, topFrames);
   // There are no blocks, return empty rectangle.
   if (!topElements.length) {
@@ -1660,7 +1738,8 @@ Blockly.WorkspaceSvg.prototype.cleanUp = function(block) {
  */
 Blockly.WorkspaceSvg.prototype.getOrderedTopBlockColumns = function(separateOrphans) {
   let topBlocks = this.getTopBlocks();
-  let topFrames = this.getTopFrames(true);
+  // Nested frames are moved along with their parent frame.
+  let topFrames = this.getTopFrames(true).filter(frame => !frame.getParentFrame());
   let maxWidths = {};
 
   if (separateOrphans) {
@@ -1774,105 +1853,9 @@ Blockly.WorkspaceSvg.prototype.showContextMenu_ = function(e) {
   if (this.options.readOnly || this.isFlyout || this.resizingFrame) {
     return;
   }
-  // powered by xigua start
-  var menuOptions = window.__XIGUA_SHORTCUT ? [Blockly.ContextMenu.showBlocks(this)] : [];
-  // powered by xigua end
-  var topBlocks = this.getTopBlocks(true);
-  var topFrames = this.getTopFrames(false);
-  var eventGroup = Blockly.utils.genUid();
-  var ws = this;
-
-  // Options to undo/redo previous action.
-  menuOptions.push(Blockly.ContextMenu.wsUndoOption(this));
-  menuOptions.push(Blockly.ContextMenu.wsRedoOption(this));
-
-  // Option to create a frame.
-  if (this.options.frames) {
-    menuOptions.push(Blockly.ContextMenu.wsCreateFrameOption(this));
-  }
-
-  // Option to clean up blocks.
-  if (this.scrollbar) {
-    menuOptions.push(
-        Blockly.ContextMenu.wsCleanupOption(this, topBlocks.concat(topFrames).length));
-  }
-
-  if (this.options.collapse) {
-    var hasCollapsedBlocks = false;
-    var hasExpandedBlocks = false;
-    for (var i = 0; i < topBlocks.length; i++) {
-      var block = topBlocks[i];
-      while (block) {
-        if (block.isCollapsed()) {
-          hasCollapsedBlocks = true;
-        } else {
-          hasExpandedBlocks = true;
-        }
-        block = block.getNextBlock();
-      }
-    }
-
-    menuOptions.push(Blockly.ContextMenu.wsCollapseOption(hasExpandedBlocks,
-        topBlocks));
-
-    menuOptions.push(Blockly.ContextMenu.wsExpandOption(hasCollapsedBlocks,
-        topBlocks));
-  }
-
-  // Option to add a workspace comment.
-  if (this.options.comments) {
-    menuOptions.push(Blockly.ContextMenu.workspaceCommentOption(ws, e));
-  }
-
-  // Option to delete all blocks.
-  // Count the number of blocks that are deletable.
-  var deleteList = Blockly.WorkspaceSvg.buildDeleteList_(topBlocks);
-  // Scratch-specific: don't count shadow blocks in delete count
-  var deleteCount = 0;
-  for (var i = 0; i < deleteList.length; i++) {
-    if (!deleteList[i].isShadow() && (!deleteList[i].isInLockedFrame())) {
-      deleteCount++;
-    }
-  }
-
-  function deleteNext() {
-    Blockly.Events.setGroup(eventGroup);
-    var block = deleteList.shift();
-    if (block) {
-      if (block.workspace && !block.isInLockedFrame()) {
-        block.dispose(false, true);
-        requestAnimationFrame(deleteNext);
-      } else {
-        deleteNext();
-      }
-    }
-    Blockly.Events.setGroup(false);
-  }
-
-  var deleteOption = {
-    text: Blockly.utils.createMenuOptionNode(deleteCount == 1 ? Blockly.Msg.DELETE_BLOCK :
-        Blockly.Msg.DELETE_X_BLOCKS.replace('%1', String(deleteCount)), '⌫', 'var(--theme-error-color)'),
-    enabled: deleteCount > 0,
-    separator: true,
-    callback: function() {
-      if (ws.currentGesture_) {
-        ws.currentGesture_.cancel();
-      }
-      if (deleteCount < 2 ) {
-        deleteNext();
-      } else {
-        Blockly.confirm(
-            Blockly.Msg.DELETE_ALL_BLOCKS.replace('%1', String(deleteCount)),
-            function(ok) {
-              if (ok) {
-                deleteNext();
-              }
-            });
-      }
-    }
-  };
-  menuOptions.push(deleteOption);
-
+  var menuOptions = Blockly.ContextMenuRegistry.getOptions(
+      Blockly.ContextMenuRegistry.ScopeType.WORKSPACE,
+      {workspace: this, event: e});
   Blockly.ContextMenu.show(e, menuOptions, this.RTL);
 };
 
@@ -1939,6 +1922,75 @@ Blockly.WorkspaceSvg.prototype.updateToolbox = function(tree) {
   }
 };
 
+/**
+ * Get the theme of this workspace.
+ * @return {Blockly.Theme} The theme, or null if the colours were never set
+ *     by a theme.
+ */
+Blockly.WorkspaceSvg.prototype.getTheme = function() {
+  return this.options.theme || null;
+};
+
+/**
+ * Switch to another theme.  Blockly.Colours and the injected CSS are updated,
+ * and the blocks and frames of this workspace and of its flyout are
+ * recoloured.  Colours given to a block or a frame by other means than the
+ * theme are kept, and so are the colours given to the 'colours' option.
+ * @param {string|!Blockly.Theme} theme Name of a registered theme, or a theme.
+ */
+Blockly.WorkspaceSvg.prototype.setTheme = function(theme) {
+  var newTheme = Blockly.Theme.get(theme);
+  if (!newTheme) {
+    throw Error('Unknown theme: ' + theme);
+  }
+  var oldTheme = this.options.theme;
+  this.options.theme = newTheme;
+  var colourMap = Blockly.Theme.applyColours(newTheme, this.options.colours);
+  Blockly.Css.refresh();
+  Blockly.Theme.recolourWorkspace(this, colourMap);
+  var flyout = this.getFlyout();
+  if (flyout) {
+    Blockly.Theme.recolourWorkspace(flyout.getWorkspace(), colourMap);
+  }
+  var event = new Blockly.Events.Ui(null, 'theme',
+      oldTheme ? oldTheme.name : null, newTheme.name);
+  event.workspaceId = this.id;
+  Blockly.Events.fire(event);
+};
+
+/**
+ * Colour the blocks, frames and comments of this workspace that a diff adds,
+ * removes or changes.  Load the old version of the workspace to see what was
+ * removed, or the new version to see what was added.
+ * @param {!Object} diff A diff from Blockly.WorkspaceDiff.diff.
+ */
+Blockly.WorkspaceSvg.prototype.showDiff = function(diff) {
+  this.hideDiff();
+  var statuses = Blockly.WorkspaceDiff.getStatuses(diff);
+  for (var id in statuses) {
+    var element = this.getBlockById(id) || this.getFrameById(id) ||
+        this.getCommentById(id);
+    if (element && element.getSvgRoot) {
+      var root = element.getSvgRoot();
+      Blockly.utils.addClass(root,
+          Blockly.WorkspaceDiff.CLASS_NAMES[statuses[id]]);
+      this.diffRoots_.push(root);
+    }
+  }
+};
+
+/**
+ * Remove the colours of a diff shown on this workspace.
+ */
+Blockly.WorkspaceSvg.prototype.hideDiff = function() {
+  for (var i = 0, root; root = this.diffRoots_[i]; i++) {
+    for (var status in Blockly.WorkspaceDiff.CLASS_NAMES) {
+      Blockly.utils.removeClass(root, Blockly.WorkspaceDiff.CLASS_NAMES[status]);
+    }
+  }
+  this.diffRoots_ = [];
+};
+
 /**
  * Mark this workspace as the currently focused main workspace.
  */
@@ -2091,9 +2143,11 @@ Blockly.WorkspaceSvg.prototype.scrollCenter = function() {
 /**
  * Scroll the workspace to center on the given block.
  * @param {?string} id ID of block center on.
+ * @param {boolean=} opt_noHistory True to leave the jump out of the
+ *     navigation history.
  * @public
  */
-Blockly.WorkspaceSvg.prototype.centerOnBlock = function(id) {
+Blockly.WorkspaceSvg.prototype.centerOnBlock = function(id, opt_noHistory) {
   if (!this.scrollbar) {
     console.warn('Tried to scroll a non-scrollable workspace.');
     return;
@@ -2116,31 +2170,104 @@ Blockly.WorkspaceSvg.prototype.centerOnBlock = function(id) {
   var multiplier = this.RTL ? -1 : 1;
   var blockCenterX = xy.x + (multiplier * heightWidth.width / 2);
 
+  this.recordNavigation_(opt_noHistory);
+  Blockly.hideChaff();
+  this.scrollCenterTo(blockCenterX, blockCenterY);
+};
+
+/**
+ * Scroll the workspace to center on the given frame.
+ * @param {?string} id ID of frame to center on.
+ * @param {boolean=} opt_noHistory True to leave the jump out of the
+ *     navigation history.
+ * @public
+ */
+Blockly.WorkspaceSvg.prototype.centerOnFrame = function(id, opt_noHistory) {
+  if (!this.scrollbar) {
+    console.warn('Tried to scroll a non-scrollable workspace.');
+    return;
+  }
+
+  var frame = this.getFrameById(id);
+  if (!frame) {
+    return;
+  }
+
+  // Frame rects are always stored with their top-left corner, even in RTL.
+  var rect = frame.getBoundingFrameRect();
+  this.recordNavigation_(opt_noHistory);
+  Blockly.hideChaff();
+  this.scrollCenterTo(rect.x + rect.width / 2, rect.y + rect.height / 2);
+};
+
+/**
+ * Scroll the workspace to center on the given workspace comment.
+ * @param {?string} id ID of comment to center on.
+ * @param {boolean=} opt_noHistory True to leave the jump out of the
+ *     navigation history.
+ * @public
+ */
+Blockly.WorkspaceSvg.prototype.centerOnComment = function(id, opt_noHistory) {
+  if (!this.scrollbar) {
+    console.warn('Tried to scroll a non-scrollable workspace.');
+    return;
+  }
+
+  var comment = this.getCommentById(id);
+  if (!comment) {
+    return;
+  }
+
+  var xy = comment instanceof Blockly.ScratchBlockComment ?
+      comment.getXY() : comment.getRelativeToSurfaceXY();
+  var heightWidth = comment.getHeightWidth();
+  var multiplier = this.RTL ? -1 : 1;
+  this.recordNavigation_(opt_noHistory);
+  Blockly.hideChaff();
+  this.scrollCenterTo(xy.x + (multiplier * heightWidth.width / 2),
+      xy.y + heightWidth.height / 2);
+};
+
+/**
+ * Record the current view in the navigation history, before a jump.
+ * @param {boolean=} opt_noHistory True to record nothing.
+ * @private
+ */
+Blockly.WorkspaceSvg.prototype.recordNavigation_ = function(opt_noHistory) {
+  if (!opt_noHistory && this.navigationHistory) {
+    this.navigationHistory.record();
+  }
+};
+
+/**
+ * Scroll the workspace so that the given point is in the center of the
+ * visible workspace.
+ * @param {number} centerX X coordinate of the point, in workspace units.
+ * @param {number} centerY Y coordinate of the point, in workspace units.
+ * @package
+ */
+Blockly.WorkspaceSvg.prototype.scrollCenterTo = function(centerX, centerY) {
   // Workspace scale, used to convert from workspace coordinates to pixels.
   var scale = this.scale;
 
   // Center in pixels.  0, 0 is at the workspace origin.  These numbers may
   // be negative.
-  var pixelX = blockCenterX * scale;
-  var pixelY = blockCenterY * scale;
+  var pixelX = centerX * scale;
+  var pixelY = centerY * scale;
 
   var metrics = this.getMetrics();
 
-  // Scrolling to here would put the block in the top-left corner of the
+  // Scrolling to here would put the point in the top-left corner of the
   // visible workspace.
-  var scrollToBlockX = pixelX - metrics.contentLeft;
-  var scrollToBlockY = pixelY - metrics.contentTop;
+  var scrollToX = pixelX - metrics.contentLeft;
+  var scrollToY = pixelY - metrics.contentTop;
 
   // viewHeight and viewWidth are in pixels.
   var halfViewWidth = metrics.viewWidth / 2;
   var halfViewHeight = metrics.viewHeight / 2;
 
-  // Put the block in the center of the visible workspace instead.
-  var scrollToCenterX = scrollToBlockX - halfViewWidth;
-  var scrollToCenterY = scrollToBlockY - halfViewHeight;
-
-  Blockly.hideChaff();
-  this.scrollbar.set(scrollToCenterX, scrollToCenterY);
+  // Put the point in the center of the visible workspace instead.
+  this.scrollbar.set(scrollToX - halfViewWidth, scrollToY - halfViewHeight);
 };
 
 // powered by xigua start
@@ -2604,7 +2731,21 @@ Blockly.WorkspaceSvg.prototype.setToolboxRefreshEnabled = function(enabled) {
  */
 Blockly.WorkspaceSvg.prototype.clear = function() {
   this.setResizesEnabled(false);
-  Blockly.WorkspaceSvg.superClass_.clear.call(this);
+  var existingGroup = Blockly.Events.getGroup();
+  if (!existingGroup) {
+    Blockly.Events.setGroup(true);
+  }
+  if (this.trashcan) {
+    // Clearing the workspace, as when loading a project, is not deleting.
+    this.trashcan.ignoreGroup(Blockly.Events.getGroup());
+  }
+  try {
+    Blockly.WorkspaceSvg.superClass_.clear.call(this);
+  } finally {
+    if (!existingGroup) {
+      Blockly.Events.setGroup(false);
+    }
+  }
   this.setResizesEnabled(true);
 };
 
@@ -2775,6 +2916,23 @@ Blockly.WorkspaceSvg.prototype.startDragFrameWithFakeEvent = function(fakeEvent,
   gesture.forceStartFrameDrag(fakeEvent, frame);
 };
 
+/**
+ * Force a drag to start without clicking and dragging the comment itself.
+ * Used to attach comments taken out of the trash can to the mouse pointer.
+ * @param {!Object} fakeEvent An object with the properties needed to start a
+ *     drag, including clientX and clientY.
+ * @param {!Blockly.WorkspaceCommentSvg} comment The comment to start
+ *     dragging.
+ * @package
+ */
+Blockly.WorkspaceSvg.prototype.startDragBubbleWithFakeEvent = function(
+    fakeEvent, comment) {
+  Blockly.Touch.clearTouchIdentifier();
+  Blockly.Touch.checkTouchIdentifier(fakeEvent);
+  var gesture = comment.workspace.getGesture(fakeEvent);
+  gesture.forceStartBubbleDrag(fakeEvent, comment);
+};
+
 /**
  * Get the audio manager for this workspace.
  * @return {Blockly.WorkspaceAudio} The audio manager for this workspace.
@@ -63,7 +63,10 @@ Blockly.Xml.workspaceToDom = function(workspace, opt_noId) {
   var frames = workspace.getAllFrames();
   var framesWrapper = goog.dom.createDom('custom-frameset');
   for (var i = 0, frame; frame = frames[i]; i++) {
-    framesWrapper.appendChild(Blockly.Xml.frameToDom(frame));
+    // Nested frames are encoded inside their parent frame.
+    if (!frame.getParentFrame()) {
+      framesWrapper.appendChild(Blockly.Xml.frameToDom(frame));
+    }
   }
   xml.appendChild(framesWrapper);
 
@@ -93,9 +96,11 @@ Blockly.Xml.variablesToDom = function(variableList) {
  * Encode a frame as XML.
  * @param {!Blockly.Frame} frame A frame.
  * @param {boolean} createBlocksXml Whether to create xml for the blocks that the frame contains.
+ * @param {boolean=} opt_noChildFrames True if the frames nested in the frame
+ *     should be left out.
  * @return {!Element} List of XML elements.
  */
-Blockly.Xml.frameToDom = function(frame, createBlocksXml) {
+Blockly.Xml.frameToDom = function(frame, createBlocksXml, opt_noChildFrames) {
   // Cannot use the frame element as a custom tag, as it is an existing HTML tag name.
   var element = goog.dom.createDom('custom-frame', null, frame.name);
   var rect = frame.rect_;
@@ -104,6 +109,12 @@ Blockly.Xml.frameToDom = function(frame, createBlocksXml) {
   element.setAttribute('color', frame.color);
   element.setAttribute('locked', frame.locked);
   element.setAttribute('collapsed', frame.isCollapsed);
+  if (frame.contentsHidden) {
+    element.setAttribute('contentshidden', true);
+  }
+  if (frame.bookmarked) {
+    element.setAttribute('bookmarked', true);
+  }
   element.setAttribute('blocks', Object.keys(frame.blockDB_).join(' '));
   element.setAttribute('x', rect.left);
   element.setAttribute('y', rect.top);
@@ -118,6 +129,11 @@ Blockly.Xml.frameToDom = function(frame, createBlocksXml) {
       element.appendChild(xml);
     });
   }
+  if (!opt_noChildFrames) {
+    frame.getChildFrames().forEach((childFrame) => {
+      element.appendChild(Blockly.Xml.frameToDom(childFrame, createBlocksXml));
+    });
+  }
   return element;
 };
 
@@ -226,11 +242,9 @@ Blockly.Xml.allFieldsToDom_ = function(block, element) {
  */
 Blockly.Xml.blockToDom = function(block, opt_noId, endBlockId, withoutComment) {
   var element = goog.dom.createDom(block.isShadow() ? 'shadow' : 'block');
-  // powered by xigua start
-  if (block.hidden) {
+  if (block.hidden && !block.getParent()) {
     element.setAttribute('hidden', true);
   }
-  // powered by xigua end
   element.setAttribute('type', block.type);
   if (!opt_noId) {
     element.setAttribute('id', block.id);
@@ -304,6 +318,9 @@ Blockly.Xml.blockToDom = function(block, opt_noId, endBlockId, withoutComment) {
   if (!block.isEditable()) {
     element.setAttribute('editable', false);
   }
+  if (block.bookmarked) {
+    element.setAttribute('bookmarked', true);
+  }
 
   var nextBlock = block.getNextBlock();
   if (nextBlock && nextBlock.id !== endBlockId) {
@@ -488,6 +505,10 @@ Blockly.Xml.domToWorkspace = function(xml, workspace) {
     width = workspace.getWidth();
   }
   var newBlockIds = [];  // A list of block IDs added by this call.
+  // Stacks out of view are rendered once they are scrolled to.
+  var deferRendering = !!(workspace.rendered &&
+      workspace.options.lazyRendering && workspace.intersectionObserver &&
+      !workspace.isFlyout);
   Blockly.Field.startCache();
   // Safari 7.1.3 is known to provide node lists with extra references to
   // children beyond the lists' length.  Trust the length, do not use the
@@ -512,7 +533,8 @@ Blockly.Xml.domToWorkspace = function(xml, workspace) {
         // Allow top-level shadow blocks if recordUndo is disabled since
         // that means an undo is in progress.  Such a block is expected
         // to be moved to a nested destination in the next operation.
-        var block = Blockly.Xml.domToBlock(xmlChild, workspace);
+        var block = Blockly.Xml.domToBlock(xmlChild, workspace,
+            deferRendering);
         newBlockIds.push(block.id);
         var blockX = xmlChild.hasAttribute('x') ?
             parseInt(xmlChild.getAttribute('x'), 10) : 10;
@@ -568,6 +590,9 @@ Blockly.Xml.domToWorkspace = function(xml, workspace) {
       workspace.setResizesEnabled(true);
     });
   }
+  if (deferRendering) {
+    workspace.queueIntersectionCheck();
+  }
   return newBlockIds;
 };
 
@@ -630,9 +655,11 @@ Blockly.Xml.appendDomToWorkspace = function(xml, workspace) {
  * workspace.
  * @param {!Element} xmlBlock XML block element.
  * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {boolean=} opt_deferRendering If true, the SVG of a rendered stack
+ *     without comments is only built once it comes into view.
  * @return {!Blockly.Block} The root block created.
  */
-Blockly.Xml.domToBlock = function(xmlBlock, workspace) {
+Blockly.Xml.domToBlock = function(xmlBlock, workspace, opt_deferRendering) {
   if (xmlBlock instanceof Blockly.Workspace) {
     var swap = xmlBlock;
     xmlBlock = workspace;
@@ -645,34 +672,39 @@ Blockly.Xml.domToBlock = function(xmlBlock, workspace) {
   var variablesBeforeCreation = workspace.getAllVariables();
   try {
     var topBlock = Blockly.Xml.domToBlockHeadless_(xmlBlock, workspace);
+    topBlock.hidden = xmlBlock.getAttribute('hidden') == 'true';
     // Generate list of all blocks.
     var blocks = topBlock.getDescendants(false);
     if (workspace.rendered) {
       // Hide connections to speed up assembly.
       topBlock.setConnectionsHidden(true);
-      // powered by xigua start
-      var hidden = xmlBlock.getAttribute('hidden');
-      if (hidden) {
-        topBlock.hidden = true;
-      }
-      // powered by xigua end
-      // Render each block.
-      for (var i = blocks.length - 1; i >= 0; i--) {
-        blocks[i].initSvg();
-      }
-      for (var i = blocks.length - 1; i >= 0; i--) {
-        blocks[i].render(false);
-      }
-      // Populating the connection database may be deferred until after the
-      // blocks have rendered.
-      if (!workspace.isFlyout) {
-        requestAnimationFrame(function() {
-          if (topBlock.workspace) {  // Check that the block hasn't been deleted.
-            topBlock.setConnectionsHidden(false);
-          }
-        });
+      // Comment bubbles are positioned against their rendered block.
+      var defer = opt_deferRendering && !blocks.some(function(block) {
+        return block.comment;
+      });
+      if (defer) {
+        // Connections are shown when the stack is rendered.
+        topBlock.deferRendering();
+      } else {
+        // Render each block.
+        for (var i = blocks.length - 1; i >= 0; i--) {
+          blocks[i].initSvg();
+        }
+        for (var i = blocks.length - 1; i >= 0; i--) {
+          blocks[i].render(false);
+        }
+        // Populating the connection database may be deferred until after the
+        // blocks have rendered.
+        if (!workspace.isFlyout) {
+          requestAnimationFrame(function() {
+            // Check that the block hasn't been deleted.
+            if (topBlock.workspace) {
+              topBlock.setConnectionsHidden(false);
+            }
+          });
+        }
+        topBlock.updateDisabled();
       }
-      topBlock.updateDisabled();
       // Allow the scrollbars to resize and move based on the new contents.
       // TODO(@picklesrus): #387. Remove when domToBlock avoids resizing.
       workspace.resizeContents();
@@ -704,13 +736,16 @@ Blockly.Xml.domToBlock = function(xmlBlock, workspace) {
  * @param {!Element} xmlChild The XML frame element.
  * @param {!Blockly.Workspace} workspace The workspace to which the frame
  *     should be added.
+ * @param {string=} opt_parentId The ID of the frame to nest the frame in.
  * @return {!Blockly.Frame} The root frame created.
  */
-Blockly.Xml.domToFrame = function(xmlChild, workspace) {
+Blockly.Xml.domToFrame = function(xmlChild, workspace, opt_parentId) {
   var title = xmlChild.getAttribute('title');
   var color = xmlChild.getAttribute('color');
   var locked = xmlChild.getAttribute('locked') === 'true';
   var isCollapsed = xmlChild.getAttribute('collapsed') === 'true';
+  var contentsHidden = xmlChild.getAttribute('contentshidden') === 'true';
+  var bookmarked = xmlChild.getAttribute('bookmarked') === 'true';
   var id = xmlChild.getAttribute('id');
   var blocks = xmlChild.getAttribute('blocks');
 
@@ -719,19 +754,27 @@ Blockly.Xml.domToFrame = function(xmlChild, workspace) {
   var width = xmlChild.getAttribute('width');
   var height = xmlChild.getAttribute('height');
 
-  return workspace.createFrame({
+  var frame = workspace.createFrame({
     title: title,
     color: color,
     locked: locked,
     isCollapsed: isCollapsed,
+    contentsHidden: contentsHidden,
+    bookmarked: bookmarked,
     id: id,
     blocks: blocks ? blocks.split(' ') : [],
+    parent: opt_parentId || null,
     x: Number(x),
     y: Number(y),
     width: Number(width),
     height: Number(height)
   });
-
+  for (var i = 0, xmlFrame; xmlFrame = xmlChild.children[i]; i++) {
+    if (xmlFrame.nodeName.toLowerCase() == 'custom-frame') {
+      Blockly.Xml.domToFrame(xmlFrame, workspace, frame.id);
+    }
+  }
+  return frame;
 };
 
 /**
@@ -937,6 +980,9 @@ Blockly.Xml.domToBlockHeadless_ = function(xmlBlock, workspace) {
   if (collapsed) {
     block.setCollapsed(collapsed == 'true');
   }
+  if (xmlBlock.getAttribute('bookmarked') == 'true') {
+    block.setBookmarked(true);
+  }
   if (xmlBlock.nodeName.toLowerCase() == 'shadow') {
     // Ensure all children are also shadows.
     var children = block.getChildren(false);
@@ -1027,6 +1073,19 @@ Blockly.Xml.deleteNext = function(xmlBlock) {
   }
 };
 
+/**
+ * Remove the bookmarks of blocks and frames, so that copies of bookmarked
+ * blocks and frames aren't bookmarked.
+ * @param {!Element} xml XML block or frame element, or XML document.
+ */
+Blockly.Xml.removeBookmarks = function(xml) {
+  xml.removeAttribute('bookmarked');
+  var elements = xml.getElementsByTagName('*');
+  for (var i = 0, element; element = elements[i]; i++) {
+    element.removeAttribute('bookmarked');
+  }
+};
+
 // Export symbols that would otherwise be renamed by Closure compiler.
 if (!goog.global['Blockly']) {
   goog.global['Blockly'] = {};
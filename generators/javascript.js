@@ -0,0 +1,332 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Helper functions for generating JavaScript for the Scratch
+ * vertical blocks.  The output reads like JavaScript calling into an
+ * imaginary sprite runtime (moveSteps(10), say('Hello!'), ...) and is meant
+ * to explain what a script does, not to be executed as is.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript');
+
+goog.require('Blockly.Generator');
+
+
+/**
+ * JavaScript code generator.
+ * @type {!Blockly.Generator}
+ */
+Blockly.JavaScript = new Blockly.Generator('JavaScript');
+
+/**
+ * List of illegal variable names.
+ * This is not intended to be a security feature.  Blockly is 100% client-side,
+ * so bypassing this list is trivial.  This is intended to prevent users from
+ * accidentally clobbering a built-in object or function.
+ * @private
+ */
+Blockly.JavaScript.addReservedWords(
+    // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Lexical_grammar#Keywords
+    'break,case,catch,class,const,continue,debugger,default,delete,do,else,' +
+    'export,extends,finally,for,function,if,import,in,instanceof,new,return,' +
+    'super,switch,this,throw,try,typeof,var,void,while,with,yield,enum,' +
+    'implements,interface,let,package,private,protected,public,static,await,' +
+    'null,true,false,' +
+    // Magic variable.
+    'arguments,' +
+    // Everything in the current environment (835 items in Chrome, 104 in Node).
+    Object.getOwnPropertyNames(goog.global).join(','));
+
+/**
+ * Order of operation ENUMs.
+ * https://developer.mozilla.org/en/JavaScript/Reference/Operators/Operator_Precedence
+ */
+Blockly.JavaScript.ORDER_ATOMIC = 0;           // 0 "" ...
+Blockly.JavaScript.ORDER_MEMBER = 1.2;         // . []
+Blockly.JavaScript.ORDER_FUNCTION_CALL = 2;    // ()
+Blockly.JavaScript.ORDER_INCREMENT = 3;        // ++
+Blockly.JavaScript.ORDER_DECREMENT = 3;        // --
+Blockly.JavaScript.ORDER_LOGICAL_NOT = 4.4;    // !
+Blockly.JavaScript.ORDER_UNARY_NEGATION = 4.3; // -
+Blockly.JavaScript.ORDER_MULTIPLICATION = 5.1; // *
+Blockly.JavaScript.ORDER_DIVISION = 5.2;       // /
+Blockly.JavaScript.ORDER_MODULUS = 5.3;        // %
+Blockly.JavaScript.ORDER_SUBTRACTION = 6.1;    // -
+Blockly.JavaScript.ORDER_ADDITION = 6.2;       // +
+Blockly.JavaScript.ORDER_RELATIONAL = 8;       // < <= > >=
+Blockly.JavaScript.ORDER_EQUALITY = 9;         // == != === !==
+Blockly.JavaScript.ORDER_LOGICAL_AND = 13;     // &&
+Blockly.JavaScript.ORDER_LOGICAL_OR = 14;      // ||
+Blockly.JavaScript.ORDER_CONDITIONAL = 15;     // ?:
+Blockly.JavaScript.ORDER_ASSIGNMENT = 16;      // = += -= *= /= %=
+Blockly.JavaScript.ORDER_COMMA = 18;           // ,
+Blockly.JavaScript.ORDER_NONE = 99;            // (...)
+
+/**
+ * List of outer-inner pairings that do NOT require parentheses.
+ * @type {!Array.<!Array.<number>>}
+ */
+Blockly.JavaScript.ORDER_OVERRIDES = [
+  // (foo()).bar -> foo().bar
+  // (foo())[0] -> foo()[0]
+  [Blockly.JavaScript.ORDER_FUNCTION_CALL, Blockly.JavaScript.ORDER_MEMBER],
+  // (foo())() -> foo()()
+  [Blockly.JavaScript.ORDER_FUNCTION_CALL, Blockly.JavaScript.ORDER_FUNCTION_CALL],
+  // (foo.bar).baz -> foo.bar.baz
+  // (foo.bar)[0] -> foo.bar[0]
+  // (foo[0]).bar -> foo[0].bar
+  // (foo[0])[1] -> foo[0][1]
+  [Blockly.JavaScript.ORDER_MEMBER, Blockly.JavaScript.ORDER_MEMBER],
+  // (foo.bar)() -> foo.bar()
+  // (foo[0])() -> foo[0]()
+  [Blockly.JavaScript.ORDER_MEMBER, Blockly.JavaScript.ORDER_FUNCTION_CALL],
+  // !(!foo) -> !!foo
+  [Blockly.JavaScript.ORDER_LOGICAL_NOT, Blockly.JavaScript.ORDER_LOGICAL_NOT],
+  // a * (b * c) -> a * b * c
+  [Blockly.JavaScript.ORDER_MULTIPLICATION, Blockly.JavaScript.ORDER_MULTIPLICATION],
+  // a + (b + c) -> a + b + c
+  [Blockly.JavaScript.ORDER_ADDITION, Blockly.JavaScript.ORDER_ADDITION],
+  // a && (b && c) -> a && b && c
+  [Blockly.JavaScript.ORDER_LOGICAL_AND, Blockly.JavaScript.ORDER_LOGICAL_AND],
+  // a || (b || c) -> a || b || c
+  [Blockly.JavaScript.ORDER_LOGICAL_OR, Blockly.JavaScript.ORDER_LOGICAL_OR]
+];
+
+/**
+ * Name type used for the parameters of custom blocks, so that a parameter
+ * never shares a name with a variable of the same name.
+ * @const {string}
+ */
+Blockly.JavaScript.ARGUMENT_NAME_TYPE = 'ARGUMENT';
+
+/**
+ * Initialise the database of variable names.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
+ */
+Blockly.JavaScript.init = function(workspace) {
+  // Create a dictionary of definitions to be printed before the code.
+  Blockly.JavaScript.definitions_ = Object.create(null);
+  // Create a dictionary mapping desired function names in definitions_
+  // to actual function names (to avoid collisions with user functions).
+  Blockly.JavaScript.functionNames_ = Object.create(null);
+  // Create a dictionary mapping procedure codes to function names.
+  Blockly.JavaScript.procedureNames_ = Object.create(null);
+
+  if (!Blockly.JavaScript.variableDB_) {
+    Blockly.JavaScript.variableDB_ =
+        new Blockly.Names(Blockly.JavaScript.RESERVED_WORDS_);
+  } else {
+    Blockly.JavaScript.variableDB_.reset();
+  }
+  Blockly.JavaScript.variableDB_.setVariableMap(workspace.getVariableMap());
+
+  var declarations = [];
+  var variables = workspace.getAllVariables();
+  for (var i = 0; i < variables.length; i++) {
+    var type = variables[i].type;
+    if (type == Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE) {
+      // Broadcast messages are referred to by name, they are not variables.
+      continue;
+    }
+    var name = Blockly.JavaScript.variableDB_.getName(variables[i].getId(),
+        Blockly.Variables.NAME_TYPE);
+    declarations.push('var ' + name + ' = ' +
+        (type == Blockly.LIST_VARIABLE_TYPE ? '[]' : '0') + ';');
+  }
+  if (declarations.length) {
+    Blockly.JavaScript.definitions_['variables'] = declarations.join('\n');
+  }
+};
+
+/**
+ * Prepend the generated code with the variable definitions.
+ * @param {string} code Generated code.
+ * @return {string} Completed code.
+ */
+Blockly.JavaScript.finish = function(code) {
+  // Convert the definitions dictionary into a list.
+  var definitions = [];
+  for (var name in Blockly.JavaScript.definitions_) {
+    definitions.push(Blockly.JavaScript.definitions_[name]);
+  }
+  // Clean up temporary data.
+  delete Blockly.JavaScript.definitions_;
+  delete Blockly.JavaScript.functionNames_;
+  delete Blockly.JavaScript.procedureNames_;
+  Blockly.JavaScript.variableDB_.reset();
+  return definitions.length ? definitions.join('\n\n') + '\n\n\n' + code :
+      code;
+};
+
+/**
+ * Naked values are top-level blocks with outputs that aren't plugged into
+ * anything.  A trailing semicolon is needed to make this legal.
+ * @param {string} line Line of generated code.
+ * @return {string} Legal line of code.
+ */
+Blockly.JavaScript.scrubNakedValue = function(line) {
+  return line + ';\n';
+};
+
+/**
+ * Encode a string as a properly escaped JavaScript string, complete with
+ * quotes.
+ * @param {string} string Text to encode.
+ * @return {string} JavaScript string.
+ * @private
+ */
+Blockly.JavaScript.quote_ = function(string) {
+  string = String(string).replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/'/g, '\\\'');
+  return '\'' + string + '\'';
+};
+
+/**
+ * Common tasks for generating JavaScript from blocks.
+ * Handles comments for the specified block and any connected value blocks.
+ * Calls any statements following this block.  Hat blocks generate their own
+ * scripts, see Blockly.JavaScript.hatToCode.
+ * @param {!Blockly.Block} block The current block.
+ * @param {string} code The JavaScript code created for this block.
+ * @return {string} JavaScript code with comments and subsequent blocks added.
+ * @private
+ */
+Blockly.JavaScript.scrub_ = function(block, code) {
+  var commentCode = '';
+  // Only collect comments for blocks that aren't inline.
+  if (!block.outputConnection || !block.outputConnection.targetConnection) {
+    var comment = block.getCommentText();
+    if (comment) {
+      comment = Blockly.utils.wrap(comment,
+          Blockly.JavaScript.COMMENT_WRAP - 3);
+      commentCode += Blockly.JavaScript.prefixLines(comment + '\n', '// ');
+    }
+  }
+  var nextCode = '';
+  if (block.previousConnection && block.nextConnection) {
+    nextCode = Blockly.JavaScript.blockToCode(block.nextConnection.targetBlock());
+  }
+  return commentCode + code + nextCode;
+};
+
+/**
+ * Generate the code for a hat block: a call registering the script below the
+ * hat as a callback.
+ * @param {!Blockly.Block} block The hat block.
+ * @param {string} functionName Name of the function registering the script.
+ * @param {!Array.<string>=} opt_args Code for the arguments that come before
+ *     the callback.
+ * @return {string} Generated code.
+ */
+Blockly.JavaScript.hatToCode = function(block, functionName, opt_args) {
+  var args = (opt_args || []).slice();
+  args.push('function() {\n' + Blockly.JavaScript.scriptToCode(block) + '}');
+  return functionName + '(' + args.join(', ') + ');\n';
+};
+
+/**
+ * Generate the indented code for the stack of blocks below a hat block.
+ * @param {!Blockly.Block} block The hat block.
+ * @return {string} Generated code.
+ */
+Blockly.JavaScript.scriptToCode = function(block) {
+  var code = Blockly.JavaScript.blockToCode(block.getNextBlock());
+  if (code) {
+    code = Blockly.JavaScript.prefixLines(code, Blockly.JavaScript.INDENT);
+  }
+  return code;
+};
+
+/**
+ * Generate the code for a block that calls a runtime function, e.g.
+ * moveSteps(10); or getTimer().  Each input or field is passed as an
+ * argument, in order.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} functionName Name of the runtime function.
+ * @param {!Array.<string>} names Names of the value inputs and fields to
+ *     pass as arguments.  Fields are passed as quoted strings.
+ * @return {string|!Array} Statement code, or a value code tuple if the block
+ *     has an output.
+ */
+Blockly.JavaScript.callToCode = function(block, functionName, names) {
+  var args = names.map(function(name) {
+    if (block.getField(name)) {
+      return Blockly.JavaScript.quote_(block.getFieldValue(name));
+    }
+    return Blockly.JavaScript.valueToCode(block, name,
+        Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  });
+  var code = functionName + '(' + args.join(', ') + ')';
+  if (block.outputConnection) {
+    return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+  }
+  return code + ';\n';
+};
+
+/**
+ * Generate the code for a shadow menu block: its selected value as a string.
+ * @param {string} fieldName Name of the dropdown field.
+ * @return {function(!Blockly.Block): !Array} Block generator function.
+ */
+Blockly.JavaScript.menuToCode = function(fieldName) {
+  return function(block) {
+    return [Blockly.JavaScript.quote_(block.getFieldValue(fieldName)),
+      Blockly.JavaScript.ORDER_ATOMIC];
+  };
+};
+
+/**
+ * Get the JavaScript name of a variable or list referenced by a field.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} fieldName Name of the variable field.
+ * @return {string} Variable name.
+ */
+Blockly.JavaScript.variableName = function(block, fieldName) {
+  return Blockly.JavaScript.variableDB_.getName(block.getFieldValue(fieldName),
+      Blockly.Variables.NAME_TYPE);
+};
+
+/**
+ * Get the JavaScript name of the function generated for a custom block.
+ * @param {string} procCode The procedure code, e.g. 'jump %s times'.
+ * @return {string} Function name, e.g. 'jump_times'.
+ */
+Blockly.JavaScript.procedureName = function(procCode) {
+  if (!(procCode in Blockly.JavaScript.procedureNames_)) {
+    var label = procCode.replace(/%[nbs]/g, ' ').trim().replace(/\s+/g, ' ');
+    Blockly.JavaScript.procedureNames_[procCode] =
+        Blockly.JavaScript.variableDB_.getDistinctName(label,
+            Blockly.PROCEDURE_CATEGORY_NAME);
+  }
+  return Blockly.JavaScript.procedureNames_[procCode];
+};
+
+/**
+ * Get the JavaScript name of a custom block parameter.
+ * @param {string} name The parameter name shown on the block.
+ * @return {string} Parameter name.
+ */
+Blockly.JavaScript.argumentName = function(name) {
+  return Blockly.JavaScript.variableDB_.getName(name,
+      Blockly.JavaScript.ARGUMENT_NAME_TYPE);
+};
@@ -0,0 +1,137 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for control blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.control');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['control_forever'] = function(block) {
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  branch = Blockly.JavaScript.addLoopTrap(branch, block.id);
+  return 'while (true) {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_repeat'] = function(block) {
+  var repeats = Blockly.JavaScript.valueToCode(block, 'TIMES',
+      Blockly.JavaScript.ORDER_RELATIONAL) || '0';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  branch = Blockly.JavaScript.addLoopTrap(branch, block.id);
+  var loopVar = Blockly.JavaScript.variableDB_.getDistinctName(
+      'count', Blockly.Variables.NAME_TYPE);
+  return 'for (var ' + loopVar + ' = 0; ' + loopVar + ' < ' + repeats + '; ' +
+      loopVar + '++) {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_if'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  return 'if (' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_if_else'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  var elseBranch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK2');
+  return 'if (' + condition + ') {\n' + branch + '} else {\n' + elseBranch +
+      '}\n';
+};
+
+Blockly.JavaScript['control_stop'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'stop', ['STOP_OPTION']);
+};
+
+Blockly.JavaScript['control_wait'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'wait', ['DURATION']);
+};
+
+Blockly.JavaScript['control_wait_until'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  return 'waitUntil(function() {\n' + Blockly.JavaScript.INDENT + 'return ' +
+      condition + ';\n});\n';
+};
+
+Blockly.JavaScript['control_repeat_until'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_LOGICAL_NOT) || 'false';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  branch = Blockly.JavaScript.addLoopTrap(branch, block.id);
+  return 'while (!' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_while'] = function(block) {
+  var condition = Blockly.JavaScript.valueToCode(block, 'CONDITION',
+      Blockly.JavaScript.ORDER_NONE) || 'false';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  branch = Blockly.JavaScript.addLoopTrap(branch, block.id);
+  return 'while (' + condition + ') {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_for_each'] = function(block) {
+  // Counts the variable from 1 up to and including the value.
+  var variable = Blockly.JavaScript.variableName(block, 'VARIABLE');
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_RELATIONAL) || '0';
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  branch = Blockly.JavaScript.addLoopTrap(branch, block.id);
+  return 'for (' + variable + ' = 1; ' + variable + ' <= ' + value + '; ' +
+      variable + '++) {\n' + branch + '}\n';
+};
+
+Blockly.JavaScript['control_start_as_clone'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenIStartAsAClone');
+};
+
+Blockly.JavaScript['control_create_clone_of_menu'] =
+    Blockly.JavaScript.menuToCode('CLONE_OPTION');
+
+Blockly.JavaScript['control_create_clone_of'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'createCloneOf',
+      ['CLONE_OPTION']);
+};
+
+Blockly.JavaScript['control_delete_this_clone'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'deleteThisClone', []);
+};
+
+Blockly.JavaScript['control_get_counter'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getCounter', []);
+};
+
+Blockly.JavaScript['control_incr_counter'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'incrementCounter', []);
+};
+
+Blockly.JavaScript['control_clear_counter'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'clearCounter', []);
+};
+
+Blockly.JavaScript['control_all_at_once'] = function(block) {
+  var branch = Blockly.JavaScript.statementToCode(block, 'SUBSTACK');
+  return 'allAtOnce(function() {\n' + branch + '});\n';
+};
@@ -0,0 +1,147 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for variable and list blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.data');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['data_variable'] = function(block) {
+  return [Blockly.JavaScript.variableName(block, 'VARIABLE'),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['data_setvariableto'] = function(block) {
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_ASSIGNMENT) || '0';
+  return Blockly.JavaScript.variableName(block, 'VARIABLE') + ' = ' + value +
+      ';\n';
+};
+
+Blockly.JavaScript['data_changevariableby'] = function(block) {
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_ASSIGNMENT) || '0';
+  return Blockly.JavaScript.variableName(block, 'VARIABLE') + ' += ' + value +
+      ';\n';
+};
+
+Blockly.JavaScript['data_showvariable'] = function(block) {
+  return 'showVariable(' + Blockly.JavaScript.quote_(
+      block.getField('VARIABLE').getText()) + ');\n';
+};
+
+Blockly.JavaScript['data_hidevariable'] = function(block) {
+  return 'hideVariable(' + Blockly.JavaScript.quote_(
+      block.getField('VARIABLE').getText()) + ');\n';
+};
+
+Blockly.JavaScript['data_listcontents'] = function(block) {
+  return [Blockly.JavaScript.variableName(block, 'LIST') + '.join(\' \')',
+    Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['data_listindexall'] = function(block) {
+  var index = block.getFieldValue('INDEX');
+  if (Blockly.isNumber(index)) {
+    return [String(Number(index)), Blockly.JavaScript.ORDER_ATOMIC];
+  }
+  return [Blockly.JavaScript.quote_(index), Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['data_listindexrandom'] =
+    Blockly.JavaScript['data_listindexall'];
+
+Blockly.JavaScript['data_addtolist'] = function(block) {
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return Blockly.JavaScript.variableName(block, 'LIST') + '.push(' + item +
+      ');\n';
+};
+
+Blockly.JavaScript['data_deleteoflist'] = function(block) {
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return 'deleteOfList(' + Blockly.JavaScript.variableName(block, 'LIST') +
+      ', ' + index + ');\n';
+};
+
+Blockly.JavaScript['data_deletealloflist'] = function(block) {
+  return Blockly.JavaScript.variableName(block, 'LIST') + '.length = 0;\n';
+};
+
+Blockly.JavaScript['data_insertatlist'] = function(block) {
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return 'insertAtList(' + Blockly.JavaScript.variableName(block, 'LIST') +
+      ', ' + index + ', ' + item + ');\n';
+};
+
+Blockly.JavaScript['data_replaceitemoflist'] = function(block) {
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'replaceItemOfList(' + Blockly.JavaScript.variableName(block, 'LIST') +
+      ', ' + index + ', ' + item + ');\n';
+};
+
+Blockly.JavaScript['data_itemoflist'] = function(block) {
+  var index = Blockly.JavaScript.valueToCode(block, 'INDEX',
+      Blockly.JavaScript.ORDER_NONE) || '1';
+  return ['itemOfList(' + Blockly.JavaScript.variableName(block, 'LIST') +
+      ', ' + index + ')', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['data_itemnumoflist'] = function(block) {
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  // Scratch lists count from 1, and report 0 for missing items.
+  return [Blockly.JavaScript.variableName(block, 'LIST') + '.indexOf(' + item +
+      ') + 1', Blockly.JavaScript.ORDER_ADDITION];
+};
+
+Blockly.JavaScript['data_lengthoflist'] = function(block) {
+  return [Blockly.JavaScript.variableName(block, 'LIST') + '.length',
+    Blockly.JavaScript.ORDER_MEMBER];
+};
+
+Blockly.JavaScript['data_listcontainsitem'] = function(block) {
+  var item = Blockly.JavaScript.valueToCode(block, 'ITEM',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return [Blockly.JavaScript.variableName(block, 'LIST') + '.includes(' + item +
+      ')', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['data_showlist'] = function(block) {
+  return 'showList(' + Blockly.JavaScript.quote_(
+      block.getField('LIST').getText()) + ');\n';
+};
+
+Blockly.JavaScript['data_hidelist'] = function(block) {
+  return 'hideList(' + Blockly.JavaScript.quote_(
+      block.getField('LIST').getText()) + ');\n';
+};
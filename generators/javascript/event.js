@@ -0,0 +1,91 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for event blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.event');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['event_whentouchingobject'] = function(block) {
+  var object = Blockly.JavaScript.valueToCode(block, 'TOUCHINGOBJECTMENU',
+      Blockly.JavaScript.ORDER_COMMA) || '\'\'';
+  return Blockly.JavaScript.hatToCode(block, 'whenTouchingObject', [object]);
+};
+
+Blockly.JavaScript['event_touchingobjectmenu'] =
+    Blockly.JavaScript.menuToCode('TOUCHINGOBJECTMENU');
+
+Blockly.JavaScript['event_whenflagclicked'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenFlagClicked');
+};
+
+Blockly.JavaScript['event_whenthisspriteclicked'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenThisSpriteClicked');
+};
+
+Blockly.JavaScript['event_whenstageclicked'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenStageClicked');
+};
+
+Blockly.JavaScript['event_whenbroadcastreceived'] = function(block) {
+  var message = Blockly.JavaScript.quote_(
+      block.getField('BROADCAST_OPTION').getText());
+  return Blockly.JavaScript.hatToCode(block, 'whenBroadcastReceived',
+      [message]);
+};
+
+Blockly.JavaScript['event_whenbackdropswitchesto'] = function(block) {
+  var backdrop = Blockly.JavaScript.quote_(block.getFieldValue('BACKDROP'));
+  return Blockly.JavaScript.hatToCode(block, 'whenBackdropSwitchesTo',
+      [backdrop]);
+};
+
+Blockly.JavaScript['event_whengreaterthan'] = function(block) {
+  var menu = Blockly.JavaScript.quote_(
+      block.getFieldValue('WHENGREATERTHANMENU'));
+  var value = Blockly.JavaScript.valueToCode(block, 'VALUE',
+      Blockly.JavaScript.ORDER_COMMA) || '0';
+  return Blockly.JavaScript.hatToCode(block, 'whenGreaterThan', [menu, value]);
+};
+
+Blockly.JavaScript['event_broadcast_menu'] = function(block) {
+  return [Blockly.JavaScript.quote_(
+      block.getField('BROADCAST_OPTION').getText()),
+  Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['event_broadcast'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'broadcast', ['BROADCAST_INPUT']);
+};
+
+Blockly.JavaScript['event_broadcastandwait'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'broadcastAndWait',
+      ['BROADCAST_INPUT']);
+};
+
+Blockly.JavaScript['event_whenkeypressed'] = function(block) {
+  var key = Blockly.JavaScript.quote_(block.getFieldValue('KEY_OPTION'));
+  return Blockly.JavaScript.hatToCode(block, 'whenKeyPressed', [key]);
+};
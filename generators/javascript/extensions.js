@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for the example extension blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.extensions');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['extension_pen_down'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'penDown', []);
+};
+
+Blockly.JavaScript['extension_music_drum'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'playDrum', ['NUMBER']);
+};
+
+Blockly.JavaScript['extension_wedo_motor'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'turnMotorOn', []);
+};
+
+Blockly.JavaScript['extension_wedo_hat'] = function(block) {
+  return Blockly.JavaScript.hatToCode(block, 'whenTilted');
+};
+
+Blockly.JavaScript['extension_wedo_boolean'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'isTilted', []);
+};
+
+Blockly.JavaScript['extension_wedo_tilt_reporter'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'tiltAngle', ['TILT']);
+};
+
+Blockly.JavaScript['extension_wedo_tilt_menu'] =
+    Blockly.JavaScript.menuToCode('TILT');
+
+Blockly.JavaScript['extension_music_reporter'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'tempo', []);
+};
+
+Blockly.JavaScript['extension_microbit_display'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'displayMatrix', ['MATRIX']);
+};
+
+Blockly.JavaScript['extension_music_play_note'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'playNote', ['NOTE', 'BEATS']);
+};
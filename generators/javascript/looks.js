@@ -0,0 +1,131 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for looks blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.looks');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['looks_sayforsecs'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'sayForSecs', ['MESSAGE', 'SECS']);
+};
+
+Blockly.JavaScript['looks_say'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'say', ['MESSAGE']);
+};
+
+Blockly.JavaScript['looks_thinkforsecs'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'thinkForSecs', ['MESSAGE', 'SECS']);
+};
+
+Blockly.JavaScript['looks_think'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'think', ['MESSAGE']);
+};
+
+Blockly.JavaScript['looks_show'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'show', []);
+};
+
+Blockly.JavaScript['looks_hide'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'hide', []);
+};
+
+Blockly.JavaScript['looks_hideallsprites'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'hideAllSprites', []);
+};
+
+Blockly.JavaScript['looks_changeeffectby'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'changeEffectBy', ['EFFECT', 'CHANGE']);
+};
+
+Blockly.JavaScript['looks_seteffectto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setEffectTo', ['EFFECT', 'VALUE']);
+};
+
+Blockly.JavaScript['looks_cleargraphiceffects'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'clearGraphicEffects', []);
+};
+
+Blockly.JavaScript['looks_changesizeby'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'changeSizeBy', ['CHANGE']);
+};
+
+Blockly.JavaScript['looks_setsizeto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setSizeTo', ['SIZE']);
+};
+
+Blockly.JavaScript['looks_size'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getSize', []);
+};
+
+Blockly.JavaScript['looks_changestretchby'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'changeStretchBy', ['CHANGE']);
+};
+
+Blockly.JavaScript['looks_setstretchto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setStretchTo', ['STRETCH']);
+};
+
+Blockly.JavaScript['looks_costume'] =
+    Blockly.JavaScript.menuToCode('COSTUME');
+
+Blockly.JavaScript['looks_switchcostumeto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'switchCostumeTo', ['COSTUME']);
+};
+
+Blockly.JavaScript['looks_nextcostume'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'nextCostume', []);
+};
+
+Blockly.JavaScript['looks_switchbackdropto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'switchBackdropTo', ['BACKDROP']);
+};
+
+Blockly.JavaScript['looks_backdrops'] =
+    Blockly.JavaScript.menuToCode('BACKDROP');
+
+Blockly.JavaScript['looks_gotofrontback'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'goToFrontBack', ['FRONT_BACK']);
+};
+
+Blockly.JavaScript['looks_goforwardbackwardlayers'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'goForwardBackwardLayers', ['FORWARD_BACKWARD', 'NUM']);
+};
+
+Blockly.JavaScript['looks_backdropnumbername'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getBackdrop', ['NUMBER_NAME']);
+};
+
+Blockly.JavaScript['looks_costumenumbername'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getCostume', ['NUMBER_NAME']);
+};
+
+Blockly.JavaScript['looks_switchbackdroptoandwait'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'switchBackdropToAndWait', ['BACKDROP']);
+};
+
+Blockly.JavaScript['looks_nextbackdrop'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'nextBackdrop', []);
+};
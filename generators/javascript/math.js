@@ -0,0 +1,49 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for math blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.math');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['math_number'] = function(block) {
+  var value = block.getFieldValue('NUM');
+  if (!Blockly.isNumber(value)) {
+    // Number fields accept any text, such as an empty string.
+    return [Blockly.JavaScript.quote_(value), Blockly.JavaScript.ORDER_ATOMIC];
+  }
+  var code = Number(value);
+  var order = code >= 0 ? Blockly.JavaScript.ORDER_ATOMIC :
+      Blockly.JavaScript.ORDER_UNARY_NEGATION;
+  return [String(code), order];
+};
+
+Blockly.JavaScript['math_integer'] = Blockly.JavaScript['math_number'];
+
+Blockly.JavaScript['math_whole_number'] = Blockly.JavaScript['math_number'];
+
+Blockly.JavaScript['math_positive_number'] = Blockly.JavaScript['math_number'];
+
+Blockly.JavaScript['math_angle'] = Blockly.JavaScript['math_number'];
@@ -0,0 +1,134 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for motion blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.motion');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['motion_movesteps'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'moveSteps', ['STEPS']);
+};
+
+Blockly.JavaScript['motion_movegrids'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'moveGrids', ['GRIDS']);
+};
+
+Blockly.JavaScript['motion_turnright'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'turnRight', ['DEGREES']);
+};
+
+Blockly.JavaScript['motion_turnleft'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'turnLeft', ['DEGREES']);
+};
+
+Blockly.JavaScript['motion_pointindirection'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'pointInDirection', ['DIRECTION']);
+};
+
+Blockly.JavaScript['motion_pointtowards_menu'] =
+    Blockly.JavaScript.menuToCode('TOWARDS');
+
+Blockly.JavaScript['motion_pointtowards'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'pointTowards', ['TOWARDS']);
+};
+
+Blockly.JavaScript['motion_goto_menu'] =
+    Blockly.JavaScript.menuToCode('TO');
+
+Blockly.JavaScript['motion_gotoxy'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'goToXY', ['X', 'Y']);
+};
+
+Blockly.JavaScript['motion_goto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'goTo', ['TO']);
+};
+
+Blockly.JavaScript['motion_glidesecstoxy'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'glideSecsToXY', ['SECS', 'X', 'Y']);
+};
+
+Blockly.JavaScript['motion_glideto_menu'] =
+    Blockly.JavaScript.menuToCode('TO');
+
+Blockly.JavaScript['motion_glideto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'glideTo', ['SECS', 'TO']);
+};
+
+Blockly.JavaScript['motion_changexby'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'changeXBy', ['DX']);
+};
+
+Blockly.JavaScript['motion_setx'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setX', ['X']);
+};
+
+Blockly.JavaScript['motion_changeyby'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'changeYBy', ['DY']);
+};
+
+Blockly.JavaScript['motion_sety'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setY', ['Y']);
+};
+
+Blockly.JavaScript['motion_ifonedgebounce'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'ifOnEdgeBounce', []);
+};
+
+Blockly.JavaScript['motion_setrotationstyle'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setRotationStyle', ['STYLE']);
+};
+
+Blockly.JavaScript['motion_xposition'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getX', []);
+};
+
+Blockly.JavaScript['motion_yposition'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getY', []);
+};
+
+Blockly.JavaScript['motion_direction'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getDirection', []);
+};
+
+Blockly.JavaScript['motion_scroll_right'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'scrollRight', ['DISTANCE']);
+};
+
+Blockly.JavaScript['motion_scroll_up'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'scrollUp', ['DISTANCE']);
+};
+
+Blockly.JavaScript['motion_align_scene'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'alignScene', ['ALIGNMENT']);
+};
+
+Blockly.JavaScript['motion_xscroll'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getXScroll', []);
+};
+
+Blockly.JavaScript['motion_yscroll'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getYScroll', []);
+};
@@ -0,0 +1,178 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for operator blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.operators');
+
+goog.require('Blockly.JavaScript');
+
+
+/**
+ * Generate the code for a block with an infix operator between two inputs.
+ * @param {string} operator The JavaScript operator, e.g. '+'.
+ * @param {number} order The precedence of the operator.
+ * @param {string} name1 Name of the input on the left.
+ * @param {string} name2 Name of the input on the right.
+ * @param {string} defaultValue Code to use for empty inputs.
+ * @return {function(!Blockly.Block): !Array} Block generator function.
+ * @private
+ */
+Blockly.JavaScript.binaryOperator_ = function(operator, order, name1, name2,
+    defaultValue) {
+  return function(block) {
+    var argument0 = Blockly.JavaScript.valueToCode(block, name1, order) ||
+        defaultValue;
+    var argument1 = Blockly.JavaScript.valueToCode(block, name2, order) ||
+        defaultValue;
+    return [argument0 + ' ' + operator + ' ' + argument1, order];
+  };
+};
+
+Blockly.JavaScript['operator_add'] = Blockly.JavaScript.binaryOperator_(
+    '+', Blockly.JavaScript.ORDER_ADDITION, 'NUM1', 'NUM2', '0');
+
+Blockly.JavaScript['operator_subtract'] = Blockly.JavaScript.binaryOperator_(
+    '-', Blockly.JavaScript.ORDER_SUBTRACTION, 'NUM1', 'NUM2', '0');
+
+Blockly.JavaScript['operator_multiply'] = Blockly.JavaScript.binaryOperator_(
+    '*', Blockly.JavaScript.ORDER_MULTIPLICATION, 'NUM1', 'NUM2', '0');
+
+Blockly.JavaScript['operator_divide'] = Blockly.JavaScript.binaryOperator_(
+    '/', Blockly.JavaScript.ORDER_DIVISION, 'NUM1', 'NUM2', '0');
+
+Blockly.JavaScript['operator_mod'] = Blockly.JavaScript.binaryOperator_(
+    '%', Blockly.JavaScript.ORDER_MODULUS, 'NUM1', 'NUM2', '0');
+
+Blockly.JavaScript['operator_lt'] = Blockly.JavaScript.binaryOperator_(
+    '<', Blockly.JavaScript.ORDER_RELATIONAL, 'OPERAND1', 'OPERAND2', '\'\'');
+
+Blockly.JavaScript['operator_gt'] = Blockly.JavaScript.binaryOperator_(
+    '>', Blockly.JavaScript.ORDER_RELATIONAL, 'OPERAND1', 'OPERAND2', '\'\'');
+
+Blockly.JavaScript['operator_equals'] = Blockly.JavaScript.binaryOperator_(
+    '==', Blockly.JavaScript.ORDER_EQUALITY, 'OPERAND1', 'OPERAND2', '\'\'');
+
+Blockly.JavaScript['operator_and'] = Blockly.JavaScript.binaryOperator_(
+    '&&', Blockly.JavaScript.ORDER_LOGICAL_AND, 'OPERAND1', 'OPERAND2',
+    'false');
+
+Blockly.JavaScript['operator_or'] = Blockly.JavaScript.binaryOperator_(
+    '||', Blockly.JavaScript.ORDER_LOGICAL_OR, 'OPERAND1', 'OPERAND2',
+    'false');
+
+Blockly.JavaScript['operator_not'] = function(block) {
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'OPERAND',
+      Blockly.JavaScript.ORDER_LOGICAL_NOT) || 'false';
+  return ['!' + argument0, Blockly.JavaScript.ORDER_LOGICAL_NOT];
+};
+
+Blockly.JavaScript['operator_random'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'pickRandom', ['FROM', 'TO']);
+};
+
+Blockly.JavaScript['operator_join'] = function(block) {
+  var argument0 = Blockly.JavaScript.valueToCode(block, 'STRING1',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var argument1 = Blockly.JavaScript.valueToCode(block, 'STRING2',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return ['String(' + argument0 + ') + String(' + argument1 + ')',
+    Blockly.JavaScript.ORDER_ADDITION];
+};
+
+Blockly.JavaScript['operator_letter_of'] = function(block) {
+  // Scratch counts letters from 1.
+  var letter = Blockly.JavaScript.valueToCode(block, 'LETTER',
+      Blockly.JavaScript.ORDER_SUBTRACTION) || '1';
+  var string = Blockly.JavaScript.valueToCode(block, 'STRING',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return ['String(' + string + ').charAt(' + letter + ' - 1)',
+    Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_length'] = function(block) {
+  var string = Blockly.JavaScript.valueToCode(block, 'STRING',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return ['String(' + string + ').length', Blockly.JavaScript.ORDER_MEMBER];
+};
+
+Blockly.JavaScript['operator_contains'] = function(block) {
+  // Scratch ignores case when looking for text.
+  var string1 = Blockly.JavaScript.valueToCode(block, 'STRING1',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  var string2 = Blockly.JavaScript.valueToCode(block, 'STRING2',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return ['String(' + string1 + ').toLowerCase().includes(String(' + string2 +
+      ').toLowerCase())', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_round'] = function(block) {
+  var num = Blockly.JavaScript.valueToCode(block, 'NUM',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  return ['Math.round(' + num + ')', Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['operator_mathop'] = function(block) {
+  var operator = block.getFieldValue('OPERATOR');
+  var num = Blockly.JavaScript.valueToCode(block, 'NUM',
+      Blockly.JavaScript.ORDER_NONE) || '0';
+  var code;
+  switch (operator) {
+    case 'abs':
+    case 'floor':
+    case 'sqrt':
+      code = 'Math.' + operator + '(' + num + ')';
+      break;
+    case 'ceiling':
+      code = 'Math.ceil(' + num + ')';
+      break;
+    // Scratch measures angles in degrees.
+    case 'sin':
+    case 'cos':
+    case 'tan':
+      var angle = Blockly.JavaScript.valueToCode(block, 'NUM',
+          Blockly.JavaScript.ORDER_DIVISION) || '0';
+      code = 'Math.' + operator + '(' + angle + ' / 180 * Math.PI)';
+      break;
+    case 'asin':
+    case 'acos':
+    case 'atan':
+      return ['Math.' + operator + '(' + num + ') / Math.PI * 180',
+        Blockly.JavaScript.ORDER_DIVISION];
+    case 'ln':
+      code = 'Math.log(' + num + ')';
+      break;
+    case 'log':
+      code = 'Math.log10(' + num + ')';
+      break;
+    case 'e ^':
+      code = 'Math.exp(' + num + ')';
+      break;
+    case '10 ^':
+      code = 'Math.pow(10, ' + num + ')';
+      break;
+    default:
+      throw Error('Unknown math operator: ' + operator);
+  }
+  return [code, Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
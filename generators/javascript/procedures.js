@@ -0,0 +1,102 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for custom blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.procedures');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['procedures_definition'] = function(block) {
+  var prototype = block.getInputTargetBlock('custom_block');
+  if (!prototype) {
+    return '';
+  }
+  var funcName = Blockly.JavaScript.procedureName(prototype.getProcCode());
+  var args = prototype.displayNames_.map(Blockly.JavaScript.argumentName);
+  return 'function ' + funcName + '(' + args.join(', ') + ') {\n' +
+      Blockly.JavaScript.scriptToCode(block) + '}\n';
+};
+
+/**
+ * Generate the function name and arguments of a custom block call.
+ * @param {!Blockly.Block} block The procedures_call or
+ *     procedures_call_with_return block.
+ * @return {string} Generated code, e.g. 'jump(10)'.
+ * @private
+ */
+Blockly.JavaScript.procedureCallToCode_ = function(block) {
+  var procCode = block.getProcCode();
+  var argTypes = procCode.match(/%[nbs]/g) || [];
+  var args = block.argumentIds_.map(function(id, i) {
+    return Blockly.JavaScript.valueToCode(block, id,
+        Blockly.JavaScript.ORDER_NONE) ||
+        (argTypes[i] == '%b' ? 'false' : '\'\'');
+  });
+  return Blockly.JavaScript.procedureName(procCode) + '(' + args.join(', ') +
+      ')';
+};
+
+Blockly.JavaScript['procedures_call'] = function(block) {
+  return Blockly.JavaScript.procedureCallToCode_(block) + ';\n';
+};
+
+Blockly.JavaScript['procedures_call_with_return'] = function(block) {
+  return [Blockly.JavaScript.procedureCallToCode_(block),
+    Blockly.JavaScript.ORDER_FUNCTION_CALL];
+};
+
+Blockly.JavaScript['procedures_return'] = function(block) {
+  var value = Blockly.JavaScript.valueToCode(block, 'RETURN',
+      Blockly.JavaScript.ORDER_NONE) || '\'\'';
+  return 'return ' + value + ';\n';
+};
+
+// The prototype is generated as part of procedures_definition, and the
+// declaration and argument editors only exist in the custom block editor.
+Blockly.JavaScript['procedures_prototype'] = function(_block) {
+  return '';
+};
+
+Blockly.JavaScript['procedures_declaration'] =
+    Blockly.JavaScript['procedures_prototype'];
+
+Blockly.JavaScript['argument_editor_boolean'] = function(block) {
+  return [Blockly.JavaScript.quote_(block.getFieldValue('TEXT')),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['argument_editor_string_number'] =
+    Blockly.JavaScript['argument_editor_boolean'];
+
+Blockly.JavaScript['argument_reporter_boolean'] = function(block) {
+  return [Blockly.JavaScript.argumentName(block.getFieldValue('VALUE')),
+    Blockly.JavaScript.ORDER_ATOMIC];
+};
+
+Blockly.JavaScript['argument_reporter_string_number'] =
+    Blockly.JavaScript['argument_reporter_boolean'];
+
+Blockly.JavaScript['ccw_hat_parameter'] =
+    Blockly.JavaScript['argument_reporter_boolean'];
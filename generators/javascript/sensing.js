@@ -0,0 +1,121 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for sensing blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.sensing');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['sensing_touchingobject'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'isTouchingObject', ['TOUCHINGOBJECTMENU']);
+};
+
+Blockly.JavaScript['sensing_touchingobjectmenu'] =
+    Blockly.JavaScript.menuToCode('TOUCHINGOBJECTMENU');
+
+Blockly.JavaScript['sensing_touchingcolor'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'isTouchingColor', ['COLOR']);
+};
+
+Blockly.JavaScript['sensing_coloristouchingcolor'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'isColorTouchingColor', ['COLOR', 'COLOR2']);
+};
+
+Blockly.JavaScript['sensing_distanceto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'distanceTo', ['DISTANCETOMENU']);
+};
+
+Blockly.JavaScript['sensing_distancetomenu'] =
+    Blockly.JavaScript.menuToCode('DISTANCETOMENU');
+
+Blockly.JavaScript['sensing_askandwait'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'askAndWait', ['QUESTION']);
+};
+
+Blockly.JavaScript['sensing_answer'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getAnswer', []);
+};
+
+Blockly.JavaScript['sensing_keypressed'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'isKeyPressed', ['KEY_OPTION']);
+};
+
+Blockly.JavaScript['sensing_keyoptions'] =
+    Blockly.JavaScript.menuToCode('KEY_OPTION');
+
+Blockly.JavaScript['sensing_mousedown'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'isMouseDown', []);
+};
+
+Blockly.JavaScript['sensing_mousex'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getMouseX', []);
+};
+
+Blockly.JavaScript['sensing_mousey'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getMouseY', []);
+};
+
+Blockly.JavaScript['sensing_setdragmode'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setDragMode', ['DRAG_MODE']);
+};
+
+Blockly.JavaScript['sensing_loudness'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getLoudness', []);
+};
+
+Blockly.JavaScript['sensing_loud'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'isLoud', []);
+};
+
+Blockly.JavaScript['sensing_timer'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getTimer', []);
+};
+
+Blockly.JavaScript['sensing_resettimer'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'resetTimer', []);
+};
+
+Blockly.JavaScript['sensing_of_object_menu'] =
+    Blockly.JavaScript.menuToCode('OBJECT');
+
+Blockly.JavaScript['sensing_of'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getAttributeOf', ['PROPERTY', 'OBJECT']);
+};
+
+Blockly.JavaScript['sensing_current'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getCurrent', ['CURRENTMENU']);
+};
+
+Blockly.JavaScript['sensing_dayssince2000'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getDaysSince2000', []);
+};
+
+Blockly.JavaScript['sensing_username'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getUsername', []);
+};
+
+Blockly.JavaScript['sensing_userid'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getUserId', []);
+};
@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for sound blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.sound');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['sound_sounds_menu'] =
+    Blockly.JavaScript.menuToCode('SOUND_MENU');
+
+Blockly.JavaScript['sound_play'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'playSound', ['SOUND_MENU']);
+};
+
+Blockly.JavaScript['sound_playuntildone'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'playSoundUntilDone', ['SOUND_MENU']);
+};
+
+Blockly.JavaScript['sound_stopallsounds'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'stopAllSounds', []);
+};
+
+Blockly.JavaScript['sound_seteffectto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setSoundEffectTo', ['EFFECT', 'VALUE']);
+};
+
+Blockly.JavaScript['sound_changeeffectby'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'changeSoundEffectBy', ['EFFECT', 'VALUE']);
+};
+
+Blockly.JavaScript['sound_cleareffects'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'clearSoundEffects', []);
+};
+
+Blockly.JavaScript['sound_changevolumeby'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'changeVolumeBy', ['VOLUME']);
+};
+
+Blockly.JavaScript['sound_setvolumeto'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'setVolumeTo', ['VOLUME']);
+};
+
+Blockly.JavaScript['sound_volume'] = function(block) {
+  return Blockly.JavaScript.callToCode(block, 'getVolume', []);
+};
@@ -0,0 +1,40 @@
+/**
+ * @license
+ * Visual Blocks Language
+ *
+ * Copyright 2012 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @fileoverview Generating JavaScript for text blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.JavaScript.text');
+
+goog.require('Blockly.JavaScript');
+
+
+Blockly.JavaScript['text'] = function(block) {
+  var value = block.getFieldValue('TEXT');
+  // Scratch treats text that looks like a number as a number.
+  if (Blockly.isNumber(value)) {
+    var code = Number(value);
+    return [String(code), code >= 0 ? Blockly.JavaScript.ORDER_ATOMIC :
+        Blockly.JavaScript.ORDER_UNARY_NEGATION];
+  }
+  return [Blockly.JavaScript.quote_(value), Blockly.JavaScript.ORDER_ATOMIC];
+};
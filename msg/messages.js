@@ -299,6 +299,7 @@ Blockly.Msg.DELETE_BLOCK = 'Delete Block';
 Blockly.Msg.DELETE_X_BLOCKS = 'Delete %1 Blocks';
 Blockly.Msg.DELETE_ALL_BLOCKS = 'Delete all %1 blocks?';
 Blockly.Msg.CLEAN_UP = 'Clean up Blocks';
+Blockly.Msg.CLEAN_UP_UNUSED = 'Remove Unused Items';
 Blockly.Msg.HELP = 'Help';
 Blockly.Msg.UNDO = 'Undo';
 Blockly.Msg.REDO = 'Redo';
@@ -307,7 +308,123 @@ Blockly.Msg.DUPLICATE_FRAME = 'Duplicate';
 Blockly.Msg.CLEAN_UP_FRAME = 'Clean up Blocks';
 Blockly.Msg.EDIT_PROCEDURE = 'Edit';
 Blockly.Msg.SHOW_PROCEDURE_DEFINITION = 'Go to definition';
+Blockly.Msg.EXTRACT_PROCEDURE = 'Extract to New Block';
+Blockly.Msg.EXTRACT_PROCEDURE_NAME = 'Name of the new block:';
+Blockly.Msg.COPY = 'Copy';
+Blockly.Msg.DISABLE_SELECTION = 'Disable';
+Blockly.Msg.ENABLE_SELECTION = 'Enable';
+Blockly.Msg.WRAP_IN_FRAME = 'Wrap in Frame';
+Blockly.Msg.HIDE_STACK = 'Hide Stack';
+Blockly.Msg.SHOW_HIDDEN_STACKS = 'Show %1 Hidden Stacks';
+Blockly.Msg.HIDDEN_STACKS = 'Hidden Stacks...';
+Blockly.Msg.FRAME_HIDE_CONTENTS = 'Hide Contents';
+Blockly.Msg.FRAME_SHOW_CONTENTS = 'Show Contents';
 Blockly.Msg.WORKSPACE_COMMENT_DEFAULT_TEXT = 'Say something...';
+Blockly.Msg.BOOKMARK_ADD = 'Add Bookmark';
+Blockly.Msg.BOOKMARK_REMOVE = 'Remove Bookmark';
+Blockly.Msg.BOOKMARKS = 'Bookmarks...';
+Blockly.Msg.NAVIGATE_BACK = 'Go Back';
+Blockly.Msg.NAVIGATE_FORWARD = 'Go Forward';
+
+// Workspace search
+Blockly.Msg.SEARCH_PLACEHOLDER = 'Find';
+Blockly.Msg.SEARCH_REPLACE_PLACEHOLDER = 'Replace';
+Blockly.Msg.SEARCH_RESULT_COUNT = '%1 of %2';
+Blockly.Msg.SEARCH_NO_RESULTS = 'No results';
+Blockly.Msg.SEARCH_MATCH_CASE = 'Match case';
+Blockly.Msg.SEARCH_PREVIOUS = 'Previous match';
+Blockly.Msg.SEARCH_NEXT = 'Next match';
+Blockly.Msg.SEARCH_CLOSE = 'Close';
+Blockly.Msg.SEARCH_REPLACE = 'Replace';
+Blockly.Msg.SEARCH_REPLACE_ALL = 'Replace all';
+
+// Trash can
+Blockly.Msg.TRASHCAN_TITLE = 'Recently deleted';
+Blockly.Msg.TRASHCAN_EMPTY = 'Empty';
+Blockly.Msg.TRASHCAN_NO_CONTENTS = 'Nothing has been deleted';
+
+// Worksheet
+Blockly.Msg.WORKSHEET_CONTINUED = '%1 (continued)';
+Blockly.Msg.WORKSHEET_PAGE = 'Page %1 of %2';
+
+// Screen reader
+Blockly.Msg.ARIA_WORKSPACE = 'Blocks workspace';
+Blockly.Msg.ARIA_WORKSPACE_NODE = 'Workspace, %1 stacks';
+Blockly.Msg.ARIA_STACK = 'Stack %1 of %2: %3';
+Blockly.Msg.ARIA_FIELD = 'Editable field: %1';
+Blockly.Msg.ARIA_VALUE_INPUT = 'Input of %1: %2';
+Blockly.Msg.ARIA_STATEMENT_INPUT = 'Inside %1: %2';
+Blockly.Msg.ARIA_EMPTY = 'empty';
+Blockly.Msg.ARIA_NEXT = 'After %1';
+Blockly.Msg.ARIA_PREVIOUS = 'Before %1';
+Blockly.Msg.ARIA_OUTPUT = 'Output of %1';
+Blockly.Msg.ARIA_MARKED = 'Marked: %1';
+Blockly.Msg.ARIA_CATEGORIES = 'Block categories';
+Blockly.Msg.ARIA_FLYOUT = 'Blocks to add';
+Blockly.Msg.ARIA_FLYOUT_BLOCK = 'Block to add: %1';
+
+// History
+Blockly.Msg.HISTORY_TITLE = 'History';
+Blockly.Msg.HISTORY_SHOW = 'History...';
+Blockly.Msg.HISTORY_START = 'Start';
+Blockly.Msg.HISTORY_ADD_CHECKPOINT = 'Add checkpoint';
+Blockly.Msg.HISTORY_CHECKPOINT_NAME = 'Checkpoint name:';
+Blockly.Msg.HISTORY_CLOSE = 'Close';
+Blockly.Msg.HISTORY_ONE_BLOCK = '1 block';
+Blockly.Msg.HISTORY_BLOCKS = '%1 blocks';
+Blockly.Msg.HISTORY_ONE_COMMENT = '1 comment';
+Blockly.Msg.HISTORY_COMMENTS = '%1 comments';
+Blockly.Msg.HISTORY_ADD = 'added %1';
+Blockly.Msg.HISTORY_DELETE = 'deleted %1';
+Blockly.Msg.HISTORY_MOVE = 'moved %1';
+Blockly.Msg.HISTORY_MOVE_INTO_FRAME = 'moved %1 into frame \'%2\'';
+Blockly.Msg.HISTORY_MOVE_OUT_OF_FRAME = 'moved %1 out of frame \'%2\'';
+Blockly.Msg.HISTORY_CHANGE = 'changed %1';
+Blockly.Msg.HISTORY_CREATE_FRAME = 'created frame \'%1\'';
+Blockly.Msg.HISTORY_DELETE_FRAME = 'deleted frame \'%1\'';
+Blockly.Msg.HISTORY_RENAME_FRAME = 'renamed frame \'%1\' to \'%2\'';
+Blockly.Msg.HISTORY_MOVE_FRAME = 'moved frame \'%1\'';
+Blockly.Msg.HISTORY_RESIZE_FRAME = 'resized frame \'%1\'';
+Blockly.Msg.HISTORY_CHANGE_FRAME = 'changed frame \'%1\'';
+Blockly.Msg.HISTORY_CREATE_VARIABLE = 'created variable \'%1\'';
+Blockly.Msg.HISTORY_DELETE_VARIABLE = 'deleted variable \'%1\'';
+Blockly.Msg.HISTORY_RENAME_VARIABLE = 'renamed variable \'%1\' to \'%2\'';
+Blockly.Msg.HISTORY_OTHER = 'changed the workspace';
+
+// Lint
+Blockly.Msg.LINT_ORPHAN_REPORTER = 'This reporter is not plugged into anything, so it never runs.';
+Blockly.Msg.LINT_HATLESS_STACK = 'This stack has no hat block, so it never runs.';
+Blockly.Msg.LINT_UNUSED_VARIABLE = 'The variable "%1" is never used.';
+Blockly.Msg.LINT_UNUSED_LIST = 'The list "%1" is never used.';
+Blockly.Msg.LINT_MISSING_PROCEDURE = 'There is no definition of the block "%1".';
+Blockly.Msg.LINT_EMPTY_IF = 'Nothing happens in this "if" block.';
+Blockly.Msg.LINT_UNRECEIVED_BROADCAST = 'Nothing here is started by the message "%1".';
+
+// Cleanup
+Blockly.Msg.CLEANUP_TITLE = 'Unused items';
+Blockly.Msg.CLEANUP_INCLUDE_GLOBAL = 'Include items shared by all sprites';
+Blockly.Msg.CLEANUP_INCLUDE_CLOUD = 'Include cloud variables';
+Blockly.Msg.CLEANUP_VARIABLES = 'Variables';
+Blockly.Msg.CLEANUP_LISTS = 'Lists';
+Blockly.Msg.CLEANUP_BROADCASTS = 'Messages';
+Blockly.Msg.CLEANUP_PROCEDURES = 'My Blocks';
+Blockly.Msg.CLEANUP_NOTHING = 'Everything is in use.';
+Blockly.Msg.CLEANUP_DELETE = 'Delete selected';
+Blockly.Msg.CLEANUP_CANCEL = 'Cancel';
+
+// Hidden stacks
+Blockly.Msg.HIDDEN_STACKS_TITLE = 'Hidden stacks';
+Blockly.Msg.HIDDEN_STACKS_SHOW = 'Show';
+Blockly.Msg.HIDDEN_STACKS_SHOW_ALL = 'Show all';
+Blockly.Msg.HIDDEN_STACKS_CLOSE = 'Close';
+Blockly.Msg.HIDDEN_STACKS_NOTHING = 'No stacks are hidden.';
+
+// Bookmarks
+Blockly.Msg.BOOKMARKS_TITLE = 'Bookmarks';
+Blockly.Msg.BOOKMARKS_GO = 'Go';
+Blockly.Msg.BOOKMARKS_REMOVE = 'Remove';
+Blockly.Msg.BOOKMARKS_CLOSE = 'Close';
+Blockly.Msg.BOOKMARKS_NOTHING = 'Nothing is bookmarked.';
 
 // Color
 Blockly.Msg.COLOUR_HUE_LABEL = 'Color';
@@ -0,0 +1,139 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2017 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Load XML into a new headless workspace and generate JavaScript for it.
+ * @param {string} xmlText XML text of the workspace.
+ * @return {string} Generated code.
+ */
+function javascriptTest_generate(xmlText) {
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(xmlText), workspace);
+    return Blockly.JavaScript.workspaceToCode(workspace);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_javascript_allBlocksHaveGenerators() {
+  var missing = Object.keys(Blockly.Blocks).filter(function(type) {
+    return type != 'defaultToolbox' &&
+        typeof Blockly.JavaScript[type] != 'function';
+  });
+  assertArrayEquals([], missing);
+}
+
+function test_javascript_hatAndStatements() {
+  var code = javascriptTest_generate(
+      '<xml>' +
+      '<variables><variable type="" id="v1">score</variable></variables>' +
+      '<block type="event_whenflagclicked" x="0" y="0">' +
+      '<next><block type="motion_movesteps">' +
+      '<value name="STEPS"><shadow type="math_number">' +
+      '<field name="NUM">10</field></shadow></value>' +
+      '<next><block type="data_changevariableby">' +
+      '<field name="VARIABLE" id="v1" variabletype="">score</field>' +
+      '<value name="VALUE"><shadow type="math_number">' +
+      '<field name="NUM">1</field></shadow></value>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block>' +
+      '</xml>');
+  assertEquals(
+      'var score = 0;\n\n\n' +
+      'whenFlagClicked(function() {\n' +
+      '  moveSteps(10);\n' +
+      '  score += 1;\n' +
+      '});\n', code);
+}
+
+function test_javascript_forEach() {
+  var code = javascriptTest_generate(
+      '<xml>' +
+      '<variables><variable type="" id="v1">i</variable></variables>' +
+      '<block type="control_for_each" x="0" y="0">' +
+      '<field name="VARIABLE" id="v1" variabletype="">i</field>' +
+      '<value name="VALUE"><shadow type="math_whole_number">' +
+      '<field name="NUM">3</field></shadow></value>' +
+      '<statement name="SUBSTACK"><block type="looks_say">' +
+      '<value name="MESSAGE"><shadow type="text">' +
+      '<field name="TEXT">Hello!</field></shadow></value>' +
+      '</block></statement>' +
+      '</block>' +
+      '</xml>');
+  assertEquals(
+      'var i = 0;\n\n\n' +
+      'for (i = 1; i <= 3; i++) {\n' +
+      '  say(\'Hello!\');\n' +
+      '}\n', code);
+}
+
+function test_javascript_operatorPrecedence() {
+  var code = javascriptTest_generate(
+      '<xml>' +
+      '<block type="operator_multiply" x="0" y="0">' +
+      '<value name="NUM1"><block type="operator_add">' +
+      '<value name="NUM1"><shadow type="math_number">' +
+      '<field name="NUM">1</field></shadow></value>' +
+      '<value name="NUM2"><shadow type="math_number">' +
+      '<field name="NUM">2</field></shadow></value>' +
+      '</block></value>' +
+      '<value name="NUM2"><shadow type="math_number">' +
+      '<field name="NUM">3</field></shadow></value>' +
+      '</block>' +
+      '</xml>');
+  assertEquals('(1 + 2) * 3;\n', code);
+}
+
+function test_javascript_procedures() {
+  var code = javascriptTest_generate(
+      '<xml>' +
+      '<block type="procedures_definition" x="0" y="0">' +
+      '<statement name="custom_block">' +
+      '<shadow type="procedures_prototype">' +
+      '<mutation proccode="jump %s" argumentids="[&quot;a1&quot;]" ' +
+      'argumentnames="[&quot;height&quot;]" ' +
+      'argumentdefaults="[&quot;&quot;]" warp="false"></mutation>' +
+      '<value name="a1"><shadow type="argument_reporter_string_number">' +
+      '<field name="VALUE">height</field></shadow></value>' +
+      '</shadow>' +
+      '</statement>' +
+      '<next><block type="procedures_return">' +
+      '<value name="RETURN">' +
+      '<block type="argument_reporter_string_number">' +
+      '<field name="VALUE">height</field></block>' +
+      '</value>' +
+      '</block></next>' +
+      '</block>' +
+      '<block type="procedures_call" x="0" y="200">' +
+      '<mutation proccode="jump %s" argumentids="[&quot;a1&quot;]" ' +
+      'warp="false"></mutation>' +
+      '<value name="a1"><shadow type="text">' +
+      '<field name="TEXT">5</field></shadow></value>' +
+      '</block>' +
+      '</xml>');
+  assertEquals(
+      'function jump(height) {\n' +
+      '  return height;\n' +
+      '}\n\n' +
+      'jump(5);\n', code);
+}
@@ -0,0 +1,143 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+
+function astNodeTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'ast_test_statement',
+    'message0': 'say %1 %2',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': ''
+      },
+      {
+        'type': 'input_value',
+        'name': 'VALUE'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  },
+  {
+    'type': 'ast_test_value',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'NUM',
+        'text': ''
+      }
+    ],
+    'output': null
+  }]);
+  workspace = new Blockly.Workspace();
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="ast_test_statement" id="a" x="0" y="0">' +
+      '<value name="VALUE">' +
+      '<shadow type="ast_test_value" id="shadow"></shadow>' +
+      '</value>' +
+      '<next><block type="ast_test_statement" id="b"></block></next>' +
+      '</block>' +
+      '<block type="ast_test_statement" id="c" x="0" y="200"></block>' +
+      '</xml>'), workspace);
+}
+
+function astNodeTest_tearDown() {
+  workspace.dispose();
+  delete Blockly.Blocks['ast_test_statement'];
+  delete Blockly.Blocks['ast_test_value'];
+}
+
+function test_astNode_stacks() {
+  astNodeTest_setUp();
+  try {
+    var types = Blockly.ASTNode.types;
+    var wsNode = Blockly.ASTNode.createWorkspaceNode(workspace,
+        new goog.math.Coordinate(0, 0));
+    var stack = wsNode.in();
+    assertEquals(types.STACK, stack.getType());
+    assertEquals('a', stack.getLocation().id);
+    assertEquals('c', stack.next().getLocation().id);
+    assertNull(stack.next().next());
+    assertNull(stack.prev());
+    assertEquals(types.WORKSPACE, stack.out().getType());
+  } finally {
+    astNodeTest_tearDown();
+  }
+}
+
+function test_astNode_statementList() {
+  astNodeTest_setUp();
+  try {
+    var types = Blockly.ASTNode.types;
+    var blockA = workspace.getBlockById('a');
+    var blockB = workspace.getBlockById('b');
+    // A free stack starts with its previous connection.
+    var node = Blockly.ASTNode.createStackNode(blockA).in();
+    assertEquals(types.PREVIOUS, node.getType());
+    node = node.next();
+    assertTrue(node.equals(Blockly.ASTNode.createBlockNode(blockA)));
+    node = node.next();
+    assertEquals(types.NEXT, node.getType());
+    assertEquals(blockA.nextConnection, node.getLocation());
+    node = node.next();
+    assertTrue(node.equals(Blockly.ASTNode.createBlockNode(blockB)));
+    assertEquals(types.NEXT, node.next().getType());
+    assertNull(node.next().next());
+    // Leaving a top-level list goes back to its stack.
+    assertEquals(types.STACK, node.out().getType());
+    assertEquals(blockA, node.out().getLocation());
+  } finally {
+    astNodeTest_tearDown();
+  }
+}
+
+function test_astNode_fieldsAndInputs() {
+  astNodeTest_setUp();
+  try {
+    var types = Blockly.ASTNode.types;
+    var blockA = workspace.getBlockById('a');
+    var field = Blockly.ASTNode.createBlockNode(blockA).in();
+    assertEquals(types.FIELD, field.getType());
+    assertEquals(blockA.getField('TEXT'), field.getLocation());
+    var input = field.next();
+    assertEquals(types.INPUT, input.getType());
+    assertEquals(blockA.getInput('VALUE').connection, input.getLocation());
+    assertNull(input.next());
+    assertTrue(input.prev().equals(field));
+
+    // Shadow blocks are skipped in both directions.
+    var shadowField = input.in();
+    assertEquals(types.FIELD, shadowField.getType());
+    assertEquals(workspace.getBlockById('shadow').getField('NUM'),
+        shadowField.getLocation());
+    assertTrue(shadowField.out().equals(input));
+    assertTrue(input.out().equals(Blockly.ASTNode.createBlockNode(blockA)));
+  } finally {
+    astNodeTest_tearDown();
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var batchSelectorTest_workspace;
+
+function batchSelectorTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'batch_selector_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  batchSelectorTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="batch_selector_test_block" id="a" x="0" y="0">' +
+      '<next><block type="batch_selector_test_block" id="a2"></block></next>' +
+      '</block>' +
+      '<block type="batch_selector_test_block" id="b" x="500" y="500"></block>' +
+      '</xml>'), batchSelectorTest_workspace);
+}
+
+function batchSelectorTest_tearDown() {
+  batchSelectorTest_workspace.dispose();
+  batchSelectorTest_workspace = null;
+  Blockly.clipboardBatchXml_ = null;
+  delete Blockly.Blocks['batch_selector_test_block'];
+}
+
+function test_batchSelector_toggleSelectsStacks() {
+  batchSelectorTest_setUp();
+  try {
+    var batchSelector = batchSelectorTest_workspace.batchSelector;
+    var root = batchSelectorTest_workspace.getBlockById('a');
+    assertTrue(batchSelector.isEmpty());
+
+    // Selecting a block selects its stack.
+    batchSelector.toggle(batchSelectorTest_workspace.getBlockById('a2'));
+    assertArrayEquals([root], batchSelector.getBlocks());
+    assertTrue(Blockly.utils.hasClass(root.getSvgRoot(), 'blocklyBatchSelected'));
+
+    batchSelector.toggle(batchSelectorTest_workspace.getBlockById('b'));
+    assertEquals(2, batchSelector.getElements().length);
+
+    batchSelector.toggle(root);
+    assertArrayEquals([batchSelectorTest_workspace.getBlockById('b')],
+        batchSelector.getBlocks());
+    assertFalse(Blockly.utils.hasClass(root.getSvgRoot(), 'blocklyBatchSelected'));
+  } finally {
+    batchSelectorTest_tearDown();
+  }
+}
+
+function test_batchSelector_selectInRect() {
+  batchSelectorTest_setUp();
+  try {
+    var batchSelector = batchSelectorTest_workspace.batchSelector;
+    var frame = batchSelectorTest_workspace.createFrame({
+      id: 'frame',
+      title: 'frame',
+      blocks: [],
+      x: 1000,
+      y: 0,
+      width: 200,
+      height: 200
+    });
+
+    batchSelector.selectInRect_({left: -10, top: -10, right: 10, bottom: 10});
+    assertArrayEquals([batchSelectorTest_workspace.getBlockById('a')],
+        batchSelector.getBlocks());
+
+    // Frames are only selected when the area contains all of them.
+    batchSelector.clear();
+    batchSelector.selectInRect_({left: 900, top: -100, right: 1100, bottom: 300});
+    assertTrue(batchSelector.isEmpty());
+    batchSelector.selectInRect_({left: 900, top: -100, right: 1300, bottom: 300});
+    assertArrayEquals([frame], batchSelector.getFrames());
+  } finally {
+    batchSelectorTest_tearDown();
+  }
+}
+
+function test_batchSelector_deleteIsOneUndo() {
+  // Fire events synchronously so they reach the undo stack.
+  Blockly.Events.fire = temporary_fireEvent;
+  batchSelectorTest_setUp();
+  try {
+    var workspace = batchSelectorTest_workspace;
+    var batchSelector = workspace.batchSelector;
+    workspace.clearUndo();
+    batchSelector.setSelection([workspace.getBlockById('a'), workspace.getBlockById('b')]);
+    batchSelector.deleteSelected();
+    assertEquals(0, workspace.getTopBlocks(false).length);
+    assertTrue(batchSelector.isEmpty());
+
+    workspace.undo();
+    assertEquals(2, workspace.getTopBlocks(false).length);
+    assertEquals(0, workspace.undoStack_.length);
+  } finally {
+    Blockly.Events.fire = savedFireFunc;
+    batchSelectorTest_tearDown();
+  }
+}
+
+function test_batchSelector_wrapInFrame() {
+  batchSelectorTest_setUp();
+  try {
+    var workspace = batchSelectorTest_workspace;
+    var batchSelector = workspace.batchSelector;
+    batchSelector.setSelection([workspace.getBlockById('a'), workspace.getBlockById('b')]);
+    var frame = batchSelector.wrapInFrame();
+    assertArrayEquals(['a', 'b'], frame.getBlockIds().sort());
+    assertTrue(frame.rect_.left < 0);
+    assertTrue(frame.rect_.top < 0);
+    assertTrue(batchSelector.isEmpty());
+    assertEquals(frame, Blockly.selected);
+  } finally {
+    batchSelectorTest_tearDown();
+  }
+}
+
+function test_batchSelector_copyPaste() {
+  batchSelectorTest_setUp();
+  try {
+    var workspace = batchSelectorTest_workspace;
+    var batchSelector = workspace.batchSelector;
+    batchSelector.setSelection([workspace.getBlockById('a'), workspace.getBlockById('b')]);
+    batchSelector.copy();
+    batchSelector.paste();
+    assertEquals(4, workspace.getTopBlocks(false).length);
+    assertEquals(6, workspace.getAllBlocks().length);
+
+    // The pasted stacks are selected, next to the copied ones.
+    var pasted = batchSelector.getBlocks();
+    assertEquals(2, pasted.length);
+    for (var i = 0, block; block = pasted[i]; i++) {
+      assertTrue(block.id != 'a' && block.id != 'b');
+    }
+    var xy = workspace.getBlockById('a').getRelativeToSurfaceXY();
+    var pastedXY = pasted[0].getRelativeToSurfaceXY();
+    assertEquals(xy.x + Blockly.SNAP_RADIUS, pastedXY.x);
+    assertEquals(xy.y + Blockly.SNAP_RADIUS * 2, pastedXY.y);
+  } finally {
+    batchSelectorTest_tearDown();
+  }
+}
+
+function test_batchSelector_copyPasteNestedFrames() {
+  batchSelectorTest_setUp();
+  try {
+    var workspace = batchSelectorTest_workspace;
+    var batchSelector = workspace.batchSelector;
+    var outer = workspace.createFrame({
+      id: 'outer',
+      title: 'outer',
+      blocks: [],
+      x: -50,
+      y: -50,
+      width: 400,
+      height: 400
+    });
+    var inner = workspace.createFrame({
+      id: 'inner',
+      title: 'inner',
+      blocks: ['a'],
+      parent: 'outer',
+      x: -20,
+      y: -20,
+      width: 200,
+      height: 200
+    });
+    batchSelector.setSelection([outer]);
+    batchSelector.copy();
+    // The nested frame is copied with the frame it is in.
+    assertEquals(1, Blockly.clipboardBatchXml_.length);
+    batchSelector.paste();
+    assertEquals(4, workspace.getAllFrames().length);
+    var pasted = batchSelector.getFrames();
+    assertEquals(1, pasted.length);
+    var pastedInner = pasted[0].getChildFrames()[0];
+    assertEquals(pasted[0], pastedInner.getParentFrame());
+    assertEquals(1, pastedInner.getBlockIds().length);
+    assertArrayEquals([inner], outer.getChildFrames());
+  } finally {
+    batchSelectorTest_tearDown();
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var BOOKMARKS_TEST_XML =
+    '<xml>' +
+    '<block type="bookmarks_test_block" id="a" x="0" y="0">' +
+    '<next><block type="bookmarks_test_block" id="b" bookmarked="true">' +
+    '</block></next>' +
+    '</block>' +
+    '<block type="bookmarks_test_block" id="c" x="0" y="2000"></block>' +
+    '</xml>';
+
+function bookmarksTest_setUp() {
+  // Fire events synchronously so they reach the undo stack right away.
+  Blockly.Events.fire = temporary_fireEvent;
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'bookmarks_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+}
+
+function bookmarksTest_tearDown() {
+  delete Blockly.Blocks['bookmarks_test_block'];
+  Blockly.Events.fire = savedFireFunc;
+}
+
+/**
+ * Get the point in the middle of the visible workspace, in workspace units.
+ */
+function bookmarksTest_getViewCenter(workspace) {
+  var metrics = workspace.getMetrics();
+  return new goog.math.Coordinate(
+      (metrics.viewLeft + metrics.viewWidth / 2) / workspace.scale,
+      (metrics.viewTop + metrics.viewHeight / 2) / workspace.scale);
+}
+
+function bookmarksTest_assertSameView(expected, workspace) {
+  var actual = bookmarksTest_getViewCenter(workspace);
+  assertTrue('Expected ' + expected + ', got ' + actual,
+      goog.math.Coordinate.distance(expected, actual) < 1);
+}
+
+function test_bookmarks_xml() {
+  bookmarksTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(BOOKMARKS_TEST_XML),
+        workspace);
+    assertFalse(workspace.getBlockById('a').bookmarked);
+    assertTrue(workspace.getBlockById('b').bookmarked);
+    workspace.getBlockById('c').setBookmarked(true);
+    assertArrayEquals(
+        [workspace.getBlockById('b'), workspace.getBlockById('c')],
+        workspace.getBookmarks());
+
+    var xml = Blockly.Xml.blockToDom(workspace.getBlockById('c'));
+    assertEquals('true', xml.getAttribute('bookmarked'));
+    assertTrue(Blockly.Json.blockDomToJson(xml)['bookmarked']);
+    xml = Blockly.Xml.blockToDom(workspace.getBlockById('a'), true);
+    assertFalse(xml.hasAttribute('bookmarked'));
+    assertEquals('true', xml.querySelector('block').getAttribute('bookmarked'));
+
+    // Copies aren't bookmarked.
+    Blockly.copy_(workspace.getBlockById('a'));
+    assertNull(Blockly.clipboardXml_.querySelector('[bookmarked]'));
+    assertTrue(workspace.getBlockById('b').bookmarked);
+  } finally {
+    workspace.dispose();
+    bookmarksTest_tearDown();
+  }
+}
+
+function test_bookmarks_undo() {
+  bookmarksTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(BOOKMARKS_TEST_XML),
+        workspace);
+    workspace.clearUndo();
+    var block = workspace.getBlockById('a');
+    block.setBookmarked(true);
+    var event = workspace.undoStack_[0];
+    assertEquals(Blockly.Events.CHANGE, event.type);
+    assertEquals('bookmark', event.element);
+
+    workspace.undo(false);
+    assertFalse(block.bookmarked);
+    workspace.undo(true);
+    assertTrue(block.bookmarked);
+  } finally {
+    workspace.dispose();
+    bookmarksTest_tearDown();
+  }
+}
+
+function test_bookmarks_frame() {
+  bookmarksTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(BOOKMARKS_TEST_XML),
+        workspace);
+    var frame = workspace.createFrame({
+      id: 'frame',
+      title: 'frame',
+      blocks: ['c'],
+      x: -50,
+      y: 1950,
+      width: 400,
+      height: 200
+    });
+    workspace.clearUndo();
+    frame.setBookmarked(true);
+    assertTrue(Blockly.utils.hasClass(frame.frameGroup_, 'blocklyBookmarked'));
+    assertEquals(frame, workspace.getBookmarks()[0]);
+    var xml = Blockly.Xml.frameToDom(frame, false);
+    assertEquals('true', xml.getAttribute('bookmarked'));
+    var json = Blockly.Json.frameDomToJson(xml);
+    assertTrue(json['bookmarked']);
+    assertEquals('true',
+        Blockly.Json.jsonToFrameDom(json).getAttribute('bookmarked'));
+
+    workspace.undo(false);
+    assertFalse(frame.bookmarked);
+    assertFalse(Blockly.utils.hasClass(frame.frameGroup_, 'blocklyBookmarked'));
+    assertFalse(Blockly.Xml.frameToDom(frame, false)
+        .hasAttribute('bookmarked'));
+  } finally {
+    workspace.dispose();
+    bookmarksTest_tearDown();
+  }
+}
+
+function test_bookmarks_navigationHistory() {
+  bookmarksTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(BOOKMARKS_TEST_XML),
+        workspace);
+    var history = workspace.navigationHistory;
+    assertFalse(history.canGoBack());
+    var start = bookmarksTest_getViewCenter(workspace);
+    workspace.centerOnBlock('c');
+    var atC = bookmarksTest_getViewCenter(workspace);
+    workspace.centerOnBlock('a');
+    // Jumps made by keyboard navigation are left out.
+    workspace.centerOnBlock('c', true);
+
+    assertTrue(history.back());
+    bookmarksTest_assertSameView(atC, workspace);
+    assertTrue(history.back());
+    bookmarksTest_assertSameView(start, workspace);
+    assertFalse(history.canGoBack());
+    assertTrue(history.forward());
+    bookmarksTest_assertSameView(atC, workspace);
+
+    // A new jump drops the places to go forward to.
+    workspace.centerOnBlock('a');
+    assertFalse(history.canGoForward());
+    assertFalse(history.forward());
+  } finally {
+    workspace.dispose();
+    bookmarksTest_tearDown();
+  }
+}
+
+function test_bookmarks_panel() {
+  bookmarksTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(BOOKMARKS_TEST_XML),
+        workspace);
+    var block = workspace.getBlockById('b');
+    assertTrue(Blockly.utils.hasClass(block.getSvgRoot(), 'blocklyBookmarked'));
+    workspace.getBlockById('c').setBookmarked(true);
+    Blockly.BookmarksPanel.show(workspace);
+    var rows = document.querySelectorAll(
+        '.blocklyBookmarksList .blocklyBookmarksRow');
+    assertEquals(2, rows.length);
+
+    // Remove the first bookmark.
+    rows[0].querySelectorAll('.blocklyBookmarksButton')[1].click();
+    assertFalse(block.bookmarked);
+    assertFalse(Blockly.utils.hasClass(block.getSvgRoot(),
+        'blocklyBookmarked'));
+    rows = document.querySelectorAll(
+        '.blocklyBookmarksList .blocklyBookmarksRow');
+    assertEquals(1, rows.length);
+
+    // Go to the other one.
+    rows[0].querySelectorAll('.blocklyBookmarksButton')[0].click();
+    assertFalse(Blockly.BookmarksPanel.isOpen);
+    assertEquals(workspace.getBlockById('c'), Blockly.selected);
+    assertTrue(workspace.navigationHistory.canGoBack());
+  } finally {
+    Blockly.BookmarksPanel.hide();
+    workspace.dispose();
+    bookmarksTest_tearDown();
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var clipboardTest_source;
+var clipboardTest_target;
+var clipboardTest_targetDiv;
+
+function clipboardTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'clipboard_test_block',
+    'message0': 'set %1',
+    'args0': [
+      {
+        'type': 'field_variable',
+        'name': 'VAR',
+        'variable': 'item'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  clipboardTest_source = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  clipboardTest_targetDiv = document.createElement('div');
+  clipboardTest_targetDiv.style.cssText = 'display: none; height: 480px; width: 600px;';
+  document.body.appendChild(clipboardTest_targetDiv);
+  clipboardTest_target = Blockly.inject(clipboardTest_targetDiv,
+      {toolbox: document.getElementById('toolbox')});
+}
+
+function clipboardTest_tearDown() {
+  clipboardTest_source.dispose();
+  clipboardTest_target.dispose();
+  document.body.removeChild(clipboardTest_targetDiv);
+  clipboardTest_source = null;
+  clipboardTest_target = null;
+  clipboardTest_targetDiv = null;
+  delete Blockly.Blocks['clipboard_test_block'];
+}
+
+function test_clipboard_toXmlAndText() {
+  clipboardTest_setUp();
+  try {
+    clipboardTest_source.createVariable('score', '', 'scoreId');
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml>' +
+        '<block type="clipboard_test_block" id="first" x="10" y="20">' +
+        '<field name="VAR" id="scoreId" variabletype="">score</field>' +
+        '<next><block type="clipboard_test_block">' +
+        '<field name="VAR" id="scoreId" variabletype="">score</field>' +
+        '</block></next>' +
+        '</block>' +
+        '</xml>'), clipboardTest_source);
+    var block = clipboardTest_source.getBlockById('first');
+
+    var xml = Blockly.Clipboard.toXml(block);
+    assertTrue(Blockly.Clipboard.isClipboardXml(xml));
+    assertFalse(Blockly.Clipboard.isClipboardXml(Blockly.Xml.blockToDom(block)));
+    var variables = xml.getElementsByTagName('variable');
+    assertEquals(1, variables.length);
+    assertEquals('score', variables[0].textContent);
+    var content = xml.getElementsByTagName('clipboard')[0];
+    assertEquals('10', content.firstElementChild.getAttribute('x'));
+
+    assertEquals('set score\nset score', Blockly.Clipboard.toText(block));
+  } finally {
+    clipboardTest_tearDown();
+  }
+}
+
+function test_clipboard_pasteIntoOtherWorkspace() {
+  clipboardTest_setUp();
+  try {
+    clipboardTest_source.createVariable('score', '', 'sourceScoreId');
+    clipboardTest_source.createVariable('lives', '', 'livesId');
+    clipboardTest_target.createVariable('score', '', 'targetScoreId');
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml>' +
+        '<block type="clipboard_test_block" id="first" x="10" y="20">' +
+        '<field name="VAR" id="sourceScoreId" variabletype="">score</field>' +
+        '<next><block type="clipboard_test_block">' +
+        '<field name="VAR" id="livesId" variabletype="">lives</field>' +
+        '</block></next>' +
+        '</block>' +
+        '</xml>'), clipboardTest_source);
+    var xml = Blockly.Clipboard.toXml(clipboardTest_source.getBlockById('first'));
+
+    // Round trip through text, as through the system clipboard.
+    xml = Blockly.Clipboard.textToXml_(Blockly.Xml.domToText(xml));
+    clipboardTest_target.paste(xml);
+
+    var pasted = clipboardTest_target.getTopBlocks(false)[0];
+    // Variables merge by name, and missing ones are created.
+    assertEquals('targetScoreId', pasted.getFieldValue('VAR'));
+    var lives = clipboardTest_target.getVariable('lives', '');
+    assertNotNull(lives);
+    assertEquals(lives.getId(), pasted.getNextBlock().getFieldValue('VAR'));
+    assertEquals(2, clipboardTest_target.getAllVariables().length);
+    // The clipboard document can be pasted again.
+    assertNotNull(xml.getElementsByTagName('clipboard')[0].firstElementChild);
+  } finally {
+    clipboardTest_tearDown();
+  }
+}
+
+function test_clipboard_textToXmlRejectsOtherText() {
+  assertNull(Blockly.Clipboard.textToXml_(null));
+  assertNull(Blockly.Clipboard.textToXml_('set score'));
+  assertNull(Blockly.Clipboard.textToXml_('<xml><block type="x"></block></xml>'));
+}
+
+/**
+ * Make a copy or paste event whose clipboard data is kept in an object.
+ */
+function clipboardTest_clipboardEvent(data) {
+  return {
+    clipboardData: {
+      setData: function(type, value) {
+        data[type] = value;
+      },
+      getData: function(type) {
+        return data[type] || '';
+      }
+    },
+    defaultPrevented: false,
+    preventDefault: function() {
+      this.defaultPrevented = true;
+    }
+  };
+}
+
+function test_clipboard_copyAndPasteEvents() {
+  clipboardTest_setUp();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml><block type="clipboard_test_block" id="first" x="10" y="20">' +
+        '</block></xml>'), clipboardTest_source);
+    var block = clipboardTest_source.getBlockById('first');
+    var data = {};
+    Blockly.Clipboard.copy(block);
+    var e = clipboardTest_clipboardEvent(data);
+    Blockly.Clipboard.onCopy(e);
+    assertTrue(e.defaultPrevented);
+    assertEquals('set item', data['text/plain']);
+    assertNotNull(Blockly.Clipboard.textToXml_(
+        data[Blockly.Clipboard.MIME_TYPE]));
+
+    // Pasting what this page copied needs no paste event.
+    Blockly.Clipboard.pasteShortcut(clipboardTest_source);
+    assertEquals(2, clipboardTest_source.getTopBlocks(false).length);
+
+    // After the page lost the focus, the paste event decides.  A document
+    // copied on another page is pasted with its dependencies.
+    Blockly.Clipboard.onBlur();
+    Blockly.Clipboard.pasteShortcut(clipboardTest_target);
+    assertEquals(0, clipboardTest_target.getTopBlocks(false).length);
+    var otherData = {};
+    otherData[Blockly.Clipboard.MIME_TYPE] = Blockly.Xml.domToText(
+        Blockly.Clipboard.toXml(block));
+    Blockly.Clipboard.onPaste(clipboardTest_clipboardEvent(otherData));
+    assertEquals(1, clipboardTest_target.getTopBlocks(false).length);
+    assertNotNull(clipboardTest_target.getVariable('item', ''));
+
+    // Paste events the shortcut isn't waiting for are left alone.
+    e = clipboardTest_clipboardEvent(otherData);
+    Blockly.Clipboard.onPaste(e);
+    assertFalse(e.defaultPrevented);
+  } finally {
+    clipboardTest_tearDown();
+  }
+}
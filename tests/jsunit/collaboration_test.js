@@ -0,0 +1,201 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var collaborationTest_alice;
+var collaborationTest_bob;
+var collaborationTest_bobDiv;
+var collaborationTest_sent;
+
+function collaborationTest_setUp() {
+  // Fire events synchronously so they are sent right away.
+  Blockly.Events.fire = temporary_fireEvent;
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'collaboration_test_block',
+    'message0': 'say %1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': 'hello'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  var aliceWorkspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  collaborationTest_bobDiv = document.createElement('div');
+  collaborationTest_bobDiv.style.cssText = 'display: none; height: 480px; width: 600px;';
+  document.body.appendChild(collaborationTest_bobDiv);
+  var bobWorkspace = Blockly.inject(collaborationTest_bobDiv,
+      {toolbox: document.getElementById('toolbox')});
+
+  var hub = new Blockly.Collaboration.MemoryHub();
+  var aliceTransport = hub.createTransport();
+  var bobTransport = hub.createTransport();
+  // Record what Bob sends, to check that remote changes are not echoed.
+  collaborationTest_sent = [];
+  var send = bobTransport.send;
+  bobTransport.send = function(message) {
+    collaborationTest_sent.push(message);
+    send(message);
+  };
+  collaborationTest_alice = new Blockly.Collaboration(aliceWorkspace,
+      aliceTransport, {'clientId': 'alice', 'name': 'Alice'});
+  collaborationTest_bob = new Blockly.Collaboration(bobWorkspace,
+      bobTransport, {'clientId': 'bob', 'name': 'Bob', 'colour': '#ff0000'});
+  collaborationTest_alice.connect();
+  collaborationTest_bob.connect();
+}
+
+function collaborationTest_tearDown() {
+  collaborationTest_alice.dispose();
+  collaborationTest_bob.dispose();
+  collaborationTest_alice.workspace_.dispose();
+  collaborationTest_bob.workspace_.dispose();
+  document.body.removeChild(collaborationTest_bobDiv);
+  collaborationTest_alice = null;
+  collaborationTest_bob = null;
+  collaborationTest_bobDiv = null;
+  collaborationTest_sent = null;
+  delete Blockly.Blocks['collaboration_test_block'];
+  Blockly.Events.fire = savedFireFunc;
+}
+
+function collaborationTest_getSentEvents() {
+  return collaborationTest_sent.filter(function(message) {
+    return message['type'] == 'event';
+  });
+}
+
+function test_collaboration_syncsBlocksAndFrames() {
+  collaborationTest_setUp();
+  try {
+    var alice = collaborationTest_alice.workspace_;
+    var bob = collaborationTest_bob.workspace_;
+    var bobEvents = [];
+    bob.addChangeListener(function(event) {
+      if (event.type != Blockly.Events.UI) {
+        bobEvents.push(event);
+      }
+    });
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml><block type="collaboration_test_block" id="a" x="10" y="20">' +
+        '</block></xml>'), alice);
+    var block = bob.getBlockById('a');
+    assertNotNull(block);
+    assertEquals(20, block.getRelativeToSurfaceXY().y);
+
+    alice.getBlockById('a').moveBy(0, 30);
+    assertEquals(50, block.getRelativeToSurfaceXY().y);
+
+    alice.createFrame({
+      id: 'frame',
+      title: 'frame',
+      blocks: [],
+      x: 200,
+      y: 0,
+      width: 200,
+      height: 200
+    });
+    assertEquals('frame', bob.getFrameById('frame').title);
+    alice.retitleFrameById('frame', 'renamed');
+    assertEquals('renamed', bob.getFrameById('frame').title);
+
+    // Changes applied from Alice are neither sent back nor undoable.
+    assertEquals(0, collaborationTest_getSentEvents().length);
+    assertEquals(0, bob.undoStack_.length);
+    // Other listeners, like the VM's, still see them.
+    assertTrue(bobEvents.length > 0);
+    bobEvents.forEach(function(event) {
+      assertTrue(event.isRemote);
+    });
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_concurrentChanges() {
+  collaborationTest_setUp();
+  try {
+    var alice = collaborationTest_alice.workspace_;
+    var bob = collaborationTest_bob.workspace_;
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml><block type="collaboration_test_block" id="a"></block></xml>'),
+        bob);
+    bob.getBlockById('a').setFieldValue('bob', 'TEXT');
+    var sent = collaborationTest_getSentEvents();
+    var change = sent[sent.length - 1];
+    assertEquals('bob', alice.getBlockById('a').getFieldValue('TEXT'));
+
+    // A change made before Bob's is dropped...
+    var json = Object.assign({}, change['event'], {'newValue': 'stale'});
+    collaborationTest_alice.receive({'type': 'event', 'clientId': 'carol',
+      'clock': change['clock'] - 1, 'event': json});
+    assertEquals('bob', alice.getBlockById('a').getFieldValue('TEXT'));
+    // ... and of two concurrent changes, every client keeps the same one.
+    json['newValue'] = 'anna';
+    collaborationTest_alice.receive({'type': 'event', 'clientId': 'anna',
+      'clock': change['clock'], 'event': json});
+    assertEquals('bob', alice.getBlockById('a').getFieldValue('TEXT'));
+    json['newValue'] = 'carol';
+    collaborationTest_alice.receive({'type': 'event', 'clientId': 'carol',
+      'clock': change['clock'], 'event': json});
+    assertEquals('carol', alice.getBlockById('a').getFieldValue('TEXT'));
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
+
+function test_collaboration_remoteUsers() {
+  collaborationTest_setUp();
+  try {
+    var alice = collaborationTest_alice.workspace_;
+    var bob = collaborationTest_bob.workspace_;
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml><block type="collaboration_test_block" id="a"></block></xml>'),
+        alice);
+    var users = collaborationTest_alice.getUsers();
+    assertEquals(1, users.length);
+    assertEquals('Bob', users[0]['name']);
+    assertEquals('Alice', collaborationTest_bob.getUsers()[0]['name']);
+
+    bob.getBlockById('a').select();
+    assertEquals('a', collaborationTest_alice.getUsers()[0]['selected']);
+    var outline = alice.getBubbleCanvas()
+        .querySelector('.blocklyRemoteSelection');
+    assertEquals('#ff0000', outline.getAttribute('stroke'));
+
+    collaborationTest_bob.receive({'type': 'presence', 'clientId': 'alice',
+      'name': 'Alice', 'colour': '#00ff00', 'cursor': {'x': 5, 'y': 6},
+      'selected': null});
+    var cursor = bob.getBubbleCanvas().querySelector('.blocklyRemoteCursor');
+    assertEquals('translate(5,6)', cursor.getAttribute('transform'));
+    assertEquals('Alice', cursor.textContent);
+
+    collaborationTest_bob.dispose();
+    assertEquals(0, collaborationTest_alice.getUsers().length);
+    assertNull(alice.getBubbleCanvas()
+        .querySelector('.blocklyRemoteSelection'));
+  } finally {
+    collaborationTest_tearDown();
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function contextMenuRegistryTest_getTexts(options) {
+  return options.map(function(option) {
+    return option.text;
+  });
+}
+
+function test_contextMenuRegistry_weightsAndStates() {
+  var Registry = Blockly.ContextMenuRegistry;
+  var State = Registry.State;
+  var scope = {workspace: null, event: null};
+  var clicked = [];
+  Registry.register({
+    id: 'test_last',
+    scopeType: 'test',
+    weight: 30,
+    displayText: 'last'
+  });
+  Registry.register({
+    id: 'test_hidden',
+    scopeType: ['test', 'other'],
+    weight: 10,
+    displayText: 'hidden',
+    preconditionFn: function() {
+      return State.HIDDEN;
+    }
+  });
+  Registry.register({
+    id: 'test_first',
+    scopeType: 'test',
+    weight: 20,
+    displayText: function(s) {
+      assertEquals(scope, s);
+      return 'first';
+    },
+    callback: function(s) {
+      clicked.push(s);
+    }
+  });
+  Registry.register({
+    id: 'test_disabled',
+    scopeType: 'test',
+    weight: 20,
+    displayText: 'disabled',
+    preconditionFn: function() {
+      return State.DISABLED;
+    }
+  });
+  try {
+    var options = Registry.getOptions('test', scope);
+    // Items of the same weight keep the order they were registered in.
+    assertArrayEquals(['first', 'disabled', 'last'],
+        contextMenuRegistryTest_getTexts(options));
+    assertTrue(options[0].enabled);
+    assertFalse(options[1].enabled);
+    options[0].callback();
+    assertArrayEquals([scope], clicked);
+    assertEquals(0, Registry.getOptions('other', scope).length);
+
+    var threw = false;
+    try {
+      Registry.register({id: 'test_last', scopeType: 'test'});
+    } catch (e) {
+      threw = true;
+    }
+    assertTrue(threw);
+    Registry.register({
+      id: 'test_last',
+      scopeType: 'test',
+      weight: 0,
+      displayText: 'replaced'
+    }, true);
+    assertEquals('replaced', Registry.getItem('test_last').displayText);
+    assertEquals('replaced',
+        Registry.getOptions('test', scope)[0].text);
+  } finally {
+    ['test_last', 'test_hidden', 'test_first', 'test_disabled']
+        .forEach(Registry.unregister);
+  }
+  assertNull(Registry.getItem('test_first'));
+  assertEquals(0, Registry.getOptions('test', scope).length);
+}
+
+function test_contextMenuRegistry_submenu() {
+  var Registry = Blockly.ContextMenuRegistry;
+  var State = Registry.State;
+  var scope = {workspace: null, event: null};
+  var clicked = false;
+  var hidden = {
+    displayText: 'hidden',
+    preconditionFn: function() {
+      return State.HIDDEN;
+    }
+  };
+  Registry.register({
+    id: 'test_submenu',
+    scopeType: 'test',
+    displayText: 'more',
+    submenu: [
+      {
+        weight: 2,
+        displayText: 'second',
+        callback: function() {
+          clicked = true;
+        }
+      },
+      {weight: 1, displayText: 'first', separator: true},
+      hidden
+    ]
+  });
+  Registry.register({
+    id: 'test_empty',
+    scopeType: 'test',
+    displayText: 'empty',
+    submenu: [hidden]
+  });
+  try {
+    var options = Registry.getOptions('test', scope);
+    assertEquals(1, options.length);
+    var submenu = options[0].submenu;
+    assertArrayEquals(['first', 'second'],
+        contextMenuRegistryTest_getTexts(submenu));
+    assertTrue(submenu[0].separator);
+    submenu[1].callback();
+    assertTrue(clicked);
+  } finally {
+    Registry.unregister('test_submenu');
+    Registry.unregister('test_empty');
+  }
+}
+
+function test_contextMenuRegistry_builtins() {
+  var Registry = Blockly.ContextMenuRegistry;
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), comments: true});
+  var duplicate = Registry.getItem('blockDuplicate');
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'context_menu_registry_test_block',
+    'message0': 'move',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  try {
+    var block = workspace.newBlock('context_menu_registry_test_block');
+    block.initSvg();
+    block.render();
+    var scope = {workspace: workspace, block: block, event: null};
+    var options = Registry.getOptions(Registry.ScopeType.BLOCK, scope);
+    var count = options.length;
+    assertEquals(Blockly.Msg.ADD_COMMENT, options[1].text);
+
+    Registry.unregister('blockDuplicate');
+    options = Registry.getOptions(Registry.ScopeType.BLOCK, scope);
+    assertEquals(count - 1, options.length);
+    assertEquals(Blockly.Msg.ADD_COMMENT, options[0].text);
+
+    Registry.register(Blockly.ContextMenuRegistry.itemFromOption(
+        'blockDuplicate', Registry.ScopeType.BLOCK, 100, function() {
+          return {text: 'Clone', enabled: false, callback: function() {}};
+        }));
+    options = Registry.getOptions(Registry.ScopeType.BLOCK, scope);
+    assertEquals('Clone', options[options.length - 1].text);
+    assertFalse(options[options.length - 1].enabled);
+
+    // The option is made once per menu.
+    var made = 0;
+    Registry.register(Blockly.ContextMenuRegistry.itemFromOption(
+        'blockDuplicate', Registry.ScopeType.BLOCK, 100, function() {
+          made++;
+          return {text: 'Clone', enabled: true, callback: function() {}};
+        }), true);
+    options = Registry.getOptions(Registry.ScopeType.BLOCK, scope);
+    options[options.length - 1].callback();
+    assertEquals(1, made);
+    Registry.getOptions(Registry.ScopeType.BLOCK, scope);
+    assertEquals(2, made);
+
+    // Nothing but registered flyout items in the flyout.
+    assertEquals(0,
+        Registry.getOptions(Registry.ScopeType.FLYOUT_BLOCK, scope).length);
+  } finally {
+    Registry.register(duplicate, true);
+    workspace.dispose();
+    delete Blockly.Blocks['context_menu_registry_test_block'];
+  }
+}
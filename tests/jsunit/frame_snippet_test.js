@@ -0,0 +1,192 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+'use strict';
+
+var frameSnippetTest_workspace;
+var frameSnippetTest_savedBlocks;
+
+function frameSnippetTest_setUp() {
+  var procCodeMixin = {
+    mutationToDom: function() {
+      var container = document.createElement('mutation');
+      container.setAttribute('proccode', this.procCode_);
+      return container;
+    },
+    domToMutation: function(xmlElement) {
+      this.procCode_ = xmlElement.getAttribute('proccode');
+    },
+    getProcCode: function() {
+      return this.procCode_;
+    }
+  };
+  frameSnippetTest_savedBlocks = {};
+  [Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE,
+    Blockly.PROCEDURES_PROTOTYPE_BLOCK_TYPE,
+    Blockly.PROCEDURES_CALL_BLOCK_TYPE].forEach(function(type) {
+    frameSnippetTest_savedBlocks[type] = Blockly.Blocks[type];
+  });
+  Blockly.Blocks[Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE] = {
+    init: function() {
+      this.appendValueInput('custom_block');
+      this.setNextStatement(true);
+    }
+  };
+  Blockly.Blocks[Blockly.PROCEDURES_PROTOTYPE_BLOCK_TYPE] = goog.object.clone(
+      procCodeMixin);
+  Blockly.Blocks[Blockly.PROCEDURES_PROTOTYPE_BLOCK_TYPE].init = function() {
+    this.procCode_ = '';
+    this.setOutput(true);
+  };
+  Blockly.Blocks[Blockly.PROCEDURES_CALL_BLOCK_TYPE] = goog.object.clone(
+      procCodeMixin);
+  Blockly.Blocks[Blockly.PROCEDURES_CALL_BLOCK_TYPE].init = function() {
+    this.procCode_ = '';
+    this.setPreviousStatement(true);
+    this.setNextStatement(true);
+  };
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'frame_snippet_test_set',
+    'message0': 'set %1',
+    'args0': [
+      {
+        'type': 'field_variable',
+        'name': 'VARIABLE'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+
+  frameSnippetTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  // A frame that sets "score" and calls "jump %s", which is defined outside
+  // the frame and sets "height".
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '<variables>' +
+      '<variable type="" id="score">score</variable>' +
+      '<variable type="" id="height">height</variable>' +
+      '</variables>' +
+      '<block type="procedures_definition" id="define" x="500" y="0">' +
+      '<value name="custom_block">' +
+      '<shadow type="procedures_prototype">' +
+      '<mutation proccode="jump %s"></mutation>' +
+      '</shadow>' +
+      '</value>' +
+      '<next><block type="frame_snippet_test_set">' +
+      '<field name="VARIABLE" id="height" variabletype="">height</field>' +
+      '</block></next>' +
+      '</block>' +
+      '<block type="frame_snippet_test_set" id="set" x="20" y="40">' +
+      '<field name="VARIABLE" id="score" variabletype="">score</field>' +
+      '<next><block type="procedures_call" id="call">' +
+      '<mutation proccode="jump %s"></mutation>' +
+      '</block></next>' +
+      '</block>' +
+      '<custom-frameset>' +
+      '<custom-frame id="frame" title="Jumping" color="#ff0000" ' +
+      'locked="false" collapsed="false" blocks="set" ' +
+      'x="0" y="0" width="300" height="200"></custom-frame>' +
+      '</custom-frameset>' +
+      '</xml>'), frameSnippetTest_workspace);
+}
+
+function frameSnippetTest_tearDown() {
+  frameSnippetTest_workspace.dispose();
+  frameSnippetTest_workspace = null;
+  delete Blockly.Blocks['frame_snippet_test_set'];
+  Object.keys(frameSnippetTest_savedBlocks).forEach(function(type) {
+    Blockly.Blocks[type] = frameSnippetTest_savedBlocks[type];
+  });
+}
+
+function frameSnippetTest_importedCall(frame) {
+  var set = frameSnippetTest_workspace.getBlockById(frame.getBlockIds()[0]);
+  return set.getNextBlock();
+}
+
+function test_frameSnippet_export() {
+  frameSnippetTest_setUp();
+  try {
+    var frame = frameSnippetTest_workspace.getFrameById('frame');
+    var snippet = Blockly.FrameSnippet.frameToSnippet(frame);
+    assertEquals(Blockly.FrameSnippet.VERSION, snippet['snippet']);
+    var names = snippet['variables'].map(function(variable) {
+      return variable['name'];
+    });
+    assertArrayEquals(['score', 'height'], names);
+    // The called definition comes along, outside of the frame.
+    assertEquals(1, snippet['blocks'].length);
+    assertEquals('procedures_definition', snippet['blocks'][0]['type']);
+    assertEquals(1, snippet['frames'].length);
+    assertEquals('Jumping', snippet['frames'][0]['title']);
+  } finally {
+    frameSnippetTest_tearDown();
+  }
+}
+
+function test_frameSnippet_importMerge() {
+  frameSnippetTest_setUp();
+  try {
+    var workspace = frameSnippetTest_workspace;
+    var snippet = Blockly.FrameSnippet.frameToSnippet(
+        workspace.getFrameById('frame'));
+    var frame = Blockly.FrameSnippet.snippetToFrame(snippet, workspace,
+        {x: 0, y: 400});
+    assertNotEquals('frame', frame.id);
+    assertEquals('Jumping', frame.title);
+    assertEquals(400, frame.rect_.top);
+    // The variables and the definition of the workspace are reused.
+    assertEquals(2, workspace.getAllVariables().length);
+    var definitions = workspace.getTopBlocks(false).filter(function(block) {
+      return block.type == 'procedures_definition';
+    });
+    assertEquals(1, definitions.length);
+    var call = frameSnippetTest_importedCall(frame);
+    assertEquals('jump %s', call.getProcCode());
+    assertEquals('score', call.getPreviousBlock().getField('VARIABLE').getText());
+  } finally {
+    frameSnippetTest_tearDown();
+  }
+}
+
+function test_frameSnippet_importRename() {
+  frameSnippetTest_setUp();
+  try {
+    var workspace = frameSnippetTest_workspace;
+    var snippet = Blockly.FrameSnippet.frameToSnippet(
+        workspace.getFrameById('frame'));
+    var frame = Blockly.FrameSnippet.snippetToFrame(snippet, workspace, {
+      variables: Blockly.FrameSnippet.ConflictMode.RENAME,
+      procedures: Blockly.FrameSnippet.ConflictMode.RENAME
+    });
+    assertNotNull(workspace.getVariable('score2', ''));
+    assertNotNull(workspace.getVariable('height2', ''));
+    var call = frameSnippetTest_importedCall(frame);
+    assertEquals('jump2 %s', call.getProcCode());
+    assertEquals('score2', call.getPreviousBlock().getField('VARIABLE').getText());
+    var definition = Blockly.Procedures.getDefineBlock('jump2 %s', workspace);
+    assertEquals('height2',
+        definition.getNextBlock().getField('VARIABLE').getText());
+  } finally {
+    frameSnippetTest_tearDown();
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var frameTest_workspace;
+
+function frameTest_setUp() {
+  frameTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+}
+
+function frameTest_tearDown() {
+  frameTest_workspace.dispose();
+  frameTest_workspace = null;
+}
+
+function frameTest_createFrame(id, x, y, width, height) {
+  return frameTest_workspace.createFrame({
+    id: id,
+    title: id,
+    blocks: [],
+    x: x,
+    y: y,
+    width: width,
+    height: height
+  });
+}
+
+function test_frame_updateOwnedFrames() {
+  frameTest_setUp();
+  try {
+    var inner = frameTest_createFrame('inner', 60, 60, 40, 40);
+    var outer = frameTest_createFrame('outer', 0, 0, 400, 400);
+    var middle = frameTest_createFrame('middle', 50, 50, 200, 200);
+    outer.updateOwnedFrames();
+    assertNull(outer.getParentFrame());
+    assertEquals(outer, middle.getParentFrame());
+    assertEquals(middle, inner.getParentFrame());
+    assertEquals(2, inner.getDepth());
+    assertArrayEquals([middle, inner], outer.getDescendantFrames());
+
+    // Moving the frame out of its parent takes it out of the hierarchy.
+    middle.moveBy(500, 0);
+    assertEquals(560, inner.rect_.left);
+    outer.updateOwnedFrames();
+    assertNull(middle.getParentFrame());
+    assertEquals(middle, inner.getParentFrame());
+    assertArrayEquals([], outer.getFrameIds());
+  } finally {
+    frameTest_tearDown();
+  }
+}
+
+function test_frame_collapseHidesChildFrames() {
+  frameTest_setUp();
+  try {
+    var outer = frameTest_createFrame('outer', 0, 0, 400, 400);
+    var middle = frameTest_createFrame('middle', 50, 50, 200, 200);
+    var inner = frameTest_createFrame('inner', 60, 60, 40, 40);
+    middle.setParentFrame(outer);
+    inner.setParentFrame(middle);
+
+    outer.triggerChangeCollapsed(true);
+    assertTrue(inner.isInCollapsedFrame());
+    assertEquals('none', middle.getSvgRoot().style.display);
+    assertEquals('none', inner.getSvgRoot().style.display);
+    // Hidden frames do not take new content.
+    var other = frameTest_createFrame('other', 70, 70, 10, 10);
+    outer.updateOwnedFrames();
+    assertNull(other.getParentFrame());
+
+    outer.triggerChangeCollapsed(false);
+    assertFalse(inner.isInCollapsedFrame());
+    assertEquals('', middle.getSvgRoot().style.display);
+    assertEquals('', inner.getSvgRoot().style.display);
+  } finally {
+    frameTest_tearDown();
+  }
+}
+
+function test_frame_nestedXml() {
+  frameTest_setUp();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml><custom-frameset>' +
+        '<custom-frame title="Sprite" id="outer" blocks="" ' +
+        'x="0" y="0" width="400" height="400">' +
+        '<custom-frame title="Section" id="inner" blocks="" ' +
+        'x="50" y="50" width="100" height="100"></custom-frame>' +
+        '</custom-frame>' +
+        '</custom-frameset></xml>'), frameTest_workspace);
+    var outer = frameTest_workspace.getFrameById('outer');
+    var inner = frameTest_workspace.getFrameById('inner');
+    assertEquals(outer, inner.getParentFrame());
+
+    var frameset = Blockly.Xml.workspaceToDom(frameTest_workspace)
+        .getElementsByTagName('custom-frameset')[0];
+    assertEquals(1, frameset.children.length);
+    assertEquals('outer', frameset.children[0].getAttribute('id'));
+    assertEquals('inner',
+        frameset.children[0].children[0].getAttribute('id'));
+    // The nested frames can be left out.
+    assertEquals(0, Blockly.Xml.frameToDom(outer, true, true).children.length);
+
+    var json = Blockly.Json.frameToJson(outer);
+    assertEquals('inner', json['frames'][0]['id']);
+    assertEquals('inner', Blockly.Json.jsonToFrameDom(json)
+        .children[0].getAttribute('id'));
+  } finally {
+    frameTest_tearDown();
+  }
+}
+
+function test_frame_pasteNested() {
+  frameTest_setUp();
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'frame_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  try {
+    var block = frameTest_workspace.newBlock('frame_test_block', 'block');
+    block.initSvg();
+    block.render();
+    block.moveBy(60, 60);
+    var outer = frameTest_createFrame('outer', 0, 0, 400, 400);
+    var inner = frameTest_workspace.createFrame({
+      id: 'inner',
+      title: 'inner',
+      blocks: ['block'],
+      parent: 'outer',
+      x: 50,
+      y: 50,
+      width: 200,
+      height: 200
+    });
+    assertEquals(outer, inner.getParentFrame());
+
+    frameTest_workspace.paste(Blockly.Xml.frameToDom(outer, true));
+    var pasted = Blockly.selected;
+    assertNotEquals(outer, pasted);
+    assertEquals(4, frameTest_workspace.getAllFrames().length);
+    var pastedInner = pasted.getChildFrames()[0];
+    assertNotEquals('inner', pastedInner.id);
+    assertEquals(pasted, pastedInner.getParentFrame());
+    var pastedBlockIds = pastedInner.getBlockIds();
+    assertEquals(1, pastedBlockIds.length);
+    assertNotEquals('block', pastedBlockIds[0]);
+    assertEquals(2, frameTest_workspace.getTopBlocks(false).length);
+    // The originals are untouched.
+    assertArrayEquals([inner], outer.getChildFrames());
+    assertArrayEquals(['block'], inner.getBlockIds());
+  } finally {
+    frameTest_tearDown();
+    delete Blockly.Blocks['frame_test_block'];
+  }
+}
+
+function test_frame_framesChangeEvent() {
+  frameTest_setUp();
+  try {
+    var outer = frameTest_createFrame('outer', 0, 0, 400, 400);
+    var inner = frameTest_createFrame('inner', 50, 50, 100, 100);
+    var event = new Blockly.Events.FrameChange(outer, 'frames',
+        {frames: []}, {frames: ['inner']});
+    event.run(true);
+    assertEquals(outer, inner.getParentFrame());
+    event.run(false);
+    assertNull(inner.getParentFrame());
+
+    // Deleting a frame keeps the nested frames when blocks are retained.
+    inner.setParentFrame(outer);
+    frameTest_workspace.deleteFrameById('outer', true);
+    assertNull(inner.getParentFrame());
+    assertEquals(inner, frameTest_workspace.getFrameById('inner'));
+  } finally {
+    frameTest_tearDown();
+  }
+}
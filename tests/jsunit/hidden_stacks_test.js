@@ -0,0 +1,175 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var HIDDEN_STACKS_TEST_XML =
+    '<xml>' +
+    '<block type="hidden_stacks_test_block" id="a" x="0" y="0" hidden="true">' +
+    '<next><block type="hidden_stacks_test_block" id="b"></block></next>' +
+    '</block>' +
+    '<block type="hidden_stacks_test_block" id="c" x="0" y="200" ' +
+    'hidden="false"></block>' +
+    '</xml>';
+
+function hiddenStacksTest_setUp() {
+  // Fire events synchronously so they reach the undo stack right away.
+  Blockly.Events.fire = temporary_fireEvent;
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'hidden_stacks_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+}
+
+function hiddenStacksTest_tearDown() {
+  delete Blockly.Blocks['hidden_stacks_test_block'];
+  Blockly.Events.fire = savedFireFunc;
+}
+
+function test_hiddenStacks_xml() {
+  hiddenStacksTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(HIDDEN_STACKS_TEST_XML),
+        workspace);
+    assertTrue(workspace.getBlockById('a').hidden);
+    assertFalse(workspace.getBlockById('c').hidden);
+    assertArrayEquals([workspace.getBlockById('a')],
+        workspace.getHiddenStacks(false));
+
+    var xml = Blockly.Xml.blockToDom(workspace.getBlockById('a'));
+    assertEquals('true', xml.getAttribute('hidden'));
+    xml = Blockly.Xml.blockToDom(workspace.getBlockById('c'));
+    assertFalse(xml.hasAttribute('hidden'));
+  } finally {
+    workspace.dispose();
+    hiddenStacksTest_tearDown();
+  }
+}
+
+function test_hiddenStacks_undo() {
+  hiddenStacksTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(HIDDEN_STACKS_TEST_XML),
+        workspace);
+    workspace.clearUndo();
+    var block = workspace.getBlockById('c');
+    block.setHidden(true);
+    assertTrue(block.hidden);
+    var event = workspace.undoStack_[0];
+    assertEquals(Blockly.Events.BLOCK_HIDDEN, event.type);
+    assertTrue(event.toJson()['hidden']);
+
+    workspace.undo(false);
+    assertFalse(block.hidden);
+    workspace.undo(true);
+    assertTrue(block.hidden);
+  } finally {
+    workspace.dispose();
+    hiddenStacksTest_tearDown();
+  }
+}
+
+function test_hiddenStacks_display() {
+  hiddenStacksTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), hiddenStacks: true});
+  try {
+    assertTrue(workspace.options.hiddenStacks);
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(HIDDEN_STACKS_TEST_XML),
+        workspace);
+    var block = workspace.getBlockById('a');
+    assertEquals('none', block.getSvgRoot().style.display);
+    // Coming into view doesn't show a hidden stack.
+    block.setIntersects(false);
+    block.setIntersects(true);
+    assertEquals('none', block.getSvgRoot().style.display);
+
+    block.setHidden(false);
+    assertEquals('', block.getSvgRoot().style.display);
+    block.toggleHidden();
+    assertTrue(block.hidden);
+  } finally {
+    workspace.dispose();
+    hiddenStacksTest_tearDown();
+  }
+}
+
+function test_hiddenStacks_panel() {
+  hiddenStacksTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), hiddenStacks: true});
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(HIDDEN_STACKS_TEST_XML),
+        workspace);
+    workspace.getBlockById('c').setHidden(true);
+    Blockly.HiddenStacksPanel.show(workspace);
+    var buttons = document.querySelectorAll(
+        '.blocklyHiddenStacksList .blocklyHiddenStacksButton');
+    assertEquals(2, buttons.length);
+
+    buttons[1].click();
+    assertFalse(workspace.getBlockById('c').hidden);
+    assertTrue(workspace.getBlockById('a').hidden);
+    assertEquals(1, document.querySelectorAll(
+        '.blocklyHiddenStacksList .blocklyHiddenStacksButton').length);
+  } finally {
+    Blockly.HiddenStacksPanel.hide();
+    workspace.dispose();
+    hiddenStacksTest_tearDown();
+  }
+}
+
+function test_hiddenStacks_frameContents() {
+  hiddenStacksTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), hiddenStacks: true});
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(HIDDEN_STACKS_TEST_XML),
+        workspace);
+    var frame = workspace.createFrame({
+      id: 'frame',
+      title: 'frame',
+      blocks: ['c'],
+      x: -50,
+      y: 150,
+      width: 400,
+      height: 200
+    });
+    workspace.clearUndo();
+    frame.setContentsHidden(true);
+    assertTrue(frame.contentsHidden);
+    assertTrue(workspace.getBlockById('c').hidden);
+    var xml = Blockly.Xml.frameToDom(frame, false);
+    assertEquals('true', xml.getAttribute('contentshidden'));
+    assertTrue(Blockly.Json.frameDomToJson(xml)['contentsHidden']);
+
+    workspace.undo(false);
+    assertFalse(frame.contentsHidden);
+    assertFalse(workspace.getBlockById('c').hidden);
+    assertFalse(Blockly.Xml.frameToDom(frame, false)
+        .hasAttribute('contentshidden'));
+  } finally {
+    workspace.dispose();
+    hiddenStacksTest_tearDown();
+  }
+}
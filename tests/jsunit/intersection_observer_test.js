@@ -0,0 +1,147 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var intersectionObserverTest_workspace;
+
+var INTERSECTION_OBSERVER_TEST_XML =
+    '<xml>' +
+    '<block type="intersection_observer_test_block" id="near" x="0" y="0">' +
+    '</block>' +
+    '<block type="intersection_observer_test_block" id="far" x="100000" ' +
+    'y="100000">' +
+    '<next><block type="intersection_observer_test_block" id="farChild">' +
+    '</block></next></block>' +
+    '</xml>';
+
+function intersectionObserverTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'intersection_observer_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  intersectionObserverTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), lazyRendering: true});
+  Blockly.Xml.domToWorkspace(
+      Blockly.Xml.textToDom(INTERSECTION_OBSERVER_TEST_XML),
+      intersectionObserverTest_workspace);
+  intersectionObserverTest_workspace.intersectionObserver
+      .checkForIntersections();
+}
+
+function intersectionObserverTest_tearDown() {
+  intersectionObserverTest_workspace.dispose();
+  intersectionObserverTest_workspace = null;
+  delete Blockly.Blocks['intersection_observer_test_block'];
+}
+
+function test_intersectionObserver_defersOffscreenStacks() {
+  intersectionObserverTest_setUp();
+  try {
+    var workspace = intersectionObserverTest_workspace;
+    var near = workspace.getBlockById('near');
+    var far = workspace.getBlockById('far');
+    assertFalse(near.isDeferred());
+    assertTrue(near.rendered);
+    assertTrue(far.isDeferred());
+    assertFalse(far.rendered);
+    assertFalse(workspace.getBlockById('farChild').rendered);
+    assertNotNull(far.getSvgRoot().querySelector('.blocklyDeferredStack'));
+
+    // Moving the stack into view renders it.
+    far.moveBy(-100000, -100000);
+    workspace.intersectionObserver.checkForIntersections();
+    assertFalse(far.isDeferred());
+    assertTrue(workspace.getBlockById('farChild').rendered);
+    assertNull(far.getSvgRoot().querySelector('.blocklyDeferredStack'));
+  } finally {
+    intersectionObserverTest_tearDown();
+  }
+}
+
+function test_intersectionObserver_renderingBlockRendersStack() {
+  intersectionObserverTest_setUp();
+  try {
+    var workspace = intersectionObserverTest_workspace;
+    workspace.getBlockById('farChild').render();
+    assertFalse(workspace.getBlockById('far').isDeferred());
+    assertTrue(workspace.getBlockById('far').rendered);
+  } finally {
+    intersectionObserverTest_tearDown();
+  }
+}
+
+function test_intersectionObserver_exportRendersOnlyTarget() {
+  intersectionObserverTest_setUp();
+  try {
+    var workspace = intersectionObserverTest_workspace;
+    var svg = Blockly.SvgExport.createSvg(workspace.getBlockById('near'));
+    assertNotNull(svg.querySelector('[data-id="near"]'));
+    // Stacks that aren't exported stay deferred.
+    assertTrue(workspace.getBlockById('far').isDeferred());
+  } finally {
+    intersectionObserverTest_tearDown();
+  }
+}
+
+function test_intersectionObserver_placeholderSize() {
+  intersectionObserverTest_setUp();
+  try {
+    var workspace = intersectionObserverTest_workspace;
+    var far = workspace.getBlockById('far');
+    var estimate = Blockly.IntersectionObserver.ESTIMATED_BLOCK_SIZE;
+    assertEquals(2 * estimate.height, far.getHeightWidth().height);
+
+    far.renderDeferred();
+    workspace.intersectionObserver.checkForIntersections();
+    var size = far.getHeightWidth();
+    // Stacks loaded again keep the size they had when rendered.
+    workspace.clear();
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(INTERSECTION_OBSERVER_TEST_XML), workspace);
+    far = workspace.getBlockById('far');
+    assertTrue(far.isDeferred());
+    assertEquals(size.width, far.getHeightWidth().width);
+    assertEquals(size.height, far.getHeightWidth().height);
+  } finally {
+    intersectionObserverTest_tearDown();
+  }
+}
+
+function test_intersectionObserver_disabledByDefault() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'intersection_observer_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(INTERSECTION_OBSERVER_TEST_XML), workspace);
+    assertFalse(workspace.getBlockById('far').isDeferred());
+    assertTrue(workspace.getBlockById('far').rendered);
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['intersection_observer_test_block'];
+  }
+}
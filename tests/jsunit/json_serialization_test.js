@@ -0,0 +1,196 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+var JSON_TEST_XML_TEXT = ['<xml xmlns="http://www.w3.org/1999/xhtml">',
+  '  <variables>',
+  '    <variable type="" id="var1" islocal="false" iscloud="false">item</variable>',
+  '  </variables>',
+  '  <comment id="comment1" x="40" y="50" h="120" w="200">Hello</comment>',
+  '  <block type="json_test_stack_block" id="block1" x="21" y="23">',
+  '    <field name="VAR" id="var1" variabletype="">item</field>',
+  '    <value name="VALUE">',
+  '      <shadow type="json_test_text_block" id="shadow1">',
+  '        <field name="TEXT">shadow</field>',
+  '      </shadow>',
+  '      <block type="json_test_text_block" id="block2">',
+  '        <field name="TEXT">real</field>',
+  '      </block>',
+  '    </value>',
+  '    <next>',
+  '      <block type="json_test_stack_block" id="block3" disabled="true">',
+  '        <field name="VAR" id="var1" variabletype="">item</field>',
+  '        <data>some data</data>',
+  '      </block>',
+  '    </next>',
+  '  </block>',
+  '</xml>'].join('\n');
+
+function jsonSerializationTest_setUp() {
+  workspace = new Blockly.Workspace();
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'json_test_stack_block',
+    'message0': '%1 %2',
+    'args0': [
+      {
+        'type': 'field_variable',
+        'name': 'VAR',
+        'variable': 'item'
+      },
+      {
+        'type': 'input_value',
+        'name': 'VALUE'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  },
+  {
+    'type': 'json_test_text_block',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': 'default'
+      }
+    ],
+    'output': null
+  }]);
+}
+
+function jsonSerializationTest_tearDown() {
+  workspace.dispose();
+  delete Blockly.Blocks.json_test_stack_block;
+  delete Blockly.Blocks.json_test_text_block;
+}
+
+/**
+ * Serialize the workspace to XML text.
+ * @return {string} XML text.
+ */
+function jsonSerializationTest_workspaceText() {
+  return Blockly.Xml.domToText(Blockly.Xml.workspaceToDom(workspace));
+}
+
+function test_jsonSerialization_domToJson() {
+  jsonSerializationTest_setUp();
+  try {
+    var json = Blockly.Json.domToJson(Blockly.Xml.textToDom(JSON_TEST_XML_TEXT));
+    assertEquals(1, json['variables'].length);
+    assertEquals('item', json['variables'][0]['name']);
+    assertEquals(false, json['variables'][0]['isLocal']);
+    assertEquals(1, json['comments'].length);
+    assertEquals('Hello', json['comments'][0]['text']);
+    assertEquals(40, json['comments'][0]['x']);
+    assertEquals(1, json['blocks'].length);
+
+    var block = json['blocks'][0];
+    assertEquals('json_test_stack_block', block['type']);
+    assertEquals(21, block['x']);
+    assertEquals('var1', block['fields']['VAR']['id']);
+    assertEquals('item', block['fields']['VAR']['name']);
+    assertEquals(true, block['inputs']['VALUE']['shadow']['shadow']);
+    assertEquals('real', block['inputs']['VALUE']['block']['fields']['TEXT']);
+    assertEquals(true, block['next']['block']['disabled']);
+    assertEquals('some data', block['next']['block']['data']);
+  } finally {
+    jsonSerializationTest_tearDown();
+  }
+}
+
+function test_jsonSerialization_roundTrip() {
+  jsonSerializationTest_setUp();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(JSON_TEST_XML_TEXT),
+        workspace);
+    var expected = jsonSerializationTest_workspaceText();
+    var json = JSON.parse(JSON.stringify(Blockly.Json.workspaceToJson(workspace)));
+
+    Blockly.Json.clearWorkspaceAndLoadFromJson(json, workspace);
+    assertEquals(expected, jsonSerializationTest_workspaceText());
+    assertEquals(3, workspace.getAllBlocks().length);
+    assertEquals(1, workspace.getTopComments(false).length);
+  } finally {
+    jsonSerializationTest_tearDown();
+  }
+}
+
+function test_jsonSerialization_blockToJson() {
+  jsonSerializationTest_setUp();
+  try {
+    var block = Blockly.Xml.domToBlock(
+        Blockly.Xml.textToDom(JSON_TEST_XML_TEXT).children[2], workspace);
+    var json = Blockly.Json.blockToJson(block, true);
+    assertUndefined(json['id']);
+    assertEquals(Blockly.Xml.domToText(Blockly.Xml.blockToDom(block, true)),
+        Blockly.Xml.domToText(Blockly.Json.jsonToBlockDom(json)));
+
+    var copy = Blockly.Json.jsonToBlock(json, workspace);
+    assertEquals('json_test_stack_block', copy.type);
+    assertEquals('real', copy.getInputTargetBlock('VALUE').getFieldValue('TEXT'));
+  } finally {
+    jsonSerializationTest_tearDown();
+  }
+}
+
+function test_jsonSerialization_globalProcedures() {
+  jsonSerializationTest_setUp();
+  try {
+    var mutation = Blockly.Xml.textToDom(
+        '<xml><mutation proccode="do %s" argumentids="[&quot;a&quot;]" ' +
+        'argumentnames="[&quot;x&quot;]" argumentdefaults="[&quot;&quot;]" ' +
+        'warp="false" isglobal="true"></mutation></xml>').firstChild;
+    workspace.createGlobalProcedure(mutation);
+    var json = Blockly.Json.workspaceToJson(workspace);
+    assertEquals(1, json['procedures'].length);
+    assertEquals('do %s', json['procedures'][0]['attributes']['proccode']);
+
+    workspace.clear();
+    Blockly.Json.jsonToWorkspace(json, workspace);
+    var restored = workspace.getGlobalProcedureMutationByProccode('do %s');
+    assertNotNull(restored);
+    assertEquals('["a"]', restored.getAttribute('argumentids'));
+  } finally {
+    jsonSerializationTest_tearDown();
+  }
+}
+
+function test_jsonSerialization_frameDomToJson() {
+  var frameXml = Blockly.Xml.textToDom(
+      '<xml><custom-frame title="Setup" id="frame1" color="45, 140, 255" ' +
+      'locked="false" collapsed="true" blocks="a b" x="10" y="20" ' +
+      'width="300" height="200"></custom-frame></xml>').firstChild;
+  var json = Blockly.Json.frameDomToJson(frameXml);
+  assertEquals('Setup', json['title']);
+  assertEquals(true, json['collapsed']);
+  assertEquals(false, json['locked']);
+  assertArrayEquals(['a', 'b'], json['blocks']);
+  assertEquals(300, json['width']);
+
+  var dom = Blockly.Json.jsonToFrameDom(json);
+  assertEquals('a b', dom.getAttribute('blocks'));
+  assertEquals('true', dom.getAttribute('collapsed'));
+  assertEquals('10', dom.getAttribute('x'));
+  assertEquals('45, 140, 255', dom.getAttribute('color'));
+}
@@ -0,0 +1,255 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var linterTest_savedBlocks;
+
+var LINTER_TEST_XML =
+    '<xml>' +
+    '<variables>' +
+    '<variable type="" id="used" islocal="true">used</variable>' +
+    '<variable type="" id="unused" islocal="true">unused</variable>' +
+    '<variable type="list" id="global" islocal="false">global</variable>' +
+    '<variable type="broadcast_msg" id="go">go</variable>' +
+    '<variable type="broadcast_msg" id="stop">stop</variable>' +
+    '</variables>' +
+    '<block type="linter_test_hat" id="hat" x="0" y="0">' +
+    '<next><block type="control_if" id="if">' +
+    '<next><block type="linter_test_set" id="set">' +
+    '<field name="VARIABLE" id="used" variabletype="">used</field>' +
+    '<next><block type="procedures_call" id="call">' +
+    '<mutation proccode="jump"></mutation>' +
+    '<next><block type="event_broadcast" id="broadcastGo">' +
+    '<value name="BROADCAST_INPUT"><shadow type="event_broadcast_menu">' +
+    '<field name="BROADCAST_OPTION" id="go" variabletype="broadcast_msg">go' +
+    '</field></shadow></value>' +
+    '<next><block type="event_broadcast" id="broadcastStop">' +
+    '<value name="BROADCAST_INPUT"><shadow type="event_broadcast_menu">' +
+    '<field name="BROADCAST_OPTION" id="stop" ' +
+    'variabletype="broadcast_msg">stop</field></shadow></value>' +
+    '</block></next></block></next></block></next></block></next></block>' +
+    '</next></block>' +
+    '<block type="event_whenbroadcastreceived" id="whenGo" x="300" y="0">' +
+    '<field name="BROADCAST_OPTION" id="go" variabletype="broadcast_msg">go' +
+    '</field></block>' +
+    '<block type="linter_test_reporter" id="reporter" x="0" y="300"></block>' +
+    '<block type="linter_test_set" id="loose" x="300" y="300">' +
+    '<field name="VARIABLE" id="used" variabletype="">used</field></block>' +
+    '</xml>';
+
+function linterTest_setUp() {
+  var types = ['control_if', 'event_broadcast', 'event_broadcast_menu',
+    'event_whenbroadcastreceived', Blockly.PROCEDURES_CALL_BLOCK_TYPE];
+  linterTest_savedBlocks = {};
+  types.forEach(function(type) {
+    linterTest_savedBlocks[type] = Blockly.Blocks[type];
+  });
+  Blockly.Blocks[Blockly.PROCEDURES_CALL_BLOCK_TYPE] = {
+    init: function() {
+      this.procCode_ = '';
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    },
+    mutationToDom: function() {
+      var container = document.createElement('mutation');
+      container.setAttribute('proccode', this.procCode_);
+      return container;
+    },
+    domToMutation: function(xmlElement) {
+      this.procCode_ = xmlElement.getAttribute('proccode');
+    },
+    getProcCode: function() {
+      return this.procCode_;
+    }
+  };
+  Blockly.defineBlocksWithJsonArray([
+    {
+      'type': 'linter_test_hat',
+      'message0': 'when started',
+      'nextStatement': null
+    },
+    {
+      'type': 'linter_test_reporter',
+      'message0': 'answer',
+      'output': null
+    },
+    {
+      'type': 'linter_test_set',
+      'message0': 'set %1',
+      'args0': [{'type': 'field_variable', 'name': 'VARIABLE'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'control_if',
+      'message0': 'if %1',
+      'args0': [{'type': 'input_statement', 'name': 'SUBSTACK'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'event_broadcast_menu',
+      'message0': '%1',
+      'args0': [{
+        'type': 'field_variable',
+        'name': 'BROADCAST_OPTION',
+        'variableTypes': [Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE]
+      }],
+      'output': null
+    },
+    {
+      'type': 'event_broadcast',
+      'message0': 'broadcast %1',
+      'args0': [{'type': 'input_value', 'name': 'BROADCAST_INPUT'}],
+      'previousStatement': null,
+      'nextStatement': null
+    },
+    {
+      'type': 'event_whenbroadcastreceived',
+      'message0': 'when I receive %1',
+      'args0': [{
+        'type': 'field_variable',
+        'name': 'BROADCAST_OPTION',
+        'variableTypes': [Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE]
+      }],
+      'nextStatement': null
+    }
+  ]);
+}
+
+function linterTest_tearDown() {
+  Object.keys(linterTest_savedBlocks).forEach(function(type) {
+    Blockly.Blocks[type] = linterTest_savedBlocks[type];
+  });
+  ['linter_test_hat', 'linter_test_reporter', 'linter_test_set']
+      .forEach(function(type) {
+        delete Blockly.Blocks[type];
+      });
+}
+
+function linterTest_getIssue(linter, rule) {
+  return linter.getIssues().filter(function(issue) {
+    return issue.rule == rule;
+  });
+}
+
+function test_linter_rules() {
+  linterTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(LINTER_TEST_XML),
+        workspace);
+    var linter = new Blockly.Linter(workspace);
+
+    var issues = linterTest_getIssue(linter, 'orphan-reporter');
+    assertEquals(1, issues.length);
+    assertEquals('reporter', issues[0].blockId);
+    issues = linterTest_getIssue(linter, 'hatless-stack');
+    assertEquals(1, issues.length);
+    assertEquals('loose', issues[0].blockId);
+    // Variables for all sprites may be used elsewhere.
+    issues = linterTest_getIssue(linter, 'unused-variable');
+    assertEquals(1, issues.length);
+    assertEquals('unused', issues[0].variableId);
+    assertEquals('The variable "unused" is never used.', issues[0].message);
+    issues = linterTest_getIssue(linter, 'missing-procedure');
+    assertEquals('call', issues[0].blockId);
+    issues = linterTest_getIssue(linter, 'empty-if');
+    assertEquals('if', issues[0].blockId);
+    issues = linterTest_getIssue(linter, 'unreceived-broadcast');
+    assertEquals(1, issues.length);
+    assertEquals('broadcastStop', issues[0].blockId);
+
+    workspace.getBlockById('reporter').dispose();
+    workspace.getBlockById('loose').dispose();
+    linter.run();
+    assertEquals(0, linterTest_getIssue(linter, 'orphan-reporter').length);
+    assertEquals(0, linterTest_getIssue(linter, 'hatless-stack').length);
+    linter.dispose();
+  } finally {
+    workspace.dispose();
+    linterTest_tearDown();
+  }
+}
+
+function test_linter_configAndSummary() {
+  linterTest_setUp();
+  var workspace = new Blockly.Workspace();
+  var linted = [];
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(LINTER_TEST_XML),
+        workspace);
+    var linter = new Blockly.Linter(workspace, {
+      'rules': {'empty-if': false},
+      'onChange': function(issues) {
+        linted.push(issues.length);
+      }
+    });
+    var summary = linter.getSummary();
+    assertEquals(5, summary.total);
+    assertEquals(1, summary.rules['hatless-stack']);
+    assertUndefined(summary.rules['empty-if']);
+    assertFalse(linter.getConfig()['empty-if']);
+    assertTrue(linter.getConfig()['orphan-reporter']);
+
+    linter.setRuleEnabled('empty-if', true);
+    linter.setConfig({'orphan-reporter': false, 'hatless-stack': false});
+    assertEquals(4, linter.getSummary().total);
+    assertArrayEquals([5, 6, 4], linted);
+
+    Blockly.Linter.registerRule('linter-test', function(workspace) {
+      return [{message: 'test', blockId: workspace.getTopBlocks()[0].id}];
+    });
+    try {
+      assertEquals(5, linter.run().length);
+      assertTrue(linter.getConfig()['linter-test']);
+    } finally {
+      Blockly.Linter.unregisterRule('linter-test');
+    }
+    linter.dispose();
+  } finally {
+    workspace.dispose();
+    linterTest_tearDown();
+  }
+}
+
+function test_linter_warnings() {
+  linterTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(LINTER_TEST_XML),
+        workspace);
+    var block = workspace.getBlockById('if');
+    block.setWarningText('Another warning', 'other');
+    var linter = new Blockly.Linter(workspace);
+    assertEquals('Another warning\n' + Blockly.Msg.LINT_EMPTY_IF,
+        block.warning.getText());
+    assertNull(workspace.getBlockById('hat').warning);
+
+    linter.setRuleEnabled('empty-if', false);
+    assertEquals('Another warning', block.warning.getText());
+    linter.dispose();
+    assertNull(workspace.getBlockById('loose').warning);
+  } finally {
+    workspace.dispose();
+    linterTest_tearDown();
+  }
+}
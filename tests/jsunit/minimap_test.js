@@ -0,0 +1,62 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+function test_minimap_options() {
+  assertNull(new Blockly.Options({}).minimapOptions);
+  var minimapOptions = new Blockly.Options({minimap: true}).minimapOptions;
+  assertEquals(200, minimapOptions.width);
+  assertEquals(150, minimapOptions.height);
+  minimapOptions = new Blockly.Options({minimap: {width: 120}}).minimapOptions;
+  assertEquals(120, minimapOptions.width);
+  assertEquals(150, minimapOptions.height);
+}
+
+function test_minimap_render() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'minimap_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), minimap: true});
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+        '<xml>' +
+        '<block type="minimap_test_block" x="0" y="0"></block>' +
+        '<block type="minimap_test_block" x="2000" y="1000"></block>' +
+        '</xml>'), workspace);
+    var minimap = workspace.minimap_;
+    minimap.render();
+    assertEquals(2, minimap.contentGroup_.childNodes.length);
+    // The overview fits in the minimap.
+    for (var i = 0, rect; rect = minimap.contentGroup_.childNodes[i]; i++) {
+      var x = parseFloat(rect.getAttribute('x'));
+      var width = parseFloat(rect.getAttribute('width'));
+      assertTrue(x >= 0);
+      assertTrue(x + width <= 200);
+    }
+    assertTrue(parseFloat(minimap.viewport_.getAttribute('width')) > 0);
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['minimap_test_block'];
+  }
+}
@@ -339,3 +339,178 @@ function test_deleteProcedure_nonRecursiveCaller() {
     procedureTest_tearDown();
   }
 }
+
+function procedureTest_extractSetUp() {
+  procedureTest_setUp();
+  // Fire events synchronously so they reach the undo stack right away.
+  Blockly.Events.fire = temporary_fireEvent;
+  var mutationMixin = {
+    mutationToDom: function() {
+      var container = document.createElement('mutation');
+      container.setAttribute('proccode', this.procCode_);
+      container.setAttribute('argumentids', JSON.stringify(this.argumentIds_));
+      container.setAttribute('argumentnames',
+          JSON.stringify(this.argumentNames_));
+      return container;
+    },
+    domToMutation: function(xmlElement) {
+      this.procCode_ = xmlElement.getAttribute('proccode');
+      this.argumentIds_ = JSON.parse(xmlElement.getAttribute('argumentids'));
+      this.argumentNames_ =
+          JSON.parse(xmlElement.getAttribute('argumentnames'));
+      var generateShadows =
+          xmlElement.getAttribute('generateshadows') == 'true';
+      for (var i = 0; i < this.argumentIds_.length; i++) {
+        var input = this.appendValueInput(this.argumentIds_[i]);
+        if (generateShadows) {
+          var shadow = this.workspace.newBlock('text');
+          shadow.setShadow(true);
+          shadow.outputConnection.connect(input.connection);
+        }
+      }
+    },
+    getProcCode: function() {
+      return this.procCode_;
+    }
+  };
+  Blockly.Blocks[Blockly.PROCEDURES_CALL_BLOCK_TYPE] = goog.mixin({
+    init: function() {
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    }
+  }, mutationMixin);
+  Blockly.Blocks[Blockly.PROCEDURES_PROTOTYPE_BLOCK_TYPE] = goog.mixin({
+    init: function() {
+      this.setPreviousStatement(true);
+    }
+  }, mutationMixin);
+  Blockly.defineBlocksWithJsonArray([
+    {
+      'type': Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE,
+      'message0': 'define %1',
+      'args0': [{'type': 'input_statement', 'name': 'custom_block'}],
+      'nextStatement': null
+    },
+    {
+      'type': 'argument_reporter_string_number',
+      'message0': '%1',
+      'args0': [{
+        'type': 'field_label_serializable',
+        'name': 'VALUE',
+        'text': ''
+      }],
+      'output': null
+    },
+    {
+      'type': 'data_variable',
+      'message0': '%1',
+      'args0': [{'type': 'field_variable', 'name': 'VARIABLE'}],
+      'output': null
+    },
+    {
+      'type': 'text',
+      'message0': '%1',
+      'args0': [{'type': 'field_input', 'name': 'TEXT', 'text': ''}],
+      'output': null
+    },
+    {
+      'type': 'procedure_test_say',
+      'message0': 'say %1',
+      'args0': [{'type': 'input_value', 'name': 'MESSAGE'}],
+      'previousStatement': null,
+      'nextStatement': null
+    }
+  ]);
+}
+
+function procedureTest_extractTearDown() {
+  [Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE,
+    Blockly.PROCEDURES_PROTOTYPE_BLOCK_TYPE, 'argument_reporter_string_number',
+    'data_variable', 'text', 'procedure_test_say'].forEach(function(type) {
+    delete Blockly.Blocks[type];
+  });
+  Blockly.Events.fire = savedFireFunc;
+  procedureTest_tearDown();
+}
+
+function procedureTest_say(id, child) {
+  return '<block type="procedure_test_say" id="' + id + '">' +
+      '<value name="MESSAGE"><shadow type="text"><field name="TEXT">hello' +
+      '</field></shadow>' + child + '</value>';
+}
+
+var PROCEDURE_TEST_EXTRACT_XML = '<xml xmlns="http://www.w3.org/1999/xhtml">' +
+    '<variables><variable type="" id="score">score</variable></variables>' +
+    '<block type="foo" id="top" x="0" y="0"><next>' +
+    procedureTest_say('first', '') + '<next>' +
+    procedureTest_say('second', '<block type="data_variable" id="read">' +
+        '<field name="VARIABLE" id="score" variabletype="">score</field>' +
+        '</block>') + '<next>' +
+    procedureTest_say('third', '') + '<next>' +
+    '<block type="foo" id="bottom"></block>' +
+    '</next></block></next></block></next></block></next></block>' +
+    '</xml>';
+
+function test_extractToProcedure_arguments() {
+  procedureTest_extractSetUp();
+  try {
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(PROCEDURE_TEST_EXTRACT_XML), workspace);
+    var first = workspace.getBlockById('first');
+    var third = workspace.getBlockById('third');
+    assertFalse(Blockly.Procedures.canExtract(first,
+        workspace.getBlockById('top')));
+    var call = Blockly.Procedures.extractToProcedure(first, 'greet', third);
+
+    assertEquals('greet %s %s %s', call.getProcCode());
+    assertEquals(call, workspace.getBlockById('top').getNextBlock());
+    assertEquals('bottom', call.getNextBlock().id);
+    // Both literals, even if equal, and the variable are passed to the call.
+    assertEquals('hello', call.getInputTargetBlock(call.argumentIds_[0])
+        .getFieldValue('TEXT'));
+    assertEquals('read', call.getInputTargetBlock(call.argumentIds_[1]).id);
+    assertEquals('hello', call.getInputTargetBlock(call.argumentIds_[2])
+        .getFieldValue('TEXT'));
+
+    var definition = first.getPreviousBlock();
+    assertEquals(Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE, definition.type);
+    var prototypeBlock = definition.getInputTargetBlock('custom_block');
+    assertEquals('greet %s %s %s', prototypeBlock.getProcCode());
+    assertArrayEquals(['message', 'score', 'message 2'],
+        prototypeBlock.argumentNames_);
+    assertEquals('message',
+        first.getInputTargetBlock('MESSAGE').getFieldValue('VALUE'));
+    assertEquals('score', workspace.getBlockById('second')
+        .getInputTargetBlock('MESSAGE').getFieldValue('VALUE'));
+    assertEquals('message 2',
+        third.getInputTargetBlock('MESSAGE').getFieldValue('VALUE'));
+    assertNull(third.getNextBlock());
+
+    // Arguments of the enclosing definition become arguments too, so this
+    // would make a second 'greet %s %s %s'.
+    assertNull(Blockly.Procedures.extractToProcedure(first, 'greet'));
+  } finally {
+    procedureTest_extractTearDown();
+  }
+}
+
+function test_extractToProcedure_undo() {
+  procedureTest_extractSetUp();
+  try {
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(PROCEDURE_TEST_EXTRACT_XML), workspace);
+    workspace.clearUndo();
+    var second = workspace.getBlockById('second');
+    Blockly.Procedures.extractToProcedure(second, 'greet');
+    assertEquals(2, workspace.getTopBlocks().length);
+
+    workspace.undo(false);
+    assertEquals(0, workspace.undoStack_.length);
+    assertEquals(1, workspace.getTopBlocks().length);
+    assertEquals(second, workspace.getBlockById('first').getNextBlock());
+    assertEquals('read', second.getInputTargetBlock('MESSAGE').id);
+    assertEquals('bottom', workspace.getBlockById('third').getNextBlock().id);
+  } finally {
+    procedureTest_extractTearDown();
+  }
+}
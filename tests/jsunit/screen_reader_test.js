@@ -0,0 +1,150 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var screenReaderTest_workspace;
+
+function screenReaderTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'screen_reader_test_say',
+    'message0': 'say %1 %2',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': ''
+      },
+      {
+        'type': 'input_value',
+        'name': 'VALUE'
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  },
+  {
+    'type': 'screen_reader_test_number',
+    'message0': '%1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'NUM',
+        'text': ''
+      }
+    ],
+    'output': null
+  }]);
+  screenReaderTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox'), screenReader: true});
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="screen_reader_test_say" id="say1" x="0" y="0">' +
+      '<field name="TEXT">Hello</field>' +
+      '<value name="VALUE">' +
+      '<shadow type="screen_reader_test_number" id="num1">' +
+      '<field name="NUM">10</field>' +
+      '</shadow>' +
+      '</value>' +
+      '<next><block type="screen_reader_test_say" id="say2">' +
+      '<field name="TEXT">Bye</field>' +
+      '</block></next>' +
+      '</block>' +
+      '</xml>'), screenReaderTest_workspace);
+  screenReaderTest_workspace.screenReader.refresh();
+}
+
+function screenReaderTest_tearDown() {
+  Blockly.navigation.disable();
+  screenReaderTest_workspace.dispose();
+  screenReaderTest_workspace = null;
+  delete Blockly.Blocks['screen_reader_test_say'];
+  delete Blockly.Blocks['screen_reader_test_number'];
+}
+
+function test_screenReader_blockText() {
+  screenReaderTest_setUp();
+  try {
+    var say1 = screenReaderTest_workspace.getBlockById('say1');
+    // Value inputs are read with their block, the next block is not.
+    assertEquals('say Hello 10', Blockly.utils.getBlockText(say1));
+  } finally {
+    screenReaderTest_tearDown();
+  }
+}
+
+function test_screenReader_tree() {
+  screenReaderTest_setUp();
+  try {
+    var tree = screenReaderTest_workspace.screenReader.tree;
+    assertEquals('tree', tree.getAttribute('role'));
+    var stacks = tree.querySelectorAll('[aria-level="1"]');
+    assertEquals(1, stacks.length);
+    assertEquals('Stack 1 of 1: say Hello 10',
+        stacks[0].getAttribute('aria-label'));
+    var blocks = tree.querySelectorAll('[aria-level="2"]');
+    assertEquals(2, blocks.length);
+    assertEquals('say Bye', blocks[1].getAttribute('aria-label'));
+    // The field and the input of the first block, then those of the second.
+    var children = tree.querySelectorAll('[aria-level="3"]');
+    assertEquals(4, children.length);
+    assertEquals('Editable field: Hello', children[0].getAttribute('aria-label'));
+    assertEquals('Input of say Hello 10: 10',
+        children[1].getAttribute('aria-label'));
+  } finally {
+    screenReaderTest_tearDown();
+  }
+}
+
+function test_screenReader_followsCursor() {
+  screenReaderTest_setUp();
+  try {
+    var screenReader = screenReaderTest_workspace.screenReader;
+    var say2 = screenReaderTest_workspace.getBlockById('say2');
+    Blockly.navigation.getCursor().setLocation(
+        Blockly.ASTNode.createBlockNode(say2));
+    var active = document.getElementById(
+        screenReader.tree.getAttribute('aria-activedescendant'));
+    assertEquals('say Bye', active.getAttribute('aria-label'));
+    assertEquals('true', active.getAttribute('aria-selected'));
+    assertEquals('say Bye', screenReader.liveRegion.textContent);
+
+    Blockly.navigation.getCursor().setLocation(
+        Blockly.ASTNode.createConnectionNode(say2.nextConnection));
+    assertEquals('After say Bye', screenReader.liveRegion.textContent);
+  } finally {
+    screenReaderTest_tearDown();
+  }
+}
+
+function test_screenReader_categoryWithoutId() {
+  var workspace = Blockly.inject('blocklyDiv', {
+    toolbox: '<xml><category name="A" colour="#FF0000"></category>' +
+        '<category name="B" colour="#00FF00"></category></xml>'
+  });
+  try {
+    var categories = workspace.getToolbox().categoryMenu_.categories_;
+    var ariaId = categories[0].item_.getAttribute('id');
+    assertEquals(-1, ariaId.indexOf('null'));
+    assertNotEquals(ariaId, categories[1].item_.getAttribute('id'));
+    assertEquals(categories[0].item_, document.getElementById(ariaId));
+  } finally {
+    workspace.dispose();
+  }
+}
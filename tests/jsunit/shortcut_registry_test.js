@@ -0,0 +1,165 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Make a key down event with the command key on Mac, or the control key
+ * elsewhere.
+ */
+function shortcutRegistryTest_keyEvent(keyCode, opt_shift) {
+  return {
+    keyCode: keyCode,
+    metaKey: goog.userAgent.MAC,
+    ctrlKey: !goog.userAgent.MAC,
+    altKey: false,
+    shiftKey: !!opt_shift,
+    defaultPrevented: false,
+    preventDefault: function() {
+      this.defaultPrevented = true;
+    }
+  };
+}
+
+function test_shortcutRegistry_keys() {
+  var Registry = Blockly.ShortcutRegistry;
+  var control = goog.userAgent.MAC ? 'Meta' : 'Control';
+  assertEquals('Mod+Shift+Z', Registry.normalizeKeys('shift+' + control + '+z'));
+  assertEquals('Alt+F4', Registry.normalizeKeys('Option+f4'));
+  assertEquals('Escape', Registry.normalizeKeys('escape'));
+  assertEquals('Mod+Shift+Z',
+      Registry.serializeKeyEvent(shortcutRegistryTest_keyEvent(90, true)));
+  assertEquals('Mod+Minus',
+      Registry.serializeKeyEvent(shortcutRegistryTest_keyEvent(189)));
+  // A modifier on its own is not a key combination.
+  assertNull(Registry.serializeKeyEvent(shortcutRegistryTest_keyEvent(17)));
+  assertEquals(goog.userAgent.MAC ? '⌘ A' : 'Ctrl A',
+      Registry.getKeyLabel('createFrame'));
+
+  var threw = false;
+  try {
+    Registry.normalizeKeys('Hyper+A');
+  } catch (e) {
+    threw = true;
+  }
+  assertTrue(threw);
+}
+
+function test_shortcutRegistry_registerAndRemap() {
+  var Registry = Blockly.ShortcutRegistry;
+  var ScopeType = Registry.ScopeType;
+  var calls = [];
+  var enabled = true;
+  Registry.register({
+    name: 'test_first',
+    keys: ['Mod+K'],
+    scopes: [ScopeType.WORKSPACE, ScopeType.FLYOUT],
+    preconditionFn: function() {
+      return enabled;
+    },
+    callback: function() {
+      calls.push('first');
+      return true;
+    }
+  });
+  Registry.register({
+    name: 'test_second',
+    keys: ['Mod+K'],
+    callback: function() {
+      calls.push('second');
+      return true;
+    }
+  });
+  try {
+    var e = shortcutRegistryTest_keyEvent(75);
+    assertTrue(Registry.onKeyDown(null, e, ScopeType.WORKSPACE));
+    enabled = false;
+    assertTrue(Registry.onKeyDown(null, e, ScopeType.WORKSPACE));
+    // Only the first shortcut applies to the flyout.
+    assertFalse(Registry.onKeyDown(null, e, ScopeType.FLYOUT));
+    assertArrayEquals(['first', 'second'], calls);
+
+    var threw = false;
+    try {
+      Registry.register({name: 'test_first', callback: function() {}});
+    } catch (err) {
+      threw = true;
+    }
+    assertTrue(threw);
+
+    Registry.setKeyMappings('test_second', ['Alt+K', 'Mod+L']);
+    assertArrayEquals(['Alt+K', 'Mod+L'], Registry.getKeys('test_second'));
+    assertArrayEquals(['test_first'], Registry.getShortcutNames('Mod+K'));
+    Registry.removeKeyMapping('Mod+L', 'test_second');
+    assertArrayEquals(['Alt+K'], Registry.getKeys('test_second'));
+
+    Registry.unregister('test_first');
+    assertNull(Registry.getShortcut('test_first'));
+    assertArrayEquals([], Registry.getShortcutNames('Mod+K'));
+  } finally {
+    Registry.unregister('test_first');
+    Registry.unregister('test_second');
+  }
+}
+
+function test_shortcutRegistry_defaults() {
+  var Registry = Blockly.ShortcutRegistry;
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'shortcut_registry_test_block',
+    'message0': 'move',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  try {
+    var block = workspace.newBlock('shortcut_registry_test_block');
+    block.initSvg();
+    block.render();
+    block.select();
+    var e = shortcutRegistryTest_keyEvent(68);
+    assertTrue(Registry.onKeyDown(workspace, e,
+        Registry.ScopeType.WORKSPACE));
+    assertTrue(e.defaultPrevented);
+    assertEquals(2, workspace.getTopBlocks(false).length);
+
+    // The control key copies, pastes and undoes on Mac too.
+    var controlKeys = {copy: 'C', cut: 'X', paste: 'V', undo: 'Z'};
+    for (var name in controlKeys) {
+      assertEquals('Mod+' + controlKeys[name], Registry.getKeys(name)[0]);
+      assertTrue(Registry.getShortcutNames('Control+' + controlKeys[name])
+          .indexOf(name) != -1);
+    }
+    assertTrue(Registry.getShortcutNames('Control+Shift+Z')
+        .indexOf('redo') != -1);
+
+    // Zooming needs the workspace to have the focus.
+    var scale = workspace.scale;
+    workspace.isWorkspaceFocused = false;
+    assertFalse(Registry.onKeyDown(workspace,
+        shortcutRegistryTest_keyEvent(187), Registry.ScopeType.WORKSPACE));
+    workspace.isWorkspaceFocused = true;
+    assertTrue(Registry.onKeyDown(workspace,
+        shortcutRegistryTest_keyEvent(187), Registry.ScopeType.WORKSPACE));
+    assertTrue(workspace.scale > scale);
+  } finally {
+    workspace.dispose();
+    delete Blockly.Blocks['shortcut_registry_test_block'];
+  }
+}
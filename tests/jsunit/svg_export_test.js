@@ -0,0 +1,102 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var svgExportTest_workspace;
+
+function svgExportTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'svg_export_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  svgExportTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="svg_export_test_block" id="a" x="10" y="20">' +
+      '<next><block type="svg_export_test_block" id="b"></block></next>' +
+      '</block>' +
+      '<block type="svg_export_test_block" id="c" x="300" y="400"></block>' +
+      '<comment x="500" y="20" h="100" w="100">note</comment>' +
+      '</xml>'), svgExportTest_workspace);
+}
+
+function svgExportTest_tearDown() {
+  svgExportTest_workspace.dispose();
+  svgExportTest_workspace = null;
+  delete Blockly.Blocks['svg_export_test_block'];
+}
+
+function test_svgExport_stack() {
+  svgExportTest_setUp();
+  try {
+    var block = svgExportTest_workspace.getBlockById('a');
+    var size = block.getHeightWidth();
+    var svg = Blockly.SvgExport.createSvg(block, {'margin': 5, 'scale': 2});
+
+    assertTrue(Blockly.utils.hasClass(svg, Blockly.SvgExport.CLASS_NAME));
+    assertEquals(1, svg.getElementsByTagName('style').length);
+    // The stack is at the origin, whatever its position on the workspace.
+    var viewBox = svg.getAttribute('viewBox').split(' ').map(Number);
+    assertTrue(viewBox[0] <= -5);
+    assertTrue(viewBox[2] >= size.width + 10);
+    assertEquals(Math.ceil(viewBox[2] * 2), Number(svg.getAttribute('width')));
+    assertNull(svg.querySelector('[data-id="a"]').getAttribute('transform'));
+    assertNotNull(svg.querySelector('[data-id="b"]'));
+    assertNull(svg.querySelector('[data-id="c"]'));
+  } finally {
+    svgExportTest_tearDown();
+  }
+}
+
+function test_svgExport_workspace() {
+  svgExportTest_setUp();
+  try {
+    var svg = Blockly.SvgExport.createSvg(svgExportTest_workspace,
+        {'background': '#ffffff'});
+    assertNotNull(svg.querySelector('[data-id="a"]'));
+    assertNotNull(svg.querySelector('[data-id="c"]'));
+    // The text of comments is copied along.
+    assertEquals('note', svg.querySelector('textarea').textContent);
+    var viewBox = svg.getAttribute('viewBox').split(' ').map(Number);
+    assertTrue(viewBox[2] >= 590);
+    assertTrue(viewBox[3] >= 380);
+    assertEquals('#ffffff',
+        svg.getElementsByTagName('rect')[0].getAttribute('fill'));
+  } finally {
+    svgExportTest_tearDown();
+  }
+}
+
+function test_svgExport_revealsBlocksOutOfView() {
+  svgExportTest_setUp();
+  try {
+    var block = svgExportTest_workspace.getBlockById('c');
+    block.setIntersects(false);
+    var svg = Blockly.SvgExport.createSvg(svgExportTest_workspace);
+    assertEquals('', svg.querySelector('[data-id="c"]').style.display);
+    // The block is hidden again on the workspace.
+    assertEquals('none', block.getSvgRoot().style.display);
+  } finally {
+    svgExportTest_tearDown();
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var themeTest_workspace;
+
+function themeTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'theme_test_looks',
+    'message0': 'looks',
+    'colour': Blockly.Colours.looks.primary,
+    'colourSecondary': Blockly.Colours.looks.secondary,
+    'colourTertiary': Blockly.Colours.looks.tertiary
+  },
+  {
+    'type': 'theme_test_custom',
+    'message0': 'custom',
+    'colour': '#123456'
+  }]);
+  themeTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+}
+
+function themeTest_tearDown() {
+  // Themes change the colours of every workspace.
+  themeTest_workspace.setTheme('classic');
+  themeTest_workspace.dispose();
+  themeTest_workspace = null;
+  delete Blockly.Blocks['theme_test_looks'];
+  delete Blockly.Blocks['theme_test_custom'];
+}
+
+function test_theme_getColours() {
+  assertEquals(Blockly.Theme.DARK, Blockly.Theme.get('dark'));
+  assertEquals(Blockly.Theme.DARK, Blockly.Theme.get(Blockly.Theme.DARK));
+  assertNull(Blockly.Theme.get('unknown'));
+
+  var colours = Blockly.Theme.HIGH_CONTRAST.getColours();
+  assertEquals('#80B5FF', colours.motion.primary);
+  // Colours the theme leaves out are the classic ones.
+  assertEquals(Blockly.Theme.CLASSIC.getColours().textField, colours.textField);
+  assertFalse('overrideColours' in colours);
+}
+
+function test_theme_setThemeRecoloursBlocksAndFrames() {
+  themeTest_setUp();
+  try {
+    var looksBlock = themeTest_workspace.newBlock('theme_test_looks');
+    var customBlock = themeTest_workspace.newBlock('theme_test_custom');
+    looksBlock.initSvg();
+    looksBlock.render();
+    customBlock.initSvg();
+    customBlock.render();
+    var frame = themeTest_workspace.createFrame({
+      id: 'frame',
+      title: 'frame',
+      blocks: [],
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 200
+    });
+
+    themeTest_workspace.setTheme('highcontrast');
+    assertEquals(Blockly.Theme.HIGH_CONTRAST, themeTest_workspace.getTheme());
+    assertEquals('#CCB3FF', looksBlock.getColour());
+    assertEquals('#DDCCFF', looksBlock.getColourSecondary());
+    assertEquals('#774DCB', looksBlock.getColourTertiary());
+    // Colours that do not come from the theme are kept.
+    assertEquals('#123456', customBlock.getColour());
+    // New blocks use the colours of the theme.
+    assertEquals('#CCB3FF',
+        themeTest_workspace.newBlock('theme_test_looks').getColour());
+
+    themeTest_workspace.setTheme(Blockly.Theme.CLASSIC);
+    assertEquals('#9966FF', looksBlock.getColour());
+    assertEquals(Blockly.Colours.frame, frame.color);
+  } finally {
+    themeTest_tearDown();
+  }
+}
+
+function test_theme_setThemeKeepsFrameColour() {
+  themeTest_setUp();
+  try {
+    var frame = themeTest_workspace.createFrame({
+      id: 'frame',
+      title: 'frame',
+      blocks: [],
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 200
+    });
+    var colour = frame.color;
+    themeTest_workspace.setTheme(new Blockly.Theme('test', {
+      'frame': '1, 2, 3'
+    }));
+    // The frame is drawn with the colour of the theme, which isn't saved.
+    assertEquals('rgba(1, 2, 3,0.12)', frame.svgRect_.getAttribute('fill'));
+    assertEquals(colour, frame.color);
+  } finally {
+    themeTest_tearDown();
+  }
+}
+
+function test_theme_setThemeKeepsColoursOption() {
+  var workspace = Blockly.inject('blocklyDiv', {
+    toolbox: document.getElementById('toolbox'),
+    colours: {'workspace': '#ABCDEF', 'looks': {'primary': '#FEDCBA'}}
+  });
+  try {
+    workspace.setTheme('highcontrast');
+    assertEquals('#ABCDEF', Blockly.Colours.workspace);
+    assertEquals('#FEDCBA', Blockly.Colours.looks.primary);
+    // Colours the option leaves out are the ones of the theme.
+    assertEquals('#DDCCFF', Blockly.Colours.looks.secondary);
+  } finally {
+    workspace.dispose();
+    // The 'colours' option changes the colours of every workspace.
+    Blockly.Theme.applyColours(Blockly.Theme.CLASSIC);
+    Blockly.Css.refresh();
+  }
+}
+
+function test_theme_setThemeRefreshesCss() {
+  themeTest_setUp();
+  try {
+    themeTest_workspace.setTheme('dark');
+    assertEquals('#5C5533', Blockly.Colours.comment);
+    var css = Blockly.Css.styleSheet_.ownerNode.textContent;
+    assertTrue(css.indexOf('background-color: #5C5533') != -1);
+    assertEquals(-1, css.indexOf('$colour_'));
+    assertThrows(function() {
+      themeTest_workspace.setTheme('unknown');
+    });
+  } finally {
+    themeTest_tearDown();
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var trashcanTest_workspace;
+
+function trashcanTest_setUp() {
+  // Fire events synchronously so they reach the trash can.
+  Blockly.Events.fire = temporary_fireEvent;
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'trashcan_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  trashcanTest_workspace = Blockly.inject('blocklyDiv', {
+    toolbox: document.getElementById('toolbox'),
+    trashcan: true,
+    maxTrashcanContents: 2
+  });
+}
+
+function trashcanTest_tearDown() {
+  Blockly.Events.fire = savedFireFunc;
+  trashcanTest_workspace.dispose();
+  trashcanTest_workspace = null;
+  delete Blockly.Blocks['trashcan_test_block'];
+}
+
+function trashcanTest_createBlock(id, x, y) {
+  var xml = Blockly.Xml.textToDom('<xml><block type="trashcan_test_block" id="' +
+      id + '" x="' + x + '" y="' + y + '"></block></xml>');
+  Blockly.Xml.domToWorkspace(xml, trashcanTest_workspace);
+  return trashcanTest_workspace.getBlockById(id);
+}
+
+function test_trashcan_keepsNewestStacks() {
+  trashcanTest_setUp();
+  try {
+    var trashcan = trashcanTest_workspace.trashcan;
+    trashcanTest_createBlock('a', 0, 0).dispose();
+    trashcanTest_createBlock('b', 0, 0).dispose();
+    trashcanTest_createBlock('c', 0, 0).dispose();
+
+    var contents = trashcan.getContents();
+    assertEquals(2, contents.length);
+    assertEquals('c', Blockly.Xml.textToDom(contents[0]).firstElementChild.id);
+    assertEquals('b', Blockly.Xml.textToDom(contents[1]).firstElementChild.id);
+
+    // Clearing the workspace is not deleting.
+    trashcanTest_createBlock('d', 0, 0);
+    trashcanTest_workspace.clear();
+    assertArrayEquals(contents, trashcan.getContents());
+
+    trashcan.emptyContents();
+    assertEquals(0, trashcan.getContents().length);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_restoreStack() {
+  trashcanTest_setUp();
+  try {
+    var trashcan = trashcanTest_workspace.trashcan;
+    trashcanTest_createBlock('a', 10, 20).dispose();
+    trashcanTest_createBlock('b', 30, 40).dispose();
+
+    var block = trashcan.restore(1);
+    assertEquals('a', block.id);
+    assertEquals(10, block.getRelativeToSurfaceXY().x);
+    assertEquals(20, block.getRelativeToSurfaceXY().y);
+    assertEquals(1, trashcan.getContents().length);
+
+    block = trashcan.restore(0, new goog.math.Coordinate(100, 200));
+    assertEquals('b', block.id);
+    assertEquals(100, block.getRelativeToSurfaceXY().x);
+    assertEquals(200, block.getRelativeToSurfaceXY().y);
+    assertEquals(0, trashcan.getContents().length);
+    assertNull(trashcan.restore(0));
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_keepsFramesWithTheirBlocks() {
+  trashcanTest_setUp();
+  try {
+    var trashcan = trashcanTest_workspace.trashcan;
+    trashcanTest_createBlock('a', 50, 50);
+    trashcanTest_workspace.createFrame({
+      id: 'frame',
+      title: 'frame',
+      blocks: ['a'],
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 200
+    });
+    trashcanTest_workspace.deleteFrameById('frame');
+    assertEquals(0, trashcanTest_workspace.getTopBlocks(false).length);
+
+    // The frame and its block are a single item.
+    var contents = trashcan.getContents();
+    assertEquals(1, contents.length);
+    var xmlFrame = Blockly.Xml.textToDom(contents[0])
+        .getElementsByTagName('custom-frame')[0];
+    assertEquals('frame', xmlFrame.getAttribute('title'));
+    assertEquals(1, xmlFrame.getElementsByTagName('block').length);
+
+    var frame = trashcan.restore(0, new goog.math.Coordinate(300, 0));
+    assertEquals(300, frame.rect_.left);
+    var blocks = trashcanTest_workspace.getTopBlocks(false);
+    assertEquals(1, blocks.length);
+    assertArrayEquals([blocks[0].id], frame.getBlockIds());
+    assertEquals(350, blocks[0].getRelativeToSurfaceXY().x);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
+
+function test_trashcan_setContents() {
+  trashcanTest_setUp();
+  try {
+    var trashcan = trashcanTest_workspace.trashcan;
+    trashcan.setContents([
+      '<xml><comment x="10" y="20" h="100" w="100">note</comment></xml>',
+      '<xml><block type="trashcan_test_block" x="0" y="0"></block></xml>',
+      '<xml><block type="trashcan_test_block" x="0" y="0"></block></xml>'
+    ]);
+    // Items beyond the maximum are dropped.
+    assertEquals(2, trashcan.getContents().length);
+
+    var comment = trashcan.restore(0);
+    assertTrue(comment.isComment);
+    assertEquals('note', comment.getText());
+    assertEquals(1, trashcanTest_workspace.getTopComments(false).length);
+  } finally {
+    trashcanTest_tearDown();
+  }
+}
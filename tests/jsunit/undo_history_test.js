@@ -0,0 +1,228 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var UNDO_HISTORY_TEST_XML =
+    '<xml><block type="undo_history_test_block" id="a" x="10" y="20">' +
+    '<field name="TEXT">hello</field></block></xml>';
+
+function undoHistoryTest_setUp() {
+  // Fire events synchronously so they reach the undo stack right away.
+  Blockly.Events.fire = temporary_fireEvent;
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'undo_history_test_block',
+    'message0': 'say %1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': ''
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+}
+
+function undoHistoryTest_tearDown() {
+  delete Blockly.Blocks['undo_history_test_block'];
+  Blockly.Events.fire = savedFireFunc;
+}
+
+function undoHistoryTest_addStep(workspace, id) {
+  Blockly.Events.setGroup(true);
+  workspace.newBlock('undo_history_test_block', id);
+  Blockly.Events.setGroup(false);
+}
+
+function test_undoHistory_toJsonAndBack() {
+  undoHistoryTest_setUp();
+  var workspace = new Blockly.Workspace();
+  var restored = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(UNDO_HISTORY_TEST_XML),
+        workspace);
+    workspace.getBlockById('a').setFieldValue('changed', 'TEXT');
+    workspace.getBlockById('a').moveBy(5, 5);
+    workspace.createCheckpoint('moved');
+    workspace.undo(false);
+    // Save the project and its history, as if to a file, and load them.
+    var xml = Blockly.Xml.workspaceToDom(workspace);
+    var json = JSON.parse(JSON.stringify(
+        Blockly.UndoHistory.toJson(workspace)));
+    Blockly.Xml.domToWorkspace(xml, restored);
+    restored.clearUndo();
+    Blockly.UndoHistory.fromJson(restored, json);
+
+    var block = restored.getBlockById('a');
+    assertEquals(20, block.getRelativeToSurfaceXY().y);
+    restored.undo(false);
+    assertEquals('hello', block.getFieldValue('TEXT'));
+    restored.undo(false);
+    assertNull(restored.getBlockById('a'));
+
+    restored.jumpToCheckpoint(restored.getCheckpoints()[0].id);
+    block = restored.getBlockById('a');
+    assertEquals('changed', block.getFieldValue('TEXT'));
+    assertEquals(25, block.getRelativeToSurfaceXY().y);
+  } finally {
+    workspace.dispose();
+    restored.dispose();
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_checkpoints() {
+  undoHistoryTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    var start = workspace.createCheckpoint('start');
+    undoHistoryTest_addStep(workspace, 'a');
+    var first = workspace.createCheckpoint('first');
+    undoHistoryTest_addStep(workspace, 'b');
+    var second = workspace.createCheckpoint('second');
+
+    workspace.jumpToCheckpoint(first.id);
+    assertNotNull(workspace.getBlockById('a'));
+    assertNull(workspace.getBlockById('b'));
+    workspace.jumpToCheckpoint(start.id);
+    assertNull(workspace.getBlockById('a'));
+    workspace.jumpToCheckpoint(second.id);
+    assertNotNull(workspace.getBlockById('b'));
+
+    // A new change after undoing drops the checkpoints that were undone.
+    workspace.jumpToCheckpoint(first.id);
+    undoHistoryTest_addStep(workspace, 'c');
+    assertArrayEquals(['start', 'first'],
+        workspace.getCheckpoints().map(function(checkpoint) {
+          return checkpoint.name;
+        }));
+
+    // So does the undo stack overflowing.
+    workspace.MAX_UNDO = 1;
+    undoHistoryTest_addStep(workspace, 'd');
+    assertEquals(1, workspace.undoStack_.length);
+    assertEquals('d', workspace.undoStack_[0].blockId);
+    assertArrayEquals(['start'],
+        workspace.getCheckpoints().map(function(checkpoint) {
+          return checkpoint.name;
+        }));
+  } finally {
+    workspace.dispose();
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_describe() {
+  undoHistoryTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    workspace.createFrame({
+      id: 'frame',
+      title: 'Init',
+      blocks: [],
+      x: 0,
+      y: 0,
+      width: 200,
+      height: 200
+    });
+    var events = [
+      Blockly.Events.fromJson({'type': 'move', 'blockId': 'a',
+        'oldCoordinate': '300,0', 'newCoordinate': '10,10'}, workspace),
+      Blockly.Events.fromJson({'type': 'move', 'blockId': 'b',
+        'oldCoordinate': '300,100', 'newCoordinate': '10,60'}, workspace),
+      Blockly.Events.fromJson({'type': 'move', 'blockId': 'c',
+        'oldCoordinate': '300,200', 'newCoordinate': '10,110'}, workspace),
+      Blockly.Events.fromJson({'type': 'move', 'blockId': 'd',
+        'oldCoordinate': '300,300', 'newCoordinate': '400,300'}, workspace),
+      Blockly.Events.fromJson({'type': 'frame_change', 'id': 'frame',
+        'element': 'blocks', 'oldValue': {'blocks': []},
+        'newValue': {'blocks': ['a', 'b', 'c']}}, workspace)
+    ];
+    assertEquals('moved 3 blocks into frame \'Init\', moved 1 block',
+        Blockly.UndoHistory.describe(events, workspace));
+
+    events = [
+      Blockly.Events.fromJson({'type': 'frame_retitle', 'id': 'frame',
+        'oldTitle': 'Init', 'newTitle': 'Setup'}, workspace),
+      Blockly.Events.fromJson({'type': 'var_rename', 'varId': 'v',
+        'oldName': 'x', 'newName': 'y'}, workspace)
+    ];
+    assertEquals('renamed frame \'Init\' to \'Setup\', ' +
+        'renamed variable \'x\' to \'y\'',
+        Blockly.UndoHistory.describe(events, workspace));
+  } finally {
+    workspace.dispose();
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_panel() {
+  undoHistoryTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    undoHistoryTest_addStep(workspace, 'a');
+    undoHistoryTest_addStep(workspace, 'b');
+    workspace.createCheckpoint('two blocks');
+    Blockly.HistoryPanel.show(workspace);
+
+    var rows = document.querySelectorAll('.blocklyHistoryRow');
+    // Start, both steps and the checkpoint.
+    assertEquals(4, rows.length);
+    assertEquals('added 1 block', rows[1].textContent);
+    assertEquals('two blocks', rows[3].textContent);
+    assertTrue(Blockly.utils.hasClass(rows[2], 'blocklyHistoryRowCurrent'));
+
+    rows[1].click();
+    assertNull(workspace.getBlockById('b'));
+    rows = document.querySelectorAll('.blocklyHistoryRow');
+    assertTrue(Blockly.utils.hasClass(rows[2], 'blocklyHistoryRowUndone'));
+
+    rows[3].click();
+    assertNotNull(workspace.getBlockById('b'));
+  } finally {
+    Blockly.HistoryPanel.hide();
+    workspace.dispose();
+    undoHistoryTest_tearDown();
+  }
+}
+
+function test_undoHistory_panelFromMenu() {
+  undoHistoryTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    Blockly.ContextMenu.wsHistoryOption(workspace).callback();
+    assertTrue(Blockly.HistoryPanel.isOpen);
+    assertEquals(1, document.querySelectorAll('.blocklyHistoryRow').length);
+
+    // A burst of changes updates the panel once, later.
+    undoHistoryTest_addStep(workspace, 'a');
+    undoHistoryTest_addStep(workspace, 'b');
+    assertEquals(1, document.querySelectorAll('.blocklyHistoryRow').length);
+    assertTrue(!!Blockly.HistoryPanel.renderPid_);
+  } finally {
+    Blockly.HistoryPanel.hide();
+    workspace.dispose();
+    undoHistoryTest_tearDown();
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var worksheetTest_workspace;
+
+function worksheetTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'worksheet_test_block',
+    'message0': 'block',
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  worksheetTest_workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '<block type="worksheet_test_block" id="a" x="0" y="0"></block>' +
+      '<block type="worksheet_test_block" id="b" x="0" y="100"></block>' +
+      '<block type="worksheet_test_block" id="c" x="0" y="200"></block>' +
+      '<block type="worksheet_test_block" id="d" x="0" y="300"></block>' +
+      '<block type="worksheet_test_block" id="f" x="650" y="50"></block>' +
+      '</xml>'), worksheetTest_workspace);
+  worksheetTest_workspace.createFrame({
+    id: 'frame',
+    title: 'frame',
+    blocks: ['f'],
+    x: 600,
+    y: 0,
+    width: 200,
+    height: 200
+  });
+}
+
+function worksheetTest_tearDown() {
+  worksheetTest_workspace.dispose();
+  worksheetTest_workspace = null;
+  delete Blockly.Blocks['worksheet_test_block'];
+}
+
+function worksheetTest_getStackIds(items) {
+  return items.filter(function(item) {
+    return item.type == 'stack';
+  }).map(function(item) {
+    return item.block.id;
+  });
+}
+
+function test_worksheet_layout() {
+  worksheetTest_setUp();
+  try {
+    worksheetTest_workspace.getBlockById('b').setCommentText('note');
+    var pages = Blockly.Worksheet.layout(worksheetTest_workspace,
+        {'pageSize': {width: 400, height: 300}, 'margin': 10, 'title': 'Title'});
+    assertTrue(pages.length > 1);
+    assertEquals('Title', pages[0].items[0].text);
+
+    var items = [];
+    pages.forEach(function(page) {
+      items = items.concat(page.items);
+      // A heading is kept with what follows it.
+      assertNotEquals('heading', page.items[page.items.length - 1].type);
+    });
+    // Loose stacks come first, then frames, column by column.
+    assertArrayEquals(['a', 'b', 'c', 'd', 'f'], worksheetTest_getStackIds(items));
+
+    // The frame is kept together, with its title as heading.
+    var framePage = pages.filter(function(page) {
+      return worksheetTest_getStackIds(page.items).indexOf('f') != -1;
+    })[0];
+    var index = framePage.items.map(function(item) {
+      return item.text;
+    }).indexOf('frame');
+    assertEquals('heading', framePage.items[index].type);
+    assertEquals('f', framePage.items[index + 1].block.id);
+
+    // The comment is a footnote of the page that shows its block.
+    var commentPage = pages.filter(function(page) {
+      return worksheetTest_getStackIds(page.items).indexOf('b') != -1;
+    })[0];
+    assertEquals(1, commentPage.footnotes.length);
+    assertEquals('block: note', commentPage.footnotes[0].text);
+  } finally {
+    worksheetTest_tearDown();
+  }
+}
+
+function test_worksheet_toHtml() {
+  worksheetTest_setUp();
+  try {
+    var html = Blockly.Worksheet.toHtml(worksheetTest_workspace,
+        {'pageSize': 'letter'});
+    var doc = new DOMParser().parseFromString(html, 'text/html');
+    assertEquals(1, doc.querySelectorAll('.blocklyWorksheetPage').length);
+    assertEquals(5, doc.querySelectorAll('svg').length);
+    // Blockly's styles are only included once.
+    assertEquals(0, doc.querySelectorAll('svg style').length);
+    assertEquals(2, doc.querySelectorAll('head style').length);
+    assertEquals('frame', doc.querySelector('h2').textContent);
+    assertThrows(function() {
+      Blockly.Worksheet.layout(worksheetTest_workspace, {'pageSize': 'a3'});
+    });
+  } finally {
+    worksheetTest_tearDown();
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var workspaceCleanupTest_savedBlocks;
+
+var WORKSPACE_CLEANUP_TEST_XML =
+    '<xml>' +
+    '<variables>' +
+    '<variable type="" id="used" islocal="true">used</variable>' +
+    '<variable type="" id="unused" islocal="true">unused</variable>' +
+    '<variable type="" id="cloud" islocal="true" iscloud="true">cloud' +
+    '</variable>' +
+    '<variable type="" id="global" islocal="false">global</variable>' +
+    '<variable type="list" id="list" islocal="true">list</variable>' +
+    '<variable type="broadcast_msg" id="go">go</variable>' +
+    '</variables>' +
+    '<block type="procedures_definition" id="jumpDef" x="0" y="0">' +
+    '<value name="custom_block"><shadow type="procedures_prototype">' +
+    '<mutation proccode="jump"></mutation></shadow></value>' +
+    '<next><block type="workspace_cleanup_test_set" id="set">' +
+    '<field name="VARIABLE" id="used" variabletype="">used</field>' +
+    '<next><block type="procedures_call" id="call">' +
+    '<mutation proccode="spin"></mutation></block></next>' +
+    '</block></next></block>' +
+    '<block type="procedures_definition" id="spinDef" x="300" y="0">' +
+    '<value name="custom_block"><shadow type="procedures_prototype">' +
+    '<mutation proccode="spin"></mutation></shadow></value></block>' +
+    '<block type="procedures_definition" id="danceDef" x="600" y="0">' +
+    '<value name="custom_block"><shadow type="procedures_prototype">' +
+    '<mutation proccode="dance" global="true"></mutation></shadow></value>' +
+    '</block>' +
+    '</xml>';
+
+function workspaceCleanupTest_setUp() {
+  // Fire events synchronously so they reach the undo stack right away.
+  Blockly.Events.fire = temporary_fireEvent;
+  var types = [Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE,
+    Blockly.PROCEDURES_PROTOTYPE_BLOCK_TYPE, Blockly.PROCEDURES_CALL_BLOCK_TYPE];
+  workspaceCleanupTest_savedBlocks = {};
+  types.forEach(function(type) {
+    workspaceCleanupTest_savedBlocks[type] = Blockly.Blocks[type];
+  });
+  var procCodeMixin = {
+    mutationToDom: function() {
+      var container = document.createElement('mutation');
+      container.setAttribute('proccode', this.procCode_);
+      container.setAttribute('global', !!this.isGlobal_);
+      return container;
+    },
+    domToMutation: function(xmlElement) {
+      this.procCode_ = xmlElement.getAttribute('proccode');
+      this.isGlobal_ = xmlElement.getAttribute('global') == 'true';
+    },
+    getProcCode: function() {
+      return this.procCode_;
+    },
+    getIsGlobal: function() {
+      return this.isGlobal_;
+    }
+  };
+  Blockly.Blocks[Blockly.PROCEDURES_CALL_BLOCK_TYPE] = goog.mixin({
+    init: function() {
+      this.procCode_ = '';
+      this.setPreviousStatement(true);
+      this.setNextStatement(true);
+    }
+  }, procCodeMixin);
+  Blockly.Blocks[Blockly.PROCEDURES_PROTOTYPE_BLOCK_TYPE] = goog.mixin({
+    init: function() {
+      this.procCode_ = '';
+      this.setOutput(true);
+    }
+  }, procCodeMixin);
+  Blockly.defineBlocksWithJsonArray([
+    {
+      'type': Blockly.PROCEDURES_DEFINITION_BLOCK_TYPE,
+      'message0': 'define %1',
+      'args0': [{'type': 'input_value', 'name': 'custom_block'}],
+      'nextStatement': null
+    },
+    {
+      'type': 'workspace_cleanup_test_set',
+      'message0': 'set %1',
+      'args0': [{'type': 'field_variable', 'name': 'VARIABLE'}],
+      'previousStatement': null,
+      'nextStatement': null
+    }
+  ]);
+}
+
+function workspaceCleanupTest_tearDown() {
+  Object.keys(workspaceCleanupTest_savedBlocks).forEach(function(type) {
+    Blockly.Blocks[type] = workspaceCleanupTest_savedBlocks[type];
+  });
+  delete Blockly.Blocks['workspace_cleanup_test_set'];
+  Blockly.Events.fire = savedFireFunc;
+}
+
+function workspaceCleanupTest_getNames(items) {
+  return items.map(function(item) {
+    return item.kind + ':' + item.name;
+  });
+}
+
+function test_workspaceCleanup_findUnused() {
+  workspaceCleanupTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(WORKSPACE_CLEANUP_TEST_XML), workspace);
+    // 'jump' is only called from its own definition.
+    assertArrayEquals(['variable:unused', 'list:list', 'procedure:jump'],
+        workspaceCleanupTest_getNames(
+            Blockly.WorkspaceCleanup.findUnused(workspace)));
+    assertArrayEquals(['variable:cloud', 'variable:unused', 'list:list',
+      'procedure:jump'],
+    workspaceCleanupTest_getNames(Blockly.WorkspaceCleanup.findUnused(
+        workspace, {'includeCloud': true})));
+    assertArrayEquals(['variable:global', 'variable:unused', 'list:list',
+      'broadcast:go', 'procedure:dance', 'procedure:jump'],
+    workspaceCleanupTest_getNames(Blockly.WorkspaceCleanup.findUnused(
+        workspace, {'includeGlobal': true})));
+  } finally {
+    workspace.dispose();
+    workspaceCleanupTest_tearDown();
+  }
+}
+
+function test_workspaceCleanup_deleteUnused() {
+  workspaceCleanupTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(WORKSPACE_CLEANUP_TEST_XML), workspace);
+    workspace.clearUndo();
+    var items = Blockly.WorkspaceCleanup.findUnused(workspace);
+    // Pretend 'unused' was used after the list was made.
+    workspace.newBlock('workspace_cleanup_test_set')
+        .getField('VARIABLE').setValue('unused');
+    workspace.clearUndo();
+
+    assertEquals(2, Blockly.WorkspaceCleanup.deleteUnused(workspace, items));
+    assertNotNull(workspace.getVariableById('unused'));
+    assertNull(workspace.getVariableById('list'));
+    assertNull(workspace.getBlockById('jumpDef'));
+    // Deleting the definition made 'used' unused, but it was not listed.
+    assertNotNull(workspace.getVariableById('used'));
+
+    workspace.undo(false);
+    assertEquals(0, workspace.undoStack_.length);
+    assertNotNull(workspace.getVariableById('list'));
+    assertNotNull(workspace.getBlockById('jumpDef'));
+  } finally {
+    workspace.dispose();
+    workspaceCleanupTest_tearDown();
+  }
+}
+
+function test_workspaceCleanup_panel() {
+  workspaceCleanupTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    Blockly.Xml.domToWorkspace(
+        Blockly.Xml.textToDom(WORKSPACE_CLEANUP_TEST_XML), workspace);
+    Blockly.CleanupPanel.show(workspace);
+    var names = document.querySelectorAll('.blocklyCleanupName');
+    assertEquals(3, names.length);
+    assertEquals('unused', names[0].textContent);
+
+    // Keep the list.
+    var inputs = document.querySelectorAll('.blocklyCleanupList input');
+    inputs[1].click();
+    document.querySelectorAll('.blocklyCleanupButton')[1].click();
+    assertFalse(Blockly.CleanupPanel.isOpen);
+    assertNull(workspace.getVariableById('unused'));
+    assertNotNull(workspace.getVariableById('list'));
+    assertNull(workspace.getBlockById('jumpDef'));
+  } finally {
+    Blockly.CleanupPanel.hide();
+    workspace.dispose();
+    workspaceCleanupTest_tearDown();
+  }
+}
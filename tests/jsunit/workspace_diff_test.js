@@ -0,0 +1,181 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+var WORKSPACE_DIFF_TEST_BASE =
+    '<xml>' +
+    '<variables><variable type="" id="v" islocal="false">score</variable></variables>' +
+    '<block type="workspace_diff_test_block" id="a" x="10" y="20">' +
+    '<field name="TEXT">base</field>' +
+    '<next><block type="workspace_diff_test_block" id="b">' +
+    '<field name="TEXT">b</field></block></next>' +
+    '</block>' +
+    '<block type="workspace_diff_test_block" id="c" x="300" y="20">' +
+    '<field name="TEXT">c</field></block>' +
+    '</xml>';
+
+function workspaceDiffTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'workspace_diff_test_block',
+    'message0': 'say %1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': ''
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+}
+
+function workspaceDiffTest_tearDown() {
+  delete Blockly.Blocks['workspace_diff_test_block'];
+}
+
+function workspaceDiffTest_getChange(result, id) {
+  return result.changed.filter(function(change) {
+    return change.id == id;
+  })[0].changes;
+}
+
+function test_workspaceDiff_diff() {
+  var base = Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE);
+  var changed = Blockly.Xml.textToDom(
+      '<xml>' +
+      '<variables><variable type="" id="v" islocal="false">points</variable></variables>' +
+      '<block type="workspace_diff_test_block" id="a" x="10" y="20">' +
+      '<field name="TEXT">changed</field></block>' +
+      '<block type="workspace_diff_test_block" id="b" x="0" y="200">' +
+      '<field name="TEXT">b</field></block>' +
+      '<block type="workspace_diff_test_block" id="d" x="300" y="20"></block>' +
+      '<custom-frameset><custom-frame id="f" title="frame" blocks="d" x="0" ' +
+      'y="0" width="100" height="100"></custom-frame></custom-frameset>' +
+      '</xml>');
+  var diff = Blockly.WorkspaceDiff.diff(base, changed);
+  assertArrayEquals(['d'], diff.blocks.added);
+  assertArrayEquals(['c'], diff.blocks.removed);
+  assertArrayEquals(['f'], diff.frames.added);
+
+  var changes = workspaceDiffTest_getChange(diff.blocks, 'a');
+  assertEquals(1, changes.length);
+  assertEquals('field', changes[0].element);
+  assertEquals('TEXT', changes[0].name);
+  assertEquals('base', changes[0].oldValue);
+  assertEquals('changed', changes[0].newValue);
+
+  // The block was moved out of its stack.
+  changes = workspaceDiffTest_getChange(diff.blocks, 'b');
+  assertEquals('position', changes[0].element);
+  assertEquals('a', changes[0].oldValue['parent']);
+  assertEquals(200, changes[0].newValue['y']);
+
+  changes = workspaceDiffTest_getChange(diff.variables, 'v');
+  assertEquals('points', changes[0].newValue);
+
+  assertFalse(Blockly.WorkspaceDiff.isEmpty(diff));
+  assertTrue(Blockly.WorkspaceDiff.isEmpty(
+      Blockly.WorkspaceDiff.diff(base, Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE))));
+}
+
+function test_workspaceDiff_merge() {
+  workspaceDiffTest_setUp();
+  var workspace = new Blockly.Workspace();
+  try {
+    var base = Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE);
+    // We change the text of 'a' and move 'c'; they change the text of 'a'
+    // and 'b' and add 'e' after 'b'.
+    var ours = Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE
+        .replace('>base<', '>ours<').replace('x="300"', 'x="400"'));
+    var theirs = Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE
+        .replace('>base<', '>theirs<')
+        .replace('<field name="TEXT">b</field>',
+            '<field name="TEXT">b2</field><next>' +
+            '<block type="workspace_diff_test_block" id="e"></block></next>'));
+    var result = Blockly.WorkspaceDiff.merge(base, ours, theirs);
+
+    assertEquals(1, result.conflicts.length);
+    assertEquals('a', result.conflicts[0].id);
+    assertEquals('theirs', result.conflicts[0].theirs);
+    var a = result.xml.querySelector('[id="a"]');
+    assertEquals('field:TEXT',
+        a.getAttribute(Blockly.WorkspaceDiff.CONFLICT_ATTRIBUTE));
+
+    Blockly.Xml.domToWorkspace(result.xml, workspace);
+    assertEquals('ours', workspace.getBlockById('a').getFieldValue('TEXT'));
+    assertEquals('b2', workspace.getBlockById('b').getFieldValue('TEXT'));
+    assertEquals('b', workspace.getBlockById('e').getParent().id);
+    assertEquals(400, workspace.getBlockById('c').getRelativeToSurfaceXY().x);
+    assertEquals('score', workspace.getVariableById('v').name);
+  } finally {
+    workspace.dispose();
+    workspaceDiffTest_tearDown();
+  }
+}
+
+function test_workspaceDiff_mergeKeepsStacksApart() {
+  var base = Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE);
+  // Both sides put a different block after 'b'.
+  var ours = Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE.replace(
+      '<field name="TEXT">b</field>', '<field name="TEXT">b</field><next>' +
+      '<block type="workspace_diff_test_block" id="d"></block></next>'));
+  var theirs = Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE.replace(
+      '<field name="TEXT">b</field>', '<field name="TEXT">b</field><next>' +
+      '<block type="workspace_diff_test_block" id="e"></block></next>'));
+  var result = Blockly.WorkspaceDiff.merge(base, ours, theirs);
+  var xml = result.xml;
+  var next = xml.querySelector('[id="d"]').parentNode;
+  assertEquals('b', next.parentNode.getAttribute('id'));
+  // Their block starts a stack of its own.
+  assertEquals(xml, xml.querySelector('[id="e"]').parentNode);
+  assertEquals('position', result.conflicts[0].element);
+}
+
+function test_workspaceDiff_showDiff() {
+  workspaceDiffTest_setUp();
+  var workspace = Blockly.inject('blocklyDiv',
+      {toolbox: document.getElementById('toolbox')});
+  try {
+    var base = Blockly.Xml.textToDom(WORKSPACE_DIFF_TEST_BASE);
+    Blockly.Xml.domToWorkspace(base, workspace);
+    workspace.getBlockById('a').setFieldValue('changed', 'TEXT');
+    workspace.getBlockById('c').dispose();
+    workspace.newBlock('workspace_diff_test_block', 'd').initSvg();
+    var diff = Blockly.WorkspaceDiff.diff(base,
+        Blockly.Xml.workspaceToDom(workspace));
+
+    workspace.showDiff(diff);
+    var classes = Blockly.WorkspaceDiff.CLASS_NAMES;
+    assertTrue(Blockly.utils.hasClass(
+        workspace.getBlockById('a').getSvgRoot(), classes['changed']));
+    assertTrue(Blockly.utils.hasClass(
+        workspace.getBlockById('d').getSvgRoot(), classes['added']));
+    assertFalse(Blockly.utils.hasClass(
+        workspace.getBlockById('b').getSvgRoot(), classes['changed']));
+
+    workspace.hideDiff();
+    assertFalse(Blockly.utils.hasClass(
+        workspace.getBlockById('a').getSvgRoot(), classes['changed']));
+  } finally {
+    workspace.dispose();
+    workspaceDiffTest_tearDown();
+  }
+}
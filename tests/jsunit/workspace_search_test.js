@@ -0,0 +1,201 @@
+/**
+ * @license
+ * Blockly Tests
+ *
+ * Copyright 2018 Google Inc.
+ * https://developers.google.com/blockly/
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+goog.require('goog.testing');
+
+var workspace;
+var workspaceSearch;
+
+function workspaceSearchTest_setUp() {
+  Blockly.defineBlocksWithJsonArray([{
+    'type': 'search_test_say',
+    'message0': 'say %1',
+    'args0': [
+      {
+        'type': 'field_input',
+        'name': 'TEXT',
+        'text': ''
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  },
+  {
+    'type': 'search_test_broadcast',
+    'message0': 'broadcast %1',
+    'args0': [
+      {
+        'type': 'field_variable',
+        'name': 'BROADCAST_OPTION',
+        'variable': 'message1',
+        'variableTypes': [Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE]
+      }
+    ],
+    'previousStatement': null,
+    'nextStatement': null
+  }]);
+  workspace = new Blockly.Workspace();
+  workspaceSearch = new Blockly.WorkspaceSearch(workspace);
+  Blockly.Xml.domToWorkspace(Blockly.Xml.textToDom(
+      '<xml>' +
+      '<variables>' +
+      '<variable type="broadcast_msg" id="msg1">message1</variable>' +
+      '</variables>' +
+      '<block type="search_test_say" id="say1" x="0" y="0">' +
+      '<field name="TEXT">Hello world</field>' +
+      '<comment>greets the world</comment>' +
+      '<next><block type="search_test_broadcast" id="broadcast1">' +
+      '<field name="BROADCAST_OPTION" id="msg1" ' +
+      'variabletype="broadcast_msg">message1</field>' +
+      '<next><block type="search_test_say" id="say2">' +
+      '<field name="TEXT">hello again</field>' +
+      '</block></next>' +
+      '</block></next>' +
+      '</block>' +
+      '<block type="search_test_broadcast" id="broadcast2" x="0" y="200">' +
+      '<field name="BROADCAST_OPTION" id="msg1" ' +
+      'variabletype="broadcast_msg">message1</field>' +
+      '</block>' +
+      '</xml>'), workspace);
+}
+
+function workspaceSearchTest_tearDown() {
+  workspaceSearch.dispose();
+  workspace.dispose();
+  delete Blockly.Blocks['search_test_say'];
+  delete Blockly.Blocks['search_test_broadcast'];
+}
+
+/**
+ * Summarize matches as "type:id" strings.
+ * @param {!Array.<!Blockly.WorkspaceSearch.Match>} matches The matches.
+ * @return {!Array.<string>} The summaries.
+ */
+function workspaceSearchTest_summarize(matches) {
+  return matches.map(function(match) {
+    return match.type + ':' + (match.blockId || match.commentId);
+  });
+}
+
+function test_workspaceSearch_fieldValues() {
+  workspaceSearchTest_setUp();
+  try {
+    var matches = workspaceSearch.search('hello');
+    assertArrayEquals(['field:say1', 'field:say2'],
+        workspaceSearchTest_summarize(matches));
+    assertEquals('TEXT', matches[0].fieldName);
+
+    matches = workspaceSearch.search('hello', true);
+    assertArrayEquals(['field:say2'], workspaceSearchTest_summarize(matches));
+  } finally {
+    workspaceSearchTest_tearDown();
+  }
+}
+
+function test_workspaceSearch_opcodesVariablesAndComments() {
+  workspaceSearchTest_setUp();
+  try {
+    new Blockly.WorkspaceComment(workspace, 'the world is big', 50, 50,
+        false, 'comment1');
+    assertArrayEquals(
+        ['opcode:broadcast1', 'opcode:broadcast2'],
+        workspaceSearchTest_summarize(workspaceSearch.search('test_broad')));
+    assertArrayEquals(
+        ['field:broadcast1', 'field:broadcast2'],
+        workspaceSearchTest_summarize(workspaceSearch.search('message1')));
+    assertArrayEquals(
+        ['field:say1', 'comment:say1', 'comment:comment1'],
+        workspaceSearchTest_summarize(workspaceSearch.search('world')));
+    assertArrayEquals([], workspaceSearch.search(''));
+  } finally {
+    workspaceSearchTest_tearDown();
+  }
+}
+
+function test_workspaceSearch_nextAndPrevious() {
+  workspaceSearchTest_setUp();
+  try {
+    workspaceSearch.search('hello');
+    assertNull(workspaceSearch.getCurrentMatch());
+    assertEquals('say1', workspaceSearch.next().blockId);
+    assertEquals('say2', workspaceSearch.next().blockId);
+    assertEquals('say1', workspaceSearch.next().blockId);
+    assertEquals('say2', workspaceSearch.previous().blockId);
+    assertEquals(1, workspaceSearch.getCurrentIndex());
+
+    workspaceSearch.search('nothing');
+    assertNull(workspaceSearch.next());
+    assertEquals(-1, workspaceSearch.getCurrentIndex());
+  } finally {
+    workspaceSearchTest_tearDown();
+  }
+}
+
+function test_workspaceSearch_replace() {
+  workspaceSearchTest_setUp();
+  try {
+    workspaceSearch.search('hello');
+    // Nothing is replaced until a match is current.
+    assertFalse(workspaceSearch.replace('Bye'));
+    workspaceSearch.next();
+    assertTrue(workspaceSearch.replace('Bye'));
+    assertEquals('Bye world',
+        workspace.getBlockById('say1').getFieldValue('TEXT'));
+    assertEquals('hello again',
+        workspace.getBlockById('say2').getFieldValue('TEXT'));
+    // The remaining match becomes current.
+    assertEquals('say2', workspaceSearch.getCurrentMatch().blockId);
+  } finally {
+    workspaceSearchTest_tearDown();
+  }
+}
+
+function test_workspaceSearch_replaceAllIsOneUndo() {
+  // Fire events synchronously so they reach the undo stack.
+  Blockly.Events.fire = temporary_fireEvent;
+  workspaceSearchTest_setUp();
+  try {
+    workspace.clearUndo();
+    workspaceSearch.search('message1');
+    assertEquals(2, workspaceSearch.replaceAll('message2'));
+
+    var variable = workspace.getVariable('message2',
+        Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE);
+    assertNotNull(variable);
+    assertEquals(variable.getId(),
+        workspace.getBlockById('broadcast1').getFieldValue('BROADCAST_OPTION'));
+    assertEquals(variable.getId(),
+        workspace.getBlockById('broadcast2').getFieldValue('BROADCAST_OPTION'));
+    assertEquals(0, workspaceSearch.getMatches().length);
+
+    workspace.undo();
+    assertEquals('msg1',
+        workspace.getBlockById('broadcast1').getFieldValue('BROADCAST_OPTION'));
+    assertEquals('msg1',
+        workspace.getBlockById('broadcast2').getFieldValue('BROADCAST_OPTION'));
+    assertNull(workspace.getVariable('message2',
+        Blockly.BROADCAST_MESSAGE_VARIABLE_TYPE));
+    assertEquals(0, workspace.undoStack_.length);
+  } finally {
+    Blockly.Events.fire = savedFireFunc;
+    workspaceSearchTest_tearDown();
+  }
+}